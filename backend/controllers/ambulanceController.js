@@ -1,24 +1,24 @@
 const asyncHandler = require('../utils/asyncHandler');
 const Ambulance = require('../models/ambulanceModel');
 const Trip = require('../models/tripModel');
+const tripService = require('../services/tripService');
+const dispatchService = require('../services/dispatchService');
+const trackingService = require('../services/trackingService');
+const shiftService = require('../services/shiftService');
+const { getDispatchableAmbulanceFilter } = require('../services/complianceService');
+const { getRoute, getRoutesTo, formatETA, formatDistance } = require('../services/routing');
+const fareService = require('../services/fareService');
+const {
+  TRIP_STATUS,
+  ACTIVE_STATUSES,
+  ACTOR,
+  canTransition
+} = require('../../shared/tripLifecycle');
 
 /**
- * Calculate distance between two coordinates in kilometers
- */
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371; // Radius of the earth in km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-};
-
-/**
- * Get nearest ambulances to a location
+ * Get nearest ambulances to a location, each with a fare estimate. With a
+ * destination (destinationLatitude, destinationLongitude) the estimate is an
+ * amount for the trip, otherwise the rates it starts from.
  * @route GET /api/ambulances/nearest
  * @access Public
  */
@@ -29,7 +29,9 @@ const getNearestAmbulances = asyncHandler(async (req, res) => {
     lng, lat, // Alternative parameter names
     maxDistance = 10000, 
     radius = 10000, // Alternative parameter name
-    limit = 10 
+    limit = 10,
+    destinationLatitude,
+    destinationLongitude
   } = req.query;
   
   // Use whichever parameters are provided
@@ -58,9 +60,12 @@ const getNearestAmbulances = asyncHandler(async (req, res) => {
     
     console.log('Using coordinates:', { lng: userLng, lat: userLat });
     
+    // Ambulances of unverified providers or with expired documents are never listed
+    const dispatchableFilter = await getDispatchableAmbulanceFilter();
+
     // First try to find ambulances using geospatial query
     let ambulances = await Ambulance.find({
-      status: 'AVAILABLE',
+      ...dispatchableFilter,
       location: {
         $near: {
           $geometry: {
@@ -77,9 +82,7 @@ const getNearestAmbulances = asyncHandler(async (req, res) => {
     // If no results with geospatial query, fall back to basic query
     if (ambulances.length === 0) {
       console.log('No ambulances found with geospatial query, falling back to basic query');
-      ambulances = await Ambulance.find({
-        status: 'AVAILABLE'
-      }).limit(limitNum).populate('providerId', 'name contactNumber logo');
+      ambulances = await Ambulance.find(dispatchableFilter).limit(limitNum).populate('providerId', 'name contactNumber logo');
       
       console.log(`Found ${ambulances.length} ambulances with basic query`);
     }
@@ -92,34 +95,48 @@ const getNearestAmbulances = asyncHandler(async (req, res) => {
       // Do not return empty response, continue to process what we have (even if empty)
     }
 
-    const ambulancesWithDistance = ambulances.map(ambulance => {
-      // Initialize with default coordinates if not available
-      let ambLat = 0, ambLng = 0;
-      let hasValidLocation = false;
-      
-      // Try to extract coordinates from the ambulance
-      if (ambulance.location && ambulance.location.coordinates && 
-          ambulance.location.coordinates.length >= 2) {
-        // MongoDB GeoJSON format: [longitude, latitude]
-        ambLng = ambulance.location.coordinates[0];
-        ambLat = ambulance.location.coordinates[1];
-        
-        // Check if coordinates are valid numbers and not at exact 0,0 (which is likely a default)
-        const isAtNullIsland = ambLat === 0 && ambLng === 0;
-        const isValidNumber = !isNaN(ambLat) && !isNaN(ambLng) && 
-                              isFinite(ambLat) && isFinite(ambLng);
-        
-        hasValidLocation = isValidNumber && !isAtNullIsland;
+    // Check which ambulances have usable coordinates
+    const withLocation = ambulances.map(ambulance => {
+      const coordinates = ambulance.location?.coordinates;
+
+      if (!coordinates || coordinates.length < 2) {
+        return { ambulance, hasValidLocation: false };
       }
-      
-      // Calculate distance
-      const distance = calculateDistance(
-        userLat,
-        userLng,
-        ambLat,
-        ambLng
-      );
-      
+
+      // MongoDB GeoJSON format: [longitude, latitude]
+      const [ambLng, ambLat] = coordinates;
+
+      // Check if coordinates are valid numbers and not at exact 0,0 (which is likely a default)
+      const isAtNullIsland = ambLat === 0 && ambLng === 0;
+      const isValidNumber = isFinite(ambLat) && isFinite(ambLng);
+
+      return { ambulance, ambLng, ambLat, hasValidLocation: isValidNumber && !isAtNullIsland };
+    });
+
+    // Road distance and ETA to the patient, from the same routing engine dispatch uses
+    const located = withLocation.filter(entry => entry.hasValidLocation);
+    const routes = await getRoutesTo(
+      located.map(entry => [entry.ambLng, entry.ambLat]),
+      [userLng, userLat]
+    );
+    located.forEach((entry, index) => {
+      entry.route = routes[index];
+    });
+
+    // The trip distance is the same whichever ambulance drives it
+    const destLng = parseFloat(destinationLongitude);
+    const destLat = parseFloat(destinationLatitude);
+    let tripDistanceKm = null;
+    if (!isNaN(destLng) && !isNaN(destLat)) {
+      try {
+        tripDistanceKm = (await getRoute([userLng, userLat], [destLng, destLat])).distanceKm;
+      } catch (error) {
+        console.error('Error routing to destination for fare estimate:', error.message);
+      }
+    }
+    const getTariff = await fareService.getTariffLookup(ambulances);
+
+    const ambulancesWithDistance = withLocation.map(({ ambulance, ambLng, ambLat, hasValidLocation, route }) => {
       // Convert ambulance to a plain object
       const ambulanceObj = ambulance.toObject ? ambulance.toObject() : {...ambulance};
       
@@ -130,26 +147,13 @@ const getNearestAmbulances = asyncHandler(async (req, res) => {
         longitude: hasValidLocation ? ambLng : null
       };
       
-      // Add distance and ETA with more realistic calculations
       // If we don't have valid location data, show as "Unknown"
       if (hasValidLocation) {
-        // Format distance with 1 decimal place
-        ambulanceObj.distance = `${(distance).toFixed(1)} km away`;
-        
-        // More realistic ETA calculation:
-        // - Urban areas: ~30 km/h average speed (2 min per km)
-        // - Rural areas: ~50 km/h average speed (1.2 min per km)
-        // Using 30 km/h (2 min per km) as a conservative estimate for emergency vehicles
-        // Add some base response time (2 minutes)
-        const etaMinutes = Math.ceil(distance * 2) + 2;
-        
-        if (etaMinutes < 60) {
-          ambulanceObj.eta = `${etaMinutes} min`;
-        } else {
-          const hours = Math.floor(etaMinutes / 60);
-          const mins = etaMinutes % 60;
-          ambulanceObj.eta = `${hours}h ${mins}min`;
-        }
+        ambulanceObj.distance = `${formatDistance(route.distanceKm)} away`;
+        ambulanceObj.distanceValue = route.distanceKm;
+        ambulanceObj.eta = formatETA(route.durationMinutes);
+        ambulanceObj.etaValue = route.durationMinutes;
+        ambulanceObj.etaSource = route.source;
       } else {
         ambulanceObj.distance = "Unknown location";
         ambulanceObj.eta = "ETA unknown";
@@ -157,22 +161,21 @@ const getNearestAmbulances = asyncHandler(async (req, res) => {
 
       // Add a flag to indicate if coordinates are valid
       ambulanceObj.hasValidLocation = hasValidLocation;
+
+      const { tariff, source } = getTariff(ambulance);
+      ambulanceObj.fareEstimate = {
+        ...fareService.estimateFare(tariff, ambulance, tripDistanceKm),
+        tariffSource: source
+      };
       
       return ambulanceObj;
     });
 
-    // Sort by distance (closest first)
+    // Sort by ETA (closest first), ambulances without a location last
     ambulancesWithDistance.sort((a, b) => {
-      // Extract numeric distance from string like "3.2 km away"
-      const getNumericDistance = (distStr) => {
-        if (typeof distStr !== 'string' || distStr === "Unknown location") return Infinity;
-        const match = distStr.match(/^(\d+(\.\d+)?)/);
-        return match ? parseFloat(match[1]) : Infinity;
-      };
-      
-      const distA = getNumericDistance(a.distance);
-      const distB = getNumericDistance(b.distance);
-      return distA - distB;
+      const etaA = a.hasValidLocation ? a.etaValue : Infinity;
+      const etaB = b.hasValidLocation ? b.etaValue : Infinity;
+      return etaA - etaB;
     });
 
     console.log(`Returning ${ambulancesWithDistance.length} ambulances with distance`);
@@ -221,6 +224,12 @@ const getProviderAmbulances = asyncHandler(async (req, res) => {
 
     console.log(`Found ${ambulances.length} ambulances for provider ${req.user.providerId}`);
     
+    // The shift each ambulance is on and its next one, for the status toggles
+    const rosters = await shiftService.getRosterSummaries(ambulances.map(ambulance => ambulance._id));
+    ambulances.forEach(ambulance => {
+      ambulance.roster = rosters.get(ambulance._id.toString()) || { current: null, next: null };
+    });
+    
     res.json(ambulances);
   } catch (error) {
     console.error('Error in getProviderAmbulances:', error);
@@ -315,37 +324,27 @@ const deleteAmbulance = asyncHandler(async (req, res) => {
 });
 
 /**
- * Update ambulance location
+ * Update ambulance location. The fix goes through the tracking pipeline, which
+ * may drop it as noise - the response says whether it was accepted.
  * @route PUT /api/ambulances/:id/location
- * @access Private (Provider)
+ * @access Private (Provider or crew of the ambulance)
  */
 const updateAmbulanceLocation = asyncHandler(async (req, res) => {
-  const { longitude, latitude } = req.body;
-  
-  if (!longitude || !latitude) {
-    res.status(400);
-    throw new Error('Longitude and latitude are required');
-  }
-  
-  const ambulance = await Ambulance.findById(req.params.id);
-  
-  if (!ambulance) {
-    res.status(404);
-    throw new Error('Ambulance not found');
-  }
-  
-  if (ambulance.providerId.toString() !== req.user.providerId) {
-    res.status(403);
-    throw new Error('Not authorized to update this ambulance');
+  try {
+    const result = await trackingService.ingestLocation(req.params.id, req.body, {
+      providerId: req.user.providerId,
+      crewMemberId: req.crewMember ? req.crewMember._id : null,
+      source: 'REST',
+      socketService: req.app.get('socketService')
+    });
+    
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      res.status(error.status);
+    }
+    throw error;
   }
-  
-  ambulance.location = {
-    type: 'Point',
-    coordinates: [longitude, latitude]
-  };
-  
-  await ambulance.save();
-  res.json(ambulance);
 });
 
 /**
@@ -408,13 +407,20 @@ const updateAmbulanceStatus = asyncHandler(async (req, res) => {
       throw new Error('Not authorized to update this ambulance');
     }
     
+    // Only verified providers may put ambulances into service
+    if (status === 'AVAILABLE' && req.provider?.verificationStatus !== 'VERIFIED') {
+      console.log(`Provider ${userProviderId} is not verified, cannot set ambulance AVAILABLE`);
+      res.status(403);
+      throw new Error('Provider account must be verified before ambulances can go online');
+    }
+    
     // Check if the ambulance has an active trip and trying to switch to AVAILABLE
     if (ambulance.status === 'BUSY' && status === 'AVAILABLE' && !forceUpdate) {
       // Check for active trips
       console.log('Checking for active trips...');
       const activeTrips = await Trip.find({
         ambulanceId: ambulance._id,
-        status: { $nin: ['COMPLETED', 'CANCELLED'] }
+        status: { $in: ACTIVE_STATUSES }
       });
       
       console.log(`Found ${activeTrips.length} active trips`);
@@ -467,11 +473,19 @@ const updateAmbulanceStatus = asyncHandler(async (req, res) => {
 });
 
 /**
- * Force complete all trips for an ambulance
+ * Force complete all trips for an ambulance, then put it in the status the
+ * provider asked for (AVAILABLE by default, or OFFLINE)
  * @route POST /api/ambulances/:id/force-complete
  * @access Private (Provider)
  */
 const forceCompleteTrips = asyncHandler(async (req, res) => {
+  const requestedStatus = req.body?.status || 'AVAILABLE';
+  
+  if (!['AVAILABLE', 'OFFLINE'].includes(requestedStatus)) {
+    res.status(400);
+    throw new Error('Invalid status. Valid values are: AVAILABLE, OFFLINE');
+  }
+  
   const ambulance = await Ambulance.findById(req.params.id);
   
   if (!ambulance) {
@@ -479,30 +493,90 @@ const forceCompleteTrips = asyncHandler(async (req, res) => {
     throw new Error('Ambulance not found');
   }
   
-  if (ambulance.providerId.toString() !== req.user.providerId) {
+  if (ambulance.providerId.toString() !== req.user.providerId?.toString()) {
     res.status(403);
     throw new Error('Not authorized to update this ambulance');
   }
   
-  // Update all active trips to completed
-  await Trip.updateMany(
-    { 
-      ambulanceId: req.params.id,
-      status: { $in: ['REQUESTED', 'ACCEPTED', 'ARRIVED', 'PICKED_UP', 'AT_HOSPITAL'] }
-    },
-    { 
-      $set: { 
-        status: 'COMPLETED',
-        completionTime: new Date()
+  // Only verified providers may put ambulances into service
+  if (requestedStatus === 'AVAILABLE' && req.provider?.verificationStatus !== 'VERIFIED') {
+    res.status(403);
+    throw new Error('Provider account must be verified before ambulances can go online');
+  }
+  
+  // Close every active trip through the trip lifecycle. A request still being
+  // offered to this ambulance is declined, so it moves on to the next one; trips
+  // with the patient on board are completed and the rest can only be cancelled.
+  const activeTrips = await Trip.find({
+    ambulanceId: req.params.id,
+    status: { $in: ACTIVE_STATUSES }
+  });
+  const socketService = req.app.get('socketService');
+  const failedTrips = [];
+  
+  for (const trip of activeTrips) {
+    try {
+      if (trip.status === TRIP_STATUS.REQUESTED) {
+        await dispatchService.declineOffer(trip._id, req.user.providerId, 'Ambulance taken off the road', socketService, 'REST');
+        continue;
+      }
+      
+      const status = canTransition(trip.status, TRIP_STATUS.COMPLETED, ACTOR.PROVIDER)
+        ? TRIP_STATUS.COMPLETED
+        : TRIP_STATUS.CANCELLED;
+      
+      await tripService.updateTripStatus(trip._id, status, {
+        actor: ACTOR.PROVIDER,
+        actorId: req.user.providerId,
+        reason: 'Closed by provider',
+        socketService
+      });
+    } catch (error) {
+      // The trip may have moved on meanwhile, e.g. the patient cancelled it or the
+      // offer was accepted. Carry on with the other trips and report this one if
+      // it is still open on this ambulance.
+      console.error(`Error closing trip ${trip._id} of ambulance ${ambulance._id}:`, error.message);
+      
+      const current = await Trip.findOne({
+        _id: trip._id,
+        ambulanceId: ambulance._id,
+        status: { $in: ACTIVE_STATUSES }
+      }).select('status');
+      
+      if (current) {
+        failedTrips.push({ tripId: trip._id, status: current.status, error: error.message });
       }
     }
-  );
+  }
+  
+  // An ambulance with a trip still open keeps its status; the provider can retry
+  if (failedTrips.length > 0) {
+    res.status(409).json({
+      message: 'Some trips could not be closed, so the ambulance status was not changed',
+      failedTrips,
+      ambulance: await Ambulance.findById(ambulance._id)
+    });
+    return;
+  }
+  
+  // Closing the trips released the ambulance the way any completion does, to
+  // whatever its roster says; one left BUSY without an active trip is released
+  // by the same rule. Providers taking it off the road get it OFFLINE either way.
+  const released = requestedStatus === 'OFFLINE'
+    ? await Ambulance.findOneAndUpdate(
+      { _id: ambulance._id, status: { $ne: 'OFFLINE' } },
+      { status: 'OFFLINE', lastUpdated: new Date() },
+      { new: true }
+    )
+    : await dispatchService.releaseAmbulance(ambulance._id);
+  
+  if (released && socketService) {
+    socketService.emitAmbulanceStatusUpdate(released._id, released.status);
+  }
   
-  // Update ambulance status
-  ambulance.status = 'AVAILABLE';
-  await ambulance.save();
+  const updated = released || await Ambulance.findById(ambulance._id);
   
-  res.json({ message: 'All trips completed and ambulance status updated' });
+  res.json({ message: 'All trips closed and ambulance status updated', failedTrips, ambulance: updated });
 });
 
 module.exports = {
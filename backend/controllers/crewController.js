@@ -0,0 +1,110 @@
+const asyncHandler = require('../utils/asyncHandler');
+const crewService = require('../services/crewService');
+const { handleServiceError } = require('../utils/serviceErrors');
+
+/**
+ * Ensure the current user has a provider profile to add crew to
+ */
+const requireProvider = (req, res) => {
+  if (!req.provider) {
+    res.status(403);
+    throw new Error('Complete your provider profile before adding crew');
+  }
+};
+
+/**
+ * @desc    Get the current provider's crew
+ * @route   GET /api/crew
+ * @access  Private (Provider)
+ */
+const getCrew = asyncHandler(async (req, res) => {
+  if (!req.provider) {
+    return res.status(200).json([]);
+  }
+
+  const crew = await crewService.getCrew(req.provider._id);
+
+  res.status(200).json(crew);
+});
+
+/**
+ * @desc    Add a crew member, creating their login
+ * @route   POST /api/crew
+ * @access  Private (Provider)
+ */
+const createCrewMember = asyncHandler(async (req, res) => {
+  requireProvider(req, res);
+
+  try {
+    const crewMember = await crewService.createCrewMember(req.provider._id, req.body);
+
+    res.status(201).json(crewMember);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Update a crew member's details or ambulances
+ * @route   PUT /api/crew/:id
+ * @access  Private (Provider)
+ */
+const updateCrewMember = asyncHandler(async (req, res) => {
+  requireProvider(req, res);
+
+  try {
+    const crewMember = await crewService.updateCrewMember(req.provider._id, req.params.id, req.body);
+
+    res.status(200).json(crewMember);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Remove a crew member
+ * @route   DELETE /api/crew/:id
+ * @access  Private (Provider)
+ */
+const deleteCrewMember = asyncHandler(async (req, res) => {
+  requireProvider(req, res);
+
+  try {
+    await crewService.deleteCrewMember(req.provider._id, req.params.id);
+
+    res.status(200).json({ message: 'Crew member removed' });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Get the signed-in crew member with their ambulances
+ * @route   GET /api/crew/me
+ * @access  Private (Crew)
+ */
+const getMyProfile = asyncHandler(async (req, res) => {
+  const crewMember = await crewService.getMyProfile(req.crewMember);
+
+  res.status(200).json(crewMember);
+});
+
+/**
+ * @desc    Get the trips the signed-in crew member's ambulances are working
+ * @route   GET /api/crew/me/trips
+ * @access  Private (Crew)
+ */
+const getMyTrips = asyncHandler(async (req, res) => {
+  const trips = await crewService.getMyTrips(req.crewMember);
+
+  res.status(200).json(trips);
+});
+
+module.exports = {
+  getCrew,
+  createCrewMember,
+  updateCrewMember,
+  deleteCrewMember,
+  getMyProfile,
+  getMyTrips
+};
@@ -0,0 +1,136 @@
+const asyncHandler = require('../utils/asyncHandler');
+const ComplianceDocument = require('../models/complianceDocumentModel');
+const Provider = require('../models/providerModel');
+const complianceService = require('../services/complianceService');
+const { handleServiceError } = require('../utils/serviceErrors');
+
+/**
+ * Find a document the current user may access: admins see every document,
+ * providers only their own
+ */
+const findAccessibleDocument = async (req, res) => {
+  const document = await ComplianceDocument.findById(req.params.id);
+
+  if (!document) {
+    res.status(404);
+    throw new Error('Document not found');
+  }
+
+  if (req.user?.isAdmin) {
+    return document;
+  }
+
+  const provider = await Provider.findOne({ firebaseId: req.userId }).select('_id');
+
+  if (!provider || document.providerId.toString() !== provider._id.toString()) {
+    res.status(403);
+    throw new Error('Not authorized to access this document');
+  }
+
+  return document;
+};
+
+/**
+ * @desc    Upload a compliance document
+ * @route   POST /api/documents (multipart: file, type, expiresAt, ambulanceId)
+ * @access  Private (Provider)
+ */
+const uploadDocument = asyncHandler(async (req, res) => {
+  if (!req.provider) {
+    res.status(403);
+    throw new Error('Complete your provider profile before uploading documents');
+  }
+
+  try {
+    const document = await complianceService.uploadDocument(req.provider._id, req.file, {
+      type: req.body.type,
+      expiresAt: req.body.expiresAt,
+      ambulanceId: req.body.ambulanceId
+    });
+
+    res.status(201).json(document);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Get the current provider's documents
+ * @route   GET /api/documents?ambulanceId=
+ * @access  Private (Provider)
+ */
+const getMyDocuments = asyncHandler(async (req, res) => {
+  if (!req.provider) {
+    return res.status(200).json([]);
+  }
+
+  const documents = await complianceService.listDocuments({
+    providerId: req.provider._id,
+    ambulanceId: req.query.ambulanceId
+  });
+
+  res.status(200).json(documents);
+});
+
+/**
+ * @desc    Download a document's file
+ * @route   GET /api/documents/:id/file
+ * @access  Private (owning Provider or Admin)
+ */
+const downloadDocument = asyncHandler(async (req, res) => {
+  const document = await findAccessibleDocument(req, res);
+
+  let stream;
+  try {
+    stream = await complianceService.openDocumentFile(document);
+  } catch (error) {
+    console.error(`Error opening file of document ${document._id}:`, error);
+    res.status(404);
+    throw new Error('Document file not found');
+  }
+
+  res.setHeader('Content-Type', document.file.mimeType || 'application/octet-stream');
+  res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(document.file.originalName || document._id)}"`);
+  stream.pipe(res);
+});
+
+/**
+ * @desc    Approve or reject a document
+ * @route   PUT /api/documents/:id/review
+ * @access  Private (Admin)
+ */
+const reviewDocument = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+
+  try {
+    const document = await complianceService.reviewDocument(req.params.id, status, {
+      reason,
+      adminId: req.userId
+    });
+
+    res.status(200).json(document);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Delete a document
+ * @route   DELETE /api/documents/:id
+ * @access  Private (owning Provider or Admin)
+ */
+const deleteDocument = asyncHandler(async (req, res) => {
+  const document = await findAccessibleDocument(req, res);
+
+  await complianceService.deleteDocument(document);
+
+  res.status(200).json({ message: 'Document removed' });
+});
+
+module.exports = {
+  uploadDocument,
+  getMyDocuments,
+  downloadDocument,
+  reviewDocument,
+  deleteDocument
+};
@@ -0,0 +1,49 @@
+const asyncHandler = require('../utils/asyncHandler');
+const geocoding = require('../services/geocoding');
+
+/**
+ * @desc    Search for places and addresses
+ * @route   GET /api/geocode/search?q=Kenyatta Hospital&limit=5
+ * @access  Public
+ */
+const searchAddress = asyncHandler(async (req, res) => {
+  const { q, limit } = req.query;
+
+  if (!q || q.trim().length < 2) {
+    res.status(400);
+    throw new Error('Search text must be at least 2 characters');
+  }
+
+  const results = await geocoding.search(q, { limit });
+
+  res.status(200).json(results);
+});
+
+/**
+ * @desc    Get the address of a point
+ * @route   GET /api/geocode/reverse?lat=-1.2864&lng=36.8172
+ * @access  Public
+ */
+const reverseGeocode = asyncHandler(async (req, res) => {
+  const latitude = parseFloat(req.query.lat || req.query.latitude);
+  const longitude = parseFloat(req.query.lng || req.query.longitude);
+
+  if (isNaN(latitude) || isNaN(longitude)) {
+    res.status(400);
+    throw new Error('Valid lat and lng are required');
+  }
+
+  const result = await geocoding.reverse(longitude, latitude);
+
+  if (!result) {
+    res.status(404);
+    throw new Error('No address found for this location');
+  }
+
+  res.status(200).json(result);
+});
+
+module.exports = {
+  searchAddress,
+  reverseGeocode
+};
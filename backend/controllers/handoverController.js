@@ -0,0 +1,66 @@
+const asyncHandler = require('../utils/asyncHandler');
+const handoverService = require('../services/handoverService');
+const { handleServiceError } = require('../utils/serviceErrors');
+
+const getSocketService = (req) => req.app.get('socketService');
+
+/**
+ * @desc    Record the patient's vital signs and pass them on to the hospital
+ * @route   POST /api/handovers/trips/:tripId/vitals
+ * @access  Private (Provider or crew of the ambulance)
+ */
+const recordVitals = asyncHandler(async (req, res) => {
+  if (!req.provider && !req.crewMember) {
+    res.status(403);
+    throw new Error('Provider profile required to update trips');
+  }
+
+  try {
+    const trip = await handoverService.recordVitals(req.params.tripId, req.user.providerId, req.body, {
+      crewMemberId: req.crewMember ? req.crewMember._id : null,
+      socketService: getSocketService(req)
+    });
+
+    res.status(201).json(trip);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Get the pre-arrival packet behind a handover link
+ * @route   GET /api/handovers/:token
+ * @access  Public (the receiving hospital), guarded by the link's token
+ */
+const getHandover = asyncHandler(async (req, res) => {
+  try {
+    const packet = await handoverService.getHandover(req.params.token);
+
+    res.status(200).json(packet);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Acknowledge a pre-arrival packet
+ * @route   POST /api/handovers/:token/acknowledge
+ * @access  Public (the receiving hospital), guarded by the link's token
+ */
+const acknowledgeHandover = asyncHandler(async (req, res) => {
+  try {
+    const packet = await handoverService.acknowledgeHandover(req.params.token, req.body || {}, {
+      socketService: getSocketService(req)
+    });
+
+    res.status(200).json(packet);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+module.exports = {
+  recordVitals,
+  getHandover,
+  acknowledgeHandover
+};
@@ -0,0 +1,175 @@
+const asyncHandler = require('../utils/asyncHandler');
+const hospitalService = require('../services/hospitalService');
+const { handleServiceError } = require('../utils/serviceErrors');
+
+const getSocketService = (req) => req.app.get('socketService');
+
+/**
+ * @desc    Get the hospital directory; admins may include inactive hospitals
+ * @route   GET /api/hospitals
+ * @access  Private
+ */
+const getHospitals = asyncHandler(async (req, res) => {
+  const hospitals = await hospitalService.getHospitals({
+    includeInactive: req.user?.isAdmin && req.query.includeInactive === 'true',
+    search: req.query.search
+  });
+
+  res.status(200).json(hospitals);
+});
+
+/**
+ * @desc    Get a hospital
+ * @route   GET /api/hospitals/:id
+ * @access  Private
+ */
+const getHospital = asyncHandler(async (req, res) => {
+  try {
+    const hospital = await hospitalService.getHospital(req.params.id);
+
+    res.status(200).json(hospital);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Add a hospital to the directory
+ * @route   POST /api/hospitals
+ * @access  Private (Admin)
+ */
+const createHospital = asyncHandler(async (req, res) => {
+  try {
+    const hospital = await hospitalService.saveHospital(null, req.body);
+
+    res.status(201).json(hospital);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Update a hospital
+ * @route   PUT /api/hospitals/:id
+ * @access  Private (Admin)
+ */
+const updateHospital = asyncHandler(async (req, res) => {
+  try {
+    const hospital = await hospitalService.saveHospital(req.params.id, req.body);
+
+    res.status(200).json(hospital);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Remove a hospital from the directory
+ * @route   DELETE /api/hospitals/:id
+ * @access  Private (Admin)
+ */
+const deleteHospital = asyncHandler(async (req, res) => {
+  try {
+    await hospitalService.deleteHospital(req.params.id);
+
+    res.status(200).json({ message: 'Hospital deleted' });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Re-rank the suggested destinations of a trip for the patient's needs
+ * @route   PUT /api/hospitals/trips/:tripId/recommendations
+ * @access  Private (Provider or crew of the ambulance)
+ */
+const updateRecommendations = asyncHandler(async (req, res) => {
+  if (!req.provider && !req.crewMember) {
+    res.status(403);
+    throw new Error('Provider profile required to update trips');
+  }
+
+  try {
+    const trip = await hospitalService.updateRecommendations(
+      req.params.tripId,
+      req.user.providerId,
+      req.body.clinicalNeeds,
+      { crewMemberId: req.crewMember ? req.crewMember._id : null, socketService: getSocketService(req) }
+    );
+
+    res.status(200).json(trip);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Send a trip to a hospital from the directory
+ * @route   PUT /api/hospitals/trips/:tripId/destination
+ * @access  Private (Provider or crew of the ambulance)
+ */
+const setTripDestination = asyncHandler(async (req, res) => {
+  if (!req.provider && !req.crewMember) {
+    res.status(403);
+    throw new Error('Provider profile required to update trips');
+  }
+
+  try {
+    const trip = await hospitalService.setTripDestination(
+      req.params.tripId,
+      req.user.providerId,
+      req.body.hospitalId,
+      { crewMemberId: req.crewMember ? req.crewMember._id : null, socketService: getSocketService(req) }
+    );
+
+    res.status(200).json(trip);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Get the staff member's hospital and the trips heading to it
+ * @route   GET /api/hospitals/me/inbound
+ * @access  Private (Hospital staff)
+ */
+const getInboundTrips = asyncHandler(async (req, res) => {
+  const trips = await hospitalService.getInboundTrips(req.hospital._id);
+
+  res.status(200).json({
+    hospital: { _id: req.hospital._id, name: req.hospital.name, address: req.hospital.address },
+    trips
+  });
+});
+
+/**
+ * @desc    Mark the bed or bay ready for an inbound trip, or take it back
+ * @route   PUT /api/hospitals/me/trips/:tripId/bay
+ * @access  Private (Hospital staff)
+ */
+const setReceivingBay = asyncHandler(async (req, res) => {
+  try {
+    const trip = await hospitalService.setReceivingBay(
+      req.params.tripId,
+      req.hospital,
+      req.body,
+      { socketService: getSocketService(req) }
+    );
+
+    res.status(200).json(trip);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+module.exports = {
+  getHospitals,
+  getHospital,
+  createHospital,
+  updateHospital,
+  deleteHospital,
+  updateRecommendations,
+  setTripDestination,
+  getInboundTrips,
+  setReceivingBay
+};
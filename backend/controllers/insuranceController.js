@@ -0,0 +1,202 @@
+const asyncHandler = require('../utils/asyncHandler');
+const insuranceService = require('../services/insuranceService');
+const { handleServiceError } = require('../utils/serviceErrors');
+
+const getSocketService = (req) => req.app.get('socketService');
+
+/**
+ * @desc    Get the current patient's insurance covers
+ * @route   GET /api/insurance/covers
+ * @access  Private
+ */
+const getMyCovers = asyncHandler(async (req, res) => {
+  const covers = await insuranceService.getCovers(req.userId);
+
+  res.status(200).json(covers);
+});
+
+/**
+ * @desc    Save an insurance cover to the current patient's profile
+ * @route   POST /api/insurance/covers
+ * @access  Private
+ */
+const createCover = asyncHandler(async (req, res) => {
+  try {
+    const cover = await insuranceService.saveCover(req.userId, null, req.body);
+
+    res.status(201).json(cover);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Update one of the current patient's insurance covers
+ * @route   PUT /api/insurance/covers/:id
+ * @access  Private
+ */
+const updateCover = asyncHandler(async (req, res) => {
+  try {
+    const cover = await insuranceService.saveCover(req.userId, req.params.id, req.body);
+
+    res.status(200).json(cover);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Delete one of the current patient's insurance covers
+ * @route   DELETE /api/insurance/covers/:id
+ * @access  Private
+ */
+const deleteCover = asyncHandler(async (req, res) => {
+  try {
+    await insuranceService.deleteCover(req.userId, req.params.id);
+
+    res.status(200).json({ message: 'Insurance cover deleted' });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Attach one of the patient's covers to their trip, or remove it (coverId null)
+ * @route   PUT /api/insurance/trips/:tripId
+ * @access  Private (the trip's patient)
+ */
+const setTripCover = asyncHandler(async (req, res) => {
+  try {
+    const trip = await insuranceService.setTripCover(req.params.tripId, req.userId, req.body.coverId || null, {
+      socketService: getSocketService(req)
+    });
+
+    res.status(200).json(trip);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Record the insurer's pre-authorisation reference of a trip
+ * @route   PUT /api/insurance/trips/:tripId/pre-authorization
+ * @access  Private (the trip's provider)
+ */
+const recordPreAuthorization = asyncHandler(async (req, res) => {
+  if (!req.provider) {
+    res.status(403);
+    throw new Error('Provider profile required to update trips');
+  }
+
+  try {
+    const trip = await insuranceService.recordPreAuthorization(req.params.tripId, req.provider._id, req.body.reference, {
+      socketService: getSocketService(req)
+    });
+
+    res.status(200).json(trip);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Get the current provider's claimable trips per insurer
+ * @route   GET /api/insurance/claims?from=&to=
+ * @access  Private (Provider)
+ */
+const getMyClaims = asyncHandler(async (req, res) => {
+  if (!req.provider) {
+    return res.status(200).json({ insurers: [] });
+  }
+
+  try {
+    const summary = await insuranceService.getClaimSummary({
+      providerId: req.provider._id,
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.status(200).json(summary);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Download the current provider's claim file for one insurer
+ * @route   GET /api/insurance/claims/export?insurer=&from=&to=
+ * @access  Private (Provider)
+ */
+const exportMyClaims = asyncHandler(async (req, res) => {
+  if (!req.provider) {
+    res.status(403);
+    throw new Error('Complete your provider profile to export claims');
+  }
+
+  try {
+    const { filename, csv } = await insuranceService.exportClaims({
+      providerId: req.provider._id,
+      insurer: req.query.insurer,
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.attachment(filename);
+    res.type('text/csv').send(csv);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Get the claimable trips of every provider, or of one, per insurer
+ * @route   GET /api/insurance/claims/all?providerId=&from=&to=
+ * @access  Private (Admin)
+ */
+const getAllClaims = asyncHandler(async (req, res) => {
+  try {
+    const summary = await insuranceService.getClaimSummary({
+      providerId: req.query.providerId,
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.status(200).json(summary);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Download the claim file of one insurer for every provider, or for one
+ * @route   GET /api/insurance/claims/all/export?insurer=&providerId=&from=&to=
+ * @access  Private (Admin)
+ */
+const exportAllClaims = asyncHandler(async (req, res) => {
+  try {
+    const { filename, csv } = await insuranceService.exportClaims({
+      providerId: req.query.providerId,
+      insurer: req.query.insurer,
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.attachment(filename);
+    res.type('text/csv').send(csv);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+module.exports = {
+  getMyCovers,
+  createCover,
+  updateCover,
+  deleteCover,
+  setTripCover,
+  recordPreAuthorization,
+  getMyClaims,
+  exportMyClaims,
+  getAllClaims,
+  exportAllClaims
+};
@@ -0,0 +1,174 @@
+const asyncHandler = require('../utils/asyncHandler');
+const Provider = require('../models/providerModel');
+const notificationService = require('../services/notificationService');
+const { handleServiceError } = require('../utils/serviceErrors');
+
+/**
+ * Who the request is about: the signed-in patient, or with ?as=provider
+ * the provider account of the signed-in user
+ */
+const getRecipient = async (req, res) => {
+  if (req.query.as !== 'provider') {
+    return { type: 'user', id: req.userId };
+  }
+
+  const provider = await Provider.findOne({ firebaseId: req.userId }).select('_id');
+
+  if (!provider) {
+    res.status(403);
+    throw new Error('Not authorized as a provider');
+  }
+
+  return { type: 'provider', id: provider._id.toString() };
+};
+
+const getSocketService = (req) => req.app.get('socketService');
+
+/**
+ * @desc    List the inbox, newest first
+ * @route   GET /api/notifications?as=provider&unread=true&page=1&limit=20
+ * @access  Private
+ */
+const getNotifications = asyncHandler(async (req, res) => {
+  const recipient = await getRecipient(req, res);
+  const { unread, page, limit } = req.query;
+
+  try {
+    const result = await notificationService.listNotifications(recipient, {
+      unread: unread === 'true',
+      page,
+      limit
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Mark a notification read
+ * @route   PUT /api/notifications/:id/read?as=provider
+ * @access  Private
+ */
+const markNotificationRead = asyncHandler(async (req, res) => {
+  const recipient = await getRecipient(req, res);
+
+  try {
+    const result = await notificationService.markRead(recipient, req.params.id, {
+      socketService: getSocketService(req)
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Mark every notification read
+ * @route   PUT /api/notifications/read-all?as=provider
+ * @access  Private
+ */
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const recipient = await getRecipient(req, res);
+
+  try {
+    const result = await notificationService.markAllRead(recipient, {
+      socketService: getSocketService(req)
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Get notification preferences
+ * @route   GET /api/notifications/preferences?as=provider
+ * @access  Private
+ */
+const getPreferences = asyncHandler(async (req, res) => {
+  const recipient = await getRecipient(req, res);
+
+  try {
+    const preferences = await notificationService.getPreferences(recipient);
+    res.status(200).json(preferences);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Change notification preferences: channels, muted types, phone and email
+ * @route   PUT /api/notifications/preferences?as=provider
+ * @access  Private
+ */
+const updatePreferences = asyncHandler(async (req, res) => {
+  const recipient = await getRecipient(req, res);
+  const { channels, mutedTypes, phone, email } = req.body;
+
+  try {
+    const preferences = await notificationService.updatePreferences(recipient, { channels, mutedTypes, phone, email });
+    res.status(200).json(preferences);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Get the VAPID public key browsers subscribe to push with
+ * @route   GET /api/notifications/push/public-key
+ * @access  Public
+ */
+const getPushPublicKey = asyncHandler(async (req, res) => {
+  const publicKey = notificationService.getPushPublicKey();
+
+  if (!publicKey) {
+    res.status(404);
+    throw new Error('Push notifications are not configured');
+  }
+
+  res.status(200).json({ publicKey });
+});
+
+/**
+ * @desc    Register this browser's push subscription
+ * @route   POST /api/notifications/push/subscriptions?as=provider
+ * @access  Private
+ */
+const addPushSubscription = asyncHandler(async (req, res) => {
+  const recipient = await getRecipient(req, res);
+
+  try {
+    const preferences = await notificationService.addPushSubscription(recipient, req.body.subscription || req.body);
+    res.status(201).json(preferences);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Remove a push subscription, e.g. when the user signs out on this browser
+ * @route   DELETE /api/notifications/push/subscriptions?as=provider
+ * @access  Private
+ */
+const removePushSubscription = asyncHandler(async (req, res) => {
+  const recipient = await getRecipient(req, res);
+
+  try {
+    const preferences = await notificationService.removePushSubscription(recipient, req.body?.endpoint);
+    res.status(200).json(preferences);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences,
+  getPushPublicKey,
+  addPushSubscription,
+  removePushSubscription
+};
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const asyncHandler = require('../utils/asyncHandler');
+const Provider = require('../models/providerModel');
+const paymentService = require('../services/paymentService');
+const { ACTOR } = require('../../shared/tripLifecycle');
+const { handleServiceError } = require('../utils/serviceErrors');
+
+/**
+ * Who is acting: the signed-in patient, with ?as=provider the provider
+ * account of the signed-in user, or with ?as=admin an admin
+ */
+const getActor = async (req, res) => {
+  if (req.query.as === 'admin') {
+    if (!req.user?.isAdmin) {
+      res.status(403);
+      throw new Error('Not authorized as an admin');
+    }
+    return { actor: ACTOR.ADMIN, actorId: req.userId };
+  }
+
+  if (req.query.as !== 'provider') {
+    return { actor: ACTOR.PATIENT, actorId: req.userId };
+  }
+
+  const provider = await Provider.findOne({ firebaseId: req.userId }).select('_id');
+
+  if (!provider) {
+    res.status(403);
+    throw new Error('Not authorized as a provider');
+  }
+
+  return { actor: ACTOR.PROVIDER, actorId: provider._id };
+};
+
+const getSocketService = (req) => req.app.get('socketService');
+
+/**
+ * @desc    Pay for a trip by M-Pesa, cash or insurance. Send an Idempotency-Key
+ *          header to make retries safe.
+ * @route   POST /api/payments/trips/:tripId?as=provider
+ * @access  Private (the trip's patient, or its provider with ?as=provider)
+ */
+const payForTrip = asyncHandler(async (req, res) => {
+  const { actor, actorId } = await getActor(req, res);
+  const idempotencyKey = req.get('Idempotency-Key');
+
+  if (idempotencyKey && idempotencyKey.length > 255) {
+    res.status(400);
+    throw new Error('Idempotency-Key must be at most 255 characters');
+  }
+
+  try {
+    const { payment, created } = await paymentService.initiatePayment(req.params.tripId, {
+      method: req.body.method,
+      phone: req.body.phone,
+      insurance: req.body.insurance,
+      reference: req.body.reference
+    }, {
+      actor,
+      actorId,
+      idempotencyKey,
+      socketService: getSocketService(req)
+    });
+
+    res.status(created ? 201 : 200).json(payment);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Get the fare and payments of a trip
+ * @route   GET /api/payments/trips/:tripId?as=provider
+ * @access  Private (the trip's patient, its provider or an admin)
+ */
+const getTripPayments = asyncHandler(async (req, res) => {
+  const { actor, actorId } = await getActor(req, res);
+
+  try {
+    const result = await paymentService.getTripPayments(req.params.tripId, { actor, actorId });
+
+    res.status(200).json(result);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Get a payment, asking M-Pesa for its result if it is still pending
+ * @route   POST /api/payments/:id/refresh?as=provider
+ * @access  Private (the trip's patient, its provider or an admin)
+ */
+const refreshPayment = asyncHandler(async (req, res) => {
+  const { actor, actorId } = await getActor(req, res);
+
+  try {
+    const payment = await paymentService.refreshPayment(req.params.id, {
+      actor,
+      actorId,
+      socketService: getSocketService(req)
+    });
+
+    res.status(200).json(payment);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Settle a pending cash or insurance payment
+ * @route   PUT /api/payments/:id/settle?as=provider|admin (body: status PAID | FAILED, reference, reason)
+ * @access  Private (the trip's provider or an admin)
+ */
+const settlePayment = asyncHandler(async (req, res) => {
+  const { actor, actorId } = await getActor(req, res);
+
+  if (actor === ACTOR.PATIENT) {
+    res.status(403);
+    throw new Error('Only the provider or an admin can settle payments');
+  }
+
+  try {
+    const payment = await paymentService.settlePayment(req.params.id, {
+      status: req.body.status,
+      reference: req.body.reference,
+      reason: req.body.reason
+    }, {
+      actor,
+      actorId,
+      socketService: getSocketService(req)
+    });
+
+    res.status(200).json(payment);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Get the current provider's payments
+ * @route   GET /api/payments/provider?status=PENDING&page=1&limit=20
+ * @access  Private (Provider)
+ */
+const getProviderPayments = asyncHandler(async (req, res) => {
+  if (!req.provider) {
+    return res.status(200).json({ payments: [], pagination: { page: 1, limit: 20, total: 0, pages: 0 } });
+  }
+
+  const { status, page, limit } = req.query;
+  const result = await paymentService.listProviderPayments(req.provider._id, { status, page, limit });
+
+  res.status(200).json(result);
+});
+
+/**
+ * @desc    Get the current provider's payout summary
+ * @route   GET /api/payments/payouts?from=&to=
+ * @access  Private (Provider)
+ */
+const getMyPayouts = asyncHandler(async (req, res) => {
+  if (!req.provider) {
+    res.status(403);
+    throw new Error('Complete your provider profile to see payouts');
+  }
+
+  try {
+    const summary = await paymentService.getPayoutSummary({
+      providerId: req.provider._id,
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.status(200).json(summary);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Get the payout summary of every provider, or of one
+ * @route   GET /api/payments/payouts/all?providerId=&from=&to=
+ * @access  Private (Admin)
+ */
+const getAllPayouts = asyncHandler(async (req, res) => {
+  try {
+    const summary = await paymentService.getPayoutSummary({
+      providerId: req.query.providerId,
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.status(200).json(summary);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Get the reconciliation report of a period
+ * @route   GET /api/payments/reconciliation?providerId=&from=&to=
+ * @access  Private (Admin)
+ */
+const getReconciliationReport = asyncHandler(async (req, res) => {
+  try {
+    const report = await paymentService.getReconciliationReport({
+      providerId: req.query.providerId,
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.status(200).json(report);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * Check a callback token against MPESA_CALLBACK_TOKEN without leaking it through timing
+ */
+const isCallbackToken = (token) => {
+  const expected = process.env.MPESA_CALLBACK_TOKEN;
+
+  if (!expected || typeof token !== 'string') {
+    return false;
+  }
+
+  const given = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(given, crypto.createHash('sha256').update(expected).digest());
+};
+
+/**
+ * @desc    Result of an M-Pesa Express payment, posted by Daraja
+ * @route   POST /api/payments/mpesa/callback/:token
+ * @access  Public (Daraja), guarded by MPESA_CALLBACK_TOKEN
+ */
+const mpesaCallback = asyncHandler(async (req, res) => {
+  // Without a token anyone could post results, so callbacks are refused until one is set
+  if (!isCallbackToken(req.params.token)) {
+    console.warn(process.env.MPESA_CALLBACK_TOKEN
+      ? '[payments] M-Pesa callback with a wrong token rejected'
+      : '[payments] M-Pesa callback rejected, MPESA_CALLBACK_TOKEN is not set');
+    res.status(403);
+    throw new Error('Invalid callback token');
+  }
+
+  try {
+    await paymentService.handleMpesaCallback(req.body, { socketService: getSocketService(req) });
+  } catch (error) {
+    // Daraja doesn't act on errors; the status query picks the payment up later
+    console.error('[payments] Error handling M-Pesa callback:', error);
+  }
+
+  res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+});
+
+module.exports = {
+  payForTrip,
+  getTripPayments,
+  refreshPayment,
+  settlePayment,
+  getProviderPayments,
+  getMyPayouts,
+  getAllPayouts,
+  getReconciliationReport,
+  mpesaCallback
+};
@@ -0,0 +1,129 @@
+const asyncHandler = require('../utils/asyncHandler');
+const Provider = require('../models/providerModel');
+const providerService = require('../services/providerService');
+const complianceService = require('../services/complianceService');
+const { handleServiceError } = require('../utils/serviceErrors');
+
+/**
+ * @desc    List providers, optionally filtered by verification status
+ * @route   GET /api/providers?status=PENDING&page=1&limit=20
+ * @access  Private (Admin)
+ */
+const getProviders = asyncHandler(async (req, res) => {
+  const { status, page, limit } = req.query;
+
+  const validStatuses = ['PENDING', 'VERIFIED', 'REJECTED', 'SUSPENDED'];
+  if (status && !validStatuses.includes(status)) {
+    res.status(400);
+    throw new Error(`Invalid status. Valid values are: ${validStatuses.join(', ')}`);
+  }
+
+  const result = await providerService.listProviders({ status, page, limit });
+
+  res.status(200).json(result);
+});
+
+/**
+ * @desc    Get the public profile of a verified provider
+ * @route   GET /api/providers/:id
+ * @access  Public
+ */
+const getProviderById = asyncHandler(async (req, res) => {
+  const provider = await Provider.findOne({
+    _id: req.params.id,
+    verificationStatus: 'VERIFIED'
+  }).select('name logo phone address description operatingHours rating');
+
+  if (!provider) {
+    res.status(404);
+    throw new Error('Provider not found');
+  }
+
+  res.status(200).json(provider);
+});
+
+/**
+ * @desc    Get everything an admin needs to review a provider
+ * @route   GET /api/providers/:id/review
+ * @access  Private (Admin)
+ */
+const reviewProvider = asyncHandler(async (req, res) => {
+  const provider = await Provider.findById(req.params.id);
+
+  if (!provider) {
+    res.status(404);
+    throw new Error('Provider not found');
+  }
+
+  const stats = await providerService.getProviderStats(provider._id);
+  const documents = await complianceService.listDocuments({ providerId: provider._id });
+
+  res.status(200).json({
+    ...provider.toObject(),
+    stats,
+    documents
+  });
+});
+
+/**
+ * @desc    Verify a provider
+ * @route   PUT /api/providers/:id/verify
+ * @access  Private (Admin)
+ */
+const verifyProvider = asyncHandler(async (req, res) => {
+  try {
+    const provider = await providerService.setVerificationStatus(req.params.id, 'VERIFIED', {
+      reason: req.body?.reason,
+      adminId: req.userId
+    });
+
+    res.status(200).json(provider);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Reject a provider application
+ * @route   PUT /api/providers/:id/reject
+ * @access  Private (Admin)
+ */
+const rejectProvider = asyncHandler(async (req, res) => {
+  try {
+    const provider = await providerService.setVerificationStatus(req.params.id, 'REJECTED', {
+      reason: req.body?.reason,
+      adminId: req.userId
+    });
+
+    res.status(200).json(provider);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Suspend a verified provider
+ * @route   PUT /api/providers/:id/suspend
+ * @access  Private (Admin)
+ */
+const suspendProvider = asyncHandler(async (req, res) => {
+  try {
+    const provider = await providerService.setVerificationStatus(req.params.id, 'SUSPENDED', {
+      reason: req.body?.reason,
+      adminId: req.userId
+    });
+
+    res.status(200).json(provider);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+module.exports = {
+  getProviders,
+  getProviderById,
+  reviewProvider,
+  verifyProvider,
+  rejectProvider,
+  suspendProvider
+};
@@ -0,0 +1,97 @@
+const asyncHandler = require('../utils/asyncHandler');
+const shiftService = require('../services/shiftService');
+const { handleServiceError } = require('../utils/serviceErrors');
+
+/**
+ * Ensure the current user has a provider profile with ambulances to roster
+ */
+const requireProvider = (req, res) => {
+  if (!req.provider) {
+    res.status(403);
+    throw new Error('Complete your provider profile before planning shifts');
+  }
+};
+
+/**
+ * @desc    Get the shifts of an ambulance between two dates
+ * @route   GET /api/ambulances/:id/shifts?from=&to=
+ * @access  Private (Provider)
+ */
+const getShifts = asyncHandler(async (req, res) => {
+  requireProvider(req, res);
+
+  try {
+    const shifts = await shiftService.getShifts(req.provider._id, req.params.id, {
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.status(200).json(shifts);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Add a shift to an ambulance, optionally repeated daily
+ * @route   POST /api/ambulances/:id/shifts
+ * @access  Private (Provider)
+ */
+const createShifts = asyncHandler(async (req, res) => {
+  requireProvider(req, res);
+
+  try {
+    const shifts = await shiftService.createShifts(req.provider._id, req.params.id, req.body, {
+      socketService: req.app.get('socketService')
+    });
+
+    res.status(201).json(shifts);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Change a shift's times, crew or note
+ * @route   PUT /api/ambulances/:id/shifts/:shiftId
+ * @access  Private (Provider)
+ */
+const updateShift = asyncHandler(async (req, res) => {
+  requireProvider(req, res);
+
+  try {
+    const shift = await shiftService.updateShift(req.provider._id, req.params.id, req.params.shiftId, req.body, {
+      socketService: req.app.get('socketService')
+    });
+
+    res.status(200).json(shift);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Remove a shift
+ * @route   DELETE /api/ambulances/:id/shifts/:shiftId
+ * @access  Private (Provider)
+ */
+const deleteShift = asyncHandler(async (req, res) => {
+  requireProvider(req, res);
+
+  try {
+    await shiftService.deleteShift(req.provider._id, req.params.id, req.params.shiftId, {
+      socketService: req.app.get('socketService')
+    });
+
+    res.status(200).json({ message: 'Shift removed' });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+module.exports = {
+  getShifts,
+  createShifts,
+  updateShift,
+  deleteShift
+};
@@ -0,0 +1,68 @@
+const asyncHandler = require('../utils/asyncHandler');
+const fareService = require('../services/fareService');
+const { handleServiceError } = require('../utils/serviceErrors');
+
+/**
+ * Ensure the current user has a provider profile to price trips for
+ */
+const requireProvider = (req, res) => {
+  if (!req.provider) {
+    res.status(403);
+    throw new Error('Complete your provider profile before setting tariffs');
+  }
+};
+
+/**
+ * @desc    Get the current provider's tariffs and the default tariff
+ * @route   GET /api/tariffs
+ * @access  Private (Provider)
+ */
+const getMyTariffs = asyncHandler(async (req, res) => {
+  if (!req.provider) {
+    return res.status(200).json({ tariffs: [], defaultTariff: fareService.DEFAULT_TARIFF });
+  }
+
+  const result = await fareService.getProviderTariffs(req.provider._id);
+
+  res.status(200).json(result);
+});
+
+/**
+ * @desc    Create or replace the tariff of an ambulance type
+ * @route   PUT /api/tariffs/:ambulanceType
+ * @access  Private (Provider)
+ */
+const saveTariff = asyncHandler(async (req, res) => {
+  requireProvider(req, res);
+
+  try {
+    const tariff = await fareService.saveTariff(req.provider._id, req.params.ambulanceType, req.body);
+
+    res.status(200).json(tariff);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+/**
+ * @desc    Delete the tariff of an ambulance type
+ * @route   DELETE /api/tariffs/:ambulanceType
+ * @access  Private (Provider)
+ */
+const deleteTariff = asyncHandler(async (req, res) => {
+  requireProvider(req, res);
+
+  try {
+    await fareService.deleteTariff(req.provider._id, req.params.ambulanceType);
+
+    res.status(200).json({ message: 'Tariff deleted' });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+module.exports = {
+  getMyTariffs,
+  saveTariff,
+  deleteTariff
+};
@@ -0,0 +1,65 @@
+const asyncHandler = require('../utils/asyncHandler');
+const patientService = require('../services/patientService');
+const { handleServiceError } = require('../utils/serviceErrors');
+
+/**
+ * Details from the sign-in token used for new profiles
+ */
+const getTokenDefaults = (req) => ({
+  name: req.user?.name,
+  email: req.user?.email,
+  phone: req.user?.phone_number
+});
+
+/**
+ * @desc    Get the current patient's profile
+ * @route   GET /api/users/me
+ * @access  Private
+ */
+const getMe = asyncHandler(async (req, res) => {
+  const profile = await patientService.getProfile(req.userId, getTokenDefaults(req));
+
+  res.status(200).json(profile);
+});
+
+/**
+ * @desc    Create or update the current patient's profile
+ * @route   PUT /api/users/me
+ * @access  Private
+ */
+const updateMe = asyncHandler(async (req, res) => {
+  const {
+    name,
+    phone,
+    dateOfBirth,
+    gender,
+    bloodType,
+    chronicConditions,
+    allergies,
+    medications,
+    emergencyContacts
+  } = req.body;
+
+  try {
+    const profile = await patientService.updateProfile(req.userId, {
+      name,
+      phone,
+      dateOfBirth,
+      gender,
+      bloodType,
+      chronicConditions,
+      allergies,
+      medications,
+      emergencyContacts
+    }, getTokenDefaults(req));
+
+    res.status(200).json(profile);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+});
+
+module.exports = {
+  getMe,
+  updateMe
+};
@@ -1,6 +1,26 @@
+const mongoose = require('mongoose');
 const admin = require('../config/firebase-admin');
 const asyncHandler = require('express-async-handler');
 const Provider = require('../models/providerModel');
+const Hospital = require('../models/hospitalModel');
+const CrewMember = require('../models/crewMemberModel');
+
+/**
+ * Verify a Firebase ID token and read the user's identity and roles from it.
+ * Shared by the HTTP and Socket.IO authentication.
+ * @param {String} token Firebase ID token
+ * @returns {Promise<Object>} { uid, isAdmin, hospitalId }
+ */
+const getUserFromToken = async (token) => {
+  const decodedToken = await admin.auth().verifyIdToken(token);
+  
+  // Roles are granted through custom claims; hospital staff carry their hospital's ID
+  return {
+    uid: decodedToken.uid,
+    isAdmin: decodedToken.isAdmin === true,
+    hospitalId: typeof decodedToken.hospitalId === 'string' ? decodedToken.hospitalId : null
+  };
+};
 
 /**
  * Middleware to verify Firebase ID token
@@ -21,14 +41,13 @@ const verifyFirebaseToken = asyncHandler(async (req, res, next) => {
       throw new Error('Not authorized, token is empty');
     }
     
-    // After decoding the token
-    const decodedToken = await admin.auth().verifyIdToken(token);
-    console.log('✅ Decoded Firebase token:', decodedToken);
+    const user = await getUserFromToken(token);
+    console.log('✅ Decoded Firebase token for user:', user.uid);
 
     // Set user ID in req object
-    req.userId = decodedToken.uid;
-    // Initialize req.user object
-    req.user = { uid: decodedToken.uid };
+    req.userId = user.uid;
+    // Initialize req.user object, including roles
+    req.user = user;
     
     // Continue to next middleware
     next();
@@ -82,26 +101,118 @@ const isProvider = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * Load the signed-in user's crew member record into req.crewMember, if they
+ * are an active crew member. req.user.providerId becomes the provider they work for.
+ * @returns {Promise<Object|null>} Crew member
+ */
+const loadCrewMember = async (req) => {
+  const crewMember = req.userId
+    ? await CrewMember.findOne({ firebaseId: req.userId, isActive: true })
+    : null;
+
+  if (crewMember) {
+    req.crewMember = crewMember;
+    req.user = { ...req.user, providerId: crewMember.providerId, crewMemberId: crewMember._id };
+  }
+
+  return crewMember;
+};
+
+/**
+ * Middleware to check if user is an active crew member
+ * Must be used after verifyFirebaseToken
+ */
+const isCrewMember = asyncHandler(async (req, res, next) => {
+  if (await loadCrewMember(req)) {
+    return next();
+  }
+
+  console.error(`❌ User ${req.userId} is not an active crew member`);
+  res.status(403);
+  throw new Error('Not authorized as a crew member');
+});
+
+/**
+ * Middleware for what both providers and their crew may do, e.g. updating a
+ * trip. Crew members get req.crewMember, providers go through isProvider.
+ * Must be used after verifyFirebaseToken
+ */
+const isProviderOrCrew = asyncHandler(async (req, res, next) => {
+  if (await loadCrewMember(req)) {
+    return next();
+  }
+
+  return isProvider(req, res, next);
+});
 
 /**
  * Middleware to check if provider is verified
  * Must be used after isProvider
  */
 const isVerifiedProvider = asyncHandler(async (req, res, next) => {
-  return next();
+  if (req.provider && req.provider.verificationStatus === 'VERIFIED') {
+    return next();
+  }
   
-  /*
-  if (req.provider && req.provider.verified) {
-    next();
-  } else {
-    res.status(403);
-    throw new Error('Provider account not verified');
+  const status = req.provider ? req.provider.verificationStatus : 'PENDING';
+  console.warn(`⚠️ Provider ${req.provider?._id || req.userId} is not verified (${status})`);
+  
+  res.status(403);
+  
+  if (status === 'SUSPENDED') {
+    throw new Error(`Provider account suspended: ${req.provider.verificationReason || 'contact support'}`);
+  }
+  
+  if (status === 'REJECTED') {
+    throw new Error(`Provider application rejected: ${req.provider.verificationReason || 'contact support'}`);
   }
-  */
+  
+  throw new Error('Provider account not verified yet');
+});
+
+/**
+ * Middleware to check if user is an admin (isAdmin custom claim)
+ * Must be used after verifyFirebaseToken
+ */
+const isAdmin = asyncHandler(async (req, res, next) => {
+  if (req.user && req.user.isAdmin) {
+    return next();
+  }
+  
+  console.error(`❌ User ${req.userId} is not an admin`);
+  res.status(403);
+  throw new Error('Not authorized as an admin');
+});
+
+/**
+ * Middleware to check if user works at a hospital (hospitalId custom claim)
+ * and load the hospital into req.hospital
+ * Must be used after verifyFirebaseToken
+ */
+const isHospitalStaff = asyncHandler(async (req, res, next) => {
+  const hospitalId = req.user && req.user.hospitalId;
+  const hospital = hospitalId && mongoose.isValidObjectId(hospitalId)
+    ? await Hospital.findById(hospitalId)
+    : null;
+
+  if (hospital && hospital.isActive) {
+    req.hospital = hospital;
+    return next();
+  }
+
+  console.error(`❌ User ${req.userId} is not hospital staff${hospitalId ? ` (hospital ${hospitalId} not found or inactive)` : ''}`);
+  res.status(403);
+  throw new Error('Not authorized as hospital staff');
 });
 
 module.exports = { 
+  getUserFromToken,
   verifyFirebaseToken, 
   isProvider, 
-  isVerifiedProvider 
+  isCrewMember,
+  isProviderOrCrew,
+  isVerifiedProvider,
+  isAdmin,
+  isHospitalStaff
 };
\ No newline at end of file
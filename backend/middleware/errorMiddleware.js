@@ -29,8 +29,10 @@ const errorHandler = (err, req, res, next) => {
     }
   }
 
-  // Default error
-  res.status(err.status || 500).json({
+  // Default error - keep a status the controller already set (e.g. 404, 409)
+  const statusCode = err.status || (res.statusCode && res.statusCode !== 200 ? res.statusCode : 500);
+
+  res.status(statusCode).json({
     message: err.message || 'Internal Server Error',
     error: process.env.NODE_ENV === 'development' ? err : undefined
   });
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const Provider = require('../models/providerModel');
+const Trip = require('../models/tripModel');
+const Ambulance = require('../models/ambulanceModel');
+const CrewMember = require('../models/crewMemberModel');
+const { getUserFromToken } = require('./authMiddleware');
+const { ACTIVE_STATUSES } = require('../../shared/tripLifecycle');
+
+/**
+ * Read the Firebase ID token a client sent with the Socket.IO handshake:
+ * `auth: { token }`, an `Authorization: Bearer` header or a `token` query parameter
+ */
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {}, query = {} } = socket.handshake;
+
+  if (auth.token) {
+    return auth.token;
+  }
+
+  if (headers.authorization && headers.authorization.startsWith('Bearer ')) {
+    return headers.authorization.split(' ')[1];
+  }
+
+  return query.token || null;
+};
+
+/**
+ * Find the provider account, or failing that the active crew member record,
+ * of a Firebase user
+ * @param {String} uid Firebase UID
+ * @returns {Promise<Object>} { providerId, crewMemberId }, null where they have none
+ */
+const findAccountIds = async (uid) => {
+  const provider = await Provider.findOne({ firebaseId: uid }).select('_id');
+
+  if (provider) {
+    return { providerId: provider._id.toString(), crewMemberId: null };
+  }
+
+  const crewMember = await CrewMember.findOne({ firebaseId: uid, isActive: true }).select('_id');
+  return { providerId: null, crewMemberId: crewMember ? crewMember._id.toString() : null };
+};
+
+/**
+ * Socket.IO middleware that identifies the user behind a connection from their
+ * Firebase ID token, the same way verifyFirebaseToken does for HTTP requests.
+ * Sets socket.data.user ({ uid, isAdmin, hospitalId }), socket.data.providerId
+ * and, for crew members, socket.data.crewMemberId.
+ * Connections without a token are let in anonymously and can only use public
+ * events; connections with an invalid token are refused.
+ */
+const authenticateSocket = async (socket, next) => {
+  socket.data.user = null;
+  socket.data.providerId = null;
+  socket.data.crewMemberId = null;
+
+  const token = getHandshakeToken(socket);
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    socket.data.user = await getUserFromToken(token);
+    Object.assign(socket.data, await findAccountIds(socket.data.user.uid));
+
+    next();
+  } catch (error) {
+    console.error(`Socket ${socket.id} sent an invalid token:`, error.message);
+    const authError = new Error('Not authorized, invalid token');
+    authError.data = { status: 401 };
+    next(authError);
+  }
+};
+
+/**
+ * Check whether a socket's user may follow a trip: its patient, the provider
+ * it is assigned to, the crew of its ambulance, staff of the hospital it is
+ * heading to or an admin
+ * @param {Object} socket Authenticated socket
+ * @param {String} tripId Trip ID
+ * @returns {Promise<Boolean>} Whether the socket may subscribe to the trip
+ */
+const canAccessTrip = async (socket, tripId) => {
+  const { user, providerId, crewMemberId } = socket.data;
+
+  if (!user || !mongoose.isValidObjectId(tripId)) {
+    return false;
+  }
+
+  if (user.isAdmin) {
+    return true;
+  }
+
+  const trip = await Trip.findById(tripId).select('userId providerId ambulanceId destinationHospitalId');
+
+  if (!trip) {
+    return false;
+  }
+
+  // Assignments change between trips, so they are checked every time
+  if (crewMemberId && trip.ambulanceId
+    && await CrewMember.exists({ _id: crewMemberId, ambulanceIds: trip.ambulanceId, isActive: true })) {
+    return true;
+  }
+
+  return trip.userId === user.uid
+    || (!!providerId && !!trip.providerId && trip.providerId.toString() === providerId)
+    || (!!user.hospitalId && !!trip.destinationHospitalId && trip.destinationHospitalId.toString() === user.hospitalId);
+};
+
+/**
+ * Check whether a socket's user may follow the position of an ambulance: its
+ * provider, its crew, an admin, or the patient or destination hospital staff
+ * of a trip the ambulance is serving
+ * @param {Object} socket Authenticated socket
+ * @param {String} ambulanceId Ambulance ID
+ * @returns {Promise<Boolean>} Whether the socket may subscribe to the ambulance
+ */
+const canFollowAmbulance = async (socket, ambulanceId) => {
+  const { user, providerId, crewMemberId } = socket.data;
+
+  if (!user || !mongoose.isValidObjectId(ambulanceId)) {
+    return false;
+  }
+
+  if (user.isAdmin) {
+    return true;
+  }
+
+  const ambulance = await Ambulance.findById(ambulanceId).select('providerId');
+
+  if (!ambulance) {
+    return false;
+  }
+
+  if (providerId && ambulance.providerId.toString() === providerId) {
+    return true;
+  }
+
+  if (crewMemberId && await CrewMember.exists({ _id: crewMemberId, ambulanceIds: ambulance._id, isActive: true })) {
+    return true;
+  }
+
+  const followers = [{ userId: user.uid }];
+  if (user.hospitalId) {
+    followers.push({ destinationHospitalId: user.hospitalId });
+  }
+
+  return !!(await Trip.exists({
+    ambulanceId: ambulance._id,
+    status: { $in: ACTIVE_STATUSES },
+    $or: followers
+  }));
+};
+
+module.exports = {
+  authenticateSocket,
+  findAccountIds,
+  canAccessTrip,
+  canFollowAmbulance
+};
@@ -0,0 +1,35 @@
+const multer = require('multer');
+
+const ALLOWED_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+const MAX_FILE_SIZE_MB = parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 10;
+
+// Keep uploads in memory; the storage backend decides where they end up
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only PDF, JPEG and PNG files are allowed'));
+  }
+});
+
+/**
+ * Middleware to accept a single document upload in the `file` field
+ * Rejected files and oversized uploads are answered with 400
+ */
+const uploadDocumentFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      res.status(400);
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return next(new Error(`File is too large, the limit is ${MAX_FILE_SIZE_MB} MB`));
+      }
+      return next(error);
+    }
+    next();
+  });
+};
+
+module.exports = { uploadDocumentFile };
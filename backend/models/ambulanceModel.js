@@ -40,11 +40,31 @@ const ambulanceSchema = new mongoose.Schema({
       default: [0, 0]
     }
   },
+  // Smoothing state of the last accepted GPS fix (see trackingService). It lives
+  // here rather than in memory so every backend instance filters the same way.
+  tracking: {
+    type: new mongoose.Schema({
+      latitude: Number,
+      longitude: Number,
+      variance: Number,
+      time: Date
+    }, { _id: false }),
+    select: false
+  },
   status: {
     type: String,
     enum: ['AVAILABLE', 'BUSY', 'OFFLINE'],
     default: 'OFFLINE'
   },
+  // Set to EXPIRED while the ambulance's inspection certificate is expired
+  complianceStatus: {
+    type: String,
+    enum: ['COMPLIANT', 'EXPIRED'],
+    default: 'COMPLIANT'
+  },
+  complianceFlaggedAt: {
+    type: Date
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Licence, insurance or inspection document uploaded by a provider
+const complianceDocumentSchema = new mongoose.Schema(
+  {
+    providerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Provider',
+      required: true,
+    },
+    // Set for documents that belong to a single ambulance (inspection certificates)
+    ambulanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ambulance',
+    },
+    type: {
+      type: String,
+      enum: ['BUSINESS_LICENSE', 'INSURANCE_CERTIFICATE', 'INSPECTION_CERTIFICATE'],
+      required: true,
+    },
+    file: {
+      storage: {
+        type: String, // Storage backend the file was saved with
+        required: true,
+      },
+      key: {
+        type: String,
+        required: true,
+      },
+      originalName: String,
+      mimeType: String,
+      size: Number,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Please add an expiry date'],
+    },
+    reviewStatus: {
+      type: String,
+      enum: ['PENDING', 'APPROVED', 'REJECTED', 'EXPIRED'],
+      default: 'PENDING',
+    },
+    reviewReason: {
+      type: String,
+    },
+    reviewedBy: {
+      type: String, // Firebase UID of the admin
+    },
+    reviewedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+complianceDocumentSchema.index({ providerId: 1, type: 1 });
+complianceDocumentSchema.index({ reviewStatus: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('ComplianceDocument', complianceDocumentSchema);
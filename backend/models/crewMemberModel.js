@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const CREW_ROLES = ['DRIVER', 'EMT', 'PARAMEDIC', 'NURSE'];
+
+// A licence or course the crew member holds, e.g. BLS or a driving licence
+const certificationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Every certification needs a name'],
+      trim: true,
+    },
+    number: {
+      type: String,
+      trim: true,
+    },
+    issuedBy: {
+      type: String,
+      trim: true,
+    },
+    expiresAt: Date,
+  },
+  { _id: true }
+);
+
+// Someone working on a provider's ambulances. Crew members sign in with their
+// own Firebase account and may only move the trips of the ambulances they are
+// assigned to; the provider account keeps control of the whole fleet.
+const crewMemberSchema = new mongoose.Schema(
+  {
+    providerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Provider',
+      required: true,
+      index: true,
+    },
+    firebaseId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Crew member name is required'],
+      trim: true,
+    },
+    email: {
+      type: String,
+      required: [true, 'Crew member email is required'],
+      trim: true,
+      lowercase: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: {
+        values: CREW_ROLES,
+        message: `Crew role must be one of ${CREW_ROLES.join(', ')}`,
+      },
+      required: [true, 'Crew role is required'],
+    },
+    certifications: {
+      type: [certificationSchema],
+      default: [],
+    },
+    ambulanceIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ambulance',
+      },
+    ],
+    // Inactive crew members can no longer sign in to update trips
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+crewMemberSchema.index({ ambulanceIds: 1 });
+
+crewMemberSchema.statics.CREW_ROLES = CREW_ROLES;
+
+module.exports = mongoose.model('CrewMember', crewMemberSchema);
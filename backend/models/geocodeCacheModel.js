@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Cached geocoding lookups, so repeated searches don't hit the geocoder again
+const geocodeCacheSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['FORWARD', 'REVERSE'],
+      required: true,
+    },
+    // Normalised search text, or rounded "lat,lng" for reverse lookups
+    key: {
+      type: String,
+      required: true,
+    },
+    results: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+    source: {
+      type: String, // Geocoder that produced the results
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+geocodeCacheSchema.index({ kind: 1, key: 1 }, { unique: true });
+// MongoDB removes entries once they expire
+geocodeCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GeocodeCache', geocodeCacheSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { HOSPITAL_CAPABILITIES, TRAUMA_LEVELS } = require('../../shared/hospitalCapabilities');
+
+// A number crews can call ahead on, e.g. casualty or the maternity ward
+const contactSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      trim: true,
+    },
+    phone: {
+      type: String,
+      required: [true, 'Every contact needs a phone number'],
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+// Hospital ambulances can take patients to, kept by admins
+const hospitalSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Hospital name is required'],
+      trim: true,
+    },
+    address: {
+      type: String,
+      trim: true,
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point',
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: [true, 'Hospital location is required'],
+      },
+    },
+    // None when the hospital doesn't take trauma patients
+    traumaLevel: {
+      type: Number,
+      enum: {
+        values: TRAUMA_LEVELS,
+        message: `Trauma level must be one of ${TRAUMA_LEVELS.join(', ')}`,
+      },
+    },
+    capabilities: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: Object.keys(HOSPITAL_CAPABILITIES).filter(key => key !== 'TRAUMA'),
+            message: 'Unknown hospital capability: {VALUE}',
+          },
+        },
+      ],
+      default: [],
+    },
+    contacts: {
+      type: [contactSchema],
+      default: [],
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    // How the hospital receives pre-arrival packets: by email to the address
+    // above, or posted as JSON to its webhook
+    handoverChannel: {
+      type: String,
+      enum: {
+        values: ['EMAIL', 'WEBHOOK', 'NONE'],
+        message: 'Handover channel must be EMAIL, WEBHOOK or NONE',
+      },
+      default: 'EMAIL',
+    },
+    webhookUrl: {
+      type: String,
+      trim: true,
+    },
+    // Signs webhook bodies so the hospital can tell they came from us
+    webhookSecret: {
+      type: String,
+      select: false,
+    },
+    // Inactive hospitals are kept for past trips but never recommended
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+hospitalSchema.index({ location: '2dsphere' });
+
+module.exports = mongoose.model('Hospital', hospitalSchema);
@@ -1,9 +1,35 @@
 const Provider = require('./providerModel');
 const Ambulance = require('./ambulanceModel');
 const Trip = require('./tripModel');
+const TripEvent = require('./tripEventModel');
+const ComplianceDocument = require('./complianceDocumentModel');
+const GeocodeCache = require('./geocodeCacheModel');
+const TripTrackPoint = require('./tripTrackPointModel');
+const Notification = require('./notificationModel');
+const NotificationPreference = require('./notificationPreferenceModel');
+const Tariff = require('./tariffModel');
+const Payment = require('./paymentModel');
+const InsuranceCover = require('./insuranceCoverModel');
+const Patient = require('./patientModel');
+const Hospital = require('./hospitalModel');
+const CrewMember = require('./crewMemberModel');
+const Shift = require('./shiftModel');
 
 module.exports = {
   Provider,
   Ambulance,
-  Trip
+  Trip,
+  TripEvent,
+  ComplianceDocument,
+  GeocodeCache,
+  TripTrackPoint,
+  Notification,
+  NotificationPreference,
+  Tariff,
+  Payment,
+  InsuranceCover,
+  Patient,
+  Hospital,
+  CrewMember,
+  Shift
 };
\ No newline at end of file
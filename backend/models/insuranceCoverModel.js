@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Insurance a patient saved to their profile, attached to trips they request
+const insuranceCoverSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String, // Firebase user ID
+      required: true,
+    },
+    insurer: {
+      type: String, // Known insurers use the name in shared/insurers.js
+      required: true,
+      trim: true,
+    },
+    scheme: {
+      type: String, // e.g. the employer's scheme or the product name
+      trim: true,
+    },
+    memberNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // The member who holds the cover, when the patient is a dependant
+    principalName: {
+      type: String,
+      trim: true,
+    },
+    relationship: {
+      type: String,
+      enum: ['SELF', 'SPOUSE', 'CHILD', 'OTHER'],
+      default: 'SELF',
+    },
+    // Attached to new trips unless the patient picks another one
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+insuranceCoverSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('InsuranceCover', insuranceCoverSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Outcome of sending a notification over one external channel
+const deliverySchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: ['sms', 'email', 'push'],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['PENDING', 'SENT', 'FAILED', 'SKIPPED'],
+      default: 'PENDING',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Why the channel was skipped, or the error of the last failed attempt
+    lastError: {
+      type: String,
+    },
+    sentAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
+// A message for a patient or provider. Every notification is stored, which
+// makes it the recipient's in-app inbox; deliveries track the other channels.
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: {
+        type: String,
+        enum: ['user', 'provider'],
+        required: true,
+      },
+      id: {
+        type: String, // Firebase UID for patients, provider ID for providers
+        required: true,
+      },
+    },
+    type: {
+      type: String, // Template it was rendered from, e.g. TRIP_ACCEPTED
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Trip',
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    deliveries: {
+      type: [deliverySchema],
+      default: [],
+    },
+    readAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ 'recipient.type': 1, 'recipient.id': 1, createdAt: -1 });
+// Unread counts
+notificationSchema.index({ 'recipient.type': 1, 'recipient.id': 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
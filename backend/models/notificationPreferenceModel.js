@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Browser push subscription, as returned by PushManager.subscribe()
+const pushSubscriptionSchema = new mongoose.Schema(
+  {
+    endpoint: {
+      type: String,
+      required: true,
+    },
+    keys: {
+      p256dh: {
+        type: String,
+        required: true,
+      },
+      auth: {
+        type: String,
+        required: true,
+      },
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// How a patient or provider wants to be notified. Recipients without one get
+// every channel, at the phone number and email address we already know.
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: {
+        type: String,
+        enum: ['user', 'provider'],
+        required: true,
+      },
+      id: {
+        type: String, // Firebase UID for patients, provider ID for providers
+        required: true,
+      },
+    },
+    channels: {
+      sms: {
+        type: Boolean,
+        default: true,
+      },
+      email: {
+        type: Boolean,
+        default: true,
+      },
+      push: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    // Notification types only kept in the in-app inbox
+    mutedTypes: {
+      type: [String],
+      default: [],
+    },
+    // Override the phone number and email address of the account or trip
+    phone: {
+      type: String,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    pushSubscriptions: {
+      type: [pushSubscriptionSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationPreferenceSchema.index({ 'recipient.type': 1, 'recipient.id': 1 }, { unique: true });
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
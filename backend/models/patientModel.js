@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+// Someone the crew should call when the patient can't speak for themselves
+const emergencyContactSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Every emergency contact needs a name'],
+      trim: true,
+    },
+    relationship: {
+      type: String,
+      trim: true,
+    },
+    phone: {
+      type: String,
+      required: [true, 'Every emergency contact needs a phone number'],
+      trim: true,
+    },
+  },
+  { _id: true }
+);
+
+const medicationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Every medication needs a name'],
+      trim: true,
+    },
+    dosage: {
+      type: String, // e.g. 500mg twice a day
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+// Profile of a patient (any signed-in user who isn't acting as a provider),
+// used to pre-fill the patient details of their ambulance requests
+const patientSchema = new mongoose.Schema(
+  {
+    firebaseId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    dateOfBirth: {
+      type: Date,
+    },
+    gender: {
+      type: String,
+      enum: {
+        values: ['MALE', 'FEMALE', 'OTHER'],
+        message: 'Gender must be MALE, FEMALE or OTHER',
+      },
+    },
+    bloodType: {
+      type: String,
+      enum: {
+        values: BLOOD_TYPES,
+        message: `Blood type must be one of ${BLOOD_TYPES.join(', ')}`,
+      },
+    },
+    chronicConditions: {
+      type: [String],
+      default: [],
+    },
+    allergies: {
+      type: [String],
+      default: [],
+    },
+    medications: {
+      type: [medicationSchema],
+      default: [],
+    },
+    emergencyContacts: {
+      type: [emergencyContactSchema],
+      default: [],
+      validate: {
+        validator: (contacts) => contacts.length <= 5,
+        message: 'At most 5 emergency contacts can be saved',
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+patientSchema.statics.BLOOD_TYPES = BLOOD_TYPES;
+
+module.exports = mongoose.model('Patient', patientSchema);
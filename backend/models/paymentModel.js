@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { ACTOR } = require('../../shared/tripLifecycle');
+
+// One attempt to pay for a trip. A trip may have several, e.g. an M-Pesa
+// prompt the patient cancelled followed by a cash payment; at most one is PAID.
+const paymentSchema = new mongoose.Schema(
+  {
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Trip',
+      required: true,
+    },
+    userId: {
+      type: String, // Firebase UID of the patient
+      required: true,
+    },
+    providerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Provider',
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: ['MPESA', 'CASH', 'INSURANCE'],
+      required: true,
+    },
+    amount: {
+      type: Number, // The trip's fare when the payment started
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: 'KES',
+    },
+    // PENDING until M-Pesa answers, the provider confirms the cash or the insurer settles
+    status: {
+      type: String,
+      enum: ['PENDING', 'PAID', 'FAILED', 'CANCELLED'],
+      default: 'PENDING',
+    },
+    // Sent by the client so a retried request doesn't pay twice
+    idempotencyKey: {
+      type: String,
+    },
+    phone: {
+      type: String, // M-Pesa number, 2547XXXXXXXX
+    },
+    mpesa: {
+      merchantRequestId: String,
+      checkoutRequestId: String,
+      receiptNumber: String,
+      resultCode: Number,
+      resultDesc: String,
+      amountPaid: Number, // As reported by M-Pesa
+      transactionDate: String, // YYYYMMDDHHmmss as reported by M-Pesa
+      callbackReceivedAt: Date,
+    },
+    insurance: {
+      insurer: String,
+      memberNumber: String,
+    },
+    // Cash receipt or insurance claim number
+    reference: {
+      type: String,
+    },
+    failureReason: {
+      type: String,
+    },
+    initiatedBy: {
+      actor: {
+        type: String,
+        enum: Object.values(ACTOR),
+      },
+      id: String, // Firebase UID for patients, provider ID for providers
+    },
+    settledBy: {
+      actor: {
+        type: String,
+        enum: Object.values(ACTOR),
+      },
+      id: String,
+    },
+    paidAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+paymentSchema.index({ tripId: 1, createdAt: -1 });
+paymentSchema.index({ providerId: 1, status: 1, paidAt: -1 });
+paymentSchema.index({ idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } });
+// An M-Pesa prompt can't be withdrawn, so a trip has at most one waiting for an answer
+paymentSchema.index({ tripId: 1 }, { unique: true, partialFilterExpression: { method: 'MPESA', status: 'PENDING' } });
+// A trip is paid once; whichever payment gets there second is refused
+paymentSchema.index({ tripId: 1 }, { name: 'tripId_paid', unique: true, partialFilterExpression: { status: 'PAID' } });
+paymentSchema.index({ 'mpesa.checkoutRequestId': 1 }, { unique: true, partialFilterExpression: { 'mpesa.checkoutRequestId': { $type: 'string' } } });
+
+module.exports = mongoose.model('Payment', paymentSchema);
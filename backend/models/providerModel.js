@@ -1,4 +1,29 @@
 const mongoose = require('mongoose');
+const { TIME_PATTERN } = require('../utils/scheduleUtils');
+
+// One opening period of the week, e.g. Monday 08:00 to 20:00. A period
+// closing at or before its opening time runs past midnight.
+const openingPeriodSchema = new mongoose.Schema(
+  {
+    day: {
+      type: Number,
+      required: [true, 'Every opening period needs a day'],
+      min: [0, 'Opening day must be 0 (Sunday) to 6 (Saturday)'],
+      max: [6, 'Opening day must be 0 (Sunday) to 6 (Saturday)'],
+    },
+    opensAt: {
+      type: String,
+      required: [true, 'Every opening period needs an opening time'],
+      match: [TIME_PATTERN, 'Opening times must be HH:MM'],
+    },
+    closesAt: {
+      type: String,
+      required: [true, 'Every opening period needs a closing time'],
+      match: [TIME_PATTERN, 'Closing times must be HH:MM'],
+    },
+  },
+  { _id: false }
+);
 
 const providerSchema = new mongoose.Schema(
   {
@@ -36,14 +61,57 @@ const providerSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Onboarding review state; `verified` is kept in sync for older clients
+    verificationStatus: {
+      type: String,
+      enum: ['PENDING', 'VERIFIED', 'REJECTED', 'SUSPENDED'],
+      default: 'PENDING',
+    },
+    verificationReason: {
+      type: String,
+    },
+    verifiedAt: {
+      type: Date,
+    },
+    verificationHistory: [
+      {
+        status: {
+          type: String,
+          enum: ['PENDING', 'VERIFIED', 'REJECTED', 'SUSPENDED'],
+          required: true,
+        },
+        reason: {
+          type: String,
+        },
+        reviewedBy: {
+          type: String, // Firebase UID of the admin
+        },
+        reviewedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     businessLicense: {
       type: String,
     },
+    // Set to EXPIRED while one of the provider's own documents is expired
+    complianceStatus: {
+      type: String,
+      enum: ['COMPLIANT', 'EXPIRED'],
+      default: 'COMPLIANT',
+    },
+    complianceFlaggedAt: {
+      type: Date,
+    },
     description: {
       type: String,
     },
+    // Weekly opening hours in SCHEDULE_TIMEZONE. Dispatch only offers the
+    // provider's ambulances while it is open; no periods means around the clock.
     operatingHours: {
-      type: String,
+      type: [openingPeriodSchema],
+      default: [],
     },
     rating: {
       type: Number,
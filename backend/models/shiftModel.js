@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const MAX_SHIFT_HOURS = 24;
+
+// A period an ambulance is on duty with the crew rostered on it. The shift
+// scheduler puts the ambulance AVAILABLE when the shift starts and OFFLINE when
+// it ends, leaving ambulances on a trip alone.
+const shiftSchema = new mongoose.Schema(
+  {
+    providerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Provider',
+      required: true,
+      index: true,
+    },
+    ambulanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ambulance',
+      required: true,
+    },
+    startsAt: {
+      type: Date,
+      required: [true, 'Shift start is required'],
+    },
+    endsAt: {
+      type: Date,
+      required: [true, 'Shift end is required'],
+      validate: [
+        {
+          validator: function (value) {
+            return !this.startsAt || value > this.startsAt;
+          },
+          message: 'A shift must end after it starts',
+        },
+        {
+          validator: function (value) {
+            return !this.startsAt || value - this.startsAt <= MAX_SHIFT_HOURS * 60 * 60 * 1000;
+          },
+          message: `A shift cannot be longer than ${MAX_SHIFT_HOURS} hours`,
+        },
+      ],
+    },
+    crewMemberIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CrewMember',
+      },
+    ],
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Shift note cannot be more than 200 characters'],
+    },
+    // Set by the scheduler once it has applied the start and the end
+    startedAt: Date,
+    endedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shiftSchema.index({ ambulanceId: 1, startsAt: 1 });
+shiftSchema.index({ endedAt: 1, endsAt: 1 });
+
+shiftSchema.statics.MAX_SHIFT_HOURS = MAX_SHIFT_HOURS;
+
+module.exports = mongoose.model('Shift', shiftSchema);
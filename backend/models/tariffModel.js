@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// What a provider charges for trips with one type of ambulance
+const tariffSchema = new mongoose.Schema(
+  {
+    providerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Provider',
+      required: true,
+    },
+    ambulanceType: {
+      type: String, // Same values as Ambulance.type, e.g. BASIC or ADVANCED
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    currency: {
+      type: String,
+      default: 'KES',
+      uppercase: true,
+    },
+    baseFee: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Per kilometre driven with the patient on board
+    perKm: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Per minute the crew waits at the pickup beyond the free waiting time
+    perMinuteWaiting: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    freeWaitingMinutes: {
+      type: Number,
+      default: 10,
+      min: 0,
+    },
+    // Added to the whole fare of trips requested at night
+    nightSurchargePercent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 200,
+    },
+    nightStartHour: {
+      type: Number,
+      default: 22,
+      min: 0,
+      max: 23,
+    },
+    nightEndHour: {
+      type: Number,
+      default: 6,
+      min: 0,
+      max: 23,
+    },
+    // Flat amounts for equipment the ambulance carries (matched against Ambulance.features)
+    equipmentSurcharges: [
+      {
+        equipment: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+tariffSchema.index({ providerId: 1, ambulanceType: 1 }, { unique: true });
+
+module.exports = mongoose.model('Tariff', tariffSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { ACTOR } = require('../../shared/tripLifecycle');
+
+// One entry of a trip's timeline / audit trail
+const tripEventSchema = new mongoose.Schema(
+  {
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Trip',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        'CREATED',
+        'OFFERED',
+        'OFFER_DECLINED',
+        'OFFER_EXPIRED',
+        'REASSIGNED',
+        'STATUS_CHANGED',
+        'CANCELLED',
+        'LOCATION_CHECKPOINT',
+        'RATED',
+        'PAYMENT',
+        'INSURANCE',
+        'DESTINATION',
+        'HANDOVER',
+        'BAY_READY',
+      ],
+      required: true,
+    },
+    actor: {
+      role: {
+        type: String,
+        enum: Object.values(ACTOR),
+        required: true,
+      },
+      id: {
+        type: String, // Firebase UID for patients, provider ID for providers
+      },
+    },
+    source: {
+      type: String,
+      enum: ['REST', 'SOCKET', 'SYSTEM'],
+      required: true,
+    },
+    previousValue: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    newValue: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    note: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+tripEventSchema.index({ tripId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('TripEvent', tripEventSchema);
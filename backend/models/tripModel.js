@@ -1,4 +1,41 @@
 const mongoose = require('mongoose');
+const { TRIP_STATUSES } = require('../../shared/tripLifecycle');
+
+// A trip is offered to one ambulance at a time; every offer is kept for auditing
+const offerSchema = new mongoose.Schema(
+  {
+    ambulanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ambulance',
+      required: true,
+    },
+    providerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Provider',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['PENDING', 'ACCEPTED', 'DECLINED', 'EXPIRED', 'WITHDRAWN'],
+      default: 'PENDING',
+    },
+    offeredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: {
+      type: Date,
+    },
+    reason: {
+      type: String,
+    },
+  },
+  { _id: true }
+);
 
 const tripSchema = new mongoose.Schema(
   {
@@ -18,7 +55,7 @@ const tripSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['REQUESTED', 'ACCEPTED', 'ARRIVED', 'PICKED_UP', 'AT_HOSPITAL', 'COMPLETED', 'CANCELLED'],
+      enum: TRIP_STATUSES,
       default: 'REQUESTED',
     },
     requestLocation: {
@@ -48,6 +85,136 @@ const tripSchema = new mongoose.Schema(
         type: String,
       },
     },
+    // Hospital the crew is taking the patient to, when picked from the directory
+    destinationHospitalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+    },
+    // Care the patient needs, as picked by the crew (keys of HOSPITAL_CAPABILITIES)
+    clinicalNeeds: {
+      type: [String],
+      default: [],
+    },
+    // Vital signs the crew took, oldest first
+    vitals: [
+      {
+        recordedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        heartRate: {
+          type: Number, // beats per minute
+          min: [0, 'Heart rate cannot be negative'],
+          max: [300, 'Heart rate must be at most 300'],
+        },
+        systolic: {
+          type: Number, // mmHg
+          min: [0, 'Blood pressure cannot be negative'],
+          max: [300, 'Blood pressure must be at most 300'],
+        },
+        diastolic: {
+          type: Number, // mmHg
+          min: [0, 'Blood pressure cannot be negative'],
+          max: [200, 'Diastolic blood pressure must be at most 200'],
+        },
+        respiratoryRate: {
+          type: Number, // breaths per minute
+          min: [0, 'Respiratory rate cannot be negative'],
+          max: [80, 'Respiratory rate must be at most 80'],
+        },
+        oxygenSaturation: {
+          type: Number, // SpO2 %
+          min: [0, 'Oxygen saturation cannot be negative'],
+          max: [100, 'Oxygen saturation must be at most 100'],
+        },
+        temperature: {
+          type: Number, // °C
+          min: [25, 'Temperature must be at least 25'],
+          max: [45, 'Temperature must be at most 45'],
+        },
+        gcs: {
+          type: Number, // Glasgow Coma Scale
+          min: [3, 'GCS must be between 3 and 15'],
+          max: [15, 'GCS must be between 3 and 15'],
+        },
+        notes: {
+          type: String,
+          trim: true,
+        },
+      },
+    ],
+    // Pre-arrival packet sent to the destination hospital
+    handover: {
+      hospitalId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hospital',
+      },
+      // SHA-256 of the tokens in the links sent to the hospital, one per packet.
+      // The links let it view and acknowledge the packet without signing in.
+      tokenHashes: {
+        type: [String],
+        select: false,
+        default: undefined,
+      },
+      channel: {
+        type: String,
+        enum: ['EMAIL', 'WEBHOOK', 'NONE'],
+      },
+      firstSentAt: Date,
+      lastSentAt: Date,
+      sends: Number,
+      sentEtaMinutes: Number, // ETA in the last packet, to tell when it is worth resending
+      lastError: String,
+      acknowledgedAt: Date,
+      acknowledgedBy: String,
+      acknowledgementNote: String,
+    },
+    // Bed or bay the destination hospital got ready for the patient, from its
+    // receiving dashboard. Cleared when the crew picks another hospital.
+    receivingBay: {
+      hospitalId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hospital',
+      },
+      label: {
+        type: String,
+        trim: true,
+        maxlength: [60, 'Bay name cannot be more than 60 characters'],
+      },
+      readyAt: Date,
+      readyBy: String,
+    },
+    // Hospitals suggested to the crew on pick-up, best first
+    destinationRecommendations: [
+      {
+        _id: false,
+        hospitalId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Hospital',
+        },
+        name: String,
+        address: String,
+        matched: [String],
+        missing: [String],
+        etaMinutes: Number,
+        distanceKm: Number,
+      },
+    ],
+    // Latest road ETA of the ambulance to the patient (or, once picked up, to the destination)
+    eta: {
+      minutes: Number,
+      distanceKm: Number,
+      target: {
+        type: String,
+        enum: ['PICKUP', 'DESTINATION'],
+      },
+      source: String, // Routing engine that produced it
+      calculatedAt: Date,
+      arrivalNotified: {
+        type: Boolean,
+        default: false,
+      },
+    },
     requestTime: {
       type: Date,
       default: Date.now,
@@ -67,6 +234,27 @@ const tripSchema = new mongoose.Schema(
     completionTime: {
       type: Date,
     },
+    cancellationTime: {
+      type: Date,
+    },
+    cancellationReason: {
+      type: String,
+    },
+    dispatchMode: {
+      type: String,
+      enum: ['DIRECT', 'AUTO'], // DIRECT: patient picked the ambulance, AUTO: backend picked it
+      default: 'DIRECT',
+    },
+    dispatch: {
+      ambulanceType: {
+        type: String,
+      },
+      patientCount: {
+        type: Number,
+        default: 1,
+      },
+    },
+    offers: [offerSchema],
     emergencyDetails: {
       type: String,
     },
@@ -85,9 +273,97 @@ const tripSchema = new mongoose.Schema(
       allergies: {
         type: String,
       },
+      medications: {
+        type: String,
+      },
+      bloodType: {
+        type: String,
+      },
+      dateOfBirth: {
+        type: Date,
+      },
+      emergencyContacts: [
+        {
+          _id: false,
+          name: String,
+          relationship: String,
+          phone: String,
+        },
+      ],
+    },
+    // The patient's insurance cover as it was when attached to the trip
+    insurance: {
+      coverId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InsuranceCover',
+      },
+      insurer: {
+        type: String,
+      },
+      scheme: {
+        type: String,
+      },
+      memberNumber: {
+        type: String,
+      },
+      principalName: {
+        type: String,
+      },
+      relationship: {
+        type: String,
+      },
+      attachedAt: {
+        type: Date,
+      },
+      // Approval the provider got from the insurer before or during the trip
+      preAuthorization: {
+        reference: {
+          type: String,
+        },
+        recordedAt: {
+          type: Date,
+        },
+        recordedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Provider',
+        },
+      },
     },
     fare: {
-      type: Number,
+      type: Number, // Final fare, set when the trip is completed
+    },
+    // How the final fare was worked out
+    fareDetails: {
+      currency: {
+        type: String,
+      },
+      tariffSource: {
+        type: String,
+        enum: ['PROVIDER', 'DEFAULT'], // The provider's tariff, or the platform default
+      },
+      distanceKm: {
+        type: Number,
+      },
+      distanceSource: {
+        type: String,
+        enum: ['TRACK', 'ROUTE', 'NONE'], // GPS breadcrumbs, road route to the destination, or unknown
+      },
+      waitingMinutes: {
+        type: Number,
+      },
+      night: {
+        type: Boolean,
+      },
+      breakdown: {
+        base: Number,
+        distance: Number,
+        waiting: Number,
+        equipment: Number,
+        night: Number,
+      },
+      calculatedAt: {
+        type: Date,
+      },
     },
     paymentStatus: {
       type: String,
@@ -114,4 +390,9 @@ const tripSchema = new mongoose.Schema(
 // Create geospatial index for request location
 tripSchema.index({ 'requestLocation': '2dsphere' });
 
+// Inbound trips of a hospital's receiving dashboard
+tripSchema.index({ destinationHospitalId: 1, status: 1 });
+// Handover links are looked up by their token
+tripSchema.index({ 'handover.tokenHashes': 1 }, { unique: true, sparse: true });
+
 module.exports = mongoose.model('Trip', tripSchema);
\ No newline at end of file
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One accepted GPS fix of the ambulance serving a trip; together they make
+// up the breadcrumb track of the route actually driven
+const tripTrackPointSchema = new mongoose.Schema(
+  {
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Trip',
+      required: true,
+    },
+    ambulanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ambulance',
+      required: true,
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point',
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude], after smoothing
+        required: true,
+      },
+    },
+    accuracy: {
+      type: Number, // Metres, as reported by the device
+    },
+    speed: {
+      type: Number, // Metres per second, as reported by the device
+    },
+    heading: {
+      type: Number, // Degrees clockwise from north
+    },
+    source: {
+      type: String,
+      enum: ['REST', 'SOCKET'],
+      required: true,
+    },
+    // When the device took the fix, which may be earlier than it arrived
+    recordedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+tripTrackPointSchema.index({ tripId: 1, recordedAt: 1 });
+
+module.exports = mongoose.model('TripTrackPoint', tripTrackPointSchema);
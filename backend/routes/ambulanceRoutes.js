@@ -11,9 +11,16 @@ const {
   updateAmbulanceStatus,
   forceCompleteTrips
 } = require('../controllers/ambulanceController');
+const {
+  getShifts,
+  createShifts,
+  updateShift,
+  deleteShift
+} = require('../controllers/shiftController');
 const {
   verifyFirebaseToken,
   isProvider,
+  isProviderOrCrew,
   isVerifiedProvider
 } = require('../middleware/authMiddleware');
 
@@ -119,10 +126,17 @@ router.get('/', verifyFirebaseToken, isProvider, getProviderAmbulances);
 router.post('/', verifyFirebaseToken, isProvider, isVerifiedProvider, createAmbulance);
 
 // Provider routes with ID parameters
-router.put('/:id/location', verifyFirebaseToken, isProvider, updateAmbulanceLocation);
+router.put('/:id/location', verifyFirebaseToken, isProviderOrCrew, updateAmbulanceLocation);
 router.patch('/:id/status', verifyFirebaseToken, isProvider, updateAmbulanceStatus);
 router.put('/:id/status', verifyFirebaseToken, isProvider, updateAmbulanceStatus);
 router.post('/:id/force-complete', verifyFirebaseToken, isProvider, forceCompleteTrips);
+
+// Duty roster of an ambulance
+router.get('/:id/shifts', verifyFirebaseToken, isProvider, getShifts);
+router.post('/:id/shifts', verifyFirebaseToken, isProvider, createShifts);
+router.put('/:id/shifts/:shiftId', verifyFirebaseToken, isProvider, updateShift);
+router.delete('/:id/shifts/:shiftId', verifyFirebaseToken, isProvider, deleteShift);
+
 router.put('/:id', verifyFirebaseToken, isProvider, isVerifiedProvider, updateAmbulance);
 router.delete('/:id', verifyFirebaseToken, isProvider, isVerifiedProvider, deleteAmbulance);
 
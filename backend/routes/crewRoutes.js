@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCrew,
+  createCrewMember,
+  updateCrewMember,
+  deleteCrewMember,
+  getMyProfile,
+  getMyTrips
+} = require('../controllers/crewController');
+const {
+  verifyFirebaseToken,
+  isProvider,
+  isCrewMember
+} = require('../middleware/authMiddleware');
+
+// The signed-in crew member's own screens
+router.get('/me', verifyFirebaseToken, isCrewMember, getMyProfile);
+router.get('/me/trips', verifyFirebaseToken, isCrewMember, getMyTrips);
+
+// Provider's crew
+router.get('/', verifyFirebaseToken, isProvider, getCrew);
+router.post('/', verifyFirebaseToken, isProvider, createCrewMember);
+router.put('/:id', verifyFirebaseToken, isProvider, updateCrewMember);
+router.delete('/:id', verifyFirebaseToken, isProvider, deleteCrewMember);
+
+module.exports = router;
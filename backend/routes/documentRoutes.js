@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  uploadDocument,
+  getMyDocuments,
+  downloadDocument,
+  reviewDocument,
+  deleteDocument
+} = require('../controllers/documentController');
+const {
+  verifyFirebaseToken,
+  isProvider,
+  isAdmin
+} = require('../middleware/authMiddleware');
+const { uploadDocumentFile } = require('../middleware/uploadMiddleware');
+
+// Provider's own documents
+router.post('/', verifyFirebaseToken, isProvider, uploadDocumentFile, uploadDocument);
+router.get('/', verifyFirebaseToken, isProvider, getMyDocuments);
+
+// Admin review
+router.put('/:id/review', verifyFirebaseToken, isAdmin, reviewDocument);
+
+// Owning provider or admin
+router.get('/:id/file', verifyFirebaseToken, downloadDocument);
+router.delete('/:id', verifyFirebaseToken, deleteDocument);
+
+module.exports = router;
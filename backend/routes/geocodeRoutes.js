@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { searchAddress, reverseGeocode } = require('../controllers/geocodeController');
+
+// Public - patients search for a pickup point before they have an account
+router.get('/search', searchAddress);
+router.get('/reverse', reverseGeocode);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  recordVitals,
+  getHandover,
+  acknowledgeHandover
+} = require('../controllers/handoverController');
+const {
+  verifyFirebaseToken,
+  isProviderOrCrew
+} = require('../middleware/authMiddleware');
+
+// Vitals the crew took, sent on to the destination hospital
+router.post('/trips/:tripId/vitals', verifyFirebaseToken, isProviderOrCrew, recordVitals);
+
+// The receiving hospital opens and acknowledges the packet from its link
+router.get('/:token', getHandover);
+router.post('/:token/acknowledge', acknowledgeHandover);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getHospitals,
+  getHospital,
+  createHospital,
+  updateHospital,
+  deleteHospital,
+  updateRecommendations,
+  setTripDestination,
+  getInboundTrips,
+  setReceivingBay
+} = require('../controllers/hospitalController');
+const {
+  verifyFirebaseToken,
+  isProviderOrCrew,
+  isAdmin,
+  isHospitalStaff
+} = require('../middleware/authMiddleware');
+
+// Destination of a trip, chosen by its crew
+router.put('/trips/:tripId/recommendations', verifyFirebaseToken, isProviderOrCrew, updateRecommendations);
+router.put('/trips/:tripId/destination', verifyFirebaseToken, isProviderOrCrew, setTripDestination);
+
+// Receiving dashboard of the hospital's own staff
+router.get('/me/inbound', verifyFirebaseToken, isHospitalStaff, getInboundTrips);
+router.put('/me/trips/:tripId/bay', verifyFirebaseToken, isHospitalStaff, setReceivingBay);
+
+// Directory, kept by admins
+router.get('/', verifyFirebaseToken, getHospitals);
+router.post('/', verifyFirebaseToken, isAdmin, createHospital);
+router.get('/:id', verifyFirebaseToken, getHospital);
+router.put('/:id', verifyFirebaseToken, isAdmin, updateHospital);
+router.delete('/:id', verifyFirebaseToken, isAdmin, deleteHospital);
+
+module.exports = router;
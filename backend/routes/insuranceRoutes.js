@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyCovers,
+  createCover,
+  updateCover,
+  deleteCover,
+  setTripCover,
+  recordPreAuthorization,
+  getMyClaims,
+  exportMyClaims,
+  getAllClaims,
+  exportAllClaims
+} = require('../controllers/insuranceController');
+const {
+  verifyFirebaseToken,
+  isProvider,
+  isAdmin
+} = require('../middleware/authMiddleware');
+
+// Patient's saved covers
+router.get('/covers', verifyFirebaseToken, getMyCovers);
+router.post('/covers', verifyFirebaseToken, createCover);
+router.put('/covers/:id', verifyFirebaseToken, updateCover);
+router.delete('/covers/:id', verifyFirebaseToken, deleteCover);
+
+// Insurance of a trip
+router.put('/trips/:tripId/pre-authorization', verifyFirebaseToken, isProvider, recordPreAuthorization);
+router.put('/trips/:tripId', verifyFirebaseToken, setTripCover);
+
+// Claims, per insurer
+router.get('/claims', verifyFirebaseToken, isProvider, getMyClaims);
+router.get('/claims/export', verifyFirebaseToken, isProvider, exportMyClaims);
+router.get('/claims/all', verifyFirebaseToken, isAdmin, getAllClaims);
+router.get('/claims/all/export', verifyFirebaseToken, isAdmin, exportAllClaims);
+
+module.exports = router;
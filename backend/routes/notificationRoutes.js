@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences,
+  getPushPublicKey,
+  addPushSubscription,
+  removePushSubscription
+} = require('../controllers/notificationController');
+const { verifyFirebaseToken } = require('../middleware/authMiddleware');
+
+// Public: browsers need the key before they can subscribe
+router.get('/push/public-key', getPushPublicKey);
+
+// Patients by default, provider accounts with ?as=provider
+router.get('/', verifyFirebaseToken, getNotifications);
+router.put('/read-all', verifyFirebaseToken, markAllNotificationsRead);
+router.get('/preferences', verifyFirebaseToken, getPreferences);
+router.put('/preferences', verifyFirebaseToken, updatePreferences);
+router.post('/push/subscriptions', verifyFirebaseToken, addPushSubscription);
+router.delete('/push/subscriptions', verifyFirebaseToken, removePushSubscription);
+router.put('/:id/read', verifyFirebaseToken, markNotificationRead);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const {
+  payForTrip,
+  getTripPayments,
+  refreshPayment,
+  settlePayment,
+  getProviderPayments,
+  getMyPayouts,
+  getAllPayouts,
+  getReconciliationReport,
+  mpesaCallback
+} = require('../controllers/paymentController');
+const {
+  verifyFirebaseToken,
+  isProvider,
+  isAdmin
+} = require('../middleware/authMiddleware');
+
+// Daraja posts M-Pesa results here; the token is the secret part of MPESA_CALLBACK_URL
+router.post('/mpesa/callback/:token', mpesaCallback);
+
+// Provider's own payments and payouts
+router.get('/provider', verifyFirebaseToken, isProvider, getProviderPayments);
+router.get('/payouts', verifyFirebaseToken, isProvider, getMyPayouts);
+
+// Admin reports
+router.get('/payouts/all', verifyFirebaseToken, isAdmin, getAllPayouts);
+router.get('/reconciliation', verifyFirebaseToken, isAdmin, getReconciliationReport);
+
+// Patients by default, the trip's provider with ?as=provider, admins with ?as=admin
+router.get('/trips/:tripId', verifyFirebaseToken, getTripPayments);
+router.post('/trips/:tripId', verifyFirebaseToken, payForTrip);
+router.post('/:id/refresh', verifyFirebaseToken, refreshPayment);
+router.put('/:id/settle', verifyFirebaseToken, settlePayment);
+
+module.exports = router;
@@ -1,26 +1,28 @@
 const express = require('express');
 const router = express.Router();
-const { 
-  verifyFirebaseToken, 
-  isProvider,
-  isVerifiedProvider 
+const {
+  getProviders,
+  getProviderById,
+  reviewProvider,
+  verifyProvider,
+  rejectProvider,
+  suspendProvider
+} = require('../controllers/providerController');
+const {
+  verifyFirebaseToken,
+  isAdmin
 } = require('../middleware/authMiddleware');
 
-// These routes are placeholders for future provider management features
-
 // Get all providers (admin only)
-router.get('/', (req, res) => {
-  res.status(200).json({ message: 'Get all providers - To be implemented' });
-});
+router.get('/', verifyFirebaseToken, isAdmin, getProviders);
 
-// Get provider by ID (public, but with limited info)
-router.get('/:id', (req, res) => {
-  res.status(200).json({ message: 'Get provider by ID - To be implemented' });
-});
+// Admin review of a provider - specific endpoints first
+router.get('/:id/review', verifyFirebaseToken, isAdmin, reviewProvider);
+router.put('/:id/verify', verifyFirebaseToken, isAdmin, verifyProvider);
+router.put('/:id/reject', verifyFirebaseToken, isAdmin, rejectProvider);
+router.put('/:id/suspend', verifyFirebaseToken, isAdmin, suspendProvider);
 
-// For future admin features
-router.put('/:id/verify', (req, res) => {
-  res.status(200).json({ message: 'Verify provider - To be implemented' });
-});
+// Get provider by ID (public, but with limited info)
+router.get('/:id', getProviderById);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
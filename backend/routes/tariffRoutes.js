@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyTariffs,
+  saveTariff,
+  deleteTariff
+} = require('../controllers/tariffController');
+const {
+  verifyFirebaseToken,
+  isProvider
+} = require('../middleware/authMiddleware');
+
+// Provider's own tariffs, one per ambulance type
+router.get('/', verifyFirebaseToken, isProvider, getMyTariffs);
+router.put('/:ambulanceType', verifyFirebaseToken, isProvider, saveTariff);
+router.delete('/:ambulanceType', verifyFirebaseToken, isProvider, deleteTariff);
+
+module.exports = router;
@@ -5,12 +5,16 @@ const {
   getTripById,
   createTrip,
   updateTripStatus,
+  declineTrip,
   addTripRating,
+  getTripTimeline,
+  getTripTrack,
   refreshTripStatus
 } = require('../controllers/tripController');
 const {
   verifyFirebaseToken,
   isProvider,
+  isProviderOrCrew,
   protect
 } = require('../middleware/authMiddleware');
 
@@ -21,16 +25,14 @@ router.get('/', verifyFirebaseToken, getTrips);
 router.post('/', verifyFirebaseToken, createTrip);
 
 // Routes with ID parameter - specific endpoints first
-router.get('/:id/status/refresh', verifyFirebaseToken, (req, res) => {
-  // This route specifically forces a re-emission of socket events
-  req.forceSocketEmission = true;
-  refreshTripStatus(req, res);
-});
-
+router.get('/:id/status/refresh', verifyFirebaseToken, refreshTripStatus);
 router.get('/:id/refresh', verifyFirebaseToken, refreshTripStatus);
-router.put('/:id/status', verifyFirebaseToken, isProvider, updateTripStatus);
+router.put('/:id/status', verifyFirebaseToken, isProviderOrCrew, updateTripStatus);
+router.put('/:id/decline', verifyFirebaseToken, isProvider, declineTrip);
 router.post('/:id/cancel', verifyFirebaseToken, updateTripStatus);
 router.put('/:id/rating', verifyFirebaseToken, addTripRating);
+router.get('/:id/timeline', verifyFirebaseToken, getTripTimeline);
+router.get('/:id/track', verifyFirebaseToken, getTripTrack);
 
 // Generic ID route should be last
 router.get('/:id', verifyFirebaseToken, getTripById);
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { getMe, updateMe } = require('../controllers/userController');
+const { verifyFirebaseToken } = require('../middleware/authMiddleware');
+
+// The signed-in patient's own profile
+router.get('/me', verifyFirebaseToken, getMe);
+router.put('/me', verifyFirebaseToken, updateMe);
+
+module.exports = router;
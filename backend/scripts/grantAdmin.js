@@ -0,0 +1,44 @@
+// backend/scripts/grantAdmin.js
+// Usage: node scripts/grantAdmin.js <email|uid> [--revoke]
+require('dotenv').config();
+const admin = require('../config/firebase-admin');
+
+const grantAdmin = async () => {
+  const [identifier, flag] = process.argv.slice(2);
+  const revoke = flag === '--revoke';
+
+  if (!identifier) {
+    console.error('Usage: node scripts/grantAdmin.js <email|uid> [--revoke]');
+    process.exit(1);
+  }
+
+  try {
+    if (!admin.isProperlyInitialized()) {
+      throw new Error('Firebase Admin is not initialized - check your service account configuration');
+    }
+
+    const user = identifier.includes('@')
+      ? await admin.auth().getUserByEmail(identifier)
+      : await admin.auth().getUser(identifier);
+
+    // Keep the user's other claims (e.g. isProvider)
+    const claims = { ...(user.customClaims || {}) };
+
+    if (revoke) {
+      delete claims.isAdmin;
+    } else {
+      claims.isAdmin = true;
+    }
+
+    await admin.auth().setCustomUserClaims(user.uid, claims);
+
+    console.log(`${revoke ? 'Revoked' : 'Granted'} admin role for ${user.email || user.uid}`);
+    console.log('The user has to sign in again (or refresh their token) for the change to apply');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error updating admin role:', error);
+    process.exit(1);
+  }
+};
+
+grantAdmin();
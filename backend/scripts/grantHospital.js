@@ -0,0 +1,66 @@
+// backend/scripts/grantHospital.js
+// Usage: node scripts/grantHospital.js <email|uid> <hospitalId>
+//        node scripts/grantHospital.js <email|uid> --revoke
+require('dotenv').config();
+const mongoose = require('mongoose');
+const admin = require('../config/firebase-admin');
+const Hospital = require('../models/hospitalModel');
+
+const grantHospital = async () => {
+  const [identifier, hospitalId] = process.argv.slice(2);
+  const revoke = hospitalId === '--revoke';
+
+  if (!identifier || !hospitalId) {
+    console.error('Usage: node scripts/grantHospital.js <email|uid> <hospitalId|--revoke>');
+    process.exit(1);
+  }
+
+  try {
+    if (!admin.isProperlyInitialized()) {
+      throw new Error('Firebase Admin is not initialized - check your service account configuration');
+    }
+
+    let hospital = null;
+
+    // Make sure the account is tied to a hospital that exists
+    if (!revoke) {
+      if (!mongoose.isValidObjectId(hospitalId)) {
+        throw new Error(`${hospitalId} is not a hospital ID`);
+      }
+
+      await mongoose.connect(process.env.MONGODB_URI);
+      hospital = await Hospital.findById(hospitalId).select('name');
+      await mongoose.disconnect();
+
+      if (!hospital) {
+        throw new Error(`Hospital ${hospitalId} not found`);
+      }
+    }
+
+    const user = identifier.includes('@')
+      ? await admin.auth().getUserByEmail(identifier)
+      : await admin.auth().getUser(identifier);
+
+    // Keep the user's other claims (e.g. isAdmin)
+    const claims = { ...(user.customClaims || {}) };
+
+    if (revoke) {
+      delete claims.hospitalId;
+    } else {
+      claims.hospitalId = hospital._id.toString();
+    }
+
+    await admin.auth().setCustomUserClaims(user.uid, claims);
+
+    console.log(revoke
+      ? `Revoked hospital staff role for ${user.email || user.uid}`
+      : `${user.email || user.uid} now works at ${hospital.name}`);
+    console.log('The user has to sign in again (or refresh their token) for the change to apply');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error updating hospital staff role:', error);
+    process.exit(1);
+  }
+};
+
+grantHospital();
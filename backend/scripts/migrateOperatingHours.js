@@ -0,0 +1,39 @@
+// backend/scripts/migrateOperatingHours.js
+// Usage: node scripts/migrateOperatingHours.js
+//
+// Provider operating hours used to be free text that dispatch ignored. They are
+// now weekly opening periods; this clears the old text (open around the clock,
+// as before) and lists it so the providers can be asked to set their hours.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Provider = require('../models/providerModel');
+
+const migrateOperatingHours = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // Read the raw documents, the model no longer understands the old text
+    const legacy = await Provider.collection
+      .find({ operatingHours: { $type: 'string' } })
+      .project({ name: 1, operatingHours: 1 })
+      .toArray();
+
+    legacy.forEach(provider => {
+      console.log(`${provider._id} ${provider.name}: "${provider.operatingHours}"`);
+    });
+
+    const { modifiedCount } = await Provider.collection.updateMany(
+      { operatingHours: { $type: 'string' } },
+      { $set: { operatingHours: [] } }
+    );
+
+    console.log(`Cleared free-text operating hours of ${modifiedCount} providers`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating operating hours:', error);
+    process.exit(1);
+  }
+};
+
+migrateOperatingHours();
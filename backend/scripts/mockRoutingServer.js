@@ -0,0 +1,70 @@
+// backend/scripts/mockRoutingServer.js
+// Local stand-in for an OSRM server, for development and tests without a road network.
+// Usage: node scripts/mockRoutingServer.js [port]
+// then run the backend with ROUTING_ENGINE=osrm ROUTING_URL=http://localhost:<port>
+const http = require('http');
+const { calculateDistance } = require('../utils/locationUtils');
+
+const PORT = parseInt(process.argv[2]) || parseInt(process.env.ROUTING_MOCK_PORT) || 5001;
+
+// Pretend roads are 30% longer than the straight line and driven at 40 km/h
+const DETOUR_FACTOR = 1.3;
+const SPEED_METERS_PER_SECOND = 40 / 3.6;
+
+const leg = (from, to) => {
+  const distance = calculateDistance(from[1], from[0], to[1], to[0]) * 1000 * DETOUR_FACTOR;
+  return { distance, duration: distance / SPEED_METERS_PER_SECOND };
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const match = url.pathname.match(/^\/(route|table)\/v1\/[^/]+\/(.+)$/);
+
+  if (!match) {
+    return sendJson(res, 404, { code: 'InvalidUrl', message: `Unknown path ${url.pathname}` });
+  }
+
+  const [, service, path] = match;
+  const coordinates = path.split(';').map(point => point.split(',').map(Number));
+
+  if (coordinates.length < 2 || coordinates.some(point => point.length !== 2 || point.some(isNaN))) {
+    return sendJson(res, 400, { code: 'InvalidQuery', message: 'Expected at least two lng,lat points' });
+  }
+
+  console.log(`[mockRouting] ${service} ${path}`);
+
+  if (service === 'route') {
+    const { distance, duration } = leg(coordinates[0], coordinates[coordinates.length - 1]);
+    return sendJson(res, 200, {
+      code: 'Ok',
+      routes: [{
+        distance,
+        duration,
+        geometry: { type: 'LineString', coordinates }
+      }]
+    });
+  }
+
+  const indexes = (param) => {
+    const value = url.searchParams.get(param);
+    return value ? value.split(';').map(Number) : coordinates.map((_, index) => index);
+  };
+  const sources = indexes('sources');
+  const destinations = indexes('destinations');
+  const legs = sources.map(source => destinations.map(destination => leg(coordinates[source], coordinates[destination])));
+
+  sendJson(res, 200, {
+    code: 'Ok',
+    durations: legs.map(row => row.map(cell => cell.duration)),
+    distances: legs.map(row => row.map(cell => cell.distance))
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock OSRM routing server listening on port ${PORT}`);
+});
@@ -0,0 +1,182 @@
+// backend/scripts/mpesaMockServer.js
+// Local stand-in for Safaricom's Daraja API (OAuth, M-Pesa Express STK push
+// and status query), for development and tests without a sandbox account.
+// Usage: node scripts/mpesaMockServer.js [port]
+// then run the backend with MPESA_BASE_URL=http://localhost:<port> and any
+// MPESA_CONSUMER_KEY, MPESA_CONSUMER_SECRET, MPESA_SHORTCODE and MPESA_PASSKEY.
+//
+// The customer "answers" the prompt after MPESA_MOCK_DELAY_MS (default 3000).
+// The last four digits of the phone number pick the outcome:
+//   ...1032  cancelled by the customer
+//   ...2001  wrong PIN
+//   ...1037  customer unreachable, no callback - only the status query knows
+//   ...9999  paid, but the callback is lost - only the status query knows
+//   anything else: paid
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.argv[2]) || parseInt(process.env.MPESA_MOCK_PORT) || 5002;
+const DELAY_MS = parseInt(process.env.MPESA_MOCK_DELAY_MS) || 3000;
+
+const OUTCOMES = {
+  1032: { resultCode: 1032, resultDesc: 'Request cancelled by user', callback: true },
+  2001: { resultCode: 2001, resultDesc: 'The initiator information is invalid.', callback: true },
+  1037: { resultCode: 1037, resultDesc: 'DS timeout user cannot be reached', callback: false },
+  9999: { resultCode: 0, resultDesc: 'The service request is processed successfully.', callback: false }
+};
+const PAID = { resultCode: 0, resultDesc: 'The service request is processed successfully.', callback: true };
+
+// CheckoutRequestID -> { request, outcome, answered, receiptNumber }
+const transactions = new Map();
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readJson = (req) => new Promise((resolve) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(data || '{}'));
+    } catch (error) {
+      resolve(null);
+    }
+  });
+});
+
+const darajaError = (res, status, errorCode, errorMessage) => sendJson(res, status, {
+  requestId: crypto.randomUUID(),
+  errorCode,
+  errorMessage
+});
+
+const answer = async (checkoutRequestId) => {
+  const transaction = transactions.get(checkoutRequestId);
+  const { request, outcome } = transaction;
+  transaction.answered = true;
+
+  console.log(`[mockMpesa] ${checkoutRequestId} answered: ${outcome.resultCode} ${outcome.resultDesc}`);
+
+  if (!outcome.callback) {
+    return;
+  }
+
+  const stkCallback = {
+    MerchantRequestID: transaction.merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResultCode: outcome.resultCode,
+    ResultDesc: outcome.resultDesc
+  };
+
+  if (outcome.resultCode === 0) {
+    stkCallback.CallbackMetadata = {
+      Item: [
+        { Name: 'Amount', Value: request.Amount },
+        { Name: 'MpesaReceiptNumber', Value: transaction.receiptNumber },
+        { Name: 'TransactionDate', Value: Number(request.Timestamp) },
+        { Name: 'PhoneNumber', Value: Number(request.PhoneNumber) }
+      ]
+    };
+  }
+
+  try {
+    const response = await fetch(request.CallBackURL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ Body: { stkCallback } })
+    });
+    console.log(`[mockMpesa] Callback to ${request.CallBackURL}: ${response.status}`);
+  } catch (error) {
+    console.error(`[mockMpesa] Callback to ${request.CallBackURL} failed:`, error.message);
+  }
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'GET' && url.pathname === '/oauth/v1/generate') {
+    if (!(req.headers.authorization || '').startsWith('Basic ')) {
+      return darajaError(res, 400, '400.008.01', 'Invalid Authentication passed');
+    }
+    return sendJson(res, 200, { access_token: crypto.randomBytes(16).toString('hex'), expires_in: '3599' });
+  }
+
+  if (req.method !== 'POST') {
+    return darajaError(res, 404, '404.001.03', `Unknown path ${url.pathname}`);
+  }
+
+  if (!(req.headers.authorization || '').startsWith('Bearer ')) {
+    return darajaError(res, 401, '404.001.03', 'Invalid Access Token');
+  }
+
+  const body = await readJson(req);
+
+  if (!body) {
+    return darajaError(res, 400, '400.002.02', 'Bad Request - Invalid JSON');
+  }
+
+  if (url.pathname === '/mpesa/stkpush/v1/processrequest') {
+    const missing = ['BusinessShortCode', 'Password', 'Timestamp', 'Amount', 'PhoneNumber', 'CallBackURL', 'AccountReference']
+      .filter(field => body[field] === undefined || body[field] === '');
+
+    if (missing.length > 0) {
+      return darajaError(res, 400, '400.002.02', `Bad Request - Invalid ${missing[0]}`);
+    }
+
+    if (!/^254(7|1)\d{8}$/.test(String(body.PhoneNumber))) {
+      return darajaError(res, 400, '400.002.02', 'Bad Request - Invalid PhoneNumber');
+    }
+
+    const checkoutRequestId = `ws_CO_${Date.now()}${crypto.randomInt(1000, 9999)}`;
+    const merchantRequestId = `${crypto.randomInt(10000, 99999)}-${crypto.randomInt(1000000, 9999999)}-1`;
+    const outcome = OUTCOMES[String(body.PhoneNumber).slice(-4)] || PAID;
+
+    transactions.set(checkoutRequestId, {
+      request: body,
+      merchantRequestId,
+      outcome,
+      answered: false,
+      receiptNumber: `MCK${crypto.randomBytes(4).toString('hex').toUpperCase()}`
+    });
+
+    console.log(`[mockMpesa] STK push ${checkoutRequestId}: KES ${body.Amount} from ${body.PhoneNumber}`);
+    setTimeout(() => answer(checkoutRequestId), DELAY_MS);
+
+    return sendJson(res, 200, {
+      MerchantRequestID: merchantRequestId,
+      CheckoutRequestID: checkoutRequestId,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing'
+    });
+  }
+
+  if (url.pathname === '/mpesa/stkpushquery/v1/query') {
+    const transaction = transactions.get(body.CheckoutRequestID);
+
+    if (!transaction) {
+      return darajaError(res, 500, '500.001.1001', 'Unable to lock subscriber, a transaction is already in process for the current subscriber');
+    }
+
+    if (!transaction.answered) {
+      return darajaError(res, 500, '500.001.1001', 'The transaction is being processed');
+    }
+
+    return sendJson(res, 200, {
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successsfully',
+      MerchantRequestID: transaction.merchantRequestId,
+      CheckoutRequestID: body.CheckoutRequestID,
+      ResultCode: String(transaction.outcome.resultCode),
+      ResultDesc: transaction.outcome.resultDesc
+    });
+  }
+
+  darajaError(res, 404, '404.001.03', `Unknown path ${url.pathname}`);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Daraja (M-Pesa) server listening on port ${PORT}`);
+});
@@ -11,6 +11,24 @@ const http = require('http');
 const { Server } = require('socket.io');
 const admin = require('firebase-admin');
 
+// Initialize Firebase Admin before anything that verifies tokens loads
+try {
+  const serviceAccount = require('./config/firebase-service-account.json');
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount)
+  });
+  console.log('Firebase initialized successfully');
+} catch (error) {
+  console.error('Error initializing Firebase:', error);
+  process.exit(1);
+}
+
+const complianceService = require('./services/complianceService');
+const shiftService = require('./services/shiftService');
+const paymentService = require('./services/paymentService');
+const dispatchService = require('./services/dispatchService');
+const { getRealtimeAdapter } = require('./services/realtime');
+
 // Create Express app
 const app = express();
 
@@ -20,7 +38,7 @@ app.use(cors({
   origin: ['http://localhost:3000', 'http://127.0.0.1:3000'], // Add your client origins explicitly
   methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
   credentials: true,
-  allowedHeaders: ["Content-Type", "Authorization"]
+  allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"]
 }));
 
 // Also update the Socket.io CORS to match
@@ -60,107 +78,7 @@ io.engine.on("connection_error", (err) => {
   });
 });
 
-// Enhanced Socket.IO connection handling with better logging
-io.on('connection', (socket) => {
-  console.log(`Socket connected: ${socket.id}, transport: ${socket.conn.transport.name}, address: ${socket.handshake.address}`);
-  
-  // Track sockets by user/provider for better debugging
-  socket.userData = {
-    userId: null,
-    providerId: null,
-    authenticated: false,
-    connectedAt: new Date().toISOString(),
-    subscribedTrips: []
-  };
-  
-  socket.on('disconnect', (reason) => {
-    console.log(`Socket disconnected: ${socket.id}, reason: ${reason}, user: ${socket.userData.userId || 'none'}, provider: ${socket.userData.providerId || 'none'}`);
-  });
-  
-  socket.on('ping', (callback) => {
-    if (typeof callback === 'function') {
-      callback({ 
-        healthy: true, 
-        timestamp: Date.now(),
-        socketId: socket.id,
-        transport: socket.conn.transport.name
-      });
-    }
-  });
-  
-  socket.on('error', (error) => {
-    console.error(`Socket error for ${socket.id}:`, error);
-  });
-  
-  // Enhanced auth event
-  socket.on('authenticateUser', (userId) => {
-    if (!userId) {
-      console.warn(`Invalid user authentication attempt on socket ${socket.id}`);
-      return;
-    }
-    
-    console.log(`User authenticated: ${userId} on socket ${socket.id}`);
-    socket.userData.userId = userId;
-    socket.userData.authenticated = true;
-    socket.join(`user:${userId}`);
-  });
-  
-  socket.on('authenticateProvider', (providerId) => {
-    if (!providerId) {
-      console.warn(`Invalid provider authentication attempt on socket ${socket.id}`);
-      return;
-    }
-    
-    console.log(`Provider authenticated: ${providerId} on socket ${socket.id}`);
-    socket.userData.providerId = providerId;
-    socket.userData.authenticated = true;
-    socket.join(`provider:${providerId}`);
-  });
-  
-  socket.on('subscribeTripUpdates', ({ tripId }) => {
-    if (!tripId) {
-      console.warn(`Invalid trip subscription attempt on socket ${socket.id}`);
-      return;
-    }
-    
-    console.log(`Client ${socket.id} subscribed to trip updates for trip ${tripId}`);
-    socket.join(`trip:${tripId}`);
-    socket.userData.subscribedTrips.push(tripId);
-  });
-  
-  socket.on('unsubscribeTripUpdates', ({ tripId }) => {
-    if (!tripId) return;
-    
-    console.log(`Client ${socket.id} unsubscribed from trip updates for trip ${tripId}`);
-    socket.leave(`trip:${tripId}`);
-    socket.userData.subscribedTrips = socket.userData.subscribedTrips.filter(id => id !== tripId);
-  });
-  
-  socket.on('subscribeAmbulanceLocation', (ambulanceId) => {
-    if (!ambulanceId) return;
-    
-    console.log(`Client ${socket.id} subscribed to location updates for ambulance ${ambulanceId}`);
-    socket.join(`ambulance:${ambulanceId}`);
-  });
-  
-  socket.on('updateAmbulanceLocation', (data) => {
-    if (!data || !data.ambulanceId || !data.location) {
-      console.warn(`Invalid ambulance location update from socket ${socket.id}`, data);
-      return;
-    }
-    
-    console.log(`Location update received for ambulance ${data.ambulanceId} from socket ${socket.id}`);
-    
-    // Broadcast to all clients tracking this ambulance
-    io.to(`ambulance:${data.ambulanceId}`).emit('ambulanceLocationUpdated', {
-      ambulanceId: data.ambulanceId,
-      location: data.location,
-      timestamp: new Date().toISOString()
-    });
-  });
-});
-
-// Initialize socket service
+// Register every realtime handler and emitter in one gateway
 const socketService = require('./services/socketService')(io);
 socketService.initialize();
 app.set('socketService', socketService);
@@ -179,7 +97,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // New Socket.IO health check endpoint
-app.get('/api/health/socket', (req, res) => {
+app.get('/api/health/socket', async (req, res) => {
   const clients = io.engine.clientsCount;
   
   // Get distribution of connection types
@@ -194,34 +112,42 @@ app.get('/api/health/socket', (req, res) => {
     }
   });
   
+  // Counts above are for this instance, presence covers every instance
+  const [usersOnline, providersOnline] = await Promise.all([
+    socketService.getConnectedUserCount(),
+    socketService.getConnectedProviderCount()
+  ]);
+  
   res.status(200).json({
     status: 'ok',
     socketServerUp: true,
+    adapter: getRealtimeAdapter().name,
     connectedClients: clients,
     websocketClients: websocketCount,
     pollingClients: pollingCount,
+    usersOnline,
+    providersOnline,
     uptime: process.uptime(),
     transports: io.engine.opts.transports,
     memoryUsage: process.memoryUsage()
   });
 });
 
-// Initialize Firebase Admin
-try {
-  const serviceAccount = require('./config/firebase-service-account.json');
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount)
-  });
-  console.log('Firebase initialized successfully');
-} catch (error) {
-  console.error('Error initializing Firebase:', error);
-  process.exit(1);
-}
-
 // API Routes
 app.use('/api/ambulances', require('./routes/ambulanceRoutes'));
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/trips', require('./routes/tripRoutes'));
+app.use('/api/providers', require('./routes/providerRoutes'));
+app.use('/api/documents', require('./routes/documentRoutes'));
+app.use('/api/geocode', require('./routes/geocodeRoutes'));
+app.use('/api/notifications', require('./routes/notificationRoutes'));
+app.use('/api/tariffs', require('./routes/tariffRoutes'));
+app.use('/api/payments', require('./routes/paymentRoutes'));
+app.use('/api/insurance', require('./routes/insuranceRoutes'));
+app.use('/api/users', require('./routes/userRoutes'));
+app.use('/api/hospitals', require('./routes/hospitalRoutes'));
+app.use('/api/handovers', require('./routes/handoverRoutes'));
+app.use('/api/crew', require('./routes/crewRoutes'));
 
 // Error handling middleware
 app.use(errorHandler);
@@ -230,6 +156,18 @@ app.use(errorHandler);
 const startServer = async () => {
   try {
     await connectDB();
+
+    // Flag providers and ambulances whose documents have expired
+    complianceService.startExpiryMonitor();
+
+    // Settle M-Pesa payments whose callback never came
+    paymentService.startReconciler(socketService);
+
+    // Put ambulances on and off the road as their shifts start and end
+    shiftService.startShiftScheduler(socketService);
+
+    // Expire trip offers whose countdown was lost to a restart or another instance
+    dispatchService.startOfferSweeper(socketService);
     
     const PORT = process.env.PORT || 5000;
     server.listen(PORT, () => {
@@ -0,0 +1,332 @@
+// backend/services/complianceService.js
+
+const ComplianceDocument = require('../models/complianceDocumentModel');
+const Provider = require('../models/providerModel');
+const Ambulance = require('../models/ambulanceModel');
+const { getStorage } = require('./storage');
+const { isOpenAt } = require('../utils/scheduleUtils');
+const { serviceError } = require('../utils/serviceErrors');
+
+const DOCUMENT_TYPES = ['BUSINESS_LICENSE', 'INSURANCE_CERTIFICATE', 'INSPECTION_CERTIFICATE'];
+
+// How often uploaded documents are checked for expiry
+const EXPIRY_CHECK_INTERVAL_MS = (parseInt(process.env.COMPLIANCE_CHECK_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+let expiryMonitor = null;
+
+/**
+ * Recompute the compliance flags of a provider and its ambulances.
+ * A document slot (type, ambulance) is expired when none of its non-rejected
+ * documents is still valid, so uploading a renewed document clears the flag.
+ * @param {String} providerId Provider ID
+ * @returns {Promise<Object>} { providerExpired, expiredAmbulanceIds }
+ */
+const refreshComplianceStatus = async (providerId) => {
+  const now = new Date();
+  const documents = await ComplianceDocument.find({
+    providerId,
+    reviewStatus: { $ne: 'REJECTED' }
+  }).select('type ambulanceId expiresAt');
+
+  // Latest expiry per document slot
+  const slots = new Map();
+  documents.forEach(document => {
+    const key = `${document.type}:${document.ambulanceId || ''}`;
+    const slot = slots.get(key);
+
+    if (!slot || document.expiresAt > slot.expiresAt) {
+      slots.set(key, { ambulanceId: document.ambulanceId, expiresAt: document.expiresAt });
+    }
+  });
+
+  let providerExpired = false;
+  const expiredAmbulanceIds = [];
+
+  slots.forEach(slot => {
+    if (slot.expiresAt > now) {
+      return;
+    }
+
+    if (slot.ambulanceId) {
+      expiredAmbulanceIds.push(slot.ambulanceId);
+    } else {
+      providerExpired = true;
+    }
+  });
+
+  // Only stamp complianceFlaggedAt when the flag is first raised
+  if (providerExpired) {
+    await Provider.updateOne(
+      { _id: providerId, complianceStatus: { $ne: 'EXPIRED' } },
+      { $set: { complianceStatus: 'EXPIRED', complianceFlaggedAt: now } }
+    );
+  } else {
+    await Provider.updateOne(
+      { _id: providerId, complianceStatus: 'EXPIRED' },
+      { $set: { complianceStatus: 'COMPLIANT' }, $unset: { complianceFlaggedAt: 1 } }
+    );
+  }
+
+  await Ambulance.updateMany(
+    { providerId, _id: { $in: expiredAmbulanceIds }, complianceStatus: { $ne: 'EXPIRED' } },
+    { $set: { complianceStatus: 'EXPIRED', complianceFlaggedAt: now } }
+  );
+
+  await Ambulance.updateMany(
+    { providerId, _id: { $nin: expiredAmbulanceIds }, complianceStatus: 'EXPIRED' },
+    { $set: { complianceStatus: 'COMPLIANT' }, $unset: { complianceFlaggedAt: 1 } }
+  );
+
+  if (providerExpired || expiredAmbulanceIds.length > 0) {
+    console.warn(`[complianceService] Provider ${providerId} has expired documents (provider: ${providerExpired}, ambulances: ${expiredAmbulanceIds.length})`);
+  }
+
+  return { providerExpired, expiredAmbulanceIds };
+};
+
+/**
+ * Mark documents past their expiry date as EXPIRED and flag their owners
+ * @returns {Promise<Number>} Number of documents that expired
+ */
+const checkExpiredDocuments = async () => {
+  const now = new Date();
+  const expiring = await ComplianceDocument.find({
+    reviewStatus: { $in: ['PENDING', 'APPROVED'] },
+    expiresAt: { $lte: now }
+  }).select('_id providerId');
+
+  if (expiring.length === 0) {
+    return 0;
+  }
+
+  await ComplianceDocument.updateMany(
+    { _id: { $in: expiring.map(document => document._id) } },
+    { $set: { reviewStatus: 'EXPIRED' } }
+  );
+
+  const providerIds = [...new Set(expiring.map(document => document.providerId.toString()))];
+
+  for (const providerId of providerIds) {
+    await refreshComplianceStatus(providerId);
+  }
+
+  console.log(`[complianceService] ${expiring.length} documents expired across ${providerIds.length} providers`);
+
+  return expiring.length;
+};
+
+/**
+ * Check for expired documents now and then periodically
+ */
+const startExpiryMonitor = () => {
+  if (expiryMonitor) {
+    return;
+  }
+
+  const runCheck = () => {
+    checkExpiredDocuments().catch(error => {
+      console.error('[complianceService] Error checking expired documents:', error);
+    });
+  };
+
+  runCheck();
+  expiryMonitor = setInterval(runCheck, EXPIRY_CHECK_INTERVAL_MS);
+  // Don't keep the process alive just for this check
+  expiryMonitor.unref();
+};
+
+/**
+ * Query filter for ambulances that may be offered to patients: available,
+ * belonging to a verified provider that is open right now and not flagged
+ * for expired documents
+ * @returns {Promise<Object>} Mongoose filter
+ */
+const getDispatchableAmbulanceFilter = async () => {
+  const now = new Date();
+  const providers = await Provider.find({
+    verificationStatus: 'VERIFIED',
+    complianceStatus: { $ne: 'EXPIRED' }
+  }).select('_id operatingHours').lean();
+
+  const providerIds = providers
+    .filter(provider => isOpenAt(provider.operatingHours, now))
+    .map(provider => provider._id);
+
+  return {
+    status: 'AVAILABLE',
+    complianceStatus: { $ne: 'EXPIRED' },
+    providerId: { $in: providerIds }
+  };
+};
+
+/**
+ * Store an uploaded document for a provider
+ * @param {String} providerId Provider ID
+ * @param {Object} file Uploaded file (buffer, originalname, mimetype, size)
+ * @param {Object} details Document details
+ * @param {String} details.type One of DOCUMENT_TYPES
+ * @param {String|Date} details.expiresAt Expiry date
+ * @param {String} details.ambulanceId Ambulance the document belongs to (required for inspection certificates)
+ * @returns {Promise<Object>} Created document
+ */
+const uploadDocument = async (providerId, file, details = {}) => {
+  const { type, expiresAt, ambulanceId } = details;
+
+  if (!file) {
+    throw serviceError('Please attach a file', 400);
+  }
+
+  if (!DOCUMENT_TYPES.includes(type)) {
+    throw serviceError(`Invalid document type. Valid values are: ${DOCUMENT_TYPES.join(', ')}`, 400);
+  }
+
+  const expiryDate = new Date(expiresAt);
+  if (!expiresAt || isNaN(expiryDate.getTime())) {
+    throw serviceError('Please add a valid expiry date', 400);
+  }
+
+  if (expiryDate <= new Date()) {
+    throw serviceError('This document has already expired', 400);
+  }
+
+  if (type === 'INSPECTION_CERTIFICATE' && !ambulanceId) {
+    throw serviceError('Inspection certificates must be linked to an ambulance', 400);
+  }
+
+  if (ambulanceId) {
+    const ambulance = await Ambulance.findOne({ _id: ambulanceId, providerId }).select('_id');
+    if (!ambulance) {
+      throw serviceError('Ambulance not found', 404);
+    }
+  }
+
+  const storage = getStorage();
+  const stored = await storage.save(file.buffer, {
+    folder: `providers/${providerId}`,
+    originalName: file.originalname
+  });
+
+  let document;
+  try {
+    document = await ComplianceDocument.create({
+      providerId,
+      ambulanceId: ambulanceId || undefined,
+      type,
+      file: {
+        storage: storage.name,
+        key: stored.key,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: stored.size
+      },
+      expiresAt: expiryDate
+    });
+  } catch (error) {
+    // Don't leave orphaned files behind
+    await storage.remove(stored.key);
+    throw error;
+  }
+
+  console.log(`[complianceService] Provider ${providerId} uploaded ${type} ${document._id}`);
+
+  await refreshComplianceStatus(providerId);
+
+  return document;
+};
+
+/**
+ * List documents
+ * @param {Object} filter Filter
+ * @param {String} filter.providerId Provider ID (optional)
+ * @param {String} filter.ambulanceId Ambulance ID (optional)
+ * @param {String} filter.reviewStatus Review status (optional)
+ * @returns {Promise<Array>} Documents, newest first
+ */
+const listDocuments = async (filter = {}) => {
+  const query = {};
+
+  ['providerId', 'ambulanceId', 'reviewStatus'].forEach(field => {
+    if (filter[field]) {
+      query[field] = filter[field];
+    }
+  });
+
+  return await ComplianceDocument.find(query)
+    .populate('ambulanceId', 'name registration')
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Approve or reject a document
+ * @param {String} documentId Document ID
+ * @param {String} status APPROVED or REJECTED
+ * @param {Object} options Options
+ * @param {String} options.reason Reason (required when rejecting)
+ * @param {String} options.adminId Firebase UID of the reviewing admin
+ * @returns {Promise<Object>} Updated document
+ */
+const reviewDocument = async (documentId, status, options = {}) => {
+  const { reason, adminId } = options;
+
+  if (!['APPROVED', 'REJECTED'].includes(status)) {
+    throw serviceError('Invalid review status. Valid values are: APPROVED, REJECTED', 400);
+  }
+
+  if (status === 'REJECTED' && !reason) {
+    throw serviceError('A reason is required when rejecting a document', 400);
+  }
+
+  const document = await ComplianceDocument.findById(documentId);
+
+  if (!document) {
+    throw serviceError('Document not found', 404);
+  }
+
+  if (document.reviewStatus === 'EXPIRED') {
+    throw serviceError('Expired documents cannot be reviewed, ask the provider to upload a renewed one', 409);
+  }
+
+  document.reviewStatus = status;
+  document.reviewReason = reason;
+  document.reviewedBy = adminId;
+  document.reviewedAt = new Date();
+  await document.save();
+
+  console.log(`[complianceService] Document ${documentId} ${status} by ${adminId}`);
+
+  await refreshComplianceStatus(document.providerId);
+
+  return document;
+};
+
+/**
+ * Delete a document and its file
+ * @param {Object} document Document
+ */
+const deleteDocument = async (document) => {
+  await getStorage().remove(document.file.key);
+  await ComplianceDocument.deleteOne({ _id: document._id });
+  await refreshComplianceStatus(document.providerId);
+};
+
+/**
+ * Open a document's file for reading
+ * @param {Object} document Document
+ * @returns {Promise<ReadStream>} File stream
+ */
+const openDocumentFile = async (document) => {
+  return await getStorage().getStream(document.file.key);
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  refreshComplianceStatus,
+  checkExpiredDocuments,
+  startExpiryMonitor,
+  getDispatchableAmbulanceFilter,
+  uploadDocument,
+  listDocuments,
+  reviewDocument,
+  deleteDocument,
+  openDocumentFile
+};
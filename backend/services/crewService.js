@@ -0,0 +1,272 @@
+// backend/services/crewService.js
+//
+// Crew members of a provider: drivers, EMTs, paramedics and nurses with their
+// own Firebase login. Providers add them by email, which creates the login if
+// there isn't one yet and sends them a link to set their password, and assign
+// them to ambulances. Crew members then update the trips and position of those
+// ambulances only.
+
+const mongoose = require('mongoose');
+const admin = require('../config/firebase-admin');
+const CrewMember = require('../models/crewMemberModel');
+const Ambulance = require('../models/ambulanceModel');
+const Provider = require('../models/providerModel');
+const Trip = require('../models/tripModel');
+const { getTransport } = require('./notifications');
+const { TRIP_STATUS } = require('../../shared/tripLifecycle');
+const { serviceError } = require('../utils/serviceErrors');
+
+const EDITABLE_FIELDS = ['name', 'phone', 'role', 'certifications', 'isActive'];
+
+// Trips a crew member works: from acceptance until the patient is handed over
+const CREW_TRIP_STATUSES = [TRIP_STATUS.ACCEPTED, TRIP_STATUS.ARRIVED, TRIP_STATUS.PICKED_UP, TRIP_STATUS.AT_HOSPITAL];
+
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * Turn a validation error into a 400 listing what is wrong
+ */
+const asBadRequest = (error) => {
+  if (error.name !== 'ValidationError') {
+    return error;
+  }
+
+  const messages = Object.values(error.errors).map(fieldError => fieldError.message);
+  return serviceError([...new Set(messages)].join('. '), 400);
+};
+
+/**
+ * Check every ambulance belongs to the provider
+ * @returns {Promise<Array>} Ambulance IDs without repeats
+ */
+const checkAmbulances = async (providerId, ambulanceIds) => {
+  const ids = [...new Set((Array.isArray(ambulanceIds) ? ambulanceIds : []).map(String))];
+  const owned = ids.every(id => mongoose.isValidObjectId(id))
+    ? await Ambulance.countDocuments({ _id: { $in: ids }, providerId })
+    : -1;
+
+  if (owned !== ids.length) {
+    throw serviceError('Crew can only be assigned to your own ambulances', 400);
+  }
+
+  return ids;
+};
+
+/**
+ * Set or clear the isCrew claim the frontend uses to open the crew screens,
+ * keeping the user's other claims
+ */
+const setCrewClaim = async (firebaseUser, isCrew) => {
+  const claims = { ...(firebaseUser.customClaims || {}) };
+
+  if (isCrew) {
+    claims.isCrew = true;
+  } else {
+    delete claims.isCrew;
+  }
+
+  await admin.auth().setCustomUserClaims(firebaseUser.uid, claims);
+};
+
+/**
+ * Find the Firebase login of an email, creating it if there is none. New
+ * logins get an email with a link to choose their password.
+ * @returns {Promise<Object>} Firebase user record
+ */
+const getOrCreateLogin = async (email, name) => {
+  try {
+    return await admin.auth().getUserByEmail(email);
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      throw error;
+    }
+  }
+
+  const firebaseUser = await admin.auth().createUser({ email, displayName: name });
+
+  try {
+    const link = await admin.auth().generatePasswordResetLink(email, { url: `${FRONTEND_URL}/auth/login` });
+
+    await getTransport('email').send({
+      to: email,
+      subject: 'Your MsaadaExpress crew account',
+      text: `Hello ${name},\n\nYou have been added to an ambulance crew on MsaadaExpress. Choose your password here, then sign in to update your trips:\n\n${link}\n\nMsaadaExpress`
+    });
+  } catch (error) {
+    // The crew member can still use "forgot password" on the login page
+    console.error(`[crewService] Error sending the invitation to ${email}:`, error.message);
+  }
+
+  console.log(`[crewService] Created login ${firebaseUser.uid} for ${email}`);
+
+  return firebaseUser;
+};
+
+/**
+ * Get a provider's crew
+ * @param {String} providerId Provider ID
+ * @returns {Promise<Array>} Crew members by name, with their ambulances
+ */
+const getCrew = async (providerId) => {
+  return await CrewMember.find({ providerId })
+    .populate('ambulanceIds', 'name registration type status')
+    .sort({ name: 1 });
+};
+
+/**
+ * Get one of the provider's crew members
+ */
+const getProviderCrewMember = async (providerId, crewMemberId) => {
+  const crewMember = mongoose.isValidObjectId(crewMemberId) ? await CrewMember.findById(crewMemberId) : null;
+
+  if (!crewMember || crewMember.providerId.toString() !== providerId.toString()) {
+    throw serviceError('Crew member not found', 404);
+  }
+
+  return crewMember;
+};
+
+/**
+ * Add a crew member with their own login
+ * @param {String} providerId Provider ID
+ * @param {Object} data { name, email, phone, role, certifications, ambulanceIds }
+ * @returns {Promise<Object>} Crew member
+ */
+const createCrewMember = async (providerId, data = {}) => {
+  const email = typeof data.email === 'string' ? data.email.trim().toLowerCase() : '';
+
+  if (!email) {
+    throw serviceError('Crew member email is required', 400);
+  }
+
+  if (!admin.isProperlyInitialized()) {
+    throw serviceError('Crew logins can\'t be created right now, please try again later', 503);
+  }
+
+  const crewMember = new CrewMember({ providerId, email });
+
+  for (const field of EDITABLE_FIELDS) {
+    if (data[field] !== undefined) {
+      crewMember[field] = data[field];
+    }
+  }
+
+  crewMember.ambulanceIds = await checkAmbulances(providerId, data.ambulanceIds);
+
+  // Check everything but the login before creating one
+  try {
+    await crewMember.validate(Object.keys(CrewMember.schema.paths).filter(path => path !== 'firebaseId'));
+  } catch (error) {
+    throw asBadRequest(error);
+  }
+
+  const firebaseUser = await getOrCreateLogin(email, crewMember.name);
+
+  if (await Provider.exists({ firebaseId: firebaseUser.uid })) {
+    throw serviceError('This email belongs to a provider account', 409);
+  }
+
+  if (await CrewMember.exists({ firebaseId: firebaseUser.uid })) {
+    throw serviceError('This email already belongs to a crew member', 409);
+  }
+
+  crewMember.firebaseId = firebaseUser.uid;
+
+  try {
+    await crewMember.save();
+  } catch (error) {
+    throw asBadRequest(error);
+  }
+
+  await setCrewClaim(firebaseUser, true);
+
+  console.log(`[crewService] Crew member ${crewMember._id} (${crewMember.role}) added to provider ${providerId}`);
+
+  return crewMember;
+};
+
+/**
+ * Update a crew member, e.g. their role, certifications or ambulances.
+ * Fields left out are kept; the login email can't change.
+ * @param {String} providerId Provider ID
+ * @param {String} crewMemberId Crew member ID
+ * @param {Object} data { name, phone, role, certifications, ambulanceIds, isActive }
+ * @returns {Promise<Object>} Crew member
+ */
+const updateCrewMember = async (providerId, crewMemberId, data = {}) => {
+  const crewMember = await getProviderCrewMember(providerId, crewMemberId);
+
+  for (const field of EDITABLE_FIELDS) {
+    if (data[field] !== undefined) {
+      crewMember[field] = data[field];
+    }
+  }
+
+  if (data.ambulanceIds !== undefined) {
+    crewMember.ambulanceIds = await checkAmbulances(providerId, data.ambulanceIds);
+  }
+
+  try {
+    await crewMember.save();
+  } catch (error) {
+    throw asBadRequest(error);
+  }
+
+  console.log(`[crewService] Crew member ${crewMember._id} updated`);
+
+  return crewMember;
+};
+
+/**
+ * Remove a crew member. Their login stays but no longer opens the crew screens.
+ * @param {String} providerId Provider ID
+ * @param {String} crewMemberId Crew member ID
+ */
+const deleteCrewMember = async (providerId, crewMemberId) => {
+  const crewMember = await getProviderCrewMember(providerId, crewMemberId);
+
+  await crewMember.deleteOne();
+
+  try {
+    await setCrewClaim(await admin.auth().getUser(crewMember.firebaseId), false);
+  } catch (error) {
+    // Without a crew member record the claim opens nothing on the backend
+    console.error(`[crewService] Error clearing the crew claim of ${crewMember.firebaseId}:`, error.message);
+  }
+
+  console.log(`[crewService] Crew member ${crewMemberId} removed from provider ${providerId}`);
+};
+
+/**
+ * Get the signed-in crew member with their ambulances
+ * @param {Object} crewMember Crew member document
+ * @returns {Promise<Object>} Crew member
+ */
+const getMyProfile = async (crewMember) => {
+  return await CrewMember.findById(crewMember._id)
+    .populate('ambulanceIds', 'name registration type status')
+    .populate('providerId', 'name phone');
+};
+
+/**
+ * Get the trips the crew member's ambulances are working
+ * @param {Object} crewMember Crew member document
+ * @returns {Promise<Array>} Trips, newest first
+ */
+const getMyTrips = async (crewMember) => {
+  return await Trip.find({
+    ambulanceId: { $in: crewMember.ambulanceIds },
+    status: { $in: CREW_TRIP_STATUSES }
+  })
+    .populate('ambulanceId')
+    .sort({ requestTime: -1 });
+};
+
+module.exports = {
+  getCrew,
+  createCrewMember,
+  updateCrewMember,
+  deleteCrewMember,
+  getMyProfile,
+  getMyTrips
+};
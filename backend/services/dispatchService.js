@@ -0,0 +1,581 @@
+// backend/services/dispatchService.js
+
+const Trip = require('../models/tripModel');
+const Ambulance = require('../models/ambulanceModel');
+const locationService = require('./locationService');
+const tripEventService = require('./tripEventService');
+const notificationService = require('./notificationService');
+const shiftService = require('./shiftService');
+const { TRIP_STATUS, ACTOR, applyTransition } = require('../../shared/tripLifecycle');
+
+// How long a provider has to accept or decline a trip offer
+const OFFER_TIMEOUT_MS = (parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS) || 60) * 1000;
+
+// Search radius (km) and candidate list size used when looking for the next ambulance
+const SEARCH_RADIUS_KM = parseInt(process.env.DISPATCH_SEARCH_RADIUS_KM) || 20;
+const MAX_CANDIDATES = 10;
+
+// How often offers left overdue by a restart or another instance are expired
+const OFFER_SWEEP_INTERVAL_MS = (parseInt(process.env.DISPATCH_OFFER_SWEEP_SECONDS) || 15) * 1000;
+
+// Pending offer timers, keyed by trip ID. They only speed up expiry on the
+// instance that sent the offer; the sweeper relies on the stored expiresAt.
+const offerTimers = new Map();
+
+let offerSweeper = null;
+
+/**
+ * Find ambulances suitable for a trip, best candidate first
+ * @param {Array<Number>} coordinates Pickup coordinates [longitude, latitude]
+ * @param {Object} options Dispatch options
+ * @param {String} options.ambulanceType Required ambulance type (optional)
+ * @param {Number} options.patientCount Number of patients to carry (default: 1)
+ * @param {Array<String>} options.excludeIds Ambulance IDs that must not be picked again
+ * @returns {Promise<Array>} Ambulances ordered by ETA
+ */
+const findCandidates = async (coordinates, options = {}) => {
+  const { ambulanceType = null, patientCount = 1, excludeIds = [] } = options;
+  const [longitude, latitude] = coordinates;
+
+  const nearest = await locationService.findNearestAmbulances(
+    longitude,
+    latitude,
+    SEARCH_RADIUS_KM,
+    MAX_CANDIDATES
+  );
+
+  const excluded = excludeIds.map(id => id.toString());
+
+  const candidates = nearest.filter(ambulance => {
+    if (excluded.includes(ambulance._id.toString())) {
+      return false;
+    }
+
+    if (ambulanceType && String(ambulance.type).toUpperCase() !== String(ambulanceType).toUpperCase()) {
+      return false;
+    }
+
+    return (ambulance.capacity || 1) >= patientCount;
+  });
+
+  console.log(`[dispatchService] ${candidates.length} of ${nearest.length} nearby ambulances are suitable (type: ${ambulanceType || 'any'}, patients: ${patientCount})`);
+
+  // findNearestAmbulances already sorts by ETA, so the first entry is the best match
+  return candidates;
+};
+
+/**
+ * Pick the best available ambulance for a trip
+ * @param {Array<Number>} coordinates Pickup coordinates [longitude, latitude]
+ * @param {Object} options Same options as findCandidates
+ * @returns {Promise<Object|null>} Best candidate or null if none is suitable
+ */
+const selectAmbulance = async (coordinates, options = {}) => {
+  const candidates = await findCandidates(coordinates, options);
+  return candidates.length > 0 ? candidates[0] : null;
+};
+
+/**
+ * Atomically reserve an ambulance by flipping it from AVAILABLE to BUSY.
+ * Only one caller can win the conditional update, so two patients can never
+ * book the same ambulance.
+ * @param {String} ambulanceId Ambulance ID
+ * @returns {Promise<Object|null>} Reserved ambulance or null if it was not available
+ */
+const reserveAmbulance = async (ambulanceId) => {
+  const reserved = await Ambulance.findOneAndUpdate(
+    { _id: ambulanceId, status: 'AVAILABLE' },
+    { status: 'BUSY', lastUpdated: new Date() },
+    { new: true }
+  );
+
+  if (!reserved) {
+    console.log(`[dispatchService] Ambulance ${ambulanceId} could not be reserved, it is no longer available`);
+  }
+
+  return reserved;
+};
+
+/**
+ * Release a reserved ambulance back to AVAILABLE, or OFFLINE when its shift
+ * ended during the trip. Ambulances the provider has taken OFFLINE in the
+ * meantime are left alone.
+ * @param {String} ambulanceId Ambulance ID
+ * @returns {Promise<Object|null>} Released ambulance or null if it was not reserved
+ */
+const releaseAmbulance = async (ambulanceId) => {
+  if (!ambulanceId) {
+    return null;
+  }
+
+  const id = ambulanceId._id || ambulanceId;
+  const status = (await shiftService.getRosterStatus(id)) || 'AVAILABLE';
+
+  const released = await Ambulance.findOneAndUpdate(
+    { _id: id, status: 'BUSY' },
+    { status, lastUpdated: new Date() },
+    { new: true }
+  );
+
+  if (released) {
+    console.log(`[dispatchService] Ambulance ${released._id} released and ${status} again`);
+  }
+
+  return released;
+};
+
+/**
+ * Reserve the best suitable ambulance, falling back to the next candidate
+ * whenever another request wins the race for one
+ * @param {Array<Number>} coordinates Pickup coordinates [longitude, latitude]
+ * @param {Object} options Same options as findCandidates
+ * @returns {Promise<Object|null>} Reserved candidate or null if none could be reserved
+ */
+const reserveBestAmbulance = async (coordinates, options = {}) => {
+  const candidates = await findCandidates(coordinates, options);
+
+  for (const candidate of candidates) {
+    if (await reserveAmbulance(candidate._id)) {
+      candidate.status = 'BUSY';
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get the offer currently waiting for a response
+ * @param {Object} trip Trip document
+ * @returns {Object|null} Pending offer or null
+ */
+const getPendingOffer = (trip) => {
+  return (trip.offers || []).find(offer => offer.status === 'PENDING') || null;
+};
+
+/**
+ * Record a new offer on the trip and point the trip at the offered ambulance.
+ * The caller must have reserved the ambulance, and is responsible for saving
+ * the trip and then calling sendOffer.
+ * @param {Object} trip Trip document
+ * @param {Object} ambulance Ambulance being offered the trip
+ * @returns {Object} The new offer
+ */
+const createOffer = (trip, ambulance) => {
+  const providerId = ambulance.providerId._id || ambulance.providerId;
+  const now = new Date();
+
+  trip.ambulanceId = ambulance._id;
+  trip.providerId = providerId;
+  trip.offers.push({
+    ambulanceId: ambulance._id,
+    providerId,
+    status: 'PENDING',
+    offeredAt: now,
+    expiresAt: new Date(now.getTime() + OFFER_TIMEOUT_MS)
+  });
+
+  return trip.offers[trip.offers.length - 1];
+};
+
+/**
+ * Cancel the countdown for a trip's pending offer
+ * @param {String} tripId Trip ID
+ */
+const clearOfferTimeout = (tripId) => {
+  const key = tripId.toString();
+  const timer = offerTimers.get(key);
+
+  if (timer) {
+    clearTimeout(timer);
+    offerTimers.delete(key);
+  }
+};
+
+/**
+ * Start the countdown for a trip's pending offer
+ * @param {String} tripId Trip ID
+ * @param {Object} offer The pending offer
+ * @param {Object} socketService Socket service used for notifications
+ */
+const scheduleOfferTimeout = (tripId, offer, socketService) => {
+  const key = tripId.toString();
+  clearOfferTimeout(key);
+
+  const offerId = offer._id.toString();
+  const delay = Math.max(0, new Date(offer.expiresAt).getTime() - Date.now());
+
+  const timer = setTimeout(() => {
+    offerTimers.delete(key);
+    expireOffer(key, offerId, socketService).catch(error => {
+      console.error(`[dispatchService] Error expiring offer ${offerId} for trip ${key}:`, error);
+    });
+  }, delay);
+
+  offerTimers.set(key, timer);
+};
+
+/**
+ * Deliver the pending offer to its provider and start the countdown
+ * @param {String} tripId Trip ID
+ * @param {Object} socketService Socket service
+ * @returns {Promise<Object>} Populated trip
+ */
+const sendOffer = async (tripId, socketService) => {
+  const populatedTrip = await Trip.findById(tripId)
+    .populate('ambulanceId')
+    .populate('providerId');
+
+  const offer = getPendingOffer(populatedTrip);
+  if (!offer) {
+    return populatedTrip;
+  }
+
+  console.log(`[dispatchService] Offering trip ${tripId} to ambulance ${offer.ambulanceId} until ${offer.expiresAt.toISOString()}`);
+
+  await tripEventService.recordEvent(tripId, 'OFFERED', {
+    source: 'SYSTEM',
+    newValue: { ambulanceId: offer.ambulanceId, providerId: offer.providerId, expiresAt: offer.expiresAt }
+  });
+
+  if (socketService) {
+    socketService.emitNewTripRequest(populatedTrip);
+    socketService.emitTripUpdate(tripId.toString(), populatedTrip);
+  }
+
+  notificationService.notifyProviderNewRequest(populatedTrip, { socketService })
+    .catch(error => console.error(`[dispatchService] Error notifying provider of trip ${tripId}:`, error));
+
+  scheduleOfferTimeout(tripId, offer, socketService);
+
+  return populatedTrip;
+};
+
+/**
+ * Offer the trip to the next ranked ambulance, or cancel it when no candidates are left
+ * @param {Object} trip Trip document (status REQUESTED, no pending offer)
+ * @param {Object} socketService Socket service
+ * @returns {Promise<Object>} Updated trip
+ */
+const offerToNextCandidate = async (trip, socketService) => {
+  const tripId = trip._id.toString();
+  const alreadyOffered = trip.offers.map(offer => offer.ambulanceId);
+
+  const next = await reserveBestAmbulance(trip.requestLocation.coordinates, {
+    ambulanceType: trip.dispatch?.ambulanceType,
+    patientCount: trip.dispatch?.patientCount || 1,
+    excludeIds: alreadyOffered
+  });
+
+  if (!next) {
+    console.log(`[dispatchService] No more candidates for trip ${tripId}, cancelling`);
+
+    applyTransition(trip, TRIP_STATUS.CANCELLED, ACTOR.SYSTEM, {
+      reason: 'No ambulance accepted the request'
+    });
+    await trip.save();
+
+    await tripEventService.recordEvent(trip._id, 'CANCELLED', {
+      source: 'SYSTEM',
+      previousValue: TRIP_STATUS.REQUESTED,
+      newValue: TRIP_STATUS.CANCELLED,
+      note: trip.cancellationReason
+    });
+
+    if (socketService) {
+      socketService.emitTripStatusChanged(tripId, TRIP_STATUS.REQUESTED, TRIP_STATUS.CANCELLED, trip.toObject());
+      socketService.emitTripCancelled(tripId, null, null);
+    }
+
+    notificationService.notifyTripTransition(trip, TRIP_STATUS.REQUESTED, TRIP_STATUS.CANCELLED, ACTOR.SYSTEM, { socketService })
+      .catch(error => console.error(`[dispatchService] Error sending cancellation notifications for trip ${tripId}:`, error));
+
+    return trip;
+  }
+
+  const previousAmbulanceId = trip.ambulanceId;
+
+  createOffer(trip, next);
+
+  try {
+    await trip.save();
+  } catch (error) {
+    await releaseAmbulance(next._id);
+    throw error;
+  }
+
+  await tripEventService.recordEvent(trip._id, 'REASSIGNED', {
+    source: 'SYSTEM',
+    previousValue: { ambulanceId: previousAmbulanceId },
+    newValue: { ambulanceId: next._id, providerId: trip.providerId }
+  });
+
+  return await sendOffer(tripId, socketService);
+};
+
+/**
+ * Close a pending offer with the given outcome. The update only applies while
+ * the offer is still pending on a REQUESTED trip, so of an accept, decline,
+ * expiry or withdrawal racing each other (possibly on different instances)
+ * exactly one wins.
+ * @param {String} tripId Trip ID
+ * @param {Object} filter Fields the offer must match besides its ID and PENDING status
+ * @param {String} outcome ACCEPTED, DECLINED, EXPIRED or WITHDRAWN
+ * @param {String} reason Reason given by the provider (optional)
+ * @returns {Promise<Object|null>} Updated trip or null if the offer was no longer pending
+ */
+const closeOffer = async (tripId, filter, outcome, reason = null) => {
+  const changes = {
+    'offers.$.status': outcome,
+    'offers.$.respondedAt': new Date()
+  };
+  if (reason) {
+    changes['offers.$.reason'] = reason;
+  }
+
+  return await Trip.findOneAndUpdate(
+    {
+      _id: tripId,
+      status: TRIP_STATUS.REQUESTED,
+      offers: { $elemMatch: { ...filter, status: 'PENDING' } }
+    },
+    { $set: changes },
+    { new: true }
+  );
+};
+
+/**
+ * Release the ambulance of a closed offer and move on to the next candidate
+ * @param {Object} trip Trip document, with the offer already closed
+ * @param {Object} offer The closed offer
+ * @param {String} reason Reason given by the provider (optional)
+ * @param {Object} socketService Socket service
+ * @param {Object} eventDetails Actor and source recorded on the trip timeline
+ * @returns {Promise<Object>} Updated trip
+ */
+const continueAfterOffer = async (trip, offer, reason, socketService, eventDetails = {}) => {
+  const tripId = trip._id.toString();
+  const outcome = offer.status;
+
+  clearOfferTimeout(tripId);
+
+  // The ambulance was reserved for this offer only
+  await releaseAmbulance(offer.ambulanceId);
+
+  console.log(`[dispatchService] Offer for trip ${tripId} to ambulance ${offer.ambulanceId} ${outcome.toLowerCase()}${reason ? ` (${reason})` : ''}`);
+
+  await tripEventService.recordEvent(trip._id, `OFFER_${outcome}`, {
+    source: 'SYSTEM',
+    ...eventDetails,
+    previousValue: 'PENDING',
+    newValue: { ambulanceId: offer.ambulanceId, status: outcome },
+    note: reason || undefined
+  });
+
+  if (socketService) {
+    socketService.emitTripOfferWithdrawn(offer.providerId.toString(), tripId, outcome);
+  }
+
+  const next = await offerToNextCandidate(trip, socketService);
+
+  // The provider and crew that let the offer go stop following the trip
+  if (socketService && next.status === TRIP_STATUS.CANCELLED) {
+    socketService.revokeAmbulanceFollowers(next);
+  } else if (socketService) {
+    socketService.revokeOfferAccess(next, offer).catch(error => {
+      console.error(`[dispatchService] Error revoking access of ambulance ${offer.ambulanceId} to trip ${tripId}:`, error);
+    });
+  }
+
+  return next;
+};
+
+/**
+ * Decline the trip on behalf of the provider it is currently offered to
+ * @param {String} tripId Trip ID
+ * @param {String} providerId Provider declining the offer
+ * @param {String} reason Reason for declining
+ * @param {Object} socketService Socket service
+ * @param {String} source Where the decline came from: REST or SOCKET (default: REST)
+ * @returns {Promise<Object>} Updated trip
+ */
+const declineOffer = async (tripId, providerId, reason, socketService, source = 'REST') => {
+  const current = await Trip.findById(tripId);
+
+  if (!current) {
+    throw new Error('Trip not found');
+  }
+
+  const pending = getPendingOffer(current);
+  const declineReason = reason || 'No reason provided';
+
+  const trip = pending && pending.providerId.toString() === providerId.toString()
+    ? await closeOffer(tripId, { _id: pending._id, providerId }, 'DECLINED', declineReason)
+    : null;
+
+  if (!trip) {
+    throw new Error('This trip is not currently offered to you');
+  }
+
+  return await continueAfterOffer(trip, trip.offers.id(pending._id), declineReason, socketService, {
+    actor: ACTOR.PROVIDER,
+    actorId: providerId,
+    source
+  });
+};
+
+/**
+ * Expire an offer that was not answered in time. Does nothing when that offer
+ * is no longer pending, e.g. because it was answered or a newer offer replaced it.
+ * @param {String} tripId Trip ID
+ * @param {String} offerId The offer the countdown was started for
+ * @param {Object} socketService Socket service
+ * @returns {Promise<Object|null>} Updated trip or null if there was nothing to expire
+ */
+const expireOffer = async (tripId, offerId, socketService) => {
+  const trip = await closeOffer(tripId, { _id: offerId }, 'EXPIRED');
+
+  if (!trip) {
+    return null;
+  }
+
+  return await continueAfterOffer(trip, trip.offers.id(offerId), null, socketService);
+};
+
+/**
+ * Expire every offer that is past its expiresAt, whichever instance sent it
+ * @param {Object} socketService Socket service
+ * @returns {Promise<Number>} Number of offers expired
+ */
+const expireOverdueOffers = async (socketService) => {
+  const now = new Date();
+
+  const trips = await Trip.find({
+    status: TRIP_STATUS.REQUESTED,
+    offers: { $elemMatch: { status: 'PENDING', expiresAt: { $lte: now } } }
+  }).select('offers');
+
+  let expired = 0;
+
+  for (const trip of trips) {
+    const offer = getPendingOffer(trip);
+
+    try {
+      if (offer && await expireOffer(trip._id, offer._id, socketService)) {
+        expired++;
+      }
+    } catch (error) {
+      console.error(`[dispatchService] Error expiring overdue offer for trip ${trip._id}:`, error);
+    }
+  }
+
+  if (expired > 0) {
+    console.log(`[dispatchService] ${expired} overdue offers expired`);
+  }
+
+  return expired;
+};
+
+/**
+ * Expire overdue offers now and then periodically, so offers outlive neither
+ * a restart nor the instance that sent them
+ * @param {Object} socketService Socket service used for notifications (optional)
+ */
+const startOfferSweeper = (socketService = null) => {
+  if (offerSweeper) {
+    return;
+  }
+
+  const runSweep = () => {
+    expireOverdueOffers(socketService).catch(error => {
+      console.error('[dispatchService] Error expiring overdue offers:', error);
+    });
+  };
+
+  runSweep();
+  offerSweeper = setInterval(runSweep, OFFER_SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for this check
+  offerSweeper.unref();
+};
+
+/**
+ * Accept the pending offer on behalf of its provider. Must be called before
+ * saving an ACCEPTED trip.
+ * @param {Object} trip Trip document
+ * @param {String} providerId Provider accepting the trip
+ * @returns {Promise<Boolean>} False if the trip is not currently offered to this provider
+ */
+const acceptOffer = async (trip, providerId) => {
+  const offer = getPendingOffer(trip);
+
+  // Trips created before offers existed have nothing to accept
+  if (!offer) {
+    return trip.offers.length === 0;
+  }
+
+  if (offer.providerId.toString() !== providerId.toString()) {
+    return false;
+  }
+
+  const updated = await closeOffer(trip._id, { _id: offer._id, providerId }, 'ACCEPTED');
+  if (!updated) {
+    return false;
+  }
+
+  const accepted = updated.offers.id(offer._id);
+  offer.status = accepted.status;
+  offer.respondedAt = accepted.respondedAt;
+  clearOfferTimeout(trip._id);
+
+  return true;
+};
+
+/**
+ * Withdraw the pending offer of a trip that is being cancelled
+ * @param {Object} trip Trip document
+ * @param {Object} socketService Socket service
+ * @returns {Promise<Boolean>} False if the offer was answered or expired in the meantime
+ */
+const withdrawOffer = async (trip, socketService) => {
+  const offer = getPendingOffer(trip);
+
+  clearOfferTimeout(trip._id);
+
+  if (!offer) {
+    return true;
+  }
+
+  const updated = await closeOffer(trip._id, { _id: offer._id }, 'WITHDRAWN');
+  if (!updated) {
+    return false;
+  }
+
+  const withdrawn = updated.offers.id(offer._id);
+  offer.status = withdrawn.status;
+  offer.respondedAt = withdrawn.respondedAt;
+
+  if (socketService) {
+    socketService.emitTripOfferWithdrawn(offer.providerId.toString(), trip._id.toString(), 'WITHDRAWN');
+  }
+
+  return true;
+};
+
+module.exports = {
+  OFFER_TIMEOUT_MS,
+  findCandidates,
+  selectAmbulance,
+  reserveAmbulance,
+  releaseAmbulance,
+  reserveBestAmbulance,
+  getPendingOffer,
+  createOffer,
+  sendOffer,
+  declineOffer,
+  expireOffer,
+  expireOverdueOffers,
+  startOfferSweeper,
+  acceptOffer,
+  withdrawOffer,
+  clearOfferTimeout
+};
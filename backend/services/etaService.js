@@ -0,0 +1,155 @@
+// backend/services/etaService.js
+
+const Trip = require('../models/tripModel');
+const Ambulance = require('../models/ambulanceModel');
+const routing = require('./routing');
+const notificationService = require('./notificationService');
+const handoverService = require('./handoverService');
+const { TRIP_STATUS } = require('../../shared/tripLifecycle');
+
+// Minimum time between two ETA refreshes of the same ambulance's trip
+const ETA_REFRESH_INTERVAL_MS = (parseInt(process.env.ETA_REFRESH_INTERVAL_SECONDS) || 30) * 1000;
+
+// The patient is told the ambulance is close once its ETA drops to this
+const ARRIVAL_NOTICE_MINUTES = parseInt(process.env.ARRIVAL_NOTICE_MINUTES) || 3;
+
+// Time of the last ETA refresh, keyed by ambulance ID
+const lastRefreshes = new Map();
+
+/**
+ * Where the ambulance is heading for a trip in a given status
+ * @param {Object} trip Trip
+ * @returns {Object|null} { target, coordinates } or null when there is nothing to drive to
+ */
+const getEtaTarget = (trip) => {
+  if (trip.status === TRIP_STATUS.REQUESTED || trip.status === TRIP_STATUS.ACCEPTED) {
+    return { target: 'PICKUP', coordinates: trip.requestLocation.coordinates };
+  }
+
+  if (trip.status === TRIP_STATUS.PICKED_UP && trip.destinationLocation?.coordinates?.length === 2) {
+    return { target: 'DESTINATION', coordinates: trip.destinationLocation.coordinates };
+  }
+
+  return null;
+};
+
+/**
+ * Recalculate a trip's ETA from its ambulance's position, store it and tell
+ * the trip room. Notifies the patient once when the ambulance is about to arrive,
+ * and the destination hospital whenever the ETA moved noticeably.
+ * @param {Object} trip Trip document
+ * @param {Object} options Options
+ * @param {Array<Number>} options.from Ambulance position [longitude, latitude] (default: its stored location)
+ * @param {Object} options.socketService Socket service used for events (optional)
+ * @returns {Promise<Object|null>} The new ETA or null if the trip has none
+ */
+const refreshTripEta = async (trip, options = {}) => {
+  const { socketService = null } = options;
+  const destination = getEtaTarget(trip);
+
+  if (!destination) {
+    return null;
+  }
+
+  try {
+    let from = options.from;
+
+    if (!from) {
+      const ambulance = await Ambulance.findById(trip.ambulanceId).select('location');
+      from = ambulance?.location?.coordinates;
+    }
+
+    if (!from || from.length < 2) {
+      return null;
+    }
+
+    const route = await routing.getRoute([from[0], from[1]], destination.coordinates);
+
+    // A new leg of the trip needs its own arrival notice
+    const sameTarget = trip.eta?.target === destination.target;
+    const eta = {
+      minutes: route.durationMinutes,
+      distanceKm: Math.round(route.distanceKm * 10) / 10,
+      target: destination.target,
+      source: route.source,
+      calculatedAt: new Date(),
+      arrivalNotified: sameTarget ? !!trip.eta.arrivalNotified : false
+    };
+
+    const notifyArrival = destination.target === 'PICKUP'
+      && trip.status === TRIP_STATUS.ACCEPTED
+      && !eta.arrivalNotified
+      && eta.minutes <= ARRIVAL_NOTICE_MINUTES;
+
+    if (notifyArrival) {
+      eta.arrivalNotified = true;
+    }
+
+    // Only touch the ETA so concurrent status changes aren't overwritten
+    await Trip.updateOne({ _id: trip._id }, { $set: { eta } });
+    trip.eta = eta;
+
+    if (socketService) {
+      socketService.emitToTrip(trip._id.toString(), 'tripEtaUpdated', {
+        tripId: trip._id.toString(),
+        eta: eta.minutes,
+        etaText: routing.formatETA(eta.minutes),
+        distanceKm: eta.distanceKm,
+        target: eta.target,
+        timestamp: eta.calculatedAt.toISOString()
+      });
+    }
+
+    if (notifyArrival) {
+      notificationService.notifyAmbulanceArrival(trip, eta.minutes, { socketService })
+        .catch(error => console.error(`[etaService] Error sending arrival notice of trip ${trip._id}:`, error));
+    }
+
+    await handoverService.syncHandover(trip);
+
+    return eta;
+  } catch (error) {
+    console.error(`[etaService] Error refreshing ETA of trip ${trip._id}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Refresh the ETA of the trip an ambulance is serving after it moved.
+ * Throttled to one refresh per ambulance per refresh interval.
+ * @param {String} ambulanceId Ambulance ID
+ * @param {Array<Number>} coordinates New position [longitude, latitude]
+ * @param {Object} socketService Socket service used for events (optional)
+ * @returns {Promise<Object|null>} The new ETA or null if skipped
+ */
+const updateEtaForAmbulance = async (ambulanceId, coordinates, socketService = null) => {
+  const key = ambulanceId.toString();
+  const now = Date.now();
+
+  if (now - (lastRefreshes.get(key) || 0) < ETA_REFRESH_INTERVAL_MS) {
+    return null;
+  }
+
+  try {
+    const trip = await Trip.findOne({
+      ambulanceId,
+      status: { $in: [TRIP_STATUS.ACCEPTED, TRIP_STATUS.PICKED_UP] }
+    });
+
+    if (!trip) {
+      return null;
+    }
+
+    lastRefreshes.set(key, now);
+
+    return await refreshTripEta(trip, { from: coordinates, socketService });
+  } catch (error) {
+    console.error(`[etaService] Error updating ETA for ambulance ${key}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  refreshTripEta,
+  updateEtaForAmbulance
+};
@@ -0,0 +1,385 @@
+// backend/services/fareService.js
+//
+// Trip fares. Providers set a tariff per ambulance type; the same tariff
+// gives the estimate shown before a trip is requested and the final fare
+// worked out from the distance actually driven when the trip completes.
+// Ambulance types a provider hasn't priced use the platform default tariff.
+
+const Tariff = require('../models/tariffModel');
+const Ambulance = require('../models/ambulanceModel');
+const TripTrackPoint = require('../models/tripTrackPointModel');
+const { getRoute } = require('./routing');
+const { calculateDistance } = require('../utils/locationUtils');
+const { serviceError } = require('../utils/serviceErrors');
+
+// Tariff of ambulance types a provider hasn't priced
+const DEFAULT_TARIFF = {
+  currency: process.env.FARE_CURRENCY || 'KES',
+  baseFee: parseFloat(process.env.FARE_DEFAULT_BASE_FEE) || 2000,
+  perKm: parseFloat(process.env.FARE_DEFAULT_PER_KM) || 100,
+  perMinuteWaiting: parseFloat(process.env.FARE_DEFAULT_PER_MINUTE_WAITING) || 20,
+  freeWaitingMinutes: 10,
+  nightSurchargePercent: parseFloat(process.env.FARE_DEFAULT_NIGHT_SURCHARGE_PERCENT) || 0,
+  nightStartHour: 22,
+  nightEndHour: 6,
+  equipmentSurcharges: []
+};
+
+// Local time zone of night surcharges
+const FARE_TIMEZONE = process.env.FARE_TIMEZONE || 'Africa/Nairobi';
+
+// Track points further apart than this (km) are a gap in the track, e.g. the
+// crew's phone lost signal; the gap is bridged with the road route between them
+const MAX_TRACK_GAP_KM = 5;
+
+// A track shorter than this share of the road route from pickup to destination
+// missed most of the trip, so the route is billed instead
+const MIN_TRACK_COVERAGE = 0.5;
+
+/**
+ * Get the hour of a time in the fare time zone
+ * @param {Date} at Time
+ * @returns {Number} Hour, 0-23
+ */
+const localHour = (at) => {
+  const hour = new Intl.DateTimeFormat('en-GB', {
+    hour: 'numeric',
+    hourCycle: 'h23',
+    timeZone: FARE_TIMEZONE
+  }).format(at);
+
+  return parseInt(hour, 10);
+};
+
+/**
+ * Whether a time falls in a tariff's night hours. Night hours may wrap
+ * around midnight, e.g. 22 to 6.
+ */
+const isNight = (tariff, at) => {
+  const { nightStartHour: start, nightEndHour: end } = tariff;
+
+  if (start === end) {
+    return false;
+  }
+
+  const hour = localHour(at);
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+};
+
+/**
+ * Calculate a fare from a tariff
+ * @param {Object} tariff Tariff (a Tariff document or DEFAULT_TARIFF)
+ * @param {Object} trip Trip figures
+ * @param {Number} trip.distanceKm Distance driven with the patient, null when unknown
+ * @param {Number} trip.waitingMinutes Minutes waited at the pickup (default: 0)
+ * @param {Date} trip.at Time the trip was requested (default: now)
+ * @param {Array<String>} trip.equipment Equipment of the ambulance (default: none)
+ * @returns {Object} { currency, total, night, breakdown: { base, distance, waiting, equipment, night } },
+ *   total null when the distance is unknown
+ */
+const calculateFare = (tariff, { distanceKm = null, waitingMinutes = 0, at = new Date(), equipment = [] } = {}) => {
+  const carried = new Set(equipment.map(item => item.toLowerCase()));
+  const equipmentTotal = (tariff.equipmentSurcharges || [])
+    .filter(surcharge => carried.has(surcharge.equipment.toLowerCase()))
+    .reduce((sum, surcharge) => sum + surcharge.amount, 0);
+
+  const billableWaiting = Math.max(0, waitingMinutes - (tariff.freeWaitingMinutes || 0));
+  const night = isNight(tariff, at);
+
+  const breakdown = {
+    base: Math.round(tariff.baseFee),
+    distance: distanceKm === null ? null : Math.round(distanceKm * tariff.perKm),
+    waiting: Math.round(billableWaiting * (tariff.perMinuteWaiting || 0)),
+    equipment: Math.round(equipmentTotal),
+    night: 0
+  };
+
+  if (breakdown.distance === null) {
+    return { currency: tariff.currency, total: null, night, breakdown };
+  }
+
+  const subtotal = breakdown.base + breakdown.distance + breakdown.waiting + breakdown.equipment;
+
+  if (night) {
+    breakdown.night = Math.round(subtotal * (tariff.nightSurchargePercent || 0) / 100);
+  }
+
+  return { currency: tariff.currency, total: subtotal + breakdown.night, night, breakdown };
+};
+
+/**
+ * Get the tariffs of many ambulances at once, e.g. of a nearby ambulances list
+ * @param {Array<Object>} ambulances Ambulances with providerId and type
+ * @returns {Promise<Function>} Lookup (ambulance) -> { tariff, source } where source is PROVIDER or DEFAULT
+ */
+const getTariffLookup = async (ambulances) => {
+  const providerIds = [...new Set(ambulances
+    .filter(ambulance => ambulance.providerId)
+    .map(ambulance => (ambulance.providerId._id || ambulance.providerId).toString()))];
+
+  const tariffs = providerIds.length > 0
+    ? await Tariff.find({ providerId: { $in: providerIds } }).lean()
+    : [];
+
+  const byKey = new Map(tariffs.map(tariff => [`${tariff.providerId}:${tariff.ambulanceType}`, tariff]));
+
+  return (ambulance) => {
+    const providerId = ambulance.providerId ? (ambulance.providerId._id || ambulance.providerId).toString() : null;
+    const tariff = byKey.get(`${providerId}:${(ambulance.type || '').toUpperCase()}`);
+
+    return tariff ? { tariff, source: 'PROVIDER' } : { tariff: DEFAULT_TARIFF, source: 'DEFAULT' };
+  };
+};
+
+/**
+ * Estimate the fare of a trip with an ambulance before it is requested
+ * @param {Object} tariff Tariff of the ambulance
+ * @param {Object} ambulance Ambulance, for its equipment
+ * @param {Number} distanceKm Distance from the pickup to the destination, null when no destination is known
+ * @returns {Object} { currency, amount, baseFee, perKm, nightSurchargePercent, night, breakdown },
+ *   amount null without a distance - the rates then show what the trip would start at
+ */
+const estimateFare = (tariff, ambulance, distanceKm = null) => {
+  const fare = calculateFare(tariff, {
+    distanceKm,
+    equipment: ambulance.features || []
+  });
+
+  return {
+    currency: fare.currency,
+    amount: fare.total,
+    baseFee: fare.breakdown.base + fare.breakdown.equipment,
+    perKm: tariff.perKm,
+    nightSurchargePercent: fare.night ? tariff.nightSurchargePercent || 0 : 0,
+    night: fare.night,
+    breakdown: fare.breakdown
+  };
+};
+
+/**
+ * Length of a breadcrumb track, with gaps bridged by the road route
+ * @param {Array} points Track points, oldest first
+ * @returns {Promise<Number>} Distance in km
+ */
+const measureTrackKm = async (points) => {
+  let distanceKm = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1].location.coordinates;
+    const to = points[i].location.coordinates;
+    const step = calculateDistance(from[1], from[0], to[1], to[0]);
+
+    if (step <= MAX_TRACK_GAP_KM) {
+      distanceKm += step;
+      continue;
+    }
+
+    try {
+      distanceKm += (await getRoute(from, to)).distanceKm;
+    } catch (error) {
+      console.error(`[fareService] Could not route a track gap of ${step.toFixed(1)} km:`, error.message);
+      distanceKm += step;
+    }
+  }
+
+  return distanceKm;
+};
+
+/**
+ * Measure the distance a trip drove with the patient on board: the breadcrumb
+ * track from pickup on, or the road route from the pickup to the destination
+ * when there is no track or it covers too little of that route
+ * @param {Object} trip Trip
+ * @returns {Promise<Object>} { distanceKm, source } with source TRACK, ROUTE or NONE
+ */
+const measureTravelledKm = async (trip) => {
+  const from = trip.pickupTime || trip.arrivalTime || trip.acceptTime;
+
+  let trackKm = 0;
+  if (from) {
+    const points = await TripTrackPoint.find({ tripId: trip._id, recordedAt: { $gte: from } })
+      .sort({ recordedAt: 1 })
+      .select('location')
+      .lean();
+
+    trackKm = await measureTrackKm(points);
+  }
+
+  const destination = trip.destinationLocation && trip.destinationLocation.coordinates;
+
+  let routeKm = null;
+  if (destination && destination.length === 2) {
+    try {
+      routeKm = (await getRoute(trip.requestLocation.coordinates, destination)).distanceKm;
+    } catch (error) {
+      console.error(`[fareService] Could not route trip ${trip._id}:`, error.message);
+    }
+  }
+
+  if (trackKm > 0 && (routeKm === null || trackKm >= routeKm * MIN_TRACK_COVERAGE)) {
+    return { distanceKm: trackKm, source: 'TRACK' };
+  }
+
+  if (routeKm !== null) {
+    if (trackKm > 0) {
+      console.log(`[fareService] Track of trip ${trip._id} covers ${trackKm.toFixed(1)} of ${routeKm.toFixed(1)} route km, billing the route`);
+    }
+
+    return { distanceKm: routeKm, source: 'ROUTE' };
+  }
+
+  return { distanceKm: 0, source: 'NONE' };
+};
+
+/**
+ * Work out the final fare of a completed trip and set it on the trip.
+ * The caller saves the trip.
+ * @param {Object} trip Trip document
+ * @returns {Promise<Object>} The trip
+ */
+const finalizeFare = async (trip) => {
+  // The ambulance may have been deleted since; the trip still knows the type it asked for
+  const ambulance = await Ambulance.findById(trip.ambulanceId).select('providerId type features').lean()
+    || { providerId: trip.providerId, type: trip.dispatch && trip.dispatch.ambulanceType, features: [] };
+  const lookup = await getTariffLookup([ambulance]);
+  const { tariff, source } = lookup(ambulance);
+
+  const { distanceKm, source: distanceSource } = await measureTravelledKm(trip);
+  const waitingMinutes = trip.arrivalTime && trip.pickupTime
+    ? Math.max(0, Math.round((trip.pickupTime - trip.arrivalTime) / 60000))
+    : 0;
+
+  const fare = calculateFare(tariff, {
+    distanceKm,
+    waitingMinutes,
+    at: trip.requestTime || trip.createdAt || new Date(),
+    equipment: ambulance.features || []
+  });
+
+  trip.fare = fare.total;
+  trip.fareDetails = {
+    currency: fare.currency,
+    tariffSource: source,
+    distanceKm: Math.round(distanceKm * 10) / 10,
+    distanceSource,
+    waitingMinutes,
+    night: fare.night,
+    breakdown: fare.breakdown,
+    calculatedAt: new Date()
+  };
+
+  console.log(`[fareService] Trip ${trip._id} fare ${fare.currency} ${fare.total} (${distanceKm.toFixed(1)} km, ${distanceSource}, ${source} tariff)`);
+
+  return trip;
+};
+
+/**
+ * Get a provider's tariffs
+ * @param {String} providerId Provider ID
+ * @returns {Promise<Object>} { tariffs, defaultTariff }
+ */
+const getProviderTariffs = async (providerId) => {
+  const tariffs = await Tariff.find({ providerId }).sort({ ambulanceType: 1 });
+
+  return { tariffs, defaultTariff: DEFAULT_TARIFF };
+};
+
+const RATE_FIELDS = [
+  'baseFee',
+  'perKm',
+  'perMinuteWaiting',
+  'freeWaitingMinutes',
+  'nightSurchargePercent',
+  'nightStartHour',
+  'nightEndHour'
+];
+
+/**
+ * Create or replace a provider's tariff for an ambulance type
+ * @param {String} providerId Provider ID
+ * @param {String} ambulanceType Ambulance type
+ * @param {Object} data Tariff fields
+ * @returns {Promise<Object>} Saved tariff
+ */
+const saveTariff = async (providerId, ambulanceType, data) => {
+  const type = (ambulanceType || '').trim().toUpperCase();
+
+  if (!type) {
+    throw serviceError('Ambulance type is required', 400);
+  }
+
+  const update = { providerId, ambulanceType: type };
+
+  for (const field of RATE_FIELDS) {
+    if (data[field] === undefined || data[field] === '') continue;
+
+    const value = Number(data[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw serviceError(`${field} must be a non-negative number`, 400);
+    }
+    if ((field === 'nightStartHour' || field === 'nightEndHour') && (value > 23 || !Number.isInteger(value))) {
+      throw serviceError(`${field} must be a whole hour from 0 to 23`, 400);
+    }
+    update[field] = value;
+  }
+
+  if (update.baseFee === undefined || update.perKm === undefined) {
+    throw serviceError('Base fee and price per km are required', 400);
+  }
+
+  if (data.currency) {
+    update.currency = data.currency;
+  }
+
+  if (data.equipmentSurcharges !== undefined) {
+    if (!Array.isArray(data.equipmentSurcharges)) {
+      throw serviceError('equipmentSurcharges must be a list', 400);
+    }
+
+    update.equipmentSurcharges = data.equipmentSurcharges.map(surcharge => {
+      const amount = Number(surcharge.amount);
+      if (!surcharge.equipment || !Number.isFinite(amount) || amount < 0) {
+        throw serviceError('Every equipment surcharge needs equipment and a non-negative amount', 400);
+      }
+      return { equipment: surcharge.equipment.trim(), amount };
+    });
+  }
+
+  const tariff = await Tariff.findOneAndUpdate(
+    { providerId, ambulanceType: type },
+    update,
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  console.log(`[fareService] Provider ${providerId} saved ${type} tariff`);
+
+  return tariff;
+};
+
+/**
+ * Delete a provider's tariff; the ambulance type goes back to the default tariff
+ * @param {String} providerId Provider ID
+ * @param {String} ambulanceType Ambulance type
+ */
+const deleteTariff = async (providerId, ambulanceType) => {
+  const result = await Tariff.findOneAndDelete({
+    providerId,
+    ambulanceType: (ambulanceType || '').trim().toUpperCase()
+  });
+
+  if (!result) {
+    throw serviceError('Tariff not found', 404);
+  }
+};
+
+module.exports = {
+  DEFAULT_TARIFF,
+  calculateFare,
+  getTariffLookup,
+  estimateFare,
+  measureTravelledKm,
+  finalizeFare,
+  getProviderTariffs,
+  saveTariff,
+  deleteTariff
+};
@@ -0,0 +1,88 @@
+// backend/services/geocoding/gazetteerGeocoder.js
+
+const fs = require('fs');
+const { calculateDistance } = require('../../utils/locationUtils');
+
+/**
+ * Offline geocoder backed by a local list of places and landmarks
+ * @param {Object} options Options
+ * @param {String} options.file Path of the gazetteer JSON file
+ * @param {Number} options.maxDistanceKm How far a point may be from a place and still be described by it
+ * @returns {Object} Geocoder
+ */
+module.exports = ({ file, maxDistanceKm = 3 }) => {
+  let places = null;
+
+  // Load lazily so a broken dataset only affects geocoding
+  const getPlaces = () => {
+    if (!places) {
+      places = JSON.parse(fs.readFileSync(file, 'utf8')).map(place => ({
+        ...place,
+        searchText: `${place.name} ${place.area}`.toLowerCase()
+      }));
+      console.log(`[gazetteerGeocoder] Loaded ${places.length} places from ${file}`);
+    }
+    return places;
+  };
+
+  const toResult = (place, address = `${place.name}, ${place.area}`) => ({
+    address,
+    coordinates: place.coordinates,
+    type: place.type
+  });
+
+  return {
+    name: 'gazetteer',
+
+    /**
+     * Find places matching a search text
+     * @param {String} query Search text
+     * @param {Object} options Options
+     * @param {Number} options.limit Maximum number of results
+     * @returns {Promise<Array>} { address, coordinates, type }
+     */
+    async search(query, { limit = 5 } = {}) {
+      const terms = query.toLowerCase().split(/[\s,]+/).filter(Boolean);
+
+      return getPlaces()
+        .map(place => {
+          const matched = terms.filter(term => place.searchText.includes(term)).length;
+          // Names starting with the search text rank first
+          const prefix = place.name.toLowerCase().startsWith(terms[0]) ? 1 : 0;
+          return { place, score: matched * 2 + prefix };
+        })
+        .filter(({ score }) => score >= terms.length * 2)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ place }) => toResult(place));
+    },
+
+    /**
+     * Describe a point by the nearest known place
+     * @param {Number} longitude Longitude
+     * @param {Number} latitude Latitude
+     * @returns {Promise<Object|null>} { address, coordinates, type } or null if no place is close enough
+     */
+    async reverse(longitude, latitude) {
+      let nearest = null;
+
+      getPlaces().forEach(place => {
+        const distance = calculateDistance(latitude, longitude, place.coordinates[1], place.coordinates[0]);
+        if (!nearest || distance < nearest.distance) {
+          nearest = { place, distance };
+        }
+      });
+
+      if (!nearest || nearest.distance > maxDistanceKm) {
+        return null;
+      }
+
+      const { place, distance } = nearest;
+      const address = distance < 0.5
+        ? `${place.name}, ${place.area}`
+        : `Near ${place.name}, ${place.area}`;
+
+      return { ...toResult(place, address), coordinates: [longitude, latitude] };
+    }
+  };
+};
@@ -0,0 +1,216 @@
+// backend/services/geocoding/index.js
+//
+// Pluggable geocoding. Every geocoder exposes:
+//   search(query, { limit }) -> [{ address, coordinates, type }]
+//   reverse(longitude, latitude) -> { address, coordinates, type } | null
+// Coordinates are [longitude, latitude]. Select a geocoder with GEOCODER
+// (gazetteer - the default, offline - or nominatim). The gazetteer answers
+// whenever the configured geocoder fails or finds nothing. Results are
+// cached in MongoDB.
+
+const path = require('path');
+const mongoose = require('mongoose');
+const GeocodeCache = require('../../models/geocodeCacheModel');
+
+const GEOCODER_TIMEOUT_MS = parseInt(process.env.GEOCODER_TIMEOUT_MS) || 2000;
+const CACHE_TTL_MS = (parseInt(process.env.GEOCODE_CACHE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Addresses clients send when they don't know the real one
+const PLACEHOLDER_ADDRESSES = ['unknown address', 'unknown destination', 'unknown location', 'current location'];
+
+const gazetteer = require('./gazetteerGeocoder')({
+  file: process.env.GAZETTEER_FILE || path.join(__dirname, '../../data/gazetteer.json'),
+  maxDistanceKm: parseFloat(process.env.GAZETTEER_MAX_DISTANCE_KM) || 3
+});
+
+const geocoders = {
+  gazetteer: () => gazetteer,
+  nominatim: () => require('./nominatimGeocoder')({
+    url: process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org',
+    userAgent: process.env.GEOCODER_USER_AGENT || 'MsaadaExpress/1.0',
+    countryCodes: process.env.GEOCODER_COUNTRY_CODES || 'ke',
+    timeout: GEOCODER_TIMEOUT_MS
+  })
+};
+
+let geocoder = null;
+
+/**
+ * Get the configured geocoder
+ * @returns {Object} Geocoder
+ */
+const getGeocoder = () => {
+  if (!geocoder) {
+    const name = process.env.GEOCODER || 'gazetteer';
+
+    if (!geocoders[name]) {
+      throw new Error(`Unknown geocoder: ${name}. Available: ${Object.keys(geocoders).join(', ')}`);
+    }
+
+    geocoder = geocoders[name]();
+    console.log(`[geocoding] Using ${name} geocoder`);
+  }
+
+  return geocoder;
+};
+
+/**
+ * Register an additional geocoder under a name
+ * @param {String} name Value of GEOCODER that selects it
+ * @param {Function} factory Returns the geocoder
+ */
+const registerGeocoder = (name, factory) => {
+  geocoders[name] = factory;
+};
+
+// The cache is skipped while the database is unavailable instead of blocking
+const cacheAvailable = () => mongoose.connection.readyState === 1;
+
+const readCache = async (kind, key) => {
+  if (!cacheAvailable()) {
+    return null;
+  }
+
+  try {
+    return await GeocodeCache.findOne({ kind, key, expiresAt: { $gt: new Date() } }).lean();
+  } catch (error) {
+    console.error(`[geocoding] Error reading ${kind} cache for "${key}":`, error);
+    return null;
+  }
+};
+
+const writeCache = async (kind, key, results, source) => {
+  // Fallback answers aren't cached so the real geocoder is asked again next time
+  if (!cacheAvailable() || results.length === 0 || source !== getGeocoder().name) {
+    return;
+  }
+
+  try {
+    await GeocodeCache.updateOne(
+      { kind, key },
+      { $set: { results, source, expiresAt: new Date(Date.now() + CACHE_TTL_MS) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(`[geocoding] Error writing ${kind} cache for "${key}":`, error);
+  }
+};
+
+/**
+ * Ask the configured geocoder, then the gazetteer if it failed or found nothing
+ * @param {Function} lookup Calls the geocoder, returns an array of results
+ * @returns {Promise<Object>} { results, source }
+ */
+const withFallback = async (lookup) => {
+  const primary = getGeocoder();
+
+  if (primary !== gazetteer) {
+    try {
+      const results = await lookup(primary);
+      if (results.length > 0) {
+        return { results, source: primary.name };
+      }
+    } catch (error) {
+      console.warn(`[geocoding] ${primary.name} failed, falling back to gazetteer:`, error.message);
+    }
+  }
+
+  return { results: await lookup(gazetteer), source: gazetteer.name };
+};
+
+/**
+ * Search for places matching a text
+ * @param {String} query Search text
+ * @param {Object} options Options
+ * @param {Number} options.limit Maximum number of results (default: 5)
+ * @returns {Promise<Array>} { address, coordinates, type, source }
+ */
+const search = async (query, options = {}) => {
+  const limit = Math.min(parseInt(options.limit) || 5, 20);
+  const text = (query || '').trim().replace(/\s+/g, ' ');
+
+  if (text.length < 2) {
+    return [];
+  }
+
+  const key = `${text.toLowerCase()}|${limit}`;
+  const cached = await readCache('FORWARD', key);
+
+  if (cached) {
+    return cached.results.map(result => ({ ...result, source: cached.source }));
+  }
+
+  const { results, source } = await withFallback(async (engine) => await engine.search(text, { limit }));
+  await writeCache('FORWARD', key, results, source);
+
+  return results.map(result => ({ ...result, source }));
+};
+
+/**
+ * Describe a point with an address
+ * @param {Number} longitude Longitude
+ * @param {Number} latitude Latitude
+ * @returns {Promise<Object|null>} { address, coordinates, type, source } or null if nothing is known
+ */
+const reverse = async (longitude, latitude) => {
+  const lng = parseFloat(longitude);
+  const lat = parseFloat(latitude);
+
+  if (!isFinite(lng) || !isFinite(lat)) {
+    return null;
+  }
+
+  // ~11 m grid, close enough to share an address
+  const key = `${lat.toFixed(4)},${lng.toFixed(4)}`;
+  const cached = await readCache('REVERSE', key);
+
+  if (cached) {
+    return { ...cached.results[0], source: cached.source };
+  }
+
+  const { results, source } = await withFallback(async (engine) => {
+    const result = await engine.reverse(lng, lat);
+    return result ? [result] : [];
+  });
+  await writeCache('REVERSE', key, results, source);
+
+  return results.length > 0 ? { ...results[0], source } : null;
+};
+
+/**
+ * Get an address to store for a location, looking it up when the client
+ * didn't send one. Falls back to the coordinates themselves.
+ * @param {Array<Number>} coordinates [longitude, latitude]
+ * @param {String} address Address sent by the client (optional)
+ * @returns {Promise<String>} Address
+ */
+const resolveAddress = async (coordinates, address) => {
+  if (address && !PLACEHOLDER_ADDRESSES.includes(address.trim().toLowerCase())) {
+    return address;
+  }
+
+  if (!coordinates || coordinates.length < 2) {
+    return address || 'Unknown address';
+  }
+
+  const [longitude, latitude] = coordinates;
+
+  try {
+    const result = await reverse(longitude, latitude);
+    if (result) {
+      return result.address;
+    }
+  } catch (error) {
+    console.error('[geocoding] Error resolving address:', error);
+  }
+
+  return `${parseFloat(latitude).toFixed(5)}, ${parseFloat(longitude).toFixed(5)}`;
+};
+
+module.exports = {
+  getGeocoder,
+  registerGeocoder,
+  search,
+  reverse,
+  resolveAddress
+};
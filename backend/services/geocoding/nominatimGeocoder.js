@@ -0,0 +1,62 @@
+// backend/services/geocoding/nominatimGeocoder.js
+
+/**
+ * Geocoder for a Nominatim server (or anything speaking its HTTP API).
+ * The public server requires a descriptive User-Agent and at most one request per second.
+ * @param {Object} options Options
+ * @param {String} options.url Base URL, e.g. https://nominatim.openstreetmap.org
+ * @param {String} options.userAgent User-Agent sent with every request
+ * @param {String} options.countryCodes Restrict searches to these countries, e.g. "ke" (optional)
+ * @param {Number} options.timeout Request timeout in milliseconds
+ * @returns {Object} Geocoder
+ */
+module.exports = ({ url, userAgent, countryCodes, timeout }) => {
+  const baseUrl = url.replace(/\/$/, '');
+
+  const request = async (path, params) => {
+    const response = await fetch(`${baseUrl}/${path}?${new URLSearchParams({ format: 'jsonv2', ...params })}`, {
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': userAgent
+      },
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Nominatim ${path} request failed with status ${response.status}`);
+    }
+
+    return await response.json();
+  };
+
+  const toResult = (place) => ({
+    address: place.display_name,
+    coordinates: [parseFloat(place.lon), parseFloat(place.lat)],
+    type: place.type || place.category
+  });
+
+  return {
+    name: 'nominatim',
+
+    async search(query, { limit = 5 } = {}) {
+      const params = { q: query, limit: String(limit) };
+      if (countryCodes) {
+        params.countrycodes = countryCodes;
+      }
+
+      const places = await request('search', params);
+      return places.map(toResult);
+    },
+
+    async reverse(longitude, latitude) {
+      const place = await request('reverse', { lat: String(latitude), lon: String(longitude), zoom: '18' });
+
+      // Nominatim answers points it can't place with { error: ... }
+      if (!place || place.error) {
+        return null;
+      }
+
+      return toResult(place);
+    }
+  };
+};
@@ -0,0 +1,521 @@
+// backend/services/handoverService.js
+//
+// Pre-arrival handovers. Once a patient is on board and the crew has picked a
+// hospital from the directory, the hospital gets a packet with the patient
+// summary, latest vitals, ETA and crew contact, by email or posted to its
+// webhook. The packet is sent again when the ETA moves noticeably or new
+// vitals are taken. Every packet carries a link the hospital uses to view it
+// and acknowledge it without signing in.
+
+const crypto = require('crypto');
+const Trip = require('../models/tripModel');
+const Hospital = require('../models/hospitalModel');
+const Ambulance = require('../models/ambulanceModel');
+const Provider = require('../models/providerModel');
+const CrewMember = require('../models/crewMemberModel');
+const routing = require('./routing');
+const tripEventService = require('./tripEventService');
+const { getTransport } = require('./notifications');
+const { TRIP_STATUS, ACTOR } = require('../../shared/tripLifecycle');
+const { HOSPITAL_CAPABILITIES } = require('../../shared/hospitalCapabilities');
+const { serviceError } = require('../utils/serviceErrors');
+
+// A packet is sent again once the ETA moved by at least this much
+const ETA_CHANGE_MINUTES = parseInt(process.env.HANDOVER_ETA_CHANGE_MINUTES) || 3;
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.HANDOVER_WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Where hospitals open the packet, and where webhook hospitals acknowledge it
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+const API_PUBLIC_URL = (process.env.API_PUBLIC_URL || 'http://localhost:5000').replace(/\/$/, '');
+
+// Handover links stop working this long after the trip is completed...
+const LINK_GRACE_MS = (parseFloat(process.env.HANDOVER_LINK_GRACE_HOURS) || 6) * 60 * 60 * 1000;
+
+// ...and this long after they were sent, whatever the trip's status
+const LINK_MAX_AGE_MS = (parseFloat(process.env.HANDOVER_LINK_MAX_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Hash a handover token; only hashes are stored, so the database alone can't open a link
+ * @param {String} token Handover token
+ * @returns {String} Hex SHA-256 of the token
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Crews record vitals from the pickup until the handover
+const VITALS_STATUSES = [TRIP_STATUS.ARRIVED, TRIP_STATUS.PICKED_UP, TRIP_STATUS.AT_HOSPITAL];
+const VITAL_FIELDS = ['heartRate', 'systolic', 'diastolic', 'respiratoryRate', 'oxygenSaturation', 'temperature', 'gcs'];
+
+/**
+ * Age in whole years of someone born on a date
+ */
+const ageOn = (dateOfBirth, now = new Date()) => {
+  const born = new Date(dateOfBirth);
+  let age = now.getFullYear() - born.getFullYear();
+
+  if (now.getMonth() < born.getMonth() || (now.getMonth() === born.getMonth() && now.getDate() < born.getDate())) {
+    age -= 1;
+  }
+
+  return age;
+};
+
+/**
+ * What the hospital needs to know about the patient of a trip
+ * @param {Object} trip Trip
+ * @returns {Object} Patient summary
+ */
+const summarizePatient = (trip) => {
+  const details = trip.patientDetails || {};
+
+  return {
+    name: details.name || null,
+    age: details.dateOfBirth ? ageOn(details.dateOfBirth) : null,
+    bloodType: details.bloodType || null,
+    medicalConditions: details.medicalConditions || null,
+    allergies: details.allergies || null,
+    medications: details.medications || null,
+    emergencyDetails: trip.emergencyDetails || null,
+    clinicalNeeds: (trip.clinicalNeeds || []).map(need => HOSPITAL_CAPABILITIES[need] || need),
+    emergencyContacts: (details.emergencyContacts || []).map(({ name, relationship, phone }) => ({ name, relationship, phone }))
+  };
+};
+
+/**
+ * Latest vital signs the crew took on a trip
+ * @param {Object} trip Trip
+ * @returns {Object|null} Reading, or null if none was taken yet
+ */
+const summarizeVitals = (trip) => {
+  const latestVitals = trip.vitals?.length ? trip.vitals[trip.vitals.length - 1] : null;
+
+  return latestVitals ? {
+    recordedAt: latestVitals.recordedAt,
+    ...Object.fromEntries(VITAL_FIELDS.map(field => [field, latestVitals[field] ?? null])),
+    notes: latestVitals.notes || null
+  } : null;
+};
+
+/**
+ * Build the pre-arrival packet of a trip
+ * @param {Object} trip Trip
+ * @param {Object} hospital Destination hospital
+ * @param {String} token Handover token of the trip
+ * @returns {Promise<Object>} Packet
+ */
+const buildPacket = async (trip, hospital, token) => {
+  const [ambulance, provider] = await Promise.all([
+    Ambulance.findById(trip.ambulanceId).select('name registration type driver'),
+    Provider.findById(trip.providerId).select('name phone')
+  ]);
+
+  const eta = trip.eta?.target === 'DESTINATION' ? trip.eta : null;
+
+  return {
+    type: 'PRE_ARRIVAL',
+    tripId: trip._id.toString(),
+    generatedAt: new Date().toISOString(),
+    hospital: {
+      id: hospital._id.toString(),
+      name: hospital.name
+    },
+    patient: summarizePatient(trip),
+    vitals: summarizeVitals(trip),
+    eta: eta ? {
+      minutes: eta.minutes,
+      text: routing.formatETA(eta.minutes),
+      distanceKm: eta.distanceKm,
+      expectedArrival: new Date(new Date(eta.calculatedAt).getTime() + eta.minutes * 60000).toISOString()
+    } : null,
+    crew: {
+      providerName: provider?.name || null,
+      providerPhone: provider?.phone || null,
+      ambulanceName: ambulance?.name || null,
+      registration: ambulance?.registration || null,
+      ambulanceType: ambulance?.type || null,
+      driverName: ambulance?.driver?.name || null,
+      driverPhone: ambulance?.driver?.contactNumber || null
+    },
+    acknowledgement: trip.handover?.acknowledgedAt ? {
+      acknowledgedAt: trip.handover.acknowledgedAt,
+      acknowledgedBy: trip.handover.acknowledgedBy,
+      note: trip.handover.acknowledgementNote || null
+    } : null,
+    viewUrl: `${FRONTEND_URL}/handover/${token}`,
+    acknowledgeUrl: `${API_PUBLIC_URL}/api/handovers/${token}/acknowledge`
+  };
+};
+
+/**
+ * Plain text of a packet, for email
+ */
+const formatPacketText = (packet) => {
+  const { patient, vitals, eta, crew } = packet;
+  const line = (label, value) => (value || value === 0 ? `${label}: ${value}\n` : '');
+  const bloodPressure = vitals?.systolic && vitals?.diastolic ? `${vitals.systolic}/${vitals.diastolic} mmHg` : null;
+
+  return [
+    `Incoming patient for ${packet.hospital.name}\n`,
+    line('ETA', eta ? `${eta.text} (${eta.distanceKm} km), around ${new Date(eta.expectedArrival).toLocaleTimeString('en-KE', { timeZone: 'Africa/Nairobi', hour: '2-digit', minute: '2-digit' })}` : 'not known yet'),
+    '\nPATIENT\n',
+    line('Name', patient.name),
+    line('Age', patient.age),
+    line('Blood type', patient.bloodType),
+    line('Needs', patient.clinicalNeeds.join(', ')),
+    line('Conditions', patient.medicalConditions),
+    line('Allergies', patient.allergies),
+    line('Medications', patient.medications),
+    line('Emergency', patient.emergencyDetails),
+    '\nVITALS\n',
+    vitals ? [
+      line('Taken at', new Date(vitals.recordedAt).toLocaleTimeString('en-KE', { timeZone: 'Africa/Nairobi', hour: '2-digit', minute: '2-digit' })),
+      line('Heart rate', vitals.heartRate && `${vitals.heartRate} bpm`),
+      line('Blood pressure', bloodPressure),
+      line('Respiratory rate', vitals.respiratoryRate && `${vitals.respiratoryRate} /min`),
+      line('SpO2', vitals.oxygenSaturation && `${vitals.oxygenSaturation}%`),
+      line('Temperature', vitals.temperature && `${vitals.temperature} °C`),
+      line('GCS', vitals.gcs),
+      line('Notes', vitals.notes)
+    ].join('') : 'None recorded yet\n',
+    '\nCREW\n',
+    line('Provider', crew.providerName && `${crew.providerName}${crew.providerPhone ? `, ${crew.providerPhone}` : ''}`),
+    line('Ambulance', crew.ambulanceName && `${crew.ambulanceName} (${crew.registration})`),
+    line('Driver', crew.driverName && `${crew.driverName}${crew.driverPhone ? `, ${crew.driverPhone}` : ''}`),
+    `\nView and acknowledge: ${packet.viewUrl}\n\nMsaadaExpress`
+  ].join('');
+};
+
+/**
+ * Deliver a packet over the hospital's channel
+ * @returns {Promise<Object>} { channel, error }
+ */
+const deliverPacket = async (hospital, packet) => {
+  const channel = hospital.handoverChannel || 'EMAIL';
+
+  try {
+    if (channel === 'WEBHOOK') {
+      const body = JSON.stringify(packet);
+      const headers = { 'Content-Type': 'application/json' };
+
+      if (hospital.webhookSecret) {
+        headers['X-Msaada-Signature'] = `sha256=${crypto.createHmac('sha256', hospital.webhookSecret).update(body).digest('hex')}`;
+      }
+
+      const response = await fetch(hospital.webhookUrl, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook answered with status ${response.status}`);
+      }
+    } else if (channel === 'EMAIL') {
+      if (!hospital.email) {
+        throw new Error('The hospital has no email address');
+      }
+
+      await getTransport('email').send({
+        to: hospital.email,
+        subject: `Incoming patient${packet.eta ? ` in ${packet.eta.text}` : ''} - ${packet.crew.ambulanceName || 'MsaadaExpress'}`,
+        text: formatPacketText(packet)
+      });
+    }
+
+    return { channel, error: null };
+  } catch (error) {
+    console.error(`[handoverService] Error sending handover of trip ${packet.tripId} to ${hospital.name} by ${channel}:`, error.message);
+    return { channel, error: error.message };
+  }
+};
+
+/**
+ * Send the trip's destination hospital its pre-arrival packet when it is due:
+ * on pick-up or when the destination changes, then whenever the ETA moved by
+ * ETA_CHANGE_MINUTES. Failures are kept on the handover, never thrown.
+ * @param {Object} trip Trip document
+ * @param {Object} options Options
+ * @param {Boolean} options.force Send even though the ETA barely moved, e.g. after new vitals
+ * @returns {Promise<Object|null>} The trip's handover, or null if nothing was sent
+ */
+const syncHandover = async (trip, options = {}) => {
+  const { force = false } = options;
+
+  if (trip.status !== TRIP_STATUS.PICKED_UP || !trip.destinationHospitalId) {
+    return null;
+  }
+
+  try {
+    const handover = trip.handover?.hospitalId ? trip.handover : null;
+    const isNew = !handover || handover.hospitalId.toString() !== trip.destinationHospitalId.toString();
+    const etaMinutes = trip.eta?.target === 'DESTINATION' ? trip.eta.minutes : null;
+
+    if (!isNew && !force) {
+      const previous = handover.sentEtaMinutes;
+      const etaMoved = etaMinutes !== null && (previous === null || previous === undefined
+        || Math.abs(etaMinutes - previous) >= ETA_CHANGE_MINUTES);
+
+      if (!etaMoved) {
+        return null;
+      }
+    }
+
+    const hospital = await Hospital.findById(trip.destinationHospitalId).select('+webhookSecret');
+
+    if (!hospital) {
+      return null;
+    }
+
+    // Every packet gets a link of its own, since only hashes of the tokens are
+    // kept. Links of earlier packets keep working; a new destination replaces
+    // them all, so the previous hospital's stop working.
+    const token = crypto.randomBytes(24).toString('hex');
+    const packet = await buildPacket(trip, hospital, token);
+    const { channel, error } = await deliverPacket(hospital, packet);
+    const now = new Date();
+
+    const fields = {
+      hospitalId: hospital._id,
+      channel,
+      lastSentAt: now,
+      sends: isNew ? 1 : (handover.sends || 0) + 1,
+      sentEtaMinutes: etaMinutes,
+      lastError: error
+    };
+
+    if (isNew) {
+      fields.firstSentAt = now;
+    }
+
+    const set = Object.fromEntries(Object.entries(fields).map(([field, value]) => [`handover.${field}`, value]));
+    const update = isNew
+      ? {
+        $set: { ...set, 'handover.tokenHashes': [hashToken(token)] },
+        $unset: { 'handover.acknowledgedAt': 1, 'handover.acknowledgedBy': 1, 'handover.acknowledgementNote': 1 }
+      }
+      : { $set: set, $push: { 'handover.tokenHashes': hashToken(token) } };
+
+    // Only touch the handover so concurrent status changes aren't overwritten
+    await Trip.updateOne({ _id: trip._id }, update);
+
+    // The token hashes stay out of the trip in memory, which may be sent to clients
+    Object.entries(fields).forEach(([field, value]) => trip.set(`handover.${field}`, value));
+
+    if (isNew) {
+      ['acknowledgedAt', 'acknowledgedBy', 'acknowledgementNote'].forEach(field => trip.set(`handover.${field}`, undefined));
+
+      await tripEventService.recordEvent(trip._id, 'HANDOVER', {
+        actor: ACTOR.SYSTEM,
+        source: 'SYSTEM',
+        newValue: hospital.name,
+        note: error
+          ? `Not delivered: ${error}`
+          : channel === 'NONE' ? 'The hospital takes no pre-arrival packets' : `Sent by ${channel.toLowerCase()}`
+      });
+    }
+
+    console.log(`[handoverService] Handover of trip ${trip._id} ${isNew ? 'sent' : 'updated'} to ${hospital.name} (ETA ${etaMinutes ?? 'unknown'} min)`);
+
+    return trip.handover;
+  } catch (error) {
+    console.error(`[handoverService] Error syncing handover of trip ${trip._id}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Record the vital signs the crew took and pass them on to the hospital
+ * @param {String} tripId Trip ID
+ * @param {String} providerId Provider ID
+ * @param {Object} data { heartRate, systolic, diastolic, respiratoryRate, oxygenSaturation, temperature, gcs, notes }
+ * @param {Object} options { crewMemberId: crew member recording them instead of the provider, socketService }
+ * @returns {Promise<Object>} Updated trip
+ */
+const recordVitals = async (tripId, providerId, data = {}, options = {}) => {
+  const trip = await Trip.findById(tripId);
+
+  if (!trip) {
+    throw serviceError('Trip not found', 404);
+  }
+
+  // Crew members only work the trips of the ambulances they are assigned to
+  if (options.crewMemberId) {
+    if (!trip.ambulanceId || !(await CrewMember.exists({ _id: options.crewMemberId, ambulanceIds: trip.ambulanceId, isActive: true }))) {
+      throw serviceError('Not authorized to update this trip', 403);
+    }
+  } else if (!providerId || !trip.providerId || trip.providerId.toString() !== providerId.toString()) {
+    throw serviceError('Not authorized to update this trip', 403);
+  }
+
+  if (!VITALS_STATUSES.includes(trip.status)) {
+    throw serviceError('Vitals can only be recorded once the ambulance is with the patient', 409);
+  }
+
+  const reading = { recordedAt: new Date() };
+
+  for (const field of VITAL_FIELDS) {
+    if (data[field] !== undefined && data[field] !== null && data[field] !== '') {
+      const value = Number(data[field]);
+
+      if (isNaN(value)) {
+        throw serviceError(`${field} must be a number`, 400);
+      }
+
+      reading[field] = value;
+    }
+  }
+
+  if (typeof data.notes === 'string' && data.notes.trim()) {
+    reading.notes = data.notes.trim();
+  }
+
+  if (Object.keys(reading).length === 1) {
+    throw serviceError('Enter at least one vital sign', 400);
+  }
+
+  trip.vitals.push(reading);
+
+  try {
+    await trip.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(fieldError => fieldError.message);
+      throw serviceError([...new Set(messages)].join('. '), 400);
+    }
+    throw error;
+  }
+
+  console.log(`[handoverService] Vitals recorded for trip ${trip._id}`);
+
+  await syncHandover(trip, { force: true });
+  await publishTrip(trip, options.socketService);
+
+  return trip;
+};
+
+/**
+ * When a handover link stops working: a while after the trip is completed,
+ * right away when it is cancelled, and in any case LINK_MAX_AGE_MS after it
+ * was sent to the hospital
+ * @param {Object} trip Trip with a handover
+ * @returns {Date} Expiry
+ */
+const linkExpiresAt = (trip) => {
+  const expiries = [trip.handover.firstSentAt.getTime() + LINK_MAX_AGE_MS];
+
+  if (trip.status === TRIP_STATUS.COMPLETED) {
+    expiries.push((trip.completionTime || trip.updatedAt).getTime() + LINK_GRACE_MS);
+  } else if (trip.status === TRIP_STATUS.CANCELLED) {
+    expiries.push((trip.cancellationTime || trip.updatedAt).getTime());
+  }
+
+  return new Date(Math.min(...expiries));
+};
+
+/**
+ * Find the trip a handover link belongs to, as long as the link still works
+ */
+const findByToken = async (token) => {
+  const trip = token && typeof token === 'string'
+    ? await Trip.findOne({ 'handover.tokenHashes': hashToken(token) })
+    : null;
+
+  if (!trip || !trip.handover.firstSentAt) {
+    throw serviceError('Handover not found', 404);
+  }
+
+  // Expired links answer like unknown ones, so they say nothing about the trip
+  if (linkExpiresAt(trip) <= new Date()) {
+    throw serviceError('This handover link has expired', 404);
+  }
+
+  return trip;
+};
+
+/**
+ * Get the current packet behind a handover link, for the hospital
+ * @param {String} token Handover token
+ * @returns {Promise<Object>} Packet, with the trip's status
+ */
+const getHandover = async (token) => {
+  const trip = await findByToken(token);
+  const hospital = await Hospital.findById(trip.handover.hospitalId);
+
+  if (!hospital) {
+    throw serviceError('Handover not found', 404);
+  }
+
+  return { ...(await buildPacket(trip, hospital, token)), status: trip.status };
+};
+
+/**
+ * Record that the hospital got the packet and is ready for the patient.
+ * Acknowledging again keeps the first acknowledgement.
+ * @param {String} token Handover token
+ * @param {Object} data { name: who acknowledged, note }
+ * @param {Object} options { socketService }
+ * @returns {Promise<Object>} Packet, with the trip's status
+ */
+const acknowledgeHandover = async (token, data = {}, options = {}) => {
+  const trip = await findByToken(token);
+
+  if (!trip.handover.acknowledgedAt) {
+    const hospital = await Hospital.findById(trip.handover.hospitalId).select('name');
+    const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : hospital?.name || 'Hospital';
+    const note = typeof data.note === 'string' && data.note.trim() ? data.note.trim() : undefined;
+    const acknowledgedAt = new Date();
+
+    await Trip.updateOne({ _id: trip._id }, {
+      $set: {
+        'handover.acknowledgedAt': acknowledgedAt,
+        'handover.acknowledgedBy': name,
+        'handover.acknowledgementNote': note
+      }
+    });
+
+    trip.handover.acknowledgedAt = acknowledgedAt;
+    trip.handover.acknowledgedBy = name;
+    trip.handover.acknowledgementNote = note;
+
+    await tripEventService.recordEvent(trip._id, 'HANDOVER', {
+      actor: ACTOR.HOSPITAL,
+      actorId: trip.handover.hospitalId.toString(),
+      source: 'REST',
+      newValue: name,
+      note: note || 'Acknowledged'
+    });
+
+    console.log(`[handoverService] Handover of trip ${trip._id} acknowledged by ${name}`);
+
+    await publishTrip(trip, options.socketService);
+  }
+
+  return await getHandover(token);
+};
+
+/**
+ * Let the patient and provider screens know the trip changed.
+ * They render the trip as sent, so it goes out populated.
+ */
+const publishTrip = async (trip, socketService) => {
+  if (!socketService) {
+    return;
+  }
+
+  const populatedTrip = await Trip.findById(trip._id)
+    .populate('ambulanceId')
+    .populate('providerId');
+
+  socketService.emitTripUpdate(trip._id.toString(), populatedTrip.toObject());
+};
+
+module.exports = {
+  hashToken,
+  summarizePatient,
+  summarizeVitals,
+  syncHandover,
+  recordVitals,
+  getHandover,
+  acknowledgeHandover
+};
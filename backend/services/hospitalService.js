@@ -0,0 +1,489 @@
+// backend/services/hospitalService.js
+//
+// Hospital directory kept by admins, and the destinations suggested to crews.
+// Once a patient is picked up, nearby hospitals are ranked by how much of the
+// care the patient needs they offer, then by road ETA, so the crew can drive
+// to the closest hospital that can actually treat them. Staff of the hospital
+// follow the trips heading their way on its receiving dashboard.
+
+const Hospital = require('../models/hospitalModel');
+const Trip = require('../models/tripModel');
+const Ambulance = require('../models/ambulanceModel');
+const CrewMember = require('../models/crewMemberModel');
+const routing = require('./routing');
+const etaService = require('./etaService');
+const tripEventService = require('./tripEventService');
+const handoverService = require('./handoverService');
+const { TRIP_STATUS, ACTOR } = require('../../shared/tripLifecycle');
+const { HOSPITAL_CAPABILITIES, getHospitalCapabilities } = require('../../shared/hospitalCapabilities');
+const { serviceError } = require('../utils/serviceErrors');
+
+// Hospitals further than this from the patient are never suggested
+const SEARCH_RADIUS_KM = parseInt(process.env.HOSPITAL_SEARCH_RADIUS_KM) || 50;
+
+// Nearby hospitals routed before ranking, and how many suggestions a trip keeps
+const MAX_CANDIDATES = 10;
+const MAX_RECOMMENDATIONS = 3;
+
+// The destination can change until the ambulance reaches the hospital
+const DESTINATION_STATUSES = [TRIP_STATUS.ACCEPTED, TRIP_STATUS.ARRIVED, TRIP_STATUS.PICKED_UP];
+
+// Trips on the receiving dashboard, in the order it lists them: those already
+// at the door, then those on their way
+const INBOUND_STATUSES = [TRIP_STATUS.AT_HOSPITAL, TRIP_STATUS.PICKED_UP, TRIP_STATUS.ARRIVED, TRIP_STATUS.ACCEPTED];
+
+const EDITABLE_FIELDS = [
+  'name', 'address', 'email', 'capabilities', 'contacts', 'isActive',
+  'handoverChannel', 'webhookUrl', 'webhookSecret'
+];
+
+/**
+ * Check a list of clinical needs, e.g. from a crew's request
+ * @param {Array<String>|String} needs Keys of HOSPITAL_CAPABILITIES, as a list or comma separated
+ * @returns {Array<String>} Needs without repeats
+ */
+const parseNeeds = (needs) => {
+  const items = Array.isArray(needs) ? needs : String(needs || '').split(',');
+  const keys = [...new Set(items.map(item => String(item || '').trim().toUpperCase()).filter(Boolean))];
+  const unknown = keys.filter(key => !HOSPITAL_CAPABILITIES[key]);
+
+  if (unknown.length > 0) {
+    throw serviceError(
+      `Unknown clinical need: ${unknown.join(', ')}. Valid values are: ${Object.keys(HOSPITAL_CAPABILITIES).join(', ')}`,
+      400
+    );
+  }
+
+  return keys;
+};
+
+/**
+ * Get the hospital directory
+ * @param {Object} options { includeInactive, search }
+ * @returns {Promise<Array>} Hospitals by name
+ */
+const getHospitals = async ({ includeInactive = false, search } = {}) => {
+  const query = includeInactive ? {} : { isActive: true };
+
+  if (search) {
+    const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ name: pattern }, { address: pattern }];
+  }
+
+  return await Hospital.find(query).sort({ name: 1 });
+};
+
+/**
+ * Get one hospital
+ * @param {String} hospitalId Hospital ID
+ * @returns {Promise<Object>} Hospital
+ */
+const getHospital = async (hospitalId) => {
+  const hospital = await Hospital.findById(hospitalId);
+
+  if (!hospital) {
+    throw serviceError('Hospital not found', 404);
+  }
+
+  return hospital;
+};
+
+/**
+ * Add a hospital or update one. Fields left out are kept.
+ * @param {String|null} hospitalId Hospital ID, null for a new hospital
+ * @param {Object} data { name, address, location: { coordinates }, traumaLevel, capabilities, contacts, email,
+ *   handoverChannel, webhookUrl, webhookSecret, isActive }
+ * @returns {Promise<Object>} Saved hospital
+ */
+const saveHospital = async (hospitalId, data = {}) => {
+  const hospital = hospitalId ? await getHospital(hospitalId) : new Hospital();
+
+  for (const field of EDITABLE_FIELDS) {
+    if (data[field] !== undefined) {
+      hospital[field] = data[field];
+    }
+  }
+
+  // Empty clears it: the hospital no longer takes trauma patients
+  if (data.traumaLevel !== undefined) {
+    hospital.traumaLevel = data.traumaLevel ? Number(data.traumaLevel) : undefined;
+  }
+
+  if (data.location !== undefined) {
+    const coordinates = (data.location?.coordinates || []).map(Number);
+
+    if (coordinates.length !== 2 || coordinates.some(isNaN)) {
+      throw serviceError('Location must have coordinates [longitude, latitude]', 400);
+    }
+
+    hospital.location = { type: 'Point', coordinates };
+  }
+
+  if (hospital.handoverChannel === 'WEBHOOK' && !/^https?:\/\//i.test(hospital.webhookUrl || '')) {
+    throw serviceError('Hospitals receiving handovers by webhook need an http(s) webhookUrl', 400);
+  }
+
+  try {
+    await hospital.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(fieldError => fieldError.message);
+      throw serviceError([...new Set(messages)].join('. '), 400);
+    }
+    throw error;
+  }
+
+  console.log(`[hospitalService] Hospital ${hospital._id} (${hospital.name}) saved`);
+
+  return hospital;
+};
+
+/**
+ * Remove a hospital from the directory. Trips keep their destination address.
+ * @param {String} hospitalId Hospital ID
+ */
+const deleteHospital = async (hospitalId) => {
+  const hospital = await getHospital(hospitalId);
+
+  await hospital.deleteOne();
+
+  console.log(`[hospitalService] Hospital ${hospitalId} (${hospital.name}) deleted`);
+};
+
+/**
+ * Rank the active hospitals around a point for a patient
+ * @param {Array<Number>} from Where the patient is [longitude, latitude]
+ * @param {Array<String>} needs Keys of HOSPITAL_CAPABILITIES the patient needs
+ * @returns {Promise<Array>} { hospital, matched, missing, etaMinutes, distanceKm }, best first
+ */
+const rankHospitals = async (from, needs = []) => {
+  const hospitals = await Hospital.find({
+    isActive: true,
+    location: {
+      $near: {
+        $geometry: { type: 'Point', coordinates: from },
+        $maxDistance: SEARCH_RADIUS_KM * 1000
+      }
+    }
+  }).limit(MAX_CANDIDATES);
+
+  const ranked = await Promise.all(hospitals.map(async (hospital) => {
+    const capabilities = getHospitalCapabilities(hospital);
+    const route = await routing.getRoute(from, hospital.location.coordinates);
+
+    return {
+      hospital,
+      matched: needs.filter(need => capabilities.includes(need)),
+      missing: needs.filter(need => !capabilities.includes(need)),
+      etaMinutes: route.durationMinutes,
+      distanceKm: Math.round(route.distanceKm * 10) / 10
+    };
+  }));
+
+  // Hospitals that can treat everything the patient needs come first, closest first
+  return ranked.sort((a, b) => a.missing.length - b.missing.length || a.etaMinutes - b.etaMinutes);
+};
+
+/**
+ * Work out the destinations suggested for a trip and store them on it.
+ * Doesn't save the trip.
+ * @param {Object} trip Trip document
+ * @returns {Promise<Array>} The trip's recommendations
+ */
+const recommendDestinations = async (trip) => {
+  const ambulance = await Ambulance.findById(trip.ambulanceId).select('location');
+  const position = ambulance?.location?.coordinates;
+
+  // Until the ambulance reports a position, it is wherever it picked the patient up
+  const from = position && (position[0] || position[1]) ? position : trip.requestLocation.coordinates;
+
+  const ranked = await rankHospitals(from, trip.clinicalNeeds || []);
+
+  trip.destinationRecommendations = ranked.slice(0, MAX_RECOMMENDATIONS).map(entry => ({
+    hospitalId: entry.hospital._id,
+    name: entry.hospital.name,
+    address: entry.hospital.address,
+    matched: entry.matched,
+    missing: entry.missing,
+    etaMinutes: entry.etaMinutes,
+    distanceKm: entry.distanceKm
+  }));
+
+  console.log(`[hospitalService] ${ranked.length} hospitals ranked for trip ${trip._id} (needs: ${(trip.clinicalNeeds || []).join(', ') || 'none'})`);
+
+  return trip.destinationRecommendations;
+};
+
+/**
+ * Find a trip the provider, or the crew of its ambulance, may change the destination of
+ */
+const getProviderTrip = async (tripId, providerId, crewMemberId = null) => {
+  const trip = await Trip.findById(tripId);
+
+  if (!trip) {
+    throw serviceError('Trip not found', 404);
+  }
+
+  if (crewMemberId) {
+    if (!trip.ambulanceId || !(await CrewMember.exists({ _id: crewMemberId, ambulanceIds: trip.ambulanceId, isActive: true }))) {
+      throw serviceError('Not authorized to update this trip', 403);
+    }
+  } else if (!providerId || !trip.providerId || trip.providerId.toString() !== providerId.toString()) {
+    throw serviceError('Not authorized to update this trip', 403);
+  }
+
+  if (!DESTINATION_STATUSES.includes(trip.status)) {
+    throw serviceError('The destination can only change until the ambulance reaches the hospital', 409);
+  }
+
+  return trip;
+};
+
+/**
+ * Re-rank the destinations of the provider's trip for the care the patient needs
+ * @param {String} tripId Trip ID
+ * @param {String} providerId Provider ID
+ * @param {Array<String>|String} needs Keys of HOSPITAL_CAPABILITIES
+ * @param {Object} options { crewMemberId: crew member acting instead of the provider, socketService }
+ * @returns {Promise<Object>} Updated trip
+ */
+const updateRecommendations = async (tripId, providerId, needs, options = {}) => {
+  const clinicalNeeds = parseNeeds(needs);
+  const trip = await getProviderTrip(tripId, providerId, options.crewMemberId);
+
+  trip.clinicalNeeds = clinicalNeeds;
+  await recommendDestinations(trip);
+  await trip.save();
+
+  await publishTrip(trip, options.socketService);
+
+  return trip;
+};
+
+/**
+ * Send the provider's trip to a hospital from the directory
+ * @param {String} tripId Trip ID
+ * @param {String} providerId Provider ID
+ * @param {String} hospitalId Hospital ID
+ * @param {Object} options { crewMemberId: crew member acting instead of the provider, socketService }
+ * @returns {Promise<Object>} Updated trip
+ */
+const setTripDestination = async (tripId, providerId, hospitalId, options = {}) => {
+  if (!hospitalId) {
+    throw serviceError('hospitalId is required', 400);
+  }
+
+  const trip = await getProviderTrip(tripId, providerId, options.crewMemberId);
+  const hospital = await getHospital(hospitalId);
+
+  if (!hospital.isActive) {
+    throw serviceError('This hospital is no longer in the directory', 409);
+  }
+
+  const previous = trip.destinationLocation?.address || null;
+  const previousHospitalId = trip.destinationHospitalId ? trip.destinationHospitalId.toString() : null;
+  const hospitalChanged = previousHospitalId !== hospital._id.toString();
+  const address = hospital.address ? `${hospital.name}, ${hospital.address}` : hospital.name;
+
+  // A bay the previous hospital got ready is no use at the new one
+  if (hospitalChanged) {
+    trip.receivingBay = undefined;
+  }
+
+  trip.destinationHospitalId = hospital._id;
+  trip.destinationLocation = {
+    type: 'Point',
+    coordinates: hospital.location.coordinates,
+    address
+  };
+  await trip.save();
+
+  await tripEventService.recordEvent(trip._id, 'DESTINATION', {
+    actor: options.crewMemberId ? ACTOR.CREW : ACTOR.PROVIDER,
+    actorId: (options.crewMemberId || providerId).toString(),
+    source: 'REST',
+    previousValue: previous,
+    newValue: address
+  });
+
+  console.log(`[hospitalService] Trip ${trip._id} heading to ${hospital.name}`);
+
+  // Once picked up, the ETA is to the new destination, and the hospital gets the handover
+  await etaService.refreshTripEta(trip, { socketService: options.socketService });
+  await handoverService.syncHandover(trip);
+
+  await publishTrip(trip, options.socketService);
+
+  if (hospitalChanged && options.socketService) {
+    if (previousHospitalId) {
+      options.socketService.emitInboundTripsChanged(previousHospitalId, trip._id, 'REMOVED');
+    }
+    options.socketService.emitInboundTripsChanged(hospital._id, trip._id, 'ADDED');
+  }
+
+  return trip;
+};
+
+/**
+ * What the receiving dashboard shows of a trip: the patient summary, the
+ * ambulance and its ETA to the hospital
+ * @param {Object} trip Trip with its ambulance and provider populated
+ * @returns {Object} Inbound trip
+ */
+const toInboundTrip = (trip) => {
+  const ambulance = trip.ambulanceId || {};
+  const provider = trip.providerId || {};
+  const eta = trip.eta?.target === 'DESTINATION' ? trip.eta : null;
+
+  return {
+    _id: trip._id,
+    status: trip.status,
+    acceptTime: trip.acceptTime,
+    pickupTime: trip.pickupTime,
+    hospitalArrivalTime: trip.hospitalArrivalTime,
+    patient: handoverService.summarizePatient(trip),
+    vitals: handoverService.summarizeVitals(trip),
+    eta: eta ? {
+      minutes: eta.minutes,
+      text: routing.formatETA(eta.minutes),
+      distanceKm: eta.distanceKm,
+      calculatedAt: eta.calculatedAt
+    } : null,
+    ambulance: {
+      _id: ambulance._id || null,
+      name: ambulance.name || null,
+      registration: ambulance.registration || null,
+      type: ambulance.type || null,
+      driverName: ambulance.driver?.name || null,
+      driverPhone: ambulance.driver?.contactNumber || null
+    },
+    provider: {
+      name: provider.name || null,
+      phone: provider.phone || null
+    },
+    receivingBay: trip.receivingBay?.readyAt ? {
+      label: trip.receivingBay.label,
+      readyAt: trip.receivingBay.readyAt,
+      readyBy: trip.receivingBay.readyBy
+    } : null,
+    handoverAcknowledgedAt: trip.handover?.acknowledgedAt || null
+  };
+};
+
+const populateInbound = (query) => query
+  .populate('ambulanceId', 'name registration type driver')
+  .populate('providerId', 'name phone');
+
+/**
+ * Get the trips heading to a hospital, for its receiving dashboard
+ * @param {String} hospitalId Hospital ID
+ * @returns {Promise<Array>} Inbound trips, those at the door first, then by ETA
+ */
+const getInboundTrips = async (hospitalId) => {
+  const trips = await populateInbound(Trip.find({
+    destinationHospitalId: hospitalId,
+    status: { $in: INBOUND_STATUSES }
+  }));
+
+  const etaOf = (trip) => (trip.eta?.target === 'DESTINATION' ? trip.eta.minutes : Infinity);
+
+  return trips
+    .sort((a, b) => INBOUND_STATUSES.indexOf(a.status) - INBOUND_STATUSES.indexOf(b.status) || etaOf(a) - etaOf(b))
+    .map(toInboundTrip);
+};
+
+/**
+ * Mark the bed or bay the hospital got ready for an inbound trip, or take it back
+ * @param {String} tripId Trip ID
+ * @param {Object} hospital The staff member's hospital
+ * @param {Object} data { label: bed or bay, name: who got it ready, ready: false to take it back }
+ * @param {Object} options { socketService }
+ * @returns {Promise<Object>} Inbound trip
+ */
+const setReceivingBay = async (tripId, hospital, data = {}, options = {}) => {
+  const trip = await Trip.findById(tripId);
+
+  if (!trip) {
+    throw serviceError('Trip not found', 404);
+  }
+
+  if (!trip.destinationHospitalId || trip.destinationHospitalId.toString() !== hospital._id.toString()) {
+    throw serviceError('This trip is not heading to your hospital', 403);
+  }
+
+  if (!INBOUND_STATUSES.includes(trip.status)) {
+    throw serviceError('This trip is no longer on its way', 409);
+  }
+
+  const ready = data.ready !== false;
+  const label = typeof data.label === 'string' ? data.label.trim() : '';
+  const previous = trip.receivingBay?.readyAt ? trip.receivingBay.label : null;
+
+  if (ready && !label) {
+    throw serviceError('Name the bed or bay that is ready', 400);
+  }
+
+  trip.receivingBay = ready
+    ? {
+      hospitalId: hospital._id,
+      label,
+      readyAt: new Date(),
+      readyBy: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : hospital.name
+    }
+    : undefined;
+
+  try {
+    await trip.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(fieldError => fieldError.message);
+      throw serviceError([...new Set(messages)].join('. '), 400);
+    }
+    throw error;
+  }
+
+  await tripEventService.recordEvent(trip._id, 'BAY_READY', {
+    actor: ACTOR.HOSPITAL,
+    actorId: hospital._id.toString(),
+    source: 'REST',
+    previousValue: previous,
+    newValue: ready ? label : null,
+    note: ready ? `Ready at ${hospital.name}` : `No longer ready at ${hospital.name}`
+  });
+
+  console.log(`[hospitalService] ${hospital.name} ${ready ? `got ${label} ready` : 'took back the bay'} for trip ${trip._id}`);
+
+  await publishTrip(trip, options.socketService);
+
+  return toInboundTrip(await populateInbound(Trip.findById(trip._id)));
+};
+
+/**
+ * Let everyone following the trip know it changed.
+ * They render the trip as sent, so it goes out populated.
+ */
+const publishTrip = async (trip, socketService) => {
+  if (!socketService) {
+    return;
+  }
+
+  const populatedTrip = await Trip.findById(trip._id)
+    .populate('ambulanceId')
+    .populate('providerId');
+
+  socketService.emitTripUpdate(trip._id.toString(), populatedTrip.toObject());
+};
+
+module.exports = {
+  parseNeeds,
+  getHospitals,
+  getHospital,
+  saveHospital,
+  deleteHospital,
+  rankHospitals,
+  recommendDestinations,
+  updateRecommendations,
+  setTripDestination,
+  getInboundTrips,
+  setReceivingBay
+};
@@ -0,0 +1,430 @@
+// backend/services/insuranceService.js
+//
+// Patients' insurance covers and insurance on trips. A patient saves covers
+// to their profile and attaches one to a trip, which keeps a copy of it; the
+// provider records the insurer's pre-authorisation reference on the trip and
+// exports the completed trips as a claim file per insurer.
+
+const InsuranceCover = require('../models/insuranceCoverModel');
+const Trip = require('../models/tripModel');
+const Payment = require('../models/paymentModel');
+const tripEventService = require('./tripEventService');
+const { ACTOR } = require('../../shared/tripLifecycle');
+const { normalizeInsurer } = require('../../shared/insurers');
+const { serviceError } = require('../utils/serviceErrors');
+const { parsePeriod } = require('../utils/periodUtils');
+
+const COVER_FIELDS = ['insurer', 'scheme', 'memberNumber', 'principalName', 'relationship'];
+
+// Columns of a claim export, in order
+const CLAIM_COLUMNS = [
+  ['tripId', 'Trip ID'],
+  ['completedAt', 'Completed'],
+  ['provider', 'Provider'],
+  ['patientName', 'Patient name'],
+  ['patientPhone', 'Patient phone'],
+  ['insurer', 'Insurer'],
+  ['scheme', 'Scheme'],
+  ['memberNumber', 'Member number'],
+  ['principalName', 'Principal member'],
+  ['relationship', 'Relationship'],
+  ['preAuthorization', 'Pre-authorisation'],
+  ['pickup', 'Pickup'],
+  ['destination', 'Destination'],
+  ['distanceKm', 'Distance (km)'],
+  ['fare', 'Fare'],
+  ['currency', 'Currency'],
+  ['claimStatus', 'Claim status'],
+  ['claimReference', 'Claim reference']
+];
+
+/**
+ * Get a patient's covers, the default one first
+ * @param {String} userId Firebase user ID
+ * @returns {Promise<Array>} Covers
+ */
+const getCovers = async (userId) => {
+  return InsuranceCover.find({ userId }).sort({ isDefault: -1, createdAt: -1 });
+};
+
+/**
+ * Create a cover, or update one of the patient's own when coverId is given
+ * @param {String} userId Firebase user ID
+ * @param {String|null} coverId Cover to update
+ * @param {Object} data { insurer, scheme, memberNumber, principalName, relationship, isDefault }
+ * @returns {Promise<Object>} Saved cover
+ */
+const saveCover = async (userId, coverId, data = {}) => {
+  const cover = coverId
+    ? await InsuranceCover.findOne({ _id: coverId, userId })
+    : new InsuranceCover({ userId });
+
+  if (!cover) {
+    throw serviceError('Insurance cover not found', 404);
+  }
+
+  for (const field of COVER_FIELDS) {
+    if (data[field] !== undefined) {
+      cover[field] = typeof data[field] === 'string' ? data[field].trim() : data[field];
+    }
+  }
+
+  cover.insurer = normalizeInsurer(cover.insurer);
+
+  if (!cover.insurer || !cover.memberNumber) {
+    throw serviceError('Insurer and member number are required', 400);
+  }
+
+  // The first cover is the default one until the patient picks another
+  const otherCovers = await InsuranceCover.countDocuments({ userId, _id: { $ne: cover._id } });
+  cover.isDefault = otherCovers === 0 || (data.isDefault !== undefined ? Boolean(data.isDefault) : cover.isDefault);
+
+  try {
+    await cover.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      throw serviceError(error.message, 400);
+    }
+    throw error;
+  }
+
+  if (cover.isDefault) {
+    await InsuranceCover.updateMany({ userId, _id: { $ne: cover._id } }, { isDefault: false });
+  }
+
+  console.log(`[insuranceService] User ${userId} saved ${cover.insurer} cover ${cover._id}`);
+
+  return cover;
+};
+
+/**
+ * Delete one of the patient's covers. Trips keep their copy of it.
+ * @param {String} userId Firebase user ID
+ * @param {String} coverId Cover ID
+ */
+const deleteCover = async (userId, coverId) => {
+  const cover = await InsuranceCover.findOneAndDelete({ _id: coverId, userId });
+
+  if (!cover) {
+    throw serviceError('Insurance cover not found', 404);
+  }
+
+  // Keep a default cover while the patient has any
+  if (cover.isDefault) {
+    const next = await InsuranceCover.findOne({ userId }).sort({ createdAt: -1 });
+    if (next) {
+      next.isDefault = true;
+      await next.save();
+    }
+  }
+};
+
+/**
+ * Copy of a cover as stored on a trip
+ */
+const toTripInsurance = (cover) => ({
+  coverId: cover._id,
+  insurer: cover.insurer,
+  scheme: cover.scheme,
+  memberNumber: cover.memberNumber,
+  principalName: cover.principalName,
+  relationship: cover.relationship,
+  attachedAt: new Date()
+});
+
+/**
+ * Insurance of a new trip: the cover the patient picked, or their default
+ * cover when they didn't say. Pass coverId null to request without insurance.
+ * @param {String} userId Firebase user ID
+ * @param {String|null|undefined} coverId Cover picked by the patient
+ * @returns {Promise<Object|null>} Trip insurance, null without a cover
+ */
+const getTripInsurance = async (userId, coverId) => {
+  if (coverId === null || coverId === '') {
+    return null;
+  }
+
+  const cover = coverId
+    ? await InsuranceCover.findOne({ _id: coverId, userId })
+    : await InsuranceCover.findOne({ userId, isDefault: true });
+
+  if (coverId && !cover) {
+    throw serviceError('Insurance cover not found', 404);
+  }
+
+  return cover ? toTripInsurance(cover) : null;
+};
+
+/**
+ * Attach one of the patient's covers to their trip, or remove the trip's
+ * insurance with coverId null. Not possible once the insurer has
+ * pre-authorised the trip or the trip has been paid.
+ * @param {String} tripId Trip ID
+ * @param {String} userId Firebase user ID
+ * @param {String|null} coverId Cover to attach
+ * @param {Object} options { socketService }
+ * @returns {Promise<Object>} Updated trip
+ */
+const setTripCover = async (tripId, userId, coverId, options = {}) => {
+  const trip = await Trip.findById(tripId);
+
+  if (!trip) {
+    throw serviceError('Trip not found', 404);
+  }
+
+  if (trip.userId !== userId) {
+    throw serviceError('Not authorized to change this trip', 403);
+  }
+
+  if (trip.status === 'CANCELLED') {
+    throw serviceError('This trip was cancelled', 409);
+  }
+
+  if (trip.paymentStatus === 'PAID') {
+    throw serviceError('This trip has already been paid', 409);
+  }
+
+  if (trip.insurance?.preAuthorization?.reference) {
+    throw serviceError('The insurer has already pre-authorised this trip with the current cover', 409);
+  }
+
+  const previous = trip.insurance?.insurer || null;
+  const insurance = coverId ? await getTripInsurance(userId, coverId) : null;
+
+  trip.insurance = insurance || undefined;
+  await trip.save();
+
+  await tripEventService.recordEvent(trip._id, 'INSURANCE', {
+    actor: ACTOR.PATIENT,
+    actorId: userId,
+    source: 'REST',
+    previousValue: previous,
+    newValue: insurance ? insurance.insurer : null,
+    note: insurance ? 'Cover attached' : 'Cover removed'
+  });
+
+  await publishTrip(trip, options.socketService);
+
+  return trip;
+};
+
+/**
+ * Record the insurer's pre-authorisation of the provider's trip
+ * @param {String} tripId Trip ID
+ * @param {String} providerId Provider ID
+ * @param {String} reference Pre-authorisation reference from the insurer
+ * @param {Object} options { socketService }
+ * @returns {Promise<Object>} Updated trip
+ */
+const recordPreAuthorization = async (tripId, providerId, reference, options = {}) => {
+  const value = typeof reference === 'string' ? reference.trim() : '';
+
+  if (!value) {
+    throw serviceError('Pre-authorisation reference is required', 400);
+  }
+
+  const trip = await Trip.findById(tripId);
+
+  if (!trip) {
+    throw serviceError('Trip not found', 404);
+  }
+
+  if (!trip.providerId || trip.providerId.toString() !== providerId.toString()) {
+    throw serviceError('Not authorized to update this trip', 403);
+  }
+
+  if (!trip.insurance?.insurer) {
+    throw serviceError('The patient has not attached insurance to this trip', 409);
+  }
+
+  if (trip.status === 'CANCELLED') {
+    throw serviceError('This trip was cancelled', 409);
+  }
+
+  const previous = trip.insurance.preAuthorization?.reference || null;
+
+  trip.insurance.preAuthorization = {
+    reference: value,
+    recordedAt: new Date(),
+    recordedBy: providerId
+  };
+  await trip.save();
+
+  await tripEventService.recordEvent(trip._id, 'INSURANCE', {
+    actor: ACTOR.PROVIDER,
+    actorId: providerId,
+    source: 'REST',
+    previousValue: previous,
+    newValue: value,
+    note: `Pre-authorised by ${trip.insurance.insurer}`
+  });
+
+  console.log(`[insuranceService] Trip ${trip._id} pre-authorised by ${trip.insurance.insurer}: ${value}`);
+
+  await publishTrip(trip, options.socketService);
+
+  return trip;
+};
+
+/**
+ * Let the patient and provider screens know the trip's insurance changed.
+ * They render the trip as sent, so it goes out populated.
+ */
+const publishTrip = async (trip, socketService) => {
+  if (!socketService) {
+    return;
+  }
+
+  const populatedTrip = await Trip.findById(trip._id)
+    .populate('ambulanceId')
+    .populate('providerId');
+
+  socketService.emitTripUpdate(trip._id.toString(), populatedTrip.toObject());
+};
+
+/**
+ * Completed insured trips of a period, with their latest insurance payment
+ */
+const findClaimTrips = async ({ providerId, insurer, from, to }) => {
+  const query = {
+    status: 'COMPLETED',
+    'insurance.insurer': insurer ? normalizeInsurer(insurer) : { $exists: true, $ne: null },
+    completionTime: { $gte: from, $lte: to }
+  };
+
+  if (providerId) {
+    query.providerId = providerId;
+  }
+
+  const trips = await Trip.find(query)
+    .sort({ completionTime: 1 })
+    .populate('providerId', 'name');
+
+  const payments = await Payment.find({ tripId: { $in: trips.map(trip => trip._id) }, method: 'INSURANCE' })
+    .sort({ createdAt: -1 });
+
+  const latestPayment = new Map();
+  payments.forEach(payment => {
+    const key = payment.tripId.toString();
+    if (!latestPayment.has(key)) {
+      latestPayment.set(key, payment);
+    }
+  });
+
+  return trips.map(trip => ({ trip, payment: latestPayment.get(trip._id.toString()) || null }));
+};
+
+/**
+ * Claimable trips of a period per insurer
+ * @param {Object} filters { providerId (optional - every provider), from, to }
+ * @returns {Promise<Object>} { from, to, insurers: [{ insurer, trips, amount,
+ *   preAuthorized, claimed, paid }] }
+ */
+const getClaimSummary = async (filters = {}) => {
+  const period = parsePeriod(filters);
+  const claims = await findClaimTrips({ ...period, providerId: filters.providerId });
+
+  const byInsurer = new Map();
+
+  claims.forEach(({ trip, payment }) => {
+    const insurer = trip.insurance.insurer;
+
+    if (!byInsurer.has(insurer)) {
+      byInsurer.set(insurer, { insurer, trips: 0, amount: 0, preAuthorized: 0, claimed: 0, paid: 0 });
+    }
+
+    const summary = byInsurer.get(insurer);
+    summary.trips += 1;
+    summary.amount += trip.fare || 0;
+    if (trip.insurance.preAuthorization?.reference) summary.preAuthorized += 1;
+    if (payment) summary.claimed += 1;
+    if (payment?.status === 'PAID') summary.paid += 1;
+  });
+
+  return {
+    ...period,
+    insurers: [...byInsurer.values()].sort((a, b) => b.amount - a.amount)
+  };
+};
+
+/**
+ * Quote a CSV value. Values starting like a formula are prefixed with a
+ * quote so spreadsheets show them as text.
+ */
+const csvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Claim file of one insurer: every completed trip of the period insured by it
+ * @param {Object} filters { insurer, providerId (optional - every provider), from, to }
+ * @returns {Promise<Object>} { filename, csv, count }
+ */
+const exportClaims = async (filters = {}) => {
+  const insurer = normalizeInsurer(filters.insurer);
+
+  if (!insurer) {
+    throw serviceError('Insurer is required', 400);
+  }
+
+  const period = parsePeriod(filters);
+  const claims = await findClaimTrips({ ...period, insurer, providerId: filters.providerId });
+
+  const rows = claims.map(({ trip, payment }) => ({
+    tripId: trip._id.toString(),
+    completedAt: trip.completionTime,
+    provider: trip.providerId?.name,
+    patientName: trip.patientDetails?.name,
+    patientPhone: trip.patientDetails?.phone,
+    insurer: trip.insurance.insurer,
+    scheme: trip.insurance.scheme,
+    memberNumber: trip.insurance.memberNumber,
+    principalName: trip.insurance.principalName,
+    relationship: trip.insurance.relationship,
+    preAuthorization: trip.insurance.preAuthorization?.reference,
+    pickup: trip.requestLocation?.address,
+    destination: trip.destinationLocation?.address,
+    distanceKm: trip.fareDetails?.distanceKm,
+    fare: trip.fare,
+    currency: trip.fareDetails?.currency || 'KES',
+    claimStatus: payment ? payment.status : 'NOT_CLAIMED',
+    claimReference: payment?.reference
+  }));
+
+  const csv = [
+    CLAIM_COLUMNS.map(([, title]) => csvValue(title)).join(','),
+    ...rows.map(row => CLAIM_COLUMNS.map(([key]) => csvValue(row[key])).join(','))
+  ].join('\r\n');
+
+  const slug = insurer.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const day = (date) => date.toISOString().slice(0, 10);
+
+  console.log(`[insuranceService] Exported ${rows.length} ${insurer} claims for ${day(period.from)} to ${day(period.to)}`);
+
+  return {
+    filename: `claims-${slug}-${day(period.from)}-${day(period.to)}.csv`,
+    csv: `${csv}\r\n`,
+    count: rows.length
+  };
+};
+
+module.exports = {
+  getCovers,
+  saveCover,
+  deleteCover,
+  getTripInsurance,
+  setTripCover,
+  recordPreAuthorization,
+  getClaimSummary,
+  exportClaims
+};
@@ -1,5 +1,6 @@
-const { calculateDistance, calculateETA } = require('../utils/locationUtils');
+const { getRoutesTo, formatETA, formatDistance } = require('./routing');
 const Ambulance = require('../models/ambulanceModel');
+const { getDispatchableAmbulanceFilter } = require('./complianceService');
 
 /**
  * Find nearest available ambulances to a given location
@@ -29,9 +30,12 @@ const findNearestAmbulances = async (longitude, latitude, maxDistance = 10, limi
   const totalAvailable = await Ambulance.countDocuments({ status: 'AVAILABLE' });
   console.log(`[locationService] Total AVAILABLE ambulances in database: ${totalAvailable}`);
 
+  // Only ambulances of verified, compliant providers can be found or dispatched
+  const dispatchableFilter = await getDispatchableAmbulanceFilter();
+
   // Perform geospatial query
   const nearestAmbulances = await Ambulance.find({
-    status: 'AVAILABLE',
+    ...dispatchableFilter,
     location: {
       $near: {
         $geometry: {
@@ -52,23 +56,22 @@ const findNearestAmbulances = async (longitude, latitude, maxDistance = 10, limi
     console.log(`[locationService] Ambulance ${index + 1}: ${amb._id}, location: [${amb.location.coordinates[0]}, ${amb.location.coordinates[1]}], status: ${amb.status}`);
   });
 
-  // Calculate distance and ETA for each ambulance
-  const ambulancesWithETA = nearestAmbulances.map(ambulance => {
-    const distanceInKm = calculateDistance(
-      lat,
-      lng,
-      ambulance.location.coordinates[1],
-      ambulance.location.coordinates[0]
-    );
+  // Road distance and ETA from each ambulance to the patient
+  const routes = await getRoutesTo(
+    nearestAmbulances.map(ambulance => ambulance.location.coordinates),
+    [lng, lat]
+  );
 
-    const etaInMinutes = calculateETA(distanceInKm);
+  const ambulancesWithETA = nearestAmbulances.map((ambulance, index) => {
+    const { distanceKm, durationMinutes, source } = routes[index];
 
     return {
       ...ambulance.toObject(),
-      distance: `${distanceInKm.toFixed(1)} km`,
-      distanceValue: distanceInKm,
-      eta: `${etaInMinutes} mins`,
-      etaValue: etaInMinutes
+      distance: formatDistance(distanceKm),
+      distanceValue: distanceKm,
+      eta: formatETA(durationMinutes),
+      etaValue: durationMinutes,
+      etaSource: source
     };
   });
 
@@ -1,93 +1,703 @@
+// backend/services/notificationService.js
+//
+// Notifications for patients and providers. Every notification is rendered
+// from a template (notifications/templates.js), stored as the recipient's
+// in-app inbox entry and pushed to their sockets, then sent over SMS, email
+// and web push as far as the recipient's preferences and contact details
+// allow. Failed sends are retried with exponential backoff; the outcome of
+// every channel is kept on the notification's deliveries.
+
+const mongoose = require('mongoose');
+const Notification = require('../models/notificationModel');
+const NotificationPreference = require('../models/notificationPreferenceModel');
+const Provider = require('../models/providerModel');
+const Trip = require('../models/tripModel');
+const Ambulance = require('../models/ambulanceModel');
+const routing = require('./routing');
+const { CHANNELS, getTransport } = require('./notifications');
+const { NOTIFICATION_TYPES, render } = require('./notifications/templates');
+const { ACTOR, TRIP_STATUS } = require('../../shared/tripLifecycle');
+const { serviceError } = require('../utils/serviceErrors');
+
+// Sends per channel before a notification counts as failed
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 4;
+
+// Wait before the first retry; every further retry waits twice as long
+const RETRY_BASE_MS = (parseFloat(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 2) * 1000;
+
+const RECIPIENT_TYPES = Object.freeze(['user', 'provider']);
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+const recipientFilter = (recipient) => ({
+  'recipient.type': recipient.type,
+  'recipient.id': recipient.id
+});
+
+const findPreference = (recipient) => NotificationPreference.findOne(recipientFilter(recipient));
+
 /**
- * Notification Service
- * 
- * This is a placeholder service for sending notifications.
- * In a production environment, you would implement:
- * - Push notifications
- * - SMS notifications
- * - Email notifications
- * - In-app notifications
+ * Email address of a patient's Firebase account
  */
+const lookupUserEmail = async (uid) => {
+  try {
+    const admin = require('../config/firebase-admin');
+    const user = await admin.auth().getUser(uid);
+    return user.email || null;
+  } catch (error) {
+    console.warn(`[notificationService] Could not look up email of user ${uid}:`, error.message);
+    return null;
+  }
+};
 
 /**
- * Send notification to a provider about a new trip request
- * @param {Object} provider Provider object
- * @param {Object} trip Trip details
- * @returns {Promise<void>}
- */
-const notifyProviderNewRequest = async (provider, trip) => {
-    // This is a placeholder - no actual implementation yet
-    console.log(`🔔 NOTIFICATION: New trip request for provider ${provider.name} (${provider._id})`);
-    console.log(`   Trip ID: ${trip._id}`);
-    console.log(`   Patient: ${trip.patientDetails.name}`);
-    console.log(`   Location: ${trip.requestLocation.coordinates}`);
-    console.log(`   Emergency: ${trip.emergencyDetails}`);
-    
-    // In a real implementation, you would:
-    // 1. Send push notification to provider's devices
-    // 2. Send SMS if urgent
-    // 3. Store notification in database
+ * Work out where a recipient can be reached
+ * @param {Object} recipient { type, id }
+ * @param {Object} preference Their preferences, if any
+ * @param {Object} known Contact details the caller already has, e.g. the trip's patient phone
+ * @returns {Promise<Object>} { phone, email, pushSubscriptions }
+ */
+const resolveContact = async (recipient, preference, known = {}) => {
+  let phone = preference?.phone || known.phone || null;
+  let email = preference?.email || known.email || null;
+
+  if (recipient.type === 'provider' && (!phone || !email)) {
+    const provider = await Provider.findById(recipient.id).select('phone email');
+    phone = phone || provider?.phone || null;
+    email = email || provider?.email || null;
+  }
+
+  if (recipient.type === 'user' && !email) {
+    email = await lookupUserEmail(recipient.id);
+  }
+
+  return { phone, email, pushSubscriptions: preference?.pushSubscriptions || [] };
+};
+
+/**
+ * Decide which external channels a notification goes out on
+ * @returns {Object} Messages to send keyed by channel, and the reason each skipped channel was skipped
+ */
+const planDeliveries = (type, rendered, preference, contact, data) => {
+  const muted = preference?.mutedTypes?.includes(type);
+  const plan = {};
+
+  CHANNELS.forEach(channel => {
+    if (muted) {
+      plan[channel] = { skip: 'Muted' };
+    } else if (preference && preference.channels && preference.channels[channel] === false) {
+      plan[channel] = { skip: 'Disabled' };
+    } else if (channel === 'sms') {
+      plan.sms = contact.phone ? { message: { to: contact.phone, text: rendered.sms } } : { skip: 'No phone number' };
+    } else if (channel === 'email') {
+      plan.email = contact.email
+        ? { message: { to: contact.email, subject: rendered.email.subject, text: rendered.email.text } }
+        : { skip: 'No email address' };
+    } else if (channel === 'push') {
+      plan.push = contact.pushSubscriptions.length > 0
+        ? { message: { title: rendered.title, body: rendered.message, data } }
+        : { skip: 'No push subscription' };
+    }
+  });
+
+  return plan;
+};
+
+const recordDelivery = (notificationId, channel, changes) => {
+  const update = {};
+  Object.entries(changes).forEach(([key, value]) => {
+    update[`deliveries.$.${key}`] = value;
+  });
+
+  return Notification.updateOne({ _id: notificationId, 'deliveries.channel': channel }, { $set: update });
+};
+
+/**
+ * Send a push message to every subscription of the recipient. Subscriptions
+ * the browser gave up are removed; it fails only if no subscription got it.
+ */
+const sendPush = async (transport, recipient, message, subscriptions) => {
+  let lastError = null;
+  let delivered = 0;
+
+  for (const subscription of subscriptions) {
+    try {
+      await transport.send({ ...message, subscription });
+      delivered += 1;
+    } catch (error) {
+      if (error.expired) {
+        await NotificationPreference.updateOne(
+          recipientFilter(recipient),
+          { $pull: { pushSubscriptions: { endpoint: subscription.endpoint } } }
+        );
+      } else {
+        lastError = error;
+      }
+    }
+  }
+
+  if (delivered === 0 && lastError) {
+    throw lastError;
+  }
+
+  if (delivered === 0) {
+    const error = new Error('Every push subscription has expired');
+    error.retryable = false;
+    throw error;
+  }
+};
+
+/**
+ * Send a notification over one channel, retrying with exponential backoff
+ * @param {Object} notification Notification document
+ * @param {String} channel sms, email or push
+ * @param {Object} message Message for the channel's transport
+ * @param {Object} contact Contact details (push subscriptions)
+ * @param {Number} attempt Number of this attempt, from 1
+ */
+const deliver = async (notification, channel, message, contact, attempt = 1) => {
+  const transport = getTransport(channel);
+
+  try {
+    if (channel === 'push') {
+      await sendPush(transport, notification.recipient, message, contact.pushSubscriptions);
+    } else {
+      await transport.send(message);
+    }
+
+    await recordDelivery(notification._id, channel, { status: 'SENT', attempts: attempt, sentAt: new Date(), lastError: null });
+  } catch (error) {
+    const retry = error.retryable !== false && attempt < MAX_ATTEMPTS;
+
+    console.warn(`[notificationService] ${channel} attempt ${attempt} of notification ${notification._id} failed: ${error.message}`);
+
+    await recordDelivery(notification._id, channel, {
+      status: retry ? 'PENDING' : 'FAILED',
+      attempts: attempt,
+      lastError: error.message
+    });
+
+    if (retry) {
+      const delay = RETRY_BASE_MS * 2 ** (attempt - 1);
+
+      setTimeout(() => {
+        deliver(notification, channel, message, contact, attempt + 1).catch(retryError => {
+          console.error(`[notificationService] Error retrying ${channel} of notification ${notification._id}:`, retryError);
+        });
+      }, delay).unref();
+    }
+  }
+};
+
+/**
+ * Count a recipient's unread notifications
+ * @param {Object} recipient { type, id }
+ * @returns {Promise<Number>} Unread notifications
+ */
+const getUnreadCount = (recipient) => Notification.countDocuments({ ...recipientFilter(recipient), readAt: null });
+
+/**
+ * Push a recipient's unread count to their sockets
+ * @param {Object} recipient { type, id }
+ * @param {Object} socketService Socket service (optional)
+ */
+const publishUnreadCount = async (recipient, socketService) => {
+  if (!socketService) {
+    return;
+  }
+
+  try {
+    socketService.emitUnreadCount(recipient, await getUnreadCount(recipient));
+  } catch (error) {
+    console.error(`[notificationService] Error publishing unread count of ${recipient.type} ${recipient.id}:`, error);
+  }
+};
+
+/**
+ * Notify a patient or provider
+ * @param {Object} recipient { type: 'user' | 'provider', id }
+ * @param {String} type Notification type (a template name)
+ * @param {Object} variables Values of the template's placeholders
+ * @param {Object} options Options
+ * @param {String} options.tripId Trip the notification is about (optional)
+ * @param {Object} options.data Extra data for the inbox and push (optional)
+ * @param {Object} options.contact Known { phone, email } of the recipient (optional)
+ * @param {Object} options.socketService Socket service used for the in-app notification (optional)
+ * @returns {Promise<Object|null>} Stored notification once the first attempt of
+ *   every channel is done, null when the recipient has no template for this type
+ */
+const notify = async (recipient, type, variables = {}, options = {}) => {
+  const { tripId = null, data = {}, contact: known, socketService = null } = options;
+  const rendered = render(type, recipient.type, variables);
+
+  if (!rendered) {
+    return null;
+  }
+
+  const preference = await findPreference(recipient);
+  const contact = await resolveContact(recipient, preference, known);
+  const plan = planDeliveries(type, rendered, preference, contact, { ...data, type, tripId });
+
+  const notification = await Notification.create({
+    recipient,
+    type,
+    title: rendered.title,
+    message: rendered.message,
+    tripId,
+    data,
+    deliveries: CHANNELS.map(channel => (plan[channel].skip
+      ? { channel, status: 'SKIPPED', lastError: plan[channel].skip }
+      : { channel, status: 'PENDING' }))
+  });
+
+  console.log(`[notificationService] ${type} for ${recipient.type} ${recipient.id} (${notification._id})`);
+
+  if (socketService) {
+    socketService.emitNotification({
+      id: notification._id.toString(),
+      recipient: recipient.type,
+      type,
+      title: notification.title,
+      message: notification.message,
+      tripId: tripId ? tripId.toString() : undefined,
+      data,
+      [recipient.type === 'provider' ? 'providerId' : 'userId']: recipient.id
+    });
+
+    await publishUnreadCount(recipient, socketService);
+  }
+
+  await Promise.all(CHANNELS
+    .filter(channel => !plan[channel].skip)
+    .map(channel => deliver(notification, channel, plan[channel].message, contact)));
+
+  return notification;
+};
+
+/**
+ * Placeholder values of a trip
+ * @param {Object} trip Trip with ambulanceId and providerId populated
+ * @returns {Object} Template variables
+ */
+const tripVariables = (trip) => ({
+  tripId: trip._id.toString(),
+  patientName: trip.patientDetails?.name || 'The patient',
+  ambulanceName: trip.ambulanceId?.name || 'Your ambulance',
+  providerName: trip.providerId?.name || 'the provider',
+  pickupAddress: trip.requestLocation?.address || 'the pickup location',
+  destinationAddress: trip.destinationLocation?.address || 'the hospital',
+  emergency: trip.emergencyDetails || '',
+  reason: trip.cancellationReason ? `Reason: ${trip.cancellationReason}` : '',
+  fare: trip.fare != null ? `Fare: ${trip.fareDetails?.currency || 'KES'} ${trip.fare.toLocaleString('en-US')}.` : ''
+});
+
+const loadTrip = (trip) => Trip.findById(trip._id || trip)
+  .populate('ambulanceId', 'name registration')
+  .populate('providerId', 'name');
+
+/**
+ * Notify the people involved in a trip of a lifecycle transition. The patient
+ * hears about everything they didn't do themselves; the provider about
+ * changes to trips it accepted that someone else made.
+ * @param {Object} trip Trip (document or ID) after the transition
+ * @param {String} previousStatus Status before the transition
+ * @param {String} status Status after the transition
+ * @param {String} actor Who applied it (ACTOR)
+ * @param {Object} options Options
+ * @param {Object} options.socketService Socket service used for in-app notifications
+ * @returns {Promise<Array>} Stored notifications
+ */
+const notifyTripTransition = async (trip, previousStatus, status, actor, options = {}) => {
+  const populatedTrip = await loadTrip(trip);
+
+  if (!populatedTrip) {
+    return [];
+  }
+
+  const type = `TRIP_${status}`;
+  const variables = tripVariables(populatedTrip);
+  const shared = {
+    tripId: populatedTrip._id,
+    data: { status, previousStatus },
+    socketService: options.socketService
   };
-  
-  /**
-   * Send notification to a user about trip status update
-   * @param {String} userId User ID
-   * @param {Object} trip Updated trip
-   * @param {String} previousStatus Previous trip status
-   * @returns {Promise<void>}
-   */
-  const notifyUserTripUpdate = async (userId, trip, previousStatus) => {
-    // This is a placeholder - no actual implementation yet
-    console.log(`🔔 NOTIFICATION: Trip status update for user ${userId}`);
-    console.log(`   Trip ID: ${trip._id}`);
-    console.log(`   New Status: ${trip.status}`);
-    console.log(`   Previous Status: ${previousStatus}`);
-    console.log(`   Ambulance: ${trip.ambulanceId?.name || 'Unknown'}`);
-    
-    // In a real implementation, you would:
-    // 1. Send push notification to user's devices
-    // 2. Update real-time status on frontend
-    // 3. Store notification in database
+  const sends = [];
+
+  if (actor !== ACTOR.PATIENT) {
+    sends.push(notify({ type: 'user', id: populatedTrip.userId }, type, variables, {
+      ...shared,
+      contact: { phone: populatedTrip.patientDetails?.phone }
+    }));
+  }
+
+  if (actor !== ACTOR.PROVIDER && previousStatus !== TRIP_STATUS.REQUESTED && populatedTrip.providerId) {
+    sends.push(notify({ type: 'provider', id: toId(populatedTrip.providerId) }, type, variables, shared));
+  }
+
+  return (await Promise.all(sends)).filter(Boolean);
+};
+
+/**
+ * Tell a provider one of its ambulances was offered a trip
+ * @param {Object} trip Trip with the pending offer
+ * @param {Object} options Options
+ * @param {Object} options.socketService Socket service used for the in-app notification
+ * @returns {Promise<Object|null>} Stored notification
+ */
+const notifyProviderNewRequest = async (trip, options = {}) => {
+  const populatedTrip = await loadTrip(trip);
+
+  if (!populatedTrip || !populatedTrip.providerId) {
+    return null;
+  }
+
+  return notify({ type: 'provider', id: toId(populatedTrip.providerId) }, 'NEW_TRIP_REQUEST', tripVariables(populatedTrip), {
+    tripId: populatedTrip._id,
+    data: { ambulanceId: toId(populatedTrip.ambulanceId) },
+    socketService: options.socketService
+  });
+};
+
+const PAYMENT_METHOD_NAMES = { MPESA: 'M-Pesa', CASH: 'cash', INSURANCE: 'insurance' };
+
+/**
+ * Tell the patient, and for settled payments the provider, how a payment went
+ * @param {Object} trip Trip (document or ID)
+ * @param {Object} payment Payment that was settled (PAID or FAILED)
+ * @param {Object} options Options
+ * @param {Object} options.socketService Socket service used for the in-app notification
+ * @returns {Promise<Array>} Stored notifications
+ */
+const notifyPayment = async (trip, payment, options = {}) => {
+  const populatedTrip = await loadTrip(trip);
+
+  if (!populatedTrip) {
+    return [];
+  }
+
+  const paid = payment.status === 'PAID';
+  const type = paid ? 'PAYMENT_RECEIVED' : 'PAYMENT_FAILED';
+  const receiptNumber = payment.mpesa?.receiptNumber || payment.reference;
+  const variables = {
+    ...tripVariables(populatedTrip),
+    method: PAYMENT_METHOD_NAMES[payment.method] || payment.method,
+    amount: `${payment.currency || 'KES'} ${payment.amount.toLocaleString('en-US')}`,
+    receipt: receiptNumber ? `Reference: ${receiptNumber}.` : '',
+    reason: payment.failureReason ? `${payment.failureReason}.` : ''
   };
-  
-  /**
-   * Send notification about ambulance arrival
-   * @param {String} userId User ID
-   * @param {Object} trip Trip details
-   * @param {Number} eta Estimated time of arrival in minutes
-   * @returns {Promise<void>}
-   */
-  const notifyAmbulanceArrival = async (userId, trip, eta) => {
-    console.log(`🔔 NOTIFICATION: Ambulance arriving soon for user ${userId}`);
-    console.log(`   Trip ID: ${trip._id}`);
-    console.log(`   ETA: ${eta} minutes`);
-    console.log(`   Ambulance: ${trip.ambulanceId?.name || 'Unknown'}`);
-    console.log(`   Driver: ${trip.ambulanceId?.driver?.name || 'Unknown'}`);
-    
-    
+  const shared = {
+    tripId: populatedTrip._id,
+    data: { paymentId: toId(payment._id), method: payment.method, status: payment.status },
+    socketService: options.socketService
   };
-  
-  /**
-   * Send emergency alert to nearby ambulances
-   * @param {Array} ambulanceIds Array of nearby ambulance IDs
-   * @param {Object} location Emergency location
-   * @param {String} details Emergency details
-   * @returns {Promise<void>}
-   */
-  const sendEmergencyAlert = async (ambulanceIds, location, details) => {
-    // This is a placeholder - no actual implementation yet
-    console.log(`🚨 EMERGENCY ALERT: Sending to ${ambulanceIds.length} ambulances`);
-    console.log(`   Location: ${location.coordinates}`);
-    console.log(`   Details: ${details}`);
-    
-    // In a real implementation, you would:
-    // 1. Send high-priority alerts to all nearby ambulances
-    // 2. Implement a priority system for critical emergencies
+
+  const sends = [notify({ type: 'user', id: populatedTrip.userId }, type, variables, shared)];
+
+  if (paid) {
+    sends.push(notify({ type: 'provider', id: toId(populatedTrip.providerId) }, type, variables, shared));
+  }
+
+  return Promise.all(sends);
+};
+
+/**
+ * Tell a patient their ambulance is about to arrive
+ * @param {Object} trip Trip details
+ * @param {Number} eta Estimated time of arrival in minutes from the routing service
+ * (optional - calculated from the trip's populated ambulance when missing)
+ * @param {Object} options Options
+ * @param {Object} options.socketService Socket service used for the in-app notification
+ * @returns {Promise<Object|null>} Stored notification
+ */
+const notifyAmbulanceArrival = async (trip, eta, options = {}) => {
+  const populatedTrip = await loadTrip(trip);
+
+  if (!populatedTrip) {
+    return null;
+  }
+
+  let etaMinutes = eta;
+
+  // Use the same road ETA as the rest of the app rather than a local estimate
+  if (etaMinutes === undefined || etaMinutes === null) {
+    const ambulance = await Ambulance.findById(toId(populatedTrip.ambulanceId)).select('location');
+    const from = ambulance?.location?.coordinates;
+    etaMinutes = from
+      ? (await routing.getRoute([from[0], from[1]], populatedTrip.requestLocation.coordinates)).durationMinutes
+      : populatedTrip.eta?.minutes;
+  }
+
+  return notify({ type: 'user', id: populatedTrip.userId }, 'AMBULANCE_ARRIVING', {
+    ...tripVariables(populatedTrip),
+    etaText: etaMinutes !== undefined && etaMinutes !== null ? routing.formatETA(etaMinutes) : 'a few minutes'
+  }, {
+    tripId: populatedTrip._id,
+    data: { eta: etaMinutes },
+    contact: { phone: populatedTrip.patientDetails?.phone },
+    socketService: options.socketService
+  });
+};
+
+/**
+ * Send an emergency alert to the providers of nearby ambulances
+ * @param {Array} ambulanceIds Array of nearby ambulance IDs
+ * @param {Object} location Emergency location ({ coordinates, address })
+ * @param {String} details Emergency details
+ * @param {Object} options Options
+ * @param {Object} options.socketService Socket service used for in-app notifications
+ * @returns {Promise<Array>} Stored notifications, one per provider
+ */
+const sendEmergencyAlert = async (ambulanceIds, location, details, options = {}) => {
+  const providerIds = await Ambulance.distinct('providerId', { _id: { $in: ambulanceIds } });
+
+  console.log(`🚨 EMERGENCY ALERT: Sending to ${providerIds.length} providers of ${ambulanceIds.length} ambulances`);
+
+  const notifications = await Promise.all(providerIds.map(providerId => notify(
+    { type: 'provider', id: providerId.toString() },
+    'EMERGENCY_ALERT',
+    { pickupAddress: location.address || (location.coordinates || []).join(', '), details },
+    { data: { location }, socketService: options.socketService }
+  )));
+
+  return notifications.filter(Boolean);
+};
+
+const validateRecipient = (recipient) => {
+  if (!recipient || !RECIPIENT_TYPES.includes(recipient.type) || !recipient.id) {
+    throw serviceError('Invalid notification recipient', 400);
+  }
+};
+
+/**
+ * List a recipient's inbox, newest first
+ * @param {Object} recipient { type, id }
+ * @param {Object} options Options
+ * @param {Boolean} options.unread Only unread notifications
+ * @param {Number} options.page Page, from 1
+ * @param {Number} options.limit Notifications per page (at most 100)
+ * @returns {Promise<Object>} { notifications, unreadCount, pagination }
+ */
+const listNotifications = async (recipient, options = {}) => {
+  validateRecipient(recipient);
+
+  const query = recipientFilter(recipient);
+
+  if (options.unread) {
+    query.readAt = null;
+  }
+
+  const limit = Math.min(parseInt(options.limit) || 20, 100);
+  const page = parseInt(options.page) || 1;
+
+  const notifications = await Notification.find(query)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .select('-deliveries');
+
+  const total = await Notification.countDocuments(query);
+  const unreadCount = options.unread ? total : await getUnreadCount(recipient);
+
+  return {
+    notifications,
+    unreadCount,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
   };
-  
-  module.exports = {
-    notifyProviderNewRequest,
-    notifyUserTripUpdate,
-    notifyAmbulanceArrival,
-    sendEmergencyAlert
-  };
\ No newline at end of file
+};
+
+/**
+ * Mark one of a recipient's notifications read
+ * @param {Object} recipient { type, id }
+ * @param {String} notificationId Notification ID
+ * @param {Object} options Options
+ * @param {Object} options.socketService Socket service used to push the new unread count
+ * @returns {Promise<Object>} { notification, unreadCount }
+ */
+const markRead = async (recipient, notificationId, options = {}) => {
+  validateRecipient(recipient);
+
+  if (!mongoose.isValidObjectId(notificationId)) {
+    throw serviceError('Notification not found', 404);
+  }
+
+  const notification = await Notification.findOne({ _id: notificationId, ...recipientFilter(recipient) })
+    .select('-deliveries');
+
+  if (!notification) {
+    throw serviceError('Notification not found', 404);
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+    await publishUnreadCount(recipient, options.socketService);
+  }
+
+  return { notification, unreadCount: await getUnreadCount(recipient) };
+};
+
+/**
+ * Mark all of a recipient's notifications read
+ * @param {Object} recipient { type, id }
+ * @param {Object} options Options
+ * @param {Object} options.socketService Socket service used to push the new unread count
+ * @returns {Promise<Object>} { updated, unreadCount }
+ */
+const markAllRead = async (recipient, options = {}) => {
+  validateRecipient(recipient);
+
+  const result = await Notification.updateMany(
+    { ...recipientFilter(recipient), readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  if (result.modifiedCount > 0) {
+    await publishUnreadCount(recipient, options.socketService);
+  }
+
+  return { updated: result.modifiedCount, unreadCount: await getUnreadCount(recipient) };
+};
+
+const formatPreference = (recipient, preference) => ({
+  recipient,
+  channels: {
+    sms: preference ? preference.channels.sms : true,
+    email: preference ? preference.channels.email : true,
+    push: preference ? preference.channels.push : true
+  },
+  mutedTypes: preference ? preference.mutedTypes : [],
+  phone: preference?.phone || null,
+  email: preference?.email || null,
+  pushSubscriptions: preference ? preference.pushSubscriptions.length : 0
+});
+
+/**
+ * Get a recipient's notification preferences, with the defaults when they set none
+ * @param {Object} recipient { type, id }
+ * @returns {Promise<Object>} Preferences (push subscriptions are only counted)
+ */
+const getPreferences = async (recipient) => {
+  validateRecipient(recipient);
+  return formatPreference(recipient, await findPreference(recipient));
+};
+
+/**
+ * Change a recipient's notification preferences
+ * @param {Object} recipient { type, id }
+ * @param {Object} changes Any of { channels: { sms, email, push }, mutedTypes, phone, email }
+ * @returns {Promise<Object>} Updated preferences
+ */
+const updatePreferences = async (recipient, changes = {}) => {
+  validateRecipient(recipient);
+
+  const update = {};
+
+  if (changes.channels !== undefined) {
+    Object.entries(changes.channels || {}).forEach(([channel, enabled]) => {
+      if (!CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+        throw serviceError(`Invalid channel setting: ${channel}. Channels are ${CHANNELS.join(', ')} and take true or false`, 400);
+      }
+      update[`channels.${channel}`] = enabled;
+    });
+  }
+
+  if (changes.mutedTypes !== undefined) {
+    if (!Array.isArray(changes.mutedTypes) || changes.mutedTypes.some(type => !NOTIFICATION_TYPES.includes(type))) {
+      throw serviceError(`mutedTypes must be a list of: ${NOTIFICATION_TYPES.join(', ')}`, 400);
+    }
+    update.mutedTypes = changes.mutedTypes;
+  }
+
+  ['phone', 'email'].forEach(field => {
+    if (changes[field] !== undefined) {
+      update[field] = changes[field] ? String(changes[field]).trim() : null;
+    }
+  });
+
+  const preference = await NotificationPreference.findOneAndUpdate(
+    recipientFilter(recipient),
+    { $set: update, $setOnInsert: { recipient } },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  return formatPreference(recipient, preference);
+};
+
+/**
+ * Remember a browser's push subscription for a recipient
+ * @param {Object} recipient { type, id }
+ * @param {Object} subscription { endpoint, keys: { p256dh, auth } } from PushManager.subscribe()
+ * @returns {Promise<Object>} Updated preferences
+ */
+const addPushSubscription = async (recipient, subscription) => {
+  validateRecipient(recipient);
+
+  if (!subscription || !subscription.endpoint || !subscription.keys?.p256dh || !subscription.keys?.auth) {
+    throw serviceError('A push subscription needs an endpoint and p256dh and auth keys', 400);
+  }
+
+  const filter = recipientFilter(recipient);
+
+  // Replace an older subscription of the same browser
+  await NotificationPreference.updateOne(filter, {
+    $pull: { pushSubscriptions: { endpoint: subscription.endpoint } }
+  });
+
+  const preference = await NotificationPreference.findOneAndUpdate(filter, {
+    $push: { pushSubscriptions: { endpoint: subscription.endpoint, keys: subscription.keys } },
+    $setOnInsert: { recipient }
+  }, { new: true, upsert: true });
+
+  return formatPreference(recipient, preference);
+};
+
+/**
+ * Forget a browser's push subscription
+ * @param {Object} recipient { type, id }
+ * @param {String} endpoint Endpoint of the subscription
+ * @returns {Promise<Object>} Updated preferences
+ */
+const removePushSubscription = async (recipient, endpoint) => {
+  validateRecipient(recipient);
+
+  if (!endpoint) {
+    throw serviceError('endpoint is required', 400);
+  }
+
+  const preference = await NotificationPreference.findOneAndUpdate(
+    recipientFilter(recipient),
+    { $pull: { pushSubscriptions: { endpoint } } },
+    { new: true }
+  );
+
+  return formatPreference(recipient, preference);
+};
+
+/**
+ * VAPID public key browsers need to subscribe to push
+ * @returns {String|null} Key, null when web push isn't configured
+ */
+const getPushPublicKey = () => getTransport('push').publicKey || null;
+
+module.exports = {
+  notify,
+  notifyTripTransition,
+  notifyProviderNewRequest,
+  notifyAmbulanceArrival,
+  notifyPayment,
+  sendEmergencyAlert,
+  getUnreadCount,
+  listNotifications,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences,
+  addPushSubscription,
+  removePushSubscription,
+  getPushPublicKey
+};
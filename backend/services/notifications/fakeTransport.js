@@ -0,0 +1,72 @@
+// backend/services/notifications/fakeTransport.js
+//
+// Transport for tests. Messages of every channel are captured in one outbox
+// instead of being sent; failures can be queued to exercise retries.
+
+// Captured messages, oldest first: { channel, ...message, sentAt }
+const outbox = [];
+
+// Errors to throw on the next sends, per channel
+const failures = new Map();
+
+/**
+ * @param {String} channel sms, email or push
+ * @returns {Object} Transport
+ */
+const createFakeTransport = (channel) => ({
+  name: 'fake',
+
+  async send(message) {
+    const queued = failures.get(channel);
+
+    if (queued && queued.length > 0) {
+      throw queued.shift();
+    }
+
+    outbox.push({ channel, ...message, sentAt: new Date() });
+
+    return { id: `fake-${outbox.length}` };
+  }
+});
+
+/**
+ * Messages captured so far
+ * @param {String} channel Only this channel's messages (optional)
+ * @returns {Array} Messages
+ */
+const getSent = (channel) => outbox.filter(message => !channel || message.channel === channel);
+
+/**
+ * Make the next sends of a channel fail
+ * @param {String} channel sms, email or push
+ * @param {Number} times How many sends fail
+ * @param {Object} options Options
+ * @param {Boolean} options.retryable Whether the failure is worth retrying (default: true)
+ * @param {Number} options.statusCode HTTP status of the failure, e.g. 410 for an expired push subscription
+ */
+const failNext = (channel, times = 1, { retryable = true, statusCode } = {}) => {
+  const queued = failures.get(channel) || [];
+
+  for (let i = 0; i < times; i++) {
+    const error = new Error(`Fake ${channel} failure`);
+    error.retryable = retryable;
+    error.statusCode = statusCode;
+    error.expired = statusCode === 404 || statusCode === 410;
+    queued.push(error);
+  }
+
+  failures.set(channel, queued);
+};
+
+/**
+ * Forget captured messages and queued failures
+ */
+const reset = () => {
+  outbox.length = 0;
+  failures.clear();
+};
+
+module.exports = createFakeTransport;
+module.exports.getSent = getSent;
+module.exports.failNext = failNext;
+module.exports.reset = reset;
@@ -0,0 +1,104 @@
+// backend/services/notifications/index.js
+//
+// Pluggable notification transports, one per external channel. Every
+// transport exposes:
+//   send(message) -> { id }
+// where message is { to, text } for sms, { to, subject, text } for email and
+// { subscription, title, body, data } for push. Failed sends throw; errors
+// with retryable === false aren't retried, and push errors with expired set
+// mean the subscription is gone.
+// Select transports with SMS_TRANSPORT (http), EMAIL_TRANSPORT (smtp) and
+// PUSH_TRANSPORT (webpush). NOTIFICATION_TRANSPORT sets all three at once,
+// e.g. fake in tests. Channels without one use the log transport.
+
+const createLogTransport = require('./logTransport');
+const createFakeTransport = require('./fakeTransport');
+
+const CHANNELS = Object.freeze(['sms', 'email', 'push']);
+
+const transports = {
+  sms: {
+    http: () => require('./smsGatewayTransport')({
+      url: process.env.SMS_GATEWAY_URL,
+      apiKey: process.env.SMS_GATEWAY_API_KEY,
+      senderId: process.env.SMS_SENDER_ID,
+      timeout: parseInt(process.env.SMS_GATEWAY_TIMEOUT_MS) || 10000
+    })
+  },
+  email: {
+    smtp: () => require('./smtpTransport')({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD,
+      from: process.env.EMAIL_FROM || 'MsaadaExpress <no-reply@msaadaexpress.com>'
+    })
+  },
+  push: {
+    webpush: () => require('./webPushTransport')({
+      publicKey: process.env.VAPID_PUBLIC_KEY,
+      privateKey: process.env.VAPID_PRIVATE_KEY,
+      subject: process.env.VAPID_SUBJECT || 'mailto:support@msaadaexpress.com'
+    })
+  }
+};
+
+CHANNELS.forEach(channel => {
+  transports[channel].log = () => createLogTransport(channel);
+  transports[channel].fake = () => createFakeTransport(channel);
+});
+
+// Transports in use, keyed by channel
+const selected = new Map();
+
+/**
+ * Get the configured transport of a channel
+ * @param {String} channel sms, email or push
+ * @returns {Object} Transport
+ */
+const getTransport = (channel) => {
+  if (!selected.has(channel)) {
+    if (!transports[channel]) {
+      throw new Error(`Unknown notification channel: ${channel}. Available: ${CHANNELS.join(', ')}`);
+    }
+
+    const name = process.env[`${channel.toUpperCase()}_TRANSPORT`]
+      || process.env.NOTIFICATION_TRANSPORT
+      || 'log';
+
+    if (!transports[channel][name]) {
+      throw new Error(`Unknown ${channel} transport: ${name}. Available: ${Object.keys(transports[channel]).join(', ')}`);
+    }
+
+    selected.set(channel, transports[channel][name]());
+    console.log(`[notifications] Using ${name} transport for ${channel}`);
+  }
+
+  return selected.get(channel);
+};
+
+/**
+ * Register an additional transport of a channel under a name
+ * @param {String} channel sms, email or push
+ * @param {String} name Value of <CHANNEL>_TRANSPORT that selects it
+ * @param {Function} factory Returns the transport
+ */
+const registerTransport = (channel, name, factory) => {
+  if (!transports[channel]) {
+    throw new Error(`Unknown notification channel: ${channel}. Available: ${CHANNELS.join(', ')}`);
+  }
+
+  transports[channel][name] = factory;
+};
+
+module.exports = {
+  CHANNELS,
+  getTransport,
+  registerTransport,
+  // Outbox of the fake transport, for tests
+  fakeOutbox: {
+    getSent: createFakeTransport.getSent,
+    failNext: createFakeTransport.failNext,
+    reset: createFakeTransport.reset
+  }
+};
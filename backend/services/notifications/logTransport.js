@@ -0,0 +1,20 @@
+// backend/services/notifications/logTransport.js
+
+/**
+ * Writes messages to the console instead of sending them. Used for channels
+ * that aren't configured, so development setups still show what would go out.
+ * @param {String} channel sms, email or push
+ * @returns {Object} Transport
+ */
+module.exports = (channel) => ({
+  name: 'log',
+
+  async send(message) {
+    const to = message.to || message.subscription?.endpoint;
+    const text = message.text || message.body;
+
+    console.log(`🔔 [notifications] ${channel} to ${to}: ${message.subject || message.title || ''} ${text}`.replace(/\s+/g, ' '));
+
+    return { id: null };
+  }
+});
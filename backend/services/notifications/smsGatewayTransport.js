@@ -0,0 +1,45 @@
+// backend/services/notifications/smsGatewayTransport.js
+
+/**
+ * SMS through an HTTP gateway. Messages are POSTed as JSON
+ * { to, message, from } with the API key as a bearer token, which most
+ * gateways accept directly or through a small relay.
+ * @param {Object} options Options
+ * @param {String} options.url Endpoint that sends a message
+ * @param {String} options.apiKey API key of the account
+ * @param {String} options.senderId Sender name or short code (optional)
+ * @param {Number} options.timeout Request timeout in milliseconds
+ * @returns {Object} SMS transport
+ */
+module.exports = ({ url, apiKey, senderId, timeout }) => {
+  if (!url) {
+    throw new Error('SMS_GATEWAY_URL is required for the http SMS transport');
+  }
+
+  return {
+    name: 'http',
+
+    async send({ to, text }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({ to, message: text, from: senderId }),
+        signal: AbortSignal.timeout(timeout)
+      });
+
+      if (!response.ok) {
+        const error = new Error(`SMS gateway request failed with status ${response.status}`);
+        // Rejected messages fail the same way every time; overload and outages pass
+        error.retryable = response.status === 429 || response.status >= 500;
+        throw error;
+      }
+
+      const body = await response.json().catch(() => ({}));
+
+      return { id: body.id || body.messageId || null };
+    }
+  };
+};
@@ -0,0 +1,41 @@
+// backend/services/notifications/smtpTransport.js
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Email over SMTP
+ * @param {Object} options Options
+ * @param {String} options.host SMTP server
+ * @param {Number} options.port SMTP port (465 uses TLS from the start)
+ * @param {String} options.user Login (optional)
+ * @param {String} options.password Password (optional)
+ * @param {String} options.from Sender address
+ * @returns {Object} Email transport
+ */
+module.exports = ({ host, port, user, password, from }) => {
+  if (!host) {
+    throw new Error('SMTP_HOST is required for the smtp email transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: user ? { user, pass: password } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ to, subject, text }) {
+      try {
+        const info = await transporter.sendMail({ from, to, subject, text });
+        return { id: info.messageId };
+      } catch (error) {
+        // 5xx replies reject the message itself (e.g. unknown mailbox)
+        error.retryable = !(error.responseCode >= 500);
+        throw error;
+      }
+    }
+  };
+};
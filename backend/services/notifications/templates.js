@@ -0,0 +1,139 @@
+// backend/services/notifications/templates.js
+//
+// Wording of every notification, per type and recipient ('user' for patients,
+// 'provider'). title and message are used by the in-app inbox and push; SMS
+// and email fall back to them unless the template has its own sms text or
+// email { subject, text }. {{name}} placeholders are filled from the variables
+// passed to render; missing ones become empty.
+
+const templates = {
+  NEW_TRIP_REQUEST: {
+    provider: {
+      title: 'New emergency request',
+      message: '{{patientName}} needs an ambulance at {{pickupAddress}}. Respond before the offer expires.',
+      sms: 'MsaadaExpress: new emergency request for {{ambulanceName}} at {{pickupAddress}}. Open the dashboard to accept.'
+    }
+  },
+  TRIP_ACCEPTED: {
+    user: {
+      title: 'Ambulance on its way',
+      message: '{{ambulanceName}} from {{providerName}} accepted your request and is on its way.',
+      email: {
+        subject: 'Your ambulance is on its way',
+        text: 'Hello {{patientName}},\n\n{{ambulanceName}} from {{providerName}} accepted your request and is on its way to {{pickupAddress}}.\n\nMsaadaExpress'
+      }
+    }
+  },
+  AMBULANCE_ARRIVING: {
+    user: {
+      title: 'Ambulance arriving soon',
+      message: '{{ambulanceName}} will arrive in about {{etaText}}.'
+    }
+  },
+  TRIP_ARRIVED: {
+    user: {
+      title: 'Ambulance has arrived',
+      message: '{{ambulanceName}} is at the pickup location.'
+    }
+  },
+  TRIP_PICKED_UP: {
+    user: {
+      title: 'On the way to hospital',
+      message: 'The patient is on board {{ambulanceName}} and on the way to {{destinationAddress}}.'
+    }
+  },
+  TRIP_AT_HOSPITAL: {
+    user: {
+      title: 'Arrived at hospital',
+      message: '{{ambulanceName}} has arrived at {{destinationAddress}}.'
+    }
+  },
+  TRIP_COMPLETED: {
+    user: {
+      title: 'Trip completed',
+      message: 'Your trip with {{providerName}} is complete. {{fare}} Please take a moment to rate it.',
+      email: {
+        subject: 'Your MsaadaExpress trip is complete',
+        text: 'Hello {{patientName}},\n\nYour trip with {{providerName}} is complete. {{fare}} Please take a moment to rate it in the app.\n\nMsaadaExpress'
+      }
+    },
+    provider: {
+      title: 'Trip completed',
+      message: 'The trip of {{patientName}} with {{ambulanceName}} was marked completed.'
+    }
+  },
+  TRIP_CANCELLED: {
+    user: {
+      title: 'Trip cancelled',
+      message: 'Your ambulance request was cancelled. {{reason}}'
+    },
+    provider: {
+      title: 'Trip cancelled',
+      message: 'The trip of {{patientName}} with {{ambulanceName}} was cancelled. {{reason}}'
+    }
+  },
+  PAYMENT_RECEIVED: {
+    user: {
+      title: 'Payment received',
+      message: 'We received your {{method}} payment of {{amount}} for your trip with {{providerName}}. {{receipt}}'
+    },
+    provider: {
+      title: 'Payment received',
+      message: '{{method}} payment of {{amount}} received for the trip of {{patientName}}. {{receipt}}'
+    }
+  },
+  PAYMENT_FAILED: {
+    user: {
+      title: 'Payment not completed',
+      message: 'Your {{method}} payment of {{amount}} did not go through. {{reason}} Please try again from your trip page.'
+    }
+  },
+  EMERGENCY_ALERT: {
+    provider: {
+      title: 'Emergency nearby',
+      message: 'Emergency near {{pickupAddress}}: {{details}}'
+    }
+  }
+};
+
+const interpolate = (text, variables) => text
+  .replace(/{{\s*(\w+)\s*}}/g, (_, name) => {
+    const value = variables[name];
+    return value === undefined || value === null ? '' : String(value);
+  })
+  .replace(/[ \t]+/g, ' ')
+  .trim();
+
+/**
+ * Render a notification
+ * @param {String} type Notification type, e.g. TRIP_ACCEPTED
+ * @param {String} recipientType user or provider
+ * @param {Object} variables Values of the placeholders
+ * @returns {Object|null} { title, message, sms, email: { subject, text } },
+ *   null when the recipient isn't told about this type
+ */
+const render = (type, recipientType, variables = {}) => {
+  const template = templates[type] && templates[type][recipientType];
+
+  if (!template) {
+    return null;
+  }
+
+  const title = interpolate(template.title, variables);
+  const message = interpolate(template.message, variables);
+
+  return {
+    title,
+    message,
+    sms: template.sms ? interpolate(template.sms, variables) : `MsaadaExpress: ${message}`,
+    email: {
+      subject: template.email ? interpolate(template.email.subject, variables) : title,
+      text: template.email ? interpolate(template.email.text, variables) : message
+    }
+  };
+};
+
+module.exports = {
+  NOTIFICATION_TYPES: Object.freeze(Object.keys(templates)),
+  render
+};
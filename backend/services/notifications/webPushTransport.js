@@ -0,0 +1,37 @@
+// backend/services/notifications/webPushTransport.js
+
+const webPush = require('web-push');
+
+/**
+ * Browser push notifications with VAPID keys (generate a pair with
+ * `npx web-push generate-vapid-keys`)
+ * @param {Object} options Options
+ * @param {String} options.publicKey VAPID public key, also given to browsers to subscribe
+ * @param {String} options.privateKey VAPID private key
+ * @param {String} options.subject mailto: or https: contact of the sender
+ * @returns {Object} Push transport
+ */
+module.exports = ({ publicKey, privateKey, subject }) => {
+  if (!publicKey || !privateKey) {
+    throw new Error('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are required for the webpush transport');
+  }
+
+  webPush.setVapidDetails(subject, publicKey, privateKey);
+
+  return {
+    name: 'webpush',
+    publicKey,
+
+    async send({ subscription, title, body, data }) {
+      try {
+        await webPush.sendNotification(subscription, JSON.stringify({ title, body, data }));
+        return { id: null };
+      } catch (error) {
+        // The browser unsubscribed or the subscription ran out
+        error.expired = error.statusCode === 404 || error.statusCode === 410;
+        error.retryable = !error.expired && !(error.statusCode >= 400 && error.statusCode < 500 && error.statusCode !== 429);
+        throw error;
+      }
+    }
+  };
+};
@@ -0,0 +1,170 @@
+// backend/services/patientService.js
+//
+// Patient profiles: who the patient is, their medical information and who to
+// call in an emergency. Ambulance requests the patient makes for themselves
+// are pre-filled from it, so the crew knows about allergies and conditions
+// without the patient typing them in during an emergency.
+
+const Patient = require('../models/patientModel');
+const { serviceError } = require('../utils/serviceErrors');
+
+const TEXT_FIELDS = ['name', 'phone'];
+const LIST_FIELDS = ['chronicConditions', 'allergies'];
+
+/**
+ * Clean a list entered as an array or as comma separated text
+ */
+const toList = (value) => {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  const cleaned = items.map(item => String(item || '').trim()).filter(Boolean);
+
+  // Keep the first spelling of entries repeated in another case
+  return cleaned.filter((item, index) => (
+    cleaned.findIndex(other => other.toLowerCase() === item.toLowerCase()) === index
+  ));
+};
+
+/**
+ * Get a patient's profile. Patients without one get an unsaved profile
+ * filled in from their sign-in details.
+ * @param {String} firebaseId Firebase user ID
+ * @param {Object} defaults { name, email, phone } from the sign-in token
+ * @returns {Promise<Object>} Profile
+ */
+const getProfile = async (firebaseId, defaults = {}) => {
+  const patient = await Patient.findOne({ firebaseId });
+
+  if (patient) {
+    return patient;
+  }
+
+  return new Patient({
+    firebaseId,
+    name: defaults.name || undefined,
+    email: defaults.email || undefined,
+    phone: defaults.phone || undefined
+  });
+};
+
+/**
+ * Create or update a patient's profile. Fields left out are kept.
+ * @param {String} firebaseId Firebase user ID
+ * @param {Object} data { name, phone, dateOfBirth, gender, bloodType, chronicConditions,
+ *   allergies, medications, emergencyContacts }
+ * @param {Object} defaults { name, email, phone } from the sign-in token, for new profiles
+ * @returns {Promise<Object>} Saved profile
+ */
+const updateProfile = async (firebaseId, data = {}, defaults = {}) => {
+  const patient = await getProfile(firebaseId, defaults);
+
+  for (const field of TEXT_FIELDS) {
+    if (data[field] !== undefined) {
+      patient[field] = String(data[field] || '').trim() || undefined;
+    }
+  }
+
+  for (const field of LIST_FIELDS) {
+    if (data[field] !== undefined) {
+      patient[field] = toList(data[field]);
+    }
+  }
+
+  // Empty values clear the optional choices
+  for (const field of ['gender', 'bloodType']) {
+    if (data[field] !== undefined) {
+      patient[field] = data[field] || undefined;
+    }
+  }
+
+  if (data.dateOfBirth !== undefined) {
+    const dateOfBirth = data.dateOfBirth ? new Date(data.dateOfBirth) : null;
+
+    if (dateOfBirth && (isNaN(dateOfBirth) || dateOfBirth > new Date())) {
+      throw serviceError('Date of birth must be a date in the past', 400);
+    }
+
+    patient.dateOfBirth = dateOfBirth || undefined;
+  }
+
+  if (data.medications !== undefined) {
+    if (!Array.isArray(data.medications)) {
+      throw serviceError('medications must be a list', 400);
+    }
+
+    patient.medications = data.medications
+      .map(medication => (typeof medication === 'string' ? { name: medication } : medication || {}))
+      .filter(medication => medication.name && String(medication.name).trim());
+  }
+
+  if (data.emergencyContacts !== undefined) {
+    if (!Array.isArray(data.emergencyContacts)) {
+      throw serviceError('emergencyContacts must be a list', 400);
+    }
+
+    patient.emergencyContacts = data.emergencyContacts.map(contact => ({
+      name: contact?.name,
+      relationship: contact?.relationship,
+      phone: contact?.phone
+    }));
+  }
+
+  try {
+    await patient.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(fieldError => fieldError.message);
+      throw serviceError([...new Set(messages)].join('. '), 400);
+    }
+    throw error;
+  }
+
+  console.log(`[patientService] Profile of ${firebaseId} saved`);
+
+  return patient;
+};
+
+/**
+ * Patient details of a new trip. For patients requesting for themselves,
+ * whatever they left out comes from their profile; what they entered wins.
+ * @param {String} firebaseId Firebase user ID of the requester
+ * @param {Object} patientDetails Details sent with the request
+ * @param {Object} options { forSelf: false when requesting for someone else }
+ * @returns {Promise<Object>} Trip patient details
+ */
+const getTripPatientDetails = async (firebaseId, patientDetails = {}, options = {}) => {
+  const details = { ...patientDetails };
+
+  if (options.forSelf === false) {
+    return details;
+  }
+
+  const patient = await Patient.findOne({ firebaseId });
+
+  if (!patient) {
+    return details;
+  }
+
+  const joined = (items) => (items.length ? items.join(', ') : undefined);
+
+  return {
+    ...details,
+    name: details.name || patient.name,
+    phone: details.phone || patient.phone,
+    medicalConditions: details.medicalConditions || joined(patient.chronicConditions),
+    allergies: details.allergies || joined(patient.allergies),
+    medications: details.medications || joined(patient.medications.map(medication => (
+      medication.dosage ? `${medication.name} (${medication.dosage})` : medication.name
+    ))),
+    bloodType: details.bloodType || patient.bloodType,
+    dateOfBirth: details.dateOfBirth || patient.dateOfBirth,
+    emergencyContacts: details.emergencyContacts?.length
+      ? details.emergencyContacts
+      : patient.emergencyContacts.map(({ name, relationship, phone }) => ({ name, relationship, phone }))
+  };
+};
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  getTripPatientDetails
+};
@@ -0,0 +1,749 @@
+// backend/services/paymentService.js
+//
+// Paying for trips. Once a trip is completed and its fare is known the
+// patient pays by M-Pesa (an STK push prompt on their phone), cash handed to
+// the crew or insurance. Each attempt is a Payment; the trip's paymentStatus
+// follows the latest one. M-Pesa results arrive through Daraja's callback,
+// with status queries as a fallback for callbacks that never come.
+
+const mongoose = require('mongoose');
+const Payment = require('../models/paymentModel');
+const Trip = require('../models/tripModel');
+const tripEventService = require('./tripEventService');
+const notificationService = require('./notificationService');
+const { getMpesaGateway } = require('./payments');
+const { ACTOR } = require('../../shared/tripLifecycle');
+const { normalizeInsurer } = require('../../shared/insurers');
+const { serviceError } = require('../utils/serviceErrors');
+const { parsePeriod } = require('../utils/periodUtils');
+
+const METHODS = ['MPESA', 'CASH', 'INSURANCE'];
+
+// Share of every paid fare kept by the platform
+const COMMISSION_PERCENT = parseFloat(process.env.PLATFORM_COMMISSION_PERCENT) || 10;
+
+// M-Pesa payments without a callback after this long are checked with a status query...
+const MPESA_QUERY_AFTER_MS = (parseInt(process.env.MPESA_QUERY_AFTER_SECONDS) || 90) * 1000;
+
+// ...and given up on when M-Pesa still has no answer after this long
+const MPESA_EXPIRE_AFTER_MS = (parseInt(process.env.MPESA_EXPIRE_AFTER_MINUTES) || 30) * 60 * 1000;
+
+// How often pending M-Pesa payments are reconciled
+const RECONCILE_INTERVAL_MS = (parseInt(process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES) || 2) * 60 * 1000;
+
+let reconciler = null;
+
+/**
+ * Convert a Kenyan phone number to the 2547XXXXXXXX form M-Pesa expects
+ * @param {String} phone e.g. 0712 345 678, +254712345678 or 254112345678
+ * @returns {String|null} Normalised number, null if it isn't a Kenyan mobile number
+ */
+const normalizeMpesaPhone = (phone) => {
+  const digits = String(phone || '').replace(/[\s\-()+]/g, '');
+  const match = digits.match(/^(?:254|0)?([17]\d{8})$/);
+
+  return match ? `254${match[1]}` : null;
+};
+
+/**
+ * Check the actor may see and pay for a trip
+ */
+const assertTripAccess = (trip, actor, actorId) => {
+  if (actor === ACTOR.ADMIN) {
+    return;
+  }
+
+  const allowed = actor === ACTOR.PROVIDER
+    ? trip.providerId && actorId && trip.providerId.toString() === actorId.toString()
+    : trip.userId === actorId;
+
+  if (!allowed) {
+    throw serviceError('Not authorized to access payments of this trip', 403);
+  }
+};
+
+/**
+ * Tell everyone involved about a payment that changed: the trip's
+ * paymentStatus, the timeline, the trip room and the patient's inbox
+ */
+const publishPayment = async (payment, options = {}) => {
+  const { actor = ACTOR.SYSTEM, actorId = null, source = 'SYSTEM', socketService = null } = options;
+  const trip = await Trip.findById(payment.tripId);
+
+  if (!trip) {
+    return;
+  }
+
+  // A trip that was paid stays paid, whatever happens to later attempts
+  if (trip.paymentStatus !== 'PAID') {
+    trip.paymentStatus = payment.status === 'PAID' ? 'PAID' : payment.status === 'PENDING' ? 'PENDING' : 'FAILED';
+    trip.paymentMethod = payment.method;
+    await trip.save();
+  }
+
+  await tripEventService.recordEvent(trip._id, 'PAYMENT', {
+    actor,
+    actorId,
+    source,
+    newValue: { method: payment.method, status: payment.status, amount: payment.amount },
+    note: payment.mpesa?.receiptNumber || payment.reference || payment.failureReason || undefined
+  });
+
+  if (socketService) {
+    socketService.emitTripPaymentUpdated(trip, payment);
+  }
+
+  if (payment.status === 'PAID' || payment.status === 'FAILED') {
+    notificationService.notifyPayment(trip, payment, { socketService })
+      .catch(error => console.error(`[paymentService] Error notifying payment ${payment._id}:`, error));
+  }
+};
+
+/**
+ * Find the payment an idempotency key was used for
+ * @returns {Promise<Object|null>} The earlier payment if it was for the same trip and method
+ */
+const findIdempotentPayment = async (idempotencyKey, tripId, method) => {
+  const existing = await Payment.findOne({ idempotencyKey });
+
+  if (!existing) {
+    return null;
+  }
+
+  if (existing.tripId.toString() !== tripId.toString() || existing.method !== method) {
+    throw serviceError('This idempotency key was already used for a different payment', 422);
+  }
+
+  return existing;
+};
+
+/**
+ * Whether a save failed because the trip already has a paid payment
+ * @param {Error} error Error thrown by the save
+ * @param {String} status Status the payment was saved with
+ * @returns {Boolean}
+ */
+const isAlreadyPaidError = (error, status) => (
+  error.code === 11000 && Boolean(error.keyPattern?.tripId) && status === 'PAID'
+);
+
+/**
+ * Start paying for a trip
+ * @param {String} tripId Trip ID
+ * @param {Object} details Payment details
+ * @param {String} details.method MPESA, CASH or INSURANCE
+ * @param {String} details.phone M-Pesa number (default: the patient's phone)
+ * @param {Object} details.insurance { insurer, memberNumber } for INSURANCE
+ * @param {String} details.reference Cash receipt or claim number (optional)
+ * @param {Object} options Options
+ * @param {String} options.actor ACTOR.PATIENT or ACTOR.PROVIDER
+ * @param {String} options.actorId Firebase UID for patients, provider ID for providers
+ * @param {String} options.idempotencyKey Key of the client's request (optional)
+ * @param {Object} options.socketService Socket service used for events (optional)
+ * @returns {Promise<Object>} { payment, created } - created is false when the
+ *   idempotency key matched an earlier request, which is returned as it is
+ */
+const initiatePayment = async (tripId, details, options = {}) => {
+  const { actor, actorId, idempotencyKey = null, socketService = null } = options;
+  const method = (details.method || '').toUpperCase();
+
+  if (!METHODS.includes(method)) {
+    throw serviceError(`Payment method must be one of ${METHODS.join(', ')}`, 400);
+  }
+
+  const trip = await Trip.findById(tripId);
+
+  if (!trip) {
+    throw serviceError('Trip not found', 404);
+  }
+
+  assertTripAccess(trip, actor, actorId);
+
+  // A retried request gets the payment it started, even if the trip has moved on since
+  if (idempotencyKey) {
+    const existing = await findIdempotentPayment(idempotencyKey, tripId, method);
+    if (existing) {
+      return { payment: existing, created: false };
+    }
+  }
+
+  if (trip.fare === undefined || trip.fare === null) {
+    throw serviceError('This trip has no fare yet; it can be paid once it is completed', 409);
+  }
+
+  if (trip.paymentStatus === 'PAID') {
+    throw serviceError('This trip has already been paid', 409);
+  }
+
+  // An M-Pesa prompt can't be withdrawn from the patient's phone, so wait for its answer
+  const pending = await Payment.find({ tripId: trip._id, status: 'PENDING' });
+
+  if (pending.some(payment => payment.method === 'MPESA')) {
+    throw serviceError('An M-Pesa payment for this trip is waiting for an answer', 409);
+  }
+
+  const payment = new Payment({
+    tripId: trip._id,
+    userId: trip.userId,
+    providerId: trip.providerId,
+    method,
+    amount: trip.fare,
+    currency: trip.fareDetails?.currency || 'KES',
+    idempotencyKey: idempotencyKey || undefined,
+    reference: details.reference || undefined,
+    initiatedBy: { actor, id: actorId ? actorId.toString() : undefined }
+  });
+
+  if (method === 'MPESA') {
+    payment.phone = normalizeMpesaPhone(details.phone || trip.patientDetails?.phone);
+
+    if (!payment.phone) {
+      throw serviceError('A Kenyan mobile number is required for M-Pesa, e.g. 0712345678', 400);
+    }
+  }
+
+  if (method === 'INSURANCE') {
+    // Without details the trip's own cover is claimed, under its pre-authorisation
+    const { insurer, memberNumber } = details.insurance?.insurer ? details.insurance : (trip.insurance || {});
+
+    if (!insurer || !memberNumber) {
+      throw serviceError('Insurer and member number are required for insurance payments', 400);
+    }
+
+    payment.insurance = { insurer: normalizeInsurer(insurer), memberNumber };
+    payment.reference = payment.reference || trip.insurance?.preAuthorization?.reference || undefined;
+  }
+
+  // Cash the crew reports collecting is paid; cash the patient promises waits for the crew
+  if (method === 'CASH' && actor === ACTOR.PROVIDER) {
+    payment.status = 'PAID';
+    payment.paidAt = new Date();
+    payment.settledBy = { actor, id: actorId.toString() };
+  }
+
+  try {
+    await payment.save();
+  } catch (error) {
+    // Two requests with the same key raced; the other one won
+    if (error.code === 11000 && idempotencyKey && error.keyPattern?.idempotencyKey) {
+      return { payment: await findIdempotentPayment(idempotencyKey, tripId, method), created: false };
+    }
+    // The trip was paid another way since the check above
+    if (isAlreadyPaidError(error, payment.status)) {
+      throw serviceError('This trip has already been paid', 409);
+    }
+    // Another M-Pesa prompt for the trip was started since the check above
+    if (error.code === 11000 && error.keyPattern?.tripId) {
+      throw serviceError('An M-Pesa payment for this trip is waiting for an answer', 409);
+    }
+    throw error;
+  }
+
+  // Only one way of paying is open at a time
+  await Payment.updateMany(
+    { _id: { $in: pending.map(item => item._id) } },
+    { status: 'CANCELLED', failureReason: `Replaced by a ${method} payment` }
+  );
+
+  if (method === 'MPESA') {
+    try {
+      const result = await getMpesaGateway().stkPush({
+        phone: payment.phone,
+        amount: payment.amount,
+        reference: `MSX${trip._id.toString().slice(-8).toUpperCase()}`,
+        description: 'Ambulance trip'
+      });
+
+      payment.mpesa = {
+        merchantRequestId: result.merchantRequestId,
+        checkoutRequestId: result.checkoutRequestId
+      };
+      await payment.save();
+
+      console.log(`[paymentService] STK push ${result.checkoutRequestId} sent for trip ${trip._id}`);
+    } catch (error) {
+      console.error(`[paymentService] STK push for trip ${trip._id} failed:`, error.message);
+
+      payment.status = 'FAILED';
+      payment.failureReason = 'M-Pesa could not be reached';
+      await payment.save();
+      await publishPayment(payment, { actor, actorId, source: 'REST', socketService });
+
+      throw serviceError('M-Pesa could not be reached. Please try again or pay another way.', 502);
+    }
+  }
+
+  console.log(`[paymentService] ${method} payment ${payment._id} for trip ${trip._id} is ${payment.status}`);
+
+  await publishPayment(payment, { actor, actorId, source: 'REST', socketService });
+
+  return { payment, created: true };
+};
+
+/**
+ * Apply M-Pesa's answer to a pending payment. Answers for payments that are
+ * already settled are ignored, so duplicate callbacks are harmless.
+ * @param {Object} payment Payment document
+ * @param {Object} result { resultCode, resultDesc, receiptNumber, amount, transactionDate }
+ * @param {Object} options { socketService }
+ * @returns {Promise<Boolean>} Whether the payment changed
+ */
+const applyMpesaResult = async (payment, result, options = {}) => {
+  const paid = result.resultCode === 0;
+  const update = {
+    status: paid ? 'PAID' : 'FAILED',
+    paidAt: paid ? new Date() : undefined,
+    failureReason: paid ? undefined : result.resultDesc,
+    'mpesa.resultCode': result.resultCode,
+    'mpesa.resultDesc': result.resultDesc,
+    'mpesa.receiptNumber': result.receiptNumber,
+    'mpesa.amountPaid': result.amount,
+    'mpesa.transactionDate': result.transactionDate,
+    'mpesa.callbackReceivedAt': options.fromCallback ? new Date() : undefined
+  };
+
+  let updated;
+
+  try {
+    updated = await Payment.findOneAndUpdate({ _id: payment._id, status: 'PENDING' }, update, { new: true });
+  } catch (error) {
+    if (!isAlreadyPaidError(error, update.status)) {
+      throw error;
+    }
+
+    // The money moved but the trip was settled another way meanwhile. Keep the
+    // receipt so the reconciliation report lists it as a refund to make.
+    console.error(`[paymentService] M-Pesa payment ${payment._id} was paid after its trip ${payment.tripId} was already paid`);
+
+    updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'PENDING' },
+      { ...update, status: 'FAILED', paidAt: undefined, failureReason: 'Trip was already paid; refund due' },
+      { new: true }
+    );
+  }
+
+  if (!updated) {
+    return false;
+  }
+
+  console.log(`[paymentService] M-Pesa payment ${updated._id} is ${updated.status} (${result.resultCode} ${result.resultDesc})`);
+
+  await publishPayment(updated, { socketService: options.socketService });
+
+  return true;
+};
+
+/**
+ * Handle a result Daraja posts to the callback URL. The callback only says
+ * which payment to look at: its result is confirmed with a status query, so a
+ * forged callback can't mark a payment paid.
+ * @param {Object} body Callback body
+ * @param {Object} options { socketService }
+ * @returns {Promise<Boolean>} Whether a pending payment was settled
+ */
+const handleMpesaCallback = async (body, options = {}) => {
+  const gateway = getMpesaGateway();
+  const result = gateway.parseCallback(body);
+  const payment = await Payment.findOne({ 'mpesa.checkoutRequestId': result.checkoutRequestId });
+
+  if (!payment) {
+    console.warn(`[paymentService] M-Pesa callback for unknown request ${result.checkoutRequestId}`);
+    return false;
+  }
+
+  if (payment.status !== 'PENDING') {
+    console.log(`[paymentService] Ignoring repeated M-Pesa callback for payment ${payment._id}`);
+    return false;
+  }
+
+  const confirmed = await gateway.queryStkPush(result.checkoutRequestId);
+
+  // M-Pesa hasn't answered, whatever the callback says; the reconciler asks again later
+  if (!confirmed) {
+    console.warn(`[paymentService] M-Pesa has no result for payment ${payment._id} yet, ignoring its callback`);
+    return false;
+  }
+
+  if (confirmed.resultCode !== result.resultCode) {
+    console.warn(`[paymentService] M-Pesa callback for payment ${payment._id} says ${result.resultCode}, the status query ${confirmed.resultCode}`);
+  }
+
+  // Receipt details only come with the callback; keep them when both agree it was paid
+  const details = confirmed.resultCode === 0 && result.resultCode === 0 ? result : {};
+  const applied = await applyMpesaResult(payment, { ...details, ...confirmed }, { ...options, fromCallback: true });
+
+  if (!applied) {
+    console.log(`[paymentService] Ignoring repeated M-Pesa callback for payment ${payment._id}`);
+  }
+
+  return applied;
+};
+
+/**
+ * Ask M-Pesa about a pending payment whose callback hasn't come
+ * @param {Object} payment Payment document
+ * @param {Object} options { socketService }
+ * @returns {Promise<Object>} The payment, updated if M-Pesa had an answer
+ */
+const refreshMpesaPayment = async (payment, options = {}) => {
+  if (payment.method !== 'MPESA' || payment.status !== 'PENDING' || !payment.mpesa?.checkoutRequestId) {
+    return payment;
+  }
+
+  const result = await getMpesaGateway().queryStkPush(payment.mpesa.checkoutRequestId);
+
+  if (result) {
+    await applyMpesaResult(payment, result, options);
+  } else if (Date.now() - payment.createdAt.getTime() > MPESA_EXPIRE_AFTER_MS) {
+    await applyMpesaResult(payment, { resultCode: -1, resultDesc: 'No answer from M-Pesa' }, options);
+  }
+
+  return Payment.findById(payment._id);
+};
+
+/**
+ * Settle a pending cash or insurance payment: the crew received the cash, or
+ * the insurer paid or rejected the claim
+ * @param {String} paymentId Payment ID
+ * @param {Object} outcome { status: PAID | FAILED, reference, reason }
+ * @param {Object} options { actor, actorId, socketService }
+ * @returns {Promise<Object>} Settled payment
+ */
+const settlePayment = async (paymentId, outcome, options = {}) => {
+  const { actor, actorId, socketService = null } = options;
+  const current = await Payment.findById(paymentId);
+
+  if (!current) {
+    throw serviceError('Payment not found', 404);
+  }
+
+  if (actor === ACTOR.PROVIDER && current.providerId.toString() !== actorId.toString()) {
+    throw serviceError('Not authorized to settle this payment', 403);
+  }
+
+  if (current.method === 'MPESA') {
+    throw serviceError('M-Pesa payments are settled by M-Pesa', 400);
+  }
+
+  if (current.status !== 'PENDING') {
+    throw serviceError(`This payment is already ${current.status.toLowerCase()}`, 409);
+  }
+
+  if (!['PAID', 'FAILED'].includes(outcome.status)) {
+    throw serviceError('Status must be PAID or FAILED', 400);
+  }
+
+  const update = {
+    status: outcome.status,
+    settledBy: { actor, id: actorId ? actorId.toString() : undefined }
+  };
+  if (outcome.reference) update.reference = outcome.reference;
+
+  if (outcome.status === 'PAID') {
+    update.paidAt = new Date();
+  } else {
+    update.failureReason = outcome.reason || (current.method === 'INSURANCE' ? 'Claim rejected' : 'Cash not received');
+  }
+
+  // Only the first of two settlements racing each other applies
+  let payment;
+
+  try {
+    payment = await Payment.findOneAndUpdate({ _id: current._id, status: 'PENDING' }, update, { new: true });
+  } catch (error) {
+    if (isAlreadyPaidError(error, update.status)) {
+      throw serviceError('This trip has already been paid', 409);
+    }
+    throw error;
+  }
+
+  if (!payment) {
+    const settled = await Payment.findById(current._id).select('status');
+    throw serviceError(`This payment is already ${(settled?.status || 'settled').toLowerCase()}`, 409);
+  }
+
+  await publishPayment(payment, { actor, actorId, source: 'REST', socketService });
+
+  return payment;
+};
+
+/**
+ * Get the payments of a trip, newest first
+ * @param {String} tripId Trip ID
+ * @param {Object} options { actor, actorId }
+ * @returns {Promise<Object>} { paymentStatus, fare, fareDetails, payments }
+ */
+const getTripPayments = async (tripId, options = {}) => {
+  const trip = await Trip.findById(tripId).select('userId providerId fare fareDetails paymentStatus paymentMethod');
+
+  if (!trip) {
+    throw serviceError('Trip not found', 404);
+  }
+
+  assertTripAccess(trip, options.actor, options.actorId);
+
+  const payments = await Payment.find({ tripId }).sort({ createdAt: -1 }).select('-idempotencyKey');
+
+  return {
+    paymentStatus: trip.paymentStatus,
+    paymentMethod: trip.paymentMethod,
+    fare: trip.fare,
+    fareDetails: trip.fareDetails,
+    payments
+  };
+};
+
+/**
+ * Get a payment of a trip the actor has access to, asking M-Pesa for news
+ * if it's still pending
+ * @param {String} paymentId Payment ID
+ * @param {Object} options { actor, actorId, socketService }
+ * @returns {Promise<Object>} Payment
+ */
+const refreshPayment = async (paymentId, options = {}) => {
+  const payment = await Payment.findById(paymentId);
+
+  if (!payment) {
+    throw serviceError('Payment not found', 404);
+  }
+
+  assertTripAccess(payment, options.actor, options.actorId);
+
+  try {
+    return await refreshMpesaPayment(payment, options);
+  } catch (error) {
+    console.error(`[paymentService] Status query of payment ${payment._id} failed:`, error.message);
+    return payment;
+  }
+};
+
+/**
+ * Get a provider's payments, newest first
+ * @param {String} providerId Provider ID
+ * @param {Object} filters { status, page, limit }
+ * @returns {Promise<Object>} { payments, pagination }
+ */
+const listProviderPayments = async (providerId, { status, page = 1, limit = 20 } = {}) => {
+  const query = { providerId };
+  if (status) query.status = status;
+
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+  const [payments, total] = await Promise.all([
+    Payment.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .select('-idempotencyKey')
+      .populate('tripId', 'patientDetails requestTime completionTime'),
+    Payment.countDocuments(query)
+  ]);
+
+  return {
+    payments,
+    pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+  };
+};
+
+/**
+ * Check a provider ID from the query string before it reaches a query
+ * @param {*} providerId Provider ID
+ */
+const assertProviderId = (providerId) => {
+  if (!mongoose.isValidObjectId(providerId)) {
+    throw serviceError('Invalid provider ID', 400);
+  }
+};
+
+/**
+ * Summarise what providers earned in a period. Cash stays with the provider;
+ * M-Pesa and insurance money is collected by the platform and paid out minus
+ * the commission on every trip, so payable may be negative for providers
+ * mostly paid in cash.
+ * @param {Object} filters { providerId (optional - every provider), from, to }
+ * @returns {Promise<Object>} { from, to, commissionPercent, providers: [{ providerId,
+ *   providerName, trips, gross, byMethod, collectedByProvider, collectedByPlatform, commission, payable }] }
+ */
+const getPayoutSummary = async (filters = {}) => {
+  const period = parsePeriod(filters);
+  const match = { status: 'PAID', paidAt: { $gte: period.from, $lte: period.to } };
+
+  if (filters.providerId) {
+    assertProviderId(filters.providerId);
+    match.providerId = new mongoose.Types.ObjectId(filters.providerId.toString());
+  }
+
+  const rows = await Payment.aggregate([
+    { $match: match },
+    { $group: { _id: { providerId: '$providerId', method: '$method' }, amount: { $sum: '$amount' }, trips: { $addToSet: '$tripId' } } },
+    { $lookup: { from: 'providers', localField: '_id.providerId', foreignField: '_id', as: 'provider' } }
+  ]);
+
+  const byProvider = new Map();
+
+  rows.forEach(row => {
+    const key = row._id.providerId.toString();
+
+    if (!byProvider.has(key)) {
+      byProvider.set(key, {
+        providerId: key,
+        providerName: row.provider[0]?.name || 'Unknown provider',
+        tripIds: new Set(),
+        byMethod: { MPESA: 0, CASH: 0, INSURANCE: 0 }
+      });
+    }
+
+    const summary = byProvider.get(key);
+    summary.byMethod[row._id.method] += row.amount;
+    row.trips.forEach(tripId => summary.tripIds.add(tripId.toString()));
+  });
+
+  const providers = [...byProvider.values()].map(({ tripIds, ...summary }) => {
+    const gross = summary.byMethod.MPESA + summary.byMethod.CASH + summary.byMethod.INSURANCE;
+    const commission = Math.round(gross * COMMISSION_PERCENT / 100);
+    const collectedByPlatform = summary.byMethod.MPESA + summary.byMethod.INSURANCE;
+
+    return {
+      ...summary,
+      trips: tripIds.size,
+      gross,
+      collectedByProvider: summary.byMethod.CASH,
+      collectedByPlatform,
+      commission,
+      payable: collectedByPlatform - commission
+    };
+  });
+
+  return { ...period, commissionPercent: COMMISSION_PERCENT, providers };
+};
+
+/**
+ * Compare payments with trips and M-Pesa's records for a period and list
+ * everything that needs a look
+ * @param {Object} filters { providerId (optional), from, to }
+ * @returns {Promise<Object>} { from, to, totals, issues: { unpaidTrips, stalePending,
+ *   amountMismatches, missingReceipts, refundsDue } }
+ */
+const getReconciliationReport = async (filters = {}) => {
+  const period = parsePeriod(filters);
+  if (filters.providerId) assertProviderId(filters.providerId);
+  const scope = filters.providerId ? { providerId: filters.providerId } : {};
+
+  const payments = await Payment.find({ ...scope, createdAt: { $gte: period.from, $lte: period.to } })
+    .select('-idempotencyKey')
+    .populate('tripId', 'fare paymentStatus');
+
+  const totals = {};
+  payments.forEach(payment => {
+    const key = `${payment.method}:${payment.status}`;
+    totals[key] = totals[key] || { method: payment.method, status: payment.status, count: 0, amount: 0 };
+    totals[key].count += 1;
+    totals[key].amount += payment.amount;
+  });
+
+  const staleBefore = Date.now() - MPESA_QUERY_AFTER_MS;
+  const summarize = (payment) => ({
+    paymentId: payment._id,
+    tripId: payment.tripId?._id || payment.tripId,
+    method: payment.method,
+    status: payment.status,
+    amount: payment.amount,
+    fare: payment.tripId?.fare,
+    amountPaid: payment.mpesa?.amountPaid,
+    receiptNumber: payment.mpesa?.receiptNumber,
+    createdAt: payment.createdAt
+  });
+
+  const unpaidTrips = await Trip.find({
+    ...scope,
+    status: 'COMPLETED',
+    fare: { $ne: null },
+    paymentStatus: { $ne: 'PAID' },
+    completionTime: { $gte: period.from, $lte: period.to }
+  }).select('fare paymentStatus paymentMethod completionTime providerId');
+
+  return {
+    ...period,
+    totals: Object.values(totals),
+    issues: {
+      unpaidTrips,
+      // M-Pesa payments whose callback never came
+      stalePending: payments
+        .filter(payment => payment.status === 'PENDING' && payment.method === 'MPESA' && payment.createdAt.getTime() < staleBefore)
+        .map(summarize),
+      // Paid a different amount than the fare, or M-Pesa reported a different amount than asked
+      amountMismatches: payments
+        .filter(payment => payment.status === 'PAID' && (
+          (payment.tripId?.fare !== undefined && payment.tripId?.fare !== null && payment.amount !== payment.tripId.fare)
+          || (payment.mpesa?.amountPaid !== undefined && payment.mpesa?.amountPaid !== null && payment.mpesa.amountPaid !== payment.amount)
+        ))
+        .map(summarize),
+      missingReceipts: payments
+        .filter(payment => payment.status === 'PAID' && payment.method === 'MPESA' && !payment.mpesa?.receiptNumber)
+        .map(summarize),
+      // M-Pesa took the money for a trip that had already been paid another way
+      refundsDue: payments
+        .filter(payment => payment.status === 'FAILED' && payment.method === 'MPESA' && payment.mpesa?.receiptNumber)
+        .map(summarize)
+    }
+  };
+};
+
+/**
+ * Query M-Pesa about every pending payment whose callback is overdue
+ * @param {Object} socketService Socket service used for events (optional)
+ * @returns {Promise<Number>} Number of payments checked
+ */
+const reconcilePendingPayments = async (socketService = null) => {
+  const overdue = await Payment.find({
+    method: 'MPESA',
+    status: 'PENDING',
+    'mpesa.checkoutRequestId': { $exists: true },
+    createdAt: { $lt: new Date(Date.now() - MPESA_QUERY_AFTER_MS) }
+  }).limit(50);
+
+  for (const payment of overdue) {
+    try {
+      await refreshMpesaPayment(payment, { socketService });
+    } catch (error) {
+      console.error(`[paymentService] Status query of payment ${payment._id} failed:`, error.message);
+    }
+  }
+
+  return overdue.length;
+};
+
+/**
+ * Start checking overdue M-Pesa payments periodically
+ * @param {Object} socketService Socket service used for events (optional)
+ */
+const startReconciler = (socketService = null) => {
+  if (reconciler) {
+    return;
+  }
+
+  reconciler = setInterval(() => {
+    reconcilePendingPayments(socketService).catch(error => {
+      console.error('[paymentService] Payment reconciliation failed:', error);
+    });
+  }, RECONCILE_INTERVAL_MS);
+  reconciler.unref();
+
+  console.log(`[paymentService] Reconciling pending M-Pesa payments every ${RECONCILE_INTERVAL_MS / 60000} minutes`);
+};
+
+module.exports = {
+  METHODS,
+  normalizeMpesaPhone,
+  initiatePayment,
+  handleMpesaCallback,
+  refreshPayment,
+  settlePayment,
+  getTripPayments,
+  listProviderPayments,
+  getPayoutSummary,
+  getReconciliationReport,
+  reconcilePendingPayments,
+  startReconciler
+};
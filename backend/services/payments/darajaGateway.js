@@ -0,0 +1,178 @@
+// backend/services/payments/darajaGateway.js
+
+// Daraja answers status queries of prompts the customer hasn't answered yet with this error
+const STILL_PROCESSING_CODE = '500.001.1001';
+
+/**
+ * Time stamp of a Daraja request, YYYYMMDDHHmmss in Kenyan time
+ */
+const darajaTimestamp = (date = new Date()) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+    timeZone: 'Africa/Nairobi',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return `${parts.year}${parts.month}${parts.day}${parts.hour}${parts.minute}${parts.second}`;
+};
+
+/**
+ * M-Pesa Express (STK push) through Safaricom's Daraja API
+ * @param {Object} options Options
+ * @param {String} options.baseUrl API base URL, e.g. https://sandbox.safaricom.co.ke
+ * @param {String} options.consumerKey App consumer key
+ * @param {String} options.consumerSecret App consumer secret
+ * @param {String} options.shortCode Paybill or till number paid into
+ * @param {String} options.passkey M-Pesa Express passkey of the short code
+ * @param {String} options.transactionType CustomerPayBillOnline or CustomerBuyGoodsOnline
+ * @param {String} options.callbackUrl Public URL Daraja posts results to
+ * @param {String} options.callbackToken Secret last segment of callbackUrl; callbacks without it are refused
+ * @param {Number} options.timeout Request timeout in milliseconds
+ * @returns {Object} M-Pesa gateway
+ */
+module.exports = ({ baseUrl, consumerKey, consumerSecret, shortCode, passkey, transactionType, callbackUrl, callbackToken, timeout }) => {
+  if (!consumerKey || !consumerSecret || !shortCode || !passkey || !callbackUrl || !callbackToken) {
+    throw new Error('MPESA_CONSUMER_KEY, MPESA_CONSUMER_SECRET, MPESA_SHORTCODE, MPESA_PASSKEY, MPESA_CALLBACK_URL and MPESA_CALLBACK_TOKEN are required for the daraja M-Pesa gateway');
+  }
+
+  // Results posted anywhere else would be refused by the callback route
+  if (!callbackUrl.replace(/\/$/, '').endsWith(`/${callbackToken}`)) {
+    throw new Error('MPESA_CALLBACK_URL must end with /MPESA_CALLBACK_TOKEN, e.g. https://api.example.com/api/payments/mpesa/callback/<token>');
+  }
+
+  const base = baseUrl.replace(/\/$/, '');
+  let token = null;
+
+  const getAccessToken = async () => {
+    if (token && token.expiresAt > Date.now()) {
+      return token.value;
+    }
+
+    const credentials = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
+    const response = await fetch(`${base}/oauth/v1/generate?grant_type=client_credentials`, {
+      headers: { Authorization: `Basic ${credentials}` },
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Daraja authentication failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+
+    // Renew a minute early so a token never expires mid-request
+    token = {
+      value: body.access_token,
+      expiresAt: Date.now() + (parseInt(body.expires_in) - 60) * 1000
+    };
+
+    return token.value;
+  };
+
+  const request = async (path, payload) => {
+    const response = await fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${await getAccessToken()}`
+      },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || body.errorCode) {
+      const error = new Error(`Daraja ${path} failed: ${body.errorMessage || `status ${response.status}`}`);
+      error.code = body.errorCode;
+      throw error;
+    }
+
+    return body;
+  };
+
+  const password = (timestamp) => Buffer.from(`${shortCode}${passkey}${timestamp}`).toString('base64');
+
+  return {
+    name: 'daraja',
+
+    async stkPush({ phone, amount, reference, description }) {
+      const timestamp = darajaTimestamp();
+      const body = await request('/mpesa/stkpush/v1/processrequest', {
+        BusinessShortCode: shortCode,
+        Password: password(timestamp),
+        Timestamp: timestamp,
+        TransactionType: transactionType,
+        Amount: Math.round(amount),
+        PartyA: phone,
+        PartyB: shortCode,
+        PhoneNumber: phone,
+        CallBackURL: callbackUrl,
+        // Daraja limits these to 12 and 13 characters
+        AccountReference: reference.slice(0, 12),
+        TransactionDesc: description.slice(0, 13)
+      });
+
+      if (body.ResponseCode !== '0') {
+        throw new Error(`M-Pesa refused the payment request: ${body.ResponseDescription}`);
+      }
+
+      return {
+        merchantRequestId: body.MerchantRequestID,
+        checkoutRequestId: body.CheckoutRequestID,
+        customerMessage: body.CustomerMessage
+      };
+    },
+
+    async queryStkPush(checkoutRequestId) {
+      const timestamp = darajaTimestamp();
+
+      try {
+        const body = await request('/mpesa/stkpushquery/v1/query', {
+          BusinessShortCode: shortCode,
+          Password: password(timestamp),
+          Timestamp: timestamp,
+          CheckoutRequestID: checkoutRequestId
+        });
+
+        return { resultCode: parseInt(body.ResultCode), resultDesc: body.ResultDesc };
+      } catch (error) {
+        if (error.code === STILL_PROCESSING_CODE) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    parseCallback(body) {
+      const callback = body && body.Body && body.Body.stkCallback;
+
+      if (!callback || !callback.CheckoutRequestID) {
+        throw new Error('Not an M-Pesa Express callback');
+      }
+
+      // Only successful payments carry metadata
+      const items = (callback.CallbackMetadata && callback.CallbackMetadata.Item) || [];
+      const item = (name) => {
+        const found = items.find(entry => entry.Name === name);
+        return found ? found.Value : undefined;
+      };
+
+      return {
+        merchantRequestId: callback.MerchantRequestID,
+        checkoutRequestId: callback.CheckoutRequestID,
+        resultCode: parseInt(callback.ResultCode),
+        resultDesc: callback.ResultDesc,
+        receiptNumber: item('MpesaReceiptNumber'),
+        amount: item('Amount'),
+        phone: item('PhoneNumber') !== undefined ? String(item('PhoneNumber')) : undefined,
+        transactionDate: item('TransactionDate') !== undefined ? String(item('TransactionDate')) : undefined
+      };
+    }
+  };
+};
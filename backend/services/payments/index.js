@@ -0,0 +1,60 @@
+// backend/services/payments/index.js
+//
+// Pluggable M-Pesa gateway. Gateways expose:
+//   stkPush({ phone, amount, reference, description }) -> { merchantRequestId, checkoutRequestId, customerMessage }
+//   queryStkPush(checkoutRequestId) -> { resultCode, resultDesc } | null while the customer hasn't answered
+//   parseCallback(body) -> { merchantRequestId, checkoutRequestId, resultCode, resultDesc,
+//                            receiptNumber, amount, phone, transactionDate }
+// Phones are 2547XXXXXXXX / 2541XXXXXXXX, amounts whole shillings, result code 0 means paid.
+// Select one with MPESA_GATEWAY: daraja (the default) talks to Safaricom's
+// Daraja API at MPESA_BASE_URL - the sandbox, production, or
+// scripts/mpesaMockServer.js for development and tests.
+
+const gateways = {
+  daraja: () => require('./darajaGateway')({
+    baseUrl: process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke',
+    consumerKey: process.env.MPESA_CONSUMER_KEY,
+    consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+    shortCode: process.env.MPESA_SHORTCODE,
+    passkey: process.env.MPESA_PASSKEY,
+    transactionType: process.env.MPESA_TRANSACTION_TYPE || 'CustomerPayBillOnline',
+    callbackUrl: process.env.MPESA_CALLBACK_URL,
+    callbackToken: process.env.MPESA_CALLBACK_TOKEN,
+    timeout: parseInt(process.env.MPESA_TIMEOUT_MS) || 10000
+  })
+};
+
+let gateway = null;
+
+/**
+ * Get the configured M-Pesa gateway
+ * @returns {Object} M-Pesa gateway
+ */
+const getMpesaGateway = () => {
+  if (!gateway) {
+    const name = process.env.MPESA_GATEWAY || 'daraja';
+
+    if (!gateways[name]) {
+      throw new Error(`Unknown M-Pesa gateway: ${name}. Available: ${Object.keys(gateways).join(', ')}`);
+    }
+
+    gateway = gateways[name]();
+    console.log(`[payments] Using ${name} M-Pesa gateway`);
+  }
+
+  return gateway;
+};
+
+/**
+ * Register an additional M-Pesa gateway under a name
+ * @param {String} name Value of MPESA_GATEWAY that selects it
+ * @param {Function} factory Returns the gateway
+ */
+const registerMpesaGateway = (name, factory) => {
+  gateways[name] = factory;
+};
+
+module.exports = {
+  getMpesaGateway,
+  registerMpesaGateway
+};
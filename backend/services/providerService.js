@@ -2,6 +2,7 @@ const Provider = require('../models/providerModel');
 const Ambulance = require('../models/ambulanceModel');
 const Trip = require('../models/tripModel');
 const admin = require('../config/firebase-admin');
+const { ACTIVE_STATUSES } = require('../../shared/tripLifecycle');
 
 /**
  * Register a new provider
@@ -86,7 +87,7 @@ const getProviderStats = async (providerId) => {
   // Count active trips
   const activeTrips = await Trip.countDocuments({
     providerId,
-    status: { $in: ['REQUESTED', 'ACCEPTED', 'ARRIVED', 'PICKED_UP', 'AT_HOSPITAL'] }
+    status: { $in: ACTIVE_STATUSES }
   });
   
   // Count completed trips
@@ -195,10 +196,118 @@ const getProviderTripHistory = async (providerId, options = {}) => {
   };
 };
 
+// Review decisions an admin can take, and the states each one can be taken from
+const VERIFICATION_TRANSITIONS = {
+  VERIFIED: ['PENDING', 'REJECTED', 'SUSPENDED'],
+  REJECTED: ['PENDING'],
+  SUSPENDED: ['VERIFIED']
+};
+
+/**
+ * List providers for admin review
+ * @param {Object} options Query options
+ * @param {String} options.status Verification status filter (optional)
+ * @param {Number} options.page Page number (default: 1)
+ * @param {Number} options.limit Page size (default: 20)
+ * @returns {Promise<Object>} Providers and pagination info
+ */
+const listProviders = async (options = {}) => {
+  const query = {};
+  
+  if (options.status) {
+    query.verificationStatus = options.status;
+  }
+  
+  const limit = parseInt(options.limit) || 20;
+  const page = parseInt(options.page) || 1;
+  
+  const providers = await Provider.find(query)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+  
+  const total = await Provider.countDocuments(query);
+  
+  return {
+    providers,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Record an admin review decision on a provider
+ * @param {String} providerId Provider ID
+ * @param {String} status VERIFIED, REJECTED or SUSPENDED
+ * @param {Object} options Options
+ * @param {String} options.reason Reason for the decision (required to reject or suspend)
+ * @param {String} options.adminId Firebase UID of the reviewing admin
+ * @returns {Promise<Object>} Updated provider
+ */
+const setVerificationStatus = async (providerId, status, options = {}) => {
+  const { reason = null, adminId = null } = options;
+  
+  const provider = await Provider.findById(providerId);
+  
+  if (!provider) {
+    const error = new Error('Provider not found');
+    error.status = 404;
+    throw error;
+  }
+  
+  const allowedFrom = VERIFICATION_TRANSITIONS[status] || [];
+  
+  if (!allowedFrom.includes(provider.verificationStatus)) {
+    const error = new Error(`Cannot change provider from ${provider.verificationStatus} to ${status}`);
+    error.status = 409;
+    throw error;
+  }
+  
+  if (status !== 'VERIFIED' && !reason) {
+    const error = new Error('A reason is required to reject or suspend a provider');
+    error.status = 400;
+    throw error;
+  }
+  
+  provider.verificationStatus = status;
+  provider.verificationReason = reason || undefined;
+  provider.verified = status === 'VERIFIED';
+  if (status === 'VERIFIED') {
+    provider.verifiedAt = new Date();
+  }
+  provider.verificationHistory.push({
+    status,
+    reason: reason || undefined,
+    reviewedBy: adminId || undefined,
+    reviewedAt: new Date()
+  });
+  
+  await provider.save();
+  
+  // A suspended provider must stop receiving new trips; trips in progress can finish
+  if (status === 'SUSPENDED') {
+    const result = await Ambulance.updateMany(
+      { providerId: provider._id, status: 'AVAILABLE' },
+      { $set: { status: 'OFFLINE', lastUpdated: new Date() } }
+    );
+    console.log(`Provider ${provider._id} suspended, ${result.modifiedCount} ambulances taken offline`);
+  }
+  
+  console.log(`Provider ${provider._id} is now ${status}${reason ? ` (${reason})` : ''}`);
+  
+  return provider;
+};
+
 module.exports = {
   registerProvider,
   getProviderByFirebaseId,
   getProviderStats,
   updateProviderProfile,
-  getProviderTripHistory
+  getProviderTripHistory,
+  listProviders,
+  setVerificationStatus
 };
\ No newline at end of file
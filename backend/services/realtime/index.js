@@ -0,0 +1,58 @@
+// backend/services/realtime/index.js
+//
+// Pluggable realtime adapter. It decides how Socket.IO broadcasts reach
+// sockets connected to other backend instances, and where shared realtime
+// state lives. Every adapter exposes:
+//   attach(io) - install the Socket.IO adapter
+//   presence   - add/remove(kind, id, socketId), refresh(entries),
+//                isOnline(kind, id), count(kind)
+//   log        - append(tripId, event, payload, maxEvents) -> { epoch, seq },
+//                read(tripId) -> { epoch, seq, events } | null
+// Select one with REALTIME_ADAPTER: memory (the default, a single instance)
+// or redis (REDIS_URL) to run several instances.
+
+const adapters = {
+  memory: () => require('./memoryAdapter')({
+    maxTrips: parseInt(process.env.REALTIME_LOG_MAX_TRIPS) || 1000
+  }),
+  redis: () => require('./redisAdapter')({
+    url: process.env.REDIS_URL || 'redis://localhost:6379',
+    prefix: process.env.REDIS_KEY_PREFIX || 'msaada:',
+    logTtlSeconds: (parseInt(process.env.REALTIME_LOG_TTL_HOURS) || 24) * 3600
+  })
+};
+
+let adapter = null;
+
+/**
+ * Get the configured realtime adapter
+ * @returns {Object} Realtime adapter
+ */
+const getRealtimeAdapter = () => {
+  if (!adapter) {
+    const name = process.env.REALTIME_ADAPTER || 'memory';
+
+    if (!adapters[name]) {
+      throw new Error(`Unknown realtime adapter: ${name}. Available: ${Object.keys(adapters).join(', ')}`);
+    }
+
+    adapter = adapters[name]();
+    console.log(`[realtime] Using ${name} realtime adapter`);
+  }
+
+  return adapter;
+};
+
+/**
+ * Register an additional realtime adapter under a name
+ * @param {String} name Value of REALTIME_ADAPTER that selects it
+ * @param {Function} factory Returns the adapter
+ */
+const registerRealtimeAdapter = (name, factory) => {
+  adapters[name] = factory;
+};
+
+module.exports = {
+  getRealtimeAdapter,
+  registerRealtimeAdapter
+};
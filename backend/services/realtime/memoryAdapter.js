@@ -0,0 +1,108 @@
+// backend/services/realtime/memoryAdapter.js
+//
+// Realtime adapter for a single backend instance, and for tests: Socket.IO's
+// default in-process adapter, with presence and event logs kept in memory.
+
+const crypto = require('crypto');
+
+/**
+ * Presence of users and providers, keyed by kind ('user' or 'provider') and ID
+ */
+const createPresenceStore = () => {
+  // kind -> id -> Set of socket IDs
+  const connections = new Map();
+
+  const getKind = (kind) => {
+    if (!connections.has(kind)) {
+      connections.set(kind, new Map());
+    }
+
+    return connections.get(kind);
+  };
+
+  return {
+    add: async (kind, id, socketId) => {
+      const byId = getKind(kind);
+
+      if (!byId.has(id)) {
+        byId.set(id, new Set());
+      }
+
+      byId.get(id).add(socketId);
+    },
+
+    remove: async (kind, id, socketId) => {
+      const byId = getKind(kind);
+      const sockets = byId.get(id);
+
+      if (sockets) {
+        sockets.delete(socketId);
+
+        if (sockets.size === 0) {
+          byId.delete(id);
+        }
+      }
+    },
+
+    // Connections here can't outlive the process, so there is nothing to refresh
+    refresh: async () => {},
+
+    isOnline: async (kind, id) => getKind(kind).has(id),
+
+    count: async (kind) => getKind(kind).size
+  };
+};
+
+/**
+ * Event logs of trips
+ * @param {Object} options Options
+ * @param {Number} options.maxTrips Trips with a log; the least recently active one is dropped first
+ */
+const createLogStore = ({ maxTrips }) => {
+  // Logs keyed by trip ID. A Map keeps insertion order, so moving a trip to the
+  // end on every event keeps the least recently active trip first.
+  const logs = new Map();
+
+  return {
+    append: async (tripId, event, payload, maxEvents) => {
+      let log = logs.get(tripId);
+
+      if (log) {
+        logs.delete(tripId);
+      } else {
+        log = { epoch: crypto.randomBytes(6).toString('hex'), seq: 0, events: [] };
+      }
+
+      logs.set(tripId, log);
+
+      if (logs.size > maxTrips) {
+        logs.delete(logs.keys().next().value);
+      }
+
+      log.seq += 1;
+      log.events.push({ seq: log.seq, event, payload });
+
+      if (log.events.length > maxEvents) {
+        log.events.shift();
+      }
+
+      return { epoch: log.epoch, seq: log.seq };
+    },
+
+    read: async (tripId) => {
+      const log = logs.get(tripId);
+      return log ? { epoch: log.epoch, seq: log.seq, events: log.events.slice() } : null;
+    }
+  };
+};
+
+module.exports = (options = {}) => ({
+  name: 'memory',
+
+  // Socket.IO uses its in-process adapter unless told otherwise
+  attach: () => {},
+
+  presence: createPresenceStore(),
+
+  log: createLogStore({ maxTrips: options.maxTrips || 1000 })
+});
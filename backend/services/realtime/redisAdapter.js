@@ -0,0 +1,160 @@
+// backend/services/realtime/redisAdapter.js
+//
+// Realtime adapter for several backend instances behind a load balancer.
+// Socket.IO broadcasts go through Redis pub/sub so an event reaches its rooms
+// on every instance, and presence and trip event logs live in Redis so every
+// instance sees the same connections and sequence numbers.
+
+const crypto = require('crypto');
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+// Connections not refreshed for this long are considered gone, e.g. after an
+// instance crashed without cleaning up
+const PRESENCE_TTL_MS = 90 * 1000;
+
+/**
+ * Presence of users and providers. Each user or provider has a sorted set of
+ * their socket IDs scored by when they were last seen, and each kind a sorted
+ * set of IDs, so entries of a dead instance expire on their own.
+ */
+const createPresenceStore = (client, prefix) => {
+  const kindKey = (kind) => `${prefix}presence:${kind}`;
+  const idKey = (kind, id) => `${prefix}presence:${kind}:${id}`;
+  const liveSince = () => Date.now() - PRESENCE_TTL_MS;
+
+  const add = async (kind, id, socketId) => {
+    const now = Date.now();
+
+    await client.multi()
+      .zAdd(idKey(kind, id), { score: now, value: socketId })
+      .pExpire(idKey(kind, id), PRESENCE_TTL_MS)
+      .zAdd(kindKey(kind), { score: now, value: id })
+      .exec();
+  };
+
+  const remove = async (kind, id, socketId) => {
+    await client.zRem(idKey(kind, id), socketId);
+
+    const remaining = await client.zCount(idKey(kind, id), liveSince(), '+inf');
+
+    if (remaining === 0) {
+      await client.multi()
+        .del(idKey(kind, id))
+        .zRem(kindKey(kind), id)
+        .exec();
+    }
+  };
+
+  return {
+    add,
+    remove,
+
+    // Mark connections of this instance as still alive
+    refresh: async (entries) => {
+      await Promise.all(entries.map(({ kind, id, socketId }) => add(kind, id, socketId)));
+    },
+
+    isOnline: async (kind, id) => (await client.zCount(idKey(kind, id), liveSince(), '+inf')) > 0,
+
+    count: async (kind) => {
+      // Drop IDs of connections that expired meanwhile
+      await client.zRemRangeByScore(kindKey(kind), '-inf', liveSince());
+      return client.zCard(kindKey(kind));
+    }
+  };
+};
+
+/**
+ * Event logs of trips. Sequence numbers come from INCR so they stay unique
+ * when instances append to the same trip at the same time.
+ * @param {Object} client Redis client
+ * @param {String} prefix Key prefix
+ * @param {Number} ttlSeconds Time a log is kept after its last event
+ */
+const createLogStore = (client, prefix, ttlSeconds) => {
+  const keys = (tripId) => ({
+    epoch: `${prefix}triplog:${tripId}:epoch`,
+    seq: `${prefix}triplog:${tripId}:seq`,
+    events: `${prefix}triplog:${tripId}:events`
+  });
+
+  return {
+    append: async (tripId, event, payload, maxEvents) => {
+      const key = keys(tripId);
+
+      // A trip without a log (new, or expired) starts a new epoch
+      await client.set(key.epoch, crypto.randomBytes(6).toString('hex'), { NX: true, EX: ttlSeconds });
+
+      const [epoch, seq] = await client.multi()
+        .get(key.epoch)
+        .incr(key.seq)
+        .expire(key.epoch, ttlSeconds)
+        .expire(key.seq, ttlSeconds)
+        .exec();
+
+      await client.multi()
+        .rPush(key.events, JSON.stringify({ seq, event, payload }))
+        .lTrim(key.events, -maxEvents, -1)
+        .expire(key.events, ttlSeconds)
+        .exec();
+
+      return { epoch, seq };
+    },
+
+    read: async (tripId) => {
+      const key = keys(tripId);
+
+      const [epoch, seq, events] = await client.multi()
+        .get(key.epoch)
+        .get(key.seq)
+        .lRange(key.events, 0, -1)
+        .exec();
+
+      if (!epoch) {
+        return null;
+      }
+
+      return {
+        epoch,
+        seq: parseInt(seq) || 0,
+        // Instances appending at the same time may push slightly out of order
+        events: events.map(entry => JSON.parse(entry)).sort((a, b) => a.seq - b.seq)
+      };
+    }
+  };
+};
+
+/**
+ * @param {Object} options Options
+ * @param {String} options.url Redis URL
+ * @param {String} options.prefix Prefix of every key, to share a Redis between deployments
+ * @param {Number} options.logTtlSeconds Time a trip's event log is kept after its last event
+ */
+module.exports = ({ url, prefix, logTtlSeconds }) => {
+  const client = createClient({ url });
+  const subscriber = client.duplicate();
+
+  [client, subscriber].forEach(redisClient => {
+    redisClient.on('error', (error) => {
+      console.error('[realtime] Redis error:', error.message);
+    });
+  });
+
+  // Commands issued before the connection is up are queued
+  Promise.all([client.connect(), subscriber.connect()])
+    .then(() => console.log(`[realtime] Connected to Redis at ${url}`))
+    .catch(error => console.error('[realtime] Could not connect to Redis:', error.message));
+
+  return {
+    name: 'redis',
+
+    attach: (io) => {
+      io.adapter(createAdapter(client, subscriber, { key: `${prefix}socket.io` }));
+    },
+
+    presence: createPresenceStore(client, prefix),
+
+    log: createLogStore(client, prefix, logTtlSeconds)
+  };
+};
@@ -0,0 +1,83 @@
+// backend/services/realtimeLogService.js
+//
+// Bounded log of the realtime events sent for each trip. Every event gets
+// the next sequence number of its trip, so a client that lost its connection
+// can ask for exactly the events after the last one it saw. The log lives in
+// the realtime adapter's store, shared by every backend instance.
+
+const { getRealtimeAdapter } = require('./realtime');
+
+// Events kept per trip; older ones can no longer be replayed
+const MAX_EVENTS_PER_TRIP = parseInt(process.env.REALTIME_LOG_EVENTS_PER_TRIP) || 200;
+
+/**
+ * Add an event to a trip's log
+ * @param {String} tripId Trip ID
+ * @param {String} event Event name
+ * @param {Object} payload Event payload
+ * @returns {Promise<Object>} Delivery metadata { tripId, epoch, seq } sent along with the event.
+ *   Sequence numbers restart with a new log; the epoch tells clients apart which
+ *   log their numbers belong to, e.g. after the log expired.
+ */
+const append = async (tripId, event, payload) => {
+  const key = tripId.toString();
+  const { epoch, seq } = await getRealtimeAdapter().log.append(key, event, payload, MAX_EVENTS_PER_TRIP);
+
+  return { tripId: key, epoch, seq };
+};
+
+/**
+ * Get the position of a trip's log: the metadata of its latest event
+ * @param {String} tripId Trip ID
+ * @returns {Promise<Object>} { tripId, epoch, seq }, epoch null while the trip has no log
+ */
+const getPosition = async (tripId) => {
+  const key = tripId.toString();
+  const log = await getRealtimeAdapter().log.read(key);
+
+  return { tripId: key, epoch: log ? log.epoch : null, seq: log ? log.seq : 0 };
+};
+
+/**
+ * Get the events a client missed
+ * @param {String} tripId Trip ID
+ * @param {String} epoch Epoch of the last event the client saw
+ * @param {Number} seq Sequence number of the last event the client saw
+ * @returns {Promise<Object>} { complete, events, position }. complete is false when the
+ *   missed events are no longer in the log and the client has to reload the trip.
+ */
+const getEventsSince = async (tripId, epoch, seq) => {
+  const key = tripId.toString();
+  const log = await getRealtimeAdapter().log.read(key);
+  const position = { tripId: key, epoch: log ? log.epoch : null, seq: log ? log.seq : 0 };
+
+  if (!log) {
+    // Nothing was sent since the log was dropped, unless the client saw one
+    return { complete: !epoch, events: [], position };
+  }
+
+  // Clients that haven't seen an event yet resume from the start of the log
+  const fromStart = !epoch && seq === 0;
+
+  if (!fromStart && (epoch !== log.epoch || seq > log.seq)) {
+    return { complete: false, events: [], position };
+  }
+
+  const oldest = log.events.length > 0 ? log.events[0].seq : log.seq + 1;
+
+  if (seq < oldest - 1) {
+    return { complete: false, events: [], position };
+  }
+
+  return {
+    complete: true,
+    events: log.events.filter(entry => entry.seq > seq),
+    position
+  };
+};
+
+module.exports = {
+  append,
+  getPosition,
+  getEventsSince
+};
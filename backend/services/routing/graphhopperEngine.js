@@ -0,0 +1,49 @@
+// backend/services/routing/graphhopperEngine.js
+
+/**
+ * Routing engine for a GraphHopper server or the GraphHopper Directions API
+ * @param {Object} options Options
+ * @param {String} options.url Base URL, e.g. http://localhost:8989
+ * @param {String} options.profile Routing profile (default: car)
+ * @param {String} options.apiKey API key (hosted API only)
+ * @param {Number} options.timeout Request timeout in milliseconds
+ * @returns {Object} Routing engine
+ */
+module.exports = ({ url, profile = 'car', apiKey, timeout }) => {
+  const baseUrl = url.replace(/\/$/, '');
+
+  return {
+    name: 'graphhopper',
+
+    async route(from, to) {
+      // GraphHopper points are latitude,longitude
+      const params = new URLSearchParams({ profile, points_encoded: 'false' });
+      params.append('point', `${from[1]},${from[0]}`);
+      params.append('point', `${to[1]},${to[0]}`);
+      if (apiKey) {
+        params.append('key', apiKey);
+      }
+
+      const response = await fetch(`${baseUrl}/route?${params}`, {
+        signal: AbortSignal.timeout(timeout)
+      });
+
+      if (!response.ok) {
+        throw new Error(`GraphHopper route request failed with status ${response.status}`);
+      }
+
+      const body = await response.json();
+      const [path] = body.paths || [];
+
+      if (!path) {
+        throw new Error('GraphHopper returned no route');
+      }
+
+      return {
+        distanceKm: path.distance / 1000,
+        durationMinutes: Math.max(1, Math.round(path.time / 60000)),
+        geometry: path.points
+      };
+    }
+  };
+};
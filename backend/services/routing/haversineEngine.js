@@ -0,0 +1,32 @@
+// backend/services/routing/haversineEngine.js
+
+const { calculateDistance, calculateETA } = require('../../utils/locationUtils');
+
+// Roads are rarely straight; scale straight-line distance to approximate road distance
+const DETOUR_FACTOR = parseFloat(process.env.ROUTING_DETOUR_FACTOR) || 1.3;
+
+/**
+ * Routing engine that estimates road distance from straight-line distance.
+ * Needs no external service and is used as the fallback for the HTTP engines.
+ * @returns {Object} Routing engine
+ */
+module.exports = () => ({
+  name: 'haversine',
+
+  /**
+   * Estimate a route between two points
+   * @param {Array<Number>} from [longitude, latitude]
+   * @param {Array<Number>} to [longitude, latitude]
+   * @returns {Promise<Object>} { distanceKm, durationMinutes, geometry }
+   */
+  async route(from, to) {
+    const distanceKm = calculateDistance(from[1], from[0], to[1], to[0]) * DETOUR_FACTOR;
+
+    return {
+      distanceKm,
+      durationMinutes: calculateETA(distanceKm),
+      // Without a road network the best we can draw is a straight line
+      geometry: { type: 'LineString', coordinates: [from, to] }
+    };
+  }
+});
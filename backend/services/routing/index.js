@@ -0,0 +1,147 @@
+// backend/services/routing/index.js
+//
+// Pluggable routing. Every ETA shown to patients, providers and hospitals goes
+// through here so they all agree. Engines expose:
+//   route(from, to) -> { distanceKm, durationMinutes, geometry }
+//   table(origins, destination) -> [{ distanceKm, durationMinutes } | null] (optional)
+// Points are [longitude, latitude]. Select an engine with ROUTING_ENGINE
+// (osrm, graphhopper or haversine - the default) and ROUTING_URL. Whenever
+// the engine fails, the haversine estimate is used instead.
+
+const haversineEngine = require('./haversineEngine')();
+
+const ROUTING_TIMEOUT_MS = parseInt(process.env.ROUTING_TIMEOUT_MS) || 3000;
+
+const engines = {
+  haversine: () => haversineEngine,
+  osrm: () => require('./osrmEngine')({
+    url: process.env.ROUTING_URL || 'http://localhost:5001',
+    profile: process.env.ROUTING_PROFILE,
+    timeout: ROUTING_TIMEOUT_MS
+  }),
+  graphhopper: () => require('./graphhopperEngine')({
+    url: process.env.ROUTING_URL || 'http://localhost:8989',
+    profile: process.env.ROUTING_PROFILE,
+    apiKey: process.env.ROUTING_API_KEY,
+    timeout: ROUTING_TIMEOUT_MS
+  })
+};
+
+let engine = null;
+
+/**
+ * Get the configured routing engine
+ * @returns {Object} Routing engine
+ */
+const getEngine = () => {
+  if (!engine) {
+    const name = process.env.ROUTING_ENGINE || 'haversine';
+
+    if (!engines[name]) {
+      throw new Error(`Unknown routing engine: ${name}. Available: ${Object.keys(engines).join(', ')}`);
+    }
+
+    engine = engines[name]();
+    console.log(`[routing] Using ${name} routing engine`);
+  }
+
+  return engine;
+};
+
+/**
+ * Register an additional routing engine under a name
+ * @param {String} name Value of ROUTING_ENGINE that selects it
+ * @param {Function} factory Returns the engine
+ */
+const registerRoutingEngine = (name, factory) => {
+  engines[name] = factory;
+};
+
+/**
+ * Get the road route between two points
+ * @param {Array<Number>} from [longitude, latitude]
+ * @param {Array<Number>} to [longitude, latitude]
+ * @returns {Promise<Object>} { distanceKm, durationMinutes, geometry, source }
+ */
+const getRoute = async (from, to) => {
+  const routingEngine = getEngine();
+
+  if (routingEngine !== haversineEngine) {
+    try {
+      const route = await routingEngine.route(from, to);
+      return { ...route, source: routingEngine.name };
+    } catch (error) {
+      console.warn(`[routing] ${routingEngine.name} route failed, falling back to haversine:`, error.message);
+    }
+  }
+
+  const route = await haversineEngine.route(from, to);
+  return { ...route, source: haversineEngine.name };
+};
+
+/**
+ * Get the road distance and duration from many origins to one destination,
+ * e.g. from every nearby ambulance to a patient
+ * @param {Array<Array<Number>>} origins Points [longitude, latitude]
+ * @param {Array<Number>} destination [longitude, latitude]
+ * @returns {Promise<Array<Object>>} { distanceKm, durationMinutes, source } per origin, in order
+ */
+const getRoutesTo = async (origins, destination) => {
+  if (origins.length === 0) {
+    return [];
+  }
+
+  const routingEngine = getEngine();
+  let results = [];
+
+  if (routingEngine !== haversineEngine) {
+    try {
+      results = routingEngine.table
+        ? await routingEngine.table(origins, destination)
+        : await Promise.all(origins.map(origin => routingEngine.route(origin, destination).catch(() => null)));
+    } catch (error) {
+      console.warn(`[routing] ${routingEngine.name} table failed, falling back to haversine:`, error.message);
+      results = [];
+    }
+  }
+
+  return await Promise.all(origins.map(async (origin, index) => {
+    const result = results[index];
+
+    if (result) {
+      return { distanceKm: result.distanceKm, durationMinutes: result.durationMinutes, source: routingEngine.name };
+    }
+
+    const estimate = await haversineEngine.route(origin, destination);
+    return { distanceKm: estimate.distanceKm, durationMinutes: estimate.durationMinutes, source: haversineEngine.name };
+  }));
+};
+
+/**
+ * Format an ETA for display
+ * @param {Number} minutes ETA in minutes
+ * @returns {String} e.g. "12 min" or "1h 5min"
+ */
+const formatETA = (minutes) => {
+  if (minutes < 60) {
+    return `${minutes} min`;
+  }
+
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}min`;
+};
+
+/**
+ * Format a distance for display
+ * @param {Number} distanceKm Distance in kilometers
+ * @returns {String} e.g. "3.2 km"
+ */
+const formatDistance = (distanceKm) => `${distanceKm.toFixed(1)} km`;
+
+module.exports = {
+  getEngine,
+  registerRoutingEngine,
+  getRoute,
+  getRoutesTo,
+  formatETA,
+  formatDistance
+};
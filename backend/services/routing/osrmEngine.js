@@ -0,0 +1,72 @@
+// backend/services/routing/osrmEngine.js
+
+/**
+ * Routing engine for an OSRM server (or anything speaking its HTTP API)
+ * @param {Object} options Options
+ * @param {String} options.url Base URL, e.g. http://localhost:5001
+ * @param {String} options.profile Routing profile (default: driving)
+ * @param {Number} options.timeout Request timeout in milliseconds
+ * @returns {Object} Routing engine
+ */
+module.exports = ({ url, profile = 'driving', timeout }) => {
+  const baseUrl = url.replace(/\/$/, '');
+
+  const request = async (service, coordinates, query) => {
+    const path = coordinates.map(point => `${point[0]},${point[1]}`).join(';');
+    const response = await fetch(`${baseUrl}/${service}/v1/${profile}/${path}?${query}`, {
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`OSRM ${service} request failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+
+    if (body.code !== 'Ok') {
+      throw new Error(`OSRM ${service} request failed: ${body.code} ${body.message || ''}`.trim());
+    }
+
+    return body;
+  };
+
+  return {
+    name: 'osrm',
+
+    async route(from, to) {
+      const body = await request('route', [from, to], 'overview=full&geometries=geojson');
+      const [route] = body.routes;
+
+      return {
+        distanceKm: route.distance / 1000,
+        durationMinutes: Math.max(1, Math.round(route.duration / 60)),
+        geometry: route.geometry
+      };
+    },
+
+    // One request for many origins, used to rank nearby ambulances
+    async table(origins, destination) {
+      const sources = origins.map((_, index) => index).join(';');
+      const body = await request(
+        'table',
+        [...origins, destination],
+        `sources=${sources}&destinations=${origins.length}&annotations=duration,distance`
+      );
+
+      return origins.map((_, index) => {
+        const duration = body.durations[index][0];
+        const distance = body.distances ? body.distances[index][0] : null;
+
+        // Unreachable pairs come back as null
+        if (duration === null || distance === null) {
+          return null;
+        }
+
+        return {
+          distanceKm: distance / 1000,
+          durationMinutes: Math.max(1, Math.round(duration / 60))
+        };
+      });
+    }
+  };
+};
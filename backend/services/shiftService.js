@@ -0,0 +1,427 @@
+// backend/services/shiftService.js
+//
+// Duty rosters of ambulances. Providers plan shifts per ambulance with the crew
+// on duty, and the scheduler turns them into availability: an ambulance goes
+// AVAILABLE when one of its shifts starts and OFFLINE when it ends. Ambulances
+// on a trip (BUSY) are left alone; once an ambulance has a roster, the end of
+// its trip puts it back to whatever the roster says.
+
+const mongoose = require('mongoose');
+const Shift = require('../models/shiftModel');
+const Ambulance = require('../models/ambulanceModel');
+const CrewMember = require('../models/crewMemberModel');
+const { serviceError } = require('../utils/serviceErrors');
+
+// How often shift starts and ends are applied
+const SHIFT_CHECK_INTERVAL_MS = (parseInt(process.env.SHIFT_CHECK_INTERVAL_SECONDS) || 60) * 1000;
+
+// Longest calendar window a provider can load at once, and how many daily
+// copies of a shift can be added in one go
+const MAX_WINDOW_DAYS = 62;
+const MAX_REPEAT_DAYS = 27;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let shiftScheduler = null;
+
+/**
+ * Turn a validation error into a 400 listing what is wrong
+ */
+const asBadRequest = (error) => {
+  if (error.name !== 'ValidationError') {
+    return error;
+  }
+
+  const messages = Object.values(error.errors).map(fieldError => fieldError.message);
+  return serviceError([...new Set(messages)].join('. '), 400);
+};
+
+/**
+ * Get one of the provider's ambulances
+ */
+const getProviderAmbulance = async (providerId, ambulanceId) => {
+  const ambulance = mongoose.isValidObjectId(ambulanceId)
+    ? await Ambulance.findOne({ _id: ambulanceId, providerId }).select('_id providerId status')
+    : null;
+
+  if (!ambulance) {
+    throw serviceError('Ambulance not found', 404);
+  }
+
+  return ambulance;
+};
+
+/**
+ * Check everyone rostered on a shift is active crew of the ambulance
+ * @returns {Promise<Array>} Crew member IDs without repeats
+ */
+const checkCrew = async (ambulance, crewMemberIds) => {
+  const ids = [...new Set((Array.isArray(crewMemberIds) ? crewMemberIds : []).map(String))];
+  const assigned = ids.every(id => mongoose.isValidObjectId(id))
+    ? await CrewMember.countDocuments({
+      _id: { $in: ids },
+      providerId: ambulance.providerId,
+      ambulanceIds: ambulance._id,
+      isActive: true
+    })
+    : -1;
+
+  if (assigned !== ids.length) {
+    throw serviceError('Only active crew assigned to this ambulance can be rostered on it', 400);
+  }
+
+  return ids;
+};
+
+/**
+ * Refuse shifts overlapping another shift of the same ambulance
+ */
+const checkOverlap = async (shift) => {
+  const overlapping = await Shift.exists({
+    _id: { $ne: shift._id },
+    ambulanceId: shift.ambulanceId,
+    startsAt: { $lt: shift.endsAt },
+    endsAt: { $gt: shift.startsAt }
+  });
+
+  if (overlapping) {
+    throw serviceError('This ambulance already has a shift at that time', 409);
+  }
+};
+
+/**
+ * Parse a date from a request
+ * @returns {Date|null} Date or null when missing or invalid
+ */
+const parseDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Move an ambulance from one status to another, if it is still in the first
+ * @returns {Promise<Boolean>} Whether the ambulance changed
+ */
+const moveAmbulance = async (ambulanceId, from, to, socketService) => {
+  const moved = await Ambulance.findOneAndUpdate(
+    { _id: ambulanceId, status: from },
+    { status: to, lastUpdated: new Date() },
+    { new: true }
+  ).select('_id');
+
+  if (!moved) {
+    return false;
+  }
+
+  if (socketService) {
+    socketService.emitAmbulanceStatusUpdate(moved._id, to);
+  }
+
+  return true;
+};
+
+/**
+ * Whether one of the ambulance's shifts covers a time
+ */
+const isOnShift = async (ambulanceId, at = new Date()) => {
+  return !!(await Shift.exists({ ambulanceId, startsAt: { $lte: at }, endsAt: { $gt: at } }));
+};
+
+/**
+ * Get the status the roster puts an ambulance in, e.g. when it comes back
+ * from a trip
+ * @param {String} ambulanceId Ambulance ID
+ * @param {Date} at Time (default: now)
+ * @returns {Promise<String|null>} AVAILABLE or OFFLINE, or null for ambulances
+ * that have never been on a shift and are managed by hand
+ */
+const getRosterStatus = async (ambulanceId, at = new Date()) => {
+  if (!(await Shift.exists({ ambulanceId, startsAt: { $lte: at } }))) {
+    return null;
+  }
+
+  return (await isOnShift(ambulanceId, at)) ? 'AVAILABLE' : 'OFFLINE';
+};
+
+/**
+ * Apply the shifts that have ended or started since the last run: ended
+ * shifts take their ambulance OFFLINE unless another shift follows straight
+ * on, started shifts put it AVAILABLE. Each start and end is applied once, so
+ * a provider can still take an ambulance off the road in the middle of a shift.
+ * @param {Object} filter Extra shift filter, e.g. { ambulanceId }
+ * @param {Object} socketService Socket service used for events (optional)
+ * @returns {Promise<Object>} { started, ended } number of shifts applied
+ */
+const applyShiftChanges = async (filter = {}, socketService = null) => {
+  const now = new Date();
+  let ended = 0;
+  let started = 0;
+
+  const ending = await Shift.find({ ...filter, endsAt: { $lte: now }, endedAt: null }).select('_id ambulanceId');
+
+  for (const shift of ending) {
+    // Another backend instance may have applied it already
+    const { modifiedCount } = await Shift.updateOne({ _id: shift._id, endedAt: null }, { $set: { endedAt: now } });
+
+    if (modifiedCount === 0) continue;
+
+    ended++;
+
+    if (!(await isOnShift(shift.ambulanceId, now))) {
+      await moveAmbulance(shift.ambulanceId, 'AVAILABLE', 'OFFLINE', socketService);
+    }
+  }
+
+  const starting = await Shift.find({
+    ...filter,
+    startsAt: { $lte: now },
+    endsAt: { $gt: now },
+    startedAt: null
+  }).select('_id ambulanceId');
+
+  for (const shift of starting) {
+    const { modifiedCount } = await Shift.updateOne({ _id: shift._id, startedAt: null }, { $set: { startedAt: now } });
+
+    if (modifiedCount === 0) continue;
+
+    started++;
+    await moveAmbulance(shift.ambulanceId, 'OFFLINE', 'AVAILABLE', socketService);
+  }
+
+  return { started, ended };
+};
+
+/**
+ * Apply shift starts and ends now and then periodically
+ * @param {Object} socketService Socket service used for events (optional)
+ */
+const startShiftScheduler = (socketService = null) => {
+  if (shiftScheduler) {
+    return;
+  }
+
+  const runCheck = () => {
+    applyShiftChanges({}, socketService).catch(error => {
+      console.error('[shiftService] Error applying shift changes:', error);
+    });
+  };
+
+  runCheck();
+  shiftScheduler = setInterval(runCheck, SHIFT_CHECK_INTERVAL_MS);
+  // Don't keep the process alive just for this check
+  shiftScheduler.unref();
+};
+
+/**
+ * Get the shifts of an ambulance overlapping a window, e.g. a calendar week
+ * @param {String} providerId Provider ID
+ * @param {String} ambulanceId Ambulance ID
+ * @param {Object} window { from, to }
+ * @returns {Promise<Array>} Shifts by start, with their crew
+ */
+const getShifts = async (providerId, ambulanceId, window = {}) => {
+  await getProviderAmbulance(providerId, ambulanceId);
+
+  const from = parseDate(window.from);
+  const to = parseDate(window.to);
+
+  if (!from || !to || to <= from) {
+    throw serviceError('Please give a valid from and to date', 400);
+  }
+
+  if (to - from > MAX_WINDOW_DAYS * DAY_MS) {
+    throw serviceError(`Shifts can be loaded ${MAX_WINDOW_DAYS} days at a time`, 400);
+  }
+
+  return await Shift.find({ ambulanceId, startsAt: { $lt: to }, endsAt: { $gt: from } })
+    .populate('crewMemberIds', 'name role')
+    .sort({ startsAt: 1 });
+};
+
+/**
+ * Get the shift each ambulance is on and its next one
+ * @param {Array<String>} ambulanceIds Ambulance IDs
+ * @returns {Promise<Map>} Ambulance ID to { current, next }
+ */
+const getRosterSummaries = async (ambulanceIds) => {
+  const now = new Date();
+  const shifts = await Shift.find({ ambulanceId: { $in: ambulanceIds }, endsAt: { $gt: now } })
+    .select('ambulanceId startsAt endsAt crewMemberIds')
+    .populate('crewMemberIds', 'name role')
+    .sort({ startsAt: 1 })
+    .lean();
+
+  const summaries = new Map();
+
+  shifts.forEach(shift => {
+    const key = shift.ambulanceId.toString();
+    const summary = summaries.get(key) || { current: null, next: null };
+
+    if (shift.startsAt <= now) {
+      summary.current = summary.current || shift;
+    } else {
+      summary.next = summary.next || shift;
+    }
+
+    summaries.set(key, summary);
+  });
+
+  return summaries;
+};
+
+/**
+ * Add a shift to an ambulance, optionally repeated at the same time on the
+ * following days
+ * @param {String} providerId Provider ID
+ * @param {String} ambulanceId Ambulance ID
+ * @param {Object} data { startsAt, endsAt, crewMemberIds, note, repeatDays }
+ * @param {Object} options Options
+ * @param {Object} options.socketService Socket service used for events (optional)
+ * @returns {Promise<Array>} Created shifts
+ */
+const createShifts = async (providerId, ambulanceId, data = {}, options = {}) => {
+  const { socketService = null } = options;
+  const ambulance = await getProviderAmbulance(providerId, ambulanceId);
+  const crewMemberIds = await checkCrew(ambulance, data.crewMemberIds);
+
+  const repeatDays = data.repeatDays === undefined ? 0 : Number(data.repeatDays);
+
+  if (!Number.isInteger(repeatDays) || repeatDays < 0 || repeatDays > MAX_REPEAT_DAYS) {
+    throw serviceError(`Shifts can be repeated on up to ${MAX_REPEAT_DAYS} following days`, 400);
+  }
+
+  const startsAt = parseDate(data.startsAt);
+  const endsAt = parseDate(data.endsAt);
+  const shifts = [];
+
+  for (let day = 0; day <= repeatDays; day++) {
+    const shift = new Shift({
+      providerId,
+      ambulanceId: ambulance._id,
+      startsAt: startsAt && new Date(startsAt.getTime() + day * DAY_MS),
+      endsAt: endsAt && new Date(endsAt.getTime() + day * DAY_MS),
+      crewMemberIds,
+      note: data.note
+    });
+
+    try {
+      await shift.validate();
+    } catch (error) {
+      throw asBadRequest(error);
+    }
+
+    if (shift.endsAt <= new Date()) {
+      throw serviceError('This shift is already over', 400);
+    }
+
+    await checkOverlap(shift);
+    shifts.push(shift);
+  }
+
+  // Repeats never overlap each other as a shift is at most a day long
+  await Shift.insertMany(shifts);
+
+  // A shift that is already under way starts straight away
+  await applyShiftChanges({ ambulanceId: ambulance._id }, socketService);
+
+  return shifts;
+};
+
+/**
+ * Get one of the ambulance's shifts
+ */
+const getAmbulanceShift = async (ambulance, shiftId) => {
+  const shift = mongoose.isValidObjectId(shiftId) ? await Shift.findById(shiftId) : null;
+
+  if (!shift || shift.ambulanceId.toString() !== ambulance._id.toString()) {
+    throw serviceError('Shift not found', 404);
+  }
+
+  return shift;
+};
+
+/**
+ * Change a shift's times, crew or note. Fields left out are kept.
+ * @param {String} providerId Provider ID
+ * @param {String} ambulanceId Ambulance ID
+ * @param {String} shiftId Shift ID
+ * @param {Object} data { startsAt, endsAt, crewMemberIds, note }
+ * @param {Object} options Options
+ * @param {Object} options.socketService Socket service used for events (optional)
+ * @returns {Promise<Object>} Shift
+ */
+const updateShift = async (providerId, ambulanceId, shiftId, data = {}, options = {}) => {
+  const { socketService = null } = options;
+  const ambulance = await getProviderAmbulance(providerId, ambulanceId);
+  const shift = await getAmbulanceShift(ambulance, shiftId);
+
+  if (shift.endedAt) {
+    throw serviceError('This shift is already over', 409);
+  }
+
+  if (data.startsAt !== undefined) {
+    shift.startsAt = parseDate(data.startsAt);
+  }
+
+  if (data.endsAt !== undefined) {
+    shift.endsAt = parseDate(data.endsAt);
+  }
+
+  if (data.crewMemberIds !== undefined) {
+    shift.crewMemberIds = await checkCrew(ambulance, data.crewMemberIds);
+  }
+
+  if (data.note !== undefined) {
+    shift.note = data.note;
+  }
+
+  // A shift moved to later has to start again
+  if (shift.startedAt && shift.startsAt > new Date()) {
+    shift.startedAt = undefined;
+  }
+
+  try {
+    await shift.validate();
+  } catch (error) {
+    throw asBadRequest(error);
+  }
+
+  await checkOverlap(shift);
+  await shift.save();
+
+  // The new times may start or end it straight away
+  await applyShiftChanges({ ambulanceId: ambulance._id }, socketService);
+
+  return await shift.populate('crewMemberIds', 'name role');
+};
+
+/**
+ * Remove a shift. Removing a shift that is under way ends it.
+ * @param {String} providerId Provider ID
+ * @param {String} ambulanceId Ambulance ID
+ * @param {String} shiftId Shift ID
+ * @param {Object} options Options
+ * @param {Object} options.socketService Socket service used for events (optional)
+ */
+const deleteShift = async (providerId, ambulanceId, shiftId, options = {}) => {
+  const { socketService = null } = options;
+  const ambulance = await getProviderAmbulance(providerId, ambulanceId);
+  const shift = await getAmbulanceShift(ambulance, shiftId);
+
+  await shift.deleteOne();
+
+  if (shift.startedAt && !shift.endedAt && !(await isOnShift(ambulance._id))) {
+    await moveAmbulance(ambulance._id, 'AVAILABLE', 'OFFLINE', socketService);
+  }
+};
+
+module.exports = {
+  applyShiftChanges,
+  startShiftScheduler,
+  getRosterStatus,
+  getRosterSummaries,
+  getShifts,
+  createShifts,
+  updateShift,
+  deleteShift
+};
@@ -1,650 +1,751 @@
+// backend/services/socketService.js
+//
+// The realtime gateway: the only place that registers Socket.IO handlers and
+// emits events. Every event and room is declared in shared/realtimeEvents.js;
+// events that aren't in the catalogue are refused and never broadcast to
+// every socket. Trip events are numbered and logged per trip so clients that
+// reconnect get exactly the events they missed. Broadcasts, presence and the
+// logs go through the realtime adapter (services/realtime), so several backend
+// instances can serve clients side by side.
+
+const dispatchService = require('./dispatchService');
+const trackingService = require('./trackingService');
+const realtimeLogService = require('./realtimeLogService');
+const notificationService = require('./notificationService');
+const { getRealtimeAdapter } = require('./realtime');
+const CrewMember = require('../models/crewMemberModel');
+const { authenticateSocket, canAccessTrip, canFollowAmbulance } = require('../middleware/socketAuthMiddleware');
+const { ROOMS, SERVER_EVENTS, validateServerEvent } = require('../../shared/realtimeEvents');
+
+// How often this instance confirms its connections are still alive in the
+// presence store; entries not confirmed for a while expire
+const PRESENCE_REFRESH_MS = 30 * 1000;
+
+// Payloads are checked against the catalogue outside production
+const VALIDATE_PAYLOADS = process.env.NODE_ENV !== 'production';
+
+// ID of a populated reference or a plain ObjectId/string
+const toId = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  return typeof value === 'object' && value._id ? value._id.toString() : value.toString();
+};
+
 module.exports = function(io) {
     const service = {
-      // Keep track of active user and provider connections
-      userSockets: {},     // userId -> socket.id
-      providerSockets: {}, // providerId -> socket.id
-      socketUsers: {},     // socket.id -> userId
-      socketProviders: {}, // socket.id -> providerId
-      
-      // Handle connections and disconnections
+      // Connected users and providers, shared by every backend instance
+      presence: null,
+      initialized: false,
+
+      // Register the handshake authentication and every client event
       initialize: function() {
-        // Configure Socket.IO for better CORS and error handling
-        io.engine.on("connection_error", (err) => {
-          console.error('Socket.IO engine connection error:', err.code, err.message, err.context);
-        });
-        
+        if (this.initialized) {
+          return;
+        }
+        this.initialized = true;
+
+        // Broadcasts reach sockets on every instance through the adapter
+        const adapter = getRealtimeAdapter();
+        adapter.attach(io);
+        this.presence = adapter.presence;
+
+        // Identify every connection from the Firebase ID token sent with the handshake
+        io.use(authenticateSocket);
+
         io.on('connection', (socket) => {
-          console.log(`Socket connected: ${socket.id}`);
-          
+          const user = socket.data.user;
+          const providerId = socket.data.providerId;
+          const crewMemberId = socket.data.crewMemberId;
+
+          console.log(`Socket connected: ${socket.id}, transport: ${socket.conn.transport.name}, user: ${user ? user.uid : 'anonymous'}, provider: ${providerId || 'none'}`);
+
+          // Identity comes from the handshake token, so the personal rooms are joined right away
+          this.presenceEntries(socket).forEach(({ kind, id, room }) => {
+            socket.join(room);
+            this.presence.add(kind, id, socket.id).catch(error => {
+              console.error(`Error recording presence of ${kind} ${id}:`, error.message);
+            });
+
+            // Notifications may have arrived while the client was away
+            notificationService.getUnreadCount({ type: kind, id: id.toString() })
+              .then(count => this.reply(socket, 'notificationUnreadCount', {
+                recipient: kind,
+                count,
+                timestamp: new Date().toISOString()
+              }))
+              .catch(error => {
+                console.error(`Error counting unread notifications of ${kind} ${id}:`, error.message);
+              });
+          });
+
+          // Hospital staff hear about trips starting to head their way
+          if (user && user.hospitalId) {
+            socket.join(ROOMS.hospital(user.hospitalId));
+          }
+
           // Set up error handler for this socket
           socket.on('error', (err) => {
             console.error(`Error on socket ${socket.id}:`, err);
           });
-          
-          // Handle user authentication
-          socket.on('authenticateUser', (userId) => {
-            if (!userId) {
-              console.warn('Received invalid userId in authenticateUser');
+
+          // Confirm the user identity verified in the handshake. The ID the client
+          // sends only has to agree with it.
+          socket.on('authenticateUser', (requestedUserId) => {
+            if (!user || requestedUserId !== user.uid) {
+              console.warn(`Rejected authenticateUser(${requestedUserId}) on socket ${socket.id} authenticated as ${user ? user.uid : 'nobody'}`);
+              this.reply(socket, 'authenticationFailed', {
+                type: 'user',
+                message: user ? 'User ID does not match the signed-in user' : 'Sign in required'
+              });
               return;
             }
-            
-            console.log(`User authenticated: ${userId} (socket: ${socket.id})`);
-            
-            // Track this socket
-            this.userSockets[userId] = socket.id;
-            this.socketUsers[socket.id] = userId;
-            
-            // Join user-specific room
-            socket.join(`user-${userId}`);
-            
-            // Also join the all-users room for global broadcasts
-            socket.join('all-users');
-            
-            // Confirm successful authentication to the client
-            socket.emit('authenticationConfirmed', { type: 'user', userId: userId });
+
+            console.log(`User authenticated: ${user.uid} (socket: ${socket.id})`);
+            this.reply(socket, 'authenticationConfirmed', { type: 'user', userId: user.uid });
           });
-          
-          // Handle provider authentication
-          socket.on('authenticateProvider', (providerId) => {
-            if (!providerId) {
-              console.warn('Received invalid providerId in authenticateProvider');
+
+          // Confirm the provider identity. Clients identify with either their
+          // provider ID or Firebase UID, which must belong to the signed-in user.
+          socket.on('authenticateProvider', (requestedId) => {
+            if (!providerId || (requestedId !== providerId && requestedId !== user.uid)) {
+              console.warn(`Rejected authenticateProvider(${requestedId}) on socket ${socket.id} authenticated as ${providerId || (user ? user.uid : 'nobody')}`);
+              this.reply(socket, 'authenticationFailed', {
+                type: 'provider',
+                message: providerId ? 'Provider ID does not match the signed-in provider' : 'Sign in as a provider required'
+              });
               return;
             }
-            
+
             console.log(`Provider authenticated: ${providerId} (socket: ${socket.id})`);
-            
-            // Track this socket
-            this.providerSockets[providerId] = socket.id;
-            this.socketProviders[socket.id] = providerId;
-            
-            // Join provider-specific room and providers group
-            socket.join(`provider-${providerId}`);
-            socket.join('providers');
-            
-            // Also automatically join new-trip-requests room
-            socket.join('new-trip-requests');
-            
-            // Confirm successful authentication to the client
-            socket.emit('authenticationConfirmed', { 
-              type: 'provider', 
-              providerId: providerId,
+            this.reply(socket, 'authenticationConfirmed', {
+              type: 'provider',
+              providerId,
               message: 'Successfully authenticated as provider'
             });
-            
-            // Also confirm new trip request subscription
-            socket.emit('subscriptionConfirmed', { 
-              type: 'newTrips',
-              success: true,
-              message: 'Automatically subscribed to new trip requests as a provider'
-            });
           });
-          
-          // Handle trip request subscription
-          socket.on('subscribeTripUpdates', ({ tripId }) => {
+
+          // Follow a trip, only for the trip's patient and provider. Clients that
+          // saw events of the trip before resume after the last one.
+          socket.on('subscribeTripUpdates', async ({ tripId, epoch, resumeFrom } = {}) => {
             if (!tripId) {
               console.warn('Received invalid tripId in subscribeTripUpdates');
               return;
             }
-            
+
+            try {
+              if (!(await canAccessTrip(socket, tripId))) {
+                console.warn(`Socket ${socket.id} is not allowed to follow trip ${tripId}`);
+                this.reply(socket, 'subscriptionConfirmed', { type: 'trip', tripId, success: false, message: 'Not authorized to follow this trip' });
+                return;
+              }
+            } catch (error) {
+              console.error(`Error authorizing trip ${tripId} subscription (socket: ${socket.id}):`, error.message);
+              this.reply(socket, 'subscriptionConfirmed', { type: 'trip', tripId, success: false, message: 'Subscription failed' });
+              return;
+            }
+
             console.log(`Subscribing to trip ${tripId} updates (socket: ${socket.id})`);
-            socket.join(`trip-${tripId}`);
-            
-            // Confirm successful subscription to the client
-            socket.emit('subscriptionConfirmed', { type: 'trip', tripId: tripId, success: true });
+            socket.join(ROOMS.trip(tripId));
+
+            try {
+              // Read the log after joining: later events arrive live, earlier ones are replayed
+              if (typeof resumeFrom === 'number') {
+                await this.replayTripEvents(socket, tripId, epoch, resumeFrom);
+              }
+
+              const { epoch: currentEpoch, seq } = await realtimeLogService.getPosition(tripId);
+              this.reply(socket, 'subscriptionConfirmed', { type: 'trip', tripId, success: true, epoch: currentEpoch, seq });
+            } catch (error) {
+              // Live events still arrive; the client reloads the trip to fill the gap
+              console.error(`Error reading the event log of trip ${tripId}:`, error.message);
+              this.reply(socket, 'tripResync', { tripId, epoch: null, seq: 0 });
+            }
+          });
+
+          socket.on('unsubscribeTripUpdates', ({ tripId } = {}) => {
+            if (!tripId) return;
+
+            console.log(`Unsubscribing from trip ${tripId} updates (socket: ${socket.id})`);
+            socket.leave(ROOMS.trip(tripId));
           });
-          
-          // Handle subscription to new trip requests (for providers)
+
+          // Trip offers go to the provider's own room, so this only confirms it is joined
           socket.on('subscribeNewTrips', () => {
-            console.log(`Subscribing to new trip requests (socket: ${socket.id})`);
-            
-            // Check if this socket belongs to a provider
-            const providerId = this.socketProviders[socket.id];
-            
-            if (providerId) {
-              // Join a special room for this provider to receive new trip requests
-              socket.join('new-trip-requests');
-              
-              // Confirm subscription
-              socket.emit('subscriptionConfirmed', { 
-                type: 'newTrips',
-                success: true,
-                message: 'Successfully subscribed to new trip requests'
-              });
-              
-              console.log(`Provider ${providerId} subscribed to new trip requests`);
-            } else {
+            if (!providerId) {
               console.warn(`Socket ${socket.id} tried to subscribe to new trips but is not authenticated as a provider`);
-              socket.emit('subscriptionConfirmed', { 
+              this.reply(socket, 'subscriptionConfirmed', {
                 type: 'newTrips',
                 success: false,
                 message: 'Authentication as provider required'
               });
+              return;
             }
+
+            console.log(`Provider ${providerId} subscribed to new trip requests`);
+            this.reply(socket, 'subscriptionConfirmed', {
+              type: 'newTrips',
+              success: true,
+              message: 'Successfully subscribed to new trip requests'
+            });
           });
-          
-          // Handle unsubscribe from new trip requests
+
           socket.on('unsubscribeNewTrips', () => {
+            // Offers keep arriving in the provider room; the client stops listening
             console.log(`Unsubscribing from new trip requests (socket: ${socket.id})`);
-            socket.leave('new-trip-requests');
           });
-          
-          // Handle ambulance status subscription
+
+          // Handle a provider declining the trip currently offered to them
+          socket.on('declineTrip', async ({ tripId, reason } = {}, callback) => {
+            const respond = typeof callback === 'function' ? callback : () => {};
+
+            if (!providerId || !tripId) {
+              console.warn(`Socket ${socket.id} sent an invalid declineTrip request`);
+              respond({ success: false, message: 'Authentication as provider and a trip ID are required' });
+              return;
+            }
+
+            try {
+              await dispatchService.declineOffer(tripId, providerId, reason, this, 'SOCKET');
+              respond({ success: true, tripId });
+            } catch (error) {
+              console.error(`Error declining trip ${tripId} over socket:`, error.message);
+              respond({ success: false, message: error.message });
+            }
+          });
+
+          // Availability of ambulances, for the public map
           socket.on('subscribeAmbulanceStatus', () => {
             console.log(`Subscribing to ambulance status updates (socket: ${socket.id})`);
-            socket.join('ambulance-status-updates');
-            
-            // Confirm successful subscription to the client
-            socket.emit('subscriptionConfirmed', { type: 'ambulanceStatus' });
+            socket.join(ROOMS.AMBULANCE_STATUS);
+            this.reply(socket, 'subscriptionConfirmed', { type: 'ambulanceStatus', success: true });
+          });
+
+          // Position of one ambulance, without the trip it is serving. Only for
+          // its provider and crew and those of a trip it is serving.
+          socket.on('subscribeAmbulanceLocation', async (ambulanceId) => {
+            if (!ambulanceId) return;
+
+            try {
+              if (!(await canFollowAmbulance(socket, ambulanceId))) {
+                console.warn(`Socket ${socket.id} is not allowed to follow ambulance ${ambulanceId}`);
+                this.reply(socket, 'subscriptionConfirmed', { type: 'ambulance', ambulanceId, success: false, message: 'Not authorized to follow this ambulance' });
+                return;
+              }
+            } catch (error) {
+              console.error(`Error authorizing ambulance ${ambulanceId} subscription (socket: ${socket.id}):`, error.message);
+              this.reply(socket, 'subscriptionConfirmed', { type: 'ambulance', ambulanceId, success: false, message: 'Subscription failed' });
+              return;
+            }
+
+            console.log(`Client ${socket.id} subscribed to location updates for ambulance ${ambulanceId}`);
+            socket.join(ROOMS.ambulance(ambulanceId));
+            this.reply(socket, 'subscriptionConfirmed', { type: 'ambulance', ambulanceId, success: true });
+          });
+
+          socket.on('unsubscribeAmbulanceLocation', (ambulanceId) => {
+            if (!ambulanceId) return;
+
+            socket.leave(ROOMS.ambulance(ambulanceId));
           });
-          
+
+          // Location fixes from the crew, only for ambulances of the signed-in provider
+          socket.on('updateAmbulanceLocation', async (data, callback) => {
+            const respond = (result) => {
+              if (typeof callback === 'function') callback(result);
+            };
+
+            if (!data || !data.ambulanceId || !data.location) {
+              console.warn(`Invalid ambulance location update from socket ${socket.id}`, data);
+              return respond({ accepted: false, error: 'ambulanceId and location are required' });
+            }
+
+            if (!providerId && !crewMemberId) {
+              console.warn(`Unauthenticated location update for ambulance ${data.ambulanceId} from socket ${socket.id}`);
+              return respond({ accepted: false, error: 'Not authorized, a provider or crew token is required' });
+            }
+
+            try {
+              const result = await trackingService.ingestLocation(data.ambulanceId, data.location, {
+                providerId,
+                crewMemberId,
+                source: 'SOCKET',
+                socketService: this
+              });
+
+              respond(result);
+            } catch (error) {
+              console.error(`Error handling location update for ambulance ${data.ambulanceId} from socket ${socket.id}:`, error.message);
+              respond({ accepted: false, error: error.status ? error.message : 'Location update failed' });
+            }
+          });
+
           // Handle explicit ping to check connection health
           socket.on('ping', (callback) => {
+            const response = { time: new Date().toISOString(), healthy: true };
+
             if (typeof callback === 'function') {
-              callback({ time: new Date().toISOString(), healthy: true });
+              callback({ ...response, socketId: socket.id, transport: socket.conn.transport.name });
             } else {
-              socket.emit('pong', { time: new Date().toISOString(), healthy: true });
+              this.reply(socket, 'pong', response);
             }
           });
-          
+
           // Handle disconnect
           socket.on('disconnect', (reason) => {
             console.log(`Socket disconnected: ${socket.id}, reason: ${reason}`);
-            
-            // Clean up user tracking
-            const userId = this.socketUsers[socket.id];
-            if (userId) {
-              console.log(`User ${userId} disconnected`);
-              delete this.userSockets[userId];
-              delete this.socketUsers[socket.id];
-            }
-            
-            // Clean up provider tracking
-            const providerId = this.socketProviders[socket.id];
-            if (providerId) {
-              console.log(`Provider ${providerId} disconnected`);
-              delete this.providerSockets[providerId];
-              delete this.socketProviders[socket.id];
-            }
+
+            this.presenceEntries(socket).forEach(({ kind, id }) => {
+              this.presence.remove(kind, id, socket.id).catch(error => {
+                console.error(`Error clearing presence of ${kind} ${id}:`, error.message);
+              });
+            });
           });
         });
-        
+
+        // Keep the presence of this instance's connections from expiring
+        const presenceInterval = setInterval(() => {
+          const entries = [];
+
+          io.of('/').sockets.forEach(socket => {
+            this.presenceEntries(socket).forEach(({ kind, id }) => entries.push({ kind, id, socketId: socket.id }));
+          });
+
+          this.presence.refresh(entries).catch(error => {
+            console.error('Error refreshing presence:', error.message);
+          });
+        }, PRESENCE_REFRESH_MS);
+
         // Log total socket connections every 5 minutes for monitoring
-        setInterval(() => {
-          const totalConnections = io.engine.clientsCount;
-          const userCount = Object.keys(this.userSockets).length;
-          const providerCount = Object.keys(this.providerSockets).length;
-          
-          console.log(`Socket.IO stats: ${totalConnections} total connections (${userCount} users, ${providerCount} providers)`);
+        const statsInterval = setInterval(async () => {
+          try {
+            const totalConnections = io.engine.clientsCount;
+            const userCount = await this.getConnectedUserCount();
+            const providerCount = await this.getConnectedProviderCount();
+
+            console.log(`Socket.IO stats: ${totalConnections} connections on this instance (${userCount} users, ${providerCount} providers overall)`);
+          } catch (error) {
+            console.error('Error collecting Socket.IO stats:', error.message);
+          }
         }, 5 * 60 * 1000);
+
+        // Don't keep the process alive just for these
+        presenceInterval.unref();
+        statsInterval.unref();
       },
-      
-      // Trip-related events
-      emitNewTripRequest: function(trip) {
-        try {
-          if (!trip || !trip._id) {
-            console.warn('Invalid trip data provided to emitNewTripRequest');
-            return false;
-          }
-          
-          // If trip doesn't have a providerId, broadcast to all providers
-          if (!trip.providerId) {
-            console.log(`Broadcasting new trip request ${trip._id} to all providers`);
-            
-            // Broadcast to all providers
-            io.to('providers').emit('newTripRequest', trip);
-            io.to('new-trip-requests').emit('newTripRequest', trip);
-            
-            // Also emit as notification
-            const notificationData = {
-              type: 'NEW_TRIP_REQUEST',
-              tripId: trip._id,
-              message: 'New trip request received',
-              trip: trip
-            };
-            
-            io.to('providers').emit('notification', notificationData);
-            io.to('new-trip-requests').emit('notification', notificationData);
-            
-            console.log(`Broadcasted new trip request ${trip._id} to all providers`);
-            return true;
+
+      // Identities of a socket that count as present, with their personal room
+      presenceEntries: function(socket) {
+        const entries = [];
+
+        if (socket.data.user) {
+          entries.push({ kind: 'user', id: socket.data.user.uid, room: ROOMS.user(socket.data.user.uid) });
+        }
+
+        if (socket.data.providerId) {
+          entries.push({ kind: 'provider', id: socket.data.providerId, room: ROOMS.provider(socket.data.providerId) });
+        }
+
+        return entries;
+      },
+
+      /**
+       * Take a trip away from the sockets of an offer's provider and crew once
+       * the offer is closed, and the offered ambulance's position away from the
+       * trip's patient, on every instance. Whoever the trip moved on to keeps it.
+       * @param {Object} trip Trip, after moving on from the offer
+       * @param {Object} offer The declined, expired or withdrawn offer
+       */
+      revokeOfferAccess: async function(trip, offer) {
+        const tripRoom = ROOMS.trip(trip._id.toString());
+        const currentAmbulanceId = toId(trip.ambulanceId);
+
+        if (toId(trip.providerId) !== offer.providerId.toString()) {
+          io.in(ROOMS.provider(offer.providerId.toString())).socketsLeave(tripRoom);
+        }
+
+        const crew = await CrewMember.find({ ambulanceIds: offer.ambulanceId }).select('firebaseId ambulanceIds');
+        crew
+          .filter(member => !member.ambulanceIds.some(id => id.toString() === currentAmbulanceId))
+          .forEach(member => io.in(ROOMS.user(member.firebaseId)).socketsLeave(tripRoom));
+
+        if (offer.ambulanceId.toString() !== currentAmbulanceId) {
+          io.in(ROOMS.user(trip.userId)).socketsLeave(ROOMS.ambulance(offer.ambulanceId.toString()));
+        }
+      },
+
+      /**
+       * Stop the patient and destination hospital of a finished trip following
+       * its ambulance, on every instance
+       * @param {Object} trip Completed or cancelled trip
+       */
+      revokeAmbulanceFollowers: function(trip) {
+        if (!trip.ambulanceId) {
+          return;
+        }
+
+        const ambulanceRoom = ROOMS.ambulance(toId(trip.ambulanceId));
+        const followers = [ROOMS.user(trip.userId)];
+        if (trip.destinationHospitalId) {
+          followers.push(ROOMS.hospital(toId(trip.destinationHospitalId)));
+        }
+
+        io.in(followers).socketsLeave(ambulanceRoom);
+      },
+
+      /**
+       * Emit a catalogue event to rooms. Sockets in several of the rooms get it once.
+       * @param {Array<String>} rooms Room names (see ROOMS)
+       * @param {String} event Event name from SERVER_EVENTS
+       * @param {Object} data Payload
+       * @param {Object} meta Delivery metadata of sequenced events (optional)
+       * @returns {Boolean} Whether the event was sent
+       */
+      send: function(rooms, event, data, meta = null) {
+        if (!SERVER_EVENTS[event]) {
+          console.error(`Refusing to emit ${event}: it is not in the event catalogue`);
+          return false;
+        }
+
+        const targets = rooms.filter(Boolean);
+        if (targets.length === 0) {
+          return false;
+        }
+
+        if (VALIDATE_PAYLOADS) {
+          const problems = validateServerEvent(event, data);
+          if (problems.length > 0) {
+            console.warn(`Payload of ${event} does not match the event catalogue: ${problems.join(', ')}`);
           }
-          
-          // Otherwise, handle single provider case
-          console.log(`Emitting new trip request: ${trip._id} to provider ${trip.providerId}`);
-          
-          // Make sure trip providerId is always a string
-          const providerId = typeof trip.providerId === 'object' ? trip.providerId._id.toString() : trip.providerId.toString();
-          
-          // Try multiple channels to ensure notification is delivered
-          
-          // 1. Check if provider is connected and send direct notification
-          const providerSocketId = this.providerSockets[providerId];
-          if (providerSocketId) {
-            console.log(`Provider ${providerId} is connected with socket ${providerSocketId}, sending direct notification`);
-            
-            // Send directly to their socket
-            io.to(providerSocketId).emit('newTripRequest', trip);
-            
-            // Also emit a general notification
-            io.to(providerSocketId).emit('notification', {
-              type: 'NEW_TRIP_REQUEST',
-              tripId: trip._id,
-              message: 'New trip request received',
-              trip: trip
-            });
+        }
+
+        try {
+          if (meta) {
+            io.to(targets).emit(event, data, meta);
           } else {
-            console.log(`Provider ${providerId} is not connected, using room-based delivery`);
+            io.to(targets).emit(event, data);
           }
-          
-          // 2. Send to the provider's room (works whether they're connected or not)
-          io.to(`provider-${providerId}`).emit('newTripRequest', trip);
-          
-          // 3. Also broadcast to all provider sockets as a fallback (with filtering on client)
-          io.to('providers').emit('newTripRequest', trip);
-          
-          // 4. Send to all sockets subscribed to new trip requests
-          io.to('new-trip-requests').emit('newTripRequest', trip);
-          
-          // 5. Create a persistent notification record in case socket delivery fails
-          const notificationData = {
-            type: 'NEW_TRIP_REQUEST',
-            tripId: trip._id,
-            providerId: providerId,
-            timestamp: new Date().toISOString(),
-            trip: trip // Include full trip data
-          };
-          
-          // Emit multiple notification types for redundancy
-          io.to(`provider-${providerId}`).emit('notification', notificationData);
-          io.to('new-trip-requests').emit('notification', notificationData);
-          io.to('providers').emit('notification', notificationData);
-          
-          // 6. Send a delayed second notification for better chances of reception
-          setTimeout(() => {
-            try {
-              console.log(`Sending delayed notification for trip request ${trip._id} to provider ${providerId}`);
-              io.to(`provider-${providerId}`).emit('newTripRequest', trip);
-              io.to(`provider-${providerId}`).emit('notification', notificationData);
-              io.to('providers').emit('newTripRequest', trip);
-            } catch (err) {
-              console.error('Error sending delayed notification:', err);
-            }
-          }, 1000);
-          
-          // Log success
-          console.log(`New trip request ${trip._id} notification sent to provider ${providerId} via multiple channels`);
-          
           return true;
         } catch (error) {
-          console.error('Error in emitNewTripRequest:', error);
+          console.error(`Error emitting ${event} to ${targets.join(', ')}:`, error);
           return false;
         }
       },
-      
+
+      /**
+       * Emit a sequenced trip event: it is numbered, kept in the trip's log and
+       * sent with its delivery metadata as second argument
+       * @param {String} tripId Trip ID
+       * @param {Array<String>} rooms Room names (see ROOMS)
+       * @param {String} event Event name from SERVER_EVENTS
+       * @param {Object} data Payload
+       * @returns {Boolean} Whether the event was accepted; it is sent once logged
+       */
+      sendToTrip: function(tripId, rooms, event, data) {
+        if (!SERVER_EVENTS[event] || !SERVER_EVENTS[event].sequenced) {
+          console.error(`Refusing to emit ${event} for trip ${tripId}: it is not a sequenced event`);
+          return false;
+        }
+
+        realtimeLogService.append(tripId, event, data)
+          .then(meta => this.send(rooms, event, data, meta))
+          .catch(error => {
+            // Deliver it anyway; clients that reconnect later reload the trip
+            console.error(`Error logging ${event} of trip ${tripId}:`, error.message);
+            this.send(rooms, event, data);
+          });
+
+        return true;
+      },
+
+      // Send a reconnecting socket the events of a trip it missed, or tell it to
+      // reload the trip when they are no longer in the log
+      replayTripEvents: async function(socket, tripId, epoch, seq) {
+        const { complete, events, position } = await realtimeLogService.getEventsSince(tripId, epoch, seq);
+
+        if (!complete) {
+          console.log(`Events of trip ${tripId} after ${epoch}#${seq} are gone, asking socket ${socket.id} to resync`);
+          this.reply(socket, 'tripResync', position);
+          return;
+        }
+
+        if (events.length > 0) {
+          console.log(`Replaying ${events.length} events of trip ${tripId} to socket ${socket.id}`);
+        }
+
+        events.forEach(entry => {
+          socket.emit(entry.event, entry.payload, { tripId: position.tripId, epoch: position.epoch, seq: entry.seq });
+        });
+      },
+
+      // Answer a single socket
+      reply: function(socket, event, data) {
+        if (!SERVER_EVENTS[event]) {
+          console.error(`Refusing to emit ${event}: it is not in the event catalogue`);
+          return false;
+        }
+
+        socket.emit(event, data);
+        return true;
+      },
+
+      // Rooms of everyone involved in a trip
+      tripRooms: function(tripId, userId, providerId) {
+        return [
+          ROOMS.trip(tripId),
+          userId ? ROOMS.user(userId) : null,
+          providerId ? ROOMS.provider(providerId) : null
+        ];
+      },
+
+      // Trip-related events
+      emitNewTripRequest: function(trip) {
+        if (!trip || !trip._id || !trip.providerId) {
+          console.warn('Invalid trip data provided to emitNewTripRequest');
+          return false;
+        }
+
+        // Trips are offered to one provider at a time, so only that provider hears about it
+        const providerId = toId(trip.providerId);
+
+        console.log(`Emitting trip offer ${trip._id} to provider ${providerId}`);
+
+        // The provider's notification comes from the notification service
+        return this.send([ROOMS.provider(providerId)], 'newTripRequest', trip);
+      },
+
+      emitTripOfferWithdrawn: function(providerId, tripId, reason) {
+        if (!providerId || !tripId) {
+          console.warn('Invalid data provided to emitTripOfferWithdrawn');
+          return false;
+        }
+
+        console.log(`Withdrawing trip offer ${tripId} from provider ${providerId} (${reason})`);
+
+        return this.send([ROOMS.provider(providerId)], 'tripOfferWithdrawn', {
+          tripId,
+          reason,
+          timestamp: new Date().toISOString()
+        });
+      },
+
       emitTripUpdate: function(tripId, tripData) {
         if (!tripId || !tripData) {
           console.error('Invalid trip ID or data for socket emission');
-          return;
+          return false;
         }
-        
+
         console.log(`Emitting trip update for trip ${tripId}`);
-        
-        try {
-          // Extract provider and user IDs
-          const providerId = tripData.providerId && 
-            (typeof tripData.providerId === 'object' ? 
-              tripData.providerId._id.toString() : 
-              tripData.providerId.toString());
-            
-          const userId = tripData.userId && 
-            (typeof tripData.userId === 'object' ? 
-              tripData.userId._id.toString() : 
-              tripData.userId.toString());
-          
-          // 1. Emit to trip-specific room
-          io.to(`trip-${tripId}`).emit(`tripUpdate:${tripId}`, tripData);
-          
-          // 2. Emit to global trip updates channel
-          io.emit('tripUpdated', tripData);
-          
-          // 3. Emit directly to user and provider rooms
-          if (userId) {
-            console.log(`Emitting direct update to user ${userId} for trip ${tripId}`);
-            io.to(`user-${userId}`).emit('tripUpdated', tripData);
-            
-            // Also emit on user-specific trip channel
-            io.to(`user-${userId}`).emit(`tripUpdate:${tripId}`, tripData);
-          }
-          
-          if (providerId) {
-            console.log(`Emitting direct update to provider ${providerId} for trip ${tripId}`);
-            io.to(`provider-${providerId}`).emit('tripUpdated', tripData);
-          }
-          
-          // 4. For critical transitions like ACCEPTED, add extra emissions
-          if (tripData.status === 'ACCEPTED') {
-            console.log(`Emitting special ACCEPTED update for trip ${tripId}`);
-            
-            // Emit on special 'tripAccepted' channel
-            io.emit(`tripAccepted:${tripId}`, tripData);
-            
-            // Emit to userId directly on multiple channels
-            if (userId) {
-              io.to(`user-${userId}`).emit('tripAccepted', {
-                tripId: tripId,
-                status: 'ACCEPTED',
-                trip: tripData
-              });
-              
-              // Also send as notification
-              io.to(`user-${userId}`).emit('notification', {
-                type: 'TRIP_STATUS_UPDATE',
-                title: 'Trip Accepted',
-                message: 'Your ambulance request has been accepted',
-                tripId: tripId,
-                trip: tripData,
-                status: 'ACCEPTED'
-              });
-            }
-          }
-          
-          return true;
-        } catch (error) {
-          console.error('Error emitting trip update:', error);
+
+        return this.sendToTrip(
+          tripId,
+          this.tripRooms(tripId, toId(tripData.userId), toId(tripData.providerId)),
+          'tripUpdated',
+          tripData
+        );
+      },
+
+      emitTripStatusChanged: function(tripId, oldStatus, newStatus, tripData = null) {
+        if (!tripId || !oldStatus || !newStatus) {
+          console.warn('Invalid data provided to emitTripStatusChanged');
           return false;
         }
+
+        console.log(`Emitting trip status changed: ${tripId} (${oldStatus} -> ${newStatus})`);
+
+        const userId = tripData ? toId(tripData.userId) : null;
+        const providerId = tripData ? toId(tripData.providerId) : null;
+
+        return this.sendToTrip(tripId, this.tripRooms(tripId, userId, providerId), 'tripStatusChanged', {
+          tripId,
+          oldStatus,
+          newStatus,
+          trip: tripData,
+          timestamp: new Date().toISOString()
+        });
       },
 
-        emitTripStatusChanged: function(tripId, oldStatus, newStatus, tripData = null) {
-        try {
-          if (!tripId || !oldStatus || !newStatus) {
-            console.warn('Invalid data provided to emitTripStatusChanged');
-            return false;
-          }
-          
-          console.log(`Emitting trip status changed: ${tripId} (${oldStatus} -> ${newStatus})`);
-          
-          // Create the status update data
-          const statusData = {
-            tripId,
-            oldStatus,
-            newStatus,
-            trip: tripData, // Include full trip data if available
-            timestamp: new Date().toISOString()
-          };
-          
-          // 1. Emit to trip-specific room
-          io.to(`trip-${tripId}`).emit('tripStatusChanged', statusData);
-          
-          // 2. Emit to global status changed channel
-          io.emit('tripStatusChanged', statusData);
-          
-          // 3. If we have trip data, emit to specific user and provider
-          if (tripData) {
-            // Extract user and provider IDs
-            const userId = tripData.userId && 
-              (typeof tripData.userId === 'object' ? 
-                tripData.userId._id.toString() : 
-                tripData.userId.toString());
-                
-            const providerId = tripData.providerId && 
-              (typeof tripData.providerId === 'object' ? 
-                tripData.providerId._id.toString() : 
-                tripData.providerId.toString());
-            
-            // Emit to user room
-            if (userId) {
-              console.log(`Emitting status change to user ${userId}: ${oldStatus} -> ${newStatus}`);
-              io.to(`user-${userId}`).emit('tripStatusChanged', statusData);
-              
-              // Also send as notification
-              this.emitNotification(userId, {
-                type: 'TRIP_STATUS_UPDATE',
-                title: `Trip Status: ${newStatus}`,
-                message: `Your trip status has changed to ${newStatus}`,
-                tripId: tripId,
-                userId: userId,
-                status: newStatus,
-                trip: tripData
-              });
-            }
-            
-            // Emit to provider room
-            if (providerId) {
-              console.log(`Emitting status change to provider ${providerId}: ${oldStatus} -> ${newStatus}`);
-              io.to(`provider-${providerId}`).emit('tripStatusChanged', statusData);
-            }
-          }
-          
-          // 4. For important status transitions, add specific event emissions
-          if (newStatus === 'ACCEPTED') {
-            // For ACCEPTED status, emit on special channel
-            io.to(`trip-${tripId}`).emit(`tripAccepted:${tripId}`, tripData);
-            io.emit('tripAccepted', { tripId, trip: tripData });
-          }
-          
-          // 5. Also update using the standard trip update method for redundancy
-          if (tripData) {
-            this.emitTripUpdate(tripId, tripData);
-          }
-          
-          return true;
-        } catch (error) {
-          console.error('Error in emitTripStatusChanged:', error);
+      emitTripCancelled: function(tripId, userId, providerId, cancelledBy = 'system') {
+        if (!tripId) {
+          console.warn('Invalid tripId provided to emitTripCancelled');
           return false;
         }
+
+        console.log(`Emitting trip cancelled: ${tripId}`);
+
+        return this.sendToTrip(tripId, this.tripRooms(tripId, toId(userId), toId(providerId)), 'tripCancelled', {
+          tripId,
+          cancelledBy,
+          timestamp: new Date().toISOString()
+        });
       },
-      
-      emitTripCancelled: function(tripId, userId, providerId) {
-        try {
-          if (!tripId) {
-            console.warn('Invalid tripId provided to emitTripCancelled');
-            return false;
-          }
-          
-          console.log(`Emitting trip cancelled: ${tripId}`);
-          
-          // Notify anyone subscribed to this trip
-          io.to(`trip-${tripId}`).emit('tripCancelled', { tripId });
-          
-          // Also notify the provider specifically
-          if (providerId) {
-            io.to(`provider-${providerId}`).emit('tripCancelled', { 
-              tripId,
-              cancelledBy: userId ? 'user' : 'system'
-            });
-          }
-          
-          // Notify the user specifically
-          if (userId) {
-            io.to(`user-${userId}`).emit('tripCancelled', { 
-              tripId,
-              cancelledBy: providerId ? 'provider' : 'system'
-            });
-          }
-          
-          return true;
-        } catch (error) {
-          console.error('Error in emitTripCancelled:', error);
+
+      emitTripPaymentUpdated: function(trip, payment) {
+        if (!trip || !trip._id || !payment) {
+          console.warn('Invalid data provided to emitTripPaymentUpdated');
           return false;
         }
+
+        const tripId = toId(trip._id);
+
+        console.log(`Emitting payment ${payment._id} of trip ${tripId}: ${payment.method} ${payment.status}`);
+
+        return this.sendToTrip(tripId, this.tripRooms(tripId, toId(trip.userId), toId(trip.providerId)), 'tripPaymentUpdated', {
+          tripId,
+          paymentId: toId(payment._id),
+          method: payment.method,
+          status: payment.status,
+          amount: payment.amount,
+          currency: payment.currency,
+          paymentStatus: trip.paymentStatus,
+          receiptNumber: payment.mpesa?.receiptNumber || undefined,
+          failureReason: payment.failureReason || undefined,
+          timestamp: new Date().toISOString()
+        });
       },
-      
-      // Ambulance location updates
+
+      // A milestone of the trip lifecycle (tripAccepted, ambulanceArrived, ...)
+      emitTripMilestone: function(tripId, event, status, message) {
+        return this.sendToTrip(tripId, [ROOMS.trip(tripId)], event, {
+          tripId,
+          status,
+          message,
+          timestamp: new Date().toISOString()
+        });
+      },
+
+      // Ambulance location updates. Trip followers get the full update, followers
+      // of the ambulance only its position.
       emitAmbulanceLocationUpdate: function(tripId, location, ambulanceId) {
-        try {
-          if (!tripId || !location) {
-            console.warn('Invalid data provided to emitAmbulanceLocationUpdate');
-            return false;
-          }
-          
-          console.log(`Emitting ambulance ${ambulanceId || 'unknown'} location update for trip: ${tripId}`);
-          
-          // Add timestamp to the location update
-          const locationData = {
-            ...location,
-            ambulanceId,
-            timestamp: new Date().toISOString()
-          };
-          
-          io.to(`trip-${tripId}`).emit('ambulanceLocationUpdated', locationData);
-          return true;
-        } catch (error) {
-          console.error('Error in emitAmbulanceLocationUpdate:', error);
+        if (!location || !ambulanceId) {
+          console.warn('Invalid data provided to emitAmbulanceLocationUpdate');
           return false;
         }
+
+        const timestamp = new Date().toISOString();
+        const { tripId: ignoredTripId, ...position } = location;
+
+        if (tripId) {
+          this.send([ROOMS.trip(tripId)], 'ambulanceLocationUpdated', { ...location, tripId, ambulanceId, timestamp });
+        }
+
+        return this.send([ROOMS.ambulance(ambulanceId)], 'ambulanceLocationUpdated', { ...position, ambulanceId, timestamp });
       },
-      
+
       // Ambulance status updates
       emitAmbulanceStatusUpdate: function(ambulanceId, status) {
-        try {
-          if (!ambulanceId || !status) {
-            console.warn('Invalid data provided to emitAmbulanceStatusUpdate');
-            return false;
-          }
-          
-          console.log(`Emitting ambulance status update: ${ambulanceId} -> ${status}`);
-          
-          // Broadcast to all clients in the ambulance-status-updates room
-          io.to('ambulance-status-updates').emit('ambulanceStatusUpdated', {
-            ambulanceId,
-            status,
-            timestamp: new Date().toISOString()
-          });
-          
-          return true;
-        } catch (error) {
-          console.error('Error in emitAmbulanceStatusUpdate:', error);
+        if (!ambulanceId || !status) {
+          console.warn('Invalid data provided to emitAmbulanceStatusUpdate');
           return false;
         }
+
+        console.log(`Emitting ambulance status update: ${ambulanceId} -> ${status}`);
+
+        return this.send([ROOMS.AMBULANCE_STATUS], 'ambulanceStatusUpdated', {
+          ambulanceId,
+          status,
+          timestamp: new Date().toISOString()
+        });
       },
-      
-      // Helper methods
-      isUserConnected: function(userId) {
-        return !!this.userSockets[userId];
+
+      // Presence, across every backend instance
+      isUserConnected: async function(userId) {
+        return this.presence.isOnline('user', userId);
       },
-      
-      isProviderConnected: function(providerId) {
-        return !!this.providerSockets[providerId];
+
+      isProviderConnected: async function(providerId) {
+        return this.presence.isOnline('provider', toId(providerId));
       },
-      
-      getConnectedUserCount: function() {
-        return Object.keys(this.userSockets).length;
+
+      getConnectedUserCount: async function() {
+        return this.presence.count('user');
       },
-      
-      getConnectedProviderCount: function() {
-        return Object.keys(this.providerSockets).length;
+
+      getConnectedProviderCount: async function() {
+        return this.presence.count('provider');
       },
-      
+
       emitToUser: function(userId, eventName, data) {
         if (!userId || !eventName) {
           console.warn('Invalid userId or eventName provided to emitToUser');
           return false;
         }
-        
-        try {
-          console.log(`Emitting ${eventName} to user ${userId}`);
-          
-          // Emit to the user's room
-          io.to(`user-${userId}`).emit(eventName, data);
-          
-          return true;
-        } catch (error) {
-          console.error(`Error in emitToUser (${eventName}):`, error);
-          return false;
-        }
+
+        return this.send([ROOMS.user(userId)], eventName, data);
       },
-      
+
       emitToProvider: function(providerId, eventName, data) {
         if (!providerId || !eventName) {
           console.warn('Invalid providerId or eventName provided to emitToProvider');
           return false;
         }
-        
-        try {
-          console.log(`Emitting ${eventName} to provider ${providerId}`);
-          
-          // Emit to the provider's room
-          io.to(`provider-${providerId}`).emit(eventName, data);
-          
-          return true;
-        } catch (error) {
-          console.error(`Error in emitToProvider (${eventName}):`, error);
-          return false;
-        }
+
+        return this.send([ROOMS.provider(toId(providerId))], eventName, data);
       },
-      
-      emit: function(eventName, data) {
-        if (!eventName) {
-          console.warn('Invalid eventName provided to emit');
+
+      // Sequenced events go through the trip's log, the rest are sent as they are
+      emitToTrip: function(tripId, eventName, data) {
+        if (!tripId || !eventName) {
+          console.warn('Invalid tripId or eventName provided to emitToTrip');
           return false;
         }
-        
-        try {
-          console.log(`Broadcasting ${eventName} to all sockets`);
-          io.emit(eventName, data);
-          return true;
-        } catch (error) {
-          console.error(`Error in emit (${eventName}):`, error);
-          return false;
+
+        if (SERVER_EVENTS[eventName]?.sequenced) {
+          return this.sendToTrip(tripId, [ROOMS.trip(tripId)], eventName, data);
         }
+
+        return this.send([ROOMS.trip(tripId)], eventName, data);
       },
-      
-      emitToRoom: function(roomName, eventName, data) {
-        if (!roomName || !eventName) {
-          console.warn('Invalid roomName or eventName provided to emitToRoom');
+
+      // A trip started or stopped heading to a hospital (change: 'ADDED' | 'REMOVED')
+      emitInboundTripsChanged: function(hospitalId, tripId, change) {
+        if (!hospitalId || !tripId) {
+          console.warn('Invalid data provided to emitInboundTripsChanged');
           return false;
         }
-        
-        try {
-          console.log(`Emitting ${eventName} to room ${roomName}`);
-          io.to(roomName).emit(eventName, data);
-          return true;
-        } catch (error) {
-          console.error(`Error in emitToRoom (${roomName}, ${eventName}):`, error);
+
+        return this.send([ROOMS.hospital(toId(hospitalId))], 'inboundTripsChanged', {
+          hospitalId: toId(hospitalId),
+          tripId: toId(tripId),
+          change,
+          timestamp: new Date().toISOString()
+        });
+      },
+
+      // A stored notification for a person (see notificationService): a patient and/or a provider
+      emitNotification: function(notification) {
+        if (!notification || !notification.type) {
+          console.warn('Invalid notification data provided to emitNotification');
           return false;
         }
+
+        console.log(`Emitting notification: ${notification.type}`);
+
+        const { userId, providerId, ...payload } = notification;
+
+        return this.send([
+          userId ? ROOMS.user(userId) : null,
+          providerId ? ROOMS.provider(toId(providerId)) : null
+        ], 'notification', { ...payload, timestamp: new Date().toISOString() });
       },
-      
-      emitNotification: function(resourceId, notification) {
-        try {
-          if (!notification || !notification.type) {
-            console.warn('Invalid notification data provided to emitNotification');
-            return false;
-          }
-          
-          console.log(`Emitting notification: ${notification.type} for ${resourceId}`);
-          
-          // Add timestamp to notification
-          const notificationWithTimestamp = {
-            ...notification,
-            timestamp: new Date().toISOString()
-          };
-          
-          // If the notification is for a trip, send to trip room
-          if (notification.tripId) {
-            io.to(`trip-${notification.tripId}`).emit('notification', notificationWithTimestamp);
-          }
-          
-          // If we have userIds or providerIds specified, send to them directly
-          if (notification.userId) {
-            io.to(`user-${notification.userId}`).emit('notification', notificationWithTimestamp);
-          }
-          
-          if (notification.providerId) {
-            io.to(`provider-${notification.providerId}`).emit('notification', notificationWithTimestamp);
-          }
-          
-          return true;
-        } catch (error) {
-          console.error('Error in emitNotification:', error);
+
+      // Unread notifications of a recipient ({ type: 'user' | 'provider', id })
+      emitUnreadCount: function(recipient, count) {
+        if (!recipient || !recipient.id) {
+          console.warn('Invalid recipient provided to emitUnreadCount');
           return false;
         }
+
+        const room = recipient.type === 'provider' ? ROOMS.provider(toId(recipient.id)) : ROOMS.user(recipient.id);
+
+        return this.send([room], 'notificationUnreadCount', {
+          recipient: recipient.type,
+          count,
+          timestamp: new Date().toISOString()
+        });
       }
     };
-    
-    // Initialize the service
-    service.initialize();
-    
+
     return service;
-  };
\ No newline at end of file
+};
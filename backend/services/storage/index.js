@@ -0,0 +1,50 @@
+// backend/services/storage/index.js
+//
+// Pluggable file storage. Every backend exposes the same interface:
+//   save(buffer, { folder, originalName }) -> { key, size }
+//   getStream(key) -> readable stream
+//   remove(key)
+// Select one with STORAGE_BACKEND (default: local).
+
+const path = require('path');
+
+const backends = {
+  local: () => require('./localDiskStorage')({
+    root: process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads')
+  })
+};
+
+let storage = null;
+
+/**
+ * Get the configured storage backend
+ * @returns {Object} Storage backend
+ */
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_BACKEND || 'local';
+
+    if (!backends[name]) {
+      throw new Error(`Unknown storage backend: ${name}. Available: ${Object.keys(backends).join(', ')}`);
+    }
+
+    storage = backends[name]();
+    console.log(`[storage] Using ${name} storage backend`);
+  }
+
+  return storage;
+};
+
+/**
+ * Register an additional storage backend (e.g. S3) under a name
+ * @param {String} name Value of STORAGE_BACKEND that selects it
+ * @param {Function} factory Returns the backend
+ */
+const registerStorageBackend = (name, factory) => {
+  backends[name] = factory;
+};
+
+module.exports = {
+  getStorage,
+  registerStorageBackend
+};
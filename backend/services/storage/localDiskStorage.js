@@ -0,0 +1,76 @@
+// backend/services/storage/localDiskStorage.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Storage backend that keeps files on the server's disk
+ * @param {Object} options Options
+ * @param {String} options.root Directory files are stored under
+ * @returns {Object} Storage backend
+ */
+module.exports = ({ root }) => {
+  const rootDir = path.resolve(root);
+
+  // Resolve a key to a path, refusing keys that escape the storage root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    /**
+     * Save a file
+     * @param {Buffer} buffer File contents
+     * @param {Object} options Options
+     * @param {String} options.folder Sub-folder, e.g. providers/<id> (optional)
+     * @param {String} options.originalName Original file name, used for the extension
+     * @returns {Promise<Object>} { key, size }
+     */
+    async save(buffer, { folder = '', originalName = '' } = {}) {
+      const extension = path.extname(originalName).toLowerCase();
+      const key = path.posix.join(folder, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`);
+      const filePath = resolveKey(key);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+
+      console.log(`[localDiskStorage] Saved ${key} (${buffer.length} bytes)`);
+
+      return { key, size: buffer.length };
+    },
+
+    /**
+     * Open a stored file for reading
+     * @param {String} key Storage key
+     * @returns {Promise<ReadStream>} File stream
+     */
+    async getStream(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath, fs.constants.R_OK);
+      return fs.createReadStream(filePath);
+    },
+
+    /**
+     * Delete a stored file. Missing files are ignored.
+     * @param {String} key Storage key
+     */
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+  };
+};
@@ -0,0 +1,268 @@
+// backend/services/trackingService.js
+//
+// GPS ingestion for ambulances. Every location fix - over REST or the socket -
+// goes through ingestLocation, which checks the sender owns the ambulance or
+// is on its crew, drops noisy or too frequent fixes, smooths the rest, stores
+// them as the breadcrumb track of the trip being served and tells the trip room.
+
+const Ambulance = require('../models/ambulanceModel');
+const Trip = require('../models/tripModel');
+const TripTrackPoint = require('../models/tripTrackPointModel');
+const CrewMember = require('../models/crewMemberModel');
+const tripEventService = require('./tripEventService');
+const etaService = require('./etaService');
+const { calculateDistance } = require('../utils/locationUtils');
+const { ACTOR, ACTIVE_STATUSES, TRIP_STATUS } = require('../../shared/tripLifecycle');
+const { serviceError } = require('../utils/serviceErrors');
+
+// Fixes less accurate than this (metres) are dropped
+const MAX_ACCURACY_METERS = parseFloat(process.env.GPS_MAX_ACCURACY_METERS) || 100;
+
+// At most one fix per ambulance per interval is accepted
+const MIN_INTERVAL_MS = (parseFloat(process.env.GPS_MIN_INTERVAL_SECONDS) || 5) * 1000;
+
+// Smaller moves are treated as jitter of a parked ambulance...
+const MIN_DISTANCE_METERS = parseFloat(process.env.GPS_MIN_DISTANCE_METERS) || 10;
+
+// ...unless the last accepted fix is this old
+const HEARTBEAT_INTERVAL_MS = (parseFloat(process.env.GPS_HEARTBEAT_SECONDS) || 60) * 1000;
+
+// Faster moves between two fixes are GPS glitches, not driving
+const MAX_SPEED_KMH = parseFloat(process.env.GPS_MAX_SPEED_KMH) || 180;
+
+// Fixes taken longer ago than this are dropped
+const MAX_FIX_AGE_MS = 2 * 60 * 1000;
+
+// Accuracy assumed when the device doesn't report one
+const DEFAULT_ACCURACY_METERS = 20;
+
+// How far an ambulance may plausibly move per second (metres), roughly city
+// driving speed. Lower values smooth more but make the marker lag behind.
+const PROCESS_NOISE_METERS_PER_SECOND = 10;
+
+// Trips the ambulance has accepted and is driving
+const TRACKED_STATUSES = ACTIVE_STATUSES.filter(status => status !== TRIP_STATUS.REQUESTED);
+
+const optionalNumber = (value) => {
+  const number = parseFloat(value);
+  return isFinite(number) ? number : undefined;
+};
+
+/**
+ * Validate and normalise a fix sent by a device
+ * @param {Object} fix Raw fix
+ * @returns {Object} { latitude, longitude, accuracy, speed, heading, recordedAt }
+ */
+const parseFix = (fix = {}) => {
+  const latitude = parseFloat(fix.latitude);
+  const longitude = parseFloat(fix.longitude);
+
+  if (!isFinite(latitude) || !isFinite(longitude)) {
+    throw serviceError('Longitude and latitude are required', 400);
+  }
+
+  if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    throw serviceError('Longitude or latitude is out of range', 400);
+  }
+
+  const recordedAt = fix.timestamp ? new Date(fix.timestamp) : new Date();
+
+  return {
+    latitude,
+    longitude,
+    accuracy: optionalNumber(fix.accuracy),
+    speed: optionalNumber(fix.speed),
+    heading: optionalNumber(fix.heading),
+    // A device clock ahead of ours would make the track run backwards
+    recordedAt: isNaN(recordedAt.getTime()) || recordedAt > new Date() ? new Date() : recordedAt
+  };
+};
+
+/**
+ * Decide whether a fix is kept and smooth it. Smoothing is a one-dimensional
+ * Kalman filter per axis: the more accurate the fix and the longer since the
+ * last one, the more the position moves towards it.
+ * @param {Object|null} previous Smoothing state of the last accepted fix
+ * @param {Object} fix Parsed fix
+ * @returns {Object} { accepted, reason } or { accepted, state } with the new
+ *   state { latitude, longitude, variance, time }
+ */
+const filterFix = (previous, fix) => {
+  const accuracy = fix.accuracy || DEFAULT_ACCURACY_METERS;
+  const time = fix.recordedAt.getTime();
+
+  if (accuracy > MAX_ACCURACY_METERS) {
+    return { accepted: false, reason: 'INACCURATE' };
+  }
+
+  if (Date.now() - time > MAX_FIX_AGE_MS) {
+    return { accepted: false, reason: 'STALE' };
+  }
+
+  // Start over after a long gap, the old position says nothing any more
+  if (!previous?.time || time - previous.time.getTime() > MAX_FIX_AGE_MS) {
+    return {
+      accepted: true,
+      state: { latitude: fix.latitude, longitude: fix.longitude, variance: accuracy * accuracy, time: fix.recordedAt }
+    };
+  }
+
+  const elapsedMs = time - previous.time.getTime();
+
+  if (elapsedMs < MIN_INTERVAL_MS) {
+    return { accepted: false, reason: 'THROTTLED' };
+  }
+
+  const distanceKm = calculateDistance(previous.latitude, previous.longitude, fix.latitude, fix.longitude);
+
+  if (distanceKm * 1000 < MIN_DISTANCE_METERS && elapsedMs < HEARTBEAT_INTERVAL_MS) {
+    return { accepted: false, reason: 'THROTTLED' };
+  }
+
+  if (distanceKm / (elapsedMs / 3600000) > MAX_SPEED_KMH) {
+    return { accepted: false, reason: 'OUTLIER' };
+  }
+
+  const elapsedSeconds = elapsedMs / 1000;
+  const predictedVariance = previous.variance + elapsedSeconds * PROCESS_NOISE_METERS_PER_SECOND ** 2;
+  const gain = predictedVariance / (predictedVariance + accuracy * accuracy);
+
+  return {
+    accepted: true,
+    state: {
+      latitude: previous.latitude + gain * (fix.latitude - previous.latitude),
+      longitude: previous.longitude + gain * (fix.longitude - previous.longitude),
+      variance: (1 - gain) * predictedVariance,
+      time: fix.recordedAt
+    }
+  };
+};
+
+/**
+ * Take a location fix of an ambulance from its provider or one of its crew
+ * @param {String} ambulanceId Ambulance ID
+ * @param {Object} fix { latitude, longitude, accuracy, speed, heading, timestamp }
+ * @param {Object} options Options
+ * @param {String} options.providerId Provider sending the fix
+ * @param {String} options.crewMemberId Crew member sending the fix, instead of the provider
+ * @param {String} options.source REST or SOCKET
+ * @param {Object} options.socketService Socket service used for events (optional)
+ * @returns {Promise<Object>} { accepted, reason } when dropped, otherwise
+ *   { accepted, location, tripId }
+ */
+const ingestLocation = async (ambulanceId, fix, options = {}) => {
+  const { providerId, crewMemberId = null, source = 'REST', socketService = null } = options;
+  const parsed = parseFix(fix);
+
+  const ambulance = await Ambulance.findById(ambulanceId).select('providerId +tracking');
+
+  if (!ambulance) {
+    throw serviceError('Ambulance not found', 404);
+  }
+
+  // Crew members only report the position of the ambulances they are assigned to
+  if (crewMemberId) {
+    if (!(await CrewMember.exists({ _id: crewMemberId, ambulanceIds: ambulance._id, isActive: true }))) {
+      throw serviceError('Not authorized to update this ambulance', 403);
+    }
+  } else if (!providerId || ambulance.providerId.toString() !== providerId.toString()) {
+    throw serviceError('Not authorized to update this ambulance', 403);
+  }
+
+  const key = ambulance._id.toString();
+  const previous = ambulance.tracking?.time ? ambulance.tracking : null;
+  const result = filterFix(previous, parsed);
+
+  if (!result.accepted) {
+    return result;
+  }
+
+  const { state } = result;
+  const coordinates = [state.longitude, state.latitude];
+  const location = { type: 'Point', coordinates };
+
+  // Fixes of an ambulance may reach several backend instances at once. Only
+  // the one still building on the fix it read is kept; the others came
+  // within the interval of that one anyway.
+  const stored = await Ambulance.updateOne(
+    { _id: ambulance._id, 'tracking.time': previous ? previous.time : null },
+    { $set: { location, tracking: state, lastUpdated: new Date() } }
+  );
+
+  if (stored.matchedCount === 0) {
+    return { accepted: false, reason: 'THROTTLED' };
+  }
+
+  const trip = await Trip.findOne({ ambulanceId: ambulance._id, status: { $in: TRACKED_STATUSES } }).select('_id');
+
+  if (trip) {
+    await TripTrackPoint.create({
+      tripId: trip._id,
+      ambulanceId: ambulance._id,
+      location,
+      accuracy: parsed.accuracy,
+      speed: parsed.speed,
+      heading: parsed.heading,
+      source,
+      recordedAt: parsed.recordedAt
+    });
+  }
+
+  if (socketService) {
+    const update = {
+      ambulanceId: key,
+      tripId: trip ? trip._id.toString() : null,
+      location,
+      latitude: state.latitude,
+      longitude: state.longitude,
+      heading: parsed.heading,
+      speed: parsed.speed,
+      recordedAt: parsed.recordedAt.toISOString()
+    };
+
+    // Patients and providers following the trip, and anyone watching the ambulance
+    socketService.emitAmbulanceLocationUpdate(update.tripId, update, key);
+  }
+
+  // Leave a checkpoint on the timeline of the trip the ambulance is serving
+  await tripEventService.recordLocationCheckpoint(ambulance._id, coordinates, {
+    actor: crewMemberId ? ACTOR.CREW : ACTOR.PROVIDER,
+    actorId: (crewMemberId || providerId).toString(),
+    source
+  });
+
+  // Keep the patient's ETA current
+  await etaService.updateEtaForAmbulance(ambulance._id, coordinates, socketService);
+
+  return { accepted: true, location, tripId: trip ? trip._id : null };
+};
+
+/**
+ * Get the breadcrumb track of a trip
+ * @param {String} tripId Trip ID
+ * @returns {Promise<Object>} GeoJSON LineString of the route driven, with the
+ *   time of every point in properties.times
+ */
+const getTripTrack = async (tripId) => {
+  const points = await TripTrackPoint.find({ tripId })
+    .sort({ recordedAt: 1 })
+    .select('location recordedAt')
+    .lean();
+
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: points.map(point => point.location.coordinates)
+    },
+    properties: {
+      tripId: tripId.toString(),
+      times: points.map(point => point.recordedAt)
+    }
+  };
+};
+
+module.exports = {
+  ingestLocation,
+  getTripTrack
+};
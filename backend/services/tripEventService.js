@@ -0,0 +1,108 @@
+// backend/services/tripEventService.js
+
+const TripEvent = require('../models/tripEventModel');
+const Trip = require('../models/tripModel');
+const { ACTOR, ACTIVE_STATUSES, TRIP_STATUS } = require('../../shared/tripLifecycle');
+
+// Minimum time between two location checkpoints of the same ambulance
+const CHECKPOINT_INTERVAL_MS = (parseInt(process.env.TRIP_CHECKPOINT_INTERVAL_SECONDS) || 120) * 1000;
+
+// Time of the last location checkpoint, keyed by ambulance ID
+const lastCheckpoints = new Map();
+
+/**
+ * Record an entry in a trip's timeline.
+ * Failures are logged and swallowed - the audit trail must never break the trip flow.
+ * @param {String} tripId Trip ID
+ * @param {String} type Event type (see tripEventModel)
+ * @param {Object} details Event details
+ * @param {String} details.actor One of ACTOR (default: system)
+ * @param {String} details.actorId Firebase UID or provider ID (optional)
+ * @param {String} details.source REST, SOCKET or SYSTEM (default: SYSTEM)
+ * @param {*} details.previousValue Value before the change (optional)
+ * @param {*} details.newValue Value after the change (optional)
+ * @param {String} details.note Free text, e.g. a cancellation reason (optional)
+ * @returns {Promise<Object|null>} Created event or null if it could not be saved
+ */
+const recordEvent = async (tripId, type, details = {}) => {
+  const {
+    actor = ACTOR.SYSTEM,
+    actorId = null,
+    source = 'SYSTEM',
+    previousValue,
+    newValue,
+    note
+  } = details;
+
+  try {
+    return await TripEvent.create({
+      tripId,
+      type,
+      actor: {
+        role: actor,
+        id: actorId ? actorId.toString() : undefined
+      },
+      source,
+      previousValue,
+      newValue,
+      note
+    });
+  } catch (error) {
+    console.error(`[tripEventService] Failed to record ${type} event for trip ${tripId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Record where an ambulance is on the trip it is currently serving.
+ * Throttled to one checkpoint per ambulance per checkpoint interval.
+ * @param {String} ambulanceId Ambulance ID
+ * @param {Array<Number>} coordinates Ambulance coordinates [longitude, latitude]
+ * @param {Object} details Same actor/source details as recordEvent
+ * @returns {Promise<Object|null>} Created event or null if skipped
+ */
+const recordLocationCheckpoint = async (ambulanceId, coordinates, details = {}) => {
+  const key = ambulanceId.toString();
+  const now = Date.now();
+
+  if (now - (lastCheckpoints.get(key) || 0) < CHECKPOINT_INTERVAL_MS) {
+    return null;
+  }
+
+  try {
+    // Only trips the ambulance has accepted are being driven
+    const trip = await Trip.findOne({
+      ambulanceId,
+      status: { $in: ACTIVE_STATUSES.filter(status => status !== TRIP_STATUS.REQUESTED) }
+    }).select('_id');
+
+    if (!trip) {
+      return null;
+    }
+
+    lastCheckpoints.set(key, now);
+
+    return await recordEvent(trip._id, 'LOCATION_CHECKPOINT', {
+      ...details,
+      newValue: { type: 'Point', coordinates }
+    });
+  } catch (error) {
+    console.error(`[tripEventService] Failed to record location checkpoint for ambulance ${key}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Get a trip's timeline, oldest entry first
+ * @param {String} tripId Trip ID
+ * @returns {Promise<Array>} Trip events
+ */
+const getTimeline = async (tripId) => {
+  return await TripEvent.find({ tripId }).sort({ createdAt: 1, _id: 1 });
+};
+
+module.exports = {
+  recordEvent,
+  recordLocationCheckpoint,
+  getTimeline
+};
@@ -3,78 +3,67 @@
 const Trip = require('../models/tripModel');
 const Ambulance = require('../models/ambulanceModel');
 const Provider = require('../models/providerModel');
+const CrewMember = require('../models/crewMemberModel');
 const locationService = require('./locationService');
+const dispatchService = require('./dispatchService');
+const tripEventService = require('./tripEventService');
+const etaService = require('./etaService');
+const notificationService = require('./notificationService');
+const fareService = require('./fareService');
+const hospitalService = require('./hospitalService');
+const handoverService = require('./handoverService');
+const {
+  TRIP_STATUS,
+  ACTOR,
+  AMBULANCE_EFFECT,
+  applyTransition,
+  getStatusMessage
+} = require('../../shared/tripLifecycle');
 
 /**
- * Create a new trip request
- * @param {String} userId User ID (Firebase UID)
- * @param {String} ambulanceId Ambulance ID
- * @param {Object} requestLocation Request location with coordinates
- * @param {Object} patientDetails Patient details (name, phone)
- * @param {String} emergencyDetails Emergency details (optional)
- * @param {Object} destinationLocation Destination location (optional)
- * @returns {Promise<Object>} Created trip
+ * Reserve an ambulance and create the trip offered to it. The reservation is
+ * a conditional update, so of concurrent requests for the same ambulance only
+ * one gets it; if the trip can't be saved the ambulance is released again, so
+ * there is never a reservation without its trip.
+ * @param {Object} tripData Trip fields, except the ambulance, provider and offer
+ * @param {Object} selection The ambulance to reserve
+ * @param {String} selection.ambulanceId Ambulance the patient chose (DIRECT dispatch)
+ * @param {Array<Number>} selection.coordinates Pickup coordinates, to pick the best ambulance (AUTO dispatch)
+ * @param {String} selection.ambulanceType Required ambulance type (AUTO dispatch, optional)
+ * @param {Number} selection.patientCount Number of patients to carry (AUTO dispatch, default: 1)
+ * @returns {Promise<Object|null>} Created trip or null if no ambulance could be reserved
  */
-const createTripRequest = async (
-  userId,
-  ambulanceId,
-  requestLocation,
-  patientDetails,
-  emergencyDetails = '',
-  destinationLocation = null
-) => {
-  // Find the ambulance
-  const ambulance = await Ambulance.findById(ambulanceId).populate('providerId');
-  
+const createReservedTrip = async (tripData, selection) => {
+  const { ambulanceId, coordinates, ambulanceType = null, patientCount = 1 } = selection;
+
+  const ambulance = ambulanceId
+    ? await dispatchService.reserveAmbulance(ambulanceId)
+    : await dispatchService.reserveBestAmbulance(coordinates, { ambulanceType, patientCount });
+
   if (!ambulance) {
-    throw new Error('Ambulance not found');
+    return null;
   }
-  
-  // Check if ambulance is available
-  if (ambulance.status !== 'AVAILABLE') {
-    throw new Error(`Ambulance is not available (Status: ${ambulance.status})`);
-  }
-  
-  // Create the trip
-  const trip = new Trip({
-    userId,
-    ambulanceId,
-    providerId: ambulance.providerId._id,
-    status: 'REQUESTED',
-    requestLocation: {
-      type: 'Point',
-      coordinates: requestLocation.coordinates,
-      address: requestLocation.address || 'Unknown address'
-    },
-    patientDetails,
-    emergencyDetails,
-    requestTime: new Date()
-  });
-  
-  // Add destination if available
-  if (destinationLocation && destinationLocation.coordinates) {
-    trip.destinationLocation = {
-      type: 'Point',
-      coordinates: destinationLocation.coordinates,
-      address: destinationLocation.address || 'Unknown destination'
-    };
+
+  const trip = new Trip({ ...tripData, status: TRIP_STATUS.REQUESTED });
+
+  // The trip starts out as an offer to the reserved ambulance only
+  dispatchService.createOffer(trip, ambulance);
+
+  try {
+    await trip.save();
+  } catch (error) {
+    console.error(`Trip for ambulance ${ambulance._id} could not be saved, releasing the ambulance:`, error.message);
+
+    await dispatchService.releaseAmbulance(ambulance._id).catch(releaseError => {
+      console.error(`Ambulance ${ambulance._id} could not be released:`, releaseError);
+    });
+
+    throw error;
   }
-  
-  // Save the trip
-  await trip.save();
-  
-  // Update ambulance status to BUSY
-  ambulance.status = 'BUSY';
-  ambulance.lastUpdated = new Date();
-  await ambulance.save();
-  
-  // Return populated trip
-  return await Trip.findById(trip._id).populate({
-    path: 'ambulanceId',
-    populate: {
-      path: 'providerId'
-    }
-  });
+
+  console.log(`Trip ${trip._id} created for ambulance ${ambulance._id} (${ambulanceId ? 'DIRECT' : 'AUTO'} dispatch)`);
+
+  return trip;
 };
 
 /**
@@ -196,70 +185,169 @@ const getTripDetails = async (tripId) => {
 };
 
 /**
- * Update trip status
+ * Move a trip to a new status through the shared trip lifecycle.
+ * Checks the actor is allowed to make the change, stamps the status time,
+ * settles any pending dispatch offer, releases the ambulance when the trip
+ * ends and emits the lifecycle events.
  * @param {String} tripId Trip ID
  * @param {String} status New status
- * @param {String} actorId ID of user/provider making the update
- * @param {Boolean} isProvider Whether actor is a provider
- * @returns {Promise<Object>} Updated trip
+ * @param {Object} options Options
+ * @param {String} options.actor One of ACTOR (patient, provider, crew, admin, system)
+ * @param {String} options.actorId Firebase UID for patients, provider ID for providers, crew member ID for crew
+ * @param {String} options.reason Cancellation reason (optional)
+ * @param {Array<String>} options.clinicalNeeds Care the patient needs, sent on pick-up (optional)
+ * @param {String} options.source Where the change came from: REST, SOCKET or SYSTEM (default: REST)
+ * @param {Object} options.socketService Socket service used for events (optional)
+ * @returns {Promise<Object>} { trip, previousStatus, transition }
  */
-const updateTripStatus = async (tripId, status, actorId, isProvider = false) => {
-  const trip = await Trip.findById(tripId).populate('ambulanceId');
+const updateTripStatus = async (tripId, status, options = {}) => {
+  const { actor, actorId = null, reason = null, clinicalNeeds, source = 'REST', socketService = null } = options;
+  
+  const trip = await Trip.findById(tripId);
   
   if (!trip) {
-    throw new Error('Trip not found');
+    const error = new Error('Trip not found');
+    error.status = 404;
+    throw error;
   }
   
-  // Validate status change permission
-  if (isProvider) {
-    // Provider can only update trips for their ambulances
-    if (trip.providerId.toString() !== actorId.toString()) {
-      throw new Error('Not authorized to update this trip');
-    }
+  // Patients and providers may only touch their own trips
+  if (actor === ACTOR.PROVIDER && (!actorId || trip.providerId.toString() !== actorId.toString())) {
+    const error = new Error('Not authorized to update this trip');
+    error.status = 403;
+    throw error;
+  }
+  
+  if (actor === ACTOR.PATIENT && trip.userId !== actorId) {
+    const error = new Error('Not authorized to update this trip');
+    error.status = 403;
+    throw error;
+  }
+  
+  // Crew members only work the trips of the ambulances they are assigned to
+  if (actor === ACTOR.CREW) {
+    const assigned = !!actorId && !!trip.ambulanceId
+      && await CrewMember.exists({ _id: actorId, ambulanceIds: trip.ambulanceId, isActive: true });
     
-    // Validate status transitions for provider
-    validateProviderStatusTransition(trip.status, status);
-  } else {
-    // User can only update their own trips
-    if (trip.userId !== actorId) {
-      throw new Error('Not authorized to update this trip');
+    if (!assigned) {
+      const error = new Error('Not authorized to update this trip');
+      error.status = 403;
+      throw error;
     }
-    
-    // Users can only cancel trips
-    if (status !== 'CANCELLED') {
-      throw new Error('Users can only cancel trips');
+  }
+  
+  const previousStatus = trip.status;
+  const transition = applyTransition(trip, status, actor, { reason });
+  
+  // Settle the dispatch offer the trip was waiting on
+  if (previousStatus === TRIP_STATUS.REQUESTED) {
+    if (status === TRIP_STATUS.ACCEPTED && !await dispatchService.acceptOffer(trip, actorId)) {
+      const error = new Error('This trip is no longer offered to you');
+      error.status = 409;
+      throw error;
     }
     
-    // User can only cancel if trip is not yet completed
-    if (['COMPLETED', 'CANCELLED'].includes(trip.status)) {
-      throw new Error(`Cannot cancel trip with status: ${trip.status}`);
+    // The offer may have expired or been declined while the patient cancelled
+    if (status === TRIP_STATUS.CANCELLED && !await dispatchService.withdrawOffer(trip, socketService)) {
+      const error = new Error('The trip changed while it was being cancelled, please try again');
+      error.status = 409;
+      throw error;
     }
   }
   
-  // Update trip status and related timestamps
-  trip.status = status;
-  updateTimestamps(trip, status);
+  // The crew gets hospitals that can treat the patient, closest first
+  if (status === TRIP_STATUS.PICKED_UP) {
+    if (clinicalNeeds !== undefined) {
+      trip.clinicalNeeds = hospitalService.parseNeeds(clinicalNeeds);
+    }
+    
+    try {
+      await hospitalService.recommendDestinations(trip);
+    } catch (error) {
+      // The crew can still pick a destination themselves
+      console.error(`Error recommending destinations for trip ${tripId}:`, error);
+    }
+  }
   
-  // Update ambulance status if trip is completed or cancelled
-  if (['COMPLETED', 'CANCELLED'].includes(status)) {
-    // Set ambulance status back to AVAILABLE
-    const ambulance = await Ambulance.findById(trip.ambulanceId);
-    if (ambulance) {
-      ambulance.status = 'AVAILABLE';
-      ambulance.lastUpdated = new Date();
-      await ambulance.save();
+  if (status === TRIP_STATUS.COMPLETED) {
+    try {
+      await fareService.finalizeFare(trip);
+    } catch (error) {
+      // The trip completes anyway; the fare can be settled by hand
+      console.error(`Error calculating fare of trip ${tripId}:`, error);
     }
   }
   
-  // Save and return updated trip
   await trip.save();
   
-  return await Trip.findById(tripId).populate({
-    path: 'ambulanceId',
-    populate: {
-      path: 'providerId'
-    }
+  console.log(`Trip ${tripId} moved from ${previousStatus} to ${status} by ${actor}`);
+  
+  await tripEventService.recordEvent(trip._id, status === TRIP_STATUS.CANCELLED ? 'CANCELLED' : 'STATUS_CHANGED', {
+    actor,
+    actorId,
+    source,
+    previousValue: previousStatus,
+    newValue: status,
+    note: status === TRIP_STATUS.CANCELLED ? trip.cancellationReason : undefined
   });
+  
+  if (transition.ambulance === AMBULANCE_EFFECT.RELEASE) {
+    try {
+      await dispatchService.releaseAmbulance(trip.ambulanceId);
+    } catch (error) {
+      // The trip change stands even if the ambulance couldn't be released
+      console.error(`Error releasing ambulance after trip ${status}:`, error);
+    }
+  }
+  
+  if (socketService) {
+    emitTransitionEvents(trip, previousStatus, transition, actor, socketService);
+  }
+  
+  // Patients and providers hear about it even when they aren't connected
+  notificationService.notifyTripTransition(trip, previousStatus, status, actor, { socketService })
+    .catch(error => console.error(`Error sending notifications for trip ${trip._id} ${status}:`, error));
+  
+  // The ambulance starts a new leg: to the patient, or to the destination
+  if (status === TRIP_STATUS.ACCEPTED || status === TRIP_STATUS.PICKED_UP) {
+    await etaService.refreshTripEta(trip, { socketService });
+  }
+  
+  // The destination hospital hears the patient is on the way, even without an ETA
+  if (status === TRIP_STATUS.PICKED_UP) {
+    await handoverService.syncHandover(trip);
+  }
+  
+  return { trip, previousStatus, transition };
+};
+
+/**
+ * Emit the events declared by a lifecycle transition
+ * @param {Object} trip Trip document
+ * @param {String} previousStatus Status before the transition
+ * @param {Object} transition Applied transition
+ * @param {String} actor Who applied it (ACTOR)
+ * @param {Object} socketService Socket service
+ */
+const emitTransitionEvents = (trip, previousStatus, transition, actor, socketService) => {
+  const tripId = trip._id.toString();
+  
+  try {
+    socketService.emitTripStatusChanged(tripId, previousStatus, transition.to, trip.toObject());
+    
+    if (transition.to === TRIP_STATUS.CANCELLED) {
+      socketService.emitTripCancelled(tripId, trip.userId, trip.providerId.toString(), actor);
+    } else {
+      socketService.emitTripMilestone(tripId, transition.event, transition.to, getStatusMessage(transition.to));
+    }
+    
+    // The patient and hospital only follow the ambulance while it serves the trip
+    if (transition.ambulance === AMBULANCE_EFFECT.RELEASE) {
+      socketService.revokeAmbulanceFollowers(trip);
+    }
+  } catch (error) {
+    console.error(`Error emitting lifecycle events for trip ${tripId}:`, error);
+  }
 };
 
 /**
@@ -287,6 +375,8 @@ const addTripRating = async (tripId, rating, feedback, userId) => {
     throw new Error('Can only rate completed trips');
   }
   
+  const previousRating = trip.rating;
+  
   // Add rating and feedback
   trip.rating = rating;
   trip.feedback = feedback || '';
@@ -294,6 +384,15 @@ const addTripRating = async (tripId, rating, feedback, userId) => {
   // Save and return updated trip
   await trip.save();
   
+  await tripEventService.recordEvent(trip._id, 'RATED', {
+    actor: ACTOR.PATIENT,
+    actorId: userId,
+    source: 'REST',
+    previousValue: previousRating,
+    newValue: rating,
+    note: feedback || undefined
+  });
+  
   // Also update provider's average rating
   await updateProviderRating(trip.providerId);
   
@@ -325,57 +424,8 @@ const updateProviderRating = async (providerId) => {
   }
 };
 
-/**
- * Validate provider status transitions
- * @param {String} currentStatus Current trip status
- * @param {String} newStatus New trip status
- */
-const validateProviderStatusTransition = (currentStatus, newStatus) => {
-  // Define valid transitions
-  const validTransitions = {
-    'REQUESTED': ['ACCEPTED', 'CANCELLED'],
-    'ACCEPTED': ['ARRIVED', 'CANCELLED'],
-    'ARRIVED': ['PICKED_UP', 'CANCELLED'],
-    'PICKED_UP': ['AT_HOSPITAL', 'COMPLETED', 'CANCELLED'],
-    'AT_HOSPITAL': ['COMPLETED', 'CANCELLED'],
-    'COMPLETED': [],
-    'CANCELLED': []
-  };
-  
-  if (!validTransitions[currentStatus].includes(newStatus)) {
-    throw new Error(`Invalid status transition from ${currentStatus} to ${newStatus}`);
-  }
-};
-
-/**
- * Update trip timestamps based on status
- * @param {Object} trip Trip object
- * @param {String} status New status
- */
-const updateTimestamps = (trip, status) => {
-  const now = new Date();
-  
-  switch (status) {
-    case 'ACCEPTED':
-      trip.acceptTime = now;
-      break;
-    case 'ARRIVED':
-      trip.arrivalTime = now;
-      break;
-    case 'PICKED_UP':
-      trip.pickupTime = now;
-      break;
-    case 'AT_HOSPITAL':
-      trip.hospitalArrivalTime = now;
-      break;
-    case 'COMPLETED':
-      trip.completionTime = now;
-      break;
-  }
-};
-
 module.exports = {
-  createTripRequest,
+  createReservedTrip,
   getTrips,
   getTripDetails,
   updateTripStatus,
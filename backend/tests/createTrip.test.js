@@ -0,0 +1,67 @@
+// backend/tests/createTrip.test.js
+
+const { useDatabase } = require('./helpers/db');
+const { signIn, startApp } = require('./helpers/app');
+const { NAIROBI, createProvider, createAmbulance } = require('./helpers/fixtures');
+const { createTrip } = require('../controllers/tripController');
+const Ambulance = require('../models/ambulanceModel');
+const Trip = require('../models/tripModel');
+
+useDatabase();
+
+describe('POST /api/trips', () => {
+  let app;
+
+  const requestTrip = (userId, ambulanceId) => app.request('POST', '/api/trips', {
+    userId,
+    body: {
+      ambulanceId,
+      requestLocation: { coordinates: NAIROBI, address: 'Kenyatta Avenue, Nairobi' },
+      patientDetails: { name: `Patient ${userId}`, phone: '+254711111111' },
+      insuranceCoverId: null
+    }
+  });
+
+  beforeAll(() => {
+    app = startApp(routes => routes.post('/api/trips', signIn, createTrip));
+  });
+
+  afterAll(async () => {
+    await app.close();
+  });
+
+  it('books an ambulance for exactly one of many simultaneous patients', async () => {
+    const provider = await createProvider();
+    const ambulance = await createAmbulance(provider);
+    const attempts = 8;
+
+    const responses = await Promise.all(
+      Array.from({ length: attempts }, (_, i) => requestTrip(`patient-${i}`, ambulance._id.toString()))
+    );
+    const statuses = responses.map(response => response.status);
+
+    expect(statuses.filter(status => status === 201)).toHaveLength(1);
+    expect(statuses.filter(status => status === 409)).toHaveLength(attempts - 1);
+
+    const trips = await Trip.find({ ambulanceId: ambulance._id });
+    expect(trips).toHaveLength(1);
+    expect(trips[0].offers).toHaveLength(1);
+    expect(trips[0].offers[0].status).toBe('PENDING');
+
+    const reserved = await Ambulance.findById(ambulance._id);
+    expect(reserved.status).toBe('BUSY');
+  });
+
+  it('leaves the ambulance available when the trip cannot be saved', async () => {
+    const provider = await createProvider();
+    const ambulance = await createAmbulance(provider);
+
+    jest.spyOn(Trip.prototype, 'save').mockRejectedValueOnce(new Error('Disk full'));
+
+    const response = await requestTrip('patient-unlucky', ambulance._id.toString());
+
+    expect(response.status).toBe(500);
+    expect(await Trip.countDocuments()).toBe(0);
+    expect((await Ambulance.findById(ambulance._id)).status).toBe('AVAILABLE');
+  });
+});
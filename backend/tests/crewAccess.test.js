@@ -0,0 +1,111 @@
+// backend/tests/crewAccess.test.js
+//
+// Crew members work the trips of the ambulances they are assigned to: they
+// record vitals, pick the destination and follow the trip, like the provider.
+
+const { useDatabase } = require('./helpers/db');
+const { signIn, startApp } = require('./helpers/app');
+const { NAIROBI, createProvider, createAmbulance } = require('./helpers/fixtures');
+const { isProviderOrCrew } = require('../middleware/authMiddleware');
+const { recordVitals } = require('../controllers/handoverController');
+const { setTripDestination } = require('../controllers/hospitalController');
+const { getTripById, getTripTimeline, refreshTripStatus } = require('../controllers/tripController');
+const CrewMember = require('../models/crewMemberModel');
+const Hospital = require('../models/hospitalModel');
+const Trip = require('../models/tripModel');
+const TripEvent = require('../models/tripEventModel');
+
+const createCrewMember = (provider, ambulance, firebaseId) => CrewMember.create({
+  providerId: provider._id,
+  firebaseId,
+  name: `Crew ${firebaseId}`,
+  email: `${firebaseId}@example.com`,
+  role: 'PARAMEDIC',
+  ambulanceIds: [ambulance._id]
+});
+
+useDatabase();
+
+describe('crew access to their trips', () => {
+  let app;
+  let trip;
+  let hospital;
+
+  const request = (method, path, userId, body, headers = {}) => app.request(method, path, { userId, body, headers });
+
+  beforeAll(() => {
+    app = startApp(routes => {
+      routes.post('/api/handovers/trips/:tripId/vitals', signIn, isProviderOrCrew, recordVitals);
+      routes.put('/api/hospitals/trips/:tripId/destination', signIn, isProviderOrCrew, setTripDestination);
+      routes.get('/api/trips/:id/timeline', signIn, getTripTimeline);
+      routes.get('/api/trips/:id/refresh', signIn, refreshTripStatus);
+      routes.get('/api/trips/:id', signIn, getTripById);
+    });
+  });
+
+  afterAll(async () => {
+    await app.close();
+  });
+
+  beforeEach(async () => {
+    const provider = await createProvider();
+    const ambulance = await createAmbulance(provider, { status: 'BUSY' });
+    const otherAmbulance = await createAmbulance(provider);
+
+    await createCrewMember(provider, ambulance, 'crew-on-board');
+    await createCrewMember(provider, otherAmbulance, 'crew-elsewhere');
+    hospital = await Hospital.create({ name: 'Kenyatta National Hospital', location: { type: 'Point', coordinates: NAIROBI } });
+
+    trip = await Trip.create({
+      userId: 'patient-1',
+      ambulanceId: ambulance._id,
+      providerId: provider._id,
+      status: 'PICKED_UP',
+      requestLocation: { type: 'Point', coordinates: NAIROBI, address: 'Nairobi' },
+      patientDetails: { name: 'Patient', phone: '+254711111111' }
+    });
+  });
+
+  it('lets the crew of the ambulance record vitals, and no other crew', async () => {
+    const path = `/api/handovers/trips/${trip._id}/vitals`;
+
+    expect((await request('POST', path, 'crew-on-board', { heartRate: 88 })).status).toBe(201);
+    expect((await request('POST', path, 'crew-elsewhere', { heartRate: 90 })).status).toBe(403);
+
+    const vitals = (await Trip.findById(trip._id)).vitals;
+    expect(vitals.map(reading => reading.heartRate)).toEqual([88]);
+  });
+
+  it('lets the crew of the ambulance pick the destination, and no other crew', async () => {
+    const path = `/api/hospitals/trips/${trip._id}/destination`;
+
+    expect((await request('PUT', path, 'crew-elsewhere', { hospitalId: hospital._id })).status).toBe(403);
+    expect((await request('PUT', path, 'crew-on-board', { hospitalId: hospital._id })).status).toBe(200);
+
+    expect((await Trip.findById(trip._id)).destinationHospitalId.toString()).toBe(hospital._id.toString());
+    expect(await TripEvent.findOne({ tripId: trip._id, type: 'DESTINATION' })).toMatchObject({ actor: { role: 'crew' } });
+  });
+
+  it('shows the timeline to whoever may follow the trip', async () => {
+    const path = `/api/trips/${trip._id}/timeline`;
+    await Trip.updateOne({ _id: trip._id }, { destinationHospitalId: hospital._id });
+
+    expect((await request('GET', path, 'patient-1')).status).toBe(200);
+    expect((await request('GET', path, 'crew-on-board')).status).toBe(200);
+    expect((await request('GET', path, 'hospital-staff', null, { 'x-hospital-id': hospital._id.toString() })).status).toBe(200);
+    expect((await request('GET', path, 'crew-elsewhere')).status).toBe(403);
+    expect((await request('GET', path, 'patient-2')).status).toBe(403);
+  });
+
+  it('shows the trip itself by the same rule as its timeline', async () => {
+    await Trip.updateOne({ _id: trip._id }, { destinationHospitalId: hospital._id });
+
+    for (const path of [`/api/trips/${trip._id}`, `/api/trips/${trip._id}/refresh`]) {
+      expect((await request('GET', path, 'patient-1')).status).toBe(200);
+      expect((await request('GET', path, 'crew-on-board')).status).toBe(200);
+      expect((await request('GET', path, 'hospital-staff', null, { 'x-hospital-id': hospital._id.toString() })).status).toBe(200);
+      expect((await request('GET', path, 'crew-elsewhere')).status).toBe(403);
+      expect((await request('GET', path, 'patient-2')).status).toBe(403);
+    }
+  });
+});
@@ -0,0 +1,100 @@
+// backend/tests/dispatch.test.js
+//
+// Automatic dispatch offers a request to the nearest suitable ambulance and,
+// when its provider declines or lets the offer expire, to the next one, until
+// one accepts or none is left.
+
+const { useDatabase } = require('./helpers/db');
+const { NAIROBI, createProvider, createAmbulance } = require('./helpers/fixtures');
+const dispatchService = require('../services/dispatchService');
+const tripService = require('../services/tripService');
+const Ambulance = require('../models/ambulanceModel');
+const Trip = require('../models/tripModel');
+
+const [LONGITUDE, LATITUDE] = NAIROBI;
+
+// An ambulance `km` east of the pickup, roughly
+const createAmbulanceAt = async (km, fields = {}) => createAmbulance(await createProvider(), {
+  location: { type: 'Point', coordinates: [LONGITUDE + km / 111, LATITUDE] },
+  ...fields
+});
+
+const requestAuto = async (selection = {}) => {
+  const trip = await tripService.createReservedTrip({
+    userId: 'patient-1',
+    dispatchMode: 'AUTO',
+    dispatch: { ambulanceType: selection.ambulanceType || null, patientCount: 1 },
+    requestLocation: { type: 'Point', coordinates: NAIROBI, address: 'Nairobi' },
+    patientDetails: { name: 'Patient', phone: '+254711111111' },
+    requestTime: new Date()
+  }, { coordinates: NAIROBI, ...selection });
+
+  if (trip) {
+    await dispatchService.sendOffer(trip._id, null);
+  }
+
+  return trip;
+};
+
+const statusOf = async (ambulance) => (await Ambulance.findById(ambulance._id)).status;
+
+useDatabase();
+
+describe('automatic dispatch', () => {
+  it('offers the request to the nearest ambulance of the type asked for', async () => {
+    await createAmbulanceAt(0.5, { type: 'BASIC' });
+    const advanced = await createAmbulanceAt(3, { type: 'ADVANCED' });
+
+    const trip = await requestAuto({ ambulanceType: 'ADVANCED' });
+
+    expect(trip.ambulanceId.toString()).toBe(advanced._id.toString());
+    expect(trip.offers.map(offer => offer.status)).toEqual(['PENDING']);
+    expect(await statusOf(advanced)).toBe('BUSY');
+  });
+
+  it('finds nothing when no ambulance is available', async () => {
+    await createAmbulanceAt(1, { status: 'OFFLINE' });
+
+    expect(await requestAuto()).toBeNull();
+  });
+
+  it('moves a declined request on to the next nearest ambulance', async () => {
+    const nearest = await createAmbulanceAt(1);
+    const next = await createAmbulanceAt(2);
+    await createAmbulanceAt(4);
+
+    const trip = await requestAuto();
+    expect(trip.ambulanceId.toString()).toBe(nearest._id.toString());
+
+    const declined = await dispatchService.declineOffer(trip._id, nearest.providerId, 'Crew on break', null);
+
+    expect(declined.ambulanceId.toString()).toBe(next._id.toString());
+    expect(declined.offers.map(offer => offer.status)).toEqual(['DECLINED', 'PENDING']);
+    expect(await statusOf(nearest)).toBe('AVAILABLE');
+    expect(await statusOf(next)).toBe('BUSY');
+  });
+
+  it('moves an expired request on without offering it to the same ambulance again', async () => {
+    const nearest = await createAmbulanceAt(1);
+    const next = await createAmbulanceAt(2);
+
+    const trip = await requestAuto();
+    const offer = (await Trip.findById(trip._id)).offers[0];
+
+    const expired = await dispatchService.expireOffer(trip._id, offer._id, null);
+
+    expect(expired.offers.map(item => item.ambulanceId.toString())).toEqual([nearest._id.toString(), next._id.toString()]);
+    expect(expired.offers.map(item => item.status)).toEqual(['EXPIRED', 'PENDING']);
+  });
+
+  it('cancels the request once every ambulance nearby has let it go', async () => {
+    const only = await createAmbulanceAt(1);
+
+    const trip = await requestAuto();
+    const cancelled = await dispatchService.declineOffer(trip._id, only.providerId, 'Crew on break', null);
+
+    expect(cancelled.status).toBe('CANCELLED');
+    expect(cancelled.cancellationReason).toBe('No ambulance accepted the request');
+    expect(await statusOf(only)).toBe('AVAILABLE');
+  });
+});
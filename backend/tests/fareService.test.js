@@ -0,0 +1,82 @@
+// backend/tests/fareService.test.js
+
+const fareService = require('../services/fareService');
+const TripTrackPoint = require('../models/tripTrackPointModel');
+const { calculateDistance } = require('../utils/locationUtils');
+
+// Pickup in Nairobi CBD, destination about 8 km north-west
+const PICKUP = [36.8219, -1.2921];
+const DESTINATION = [36.7800, -1.2300];
+
+const point = (coordinates) => ({ location: { type: 'Point', coordinates } });
+
+// Serve these track points to measureTravelledKm without a database
+const useTrack = (points) => {
+  const query = {
+    sort: () => query,
+    select: () => query,
+    lean: async () => points
+  };
+
+  jest.spyOn(TripTrackPoint, 'find').mockReturnValue(query);
+};
+
+const trip = (fields = {}) => ({
+  _id: 'trip-1',
+  pickupTime: new Date(),
+  requestLocation: { coordinates: PICKUP },
+  destinationLocation: { coordinates: DESTINATION },
+  ...fields
+});
+
+const straightKm = (from, to) => calculateDistance(from[1], from[0], to[1], to[0]);
+
+describe('measureTravelledKm', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('bills the track when it covers the trip', async () => {
+    const middle = [36.8000, -1.2600];
+    useTrack([point(PICKUP), point(middle), point(DESTINATION)]);
+
+    const { distanceKm, source } = await fareService.measureTravelledKm(trip());
+
+    expect(source).toBe('TRACK');
+    expect(distanceKm).toBeCloseTo(straightKm(PICKUP, middle) + straightKm(middle, DESTINATION), 5);
+  });
+
+  it('bridges a gap in the track with the route instead of dropping it', async () => {
+    const nearPickup = [36.8200, -1.2900];
+    useTrack([point(PICKUP), point(nearPickup), point(DESTINATION)]);
+
+    const { distanceKm, source } = await fareService.measureTravelledKm(trip());
+
+    expect(straightKm(nearPickup, DESTINATION)).toBeGreaterThan(5);
+    expect(source).toBe('TRACK');
+    expect(distanceKm).toBeGreaterThanOrEqual(straightKm(PICKUP, nearPickup) + straightKm(nearPickup, DESTINATION));
+  });
+
+  it('bills the route when the track covers too little of it', async () => {
+    useTrack([point(PICKUP), point([36.8215, -1.2915])]);
+
+    const { distanceKm, source } = await fareService.measureTravelledKm(trip());
+
+    expect(source).toBe('ROUTE');
+    expect(distanceKm).toBeGreaterThanOrEqual(straightKm(PICKUP, DESTINATION));
+  });
+
+  it('bills a short track when there is no destination to compare with', async () => {
+    useTrack([point(PICKUP), point([36.8215, -1.2915])]);
+
+    const { source } = await fareService.measureTravelledKm(trip({ destinationLocation: null }));
+
+    expect(source).toBe('TRACK');
+  });
+
+  it('has nothing to bill without a track or destination', async () => {
+    useTrack([]);
+
+    expect(await fareService.measureTravelledKm(trip({ destinationLocation: null }))).toEqual({ distanceKm: 0, source: 'NONE' });
+  });
+});
@@ -0,0 +1,75 @@
+// backend/tests/handoverLink.test.js
+//
+// Hospitals open and acknowledge handovers through a link without signing in,
+// so the link has to stop working once the trip is over.
+
+const crypto = require('crypto');
+const { useDatabase } = require('./helpers/db');
+const { NAIROBI, createProvider, createAmbulance } = require('./helpers/fixtures');
+const handoverService = require('../services/handoverService');
+const Hospital = require('../models/hospitalModel');
+const Trip = require('../models/tripModel');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR_MS);
+
+// A trip whose handover link went to a hospital an hour ago
+const createHandedOverTrip = async (fields = {}) => {
+  const provider = await createProvider();
+  const ambulance = await createAmbulance(provider);
+  const hospital = await Hospital.create({ name: 'Kenyatta National Hospital', location: { type: 'Point', coordinates: NAIROBI } });
+  const token = crypto.randomBytes(24).toString('hex');
+
+  await Trip.create({
+    userId: 'patient-1',
+    ambulanceId: ambulance._id,
+    providerId: provider._id,
+    status: 'PICKED_UP',
+    requestLocation: { type: 'Point', coordinates: NAIROBI, address: 'Nairobi' },
+    patientDetails: { name: 'Patient', phone: '+254711111111' },
+    destinationHospitalId: hospital._id,
+    handover: { hospitalId: hospital._id, tokenHashes: [handoverService.hashToken(token)], channel: 'NONE', firstSentAt: hoursAgo(1), lastSentAt: hoursAgo(1), sends: 1 },
+    ...fields
+  });
+
+  return token;
+};
+
+useDatabase();
+
+describe('handover links', () => {
+  it('work while the patient is on the way', async () => {
+    const token = await createHandedOverTrip();
+
+    const packet = await handoverService.getHandover(token);
+    expect(packet.status).toBe('PICKED_UP');
+    expect(packet.hospital.name).toBe('Kenyatta National Hospital');
+  });
+
+  it('keep working for a while after the trip is completed', async () => {
+    const token = await createHandedOverTrip({ status: 'COMPLETED', completionTime: hoursAgo(1) });
+
+    expect((await handoverService.acknowledgeHandover(token, { name: 'Triage desk' })).acknowledgement.acknowledgedBy).toBe('Triage desk');
+  });
+
+  it('stop working once the grace period after completion is over', async () => {
+    const token = await createHandedOverTrip({ status: 'COMPLETED', completionTime: hoursAgo(7) });
+
+    await expect(handoverService.getHandover(token)).rejects.toMatchObject({ status: 404 });
+    await expect(handoverService.acknowledgeHandover(token, { name: 'Triage desk' })).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('stop working when the trip is cancelled', async () => {
+    const token = await createHandedOverTrip({ status: 'CANCELLED', cancellationTime: new Date() });
+
+    await expect(handoverService.getHandover(token)).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('stop working a day after they were sent, even if the trip never closes', async () => {
+    const token = await createHandedOverTrip();
+    await Trip.updateOne({ 'handover.tokenHashes': handoverService.hashToken(token) }, { $set: { 'handover.firstSentAt': hoursAgo(25) } });
+
+    await expect(handoverService.getHandover(token)).rejects.toMatchObject({ status: 404 });
+  });
+});
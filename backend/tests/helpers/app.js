@@ -0,0 +1,54 @@
+// backend/tests/helpers/app.js
+//
+// Express apps for route tests, without Firebase: requests say who is signed
+// in through headers instead of an ID token.
+
+const express = require('express');
+const { errorHandler } = require('../../middleware/errorMiddleware');
+
+/**
+ * Stand-in for verifyFirebaseToken: x-user-id is the Firebase UID, x-hospital-id
+ * the hospital claim of hospital staff and x-admin: true the admin claim
+ */
+const signIn = (req, res, next) => {
+  req.userId = req.get('x-user-id');
+  req.user = {
+    uid: req.userId,
+    isAdmin: req.get('x-admin') === 'true',
+    hospitalId: req.get('x-hospital-id') || null
+  };
+  next();
+};
+
+/**
+ * Start an app on a free port
+ * @param {Function} mount Adds the routes under test, e.g. app => app.get('/api/trips/:id', signIn, getTripById)
+ * @param {Object} options { socketService }
+ * @returns {Object} { baseUrl, request(method, path, { userId, body, headers }), close() }
+ */
+const startApp = (mount, { socketService = null } = {}) => {
+  const app = express();
+  app.use(express.json());
+  app.set('socketService', socketService);
+  mount(app);
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = (method, path, { userId, body, headers = {} } = {}) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(userId && { 'x-user-id': userId }),
+      ...headers
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const close = () => new Promise(resolve => server.close(resolve));
+
+  return { baseUrl, request, close };
+};
+
+module.exports = { signIn, startApp };
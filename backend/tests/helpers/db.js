@@ -0,0 +1,71 @@
+// backend/tests/helpers/db.js
+//
+// In-memory MongoDB for tests. It is a standalone server, like the smallest
+// production deployment, so nothing may depend on transactions.
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let server = null;
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+/**
+ * Start the database and connect mongoose, with every model's collection and indexes in place
+ */
+const connect = async () => {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+
+  require('../../models');
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+/**
+ * Remove every document, keeping collections and indexes. Does nothing when
+ * the database never started, so the error of connect() is the one reported.
+ */
+const clear = async () => {
+  if (!isConnected()) {
+    return;
+  }
+
+  // Offer countdowns of removed trips would fire into the next test
+  const dispatchService = require('../../services/dispatchService');
+  const trips = await mongoose.model('Trip').find().select('_id');
+  trips.forEach(trip => dispatchService.clearOfferTimeout(trip._id));
+
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+/**
+ * Disconnect mongoose and stop the database
+ */
+const disconnect = async () => {
+  if (isConnected()) {
+    await mongoose.disconnect();
+  }
+
+  if (server) {
+    await server.stop();
+    server = null;
+  }
+};
+
+/**
+ * Give the calling test file a database: started before its tests, emptied
+ * (and mocks restored) after each one and stopped at the end
+ */
+const useDatabase = () => {
+  beforeAll(connect);
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await clear();
+  });
+
+  afterAll(disconnect);
+};
+
+module.exports = { connect, clear, disconnect, useDatabase };
@@ -0,0 +1,53 @@
+// backend/tests/helpers/fixtures.js
+//
+// Minimal valid documents for tests; pass fields to override the defaults.
+
+const Provider = require('../../models/providerModel');
+const Ambulance = require('../../models/ambulanceModel');
+
+// Nairobi CBD, [longitude, latitude]
+const NAIROBI = [36.8219, -1.2921];
+
+let sequence = 0;
+
+/**
+ * Create a verified provider
+ * @param {Object} fields Fields to override
+ * @returns {Promise<Object>} Provider document
+ */
+const createProvider = async (fields = {}) => {
+  sequence++;
+
+  return await Provider.create({
+    firebaseId: `provider-${sequence}`,
+    name: `Provider ${sequence}`,
+    email: `provider${sequence}@example.com`,
+    phone: '+254700000000',
+    address: 'Nairobi',
+    verified: true,
+    verificationStatus: 'VERIFIED',
+    ...fields
+  });
+};
+
+/**
+ * Create an available ambulance
+ * @param {Object} provider Provider owning the ambulance
+ * @param {Object} fields Fields to override
+ * @returns {Promise<Object>} Ambulance document
+ */
+const createAmbulance = async (provider, fields = {}) => {
+  sequence++;
+
+  return await Ambulance.create({
+    providerId: provider._id,
+    name: `Ambulance ${sequence}`,
+    registration: `KAA ${String(sequence).padStart(3, '0')}A`,
+    type: 'BASIC',
+    status: 'AVAILABLE',
+    location: { type: 'Point', coordinates: NAIROBI },
+    ...fields
+  });
+};
+
+module.exports = { NAIROBI, createProvider, createAmbulance };
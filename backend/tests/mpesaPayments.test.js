@@ -0,0 +1,264 @@
+// backend/tests/mpesaPayments.test.js
+//
+// M-Pesa payments against scripts/mpesaMockServer.js, which stands in for
+// Daraja: it answers STK pushes and status queries and posts its callbacks to
+// the payment routes below.
+
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { useDatabase } = require('./helpers/db');
+const { startApp } = require('./helpers/app');
+const { NAIROBI, createProvider, createAmbulance } = require('./helpers/fixtures');
+const paymentRoutes = require('../routes/paymentRoutes');
+const paymentService = require('../services/paymentService');
+const { getMpesaGateway } = require('../services/payments');
+const { ACTOR } = require('../../shared/tripLifecycle');
+const Payment = require('../models/paymentModel');
+const Trip = require('../models/tripModel');
+const TripEvent = require('../models/tripEventModel');
+
+const CALLBACK_TOKEN = 'test-callback-token';
+
+// How long the mock customer takes to answer the prompt
+const ANSWER_DELAY_MS = 1000;
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.on('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until check() returns something truthy
+const waitFor = async (check, timeoutMs = 10000) => {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    await sleep(100);
+  }
+
+  throw new Error('Timed out waiting');
+};
+
+const startMockDaraja = async (port) => {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'scripts', 'mpesaMockServer.js'), String(port)], {
+    env: { ...process.env, MPESA_MOCK_DELAY_MS: String(ANSWER_DELAY_MS) },
+    stdio: 'ignore'
+  });
+
+  await waitFor(() => fetch(`http://127.0.0.1:${port}/oauth/v1/generate`, {
+    headers: { Authorization: 'Basic dGVzdDp0ZXN0' }
+  }).then(response => response.ok, () => false));
+
+  return child;
+};
+
+// A completed trip waiting to be paid
+const createCompletedTrip = async (phone) => {
+  const provider = await createProvider();
+  const ambulance = await createAmbulance(provider);
+
+  return await Trip.create({
+    userId: 'patient-1',
+    ambulanceId: ambulance._id,
+    providerId: provider._id,
+    status: 'COMPLETED',
+    requestLocation: { type: 'Point', coordinates: NAIROBI, address: 'Nairobi' },
+    patientDetails: { name: 'Patient', phone },
+    fare: 2500
+  });
+};
+
+const payByMpesa = async (trip) => {
+  const { payment } = await paymentService.initiatePayment(trip._id, { method: 'MPESA' }, {
+    actor: ACTOR.PATIENT,
+    actorId: trip.userId
+  });
+  return payment;
+};
+
+// A result as Daraja posts it
+const callbackBody = (payment, resultCode, receiptNumber = 'FORGED123') => ({
+  Body: {
+    stkCallback: {
+      MerchantRequestID: payment.mpesa.merchantRequestId,
+      CheckoutRequestID: payment.mpesa.checkoutRequestId,
+      ResultCode: resultCode,
+      ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'Failed',
+      ...(resultCode === 0 && {
+        CallbackMetadata: {
+          Item: [
+            { Name: 'Amount', Value: payment.amount },
+            { Name: 'MpesaReceiptNumber', Value: receiptNumber },
+            { Name: 'PhoneNumber', Value: Number(payment.phone) }
+          ]
+        }
+      })
+    }
+  }
+});
+
+useDatabase();
+
+describe('M-Pesa payments', () => {
+  let mockDaraja;
+  let app;
+
+  const postCallback = (token, body) => app.request('POST', `/api/payments/mpesa/callback/${token}`, { body });
+
+  beforeAll(async () => {
+    app = startApp(routes => routes.use('/api/payments', paymentRoutes));
+
+    const darajaPort = await freePort();
+    mockDaraja = await startMockDaraja(darajaPort);
+
+    process.env.MPESA_BASE_URL = `http://127.0.0.1:${darajaPort}`;
+    process.env.MPESA_CONSUMER_KEY = 'key';
+    process.env.MPESA_CONSUMER_SECRET = 'secret';
+    process.env.MPESA_SHORTCODE = '174379';
+    process.env.MPESA_PASSKEY = 'passkey';
+    process.env.MPESA_CALLBACK_TOKEN = CALLBACK_TOKEN;
+    process.env.MPESA_CALLBACK_URL = `${app.baseUrl}/api/payments/mpesa/callback/${CALLBACK_TOKEN}`;
+  });
+
+  // Runs before the database is emptied
+  afterEach(async () => {
+    process.env.MPESA_CALLBACK_TOKEN = CALLBACK_TOKEN;
+    // Let the mock finish answering before its payments are removed
+    await sleep(ANSWER_DELAY_MS + 200);
+  });
+
+  afterAll(async () => {
+    mockDaraja?.kill();
+    await app.close();
+  });
+
+  it('marks a payment paid when M-Pesa calls back', async () => {
+    const trip = await createCompletedTrip('0712345678');
+    const payment = await payByMpesa(trip);
+
+    const paid = await waitFor(async () => {
+      const current = await Payment.findById(payment._id);
+      return current.status === 'PAID' && current;
+    });
+
+    expect(paid.mpesa.receiptNumber).toMatch(/^MCK/);
+    expect(paid.mpesa.callbackReceivedAt).toBeInstanceOf(Date);
+    expect((await Trip.findById(trip._id)).paymentStatus).toBe('PAID');
+  });
+
+  it('does not trust a forged callback over the status query', async () => {
+    // The customer can't be reached, so M-Pesa never calls back
+    const trip = await createCompletedTrip('0712341037');
+    const payment = await payByMpesa(trip);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // Before the customer answers M-Pesa has no result at all
+    expect((await postCallback(CALLBACK_TOKEN, callbackBody(payment, 0))).status).toBe(200);
+    expect((await Payment.findById(payment._id)).status).toBe('PENDING');
+
+    // Once it has one, that is what counts
+    await sleep(ANSWER_DELAY_MS + 200);
+    expect((await postCallback(CALLBACK_TOKEN, callbackBody(payment, 0))).status).toBe(200);
+
+    const current = await Payment.findById(payment._id);
+    expect(current.status).toBe('FAILED');
+    expect(current.mpesa.resultCode).toBe(1037);
+    expect(current.mpesa.receiptNumber).toBeUndefined();
+    expect((await Trip.findById(trip._id)).paymentStatus).toBe('FAILED');
+  });
+
+  it('refuses callbacks with a wrong token, or when no token is configured', async () => {
+    const trip = await createCompletedTrip('0712341037');
+    const payment = await payByMpesa(trip);
+    const handled = jest.spyOn(paymentService, 'handleMpesaCallback');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect((await postCallback('guessed-token', callbackBody(payment, 0))).status).toBe(403);
+
+    delete process.env.MPESA_CALLBACK_TOKEN;
+    expect((await postCallback(CALLBACK_TOKEN, callbackBody(payment, 0))).status).toBe(403);
+    expect((await postCallback('undefined', callbackBody(payment, 0))).status).toBe(403);
+
+    expect(handled).not.toHaveBeenCalled();
+    expect((await Payment.findById(payment._id)).status).toBe('PENDING');
+  });
+
+  it('settles a payment once however often its callback arrives', async () => {
+    const trip = await createCompletedTrip('0712345678');
+    const payment = await payByMpesa(trip);
+
+    const paid = await waitFor(async () => {
+      const current = await Payment.findById(payment._id);
+      return current.status === 'PAID' && current;
+    });
+    const events = await TripEvent.countDocuments({ tripId: trip._id });
+    const query = jest.spyOn(getMpesaGateway(), 'queryStkPush');
+
+    const repeats = await Promise.all([1, 2, 3].map(() => (
+      postCallback(CALLBACK_TOKEN, callbackBody(paid, 0, paid.mpesa.receiptNumber))
+    )));
+
+    expect(repeats.map(response => response.status)).toEqual([200, 200, 200]);
+    expect(query).not.toHaveBeenCalled();
+
+    const current = await Payment.findById(payment._id);
+    expect(current.paidAt).toEqual(paid.paidAt);
+    expect(current.mpesa.callbackReceivedAt).toEqual(paid.mpesa.callbackReceivedAt);
+    expect(await TripEvent.countDocuments({ tripId: trip._id })).toBe(events);
+  });
+
+  it('starts one M-Pesa prompt per trip however many requests race', async () => {
+    const trip = await createCompletedTrip('0712341037');
+
+    const results = await Promise.allSettled([1, 2, 3, 4].map(() => payByMpesa(trip)));
+    const rejected = results.filter(result => result.status === 'rejected');
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(rejected.map(result => result.reason.status)).toEqual([409, 409, 409]);
+    expect(await Payment.countDocuments({ tripId: trip._id, method: 'MPESA', status: 'PENDING' })).toBe(1);
+  });
+
+  it('settles a cash payment once however many settlements race', async () => {
+    const trip = await createCompletedTrip('0712345678');
+    const { payment } = await paymentService.initiatePayment(trip._id, { method: 'CASH' }, {
+      actor: ACTOR.PATIENT,
+      actorId: trip.userId
+    });
+
+    const results = await Promise.allSettled([1, 2, 3].map(() => paymentService.settlePayment(payment._id, { status: 'PAID' }, {
+      actor: ACTOR.PROVIDER,
+      actorId: trip.providerId
+    })));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.filter(result => result.status === 'rejected').map(result => result.reason.status)).toEqual([409, 409]);
+    expect(await TripEvent.countDocuments({ tripId: trip._id, 'newValue.status': 'PAID' })).toBe(1);
+  });
+
+  it('records cash collected by the crew once per trip however many requests race', async () => {
+    const trip = await createCompletedTrip('0712345678');
+
+    const results = await Promise.allSettled([1, 2, 3].map(() => paymentService.initiatePayment(trip._id, { method: 'CASH' }, {
+      actor: ACTOR.PROVIDER,
+      actorId: trip.providerId
+    })));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.filter(result => result.status === 'rejected').map(result => result.reason.status)).toEqual([409, 409]);
+    expect(await Payment.countDocuments({ tripId: trip._id, status: 'PAID' })).toBe(1);
+  });
+
+  it('refuses a payout summary for a provider ID that is not one', async () => {
+    await expect(paymentService.getPayoutSummary({ providerId: 'not-an-id' })).rejects.toMatchObject({ status: 400 });
+  });
+});
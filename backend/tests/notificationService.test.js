@@ -0,0 +1,129 @@
+// backend/tests/notificationService.test.js
+//
+// Delivery of notifications through the fake transport: every reachable
+// channel gets the message, failed sends are retried, and a channel or push
+// subscription that fails doesn't stop the others.
+
+const { useDatabase } = require('./helpers/db');
+const { createProvider } = require('./helpers/fixtures');
+const notificationService = require('../services/notificationService');
+const { fakeOutbox } = require('../services/notifications');
+const Notification = require('../models/notificationModel');
+const NotificationPreference = require('../models/notificationPreferenceModel');
+
+const subscription = (name) => ({
+  endpoint: `https://push.example.com/${name}`,
+  keys: { p256dh: `${name}-key`, auth: `${name}-auth` }
+});
+
+// Retries run in the background; wait until the channel settles
+const waitForDelivery = async (notificationId, channel, statuses = ['SENT', 'FAILED']) => {
+  for (let i = 0; i < 100; i++) {
+    const notification = await Notification.findById(notificationId);
+    const delivery = notification.deliveries.find(entry => entry.channel === channel);
+
+    if (statuses.includes(delivery.status)) {
+      return delivery;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  throw new Error(`${channel} delivery of notification ${notificationId} did not settle`);
+};
+
+useDatabase();
+
+describe('notificationService.notify', () => {
+  let recipient;
+
+  const notifyNewTrip = () => notificationService.notify(recipient, 'NEW_TRIP_REQUEST', {
+    patientName: 'Amina',
+    pickupAddress: 'Kenyatta Avenue',
+    ambulanceName: 'Rescue 1'
+  });
+
+  beforeEach(async () => {
+    fakeOutbox.reset();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const provider = await createProvider({ phone: '+254722000000', email: 'dispatch@rescue.example.com' });
+    recipient = { type: 'provider', id: provider._id.toString() };
+
+    await NotificationPreference.create({ recipient, pushSubscriptions: [subscription('laptop')] });
+  });
+
+  it('sends the notification over every channel the recipient can be reached on', async () => {
+    const notification = await notifyNewTrip();
+
+    expect(fakeOutbox.getSent('sms')).toEqual([
+      expect.objectContaining({ to: '+254722000000', text: expect.stringContaining('Rescue 1') })
+    ]);
+    expect(fakeOutbox.getSent('email')).toEqual([
+      expect.objectContaining({ to: 'dispatch@rescue.example.com', subject: 'New emergency request' })
+    ]);
+    expect(fakeOutbox.getSent('push')).toEqual([
+      expect.objectContaining({ title: 'New emergency request', subscription: expect.objectContaining({ endpoint: subscription('laptop').endpoint }) })
+    ]);
+
+    const stored = await Notification.findById(notification._id);
+    expect(stored.deliveries.map(({ channel, status }) => ({ channel, status }))).toEqual([
+      { channel: 'sms', status: 'SENT' },
+      { channel: 'email', status: 'SENT' },
+      { channel: 'push', status: 'SENT' }
+    ]);
+  });
+
+  it('retries a failed send until it goes through', async () => {
+    fakeOutbox.failNext('sms', 2);
+
+    const notification = await notifyNewTrip();
+    const delivery = await waitForDelivery(notification._id, 'sms');
+
+    expect(delivery.status).toBe('SENT');
+    expect(delivery.attempts).toBe(3);
+    expect(fakeOutbox.getSent('sms')).toHaveLength(1);
+  });
+
+  it('gives up once every attempt has failed', async () => {
+    fakeOutbox.failNext('sms', 10);
+
+    const notification = await notifyNewTrip();
+    const delivery = await waitForDelivery(notification._id, 'sms', ['FAILED']);
+
+    expect(delivery.attempts).toBe(4);
+    expect(delivery.lastError).toBe('Fake sms failure');
+    expect(fakeOutbox.getSent('sms')).toHaveLength(0);
+  });
+
+  it('does not retry a permanent failure and still delivers the other channels', async () => {
+    fakeOutbox.failNext('email', 1, { retryable: false });
+
+    const notification = await notifyNewTrip();
+    const stored = await Notification.findById(notification._id);
+    const byChannel = Object.fromEntries(stored.deliveries.map(delivery => [delivery.channel, delivery]));
+
+    expect(byChannel.email.status).toBe('FAILED');
+    expect(byChannel.email.attempts).toBe(1);
+    expect(byChannel.sms.status).toBe('SENT');
+    expect(byChannel.push.status).toBe('SENT');
+  });
+
+  it('falls back to the remaining push subscriptions when one has expired', async () => {
+    await NotificationPreference.updateOne(
+      { 'recipient.type': recipient.type, 'recipient.id': recipient.id },
+      { $push: { pushSubscriptions: subscription('phone') } }
+    );
+    fakeOutbox.failNext('push', 1, { statusCode: 410 });
+
+    const notification = await notifyNewTrip();
+
+    expect(fakeOutbox.getSent('push')).toEqual([
+      expect.objectContaining({ subscription: expect.objectContaining({ endpoint: subscription('phone').endpoint }) })
+    ]);
+    expect((await waitForDelivery(notification._id, 'push')).status).toBe('SENT');
+
+    const preference = await NotificationPreference.findOne({ 'recipient.type': recipient.type, 'recipient.id': recipient.id });
+    expect(preference.pushSubscriptions.map(entry => entry.endpoint)).toEqual([subscription('phone').endpoint]);
+  });
+});
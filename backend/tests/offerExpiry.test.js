@@ -0,0 +1,105 @@
+// backend/tests/offerExpiry.test.js
+//
+// Offer countdowns run on the instance that sent the offer, while the answer
+// may arrive at any other instance. Two socket services on the memory realtime
+// adapter stand in for two backend instances.
+
+const { Server } = require('socket.io');
+const { useDatabase } = require('./helpers/db');
+const { createProvider, createAmbulance } = require('./helpers/fixtures');
+const createSocketService = require('../services/socketService');
+const dispatchService = require('../services/dispatchService');
+const tripService = require('../services/tripService');
+const Ambulance = require('../models/ambulanceModel');
+const Trip = require('../models/tripModel');
+
+const createInstance = () => {
+  const service = createSocketService(new Server());
+  service.initialize();
+  return service;
+};
+
+// A trip offered to the first ambulance, with the countdown armed on nodeA
+const requestTrip = async (ambulance, nodeA) => {
+  const trip = await tripService.createReservedTrip({
+    userId: 'patient-1',
+    dispatchMode: 'DIRECT',
+    requestLocation: { type: 'Point', coordinates: ambulance.location.coordinates, address: 'Nairobi' },
+    patientDetails: { name: 'Patient', phone: '+254711111111' },
+    requestTime: new Date()
+  }, { ambulanceId: ambulance._id });
+
+  await dispatchService.sendOffer(trip._id, nodeA);
+  return trip;
+};
+
+useDatabase();
+
+describe('trip offers across instances', () => {
+  let nodeA;
+  let nodeB;
+  let firstAmbulance;
+  let secondAmbulance;
+
+  beforeAll(() => {
+    nodeA = createInstance();
+    nodeB = createInstance();
+  });
+
+  beforeEach(async () => {
+    firstAmbulance = await createAmbulance(await createProvider());
+    secondAmbulance = await createAmbulance(await createProvider());
+  });
+
+  it('does not let an old countdown expire the newer offer made on another instance', async () => {
+    const trip = await requestTrip(firstAmbulance, nodeA);
+    const firstOffer = (await Trip.findById(trip._id)).offers[0];
+
+    // The provider declines on nodeB, which offers the trip to the next ambulance
+    await dispatchService.declineOffer(trip._id, firstAmbulance.providerId, 'Crew on break', nodeB, 'SOCKET');
+
+    // nodeA's countdown for the first offer still fires
+    const withdrawn = jest.spyOn(nodeA, 'emitTripOfferWithdrawn');
+    expect(await dispatchService.expireOffer(trip._id, firstOffer._id, nodeA)).toBeNull();
+    expect(withdrawn).not.toHaveBeenCalled();
+
+    const current = await Trip.findById(trip._id);
+    expect(current.offers.map(offer => offer.status)).toEqual(['DECLINED', 'PENDING']);
+    expect(current.ambulanceId.toString()).toBe(secondAmbulance._id.toString());
+    expect((await Ambulance.findById(secondAmbulance._id)).status).toBe('BUSY');
+    expect((await Ambulance.findById(firstAmbulance._id)).status).toBe('AVAILABLE');
+  });
+
+  it('lets exactly one of an acceptance and an expiry close the offer', async () => {
+    const trip = await requestTrip(firstAmbulance, nodeA);
+    const offer = (await Trip.findById(trip._id)).offers[0];
+
+    const [accepted, expired] = await Promise.all([
+      Trip.findById(trip._id).then(current => dispatchService.acceptOffer(current, firstAmbulance.providerId)),
+      dispatchService.expireOffer(trip._id, offer._id, nodeB)
+    ]);
+
+    expect([accepted, !!expired].filter(Boolean)).toHaveLength(1);
+
+    const closed = (await Trip.findById(trip._id)).offers.id(offer._id);
+    expect(closed.status).toBe(accepted ? 'ACCEPTED' : 'EXPIRED');
+  });
+
+  it('expires overdue offers whose countdown was lost in a restart', async () => {
+    const trip = await requestTrip(firstAmbulance, nodeA);
+
+    // The instance that armed the countdown went away
+    dispatchService.clearOfferTimeout(trip._id);
+    await Trip.updateOne({ _id: trip._id }, { $set: { 'offers.0.expiresAt': new Date(Date.now() - 1000) } });
+
+    expect(await dispatchService.expireOverdueOffers(nodeB)).toBe(1);
+
+    const current = await Trip.findById(trip._id);
+    expect(current.offers.map(offer => offer.status)).toEqual(['EXPIRED', 'PENDING']);
+    expect(current.ambulanceId.toString()).toBe(secondAmbulance._id.toString());
+    expect((await Ambulance.findById(firstAmbulance._id)).status).toBe('AVAILABLE');
+
+    // Offers still within their time are left alone
+    expect(await dispatchService.expireOverdueOffers(nodeB)).toBe(0);
+  });
+});
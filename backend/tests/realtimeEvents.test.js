@@ -0,0 +1,185 @@
+// backend/tests/realtimeEvents.test.js
+//
+// Contract between the gateway and the event catalogue (shared/realtimeEvents.js):
+// every event the backend emits or handles is catalogued, goes to the rooms
+// the catalogue names and carries the payload shape it describes.
+
+const fs = require('fs');
+const path = require('path');
+const createSocketService = require('../services/socketService');
+const realtimeLogService = require('../services/realtimeLogService');
+const { ROOMS, SERVER_EVENTS, CLIENT_EVENTS, validateServerEvent } = require('../../shared/realtimeEvents');
+const { TRANSITIONS, TRIP_STATUS } = require('../../shared/tripLifecycle');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+
+// Backend sources, without dependencies and tests
+const readSources = (dir = BACKEND_DIR) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+  const fullPath = path.join(dir, entry.name);
+
+  if (entry.isDirectory()) {
+    return ['node_modules', 'tests', 'scripts'].includes(entry.name) ? [] : readSources(fullPath);
+  }
+
+  return entry.name.endsWith('.js') ? [{ file: path.relative(BACKEND_DIR, fullPath), source: fs.readFileSync(fullPath, 'utf8') }] : [];
+});
+
+// Event names passed as literals to the gateway's emitters
+const EMIT_CALLS = [
+  /\breply\(\s*\w+,\s*'(\w+)'/g,
+  /\bemitTo(?:User|Provider|Trip)\([^,;]+,\s*'(\w+)'/g,
+  /\b(?:this|socketService)\.send(?:ToTrip)?\([^';]*?'(\w+)'/g
+];
+
+const findEmittedEvents = () => readSources().flatMap(({ file, source }) => EMIT_CALLS.flatMap(pattern => (
+  [...source.matchAll(pattern)].map(match => ({ file, event: match[1] }))
+)));
+
+// The gateway with an io that records every broadcast instead of sending it
+const createRecordingGateway = () => {
+  const sent = [];
+  const io = {
+    to: (rooms) => ({
+      emit: (event, payload, meta) => sent.push({ rooms: [].concat(rooms), event, payload, meta })
+    })
+  };
+
+  return { service: createSocketService(io), sent };
+};
+
+// Sequenced events are sent once they are logged
+const flush = () => new Promise(resolve => setTimeout(resolve, 20));
+
+const roomKind = (room) => (room === ROOMS.AMBULANCE_STATUS ? 'AMBULANCE_STATUS' : room.split(':')[0]);
+
+const TRIP_ID = '64b7f0c2a1b2c3d4e5f60718';
+const PROVIDER_ID = '64b7f0c2a1b2c3d4e5f60719';
+const AMBULANCE_ID = '64b7f0c2a1b2c3d4e5f6071a';
+const HOSPITAL_ID = '64b7f0c2a1b2c3d4e5f6071b';
+
+const trip = {
+  _id: TRIP_ID,
+  userId: 'patient-uid',
+  providerId: PROVIDER_ID,
+  ambulanceId: AMBULANCE_ID,
+  status: TRIP_STATUS.REQUESTED,
+  paymentStatus: 'PENDING'
+};
+
+describe('realtime event catalogue', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lists every event the backend emits', () => {
+    const emitted = findEmittedEvents();
+    const missing = emitted.filter(({ event }) => !SERVER_EVENTS[event]);
+
+    expect(emitted.length).toBeGreaterThan(0);
+    expect(missing).toEqual([]);
+  });
+
+  it('lists the milestone event of every lifecycle transition', () => {
+    const missing = TRANSITIONS
+      .filter(transition => !SERVER_EVENTS[transition.event])
+      .map(transition => `${transition.from} -> ${transition.to}: ${transition.event}`);
+
+    expect(missing).toEqual([]);
+  });
+
+  it('lists every event clients can send to the gateway', () => {
+    const source = fs.readFileSync(path.join(BACKEND_DIR, 'services', 'socketService.js'), 'utf8');
+    const handled = [...source.matchAll(/socket\.on\('(\w+)'/g)]
+      .map(match => match[1])
+      .filter(event => !['error', 'disconnect'].includes(event));
+
+    expect(handled.length).toBeGreaterThan(0);
+    expect(handled.filter(event => !CLIENT_EVENTS[event])).toEqual([]);
+  });
+
+  it('refuses events that are not in the catalogue', () => {
+    const { service, sent } = createRecordingGateway();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(service.send([ROOMS.trip(TRIP_ID)], 'tripTeleported', { tripId: TRIP_ID })).toBe(false);
+    expect(service.emitToTrip(TRIP_ID, 'tripTeleported', { tripId: TRIP_ID })).toBe(false);
+    expect(sent).toEqual([]);
+  });
+
+  it('sends every gateway event with the payload and rooms of the catalogue', async () => {
+    const { service, sent } = createRecordingGateway();
+    jest.spyOn(console, 'warn');
+
+    service.emitNewTripRequest(trip);
+    service.emitTripOfferWithdrawn(PROVIDER_ID, TRIP_ID, 'EXPIRED');
+    service.emitTripUpdate(TRIP_ID, trip);
+    service.emitTripStatusChanged(TRIP_ID, TRIP_STATUS.REQUESTED, TRIP_STATUS.ACCEPTED, { ...trip, status: TRIP_STATUS.ACCEPTED });
+    service.emitTripCancelled(TRIP_ID, trip.userId, PROVIDER_ID, 'PATIENT');
+    service.emitTripPaymentUpdated(trip, { _id: '64b7f0c2a1b2c3d4e5f6071c', method: 'MPESA', status: 'PAID', amount: 2500, currency: 'KES' });
+    TRANSITIONS
+      .filter(transition => transition.to !== TRIP_STATUS.CANCELLED)
+      .forEach(transition => service.emitTripMilestone(TRIP_ID, transition.event, transition.to, `Trip is ${transition.to}`));
+    service.emitAmbulanceLocationUpdate(TRIP_ID, {
+      location: { type: 'Point', coordinates: [36.8219, -1.2921] },
+      latitude: -1.2921,
+      longitude: 36.8219,
+      heading: 90,
+      speed: 12,
+      recordedAt: new Date().toISOString()
+    }, AMBULANCE_ID);
+    service.emitAmbulanceStatusUpdate(AMBULANCE_ID, 'BUSY');
+    service.emitInboundTripsChanged(HOSPITAL_ID, TRIP_ID, 'ADDED');
+    service.emitNotification({
+      id: '64b7f0c2a1b2c3d4e5f6071d',
+      userId: trip.userId,
+      recipient: 'user',
+      type: 'TRIP_ACCEPTED',
+      title: 'Ambulance on the way',
+      message: 'Your ambulance is on the way',
+      tripId: TRIP_ID
+    });
+    service.emitUnreadCount({ type: 'provider', id: PROVIDER_ID }, 3);
+    await flush();
+
+    const problems = sent.flatMap(({ rooms, event, payload }) => {
+      const definition = SERVER_EVENTS[event];
+      const wrongRooms = rooms.filter(room => !definition.to.includes(roomKind(room)));
+
+      return [
+        ...validateServerEvent(event, payload).map(problem => `${event}: ${problem}`),
+        ...wrongRooms.map(room => `${event} may not go to ${room}`)
+      ];
+    });
+
+    expect(problems).toEqual([]);
+    expect(console.warn).not.toHaveBeenCalledWith(expect.stringContaining('does not match the event catalogue'));
+
+    // Catalogue entries nothing sends are stale: every broadcast event was sent
+    // above or is sent by another service
+    const sentEvents = new Set([...sent.map(({ event }) => event), ...findEmittedEvents().map(({ event }) => event)]);
+    const unused = Object.keys(SERVER_EVENTS)
+      .filter(event => !SERVER_EVENTS[event].to.every(kind => kind === 'socket'))
+      .filter(event => !sentEvents.has(event));
+
+    expect(unused).toEqual([]);
+  });
+
+  it('keeps positions and ETAs out of the replay log', async () => {
+    const { service, sent } = createRecordingGateway();
+    const append = jest.spyOn(realtimeLogService, 'append');
+
+    service.emitAmbulanceLocationUpdate(TRIP_ID, {
+      location: { type: 'Point', coordinates: [36.8219, -1.2921] },
+      latitude: -1.2921,
+      longitude: 36.8219,
+      recordedAt: new Date().toISOString()
+    }, AMBULANCE_ID);
+    service.emitToTrip(TRIP_ID, 'tripEtaUpdated', { tripId: TRIP_ID, eta: 5, etaText: '5 mins', distanceKm: 2, target: 'PICKUP', timestamp: new Date() });
+    service.emitTripMilestone(TRIP_ID, 'tripAccepted', TRIP_STATUS.ACCEPTED, 'Trip is ACCEPTED');
+    await flush();
+
+    expect(append.mock.calls.map(([, event]) => event)).toEqual(['tripAccepted']);
+    expect(sent.filter(({ meta }) => meta).map(({ event }) => event)).toEqual(['tripAccepted']);
+    expect(sent.map(({ event }) => event)).toEqual(expect.arrayContaining(['ambulanceLocationUpdated', 'tripEtaUpdated']));
+  });
+});
@@ -0,0 +1,33 @@
+// backend/tests/setup.js
+//
+// Environment of every test file: notifications are captured by the fake
+// transport and retried within milliseconds, realtime state stays in memory
+// instead of Redis and routes are straight lines.
+
+process.env.NODE_ENV = 'test';
+process.env.NOTIFICATION_TRANSPORT = 'fake';
+process.env.NOTIFICATION_RETRY_BASE_SECONDS = '0.01';
+process.env.REALTIME_ADAPTER = 'memory';
+process.env.ROUTING_ENGINE = 'haversine';
+
+// Firebase is never reached from tests; routes under test sign users in through
+// tests/helpers/app.js. Loading the real SDK would look for credentials and
+// leave its lookups running after the tests finish.
+jest.mock('../config/firebase-admin', () => {
+  const unavailable = () => Promise.reject(new Error('Firebase is not available in tests'));
+  const auth = {
+    verifyIdToken: unavailable,
+    getUser: unavailable,
+    getUserByEmail: unavailable,
+    createUser: unavailable,
+    setCustomUserClaims: unavailable,
+    generatePasswordResetLink: unavailable,
+    listUsers: unavailable
+  };
+
+  return {
+    auth: () => auth,
+    isProperlyInitialized: () => false,
+    _isMock: true
+  };
+});
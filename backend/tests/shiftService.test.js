@@ -0,0 +1,72 @@
+// backend/tests/shiftService.test.js
+//
+// Rostered ambulances follow their shifts, except while they are on a trip:
+// one still BUSY when its shift ends goes OFFLINE once the trip is over.
+
+const { useDatabase } = require('./helpers/db');
+const { NAIROBI, createProvider, createAmbulance } = require('./helpers/fixtures');
+const shiftService = require('../services/shiftService');
+const tripService = require('../services/tripService');
+const { ACTOR, TRIP_STATUS } = require('../../shared/tripLifecycle');
+const Ambulance = require('../models/ambulanceModel');
+const Shift = require('../models/shiftModel');
+const Trip = require('../models/tripModel');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR_MS);
+
+// A shift that started two hours ago and ends after `endsInHours`
+const createShift = (provider, ambulance, endsInHours) => Shift.create({
+  providerId: provider._id,
+  ambulanceId: ambulance._id,
+  startsAt: hoursFromNow(-2),
+  endsAt: hoursFromNow(endsInHours),
+  startedAt: hoursFromNow(-2)
+});
+
+useDatabase();
+
+describe('shift ends', () => {
+  let provider;
+  let ambulance;
+  let trip;
+
+  const completeTrip = () => tripService.updateTripStatus(trip._id, TRIP_STATUS.COMPLETED, {
+    actor: ACTOR.PROVIDER,
+    actorId: provider._id
+  });
+
+  beforeEach(async () => {
+    provider = await createProvider();
+    ambulance = await createAmbulance(provider, { status: 'BUSY' });
+
+    trip = await Trip.create({
+      userId: 'patient-1',
+      ambulanceId: ambulance._id,
+      providerId: provider._id,
+      status: TRIP_STATUS.PICKED_UP,
+      requestLocation: { type: 'Point', coordinates: NAIROBI, address: 'Nairobi' },
+      patientDetails: { name: 'Patient', phone: '+254711111111' }
+    });
+  });
+
+  it('leave an ambulance on a trip BUSY, and take it OFFLINE when the trip is completed', async () => {
+    await createShift(provider, ambulance, -0.1);
+
+    expect(await shiftService.applyShiftChanges()).toEqual({ started: 0, ended: 1 });
+    expect((await Ambulance.findById(ambulance._id)).status).toBe('BUSY');
+
+    await completeTrip();
+
+    expect((await Ambulance.findById(ambulance._id)).status).toBe('OFFLINE');
+  });
+
+  it('do not affect an ambulance whose trip is completed during its shift', async () => {
+    await createShift(provider, ambulance, 2);
+
+    await completeTrip();
+
+    expect((await Ambulance.findById(ambulance._id)).status).toBe('AVAILABLE');
+  });
+});
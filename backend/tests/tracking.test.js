@@ -0,0 +1,57 @@
+// backend/tests/tracking.test.js
+//
+// Location fixes of one ambulance may reach different backend instances, so
+// the throttle and smoothing state are kept with the ambulance, not in memory.
+
+const { useDatabase } = require('./helpers/db');
+const { NAIROBI, createProvider, createAmbulance } = require('./helpers/fixtures');
+const trackingService = require('../services/trackingService');
+const Ambulance = require('../models/ambulanceModel');
+
+const [LONGITUDE, LATITUDE] = NAIROBI;
+
+const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000).toISOString();
+
+useDatabase();
+
+describe('location fixes', () => {
+  let provider;
+  let ambulance;
+
+  const ingest = (fix) => trackingService.ingestLocation(ambulance._id, { accuracy: 10, ...fix }, { providerId: provider._id });
+
+  beforeEach(async () => {
+    provider = await createProvider();
+    ambulance = await createAmbulance(provider);
+  });
+
+  it('keeps the last accepted fix with the ambulance', async () => {
+    await ingest({ latitude: LATITUDE, longitude: LONGITUDE, timestamp: secondsAgo(30) });
+
+    const { tracking } = await Ambulance.findById(ambulance._id).select('+tracking');
+    expect(tracking).toMatchObject({ latitude: LATITUDE, longitude: LONGITUDE, variance: 100 });
+
+    // Too soon after it, wherever the fix arrives
+    expect(await ingest({ latitude: LATITUDE + 0.001, longitude: LONGITUDE, timestamp: secondsAgo(28) }))
+      .toEqual({ accepted: false, reason: 'THROTTLED' });
+  });
+
+  it('accepts one of several fixes arriving at once', async () => {
+    await ingest({ latitude: LATITUDE, longitude: LONGITUDE, timestamp: secondsAgo(30) });
+
+    const results = await Promise.all([1, 2, 3].map(step => ingest({
+      latitude: LATITUDE + step * 0.001,
+      longitude: LONGITUDE,
+      timestamp: secondsAgo(20)
+    })));
+
+    expect(results.filter(result => result.accepted)).toHaveLength(1);
+    expect(results.filter(result => !result.accepted).map(result => result.reason)).toEqual(['THROTTLED', 'THROTTLED']);
+  });
+
+  it('does not send the smoothing state with the ambulance', async () => {
+    await ingest({ latitude: LATITUDE, longitude: LONGITUDE });
+
+    expect((await Ambulance.findById(ambulance._id)).tracking).toBeUndefined();
+  });
+});
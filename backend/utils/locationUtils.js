@@ -35,30 +35,34 @@ const calculateDistance = (lat1, lon1, lat2, lon2) => {
   };
   
   /**
-   * Get address from coordinates using a geocoding service
-   * Note: This is a placeholder. In a real app, you would use a geocoding service like Google Maps.
+   * Get address from coordinates using the geocoding service
    * @param {Number} latitude Latitude
    * @param {Number} longitude Longitude
-   * @returns {Promise<String>} Address
+   * @returns {Promise<String>} Address, or 'Unknown address' if nothing is known about the point
    */
   const getAddressFromCoordinates = async (latitude, longitude) => {
-    // This is a placeholder
-    // In production, you would use a geocoding service like Google Maps or Mapbox
-    return 'Unknown address';
+    // Required here because the geocoders themselves use calculateDistance
+    const geocoding = require('../services/geocoding');
+    const result = await geocoding.reverse(longitude, latitude);
+    return result ? result.address : 'Unknown address';
   };
   
   /**
-   * Get coordinates from address using a geocoding service
-   * Note: This is a placeholder. In a real app, you would use a geocoding service like Google Maps.
+   * Get coordinates from address using the geocoding service
    * @param {String} address Address
-   * @returns {Promise<Object>} Coordinates { latitude, longitude }
+   * @returns {Promise<Object|null>} Coordinates { latitude, longitude } of the best match, or null if none
    */
   const getCoordinatesFromAddress = async (address) => {
-    // This is a placeholder
-    // In production, you would use a geocoding service like Google Maps or Mapbox
+    const geocoding = require('../services/geocoding');
+    const [result] = await geocoding.search(address, { limit: 1 });
+    
+    if (!result) {
+      return null;
+    }
+    
     return {
-      latitude: 0,
-      longitude: 0
+      latitude: result.coordinates[1],
+      longitude: result.coordinates[0]
     };
   };
   
@@ -0,0 +1,28 @@
+const { serviceError } = require('./serviceErrors');
+
+/**
+ * Parse the period of a report; defaults to the current month
+ * @param {Object} period { from, to } as dates or date strings; a plain date
+ *   for `to` includes the whole of that day
+ * @returns {Object} { from, to } as Dates
+ */
+const parsePeriod = ({ from, to } = {}) => {
+  const now = new Date();
+  const start = from ? new Date(from) : new Date(now.getFullYear(), now.getMonth(), 1);
+  const end = to ? new Date(to) : now;
+
+  // A plain date includes the whole of that day
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    end.setUTCHours(23, 59, 59, 999);
+  }
+
+  if (isNaN(start) || isNaN(end) || start > end) {
+    throw serviceError('Invalid period', 400);
+  }
+
+  return { from: start, to: end };
+};
+
+module.exports = {
+  parsePeriod
+};
@@ -0,0 +1,74 @@
+// Local time zone of provider opening hours
+const SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'Africa/Nairobi';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// "HH:MM" on a 24-hour clock; "24:00" closes at midnight
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+/**
+ * Convert a "HH:MM" time to minutes after midnight
+ * @param {String} time Time of day
+ * @returns {Number} Minutes, 0-1440
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Get the weekday and time of day of a moment in the schedule time zone
+ * @param {Date} at Time
+ * @returns {Object} { day (0 = Sunday), minutes after midnight }
+ */
+const localTime = (at) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    weekday: 'short',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23',
+    timeZone: SCHEDULE_TIMEZONE
+  }).formatToParts(at);
+
+  const part = (type) => parts.find(entry => entry.type === type).value;
+
+  return {
+    day: WEEKDAYS.indexOf(part('weekday')),
+    minutes: parseInt(part('hour'), 10) * 60 + parseInt(part('minute'), 10)
+  };
+};
+
+/**
+ * Whether weekly opening hours are open at a time. No periods means open
+ * around the clock. A period closing at or before its opening time runs past
+ * midnight into the next day, e.g. Friday 20:00 to 06:00.
+ * @param {Array} operatingHours [{ day, opensAt, closesAt }]
+ * @param {Date} at Time (default: now)
+ * @returns {Boolean} Whether it is open
+ */
+const isOpenAt = (operatingHours, at = new Date()) => {
+  if (!Array.isArray(operatingHours) || operatingHours.length === 0) {
+    return true;
+  }
+
+  const { day, minutes } = localTime(at);
+
+  return operatingHours.some(period => {
+    const opens = toMinutes(period.opensAt);
+    const closes = toMinutes(period.closesAt);
+
+    if (opens < closes) {
+      return period.day === day && minutes >= opens && minutes < closes;
+    }
+
+    return (period.day === day && minutes >= opens)
+      || ((period.day + 1) % 7 === day && minutes < closes);
+  });
+};
+
+module.exports = {
+  SCHEDULE_TIMEZONE,
+  WEEKDAYS,
+  TIME_PATTERN,
+  isOpenAt
+};
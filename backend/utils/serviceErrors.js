@@ -0,0 +1,29 @@
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ * @param {String} message Error message
+ * @param {Number} status HTTP status, e.g. 400, 403, 404 or 409
+ * @returns {Error} Error with a status
+ */
+const serviceError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Send a service error with its own status code if it has one. Rethrows, so
+ * the error middleware writes the response.
+ * @param {Error} error Error thrown by a service
+ * @param {Object} res Express response
+ */
+const handleServiceError = (error, res) => {
+  if (error.status) {
+    res.status(error.status);
+  }
+  throw error;
+};
+
+module.exports = {
+  serviceError,
+  handleServiceError
+};
@@ -0,0 +1,289 @@
+'use client';
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import Link from 'next/link';
+import { GiAmbulance } from 'react-icons/gi';
+import { FiAlertCircle, FiMapPin, FiNavigation, FiPhone, FiUser } from 'react-icons/fi';
+import { useAuth } from '@/lib/auth';
+import { ACTOR, getNextTransition, getStatusDetails } from '@shared/tripLifecycle';
+import { getMyCrewProfile, getMyCrewTrips } from '@/utils/crewService';
+import { updateTripStatus } from '@/utils/tripService';
+import { updateAmbulanceLocation } from '@/utils/socketService';
+
+const tripActionColors = {
+  ARRIVED: 'bg-blue-500 hover:bg-blue-600',
+  PICKED_UP: 'bg-purple-500 hover:bg-purple-600',
+  AT_HOSPITAL: 'bg-green-500 hover:bg-green-600',
+  COMPLETED: 'bg-green-500 hover:bg-green-600'
+};
+
+const crewRoles = {
+  DRIVER: 'Driver',
+  EMT: 'EMT',
+  PARAMEDIC: 'Paramedic',
+  NURSE: 'Nurse'
+};
+
+// One trip the crew member's ambulance is working, with its next step
+function CrewTripCard({ trip, sharing, onToggleSharing, onUpdated }) {
+  const [updating, setUpdating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const transition = getNextTransition(trip.status, ACTOR.CREW);
+  const ambulance = trip.ambulanceId;
+
+  const handleNext = async () => {
+    try {
+      setUpdating(true);
+      setError(null);
+      onUpdated(await updateTripStatus(trip._id, transition.to));
+    } catch (error) {
+      console.error('Error updating trip status:', error);
+      setError(error.message || 'Failed to update the trip. Please try again.');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6 space-y-4">
+      <div className="flex items-center">
+        <GiAmbulance className="h-8 w-8 text-red-600 mr-3" />
+        <div>
+          <p className="text-lg font-bold text-gray-900">{getStatusDetails(trip.status).label}</p>
+          {ambulance && (
+            <p className="text-sm text-gray-500">{ambulance.name} ({ambulance.registration})</p>
+          )}
+        </div>
+      </div>
+
+      <div className="space-y-2 text-sm text-gray-900">
+        <p className="flex items-start">
+          <FiMapPin className="mr-2 mt-0.5 text-red-600" />
+          <span>Pick-up: {trip.requestLocation?.address || 'Pinned on the map'}</span>
+        </p>
+        {trip.destinationLocation?.address && (
+          <p className="flex items-start">
+            <FiNavigation className="mr-2 mt-0.5 text-red-600" />
+            <span>Destination: {trip.destinationLocation.address}</span>
+          </p>
+        )}
+        {trip.patientDetails?.name && (
+          <p className="flex items-center">
+            <FiUser className="mr-2 text-red-600" />
+            {trip.patientDetails.name}
+          </p>
+        )}
+        {trip.patientDetails?.phone && (
+          <a href={`tel:${trip.patientDetails.phone}`} className="text-red-600 hover:text-red-800 flex items-center">
+            <FiPhone className="mr-2" />
+            {trip.patientDetails.phone}
+          </a>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 text-red-700 p-3 text-sm flex items-start">
+          <FiAlertCircle className="h-4 w-4 mr-2 mt-0.5" />
+          <p>{error}</p>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-3">
+        {transition && (
+          <button
+            onClick={handleNext}
+            disabled={updating}
+            className={`flex-1 text-white px-4 py-2 rounded disabled:opacity-50 ${tripActionColors[transition.to] || 'bg-red-600 hover:bg-red-700'}`}
+          >
+            {updating ? 'Updating...' : transition.action}
+          </button>
+        )}
+        {ambulance && (
+          <button
+            onClick={() => onToggleSharing(ambulance._id)}
+            className={`px-4 py-2 rounded text-sm border ${sharing ? 'border-green-600 text-green-700 bg-green-50' : 'border-gray-300 text-gray-700 bg-white hover:bg-gray-50'}`}
+          >
+            {sharing ? 'Sharing location' : 'Share location'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Home screen of drivers, EMTs, paramedics and nurses: the trips of the
+// ambulances they are assigned to
+export default function CrewPage() {
+  const { user, userRole } = useAuth();
+  const [profile, setProfile] = useState(null);
+  const [trips, setTrips] = useState([]);
+  const [sharingAmbulanceId, setSharingAmbulanceId] = useState(null);
+  const [locationError, setLocationError] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const positionWatchId = useRef(null);
+
+  const isCrew = userRole === 'crew';
+
+  const fetchCrewData = useCallback(async () => {
+    try {
+      const [profileData, tripData] = await Promise.all([getMyCrewProfile(), getMyCrewTrips()]);
+      setProfile(profileData);
+      setTrips(Array.isArray(tripData) ? tripData : []);
+      setError(null);
+    } catch (error) {
+      console.error('Error loading crew trips:', error);
+      setError(error.status === 403 ? error.message : 'Failed to load your trips. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isCrew) {
+      fetchCrewData();
+    } else {
+      setLoading(false);
+    }
+  }, [isCrew, fetchCrewData]);
+
+  const stopSharing = () => {
+    if (positionWatchId.current !== null) {
+      navigator.geolocation.clearWatch(positionWatchId.current);
+      positionWatchId.current = null;
+    }
+    setSharingAmbulanceId(null);
+  };
+
+  // Stop watching the position when leaving the page
+  useEffect(() => () => {
+    if (positionWatchId.current !== null) {
+      navigator.geolocation.clearWatch(positionWatchId.current);
+    }
+  }, []);
+
+  const handleToggleSharing = (ambulanceId) => {
+    const wasSharing = sharingAmbulanceId === ambulanceId;
+    stopSharing();
+    setLocationError(null);
+
+    if (wasSharing) return;
+
+    if (!navigator.geolocation) {
+      setLocationError('Location sharing is not supported on this device');
+      return;
+    }
+
+    setSharingAmbulanceId(ambulanceId);
+    positionWatchId.current = navigator.geolocation.watchPosition(
+      (position) => {
+        updateAmbulanceLocation(ambulanceId, {
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: position.coords.accuracy,
+          speed: position.coords.speed,
+          heading: position.coords.heading,
+          timestamp: new Date(position.timestamp).toISOString()
+        });
+        setLocationError(null);
+      },
+      (error) => {
+        console.error('Location tracking error:', error);
+        setLocationError(error.code === error.PERMISSION_DENIED ? 'Location permission denied' : 'Location tracking failed');
+      },
+      {
+        enableHighAccuracy: true,
+        maximumAge: 10000,
+        timeout: 20000
+      }
+    );
+  };
+
+  const handleUpdated = (updated) => {
+    if (!getNextTransition(updated.status, ACTOR.CREW)) {
+      setTrips(current => current.filter(trip => trip._id !== updated._id));
+      return;
+    }
+
+    setTrips(current => current.map(trip => (trip._id === updated._id ? { ...trip, ...updated, ambulanceId: trip.ambulanceId } : trip)));
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex justify-center items-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-red-600"></div>
+      </div>
+    );
+  }
+
+  if (!isCrew) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex justify-center items-center px-4">
+        <div className="bg-white shadow rounded-lg p-6 flex items-start max-w-md">
+          <FiAlertCircle className="h-5 w-5 text-red-500 mr-2 mt-0.5" />
+          <p className="text-gray-700">
+            This page is for ambulance crew.{' '}
+            {!user && (
+              <Link href="/auth/login" className="text-red-600 hover:text-red-800">Sign in</Link>
+            )}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <div className="max-w-3xl mx-auto py-6 px-4 sm:px-6 lg:px-8 space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">My trips</h1>
+          {profile && (
+            <p className="text-sm text-gray-500">
+              {crewRoles[profile.role] || profile.role}
+              {profile.providerId?.name && ` with ${profile.providerId.name}`}
+              {profile.ambulanceIds?.length > 0 && ` · ${profile.ambulanceIds.map(ambulance => ambulance.name || ambulance.registration).join(', ')}`}
+            </p>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border-l-4 border-red-500 text-red-700 p-4 flex items-start">
+            <FiAlertCircle className="h-5 w-5 text-red-500 mr-2 mt-0.5" />
+            <p>{error}</p>
+          </div>
+        )}
+
+        {locationError && (
+          <div className="bg-yellow-50 border-l-4 border-yellow-500 text-yellow-800 p-4 flex items-start">
+            <FiAlertCircle className="h-5 w-5 mr-2 mt-0.5" />
+            <p>{locationError}</p>
+          </div>
+        )}
+
+        {profile && profile.ambulanceIds?.length === 0 ? (
+          <div className="bg-white shadow rounded-lg p-6 text-center text-gray-500">
+            You aren&apos;t assigned to an ambulance yet. Ask your provider to add you to one.
+          </div>
+        ) : trips.length === 0 ? (
+          <div className="bg-white shadow rounded-lg p-6 text-center text-gray-500">
+            Your ambulances have no trips right now.
+            <button onClick={fetchCrewData} className="block mx-auto mt-2 text-sm text-red-600 hover:text-red-800">
+              Refresh
+            </button>
+          </div>
+        ) : (
+          trips.map(trip => (
+            <CrewTripCard
+              key={trip._id}
+              trip={trip}
+              sharing={!!trip.ambulanceId && sharingAmbulanceId === trip.ambulanceId._id}
+              onToggleSharing={handleToggleSharing}
+              onUpdated={handleUpdated}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
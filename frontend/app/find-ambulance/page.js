@@ -1,13 +1,16 @@
 'use client';
 
 import React, { useState, useEffect, useRef } from 'react';
+import Link from 'next/link';
 import { useRouter } from 'next/navigation';
 import { FiMapPin, FiSearch, FiAlertCircle, FiInfo, FiPhone } from 'react-icons/fi';
 import { GiAmbulance } from 'react-icons/gi';
 import { useAuth } from '@/lib/auth';
 import { getCurrentLocation } from '@/utils/locationService';
-import { findNearestAmbulances } from '@/utils/ambulanceService';
+import { findNearestAmbulances, formatFareEstimate } from '@/utils/ambulanceService';
 import TripRequestModal from '@/components/TripRequestModal';
+import { getInsuranceCovers } from '@/utils/insuranceService';
+import { getMyProfile } from '@/utils/userService';
 import { initializeSocket, subscribeAmbulanceLocation, subscribeAmbulanceStatusUpdates, authenticateUser, subscribeTripUpdates, getSocket } from '@/utils/socketService';
 
 export default function FindAmbulancePage() {
@@ -18,7 +21,13 @@ export default function FindAmbulancePage() {
   const [error, setError] = useState(null);
   const [patientName, setPatientName] = useState('');
   const [patientPhone, setPatientPhone] = useState('');
+  const [forSelf, setForSelf] = useState(true);
+  const [profile, setProfile] = useState(null);
   const [emergencyDetails, setEmergencyDetails] = useState('');
+  const [insuranceCovers, setInsuranceCovers] = useState([]);
+  const [insuranceCoverId, setInsuranceCoverId] = useState('');
+  const [autoDispatch, setAutoDispatch] = useState(false);
+  const [ambulanceType, setAmbulanceType] = useState('');
   const [showRequestModal, setShowRequestModal] = useState(false);
   const [leafletLoaded, setLeafletLoaded] = useState(false);
   const mapRef = useRef(null);
@@ -223,6 +232,52 @@ useEffect(() => {
     }
   }, [user, userRole]);
 
+  // Saved insurance, the default cover preselected
+  useEffect(() => {
+    if (userRole === 'provider' || !user) return;
+    
+    const fetchInsuranceCovers = async () => {
+      try {
+        const covers = await getInsuranceCovers();
+        if (Array.isArray(covers)) {
+          setInsuranceCovers(covers);
+          setInsuranceCoverId(covers.find(cover => cover.isDefault)?._id || '');
+        }
+      } catch (error) {
+        console.error('Error loading insurance covers:', error);
+      }
+    };
+    
+    fetchInsuranceCovers();
+  }, [user, userRole]);
+
+  // Profile, whose name and phone pre-fill requests made for oneself
+  useEffect(() => {
+    if (userRole === 'provider' || !user) return;
+    
+    const fetchProfile = async () => {
+      try {
+        const data = await getMyProfile();
+        if (data) {
+          setProfile(data);
+          if (data.name) setPatientName(data.name);
+          if (data.phone) setPatientPhone(data.phone);
+        }
+      } catch (error) {
+        console.error('Error loading profile:', error);
+      }
+    };
+    
+    fetchProfile();
+  }, [user, userRole]);
+
+  // Requests for someone else start blank; switching back restores the requester's details
+  const handleForSelfChange = (checked) => {
+    setForSelf(checked);
+    setPatientName(checked ? (profile?.name || user?.displayName || '') : '');
+    setPatientPhone(checked ? (profile?.phone || user?.phoneNumber || '') : '');
+  };
+
   // Enhanced subscription to trip status updates
   useEffect(() => {
     // Skip for providers
@@ -557,7 +612,7 @@ useEffect(() => {
   const handleRequestAmbulance = (e) => {
     e.preventDefault();
     
-    if (!selectedAmbulance) {
+    if (!autoDispatch && !selectedAmbulance) {
       alert('Please select an ambulance');
       return;
     }
@@ -656,7 +711,42 @@ useEffect(() => {
                 </div>
               ) : (
                 <form onSubmit={handleRequestAmbulance} className="space-y-6">
+                  {/* Dispatch Mode */}
+                  <div className="bg-gray-50 rounded-lg p-3">
+                    <label className="flex items-center text-sm font-medium text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={autoDispatch}
+                        onChange={(e) => setAutoDispatch(e.target.checked)}
+                        className="mr-2 h-4 w-4 text-red-600 border-gray-300 rounded focus:ring-red-500"
+                      />
+                      Send me the nearest suitable ambulance
+                    </label>
+                    <p className="mt-1 text-xs text-gray-500">
+                      We will pick the closest available ambulance and pass your request on if it is not accepted quickly.
+                    </p>
+                    {autoDispatch && (
+                      <div className="mt-3">
+                        <label htmlFor="ambulanceType" className="block text-sm font-medium text-gray-700 mb-1">
+                          Ambulance Type
+                        </label>
+                        <select
+                          id="ambulanceType"
+                          value={ambulanceType}
+                          onChange={(e) => setAmbulanceType(e.target.value)}
+                          className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-red-500 focus:border-red-500 sm:text-sm"
+                        >
+                          <option value="">Any type</option>
+                          {[...new Set(ambulances.map(ambulance => ambulance.type).filter(Boolean))].map(type => (
+                            <option key={type} value={type}>{type}</option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+                  </div>
+                  
                   {/* Ambulance Selection */}
+                  {!autoDispatch && (
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
                       Available Ambulances
@@ -688,6 +778,11 @@ useEffect(() => {
                                 <span className="mx-2 text-gray-300">|</span>
                                 <span className="text-xs text-gray-500">{ambulance.distance || 'Unknown distance'}</span>
                               </div>
+                              {ambulance.fareEstimate && (
+                                <div className="mt-1 text-xs font-medium text-gray-700">
+                                  {formatFareEstimate(ambulance.fareEstimate)}
+                                </div>
+                              )}
                               {(!ambulance.coordinates || 
                                 ambulance.coordinates.latitude === null || 
                                 ambulance.coordinates.longitude === null ||
@@ -708,11 +803,29 @@ useEffect(() => {
                       ))}
                     </div>
                   </div>
+                  )}
                   
                   {/* Patient Information */}
                   <div>
                     <h3 className="text-sm font-medium text-gray-700 mb-3">Patient Information</h3>
                     <div className="space-y-4">
+                      <div>
+                        <label className="flex items-center text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={forSelf}
+                            onChange={(e) => handleForSelfChange(e.target.checked)}
+                            className="mr-2 h-4 w-4 text-red-600 border-gray-300 rounded focus:ring-red-500"
+                          />
+                          This request is for me
+                        </label>
+                        {forSelf && (
+                          <p className="mt-1 text-xs text-gray-500">
+                            The medical information and emergency contacts in your <Link href="/profile" className="text-red-600 hover:underline">profile</Link> are shared with the crew.
+                          </p>
+                        )}
+                      </div>
+                      
                       <div>
                         <label htmlFor="patientName" className="block text-sm font-medium text-gray-700 mb-1">
                           Patient Name *
@@ -741,6 +854,25 @@ useEffect(() => {
                         />
                       </div>
                       
+                      {insuranceCovers.length > 0 && (
+                        <div>
+                          <label htmlFor="insuranceCover" className="block text-sm font-medium text-gray-700 mb-1">
+                            Insurance
+                          </label>
+                          <select
+                            id="insuranceCover"
+                            value={insuranceCoverId}
+                            onChange={(e) => setInsuranceCoverId(e.target.value)}
+                            className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-red-500 focus:border-red-500 sm:text-sm"
+                          >
+                            <option value="">No insurance</option>
+                            {insuranceCovers.map(cover => (
+                              <option key={cover._id} value={cover._id}>{cover.insurer} - {cover.memberNumber}</option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+                      
                       <div>
                         <label htmlFor="emergencyDetails" className="block text-sm font-medium text-gray-700 mb-1">
                           Emergency Details (optional)
@@ -761,7 +893,7 @@ useEffect(() => {
                   <div>
                     <button
                       type="submit"
-                      disabled={ambulances.length === 0 || !selectedAmbulance}
+                      disabled={ambulances.length === 0 || (!autoDispatch && !selectedAmbulance)}
                       className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 disabled:bg-gray-300 disabled:cursor-not-allowed"
                     >
                       Request Ambulance
@@ -815,12 +947,16 @@ useEffect(() => {
             longitude: location.longitude,
             address: location.address || 'Current location'
           }}
-          selectedAmbulance={selectedAmbulance}
+          selectedAmbulance={autoDispatch ? null : selectedAmbulance}
+          dispatchOptions={autoDispatch ? { auto: true, ambulanceType: ambulanceType || null } : null}
           patientDetails={{
             name: patientName,
             phone: patientPhone,
           }}
           emergencyDetails={emergencyDetails}
+          forSelf={forSelf}
+          // Without the covers loaded, let the backend attach the default one
+          insuranceCoverId={insuranceCovers.length > 0 ? (insuranceCoverId || null) : undefined}
           onTripCreated={(trip) => {
             // Store the trip ID when a trip is created
             console.log('Trip created in modal:', trip);
@@ -0,0 +1,233 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'next/navigation';
+import { GiAmbulance } from 'react-icons/gi';
+import { FiClock, FiUser, FiActivity, FiPhone, FiAlertCircle, FiCheckCircle } from 'react-icons/fi';
+import { getHandover, acknowledgeHandover } from '@/utils/handoverService';
+
+// How often the packet is reloaded while the ambulance is on its way
+const REFRESH_INTERVAL_MS = 30000;
+
+const formatTime = (value) => (value ? new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '');
+
+// Page the receiving hospital opens from a pre-arrival email or webhook link
+export default function HandoverPage() {
+  const { token } = useParams();
+  const [packet, setPacket] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [name, setName] = useState('');
+  const [note, setNote] = useState('');
+  const [acknowledging, setAcknowledging] = useState(false);
+
+  const fetchPacket = useCallback(async () => {
+    try {
+      setPacket(await getHandover(token));
+      setError(null);
+    } catch (error) {
+      console.error('Error loading handover:', error);
+      setError(error.status === 404 ? 'This handover link is no longer valid.' : 'Failed to load the handover. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchPacket();
+  }, [fetchPacket]);
+
+  const enRoute = packet?.status === 'PICKED_UP';
+  useEffect(() => {
+    if (!enRoute) return;
+
+    const interval = setInterval(fetchPacket, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [enRoute, fetchPacket]);
+
+  const handleAcknowledge = async (e) => {
+    e.preventDefault();
+
+    try {
+      setAcknowledging(true);
+      setPacket(await acknowledgeHandover(token, { name, note }));
+    } catch (error) {
+      console.error('Error acknowledging handover:', error);
+      setError('Failed to acknowledge the handover. Please try again.');
+    } finally {
+      setAcknowledging(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex justify-center items-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-red-600"></div>
+      </div>
+    );
+  }
+
+  if (!packet) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex justify-center items-center px-4">
+        <div className="bg-white shadow rounded-lg p-6 flex items-start max-w-md">
+          <FiAlertCircle className="h-5 w-5 text-red-500 mr-2 mt-0.5" />
+          <p className="text-gray-700">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { patient, vitals, eta, crew, acknowledgement } = packet;
+  const inputClassName = 'w-full border border-gray-300 rounded-md px-3 py-2 text-sm';
+
+  const patientRows = [
+    ['Name', patient.name],
+    ['Age', patient.age],
+    ['Blood type', patient.bloodType],
+    ['Needs', patient.clinicalNeeds?.join(', ')],
+    ['Conditions', patient.medicalConditions],
+    ['Allergies', patient.allergies],
+    ['Medications', patient.medications],
+    ['Emergency', patient.emergencyDetails]
+  ].filter(([, value]) => value || value === 0);
+
+  const vitalRows = vitals ? [
+    ['Heart rate', vitals.heartRate && `${vitals.heartRate} bpm`],
+    ['Blood pressure', vitals.systolic && vitals.diastolic && `${vitals.systolic}/${vitals.diastolic} mmHg`],
+    ['Respiratory rate', vitals.respiratoryRate && `${vitals.respiratoryRate} /min`],
+    ['SpO2', vitals.oxygenSaturation && `${vitals.oxygenSaturation}%`],
+    ['Temperature', vitals.temperature && `${vitals.temperature} °C`],
+    ['GCS', vitals.gcs],
+    ['Notes', vitals.notes]
+  ].filter(([, value]) => value) : [];
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <div className="max-w-3xl mx-auto py-6 px-4 sm:px-6 lg:px-8 space-y-6">
+        <div className="bg-white shadow rounded-lg p-6 flex items-center">
+          <GiAmbulance className="h-10 w-10 text-red-600 mr-4" />
+          <div className="flex-1">
+            <p className="text-sm text-gray-500">Incoming patient for {packet.hospital.name}</p>
+            <h1 className="text-2xl font-bold text-gray-900">
+              {packet.status === 'PICKED_UP'
+                ? (eta ? `Arriving in ${eta.text}` : 'On the way')
+                : 'The ambulance has arrived'}
+            </h1>
+            {packet.status === 'PICKED_UP' && eta && (
+              <p className="text-sm text-gray-600 flex items-center mt-1">
+                <FiClock className="mr-1" />
+                Around {formatTime(eta.expectedArrival)}, {eta.distanceKm} km away
+              </p>
+            )}
+          </div>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border-l-4 border-red-500 text-red-700 p-4 flex items-start">
+            <FiAlertCircle className="h-5 w-5 text-red-500 mr-2 mt-0.5" />
+            <p>{error}</p>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="bg-white shadow rounded-lg p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+              <FiUser className="mr-2 text-red-600" />
+              Patient
+            </h2>
+            <dl className="space-y-2">
+              {patientRows.map(([label, value]) => (
+                <div key={label} className="flex">
+                  <dt className="w-28 text-sm text-gray-500">{label}</dt>
+                  <dd className={`flex-1 text-sm ${label === 'Allergies' ? 'font-medium text-red-700' : 'text-gray-900'}`}>{value}</dd>
+                </div>
+              ))}
+            </dl>
+          </div>
+
+          <div className="bg-white shadow rounded-lg p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+              <FiActivity className="mr-2 text-red-600" />
+              Vitals
+              {vitals && <span className="ml-auto text-sm font-normal text-gray-500">at {formatTime(vitals.recordedAt)}</span>}
+            </h2>
+            {vitalRows.length > 0 ? (
+              <dl className="space-y-2">
+                {vitalRows.map(([label, value]) => (
+                  <div key={label} className="flex">
+                    <dt className="w-36 text-sm text-gray-500">{label}</dt>
+                    <dd className="flex-1 text-sm text-gray-900">{value}</dd>
+                  </div>
+                ))}
+              </dl>
+            ) : (
+              <p className="text-sm text-gray-500">The crew hasn&apos;t recorded vitals yet.</p>
+            )}
+          </div>
+        </div>
+
+        <div className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+            <FiPhone className="mr-2 text-red-600" />
+            Crew
+          </h2>
+          <div className="space-y-2 text-sm text-gray-900">
+            <p>{crew.ambulanceName} ({crew.registration}){crew.ambulanceType && ` - ${crew.ambulanceType}`}</p>
+            {crew.driverPhone && (
+              <a href={`tel:${crew.driverPhone}`} className="text-red-600 hover:text-red-800 flex items-center">
+                <FiPhone className="mr-1" />
+                {crew.driverName || 'Driver'}: {crew.driverPhone}
+              </a>
+            )}
+            {crew.providerPhone && (
+              <a href={`tel:${crew.providerPhone}`} className="text-red-600 hover:text-red-800 flex items-center">
+                <FiPhone className="mr-1" />
+                {crew.providerName}: {crew.providerPhone}
+              </a>
+            )}
+          </div>
+        </div>
+
+        {acknowledgement ? (
+          <div className="bg-green-50 border-l-4 border-green-500 text-green-800 p-4 flex items-start">
+            <FiCheckCircle className="h-5 w-5 mr-2 mt-0.5" />
+            <p>
+              Acknowledged by {acknowledgement.acknowledgedBy} at {formatTime(acknowledgement.acknowledgedAt)}
+              {acknowledgement.note && acknowledgement.note !== 'Acknowledged' && ` - ${acknowledgement.note}`}
+            </p>
+          </div>
+        ) : (
+          <form onSubmit={handleAcknowledge} className="bg-white shadow rounded-lg p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900">Let the crew know you are ready</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">Your name</label>
+                <input id="name" value={name} onChange={(e) => setName(e.target.value)} className={inputClassName} />
+              </div>
+              <div>
+                <label htmlFor="note" className="block text-sm font-medium text-gray-700 mb-1">Note for the crew</label>
+                <input
+                  id="note"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  placeholder="e.g. Resus bay 2"
+                  className={inputClassName}
+                />
+              </div>
+            </div>
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={acknowledging}
+                className="px-6 py-2 rounded-md text-white bg-green-600 hover:bg-green-700 disabled:bg-gray-400"
+              >
+                {acknowledging ? 'Sending...' : 'Acknowledge'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,305 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { GiAmbulance } from 'react-icons/gi';
+import { FiClock, FiUser, FiActivity, FiPhone, FiAlertCircle, FiCheckCircle, FiMapPin } from 'react-icons/fi';
+import { useAuth } from '@/lib/auth';
+import { getInboundTrips, setReceivingBay } from '@/utils/hospitalService';
+import { subscribeInboundTrips } from '@/utils/socketService';
+
+const formatTime = (value) => (value ? new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '');
+
+const STATUS_LABELS = {
+  ACCEPTED: 'Ambulance on its way to the patient',
+  ARRIVED: 'Ambulance with the patient',
+  PICKED_UP: 'On the way',
+  AT_HOSPITAL: 'At the door'
+};
+
+const STATUS_COLORS = {
+  ACCEPTED: 'bg-blue-100 text-blue-800',
+  ARRIVED: 'bg-yellow-100 text-yellow-800',
+  PICKED_UP: 'bg-red-100 text-red-800',
+  AT_HOSPITAL: 'bg-green-100 text-green-800'
+};
+
+// One inbound trip on the receiving dashboard, with its bay form
+function InboundTripCard({ trip, position, staffName, onUpdated }) {
+  const [label, setLabel] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const { patient, vitals, eta, ambulance, provider, receivingBay } = trip;
+
+  const handleBay = async (e, ready) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError(null);
+      onUpdated(await setReceivingBay(trip._id, { label, name: staffName, ready }));
+      setLabel('');
+    } catch (error) {
+      console.error('Error updating the receiving bay:', error);
+      setError(error.message || 'Failed to update the bay. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const patientRows = [
+    ['Name', patient.name],
+    ['Age', patient.age],
+    ['Blood type', patient.bloodType],
+    ['Needs', patient.clinicalNeeds?.join(', ')],
+    ['Conditions', patient.medicalConditions],
+    ['Allergies', patient.allergies],
+    ['Medications', patient.medications],
+    ['Emergency', patient.emergencyDetails]
+  ].filter(([, value]) => value || value === 0);
+
+  const vitalSummary = vitals ? [
+    vitals.heartRate && `HR ${vitals.heartRate}`,
+    vitals.systolic && vitals.diastolic && `BP ${vitals.systolic}/${vitals.diastolic}`,
+    vitals.respiratoryRate && `RR ${vitals.respiratoryRate}`,
+    vitals.oxygenSaturation && `SpO2 ${vitals.oxygenSaturation}%`,
+    vitals.temperature && `${vitals.temperature} °C`,
+    vitals.gcs && `GCS ${vitals.gcs}`
+  ].filter(Boolean).join(' · ') : '';
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6 space-y-4">
+      <div className="flex items-start justify-between">
+        <div className="flex items-center">
+          <GiAmbulance className="h-8 w-8 text-red-600 mr-3" />
+          <div>
+            <p className="text-xl font-bold text-gray-900">
+              {trip.status === 'AT_HOSPITAL'
+                ? `Arrived at ${formatTime(trip.hospitalArrivalTime)}`
+                : trip.status === 'PICKED_UP' && eta ? `Arriving in ${eta.text}` : STATUS_LABELS[trip.status]}
+            </p>
+            {trip.status === 'PICKED_UP' && eta && (
+              <p className="text-sm text-gray-600 flex items-center">
+                <FiClock className="mr-1" />
+                {eta.distanceKm} km away, updated {formatTime(eta.calculatedAt)}
+              </p>
+            )}
+            {trip.status !== 'AT_HOSPITAL' && position && (
+              <p className="text-xs text-gray-500 flex items-center mt-1">
+                <FiMapPin className="mr-1" />
+                Ambulance position at {formatTime(position.recordedAt || position.timestamp)}
+              </p>
+            )}
+          </div>
+        </div>
+        <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_COLORS[trip.status] || 'bg-gray-100 text-gray-800'}`}>
+          {trip.status.replace('_', ' ')}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900 mb-2 flex items-center">
+            <FiUser className="mr-2 text-red-600" />
+            Patient
+          </h3>
+          {patientRows.length > 0 ? (
+            <dl className="space-y-1">
+              {patientRows.map(([label, value]) => (
+                <div key={label} className="flex">
+                  <dt className="w-28 text-sm text-gray-500">{label}</dt>
+                  <dd className={`flex-1 text-sm ${label === 'Allergies' ? 'font-medium text-red-700' : 'text-gray-900'}`}>{value}</dd>
+                </div>
+              ))}
+            </dl>
+          ) : (
+            <p className="text-sm text-gray-500">No patient details yet.</p>
+          )}
+          {vitalSummary && (
+            <p className="text-sm text-gray-900 mt-2 flex items-start">
+              <FiActivity className="mr-2 mt-0.5 text-red-600" />
+              <span>{vitalSummary} <span className="text-gray-500">at {formatTime(vitals.recordedAt)}</span></span>
+            </p>
+          )}
+        </div>
+
+        <div className="space-y-2 text-sm text-gray-900">
+          <h3 className="text-sm font-semibold text-gray-900 mb-2 flex items-center">
+            <FiPhone className="mr-2 text-red-600" />
+            Crew
+          </h3>
+          <p>{ambulance.name} ({ambulance.registration}){ambulance.type && ` - ${ambulance.type}`}</p>
+          {ambulance.driverPhone && (
+            <a href={`tel:${ambulance.driverPhone}`} className="text-red-600 hover:text-red-800 flex items-center">
+              <FiPhone className="mr-1" />
+              {ambulance.driverName || 'Driver'}: {ambulance.driverPhone}
+            </a>
+          )}
+          {provider.phone && (
+            <a href={`tel:${provider.phone}`} className="text-red-600 hover:text-red-800 flex items-center">
+              <FiPhone className="mr-1" />
+              {provider.name}: {provider.phone}
+            </a>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 text-red-700 p-3 text-sm flex items-start">
+          <FiAlertCircle className="h-4 w-4 mr-2 mt-0.5" />
+          <p>{error}</p>
+        </div>
+      )}
+
+      {receivingBay ? (
+        <div className="bg-green-50 border-l-4 border-green-500 text-green-800 p-3 flex items-center">
+          <FiCheckCircle className="h-5 w-5 mr-2" />
+          <p className="flex-1 text-sm">
+            <span className="font-medium">{receivingBay.label}</span> ready, by {receivingBay.readyBy} at {formatTime(receivingBay.readyAt)}
+          </p>
+          <button
+            type="button"
+            onClick={(e) => handleBay(e, false)}
+            disabled={saving}
+            className="text-sm text-green-800 hover:text-green-900 underline disabled:text-gray-400"
+          >
+            Take back
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={(e) => handleBay(e, true)} className="flex items-center gap-3">
+          <input
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="Bed or bay, e.g. Resus 2"
+            className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+          <button
+            type="submit"
+            disabled={saving || !label.trim()}
+            className="px-4 py-2 rounded-md text-sm text-white bg-green-600 hover:bg-green-700 disabled:bg-gray-400"
+          >
+            {saving ? 'Saving...' : 'Mark ready'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+// Receiving dashboard of a hospital's emergency department
+export default function HospitalDashboardPage() {
+  const { user, userRole } = useAuth();
+  const [hospital, setHospital] = useState(null);
+  const [trips, setTrips] = useState([]);
+  const [positions, setPositions] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const isHospitalStaff = userRole === 'hospital';
+
+  const fetchInbound = useCallback(async () => {
+    try {
+      const data = await getInboundTrips();
+      setHospital(data.hospital);
+      setTrips(data.trips);
+      setError(null);
+    } catch (error) {
+      console.error('Error loading inbound trips:', error);
+      setError('Failed to load incoming ambulances. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isHospitalStaff) {
+      fetchInbound();
+    } else {
+      setLoading(false);
+    }
+  }, [isHospitalStaff, fetchInbound]);
+
+  // Follow every inbound trip; the list itself is reloaded when one changes
+  const tripIds = trips.map(trip => trip._id).join(',');
+  useEffect(() => {
+    if (!isHospitalStaff) return;
+
+    return subscribeInboundTrips(tripIds ? tripIds.split(',') : [], {
+      onEta: (data) => {
+        if (data.target !== 'DESTINATION') return;
+
+        setTrips(current => current.map(trip => (trip._id === data.tripId
+          ? { ...trip, eta: { minutes: data.eta, text: data.etaText, distanceKm: data.distanceKm, calculatedAt: data.timestamp } }
+          : trip)));
+      },
+      onLocation: (data) => {
+        setPositions(current => ({ ...current, [data.tripId]: data }));
+      },
+      onChange: fetchInbound
+    });
+  }, [isHospitalStaff, tripIds, fetchInbound]);
+
+  const handleUpdated = (updated) => {
+    setTrips(current => current.map(trip => (trip._id === updated._id ? updated : trip)));
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex justify-center items-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-red-600"></div>
+      </div>
+    );
+  }
+
+  if (!isHospitalStaff) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex justify-center items-center px-4">
+        <div className="bg-white shadow rounded-lg p-6 flex items-start max-w-md">
+          <FiAlertCircle className="h-5 w-5 text-red-500 mr-2 mt-0.5" />
+          <p className="text-gray-700">
+            This page is for hospital staff.{' '}
+            {!user && (
+              <Link href="/auth/login" className="text-red-600 hover:text-red-800">Sign in</Link>
+            )}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <div className="max-w-5xl mx-auto py-6 px-4 sm:px-6 lg:px-8 space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Incoming ambulances</h1>
+          {hospital && <p className="text-sm text-gray-500">{hospital.name}</p>}
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border-l-4 border-red-500 text-red-700 p-4 flex items-start">
+            <FiAlertCircle className="h-5 w-5 text-red-500 mr-2 mt-0.5" />
+            <p>{error}</p>
+          </div>
+        )}
+
+        {trips.length === 0 ? (
+          <div className="bg-white shadow rounded-lg p-6 text-center text-gray-500">
+            No ambulances are heading here right now.
+          </div>
+        ) : (
+          trips.map(trip => (
+            <InboundTripCard
+              key={trip._id}
+              trip={trip}
+              position={positions[trip._id]}
+              staffName={user?.displayName || user?.email}
+              onUpdated={handleUpdated}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
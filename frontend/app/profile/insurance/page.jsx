@@ -0,0 +1,294 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { FiArrowLeft, FiShield, FiEdit2, FiTrash2, FiStar, FiAlertCircle } from 'react-icons/fi';
+import { useAuth } from '@/lib/auth';
+import { INSURERS } from '@shared/insurers';
+import { getInsuranceCovers, saveInsuranceCover, deleteInsuranceCover } from '@/utils/insuranceService';
+
+const relationships = {
+  SELF: 'Self',
+  SPOUSE: 'Spouse',
+  CHILD: 'Child',
+  OTHER: 'Other dependant'
+};
+
+const emptyForm = {
+  insurer: '',
+  scheme: '',
+  memberNumber: '',
+  principalName: '',
+  relationship: 'SELF',
+  isDefault: false
+};
+
+export default function InsurancePage() {
+  const router = useRouter();
+  const { user, loading: authLoading } = useAuth();
+  const [covers, setCovers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.push('/auth/login');
+    }
+  }, [authLoading, user, router]);
+
+  const fetchCovers = async () => {
+    try {
+      setLoading(true);
+      const data = await getInsuranceCovers();
+      setCovers(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('Error fetching insurance covers:', error);
+      setError('Failed to load your insurance. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (user) {
+      fetchCovers();
+    }
+  }, [user]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleEdit = (cover) => {
+    setForm({
+      _id: cover._id,
+      insurer: cover.insurer,
+      scheme: cover.scheme || '',
+      memberNumber: cover.memberNumber,
+      principalName: cover.principalName || '',
+      relationship: cover.relationship || 'SELF',
+      isDefault: cover.isDefault
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError(null);
+      await saveInsuranceCover(form);
+      setForm(emptyForm);
+      await fetchCovers();
+    } catch (error) {
+      console.error('Error saving insurance cover:', error);
+      setError(error.status === 400 ? error.message : 'Failed to save your insurance. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMakeDefault = async (cover) => {
+    try {
+      await saveInsuranceCover({ _id: cover._id, isDefault: true });
+      await fetchCovers();
+    } catch (error) {
+      console.error('Error updating insurance cover:', error);
+      setError('Failed to update your insurance.');
+    }
+  };
+
+  const handleDelete = async (cover) => {
+    if (!window.confirm(`Remove your ${cover.insurer} cover? Trips it is attached to keep it.`)) {
+      return;
+    }
+
+    try {
+      await deleteInsuranceCover(cover._id);
+      await fetchCovers();
+    } catch (error) {
+      console.error('Error deleting insurance cover:', error);
+      setError('Failed to remove your insurance.');
+    }
+  };
+
+  const inputClassName = 'w-full border border-gray-300 rounded-md px-3 py-2 text-sm';
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <div className="max-w-3xl mx-auto py-6 px-4 sm:px-6 lg:px-8 space-y-6">
+        <div>
+          <Link href="/profile" className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 mb-2">
+            <FiArrowLeft className="mr-1" />
+            My Profile
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900">My Insurance</h1>
+          <p className="text-gray-600 mt-1">
+            Your default cover is attached to every ambulance you request, so the crew can get the trip pre-authorised and bill your insurer.
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border-l-4 border-red-500 text-red-700 p-4 flex items-start">
+            <FiAlertCircle className="h-5 w-5 text-red-500 mr-2 mt-0.5" />
+            <p>{error}</p>
+            <button
+              onClick={() => setError(null)}
+              className="ml-auto text-red-500 hover:text-red-700"
+            >
+              &times;
+            </button>
+          </div>
+        )}
+
+        <form onSubmit={handleSave} className="bg-white shadow rounded-lg p-6 grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <h2 className="sm:col-span-2 text-lg font-semibold text-gray-900">
+            {form._id ? 'Edit cover' : 'Add a cover'}
+          </h2>
+
+          <div>
+            <label htmlFor="insurer" className="block text-sm font-medium text-gray-700 mb-1">Insurer *</label>
+            <input
+              id="insurer"
+              name="insurer"
+              list="insurers"
+              value={form.insurer}
+              onChange={handleChange}
+              required
+              className={inputClassName}
+            />
+            <datalist id="insurers">
+              {INSURERS.map(insurer => <option key={insurer.code} value={insurer.name} />)}
+            </datalist>
+          </div>
+
+          <div>
+            <label htmlFor="scheme" className="block text-sm font-medium text-gray-700 mb-1">Scheme</label>
+            <input
+              id="scheme"
+              name="scheme"
+              value={form.scheme}
+              onChange={handleChange}
+              placeholder="e.g. your employer's scheme"
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="memberNumber" className="block text-sm font-medium text-gray-700 mb-1">Member number *</label>
+            <input
+              id="memberNumber"
+              name="memberNumber"
+              value={form.memberNumber}
+              onChange={handleChange}
+              required
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="relationship" className="block text-sm font-medium text-gray-700 mb-1">You are the</label>
+            <select id="relationship" name="relationship" value={form.relationship} onChange={handleChange} className={inputClassName}>
+              {Object.entries(relationships).map(([value, label]) => (
+                <option key={value} value={value}>{value === 'SELF' ? 'Principal member' : label}</option>
+              ))}
+            </select>
+          </div>
+
+          {form.relationship !== 'SELF' && (
+            <div className="sm:col-span-2">
+              <label htmlFor="principalName" className="block text-sm font-medium text-gray-700 mb-1">Principal member's name</label>
+              <input
+                id="principalName"
+                name="principalName"
+                value={form.principalName}
+                onChange={handleChange}
+                className={inputClassName}
+              />
+            </div>
+          )}
+
+          <label className="sm:col-span-2 flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              name="isDefault"
+              checked={form.isDefault}
+              onChange={handleChange}
+              className="mr-2 h-4 w-4 text-red-600 border-gray-300 rounded focus:ring-red-500"
+            />
+            Attach this cover to my ambulance requests
+          </label>
+
+          <div className="sm:col-span-2 flex justify-end gap-2">
+            {form._id && (
+              <button
+                type="button"
+                onClick={() => setForm(emptyForm)}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 rounded-md text-sm text-white bg-red-600 hover:bg-red-700 disabled:bg-gray-400"
+            >
+              {saving ? 'Saving...' : 'Save cover'}
+            </button>
+          </div>
+        </form>
+
+        <div className="bg-white shadow rounded-lg divide-y">
+          {loading ? (
+            <div className="flex justify-center items-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-red-600"></div>
+            </div>
+          ) : covers.length === 0 ? (
+            <p className="px-6 py-12 text-center text-gray-500">You have not saved any insurance yet</p>
+          ) : (
+            covers.map(cover => (
+              <div key={cover._id} className="px-6 py-4 flex items-start">
+                <FiShield className="h-5 w-5 text-red-600 mr-3 mt-0.5" />
+                <div className="flex-1">
+                  <p className="font-medium text-gray-900">
+                    {cover.insurer}
+                    {cover.isDefault && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">Default</span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    Member {cover.memberNumber}{cover.scheme && ` - ${cover.scheme}`}
+                  </p>
+                  {cover.relationship !== 'SELF' && (
+                    <p className="text-sm text-gray-500">
+                      {relationships[cover.relationship]} of {cover.principalName || 'the principal member'}
+                    </p>
+                  )}
+                </div>
+                <div className="flex gap-3">
+                  {!cover.isDefault && (
+                    <button onClick={() => handleMakeDefault(cover)} className="text-gray-500 hover:text-green-600" title="Make default">
+                      <FiStar className="h-4 w-4" />
+                    </button>
+                  )}
+                  <button onClick={() => handleEdit(cover)} className="text-gray-500 hover:text-blue-600" title="Edit">
+                    <FiEdit2 className="h-4 w-4" />
+                  </button>
+                  <button onClick={() => handleDelete(cover)} className="text-gray-500 hover:text-red-600" title="Remove">
+                    <FiTrash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,358 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { FiUser, FiHeart, FiPhone, FiShield, FiPlus, FiTrash2, FiAlertCircle, FiCheckCircle } from 'react-icons/fi';
+import { useAuth } from '@/lib/auth';
+import { getMyProfile, updateMyProfile } from '@/utils/userService';
+
+const bloodTypes = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+const genders = { MALE: 'Male', FEMALE: 'Female', OTHER: 'Other' };
+
+// Emergency contacts the backend keeps at most
+const MAX_CONTACTS = 5;
+
+const emptyProfile = {
+  name: '',
+  phone: '',
+  dateOfBirth: '',
+  gender: '',
+  bloodType: '',
+  chronicConditions: '',
+  allergies: '',
+  medications: [],
+  emergencyContacts: []
+};
+
+// Lists are edited as comma separated text
+const toForm = (profile) => ({
+  name: profile.name || '',
+  phone: profile.phone || '',
+  dateOfBirth: profile.dateOfBirth ? profile.dateOfBirth.slice(0, 10) : '',
+  gender: profile.gender || '',
+  bloodType: profile.bloodType || '',
+  chronicConditions: (profile.chronicConditions || []).join(', '),
+  allergies: (profile.allergies || []).join(', '),
+  medications: (profile.medications || []).map(({ name, dosage }) => ({ name, dosage: dosage || '' })),
+  emergencyContacts: (profile.emergencyContacts || []).map(({ name, relationship, phone }) => ({
+    name,
+    relationship: relationship || '',
+    phone
+  }))
+});
+
+export default function ProfilePage() {
+  const router = useRouter();
+  const { user, loading: authLoading } = useAuth();
+  const [form, setForm] = useState(emptyProfile);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!authLoading && !user) {
+      router.push('/auth/login');
+    }
+  }, [authLoading, user, router]);
+
+  useEffect(() => {
+    if (!user) return;
+
+    const fetchProfile = async () => {
+      try {
+        setLoading(true);
+        const profile = await getMyProfile();
+        setForm(toForm(profile || {}));
+      } catch (error) {
+        console.error('Error fetching profile:', error);
+        setError('Failed to load your profile. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchProfile();
+  }, [user]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setSaved(false);
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Change one field of a medication or emergency contact
+  const handleListChange = (list, index, field, value) => {
+    setSaved(false);
+    setForm(prev => ({
+      ...prev,
+      [list]: prev[list].map((item, i) => (i === index ? { ...item, [field]: value } : item))
+    }));
+  };
+
+  const addListItem = (list, item) => {
+    setForm(prev => ({ ...prev, [list]: [...prev[list], item] }));
+  };
+
+  const removeListItem = (list, index) => {
+    setSaved(false);
+    setForm(prev => ({ ...prev, [list]: prev[list].filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError(null);
+      const profile = await updateMyProfile({
+        ...form,
+        medications: form.medications.filter(medication => medication.name.trim()),
+        emergencyContacts: form.emergencyContacts.filter(contact => contact.name.trim() || contact.phone.trim())
+      });
+      setForm(toForm(profile));
+      setSaved(true);
+    } catch (error) {
+      console.error('Error saving profile:', error);
+      setError(error.status === 400 ? error.message : 'Failed to save your profile. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClassName = 'w-full border border-gray-300 rounded-md px-3 py-2 text-sm';
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex justify-center items-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-red-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <form onSubmit={handleSave} className="max-w-3xl mx-auto py-6 px-4 sm:px-6 lg:px-8 space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">My Profile</h1>
+          <p className="text-gray-600 mt-1">
+            When you request an ambulance for yourself, the crew gets these details with your request.
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border-l-4 border-red-500 text-red-700 p-4 flex items-start">
+            <FiAlertCircle className="h-5 w-5 text-red-500 mr-2 mt-0.5" />
+            <p>{error}</p>
+            <button
+              type="button"
+              onClick={() => setError(null)}
+              className="ml-auto text-red-500 hover:text-red-700"
+            >
+              &times;
+            </button>
+          </div>
+        )}
+
+        {/* Personal details */}
+        <div className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+            <FiUser className="mr-2 text-red-600" />
+            Personal details
+          </h2>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">Full name</label>
+              <input id="name" name="name" value={form.name} onChange={handleChange} className={inputClassName} />
+            </div>
+            <div>
+              <label htmlFor="phone" className="block text-sm font-medium text-gray-700 mb-1">Phone</label>
+              <input id="phone" name="phone" type="tel" value={form.phone} onChange={handleChange} className={inputClassName} />
+            </div>
+            <div>
+              <label htmlFor="dateOfBirth" className="block text-sm font-medium text-gray-700 mb-1">Date of birth</label>
+              <input
+                id="dateOfBirth"
+                name="dateOfBirth"
+                type="date"
+                value={form.dateOfBirth}
+                max={new Date().toISOString().slice(0, 10)}
+                onChange={handleChange}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label htmlFor="gender" className="block text-sm font-medium text-gray-700 mb-1">Gender</label>
+              <select id="gender" name="gender" value={form.gender} onChange={handleChange} className={inputClassName}>
+                <option value="">Prefer not to say</option>
+                {Object.entries(genders).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+
+        {/* Medical information */}
+        <div className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+            <FiHeart className="mr-2 text-red-600" />
+            Medical information
+          </h2>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="bloodType" className="block text-sm font-medium text-gray-700 mb-1">Blood type</label>
+              <select id="bloodType" name="bloodType" value={form.bloodType} onChange={handleChange} className={inputClassName}>
+                <option value="">Don&apos;t know</option>
+                {bloodTypes.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+            </div>
+            <div className="sm:col-span-2">
+              <label htmlFor="chronicConditions" className="block text-sm font-medium text-gray-700 mb-1">Chronic conditions</label>
+              <input
+                id="chronicConditions"
+                name="chronicConditions"
+                value={form.chronicConditions}
+                onChange={handleChange}
+                placeholder="e.g. Asthma, Diabetes"
+                className={inputClassName}
+              />
+            </div>
+            <div className="sm:col-span-2">
+              <label htmlFor="allergies" className="block text-sm font-medium text-gray-700 mb-1">Allergies</label>
+              <input
+                id="allergies"
+                name="allergies"
+                value={form.allergies}
+                onChange={handleChange}
+                placeholder="e.g. Penicillin, Peanuts"
+                className={inputClassName}
+              />
+            </div>
+          </div>
+
+          <div className="mt-4">
+            <p className="block text-sm font-medium text-gray-700 mb-2">Medications</p>
+            <div className="space-y-2">
+              {form.medications.map((medication, index) => (
+                <div key={index} className="flex gap-2">
+                  <input
+                    value={medication.name}
+                    onChange={(e) => handleListChange('medications', index, 'name', e.target.value)}
+                    placeholder="Medication"
+                    aria-label="Medication"
+                    className={inputClassName}
+                  />
+                  <input
+                    value={medication.dosage}
+                    onChange={(e) => handleListChange('medications', index, 'dosage', e.target.value)}
+                    placeholder="Dosage, e.g. 500mg twice a day"
+                    aria-label="Dosage"
+                    className={inputClassName}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeListItem('medications', index)}
+                    className="text-gray-500 hover:text-red-600"
+                    title="Remove"
+                  >
+                    <FiTrash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => addListItem('medications', { name: '', dosage: '' })}
+              className="mt-2 inline-flex items-center text-sm text-red-600 hover:text-red-800"
+            >
+              <FiPlus className="mr-1 h-4 w-4" />
+              Add medication
+            </button>
+          </div>
+        </div>
+
+        {/* Emergency contacts */}
+        <div className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1 flex items-center">
+            <FiPhone className="mr-2 text-red-600" />
+            Emergency contacts
+          </h2>
+          <p className="text-sm text-gray-600 mb-4">People the crew can call if you can&apos;t speak for yourself.</p>
+          <div className="space-y-2">
+            {form.emergencyContacts.map((contact, index) => (
+              <div key={index} className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_1fr_auto] gap-2">
+                <input
+                  value={contact.name}
+                  onChange={(e) => handleListChange('emergencyContacts', index, 'name', e.target.value)}
+                  placeholder="Name"
+                  aria-label="Contact name"
+                  required
+                  className={inputClassName}
+                />
+                <input
+                  value={contact.relationship}
+                  onChange={(e) => handleListChange('emergencyContacts', index, 'relationship', e.target.value)}
+                  placeholder="Relationship"
+                  aria-label="Relationship"
+                  className={inputClassName}
+                />
+                <input
+                  type="tel"
+                  value={contact.phone}
+                  onChange={(e) => handleListChange('emergencyContacts', index, 'phone', e.target.value)}
+                  placeholder="Phone"
+                  aria-label="Contact phone"
+                  required
+                  className={inputClassName}
+                />
+                <button
+                  type="button"
+                  onClick={() => removeListItem('emergencyContacts', index)}
+                  className="text-gray-500 hover:text-red-600"
+                  title="Remove"
+                >
+                  <FiTrash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+          {form.emergencyContacts.length < MAX_CONTACTS && (
+            <button
+              type="button"
+              onClick={() => addListItem('emergencyContacts', { name: '', relationship: '', phone: '' })}
+              className="mt-2 inline-flex items-center text-sm text-red-600 hover:text-red-800"
+            >
+              <FiPlus className="mr-1 h-4 w-4" />
+              Add contact
+            </button>
+          )}
+        </div>
+
+        <Link href="/profile/insurance" className="bg-white shadow rounded-lg p-6 flex items-center hover:bg-gray-50">
+          <FiShield className="h-5 w-5 mr-2 text-red-600" />
+          <span className="font-medium text-gray-900">Insurance</span>
+          <span className="ml-auto text-sm text-gray-500">Manage your covers</span>
+        </Link>
+
+        <div className="flex items-center justify-end gap-4">
+          {saved && (
+            <span className="flex items-center text-sm text-green-700">
+              <FiCheckCircle className="mr-1" />
+              Saved
+            </span>
+          )}
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-6 py-2 rounded-md text-white bg-red-600 hover:bg-red-700 disabled:bg-gray-400"
+          >
+            {saving ? 'Saving...' : 'Save profile'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,427 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { useParams } from 'next/navigation';
+import { FiArrowLeft, FiChevronLeft, FiChevronRight, FiEdit, FiEdit2, FiTrash2, FiSave, FiAlertCircle, FiUsers } from 'react-icons/fi';
+import ProviderDashboardLayout from '@/components/provider/ProviderDashboardLayout';
+import StatusToggle from '@/components/provider/StatusToggle';
+import {
+  getProviderAmbulances,
+  getAmbulanceShifts,
+  createAmbulanceShifts,
+  updateAmbulanceShift,
+  deleteAmbulanceShift
+} from '@/utils/ambulanceService';
+import { getCrew } from '@/utils/crewService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const emptyForm = {
+  date: '',
+  startTime: '07:00',
+  endTime: '19:00',
+  repeatDays: '0',
+  crewMemberIds: [],
+  note: ''
+};
+
+// Monday 00:00 of the week a day falls in, in the browser's time zone
+const startOfWeek = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+const toDateInput = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const toTimeInput = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Shift times from the form; a shift ending at or before its start runs into the next day
+const toShiftTimes = (form) => {
+  const startsAt = new Date(`${form.date}T${form.startTime}`);
+  let endsAt = new Date(`${form.date}T${form.endTime}`);
+
+  if (endsAt <= startsAt) {
+    endsAt = new Date(endsAt.getTime() + DAY_MS);
+  }
+
+  return { startsAt, endsAt };
+};
+
+export default function AmbulanceSchedulePage() {
+  const { id } = useParams();
+  const [ambulance, setAmbulance] = useState(null);
+  const [crew, setCrew] = useState([]);
+  const [shifts, setShifts] = useState([]);
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+  const [form, setForm] = useState(() => ({ ...emptyForm, date: toDateInput(new Date()) }));
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchAmbulance = useCallback(async () => {
+    try {
+      const [ambulanceData, crewData] = await Promise.all([getProviderAmbulances(), getCrew()]);
+      const found = Array.isArray(ambulanceData) ? ambulanceData.find(entry => entry._id === id) : null;
+
+      if (!found) {
+        setError('Ambulance not found.');
+        return;
+      }
+
+      setAmbulance(found);
+      // Only crew assigned to this ambulance can be rostered on it
+      setCrew((Array.isArray(crewData) ? crewData : []).filter(crewMember => crewMember.isActive
+        && crewMember.ambulanceIds.some(ambulanceId => (ambulanceId._id || ambulanceId) === id)));
+    } catch (error) {
+      console.error('Error loading ambulance:', error);
+      setError('Failed to load the ambulance. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  const fetchShifts = useCallback(async () => {
+    try {
+      setShifts(await getAmbulanceShifts(id, weekStart, addDays(weekStart, 7)));
+    } catch (error) {
+      console.error('Error loading shifts:', error);
+      setError('Failed to load shifts. Please try again.');
+    }
+  }, [id, weekStart]);
+
+  useEffect(() => {
+    fetchAmbulance();
+  }, [fetchAmbulance]);
+
+  useEffect(() => {
+    fetchShifts();
+  }, [fetchShifts]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const toggleCrewMember = (crewMemberId) => {
+    setForm(prev => ({
+      ...prev,
+      crewMemberIds: prev.crewMemberIds.includes(crewMemberId)
+        ? prev.crewMemberIds.filter(entry => entry !== crewMemberId)
+        : [...prev.crewMemberIds, crewMemberId]
+    }));
+  };
+
+  const handleEdit = (shift) => {
+    const startsAt = new Date(shift.startsAt);
+    setEditingId(shift._id);
+    setForm({
+      date: toDateInput(startsAt),
+      startTime: toTimeInput(startsAt),
+      endTime: toTimeInput(new Date(shift.endsAt)),
+      repeatDays: '0',
+      crewMemberIds: shift.crewMemberIds.map(crewMember => crewMember._id || crewMember),
+      note: shift.note || ''
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleCancel = () => {
+    setEditingId(null);
+    setForm({ ...emptyForm, date: toDateInput(new Date()) });
+  };
+
+  // Ambulances change status with their shifts, so reload it with the roster
+  const refresh = async () => {
+    await Promise.all([fetchShifts(), fetchAmbulance()]);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const { startsAt, endsAt } = toShiftTimes(form);
+    const shiftData = {
+      startsAt: startsAt.toISOString(),
+      endsAt: endsAt.toISOString(),
+      crewMemberIds: form.crewMemberIds,
+      note: form.note
+    };
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      if (editingId) {
+        await updateAmbulanceShift(id, editingId, shiftData);
+      } else {
+        await createAmbulanceShifts(id, { ...shiftData, repeatDays: Number(form.repeatDays) || 0 });
+      }
+
+      handleCancel();
+      setWeekStart(startOfWeek(startsAt));
+      await refresh();
+    } catch (error) {
+      console.error('Error saving shift:', error);
+      setError([400, 409].includes(error.status) ? error.message : 'Failed to save the shift. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (shift) => {
+    if (!window.confirm(`Remove the shift of ${new Date(shift.startsAt).toLocaleDateString()} ${formatTime(shift.startsAt)}-${formatTime(shift.endsAt)}?`)) {
+      return;
+    }
+
+    try {
+      await deleteAmbulanceShift(id, shift._id);
+      await refresh();
+    } catch (error) {
+      console.error('Error removing shift:', error);
+      setError('Failed to remove the shift.');
+    }
+  };
+
+  const days = Array.from({ length: 7 }, (_, index) => addDays(weekStart, index));
+  const now = new Date();
+  const inputClassName = 'w-full border border-gray-300 rounded-md px-3 py-2 text-sm';
+
+  if (loading) {
+    return (
+      <ProviderDashboardLayout>
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-red-600"></div>
+        </div>
+      </ProviderDashboardLayout>
+    );
+  }
+
+  return (
+    <ProviderDashboardLayout>
+      <div className="mb-6">
+        <Link href="/provider/ambulances" className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 mb-3">
+          <FiArrowLeft className="mr-1" />
+          Back to ambulances
+        </Link>
+
+        {ambulance && (
+          <div className="flex flex-wrap items-start justify-between gap-4">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">{ambulance.name}</h1>
+              <p className="text-gray-600 mt-1">
+                {ambulance.registration}{ambulance.type && ` - ${ambulance.type}`}. The ambulance goes available when a shift starts and offline when it ends, unless it is on a trip.
+              </p>
+            </div>
+            <div className="flex items-start gap-4">
+              <StatusToggle
+                ambulance={ambulance}
+                onStatusChange={(updated) => setAmbulance(prev => ({ ...prev, ...updated, roster: prev.roster }))}
+              />
+              <Link href={`/provider/ambulances/${id}/edit`} className="inline-flex items-center text-sm text-indigo-600 hover:text-indigo-900">
+                <FiEdit className="mr-1" />
+                Edit
+              </Link>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 text-red-700 p-4 mb-6 flex items-start">
+          <FiAlertCircle className="h-5 w-5 text-red-500 mr-2 mt-0.5" />
+          <div>
+            <p className="font-medium">Error</p>
+            <p>{error}</p>
+          </div>
+          <button
+            onClick={() => setError(null)}
+            className="ml-auto text-red-500 hover:text-red-700"
+          >
+            &times;
+          </button>
+        </div>
+      )}
+
+      {ambulance && (
+        <>
+          <form onSubmit={handleSave} className="bg-white shadow-sm rounded-lg p-6 mb-6 grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+              <input type="date" name="date" value={form.date} onChange={handleChange} required className={inputClassName} />
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                <input type="time" name="startTime" value={form.startTime} onChange={handleChange} required className={inputClassName} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Until</label>
+                <input type="time" name="endTime" value={form.endTime} onChange={handleChange} required className={inputClassName} />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Repeat on following days</label>
+              <input
+                type="number"
+                min="0"
+                max="27"
+                name="repeatDays"
+                value={form.repeatDays}
+                onChange={handleChange}
+                disabled={!!editingId}
+                className={`${inputClassName} disabled:bg-gray-100`}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Note</label>
+              <input type="text" name="note" value={form.note} onChange={handleChange} maxLength={200} className={inputClassName} />
+            </div>
+
+            <div className="md:col-span-3">
+              <p className="block text-sm font-medium text-gray-700 mb-1">Crew on duty</p>
+              {crew.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  Assign crew to this ambulance on the <Link href="/provider/crew" className="text-red-600 hover:text-red-800">Crew</Link> page to roster them.
+                </p>
+              ) : (
+                <div className="flex flex-wrap gap-3">
+                  {crew.map(crewMember => (
+                    <label key={crewMember._id} className="inline-flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={form.crewMemberIds.includes(crewMember._id)}
+                        onChange={() => toggleCrewMember(crewMember._id)}
+                        className="mr-1"
+                      />
+                      {crewMember.name} ({crewMember.role.toLowerCase()})
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="flex gap-2">
+              {editingId && (
+                <button
+                  type="button"
+                  onClick={handleCancel}
+                  className="inline-flex items-center justify-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+              )}
+              <button
+                type="submit"
+                disabled={saving}
+                className="flex-1 inline-flex items-center justify-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+              >
+                <FiSave className="mr-2 h-4 w-4" />
+                {saving ? 'Saving...' : editingId ? 'Save shift' : 'Add shift'}
+              </button>
+            </div>
+
+            <p className="md:col-span-4 text-xs text-gray-500">
+              A shift ending at or before its start time runs past midnight. Shifts are at most 24 hours and can&apos;t overlap.
+            </p>
+          </form>
+
+          <div className="bg-white shadow-sm rounded-lg p-6">
+            <div className="flex items-center justify-between mb-4">
+              <button
+                onClick={() => setWeekStart(prev => addDays(prev, -7))}
+                className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+              >
+                <FiChevronLeft className="mr-1" />
+                Previous
+              </button>
+              <div className="text-center">
+                <h2 className="text-lg font-medium text-gray-900">
+                  {weekStart.toLocaleDateString([], { day: 'numeric', month: 'short' })} - {addDays(weekStart, 6).toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' })}
+                </h2>
+                <button onClick={() => setWeekStart(startOfWeek(new Date()))} className="text-xs text-red-600 hover:text-red-800">
+                  This week
+                </button>
+              </div>
+              <button
+                onClick={() => setWeekStart(prev => addDays(prev, 7))}
+                className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+              >
+                Next
+                <FiChevronRight className="ml-1" />
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-7 gap-2">
+              {days.map(day => {
+                const dayEnd = addDays(day, 1);
+                const dayShifts = shifts.filter(shift => new Date(shift.startsAt) < dayEnd && new Date(shift.endsAt) > day);
+                const isToday = toDateInput(day) === toDateInput(now);
+
+                return (
+                  <div key={day.toISOString()} className={`border rounded-md p-2 min-h-[8rem] ${isToday ? 'border-red-300 bg-red-50' : 'border-gray-200'}`}>
+                    <p className="text-xs font-semibold text-gray-700 mb-2">
+                      {day.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })}
+                    </p>
+                    {dayShifts.length === 0 ? (
+                      <p className="text-xs text-gray-400">Off</p>
+                    ) : (
+                      <div className="space-y-2">
+                        {dayShifts.map(shift => {
+                          const startsAt = new Date(shift.startsAt);
+                          const endsAt = new Date(shift.endsAt);
+                          const isCurrent = startsAt <= now && endsAt > now;
+                          const isOver = endsAt <= now;
+
+                          return (
+                            <div
+                              key={shift._id}
+                              className={`rounded p-2 text-xs ${isCurrent ? 'bg-green-100 text-green-900' : isOver ? 'bg-gray-100 text-gray-500' : 'bg-blue-50 text-blue-900'}`}
+                            >
+                              <p className="font-medium">
+                                {startsAt < day ? '...' : formatTime(startsAt)} - {endsAt > dayEnd ? '...' : formatTime(endsAt)}
+                              </p>
+                              {shift.crewMemberIds.length > 0 && (
+                                <p className="flex items-start mt-1">
+                                  <FiUsers className="mr-1 mt-0.5 flex-shrink-0" />
+                                  {shift.crewMemberIds.map(crewMember => crewMember.name).join(', ')}
+                                </p>
+                              )}
+                              {shift.note && <p className="mt-1 italic">{shift.note}</p>}
+                              <div className="mt-1 flex gap-2">
+                                {!isOver && (
+                                  <button onClick={() => handleEdit(shift)} className="text-blue-600 hover:text-blue-900">
+                                    <FiEdit2 className="inline-block h-3 w-3" />
+                                  </button>
+                                )}
+                                <button onClick={() => handleDelete(shift)} className="text-red-600 hover:text-red-900">
+                                  <FiTrash2 className="inline-block h-3 w-3" />
+                                </button>
+                              </div>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </>
+      )}
+    </ProviderDashboardLayout>
+  );
+}
@@ -4,6 +4,7 @@ import React, { useState, useEffect } from 'react';
 import Link from 'next/link';
 import { FiEdit, FiEye, FiPlus, FiRefreshCw, FiAlertCircle } from 'react-icons/fi';
 import ProviderDashboardLayout from '@/components/provider/ProviderDashboardLayout';
+import OperatingHoursEditor from '@/components/provider/OperatingHoursEditor';
 import { getProviderAmbulances, updateAmbulanceStatus, forceCompleteTripsAndSetAvailable } from '@/utils/ambulanceService';
 
 export default function AmbulancesPage() {
@@ -197,7 +198,7 @@ export default function AmbulancesPage() {
         <div>
           <h1 className="text-2xl font-bold text-gray-900">Ambulances</h1>
           <p className="text-gray-600 mt-1">
-            Manage your ambulance fleet and availability.
+            Manage your ambulance fleet and availability. Open an ambulance to plan its shifts.
           </p>
         </div>
         
@@ -236,6 +237,8 @@ export default function AmbulancesPage() {
         </div>
       )}
 
+      <OperatingHoursEditor />
+
       {ambulances.length === 0 ? (
         <div className="bg-white shadow-sm rounded-lg border border-gray-200 p-8 text-center">
           <p className="text-gray-500 mb-4">You don't have any ambulances registered yet.</p>
@@ -292,6 +295,11 @@ export default function AmbulancesPage() {
                       `}>
                         {ambulance.status}
                       </span>
+                      {ambulance.complianceStatus === 'EXPIRED' && (
+                        <Link href="/provider/documents" className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">
+                          Inspection expired
+                        </Link>
+                      )}
                       {renderStatusToggle(ambulance)}
                     </div>
                   </td>
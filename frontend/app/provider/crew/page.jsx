@@ -0,0 +1,356 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { FiSave, FiEdit2, FiTrash2, FiRefreshCw, FiAlertCircle } from 'react-icons/fi';
+import ProviderDashboardLayout from '@/components/provider/ProviderDashboardLayout';
+import { getProviderAmbulances } from '@/utils/ambulanceService';
+import {
+  getCrew,
+  createCrewMember,
+  updateCrewMember,
+  deleteCrewMember
+} from '@/utils/crewService';
+
+const crewRoles = {
+  DRIVER: 'Driver',
+  EMT: 'EMT',
+  PARAMEDIC: 'Paramedic',
+  NURSE: 'Nurse'
+};
+
+const emptyForm = {
+  name: '',
+  email: '',
+  phone: '',
+  role: 'DRIVER',
+  certifications: '',
+  ambulanceIds: []
+};
+
+// Certifications are edited as "BLS: 2027-03-31, Driving licence"
+const parseCertifications = (text) => text
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [name, expiresAt] = entry.split(':').map(part => part.trim());
+    return expiresAt ? { name, expiresAt } : { name };
+  });
+
+const formatCertifications = (certifications = []) => certifications
+  .map(certification => (certification.expiresAt
+    ? `${certification.name}: ${certification.expiresAt.slice(0, 10)}`
+    : certification.name))
+  .join(', ');
+
+export default function CrewPage() {
+  const [crew, setCrew] = useState([]);
+  const [ambulances, setAmbulances] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+
+  const fetchCrew = async () => {
+    try {
+      setLoading(true);
+      const [crewData, ambulanceData] = await Promise.all([
+        getCrew(),
+        getProviderAmbulances()
+      ]);
+      setCrew(Array.isArray(crewData) ? crewData : []);
+      setAmbulances(Array.isArray(ambulanceData) ? ambulanceData : []);
+    } catch (error) {
+      console.error('Error fetching crew:', error);
+      setError('Failed to load crew. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchCrew();
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const toggleAmbulance = (ambulanceId) => {
+    setForm(prev => ({
+      ...prev,
+      ambulanceIds: prev.ambulanceIds.includes(ambulanceId)
+        ? prev.ambulanceIds.filter(id => id !== ambulanceId)
+        : [...prev.ambulanceIds, ambulanceId]
+    }));
+  };
+
+  const handleEdit = (crewMember) => {
+    setEditingId(crewMember._id);
+    setForm({
+      name: crewMember.name,
+      email: crewMember.email,
+      phone: crewMember.phone || '',
+      role: crewMember.role,
+      certifications: formatCertifications(crewMember.certifications),
+      ambulanceIds: crewMember.ambulanceIds.map(ambulance => ambulance._id || ambulance)
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleCancel = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const certifications = parseCertifications(form.certifications);
+    if (certifications.some(certification => certification.expiresAt && Number.isNaN(Date.parse(certification.expiresAt)))) {
+      setError('Write certifications as "BLS: 2027-03-31, Driving licence"');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      if (editingId) {
+        // The login email can't change once the crew member is added
+        const { email, ...changes } = form;
+        await updateCrewMember(editingId, { ...changes, certifications });
+      } else {
+        await createCrewMember({ ...form, certifications });
+      }
+
+      handleCancel();
+      await fetchCrew();
+    } catch (error) {
+      console.error('Error saving crew member:', error);
+      setError([400, 409, 503].includes(error.status) ? error.message : 'Failed to save crew member. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (crewMember) => {
+    try {
+      const updated = await updateCrewMember(crewMember._id, { isActive: !crewMember.isActive });
+      setCrew(prev => prev.map(member => (member._id === updated._id ? { ...member, isActive: updated.isActive } : member)));
+    } catch (error) {
+      console.error('Error updating crew member:', error);
+      setError('Failed to update crew member.');
+    }
+  };
+
+  const handleDelete = async (crewMember) => {
+    if (!window.confirm(`Remove ${crewMember.name} from your crew? They will no longer be able to update your trips.`)) {
+      return;
+    }
+
+    try {
+      await deleteCrewMember(crewMember._id);
+      setCrew(prev => prev.filter(member => member._id !== crewMember._id));
+    } catch (error) {
+      console.error('Error removing crew member:', error);
+      setError('Failed to remove crew member.');
+    }
+  };
+
+  const inputClassName = 'w-full border border-gray-300 rounded-md px-3 py-2 text-sm';
+
+  return (
+    <ProviderDashboardLayout>
+      <div className="mb-6 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Crew</h1>
+          <p className="text-gray-600 mt-1">
+            Drivers, EMTs, paramedics and nurses sign in with their own account and can update the trips and position of the ambulances you assign them to.
+          </p>
+        </div>
+
+        <button
+          onClick={fetchCrew}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+        >
+          <FiRefreshCw className="mr-2 h-4 w-4" />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 text-red-700 p-4 mb-6 flex items-start">
+          <FiAlertCircle className="h-5 w-5 text-red-500 mr-2 mt-0.5" />
+          <div>
+            <p className="font-medium">Error</p>
+            <p>{error}</p>
+          </div>
+          <button
+            onClick={() => setError(null)}
+            className="ml-auto text-red-500 hover:text-red-700"
+          >
+            &times;
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleSave} className="bg-white shadow-sm rounded-lg p-6 mb-6 grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+          <input type="text" name="name" value={form.name} onChange={handleChange} required className={inputClassName} />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+          <input
+            type="email"
+            name="email"
+            value={form.email}
+            onChange={handleChange}
+            required
+            disabled={!!editingId}
+            className={`${inputClassName} disabled:bg-gray-100`}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Phone</label>
+          <input type="tel" name="phone" value={form.phone} onChange={handleChange} className={inputClassName} />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+          <select name="role" value={form.role} onChange={handleChange} className={inputClassName}>
+            {Object.entries(crewRoles).map(([role, label]) => (
+              <option key={role} value={role}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Certifications</label>
+          <input
+            type="text"
+            name="certifications"
+            value={form.certifications}
+            onChange={handleChange}
+            placeholder="BLS: 2027-03-31, Driving licence"
+            className={inputClassName}
+          />
+        </div>
+
+        <div className="md:col-span-2">
+          <p className="block text-sm font-medium text-gray-700 mb-1">Ambulances</p>
+          {ambulances.length === 0 ? (
+            <p className="text-sm text-gray-500">Add ambulances to assign crew to them.</p>
+          ) : (
+            <div className="flex flex-wrap gap-3">
+              {ambulances.map(ambulance => (
+                <label key={ambulance._id} className="inline-flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.ambulanceIds.includes(ambulance._id)}
+                    onChange={() => toggleAmbulance(ambulance._id)}
+                    className="mr-1"
+                  />
+                  {ambulance.name} ({ambulance.registration})
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <p className="md:col-span-3 text-xs text-gray-500">
+          New crew members get an email to choose their password. Certification expiry dates are optional.
+        </p>
+
+        <div className="flex gap-2">
+          {editingId && (
+            <button
+              type="button"
+              onClick={handleCancel}
+              className="inline-flex items-center justify-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={saving}
+            className="flex-1 inline-flex items-center justify-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+          >
+            <FiSave className="mr-2 h-4 w-4" />
+            {saving ? 'Saving...' : editingId ? 'Save crew member' : 'Add crew member'}
+          </button>
+        </div>
+      </form>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-32">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-red-600"></div>
+        </div>
+      ) : crew.length === 0 ? (
+        <div className="bg-white shadow-sm rounded-lg border border-gray-200 p-8 text-center">
+          <p className="text-gray-500">You haven't added any crew yet.</p>
+        </div>
+      ) : (
+        <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Certifications</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Ambulances</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {crew.map(crewMember => (
+                <tr key={crewMember._id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <p className="font-medium text-gray-900">{crewMember.name}</p>
+                    <p className="text-gray-500">{crewMember.email}</p>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {crewRoles[crewMember.role] || crewMember.role}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    {crewMember.certifications?.length > 0 ? formatCertifications(crewMember.certifications) : 'None'}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    {crewMember.ambulanceIds?.length > 0
+                      ? crewMember.ambulanceIds.map(ambulance => ambulance.name || ambulance.registration).join(', ')
+                      : 'None'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <button
+                      onClick={() => handleToggleActive(crewMember)}
+                      className={`px-2 py-1 text-xs font-medium rounded-full ${crewMember.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}
+                    >
+                      {crewMember.isActive ? 'Active' : 'Inactive'}
+                    </button>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <button onClick={() => handleEdit(crewMember)} className="text-blue-600 hover:text-blue-900 mr-3">
+                      <FiEdit2 className="inline-block h-4 w-4 mr-1" />
+                      Edit
+                    </button>
+                    <button onClick={() => handleDelete(crewMember)} className="text-red-600 hover:text-red-900">
+                      <FiTrash2 className="inline-block h-4 w-4 mr-1" />
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </ProviderDashboardLayout>
+  );
+}
@@ -5,7 +5,8 @@ import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import { useAuth } from '@/lib/auth';
 import { getProviderAmbulances, updateAmbulanceStatus, deleteAmbulance } from '@/utils/ambulanceService';
-import { getTrips, updateTripStatus } from '@/utils/tripService';
+import { getTrips, updateTripStatus, declineTrip } from '@/utils/tripService';
+import { ACTOR, ACTIVE_STATUSES, getNextTransition } from '@shared/tripLifecycle';
 import { GiAmbulance } from 'react-icons/gi';
 import { FiMapPin, FiEdit2, FiTrash2, FiRefreshCw, FiCheck, FiX } from 'react-icons/fi';
 import { 
@@ -117,7 +118,7 @@ useEffect(() => {
         // Use Promise.allSettled instead of Promise.all to handle partial failures
         const [ambulancesResult, tripsResult] = await Promise.allSettled([
           getProviderAmbulances(),
-          getTrips('REQUESTED,ACCEPTED,ARRIVED,PICKED_UP,AT_HOSPITAL')
+          getTrips(ACTIVE_STATUSES.join(','))
         ]);
         
         // Handle ambulances - use fallback if needed
@@ -186,11 +187,11 @@ useEffect(() => {
     'authenticationConfirmed',
     'subscriptionConfirmed',
     'newTripRequest',
-    'notification',
     'connect',
     'disconnect',
     'connect_error',
-    'tripUpdate'
+    'tripUpdated',
+    'tripOfferWithdrawn'
   ];
   
   // CONSOLIDATED EVENT LISTENERS SETUP - all in one place
@@ -255,31 +256,19 @@ useEffect(() => {
       });
     });
     
-    // Notification events - moved from setupTripSubscription
-    socket.on('notification', (notification) => {
-      console.log('Notification received:', notification);
-      if (notification && notification.type === 'NEW_TRIP_REQUEST' && notification.trip) {
-        const newTrip = notification.trip;
-        console.log('New trip from notification:', newTrip);
-        
-        setActiveTrips(prev => {
-          // Check if this trip is already in the list
-          const exists = prev.some(trip => trip._id === newTrip._id);
-          if (!exists) {
-            console.log('Adding new trip from notification to dashboard:', newTrip);
-            return [newTrip, ...prev];
-          }
-          return prev;
-        });
-      }
+    // Offer declined, expired or withdrawn - the trip is no longer ours to accept
+    socket.on('tripOfferWithdrawn', (data) => {
+      if (!data || !data.tripId) return;
+
+      console.log(`Trip offer ${data.tripId} withdrawn (${data.reason})`);
+      setActiveTrips(prev => prev.filter(trip => trip._id !== data.tripId));
     });
     
-    // General trip updates
-    socket.on('tripUpdate', (data) => {
-      if (!data || !data.trip) return;
+    // Updates of this provider's trips
+    socket.on('tripUpdated', (updatedTrip) => {
+      if (!updatedTrip || !updatedTrip._id) return;
       
-      console.log('Trip update received:', data);
-      const updatedTrip = data.trip;
+      console.log('Trip update received:', updatedTrip);
       
       // Handle terminal statuses
       if (['COMPLETED', 'CANCELLED'].includes(updatedTrip.status)) {
@@ -313,7 +302,7 @@ useEffect(() => {
   const setupTripSubscription = async () => {
     try {
       // Always refresh trips regardless of socket state
-      const latestTrips = await getTrips('REQUESTED,ACCEPTED,ARRIVED,PICKED_UP,AT_HOSPITAL');
+      const latestTrips = await getTrips(ACTIVE_STATUSES.join(','));
       console.log('Initial trips loaded:', latestTrips);
       setActiveTrips(latestTrips || []);
       
@@ -415,7 +404,7 @@ useEffect(() => {
       } else {
         // Full refresh of trips and ambulances
         const [tripsResult, ambulancesResult] = await Promise.allSettled([
-          getTrips('REQUESTED,ACCEPTED,ARRIVED,PICKED_UP,AT_HOSPITAL'),
+          getTrips(ACTIVE_STATUSES.join(',')),
           getProviderAmbulances()
         ]);
         
@@ -544,7 +533,7 @@ useEffect(() => {
     // Force fetch trips immediately after ID fix
     setTimeout(async () => {
       try {
-        const trips = await getTrips('REQUESTED,ACCEPTED,ARRIVED,PICKED_UP,AT_HOSPITAL');
+        const trips = await getTrips(ACTIVE_STATUSES.join(','));
         console.log('Trips after ID fix:', trips);
         setActiveTrips(trips || []);
       } catch (err) {
@@ -606,6 +595,45 @@ useEffect(() => {
   }
 };
 
+// Handle declining a trip offer
+const handleTripDecline = async (tripId) => {
+  const reason = window.prompt('Reason for declining this trip (optional):', '');
+
+  // Prompt was dismissed
+  if (reason === null) return;
+
+  try {
+    setActiveTrips(prev => 
+      prev.map(trip => 
+        trip._id === tripId ? { ...trip, isUpdating: true } : trip
+      )
+    );
+
+    await declineTrip(tripId, reason);
+    console.log(`Trip ${tripId} declined, it will be offered to another ambulance`);
+  } catch (error) {
+    console.error('Error declining trip:', error);
+    setError(error.message || 'Failed to decline trip. Please try again.');
+  } finally {
+    // Either way the offer is gone from this provider
+    setActiveTrips(prev => prev.filter(trip => trip._id !== tripId));
+  }
+};
+
+// Button colours for the next step of the trip lifecycle
+const tripActionColors = {
+  ARRIVED: 'bg-blue-500 hover:bg-blue-600',
+  PICKED_UP: 'bg-purple-500 hover:bg-purple-600',
+  AT_HOSPITAL: 'bg-green-500 hover:bg-green-600',
+  COMPLETED: 'bg-green-500 hover:bg-green-600'
+};
+
+// Get the time by which a pending trip offer must be answered
+const getOfferExpiry = (trip) => {
+  const offer = (trip.offers || []).find(o => o.status === 'PENDING');
+  return offer?.expiresAt ? new Date(offer.expiresAt) : null;
+};
+
 // Handle trip status update
 const handleTripStatusUpdate = async (tripId, newStatus) => {
   try {
@@ -658,7 +686,7 @@ const handleTripStatusUpdate = async (tripId, newStatus) => {
     } else {
       // Otherwise, use your original refresh logic
       try {
-        const refreshedTrips = await getTrips('REQUESTED,ACCEPTED,ARRIVED,PICKED_UP,AT_HOSPITAL');
+        const refreshedTrips = await getTrips(ACTIVE_STATUSES.join(','));
         setActiveTrips(refreshedTrips);
       } catch (refreshError) {
         console.error('Error refreshing trips list:', refreshError);
@@ -709,7 +737,7 @@ const handleTripStatusUpdate = async (tripId, newStatus) => {
                   setLoading(true);
                   try {
                     const [refreshedTrips, refreshedAmbulances] = await Promise.all([
-                      getTrips('REQUESTED,ACCEPTED,ARRIVED,PICKED_UP,AT_HOSPITAL'),
+                      getTrips(ACTIVE_STATUSES.join(',')),
                       getProviderAmbulances()
                     ]);
                     setActiveTrips(refreshedTrips);
@@ -803,6 +831,11 @@ const handleTripStatusUpdate = async (tripId, newStatus) => {
                             Details: {trip.emergencyDetails}
                           </p>
                         )}
+                        {trip.status === 'REQUESTED' && getOfferExpiry(trip) && (
+                          <p className="text-sm text-yellow-700">
+                            Respond by {getOfferExpiry(trip).toLocaleTimeString()}
+                          </p>
+                        )}
                       </div>
                       <div className="mt-4">
                         {trip.isUpdating ? (
@@ -820,43 +853,19 @@ const handleTripStatusUpdate = async (tripId, newStatus) => {
                                   Accept
                                 </button>
                                 <button
-                                  onClick={() => handleTripStatusUpdate(trip._id, 'CANCELLED')}
+                                  onClick={() => handleTripDecline(trip._id)}
                                   className="flex-1 bg-red-500 text-white px-4 py-2 rounded hover:bg-red-600"
                                 >
                                   Decline
                                 </button>
                               </div>
                             )}
-                            {trip.status === 'ACCEPTED' && (
-                              <button
-                                onClick={() => handleTripStatusUpdate(trip._id, 'ARRIVED')}
-                                className="w-full bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600"
-                              >
-                                Mark as Arrived
-                              </button>
-                            )}
-                            {trip.status === 'ARRIVED' && (
-                              <button
-                                onClick={() => handleTripStatusUpdate(trip._id, 'PICKED_UP')}
-                                className="w-full bg-purple-500 text-white px-4 py-2 rounded hover:bg-purple-600"
-                              >
-                                Mark as Picked Up
-                              </button>
-                            )}
-                            {trip.status === 'PICKED_UP' && (
-                              <button
-                                onClick={() => handleTripStatusUpdate(trip._id, 'AT_HOSPITAL')}
-                                className="w-full bg-green-500 text-white px-4 py-2 rounded hover:bg-green-600"
-                              >
-                                Mark as At Hospital
-                              </button>
-                            )}
-                            {trip.status === 'AT_HOSPITAL' && (
+                            {trip.status !== 'REQUESTED' && getNextTransition(trip.status, ACTOR.PROVIDER) && (
                               <button
-                                onClick={() => handleTripStatusUpdate(trip._id, 'COMPLETED')}
-                                className="w-full bg-green-500 text-white px-4 py-2 rounded hover:bg-green-600"
+                                onClick={() => handleTripStatusUpdate(trip._id, getNextTransition(trip.status, ACTOR.PROVIDER).to)}
+                                className={`w-full text-white px-4 py-2 rounded ${tripActionColors[getNextTransition(trip.status, ACTOR.PROVIDER).to]}`}
                               >
-                                Complete Trip
+                                {getNextTransition(trip.status, ACTOR.PROVIDER).action}
                               </button>
                             )}
                           </>
@@ -0,0 +1,280 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { FiUpload, FiEye, FiTrash2, FiRefreshCw, FiAlertCircle } from 'react-icons/fi';
+import ProviderDashboardLayout from '@/components/provider/ProviderDashboardLayout';
+import { getProviderAmbulances } from '@/utils/ambulanceService';
+import {
+  getProviderDocuments,
+  uploadProviderDocument,
+  openProviderDocument,
+  deleteProviderDocument
+} from '@/utils/providerService';
+
+const documentTypes = {
+  BUSINESS_LICENSE: 'Business Licence',
+  INSURANCE_CERTIFICATE: 'Insurance Certificate',
+  INSPECTION_CERTIFICATE: 'Inspection Certificate'
+};
+
+const reviewStatusColors = {
+  PENDING: 'bg-yellow-100 text-yellow-800',
+  APPROVED: 'bg-green-100 text-green-800',
+  REJECTED: 'bg-red-100 text-red-800',
+  EXPIRED: 'bg-gray-200 text-gray-800'
+};
+
+const emptyForm = { type: 'BUSINESS_LICENSE', expiresAt: '', ambulanceId: '', file: null };
+
+export default function DocumentsPage() {
+  const [documents, setDocuments] = useState([]);
+  const [ambulances, setAmbulances] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [fileInputKey, setFileInputKey] = useState(0);
+
+  const fetchDocuments = async () => {
+    try {
+      setLoading(true);
+      const [documentData, ambulanceData] = await Promise.all([
+        getProviderDocuments(),
+        getProviderAmbulances()
+      ]);
+      setDocuments(Array.isArray(documentData) ? documentData : []);
+      setAmbulances(Array.isArray(ambulanceData) ? ambulanceData : []);
+    } catch (error) {
+      console.error('Error fetching documents:', error);
+      setError('Failed to load documents. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchDocuments();
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value, files } = e.target;
+    setForm(prev => ({ ...prev, [name]: files ? files[0] : value }));
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+
+    if (!form.file) {
+      setError('Please choose a file to upload');
+      return;
+    }
+
+    if (form.type === 'INSPECTION_CERTIFICATE' && !form.ambulanceId) {
+      setError('Please choose the ambulance this inspection certificate belongs to');
+      return;
+    }
+
+    try {
+      setUploading(true);
+      setError(null);
+      await uploadProviderDocument(form.file, {
+        type: form.type,
+        expiresAt: form.expiresAt,
+        ambulanceId: form.ambulanceId
+      });
+      setForm(emptyForm);
+      // Reset the file input, which can't be controlled
+      setFileInputKey(prev => prev + 1);
+      await fetchDocuments();
+    } catch (error) {
+      console.error('Error uploading document:', error);
+      setError(error.status === 400 ? error.message : 'Failed to upload document. Please try again.');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleView = async (documentId) => {
+    try {
+      await openProviderDocument(documentId);
+    } catch (error) {
+      console.error('Error opening document:', error);
+      setError('Failed to open document.');
+    }
+  };
+
+  const handleDelete = async (documentId) => {
+    if (!window.confirm('Delete this document?')) {
+      return;
+    }
+
+    try {
+      await deleteProviderDocument(documentId);
+      setDocuments(prev => prev.filter(document => document._id !== documentId));
+    } catch (error) {
+      console.error('Error deleting document:', error);
+      setError('Failed to delete document.');
+    }
+  };
+
+  return (
+    <ProviderDashboardLayout>
+      <div className="mb-6 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Documents</h1>
+          <p className="text-gray-600 mt-1">
+            Licences, insurance and inspection certificates. Ambulances are hidden from patients while a document is expired.
+          </p>
+        </div>
+
+        <button
+          onClick={fetchDocuments}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+        >
+          <FiRefreshCw className="mr-2 h-4 w-4" />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 text-red-700 p-4 mb-6 flex items-start">
+          <FiAlertCircle className="h-5 w-5 text-red-500 mr-2 mt-0.5" />
+          <div>
+            <p className="font-medium">Error</p>
+            <p>{error}</p>
+          </div>
+          <button
+            onClick={() => setError(null)}
+            className="ml-auto text-red-500 hover:text-red-700"
+          >
+            &times;
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleUpload} className="bg-white shadow-sm rounded-lg p-6 mb-6 grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+          <select
+            name="type"
+            value={form.type}
+            onChange={handleChange}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            {Object.entries(documentTypes).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Ambulance</label>
+          <select
+            name="ambulanceId"
+            value={form.ambulanceId}
+            onChange={handleChange}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="">Whole company</option>
+            {ambulances.map(ambulance => (
+              <option key={ambulance._id} value={ambulance._id}>
+                {ambulance.name} ({ambulance.registration})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Expiry date</label>
+          <input
+            type="date"
+            name="expiresAt"
+            value={form.expiresAt}
+            onChange={handleChange}
+            required
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">File (PDF, JPEG, PNG)</label>
+          <input
+            key={fileInputKey}
+            type="file"
+            name="file"
+            accept="application/pdf,image/jpeg,image/png"
+            onChange={handleChange}
+            className="w-full text-sm"
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={uploading}
+          className="inline-flex items-center justify-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+        >
+          <FiUpload className="mr-2 h-4 w-4" />
+          {uploading ? 'Uploading...' : 'Upload'}
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-32">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-red-600"></div>
+        </div>
+      ) : documents.length === 0 ? (
+        <div className="bg-white shadow-sm rounded-lg border border-gray-200 p-8 text-center">
+          <p className="text-gray-500">You haven't uploaded any documents yet.</p>
+        </div>
+      ) : (
+        <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Document</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Ambulance</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expires</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Review</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {documents.map(document => (
+                <tr key={document._id}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{documentTypes[document.type] || document.type}</div>
+                    <div className="text-sm text-gray-500">{document.file?.originalName}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {document.ambulanceId ? document.ambulanceId.name : 'Whole company'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {new Date(document.expiresAt).toLocaleDateString()}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${reviewStatusColors[document.reviewStatus] || ''}`}>
+                      {document.reviewStatus}
+                    </span>
+                    {document.reviewReason && (
+                      <div className="text-xs text-gray-500 mt-1">{document.reviewReason}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <button onClick={() => handleView(document._id)} className="text-blue-600 hover:text-blue-900 mr-3">
+                      <FiEye className="inline-block h-4 w-4 mr-1" />
+                      View
+                    </button>
+                    <button onClick={() => handleDelete(document._id)} className="text-red-600 hover:text-red-900">
+                      <FiTrash2 className="inline-block h-4 w-4 mr-1" />
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </ProviderDashboardLayout>
+  );
+}
@@ -0,0 +1,344 @@
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { FiRefreshCw, FiAlertCircle, FiCheck, FiX, FiDownload } from 'react-icons/fi';
+import ProviderDashboardLayout from '@/components/provider/ProviderDashboardLayout';
+import { getProviderPayments, getPayoutSummary, settlePayment } from '@/utils/paymentService';
+import { getClaimSummary, downloadClaims } from '@/utils/insuranceService';
+
+const methodLabels = { MPESA: 'M-Pesa', CASH: 'Cash', INSURANCE: 'Insurance' };
+
+const statusColors = {
+  PENDING: 'bg-yellow-100 text-yellow-800',
+  PAID: 'bg-green-100 text-green-800',
+  FAILED: 'bg-red-100 text-red-800',
+  CANCELLED: 'bg-gray-100 text-gray-800'
+};
+
+const formatMoney = (value, currency = 'KES') => `${currency} ${Number(value || 0).toLocaleString('en-US')}`;
+
+const toDateInput = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// The payout period defaults to the current month
+const startOfMonth = () => {
+  const now = new Date();
+  return toDateInput(new Date(now.getFullYear(), now.getMonth(), 1));
+};
+
+export default function PaymentsPage() {
+  const [period, setPeriod] = useState({ from: startOfMonth(), to: toDateInput(new Date()) });
+  const [summary, setSummary] = useState(null);
+  const [commissionPercent, setCommissionPercent] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [payments, setPayments] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 0 });
+  const [loading, setLoading] = useState(true);
+  const [settlingId, setSettlingId] = useState(null);
+  const [claims, setClaims] = useState([]);
+  const [downloading, setDownloading] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchPayments = useCallback(async (page = 1) => {
+    try {
+      setLoading(true);
+      const [payoutData, paymentData, claimData] = await Promise.all([
+        getPayoutSummary(period),
+        getProviderPayments({ status: statusFilter || undefined, page }),
+        getClaimSummary(period)
+      ]);
+      setSummary(payoutData?.providers?.[0] || null);
+      setCommissionPercent(payoutData?.commissionPercent ?? null);
+      setPayments(Array.isArray(paymentData?.payments) ? paymentData.payments : []);
+      setPagination(paymentData?.pagination || { page: 1, pages: 0 });
+      setClaims(Array.isArray(claimData?.insurers) ? claimData.insurers : []);
+    } catch (error) {
+      console.error('Error fetching payments:', error);
+      setError('Failed to load payments. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [period, statusFilter]);
+
+  useEffect(() => {
+    fetchPayments();
+  }, [fetchPayments]);
+
+  const handleSettle = async (payment, status) => {
+    const action = status === 'PAID' ? 'received' : 'not received';
+    if (!window.confirm(`Mark this ${methodLabels[payment.method].toLowerCase()} payment of ${formatMoney(payment.amount, payment.currency)} as ${action}?`)) {
+      return;
+    }
+
+    try {
+      setSettlingId(payment._id);
+      setError(null);
+      await settlePayment(payment._id, { status });
+      await fetchPayments(pagination.page);
+    } catch (error) {
+      console.error('Error settling payment:', error);
+      setError(error.status === 409 ? error.message : 'Failed to update the payment.');
+    } finally {
+      setSettlingId(null);
+    }
+  };
+
+  const handleDownloadClaims = async (insurer) => {
+    try {
+      setDownloading(insurer);
+      await downloadClaims({ insurer, ...period });
+    } catch (error) {
+      console.error('Error downloading claims:', error);
+      setError('Failed to download the claim file.');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const summaryCards = [
+    { label: 'Trips paid', value: summary?.trips || 0 },
+    { label: 'Gross', value: formatMoney(summary?.gross) },
+    { label: 'Cash you collected', value: formatMoney(summary?.collectedByProvider) },
+    { label: 'M-Pesa and insurance', value: formatMoney(summary?.collectedByPlatform) },
+    { label: `Commission${commissionPercent !== null ? ` (${commissionPercent}%)` : ''}`, value: formatMoney(summary?.commission) },
+    { label: 'Payout', value: formatMoney(summary?.payable), highlight: true }
+  ];
+
+  return (
+    <ProviderDashboardLayout>
+      <div className="mb-6 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Payments</h1>
+          <p className="text-gray-600 mt-1">
+            What patients paid for your trips and what you can claim from insurers. M-Pesa and insurance payments are paid out to you minus the commission; cash stays with you.
+          </p>
+        </div>
+
+        <button
+          onClick={() => fetchPayments(pagination.page)}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+        >
+          <FiRefreshCw className="mr-2 h-4 w-4" />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 text-red-700 p-4 mb-6 flex items-start">
+          <FiAlertCircle className="h-5 w-5 text-red-500 mr-2 mt-0.5" />
+          <div>
+            <p className="font-medium">Error</p>
+            <p>{error}</p>
+          </div>
+          <button
+            onClick={() => setError(null)}
+            className="ml-auto text-red-500 hover:text-red-700"
+          >
+            &times;
+          </button>
+        </div>
+      )}
+
+      <div className="bg-white shadow-sm rounded-lg p-6 mb-6">
+        <div className="flex flex-wrap items-end gap-4 mb-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+            <input
+              type="date"
+              value={period.from}
+              max={period.to}
+              onChange={(e) => setPeriod(prev => ({ ...prev, from: e.target.value }))}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+            <input
+              type="date"
+              value={period.to}
+              min={period.from}
+              onChange={(e) => setPeriod(prev => ({ ...prev, to: e.target.value }))}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+          {summaryCards.map(card => (
+            <div key={card.label} className={`rounded-lg p-4 ${card.highlight ? 'bg-red-50' : 'bg-gray-50'}`}>
+              <p className="text-sm text-gray-600">{card.label}</p>
+              <p className={`text-lg font-semibold ${card.highlight ? 'text-red-700' : 'text-gray-900'}`}>{card.value}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {claims.length > 0 && (
+        <div className="bg-white shadow-sm rounded-lg overflow-hidden mb-6">
+          <div className="px-6 py-4 border-b">
+            <h2 className="text-lg font-medium text-gray-900">Insurance claims</h2>
+            <p className="text-sm text-gray-600">Completed insured trips of the period, one claim file per insurer.</p>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Insurer</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Trips</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Pre-authorised</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Claimed</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Paid</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                  <th className="px-6 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {claims.map(claim => (
+                  <tr key={claim.insurer}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{claim.insurer}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{claim.trips}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{claim.preAuthorized}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{claim.claimed}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{claim.paid}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatMoney(claim.amount)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                      <button
+                        onClick={() => handleDownloadClaims(claim.insurer)}
+                        disabled={downloading === claim.insurer}
+                        className="inline-flex items-center text-red-600 hover:text-red-800 disabled:opacity-50"
+                      >
+                        <FiDownload className="mr-1 h-4 w-4" />
+                        CSV
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+        <div className="px-6 py-4 border-b flex flex-wrap items-center justify-between gap-4">
+          <h2 className="text-lg font-medium text-gray-900">Payments</h2>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="">All</option>
+            <option value="PENDING">Pending</option>
+            <option value="PAID">Paid</option>
+            <option value="FAILED">Failed</option>
+            <option value="CANCELLED">Cancelled</option>
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center items-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-red-600"></div>
+          </div>
+        ) : payments.length === 0 ? (
+          <p className="px-6 py-12 text-center text-gray-500">No payments yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Patient</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Method</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reference</th>
+                  <th className="px-6 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {payments.map(payment => {
+                  const settleable = payment.status === 'PENDING' && payment.method !== 'MPESA';
+
+                  return (
+                    <tr key={payment._id}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                        {new Date(payment.createdAt).toLocaleString()}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {payment.tripId?._id ? (
+                          <Link href={`/provider/trips/${payment.tripId._id}`} className="hover:text-red-600">
+                            {payment.tripId.patientDetails?.name || 'View trip'}
+                          </Link>
+                        ) : 'Unknown'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                        {methodLabels[payment.method]}
+                        {payment.insurance?.insurer && <span className="block text-xs text-gray-500">{payment.insurance.insurer}</span>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatMoney(payment.amount, payment.currency)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${statusColors[payment.status]}`}>
+                          {payment.status}
+                        </span>
+                        {payment.failureReason && <span className="block text-xs text-gray-500 mt-1">{payment.failureReason}</span>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {payment.mpesa?.receiptNumber || payment.reference || '-'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                        {settleable && (
+                          <div className="flex justify-end gap-2">
+                            <button
+                              onClick={() => handleSettle(payment, 'PAID')}
+                              disabled={settlingId === payment._id}
+                              className="inline-flex items-center text-green-600 hover:text-green-800 disabled:opacity-50"
+                              title="Received"
+                            >
+                              <FiCheck className="h-5 w-5" />
+                            </button>
+                            <button
+                              onClick={() => handleSettle(payment, 'FAILED')}
+                              disabled={settlingId === payment._id}
+                              className="inline-flex items-center text-red-600 hover:text-red-800 disabled:opacity-50"
+                              title="Not received"
+                            >
+                              <FiX className="h-5 w-5" />
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="px-6 py-4 border-t flex items-center justify-between text-sm">
+            <button
+              onClick={() => fetchPayments(pagination.page - 1)}
+              disabled={pagination.page <= 1}
+              className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-gray-600">Page {pagination.page} of {pagination.pages}</span>
+            <button
+              onClick={() => fetchPayments(pagination.page + 1)}
+              disabled={pagination.page >= pagination.pages}
+              className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </ProviderDashboardLayout>
+  );
+}
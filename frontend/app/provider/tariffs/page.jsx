@@ -0,0 +1,319 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { FiSave, FiEdit2, FiTrash2, FiRefreshCw, FiAlertCircle } from 'react-icons/fi';
+import ProviderDashboardLayout from '@/components/provider/ProviderDashboardLayout';
+import { getProviderAmbulances } from '@/utils/ambulanceService';
+import {
+  getProviderTariffs,
+  saveProviderTariff,
+  deleteProviderTariff
+} from '@/utils/providerService';
+
+const ambulanceTypes = {
+  BASIC: 'Basic Life Support',
+  INTERMEDIATE: 'Intermediate Life Support',
+  ADVANCED: 'Advanced Life Support',
+  SPECIALTY: 'Specialty Care'
+};
+
+const emptyForm = {
+  ambulanceType: 'BASIC',
+  baseFee: '',
+  perKm: '',
+  perMinuteWaiting: '',
+  freeWaitingMinutes: '10',
+  nightSurchargePercent: '',
+  nightStartHour: '22',
+  nightEndHour: '6',
+  equipmentSurcharges: ''
+};
+
+// Equipment surcharges are edited as "Oxygen: 500, Ventilator: 2000"
+const parseSurcharges = (text) => text
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [equipment, amount] = entry.split(':').map(part => part.trim());
+    return { equipment, amount: Number(amount) };
+  });
+
+const formatSurcharges = (surcharges = []) => surcharges
+  .map(surcharge => `${surcharge.equipment}: ${surcharge.amount}`)
+  .join(', ');
+
+const formatMoney = (currency, value) => `${currency} ${Number(value || 0).toLocaleString('en-US')}`;
+
+export default function TariffsPage() {
+  const [tariffs, setTariffs] = useState([]);
+  const [defaultTariff, setDefaultTariff] = useState(null);
+  const [fleetTypes, setFleetTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  const fetchTariffs = async () => {
+    try {
+      setLoading(true);
+      const [tariffData, ambulanceData] = await Promise.all([
+        getProviderTariffs(),
+        getProviderAmbulances()
+      ]);
+      setTariffs(Array.isArray(tariffData?.tariffs) ? tariffData.tariffs : []);
+      setDefaultTariff(tariffData?.defaultTariff || null);
+      setFleetTypes(Array.isArray(ambulanceData)
+        ? [...new Set(ambulanceData.map(ambulance => (ambulance.type || '').toUpperCase()).filter(Boolean))]
+        : []);
+    } catch (error) {
+      console.error('Error fetching tariffs:', error);
+      setError('Failed to load tariffs. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTariffs();
+  }, []);
+
+  // Types of the provider's own ambulances may go beyond the usual ones
+  const typeOptions = [...new Set([...Object.keys(ambulanceTypes), ...fleetTypes])];
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleEdit = (tariff) => {
+    setForm({
+      ambulanceType: tariff.ambulanceType,
+      baseFee: String(tariff.baseFee),
+      perKm: String(tariff.perKm),
+      perMinuteWaiting: String(tariff.perMinuteWaiting ?? ''),
+      freeWaitingMinutes: String(tariff.freeWaitingMinutes ?? ''),
+      nightSurchargePercent: String(tariff.nightSurchargePercent ?? ''),
+      nightStartHour: String(tariff.nightStartHour ?? ''),
+      nightEndHour: String(tariff.nightEndHour ?? ''),
+      equipmentSurcharges: formatSurcharges(tariff.equipmentSurcharges)
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const equipmentSurcharges = parseSurcharges(form.equipmentSurcharges);
+    if (equipmentSurcharges.some(surcharge => !surcharge.equipment || !Number.isFinite(surcharge.amount))) {
+      setError('Write equipment surcharges as "Oxygen: 500, Ventilator: 2000"');
+      return;
+    }
+
+    const { ambulanceType, ...rates } = form;
+
+    try {
+      setSaving(true);
+      setError(null);
+      await saveProviderTariff(ambulanceType, { ...rates, equipmentSurcharges });
+      setForm(emptyForm);
+      await fetchTariffs();
+    } catch (error) {
+      console.error('Error saving tariff:', error);
+      setError(error.status === 400 ? error.message : 'Failed to save tariff. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (ambulanceType) => {
+    if (!window.confirm(`Delete the ${ambulanceTypes[ambulanceType] || ambulanceType} tariff? Trips with these ambulances will use the default tariff.`)) {
+      return;
+    }
+
+    try {
+      await deleteProviderTariff(ambulanceType);
+      setTariffs(prev => prev.filter(tariff => tariff.ambulanceType !== ambulanceType));
+    } catch (error) {
+      console.error('Error deleting tariff:', error);
+      setError('Failed to delete tariff.');
+    }
+  };
+
+  const inputClassName = 'w-full border border-gray-300 rounded-md px-3 py-2 text-sm';
+
+  return (
+    <ProviderDashboardLayout>
+      <div className="mb-6 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Tariffs</h1>
+          <p className="text-gray-600 mt-1">
+            What you charge per ambulance type. Patients see an estimate before requesting; the final fare uses the distance actually driven.
+          </p>
+        </div>
+
+        <button
+          onClick={fetchTariffs}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+        >
+          <FiRefreshCw className="mr-2 h-4 w-4" />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 text-red-700 p-4 mb-6 flex items-start">
+          <FiAlertCircle className="h-5 w-5 text-red-500 mr-2 mt-0.5" />
+          <div>
+            <p className="font-medium">Error</p>
+            <p>{error}</p>
+          </div>
+          <button
+            onClick={() => setError(null)}
+            className="ml-auto text-red-500 hover:text-red-700"
+          >
+            &times;
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleSave} className="bg-white shadow-sm rounded-lg p-6 mb-6 grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Ambulance type</label>
+          <select name="ambulanceType" value={form.ambulanceType} onChange={handleChange} className={inputClassName}>
+            {typeOptions.map(type => (
+              <option key={type} value={type}>{ambulanceTypes[type] || type}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Base fee</label>
+          <input type="number" min="0" name="baseFee" value={form.baseFee} onChange={handleChange} required className={inputClassName} />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Per km</label>
+          <input type="number" min="0" step="any" name="perKm" value={form.perKm} onChange={handleChange} required className={inputClassName} />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Waiting, per minute</label>
+          <input type="number" min="0" step="any" name="perMinuteWaiting" value={form.perMinuteWaiting} onChange={handleChange} className={inputClassName} />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Free waiting (minutes)</label>
+          <input type="number" min="0" name="freeWaitingMinutes" value={form.freeWaitingMinutes} onChange={handleChange} className={inputClassName} />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Night surcharge (%)</label>
+          <input type="number" min="0" max="200" name="nightSurchargePercent" value={form.nightSurchargePercent} onChange={handleChange} className={inputClassName} />
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Night from</label>
+            <input type="number" min="0" max="23" name="nightStartHour" value={form.nightStartHour} onChange={handleChange} className={inputClassName} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Until</label>
+            <input type="number" min="0" max="23" name="nightEndHour" value={form.nightEndHour} onChange={handleChange} className={inputClassName} />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Equipment surcharges</label>
+          <input
+            type="text"
+            name="equipmentSurcharges"
+            value={form.equipmentSurcharges}
+            onChange={handleChange}
+            placeholder="Oxygen: 500, Ventilator: 2000"
+            className={inputClassName}
+          />
+        </div>
+
+        <p className="md:col-span-3 text-xs text-gray-500">
+          Equipment surcharges apply to ambulances listing that equipment. Night hours are local time and may run past midnight.
+        </p>
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="inline-flex items-center justify-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+        >
+          <FiSave className="mr-2 h-4 w-4" />
+          {saving ? 'Saving...' : 'Save tariff'}
+        </button>
+      </form>
+
+      {defaultTariff && (
+        <p className="text-sm text-gray-600 mb-4">
+          Ambulance types without a tariff use the default: {formatMoney(defaultTariff.currency, defaultTariff.baseFee)} plus {formatMoney(defaultTariff.currency, defaultTariff.perKm)} per km.
+        </p>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center items-center h-32">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-red-600"></div>
+        </div>
+      ) : tariffs.length === 0 ? (
+        <div className="bg-white shadow-sm rounded-lg border border-gray-200 p-8 text-center">
+          <p className="text-gray-500">You haven't set any tariffs yet.</p>
+        </div>
+      ) : (
+        <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Ambulance type</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Base + distance</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Waiting</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Night</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Equipment</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {tariffs.map(tariff => (
+                <tr key={tariff._id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                    {ambulanceTypes[tariff.ambulanceType] || tariff.ambulanceType}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {formatMoney(tariff.currency, tariff.baseFee)} + {formatMoney(tariff.currency, tariff.perKm)}/km
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {tariff.perMinuteWaiting
+                      ? `${formatMoney(tariff.currency, tariff.perMinuteWaiting)}/min after ${tariff.freeWaitingMinutes} min`
+                      : 'Free'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {tariff.nightSurchargePercent
+                      ? `+${tariff.nightSurchargePercent}% (${tariff.nightStartHour}:00-${tariff.nightEndHour}:00)`
+                      : 'None'}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    {tariff.equipmentSurcharges?.length > 0 ? formatSurcharges(tariff.equipmentSurcharges) : 'None'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <button onClick={() => handleEdit(tariff)} className="text-blue-600 hover:text-blue-900 mr-3">
+                      <FiEdit2 className="inline-block h-4 w-4 mr-1" />
+                      Edit
+                    </button>
+                    <button onClick={() => handleDelete(tariff.ambulanceType)} className="text-red-600 hover:text-red-900">
+                      <FiTrash2 className="inline-block h-4 w-4 mr-1" />
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </ProviderDashboardLayout>
+  );
+}
@@ -1,12 +1,25 @@
 'use client';
 
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useParams, useRouter } from 'next/navigation';
 import { useAuth } from '@/lib/auth';
-import { getTripById, cancelTrip, forceRefreshTripStatus } from '@/utils/tripService';
+import { getTripById, cancelTrip, forceRefreshTripStatus, getTripTrack } from '@/utils/tripService';
 import { GiAmbulance } from 'react-icons/gi';
 import { FiMapPin, FiPhone, FiClock, FiAlertCircle, FiRefreshCw } from 'react-icons/fi';
-import { authenticateUser, subscribeTripUpdates, subscribeAmbulanceLocation, initializeSocket, getSocket } from '@/utils/socketService';
+import { authenticateUser, subscribeTripUpdates, subscribeAmbulanceLocation, initializeSocket } from '@/utils/socketService';
+import dynamic from 'next/dynamic';
+import TripPayment from '@/components/TripPayment';
+import TripInsurance from '@/components/TripInsurance';
+
+// Load the map component only on client-side
+const LocationMap = dynamic(() => import('@/components/LocationMap'), {
+  ssr: false,
+  loading: () => (
+    <div className="bg-gray-100 flex items-center justify-center rounded-lg" style={{ height: '300px', width: '100%' }}>
+      <p className="text-gray-500">Loading map...</p>
+    </div>
+  )
+});
 
 // Define animation styles
 const toastAnimation = {
@@ -34,6 +47,8 @@ const TripTrackingPage = () => {
   const [manualRefreshing, setManualRefreshing] = useState(false);
   const prevStatusRef = useRef(null);
   const [toastMessage, setToastMessage] = useState(null);
+  // Route the ambulance has driven, as [latitude, longitude] points
+  const [track, setTrack] = useState([]);
 
   // Function to show toast notification
   const showToast = useCallback((status) => {
@@ -155,32 +170,8 @@ const TripTrackingPage = () => {
           prevStatusRef.current = initialTrip.status;
         }
       });
-      
-      // Setup regular polling as a fallback to ensure we always get status updates
-      const pollingInterval = setInterval(async () => {
-        try {
-          console.log('Polling for trip status updates...');
-          const data = await getTripById(id);
-          
-          // Check if status has changed
-          if (data && prevStatusRef.current && data.status !== prevStatusRef.current) {
-            console.log(`Status change detected via polling: ${prevStatusRef.current} -> ${data.status}`);
-            showToast(data.status);
-            prevStatusRef.current = data.status;
-          }
-          
-          // Update trip data regardless of status change
-          setTrip(data);
-        } catch (error) {
-          console.error('Error polling trip data:', error);
-        }
-      }, 10000); // Poll every 10 seconds
-      
-      return () => {
-        clearInterval(pollingInterval);
-      };
     }
-  }, [id, fetchTripData, showToast]);
+  }, [id, fetchTripData]);
 
   // Setup real-time updates
   useEffect(() => {
@@ -191,7 +182,7 @@ const TripTrackingPage = () => {
     // Make sure socket is initialized
     const socket = initializeSocket();
     if (!socket) {
-      console.error('Failed to initialize socket connection - will rely on polling fallback');
+      console.error('Failed to initialize socket connection - use the refresh button for updates');
     }
     
     // Authenticate user socket
@@ -201,18 +192,18 @@ const TripTrackingPage = () => {
     
     let tripUpdateUnsubscribe;
     let locationUpdateUnsubscribe;
-    let reconnectInterval;
     
     // Store initial status
     prevStatusRef.current = trip.status;
     
-    // Setup trip status updates with reconnection logic
+    // Setup trip status updates. The socket service resumes the subscription
+    // after a reconnect and replays the events missed meanwhile.
     const setupTripUpdates = async () => {
       try {
         setRealTimeUpdating(true);
         
         if (!socket) {
-          console.log('No socket available, relying on polling fallback');
+          console.log('No socket available, no live updates');
           setRealTimeUpdating(false);
           return;
         }
@@ -238,87 +229,6 @@ const TripTrackingPage = () => {
           }
         });
         
-        // Also listen for direct notification events
-        if (socket) {
-          // Remove any existing notification handlers for this trip
-          socket.off(`notification:${id}`);
-          socket.off('notification');
-          socket.off('tripStatusChanged');
-          socket.off(`tripAccepted:${id}`);
-          socket.off('tripAccepted');
-          socket.off(`tripUpdate:${id}`);
-          
-          // Add more specific notification handler
-          socket.on('notification', (notification) => {
-            console.log('Received notification:', notification);
-            
-            // Check if it's a trip status update for this trip
-            if (notification && 
-                notification.type === 'TRIP_STATUS_UPDATE' && 
-                (notification.tripId === id || (notification.trip && notification.trip._id === id)) && 
-                notification.status) {
-              
-              console.log('Received direct notification with status:', notification.status);
-              
-              // Show toast for the notification
-              showToast(notification.status);
-              
-              // If we also have trip data, update it
-              if (notification.trip) {
-                prevStatusRef.current = notification.trip.status;
-                setTrip(notification.trip);
-              }
-            }
-          });
-          
-          // Listen for tripStatusChanged events
-          socket.on('tripStatusChanged', (data) => {
-            console.log('Received tripStatusChanged event:', data);
-            if (data && (data.tripId === id || data.trip?._id === id)) {
-              if (data.newStatus && data.newStatus !== prevStatusRef.current) {
-                console.log(`Status changed from ${data.oldStatus} to ${data.newStatus} via tripStatusChanged event`);
-                showToast(data.newStatus);
-                
-                if (data.trip) {
-                  prevStatusRef.current = data.trip.status;
-                  setTrip(data.trip);
-                }
-              }
-            }
-          });
-          
-          // Listen for tripUpdate events
-          socket.on(`tripUpdate:${id}`, (tripData) => {
-            console.log('Received tripUpdate event for this trip:', tripData);
-            if (tripData && tripData.status && tripData.status !== prevStatusRef.current) {
-              showToast(tripData.status);
-              prevStatusRef.current = tripData.status;
-              setTrip(tripData);
-            }
-          });
-          
-          // Listen for tripAccepted events
-          socket.on(`tripAccepted:${id}`, (tripData) => {
-            console.log('Received tripAccepted event for this trip:', tripData);
-            if (tripData && tripData.status === 'ACCEPTED') {
-              showToast('ACCEPTED');
-              prevStatusRef.current = 'ACCEPTED';
-              setTrip(tripData);
-            }
-          });
-          
-          socket.on('tripAccepted', (data) => {
-            if (data && (data.tripId === id || (data.trip && data.trip._id === id))) {
-              console.log('Received general tripAccepted event that matches this trip:', data);
-              showToast('ACCEPTED');
-              if (data.trip) {
-                prevStatusRef.current = data.trip.status;
-                setTrip(data.trip);
-              }
-            }
-          });
-        }
-        
         // Also subscribe to ambulance location updates if available
         if (trip.ambulanceId && trip.ambulanceId._id && socket) {
           locationUpdateUnsubscribe = await subscribeAmbulanceLocation(trip.ambulanceId._id, (locationData) => {
@@ -332,10 +242,22 @@ const TripTrackingPage = () => {
                 ...prev,
                 ambulanceId: {
                   ...prev.ambulanceId,
-                  location: locationData
+                  location: locationData.location || locationData
                 }
               };
             });
+            
+            // Extend the route driven on this trip. The same fix can arrive
+            // through both the trip and the ambulance room.
+            if (locationData.tripId === id && locationData.latitude !== undefined) {
+              setTrack(prev => {
+                const last = prev[prev.length - 1];
+                if (last && last[0] === locationData.latitude && last[1] === locationData.longitude) {
+                  return prev;
+                }
+                return [...prev, [locationData.latitude, locationData.longitude]];
+              });
+            }
           });
         }
       } catch (error) {
@@ -348,82 +270,47 @@ const TripTrackingPage = () => {
     // Initial setup
     setupTripUpdates();
     
-    // Set up reconnection logic that will try to reestablish socket connections if they fail
-    reconnectInterval = setInterval(() => {
-      // Check if socket is connected
-      if (socket && !socket.connected) {
-        console.log('Socket disconnected, attempting to reconnect...');
-        socket.connect();
-        
-        // Re-setup subscriptions after a short delay to allow connection to establish
-        setTimeout(() => {
-          console.log('Refreshing subscriptions after reconnect');
-          
-          // Clean up any existing subscriptions
-          if (tripUpdateUnsubscribe) {
-            tripUpdateUnsubscribe();
-          }
-          
-          if (locationUpdateUnsubscribe) {
-            locationUpdateUnsubscribe();
-          }
-          
-          // Re-setup
-          setupTripUpdates();
-        }, 1000);
-      }
-    }, 5000);
-    
-    // Refresh full trip data periodically to ensure sync
-    const refreshInterval = setInterval(async () => {
-      try {
-        console.log('Performing periodic trip refresh');
-        const refreshedTrip = await forceRefreshTripStatus(id);
-        
-        if (refreshedTrip) {
-          console.log('Received data from periodic refresh');
-          
-          // Check for status change
-          if (prevStatusRef.current && refreshedTrip.status !== prevStatusRef.current) {
-            console.log(`Trip status changed from ${prevStatusRef.current} to ${refreshedTrip.status} (from periodic refresh)`);
-            
-            // Explicitly call showToast with the new status
-            showToast(refreshedTrip.status);
-          }
-          
-          // Update previous status and trip data
-          prevStatusRef.current = refreshedTrip.status;
-          setTrip(refreshedTrip);
-        }
-      } catch (error) {
-        console.error('Error refreshing trip data:', error);
-      }
-    }, 10000); // Every 10 seconds
-    
     // Cleanup
     return () => {
-      clearInterval(refreshInterval);
-      clearInterval(reconnectInterval);
-      
-      // Clean up socket listeners
-      const socket = getSocket();
-      if (socket) {
-        socket.off('notification');
-        socket.off(`notification:${id}`);
-        socket.off(`tripUpdate:${id}`);
-        socket.off('tripStatusChanged');
-        socket.off('tripUpdated');
-        socket.off(`tripAccepted:${id}`);
-        socket.off('tripAccepted');
-        socket.off('globalTripUpdate');
-        socket.off('tripUpdate');
-      }
-      
       if (tripUpdateUnsubscribe) tripUpdateUnsubscribe();
       if (locationUpdateUnsubscribe) locationUpdateUnsubscribe();
     };
   }, [id, user, showToast, trip?.ambulanceId?._id]);
 
+  // Get the route driven so far, again whenever the status changes
+  const tripStatus = trip?.status;
+  const hasAmbulance = !!trip?.ambulanceId;
+  useEffect(() => {
+    if (!id || !hasAmbulance) return;
+
+    const fetchTrack = async () => {
+      try {
+        const feature = await getTripTrack(id);
+        const coordinates = feature?.geometry?.coordinates || [];
+        setTrack(coordinates.map(([lng, lat]) => [lat, lng]));
+      } catch (error) {
+        // The map still shows the ambulance's current position
+        console.error('Error fetching trip track:', error);
+      }
+    };
+
+    fetchTrack();
+  }, [id, hasAmbulance, tripStatus]);
+
+  // Only rebuild the map when the positions on it actually change
+  const [pickupLng, pickupLat] = trip?.requestLocation?.coordinates || [];
+  const pickupLocation = useMemo(() => (
+    pickupLat !== undefined ? { latitude: pickupLat, longitude: pickupLng } : null
+  ), [pickupLat, pickupLng]);
+
+  const [ambulanceLng, ambulanceLat] = trip?.ambulanceId?.location?.coordinates || [];
+  const ambulanceName = trip?.ambulanceId?.name;
+  const mapAmbulances = useMemo(() => (
+    ambulanceLat !== undefined
+      ? [{ name: ambulanceName, location: { coordinates: [ambulanceLng, ambulanceLat] } }]
+      : []
+  ), [ambulanceName, ambulanceLng, ambulanceLat]);
+
   const handleCancel = async () => {
     if (window.confirm('Are you sure you want to cancel this trip?')) {
       try {
@@ -573,6 +460,16 @@ const TripTrackingPage = () => {
             )}
 
             <div className="space-y-6">
+              {/* Map with the route driven so far */}
+              {trip.ambulanceId && pickupLocation && (
+                <LocationMap
+                  userLocation={pickupLocation}
+                  ambulances={mapAmbulances}
+                  track={track}
+                  height="300px"
+                />
+              )}
+
               {/* Ambulance Details */}
               <div className="bg-gray-50 p-4 rounded-lg">
                 <h2 className="text-lg font-semibold text-gray-900 mb-4">Ambulance Details</h2>
@@ -592,6 +489,17 @@ const TripTrackingPage = () => {
                 </div>
               </div>
 
+              {/* Insurance cover and its pre-authorisation */}
+              <TripInsurance
+                trip={trip}
+                onChange={(insurance) => setTrip(prev => ({ ...prev, insurance }))}
+              />
+
+              {/* Fare and payment, once the trip is completed */}
+              {trip.fare !== undefined && trip.fare !== null && (
+                <TripPayment trip={trip} />
+              )}
+
               {/* Trip Timeline */}
               <div>
                 <h2 className="text-lg font-semibold text-gray-900 mb-4">Trip Timeline</h2>
@@ -29,7 +29,9 @@ const LoginForm = () => {
 
         try {
             await login(email,password);
-            router.push('/find-ambulance')
+            // Hospital staff land on their receiving dashboard, crew on their trips
+            const home = { hospital: '/hospital', crew: '/crew' }
+            router.push(home[localStorage.getItem('userRole')] || '/find-ambulance')
         } catch (err) {
             let errorMessage = 'Failed to login. Please try again.'
 
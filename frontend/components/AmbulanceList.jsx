@@ -2,13 +2,14 @@
 
 import React from 'react';
 import Button from './Button';
+import { formatFareEstimate } from '@/utils/ambulanceService';
 
 const AmbulanceList = ({ ambulances }) => {
   // Sort ambulances by ETA (primary) and distance (secondary)
   const sortedAmbulances = [...ambulances].sort((a, b) => {
-    // Extract numeric values from ETA strings (remove "mins" and convert to numbers)
-    const etaA = parseInt(a.eta.split(' ')[0]);
-    const etaB = parseInt(b.eta.split(' ')[0]);
+    // Prefer the numeric ETA from the server, else parse the "12 min" string
+    const etaA = a.etaValue ?? parseInt(a.eta.split(' ')[0]);
+    const etaB = b.etaValue ?? parseInt(b.eta.split(' ')[0]);
     
     // If ETAs are different, sort by ETA
     if (etaA !== etaB) {
@@ -16,8 +17,8 @@ const AmbulanceList = ({ ambulances }) => {
     }
     
     // If ETAs are the same, sort by distance
-    const distanceA = parseFloat(a.distance.split(' ')[0]);
-    const distanceB = parseFloat(b.distance.split(' ')[0]);
+    const distanceA = a.distanceValue ?? parseFloat(a.distance.split(' ')[0]);
+    const distanceB = b.distanceValue ?? parseFloat(b.distance.split(' ')[0]);
     return distanceA - distanceB;
   });
 
@@ -72,6 +73,12 @@ const AmbulanceList = ({ ambulances }) => {
                 <span className="text-sm text-gray-500">Estimated Arrival Time:</span>
                 <span className="ml-2 font-medium">{ambulance.eta}</span>
               </div>
+              {ambulance.fareEstimate && (
+                <div className="col-span-2">
+                  <span className="text-sm text-gray-500">Fare:</span>
+                  <span className="ml-2 font-medium">{formatFareEstimate(ambulance.fareEstimate)}</span>
+                </div>
+              )}
             </div>
           </div>
           
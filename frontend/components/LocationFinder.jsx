@@ -4,7 +4,7 @@ import React, { useEffect } from 'react'
 import { useState } from "react";
 import Button from './Button';
 import AmbulanceList from './AmbulanceList';
-import { getCurrentLocation, getNearestAmbulances } from "@/utils/locationService";
+import { getCurrentLocation, getNearestAmbulances, searchAddress } from "@/utils/locationService";
 import dynamic from 'next/dynamic';
 
 // Properly load the map component only on client-side
@@ -23,6 +23,10 @@ const LocationFinder = () => {
   const [userLocation, setUserLocation] = useState(null);
   const [ambulances, setAmbulances] = useState([]);
   const [stage, setStage] = useState("initial"); // initial, locating, searchingAmbulances, results
+  const [addressQuery, setAddressQuery] = useState("");
+  const [addressResults, setAddressResults] = useState([]);
+  const [addressSearching, setAddressSearching] = useState(false);
+  const [addressError, setAddressError] = useState(null);
 
   const handleFindLocation = async () => {
     // Reset states
@@ -48,6 +52,58 @@ const LocationFinder = () => {
     }
   };
   
+  // Search ambulances around a place the user picked instead of their GPS position
+  const handleSelectAddress = async (place) => {
+    setAddressQuery(place.address);
+    setAddressResults([]);
+    setLoading(true);
+    setError(null);
+    setStage("searchingAmbulances");
+    
+    const location = {
+      latitude: place.latitude,
+      longitude: place.longitude,
+      address: place.address,
+      accuracy: null
+    };
+    
+    try {
+      setUserLocation(location);
+      const nearbyAmbulances = await getNearestAmbulances(location);
+      setAmbulances(nearbyAmbulances);
+      setStage("results");
+    } catch (err) {
+      setError(err.message);
+      setStage("results");
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Look up addresses shortly after the user stops typing
+  useEffect(() => {
+    const query = addressQuery.trim();
+    
+    if (query.length < 2 || query === userLocation?.address) {
+      setAddressResults([]);
+      return;
+    }
+    
+    const timer = setTimeout(async () => {
+      setAddressSearching(true);
+      setAddressError(null);
+      try {
+        setAddressResults(await searchAddress(query));
+      } catch (err) {
+        setAddressError(err.message);
+      } finally {
+        setAddressSearching(false);
+      }
+    }, 400);
+    
+    return () => clearTimeout(timer);
+  }, [addressQuery, userLocation?.address]);
+  
   // Properly handle initialization with useEffect
   useEffect(() => {
     if (stage === "initial" && !loading && !error) {
@@ -57,6 +113,42 @@ const LocationFinder = () => {
 
   return (
     <div className="bg-white rounded-xl shadow-xl p-6">
+      {/* Address search - for when GPS is unavailable or the patient is elsewhere */}
+      <div className="relative mb-6">
+        <label htmlFor="address-search" className="block text-sm font-medium text-gray-700 mb-1">
+          Search for an address or landmark
+        </label>
+        <input
+          id="address-search"
+          type="text"
+          value={addressQuery}
+          onChange={(e) => setAddressQuery(e.target.value)}
+          placeholder="e.g. Westlands, Kenyatta National Hospital"
+          className="w-full border border-gray-300 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+        />
+        {addressSearching && (
+          <p className="text-xs text-gray-500 mt-1">Searching...</p>
+        )}
+        {addressError && (
+          <p className="text-xs text-red-600 mt-1">{addressError}</p>
+        )}
+        {addressResults.length > 0 && (
+          <ul className="absolute z-10 w-full bg-white border border-gray-200 rounded-lg shadow-lg mt-1 max-h-60 overflow-y-auto">
+            {addressResults.map((place) => (
+              <li key={`${place.latitude}-${place.longitude}-${place.address}`}>
+                <button
+                  type="button"
+                  onClick={() => handleSelectAddress(place)}
+                  className="w-full text-left px-4 py-2 text-sm hover:bg-gray-100"
+                >
+                  {place.address}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      
       {error && (
         <div className="bg-red-50 border border-red-200 text-red-800 rounded-lg p-4 mb-6">
           <p className="font-medium">Error</p>
@@ -91,7 +183,10 @@ const LocationFinder = () => {
                 height="400px"
               />
               <p className="text-sm text-gray-500 mt-2">
-                Location accuracy: ~{Math.round(userLocation.accuracy)} meters
+                {userLocation.address && <>{userLocation.address} · </>}
+                {userLocation.accuracy
+                  ? `Location accuracy: ~${Math.round(userLocation.accuracy)} meters`
+                  : 'Location picked from search'}
               </p>
             </div>
           )}
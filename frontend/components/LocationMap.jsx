@@ -6,7 +6,7 @@ import { GiAmbulance } from "react-icons/gi";
 import { renderToStaticMarkup } from 'react-dom/server';
 
 // Create a stand-alone function outside the component to avoid recreating it
-const createLeafletMap = async (mapContainer, userLocation, ambulances) => {
+const createLeafletMap = async (mapContainer, userLocation, ambulances, track) => {
   if (!mapContainer || !userLocation) return null;
   
   // Dynamic import for Leaflet
@@ -85,6 +85,12 @@ const createLeafletMap = async (mapContainer, userLocation, ambulances) => {
     });
   }
   
+  // Draw the route the ambulance has driven so far
+  if (track && track.length > 1) {
+    L.polyline(track, { color: '#dc2626', weight: 4, opacity: 0.8 }).addTo(map);
+    points.push(...track);
+  }
+  
   // Only fit bounds if we have more than one point
   if (points.length > 1) {
     try {
@@ -101,7 +107,8 @@ const createLeafletMap = async (mapContainer, userLocation, ambulances) => {
   return map;
 };
 
-const LocationMap = ({ userLocation, ambulances, height = '400px' }) => {
+// track: optional route driven, as [latitude, longitude] points
+const LocationMap = ({ userLocation, ambulances, track, height = '400px' }) => {
   const mapContainerRef = useRef(null);
   const mapInstanceRef = useRef(null);
   
@@ -127,7 +134,8 @@ const LocationMap = ({ userLocation, ambulances, height = '400px' }) => {
         const map = await createLeafletMap(
           mapContainerRef.current,
           userLocation,
-          ambulances
+          ambulances,
+          track
         );
         
         if (map) {
@@ -148,7 +156,7 @@ const LocationMap = ({ userLocation, ambulances, height = '400px' }) => {
       clearTimeout(timer);
       cleanupMap();
     };
-  }, [userLocation, ambulances]);
+  }, [userLocation, ambulances, track]);
   
   // If no user location, show loading placeholder
   if (!userLocation) {
@@ -2,16 +2,24 @@
 
 import React, { useState } from 'react';
 import Link from 'next/link';
+import { usePathname } from 'next/navigation';
 import { GiAmbulance } from "react-icons/gi";
 import { useAuth } from '@/lib/auth';
+import NotificationBell from '@/components/NotificationBell';
 
 const Navbar = () => {
   // Make sure to get loading from useAuth
   const { user, userRole, signout, loading } = useAuth();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const pathname = usePathname();
   
   // Check if user is a provider based on userRole
   const isProvider = userRole === 'provider';
+  const isHospitalStaff = userRole === 'hospital';
+  const isCrew = userRole === 'crew';
+
+  // The provider dashboard layout has a bell of its own
+  const showNotifications = !!user && !pathname?.startsWith('/provider');
 
   // Add loading state handling
   if (loading) {
@@ -60,85 +68,110 @@ const Navbar = () => {
             </Link>
           </div>
           
-          {/* Desktop navigation */}
-          <div className="hidden md:flex items-center space-x-4">
-            <Link href="/" className="py-2 px-3 rounded-md hover:bg-red-700 transition-colors">
-              Home
-            </Link>
+          <div className="flex items-center">
+            {/* Desktop navigation */}
+            <div className="hidden md:flex items-center space-x-4">
+              <Link href="/" className="py-2 px-3 rounded-md hover:bg-red-700 transition-colors">
+                Home
+              </Link>
             
-            {isProvider ? (
-              <>
-                {/* Provider links */}
-                <Link href="/provider/dashboard" className="py-2 px-3 rounded-md hover:bg-red-700 transition-colors">
-                  Dashboard
-                </Link>
-                <Link href="/provider/trips" className="py-2 px-3 rounded-md hover:bg-red-700 transition-colors">
-                  Trips
-                </Link>
-                <Link href="/provider/ambulances" className="py-2 px-3 rounded-md hover:bg-red-700 transition-colors">
-                  Ambulances
+              {isProvider ? (
+                <>
+                  {/* Provider links */}
+                  <Link href="/provider/dashboard" className="py-2 px-3 rounded-md hover:bg-red-700 transition-colors">
+                    Dashboard
+                  </Link>
+                  <Link href="/provider/trips" className="py-2 px-3 rounded-md hover:bg-red-700 transition-colors">
+                    Trips
+                  </Link>
+                  <Link href="/provider/ambulances" className="py-2 px-3 rounded-md hover:bg-red-700 transition-colors">
+                    Ambulances
+                  </Link>
+                </>
+              ) : isHospitalStaff ? (
+                <Link href="/hospital" className="py-2 px-3 rounded-md hover:bg-red-700 transition-colors">
+                  Incoming
                 </Link>
-              </>
-            ) : (
-              <>
-                {/* Regular user links - only show Find Ambulance for non-providers */}
-                <Link href="/find-ambulance" className="py-2 px-3 rounded-md hover:bg-red-700 transition-colors">
-                  Find Ambulance
+              ) : isCrew ? (
+                <Link href="/crew" className="py-2 px-3 rounded-md hover:bg-red-700 transition-colors">
+                  My Trips
                 </Link>
-              </>
-            )}
+              ) : (
+                <>
+                  {/* Regular user links - only show Find Ambulance for non-providers */}
+                  <Link href="/find-ambulance" className="py-2 px-3 rounded-md hover:bg-red-700 transition-colors">
+                    Find Ambulance
+                  </Link>
+                  {user && (
+                    <Link href="/profile" className="py-2 px-3 rounded-md hover:bg-red-700 transition-colors">
+                      My Profile
+                    </Link>
+                  )}
+                </>
+              )}
             
-            {/* Auth links */}
-            {user ? (
-              <div className="flex items-center ml-4">
-                <span className="mr-4">Hello, {user.displayName || 'User'}</span>
-                <button
-                  onClick={handleLogout}
-                  className="bg-white text-red-600 hover:bg-gray-100 py-2 px-4 rounded-lg transition-colors"
-                >
-                  Logout
-                </button>
-              </div>
-            ) : (
-              <div className="flex items-center ml-4 space-x-3">
-                <Link href="/auth/login" 
-                  className="py-2 px-3 rounded-md hover:bg-red-700 transition-colors">
-                  Login
-                </Link>
-                <Link href="/auth/signup"
-                  className="bg-white text-red-600 hover:bg-gray-100 py-2 px-4 rounded-md transition-colors">
-                  Sign Up
-                </Link>
-                <Link href="/provider/login"
-                  className="bg-white text-red-600 hover:bg-gray-100 py-2 px-4 rounded-md transition-colors">
-                  Provider Login
-                </Link>
+              {/* Auth links */}
+              {user ? (
+                <div className="flex items-center ml-4">
+                  <span className="mr-4">Hello, {user.displayName || 'User'}</span>
+                  <button
+                    onClick={handleLogout}
+                    className="bg-white text-red-600 hover:bg-gray-100 py-2 px-4 rounded-lg transition-colors"
+                  >
+                    Logout
+                  </button>
+                </div>
+              ) : (
+                <div className="flex items-center ml-4 space-x-3">
+                  <Link href="/auth/login" 
+                    className="py-2 px-3 rounded-md hover:bg-red-700 transition-colors">
+                    Login
+                  </Link>
+                  <Link href="/auth/signup"
+                    className="bg-white text-red-600 hover:bg-gray-100 py-2 px-4 rounded-md transition-colors">
+                    Sign Up
+                  </Link>
+                  <Link href="/provider/login"
+                    className="bg-white text-red-600 hover:bg-gray-100 py-2 px-4 rounded-md transition-colors">
+                    Provider Login
+                  </Link>
+                </div>
+              )}
+            </div>
+          
+            {/* Notifications of the signed-in patient or provider */}
+            {showNotifications && (
+              <div className="ml-2">
+                <NotificationBell
+                  recipient={isProvider ? 'provider' : 'user'}
+                  buttonClassName="text-white hover:bg-red-700"
+                />
               </div>
             )}
-          </div>
-          
-          {/* Mobile menu button */}
-          <div className="md:hidden flex items-center">
-            <button
-              onClick={toggleMobileMenu}
-              className="inline-flex items-center justify-center p-2 rounded-md hover:bg-red-700 focus:outline-none"
-            >
-              <span className="sr-only">Open main menu</span>
-              <svg
-                className="h-6 w-6"
-                xmlns="http://www.w3.org/2000/svg"
-                fill="none"
-                viewBox="0 0 24 24"
-                stroke="currentColor"
+            
+            {/* Mobile menu button */}
+            <div className="md:hidden flex items-center">
+              <button
+                onClick={toggleMobileMenu}
+                className="inline-flex items-center justify-center p-2 rounded-md hover:bg-red-700 focus:outline-none"
               >
-                <path
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                  strokeWidth="2"
-                  d={mobileMenuOpen ? "M6 18L18 6M6 6l12 12" : "M4 6h16M4 12h16M4 18h16"}
-                />
-              </svg>
-            </button>
+                <span className="sr-only">Open main menu</span>
+                <svg
+                  className="h-6 w-6"
+                  xmlns="http://www.w3.org/2000/svg"
+                  fill="none"
+                  viewBox="0 0 24 24"
+                  stroke="currentColor"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth="2"
+                    d={mobileMenuOpen ? "M6 18L18 6M6 6l12 12" : "M4 6h16M4 12h16M4 18h16"}
+                  />
+                </svg>
+              </button>
+            </div>
           </div>
         </div>
         
@@ -170,6 +203,18 @@ const Navbar = () => {
                   Ambulances
                 </Link>
               </>
+            ) : isHospitalStaff ? (
+              <Link href="/hospital"
+                className="block py-2 px-3 rounded-md hover:bg-red-700 transition-colors"
+                onClick={() => setMobileMenuOpen(false)}>
+                Incoming
+              </Link>
+            ) : isCrew ? (
+              <Link href="/crew"
+                className="block py-2 px-3 rounded-md hover:bg-red-700 transition-colors"
+                onClick={() => setMobileMenuOpen(false)}>
+                My Trips
+              </Link>
             ) : (
               <>
                 {/* Regular user mobile links - only show Find Ambulance for non-providers */}
@@ -178,6 +223,13 @@ const Navbar = () => {
                   onClick={() => setMobileMenuOpen(false)}>
                   Find Ambulance
                 </Link>
+                {user && (
+                  <Link href="/profile"
+                    className="block py-2 px-3 rounded-md hover:bg-red-700 transition-colors"
+                    onClick={() => setMobileMenuOpen(false)}>
+                    My Profile
+                  </Link>
+                )}
               </>
             )}
             
@@ -0,0 +1,182 @@
+'use client';
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useRouter } from 'next/navigation';
+import { FiBell } from 'react-icons/fi';
+import { getNotifications, markNotificationRead, markAllNotificationsRead } from '@/utils/notificationService';
+import { subscribeNotifications } from '@/utils/socketService';
+
+// Notifications shown in the dropdown
+const PAGE_SIZE = 10;
+
+const formatTime = (timestamp) => {
+  const minutes = Math.round((Date.now() - new Date(timestamp).getTime()) / 60000);
+
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h ago`;
+  return new Date(timestamp).toLocaleDateString();
+};
+
+/**
+ * Bell with the unread count and a dropdown of the latest notifications
+ * @param {string} recipient - Inbox shown: 'user' (patient) or 'provider'
+ * @param {string} buttonClassName - Classes of the bell button, to fit the surrounding bar
+ */
+const NotificationBell = ({ recipient = 'user', buttonClassName = 'text-gray-600 hover:bg-gray-100' }) => {
+  const router = useRouter();
+  const containerRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const loadNotifications = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await getNotifications(recipient, { limit: PAGE_SIZE });
+      setNotifications(result.notifications || []);
+      setUnreadCount(result.unreadCount || 0);
+    } catch (error) {
+      console.error('Error loading notifications:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [recipient]);
+
+  useEffect(() => {
+    loadNotifications();
+  }, [loadNotifications]);
+
+  // New notifications and count changes, also those made in other tabs
+  useEffect(() => subscribeNotifications(recipient, {
+    onNotification: (notification) => {
+      setNotifications(prev => [
+        {
+          _id: notification.id,
+          type: notification.type,
+          title: notification.title,
+          message: notification.message,
+          tripId: notification.tripId,
+          createdAt: notification.timestamp
+        },
+        ...prev.filter(item => item._id !== notification.id)
+      ].slice(0, PAGE_SIZE));
+    },
+    onUnreadCount: setUnreadCount
+  }), [recipient]);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClick = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const toggle = () => {
+    // The list may have missed notifications sent while the socket was down
+    if (!open) {
+      loadNotifications();
+    }
+    setOpen(!open);
+  };
+
+  const handleSelect = async (notification) => {
+    setOpen(false);
+
+    if (!notification.readAt) {
+      setNotifications(prev => prev.map(item => (
+        item._id === notification._id ? { ...item, readAt: new Date().toISOString() } : item
+      )));
+
+      try {
+        const result = await markNotificationRead(notification._id, recipient);
+        setUnreadCount(result.unreadCount);
+      } catch (error) {
+        console.error('Error marking notification read:', error);
+      }
+    }
+
+    if (notification.tripId) {
+      router.push(recipient === 'provider' ? '/provider/dashboard' : `/trips/${notification.tripId}`);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      const result = await markAllNotificationsRead(recipient);
+      const readAt = new Date().toISOString();
+      setNotifications(prev => prev.map(item => (item.readAt ? item : { ...item, readAt })));
+      setUnreadCount(result.unreadCount);
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+    }
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        type="button"
+        onClick={toggle}
+        className={`relative p-2 rounded-full transition-colors ${buttonClassName}`}
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+      >
+        <FiBell className="h-6 w-6" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-yellow-400 text-red-900 text-xs font-bold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 max-w-[calc(100vw-2rem)] bg-white text-gray-800 rounded-lg shadow-lg border z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b">
+            <h3 className="font-semibold">Notifications</h3>
+            {unreadCount > 0 && (
+              <button onClick={handleMarkAllRead} className="text-sm text-red-600 hover:underline">
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {loading && notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-center text-gray-500">Loading...</p>
+            ) : notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-center text-gray-500">No notifications yet</p>
+            ) : (
+              notifications.map(notification => (
+                <button
+                  key={notification._id}
+                  onClick={() => handleSelect(notification)}
+                  className={`w-full text-left px-4 py-3 border-b last:border-b-0 hover:bg-gray-50 ${
+                    notification.readAt ? '' : 'bg-red-50'
+                  }`}
+                >
+                  <div className="flex items-start justify-between">
+                    <p className={`text-sm ${notification.readAt ? 'text-gray-700' : 'font-semibold'}`}>
+                      {notification.title}
+                    </p>
+                    {!notification.readAt && <span className="ml-2 mt-1.5 h-2 w-2 rounded-full bg-red-600 flex-shrink-0" />}
+                  </div>
+                  <p className="text-sm text-gray-600 mt-0.5">{notification.message}</p>
+                  <p className="text-xs text-gray-400 mt-1">{formatTime(notification.createdAt)}</p>
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
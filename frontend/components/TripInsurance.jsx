@@ -0,0 +1,112 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { FiShield, FiCheckCircle } from 'react-icons/fi';
+import { getInsuranceCovers, setTripInsuranceCover } from '@/utils/insuranceService';
+
+/**
+ * Insurance of the patient's trip, with a choice of their saved covers
+ * while it can still change
+ * @param {Object} trip - Trip with insurance, status and paymentStatus
+ * @param {Function} onChange - Called with the trip's new insurance
+ */
+const TripInsurance = ({ trip, onChange }) => {
+  const [covers, setCovers] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const insurance = trip.insurance?.insurer ? trip.insurance : null;
+  const preAuthorization = insurance?.preAuthorization?.reference;
+  // The insurer approved this cover, or the trip is settled
+  const locked = Boolean(preAuthorization) || trip.paymentStatus === 'PAID' || trip.status === 'CANCELLED';
+
+  useEffect(() => {
+    if (locked) return;
+
+    const fetchCovers = async () => {
+      try {
+        const data = await getInsuranceCovers();
+        setCovers(Array.isArray(data) ? data : []);
+      } catch (error) {
+        console.error('Error loading insurance covers:', error);
+      }
+    };
+
+    fetchCovers();
+  }, [locked]);
+
+  const handleChange = async (e) => {
+    try {
+      setSaving(true);
+      setError(null);
+      const updated = await setTripInsuranceCover(trip._id, e.target.value || null);
+      onChange(updated.insurance?.insurer ? updated.insurance : null);
+    } catch (error) {
+      console.error('Error changing trip insurance:', error);
+      setError(error.status === 409 ? error.message : 'Failed to change the insurance of this trip.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (locked && !insurance) {
+    return null;
+  }
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <FiShield className="mr-2" />
+        Insurance
+      </h2>
+
+      {insurance ? (
+        <div className="space-y-1 text-gray-600">
+          <p className="font-medium text-gray-900">{insurance.insurer}</p>
+          <p className="text-sm">Member {insurance.memberNumber}{insurance.scheme && ` - ${insurance.scheme}`}</p>
+          {preAuthorization ? (
+            <p className="flex items-center text-sm text-green-700">
+              <FiCheckCircle className="mr-1" />
+              Pre-authorised, reference {preAuthorization}
+            </p>
+          ) : (
+            <p className="text-sm text-gray-500">The crew will ask your insurer to pre-authorise the trip.</p>
+          )}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-600">No insurance is attached to this trip.</p>
+      )}
+
+      {!locked && (
+        covers.length > 0 ? (
+          <div className="mt-3">
+            <label htmlFor="tripCover" className="block text-sm font-medium text-gray-700 mb-1">
+              {insurance ? 'Change cover' : 'Attach a cover'}
+            </label>
+            <select
+              id="tripCover"
+              value={insurance?.coverId || ''}
+              onChange={handleChange}
+              disabled={saving}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              <option value="">No insurance</option>
+              {covers.map(cover => (
+                <option key={cover._id} value={cover._id}>{cover.insurer} - {cover.memberNumber}</option>
+              ))}
+            </select>
+          </div>
+        ) : (
+          <Link href="/profile/insurance" className="mt-3 inline-block text-sm text-red-600 hover:underline">
+            Save your insurance
+          </Link>
+        )
+      )}
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default TripInsurance;
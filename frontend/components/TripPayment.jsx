@@ -0,0 +1,263 @@
+'use client';
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { FiCheckCircle, FiAlertCircle, FiSmartphone, FiDollarSign, FiShield, FiRefreshCw } from 'react-icons/fi';
+import { getTripPayments, payForTrip, refreshPayment } from '@/utils/paymentService';
+import { subscribeTripPayments } from '@/utils/socketService';
+
+const methods = [
+  { value: 'MPESA', label: 'M-Pesa', icon: FiSmartphone },
+  { value: 'CASH', label: 'Cash', icon: FiDollarSign },
+  { value: 'INSURANCE', label: 'Insurance', icon: FiShield }
+];
+
+const methodLabels = { MPESA: 'M-Pesa', CASH: 'cash', INSURANCE: 'insurance' };
+
+const breakdownLabels = {
+  base: 'Base fee',
+  distance: 'Distance',
+  waiting: 'Waiting time',
+  equipment: 'Equipment',
+  night: 'Night surcharge'
+};
+
+const formatMoney = (currency, amount) => `${currency || 'KES'} ${Number(amount || 0).toLocaleString('en-US')}`;
+
+/**
+ * Fare of a completed trip and how to pay it
+ * @param {Object} trip - Trip with fare, fareDetails, paymentStatus, patientDetails and insurance
+ */
+const TripPayment = ({ trip }) => {
+  const [payments, setPayments] = useState([]);
+  const [paymentStatus, setPaymentStatus] = useState(trip.paymentStatus);
+  const [method, setMethod] = useState('MPESA');
+  const [phone, setPhone] = useState(trip.patientDetails?.phone || '');
+  // The trip's own cover is claimed unless the patient enters another one
+  const [insurance, setInsurance] = useState({
+    insurer: trip.insurance?.insurer || '',
+    memberNumber: trip.insurance?.memberNumber || ''
+  });
+  const [submitting, setSubmitting] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState(null);
+  // One key per payment, kept while the same payment is retried
+  const idempotencyKey = useRef(null);
+
+  const tripId = trip._id;
+  const currency = trip.fareDetails?.currency || 'KES';
+
+  const loadPayments = useCallback(async () => {
+    try {
+      const result = await getTripPayments(tripId);
+      setPayments(result.payments || []);
+      setPaymentStatus(result.paymentStatus);
+    } catch (error) {
+      console.error('Error loading payments:', error);
+    }
+  }, [tripId]);
+
+  useEffect(() => {
+    loadPayments();
+  }, [loadPayments]);
+
+  // The M-Pesa result arrives while the patient looks at their phone
+  useEffect(() => subscribeTripPayments(tripId, () => {
+    loadPayments();
+  }), [tripId, loadPayments]);
+
+  const latest = payments[0];
+  const paid = paymentStatus === 'PAID';
+  const awaitingMpesa = latest?.method === 'MPESA' && latest.status === 'PENDING';
+  const awaitingSettlement = latest && latest.method !== 'MPESA' && latest.status === 'PENDING';
+
+  const changeDetails = (update) => {
+    idempotencyKey.current = null;
+    update();
+  };
+
+  const handlePay = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (!idempotencyKey.current) {
+      idempotencyKey.current = crypto.randomUUID();
+    }
+
+    const details = { method };
+    if (method === 'MPESA') details.phone = phone;
+    if (method === 'INSURANCE') details.insurance = insurance;
+
+    try {
+      setSubmitting(true);
+      await payForTrip(tripId, details, idempotencyKey.current);
+      idempotencyKey.current = null;
+      await loadPayments();
+    } catch (error) {
+      console.error('Error paying for trip:', error);
+      // Client errors won't succeed with the same request; anything else may be retried as is
+      if (error.status && error.status < 500) {
+        idempotencyKey.current = null;
+      }
+      setError(error.message || 'Payment failed. Please try again.');
+      await loadPayments();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCheckStatus = async () => {
+    try {
+      setChecking(true);
+      await refreshPayment(latest._id);
+      await loadPayments();
+    } catch (error) {
+      console.error('Error checking payment:', error);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const breakdown = trip.fareDetails?.breakdown || {};
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900">Fare</h2>
+        <span className="text-xl font-bold text-gray-900">{formatMoney(currency, trip.fare)}</span>
+      </div>
+
+      <dl className="text-sm text-gray-600 space-y-1 mb-4">
+        {Object.entries(breakdownLabels)
+          .filter(([key]) => breakdown[key])
+          .map(([key, label]) => (
+            <div key={key} className="flex justify-between">
+              <dt>
+                {label}
+                {key === 'distance' && trip.fareDetails?.distanceKm !== undefined && ` (${trip.fareDetails.distanceKm} km)`}
+              </dt>
+              <dd>{formatMoney(currency, breakdown[key])}</dd>
+            </div>
+          ))}
+      </dl>
+
+      {paid ? (
+        <div className="flex items-center text-green-700 bg-green-50 border border-green-200 rounded-md p-3">
+          <FiCheckCircle className="h-5 w-5 mr-2" />
+          <span>
+            Paid by {methodLabels[trip.paymentMethod] || methodLabels[latest?.method] || 'payment'}
+            {latest?.mpesa?.receiptNumber && ` - receipt ${latest.mpesa.receiptNumber}`}
+          </span>
+        </div>
+      ) : awaitingMpesa ? (
+        <div className="bg-blue-50 border border-blue-200 rounded-md p-3 text-sm text-blue-800">
+          <p className="font-medium">Check your phone</p>
+          <p className="mt-1">Enter your M-Pesa PIN on {latest.phone} to pay {formatMoney(latest.currency, latest.amount)}.</p>
+          <button
+            onClick={handleCheckStatus}
+            disabled={checking}
+            className="mt-2 inline-flex items-center text-blue-700 hover:text-blue-900 disabled:opacity-50"
+          >
+            <FiRefreshCw className={`mr-1 h-4 w-4 ${checking ? 'animate-spin' : ''}`} />
+            I have paid - check again
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handlePay} className="space-y-4">
+          {awaitingSettlement && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-md p-3 text-sm text-yellow-800">
+              {latest.method === 'CASH'
+                ? 'Waiting for the crew to confirm your cash payment.'
+                : `Your insurance claim with ${latest.insurance?.insurer} is being processed.`}
+              {' '}You can still choose another way to pay.
+            </div>
+          )}
+
+          {latest?.status === 'FAILED' && (
+            <div className="flex items-start text-sm text-red-700">
+              <FiAlertCircle className="h-4 w-4 mr-1 mt-0.5" />
+              Your last {methodLabels[latest.method]} payment did not go through{latest.failureReason ? `: ${latest.failureReason}` : ''}.
+            </div>
+          )}
+
+          <div className="grid grid-cols-3 gap-2">
+            {methods.map(({ value, label, icon: Icon }) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => changeDetails(() => setMethod(value))}
+                className={`flex flex-col items-center p-3 border rounded-lg text-sm ${
+                  method === value ? 'border-red-500 bg-red-50 text-red-700' : 'border-gray-200 text-gray-700 hover:border-red-300'
+                }`}
+              >
+                <Icon className="h-5 w-5 mb-1" />
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {method === 'MPESA' && (
+            <div>
+              <label htmlFor="mpesaPhone" className="block text-sm font-medium text-gray-700 mb-1">M-Pesa number</label>
+              <input
+                id="mpesaPhone"
+                type="tel"
+                value={phone}
+                onChange={(e) => changeDetails(() => setPhone(e.target.value))}
+                placeholder="0712 345 678"
+                required
+                className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+              />
+            </div>
+          )}
+
+          {method === 'CASH' && (
+            <p className="text-sm text-gray-600">Pay the crew in cash. The payment is complete once they confirm it.</p>
+          )}
+
+          {method === 'INSURANCE' && trip.insurance?.preAuthorization?.reference && (
+            <p className="text-sm text-gray-600">Pre-authorised by {trip.insurance.insurer}, reference {trip.insurance.preAuthorization.reference}.</p>
+          )}
+
+          {method === 'INSURANCE' && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="insurer" className="block text-sm font-medium text-gray-700 mb-1">Insurer</label>
+                <input
+                  id="insurer"
+                  type="text"
+                  value={insurance.insurer}
+                  onChange={(e) => changeDetails(() => setInsurance(prev => ({ ...prev, insurer: e.target.value })))}
+                  required
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                />
+              </div>
+              <div>
+                <label htmlFor="memberNumber" className="block text-sm font-medium text-gray-700 mb-1">Member number</label>
+                <input
+                  id="memberNumber"
+                  type="text"
+                  value={insurance.memberNumber}
+                  onChange={(e) => changeDetails(() => setInsurance(prev => ({ ...prev, memberNumber: e.target.value })))}
+                  required
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                />
+              </div>
+            </div>
+          )}
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            {submitting ? 'Sending...' : method === 'MPESA' ? `Pay ${formatMoney(currency, trip.fare)} with M-Pesa` : 'Confirm'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TripPayment;
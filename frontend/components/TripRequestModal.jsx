@@ -12,9 +12,11 @@ import {
 import { 
   subscribeAmbulanceLocation, 
   authenticateUser, 
+  followTrip,
   getSocket 
 } from '@/utils/socketService';
 import { useAuth } from '@/lib/auth';
+import { STATUS_DETAILS, getStatusDetails, getStatusMessage } from '@shared/tripLifecycle';
 
 // Create a singleton flag to prevent multiple trip creation during the same session
 let tripCreationInProgress = false;
@@ -24,8 +26,11 @@ const TripRequestModal = ({
   onClose, 
   userLocation, 
   selectedAmbulance, 
+  dispatchOptions = null,
   patientDetails,
   emergencyDetails = '',
+  forSelf = true,
+  insuranceCoverId,
   onTripCreated
 }) => {
   // Core state
@@ -48,6 +53,11 @@ const TripRequestModal = ({
   const prevStatusRef = useRef(null);
   const currentTripIdRef = useRef(null);
   const { user } = useAuth();
+  
+  // Plain values, so a new dispatchOptions object on every render of the
+  // parent doesn't rerun the effects that depend on them
+  const autoDispatch = !!dispatchOptions?.auto;
+  const dispatchAmbulanceType = dispatchOptions?.ambulanceType || null;
 
   // Update trip ID reference whenever trip changes
   useEffect(() => {
@@ -70,18 +80,7 @@ const TripRequestModal = ({
       type === 'success' ? 'bg-green-100 border border-green-400 text-green-700' : 'bg-red-100 border border-red-400 text-red-700'
     }`;
     
-    // Status-specific messages
-    const statusMessages = {
-      'ACCEPTED': 'Ambulance is on the way',
-      'ARRIVED': 'Ambulance has arrived at your location',
-      'PICKED_UP': 'Patient has been picked up',
-      'AT_HOSPITAL': 'Arrived at hospital',
-      'COMPLETED': 'Trip completed successfully',
-      'CANCELLED': 'Trip has been cancelled'}
-    
-
-    
-    const message = statusMessages[newStatus] || `Status updated to: ${newStatus}`;
+    const message = getStatusMessage(newStatus);
     
     // Icon based on type
     const iconSvg = type === 'success' 
@@ -212,17 +211,8 @@ const directFetchTripStatus = useCallback(async (tripId) => {
     
     // Update UI step if status changed - map server status to UI step
     if (statusChanged) {
-      // Map status to appropriate step
-      let newStep = updatedTrip.status.toLowerCase();
-      
-      // Handle specific mappings
-      if (updatedTrip.status === 'REQUESTED') {
-        newStep = 'found';
-      } else if (updatedTrip.status === 'PICKED_UP') {
-        newStep = 'pickedup';
-      } else if (updatedTrip.status === 'AT_HOSPITAL') {
-        newStep = 'athospital';
-      }
+      // Map status to the step defined by the trip lifecycle
+      const newStep = getStatusDetails(updatedTrip.status)?.step || step;
       
       console.log(`Setting step: ${step} → ${newStep}`);
       setStep(newStep);
@@ -259,10 +249,6 @@ const directFetchTripStatus = useCallback(async (tripId) => {
       // Format: { tripId: '...', status: '...' }
       newStatus = data.status;
       tripId = data.tripId;
-    } else if (data && data.type === 'TRIP_STATUS_UPDATE') {
-      // Notification format
-      newStatus = data.status || data.newStatus;
-      tripId = data.tripId || (data.trip && data.trip._id);
     }
     
     console.log('Extracted data:', { 
@@ -410,60 +396,25 @@ const directFetchTripStatus = useCallback(async (tripId) => {
     }
   }, []);
 
-  // Direct polling for trip status - our most reliable method
+  // Follow the trip room; after a reconnect the missed events are replayed,
+  // or the trip is reloaded when the server no longer has them
   useEffect(() => {
     // Skip if no trip
     if (!trip || !trip._id) return;
     
-    console.log('Setting up direct polling for trip:', trip._id);
-    
-    // Store trip ID for cleanup
     const tripId = trip._id;
     
-    // Function to check status
-    const checkStatus = async () => {
-      try {
-        const updatedTrip = await directFetchTripStatus(tripId);
-        
-        if (!updatedTrip) {
-          console.warn('No trip data returned from status check');
-          return;
-        }
-        
-        // Only proceed if trip is still the same
-        if (currentTripIdRef.current !== tripId) {
-          console.warn('Trip changed during polling, discarding results');
-          return;
-        }
-        
-        // Update if status changed or if it's been more than 10 seconds since last update
-        const timeSinceLastRefresh = new Date() - lastRefresh;
-        if (updatedTrip.status !== trip.status || timeSinceLastRefresh > 10000) {
-          console.log(`Updating from polling: ${updatedTrip.status}${
-            updatedTrip.status !== trip.status ? ' (status changed)' : ' (refresh)'
-          }`);
-          updateTripStatus(updatedTrip, 'HTTP-POLL');
-        } else {
-          // Still update last refresh time
-          setLastRefresh(new Date());
-        }
-      } catch (error) {
-        console.error('Error in polling:', error);
+    const reloadTrip = async () => {
+      const updatedTrip = await directFetchTripStatus(tripId);
+      
+      // Only proceed if trip is still the same
+      if (updatedTrip && currentTripIdRef.current === tripId) {
+        updateTripStatus(updatedTrip, 'HTTP-RESYNC');
       }
     };
     
-    // Check immediately
-    checkStatus();
-    
-    // Set up polling interval - check every 5 seconds
-    const intervalId = setInterval(checkStatus, 5000);
-    
-    // Cleanup
-    return () => {
-      console.log('Cleaning up polling for trip:', tripId);
-      clearInterval(intervalId);
-    };
-  }, [trip?._id, trip?.status, lastRefresh, directFetchTripStatus, updateTripStatus]);
+    return followTrip(tripId, reloadTrip);
+  }, [trip?._id, directFetchTripStatus, updateTripStatus]);
 
   // Setup ambulance tracking when trip is accepted
   useEffect(() => {
@@ -506,19 +457,11 @@ const directFetchTripStatus = useCallback(async (tripId) => {
     console.log('Setting up socket listeners for trip:', tripId);
     
     // Remove existing listeners first to prevent duplicates
-    socket.off(`tripUpdate:${tripId}`);
     socket.off('tripStatusChanged');
-    socket.off('globalTripUpdate');
     socket.off('tripUpdated');
-    socket.off('notification');
+    socket.off('tripEtaUpdated');
     
     // Set up event handlers for different socket events
-    const handleTripSpecificUpdate = (data) => {
-      if (tripId === currentTripIdRef.current) {
-        handleTripUpdate(`tripUpdate:${tripId}`, data);
-      }
-    };
-    
     const handleStatusChange = (data) => {
       const currentId = currentTripIdRef.current;
       if (currentId && data && (data.tripId === currentId || (data.trip && data.trip._id === currentId))) {
@@ -526,43 +469,35 @@ const directFetchTripStatus = useCallback(async (tripId) => {
       }
     };
     
-    const handleGlobalUpdate = (data) => {
-      if (data && data._id === currentTripIdRef.current) {
-        handleTripUpdate('globalTripUpdate', data);
-      }
-    };
-    
     const handleTripUpdated = (data) => {
       if (data && data._id === currentTripIdRef.current) {
         handleTripUpdate('tripUpdated', data);
       }
     };
     
-    const handleNotification = (data) => {
-      const currentId = currentTripIdRef.current;
-      if (data && data.type === 'TRIP_STATUS_UPDATE' && 
-          (data.tripId === currentId || (data.trip && data.trip._id === currentId))) {
-        handleTripUpdate('notification', data);
+    // Road ETA recalculated by the server as the ambulance moves
+    const handleEtaUpdated = (data) => {
+      if (data && data.tripId === currentTripIdRef.current) {
+        setTrip(prev => prev ? {
+          ...prev,
+          eta: { ...prev.eta, minutes: data.eta, distanceKm: data.distanceKm, target: data.target }
+        } : prev);
       }
     };
     
     // Set up listeners
-    socket.on(`tripUpdate:${tripId}`, handleTripSpecificUpdate);
     socket.on('tripStatusChanged', handleStatusChange);
-    socket.on('globalTripUpdate', handleGlobalUpdate);
     socket.on('tripUpdated', handleTripUpdated);
-    socket.on('notification', handleNotification);
+    socket.on('tripEtaUpdated', handleEtaUpdated);
     
     console.log('Socket listeners established successfully');
     
     // Cleaner cleanup function - more maintainable
     return () => {
       console.log('Cleaning up socket listeners for trip:', tripId);
-      socket.off(`tripUpdate:${tripId}`, handleTripSpecificUpdate);
       socket.off('tripStatusChanged', handleStatusChange);
-      socket.off('globalTripUpdate', handleGlobalUpdate);
       socket.off('tripUpdated', handleTripUpdated);
-      socket.off('notification', handleNotification);
+      socket.off('tripEtaUpdated', handleEtaUpdated);
     };
   }, [trip?._id, handleTripUpdate]);
 
@@ -570,7 +505,7 @@ const directFetchTripStatus = useCallback(async (tripId) => {
   useEffect(() => {
     let mounted = true;
     
-    if (isOpen && step === 'requesting' && selectedAmbulance && userLocation && patientDetails && !requestInProgress && !tripCreationInProgress) {
+    if (isOpen && step === 'requesting' && (selectedAmbulance || autoDispatch) && userLocation && patientDetails && !requestInProgress && !tripCreationInProgress) {
       (async () => {
         try {
           // Check for recently created trips to prevent duplicates
@@ -599,18 +534,8 @@ const directFetchTripStatus = useCallback(async (tripId) => {
                       }
                       
                       // Update step based on trip status - more consistent mapping
-                      if (existingTrip.status === 'REQUESTED') {
-                        setStep('found');
-                      } else if (existingTrip.status === 'ACCEPTED') {
-                        setStep('accepted');
-                      } else if (existingTrip.status === 'ARRIVED') {
-                        setStep('arrived');
-                      } else if (existingTrip.status === 'PICKED_UP') {
-                        setStep('pickedup');
-                      } else if (existingTrip.status === 'AT_HOSPITAL') {
-                        setStep('athospital');
-                      } else if (existingTrip.status === 'COMPLETED') {
-                        setStep('completed');
+                      if (getStatusDetails(existingTrip.status)) {
+                        setStep(getStatusDetails(existingTrip.status).step);
                       }
                       return; // Exit after setting up the existing trip
                     }
@@ -632,13 +557,15 @@ const directFetchTripStatus = useCallback(async (tripId) => {
           if (mounted) setStep('searching');
           
           // Validate required data before sending request
-          if (!selectedAmbulance._id || !userLocation.latitude || !userLocation.longitude) {
+          if ((!autoDispatch && !selectedAmbulance?._id) || !userLocation.latitude || !userLocation.longitude) {
             throw new Error('Missing required information for trip request');
           }
           
-          // Format trip data
+          // Format trip data - automatic dispatch sends no ambulance ID and lets the backend choose
           const tripData = {
-            ambulanceId: selectedAmbulance._id,
+            ...(autoDispatch
+              ? { ambulanceType: dispatchAmbulanceType || undefined }
+              : { ambulanceId: selectedAmbulance._id }),
             requestLocation: {
               coordinates: [userLocation.longitude, userLocation.latitude],
               address: userLocation.address || 'Current location'
@@ -647,7 +574,11 @@ const directFetchTripStatus = useCallback(async (tripId) => {
               name: patientDetails.name,
               phone: patientDetails.phone,
             },
-            emergencyDetails: emergencyDetails || ''
+            emergencyDetails: emergencyDetails || '',
+            // Requests for oneself get the medical details from the patient's profile
+            forSelf,
+            // Left out, the backend attaches the patient's default cover; null means none
+            ...(insuranceCoverId !== undefined ? { insuranceCoverId } : {})
           };
           
           // Optional destination if available
@@ -709,18 +640,8 @@ const directFetchTripStatus = useCallback(async (tripId) => {
             }
             
             // Update step based on status - more consistent mapping
-            if (createdTrip.status === 'REQUESTED') {
-              setStep('found');
-            } else if (createdTrip.status === 'ACCEPTED') {
-              setStep('accepted'); 
-            } else if (createdTrip.status === 'ARRIVED') {
-              setStep('arrived');
-            } else if (createdTrip.status === 'PICKED_UP') {
-              setStep('pickedup');
-            } else if (createdTrip.status === 'AT_HOSPITAL') {
-              setStep('athospital');
-            } else if (createdTrip.status === 'COMPLETED') {
-              setStep('completed');
+            if (getStatusDetails(createdTrip.status)) {
+              setStep(getStatusDetails(createdTrip.status).step);
             }
           }
         } catch (error) {
@@ -741,7 +662,7 @@ const directFetchTripStatus = useCallback(async (tripId) => {
     return () => {
       mounted = false;
     };
-  }, [isOpen, selectedAmbulance, userLocation, patientDetails, emergencyDetails, requestInProgress, onTripCreated, step]);
+  }, [isOpen, selectedAmbulance, autoDispatch, dispatchAmbulanceType, userLocation, patientDetails, emergencyDetails, forSelf, insuranceCoverId, requestInProgress, onTripCreated, step]);
 
   // Clean up timer when component unmounts
   useEffect(() => {
@@ -868,12 +789,7 @@ const directFetchTripStatus = useCallback(async (tripId) => {
             <h2 className="text-lg font-bold text-gray-900">
               {step === 'requesting' && 'Requesting Ambulance'}
               {step === 'searching' && 'Processing Request'}
-              {step === 'found' && 'Waiting for Driver Acceptance'}
-              {step === 'accepted' && 'Ambulance on the Way'}
-              {step === 'arrived' && 'Ambulance Arrived'}
-              {step === 'pickedup' && 'On the Way to Hospital'}
-              {step === 'athospital' && 'Arrived at Hospital'}
-              {step === 'completed' && 'Trip Completed'}
+              {Object.values(STATUS_DETAILS).find(details => details.step === step)?.title}
               {step === 'error' && 'Request Failed'}
             </h2>
           </div>
@@ -992,6 +908,12 @@ const directFetchTripStatus = useCallback(async (tripId) => {
                   <FiClock className="mr-1" />
                   Elapsed time: {formatTimeElapsed(timeElapsed)}
                 </div>
+                {['accepted', 'pickedup'].includes(step) && trip.eta?.minutes !== undefined && (
+                  <div className="text-sm font-medium text-gray-700 mt-1">
+                    {step === 'accepted' ? 'Arriving in' : 'Reaching destination in'} about {trip.eta.minutes} min
+                    {trip.eta.distanceKm !== undefined && ` (${trip.eta.distanceKm} km)`}
+                  </div>
+                )}
               </div>
               
               {/* Ambulance information - Now with safer property access */}
@@ -33,9 +33,9 @@ const AmbulanceForm = ({ ambulanceId = null }) => {
       try {
         const ambulance = await getAmbulanceById(ambulanceId);
         
-        // Convert equipment array to string for form
-        const equipmentString = Array.isArray(ambulance.equipment) 
-          ? ambulance.equipment.join(', ') 
+        // Convert equipment array to string for form (stored as features)
+        const equipmentString = Array.isArray(ambulance.features) 
+          ? ambulance.features.join(', ') 
           : '';
         
         setFormData({
@@ -106,12 +106,13 @@ const handleSubmit = async (e) => {
     
     // Convert equipment string to array
     const equipmentArray = formData.equipment
-      ? formData.equipment.split(',').map(item => item.trim())
+      ? formData.equipment.split(',').map(item => item.trim()).filter(Boolean)
       : [];
     
+    const { equipment, ...ambulanceFields } = formData;
     const ambulanceData = {
-      ...formData,
-      equipment: equipmentArray
+      ...ambulanceFields,
+      features: equipmentArray
     };
 
     console.log('Submitting ambulance data:', ambulanceData);
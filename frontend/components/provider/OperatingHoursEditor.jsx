@@ -0,0 +1,163 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { FiSave, FiClock } from 'react-icons/fi';
+import { getProviderProfile, updateProviderProfile } from '@/utils/providerService';
+
+// Monday first, as providers read their week; day numbers match the backend (0 = Sunday)
+const weekdays = [
+  { day: 1, label: 'Monday' },
+  { day: 2, label: 'Tuesday' },
+  { day: 3, label: 'Wednesday' },
+  { day: 4, label: 'Thursday' },
+  { day: 5, label: 'Friday' },
+  { day: 6, label: 'Saturday' },
+  { day: 0, label: 'Sunday' }
+];
+
+// One row per weekday, filled from the provider's opening periods
+const toRows = (operatingHours = []) => weekdays.map(({ day }) => {
+  const period = operatingHours.find(entry => entry.day === day);
+  return {
+    day,
+    open: !!period,
+    opensAt: period?.opensAt || '08:00',
+    closesAt: period?.closesAt || '20:00'
+  };
+});
+
+// The provider's opening hours, which decide when dispatch offers their ambulances
+export default function OperatingHoursEditor() {
+  const [alwaysOpen, setAlwaysOpen] = useState(true);
+  const [rows, setRows] = useState(toRows());
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchHours = async () => {
+      try {
+        const provider = await getProviderProfile();
+        const operatingHours = Array.isArray(provider?.operatingHours) ? provider.operatingHours : [];
+        setAlwaysOpen(operatingHours.length === 0);
+        setRows(toRows(operatingHours));
+      } catch (error) {
+        console.error('Error loading operating hours:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHours();
+  }, []);
+
+  const updateRow = (day, changes) => {
+    setRows(prev => prev.map(row => (row.day === day ? { ...row, ...changes } : row)));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const operatingHours = alwaysOpen
+      ? []
+      : rows.filter(row => row.open).map(({ day, opensAt, closesAt }) => ({ day, opensAt, closesAt }));
+
+    if (!alwaysOpen && operatingHours.length === 0) {
+      setError('Open at least one day, or choose around the clock');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+      setMessage(null);
+      await updateProviderProfile({ operatingHours });
+      setMessage('Operating hours saved');
+    } catch (error) {
+      console.error('Error saving operating hours:', error);
+      setError(error.message || 'Failed to save operating hours. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return null;
+  }
+
+  return (
+    <form onSubmit={handleSave} className="bg-white shadow-sm rounded-lg p-6 mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900 flex items-center">
+            <FiClock className="mr-2 text-red-600" />
+            Operating hours
+          </h2>
+          <p className="text-sm text-gray-500">
+            Patients are only offered your ambulances while you are open. Hours are local time; closing at or before opening runs past midnight.
+          </p>
+        </div>
+
+        <label className="inline-flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={alwaysOpen}
+            onChange={(e) => setAlwaysOpen(e.target.checked)}
+            className="mr-2"
+          />
+          Open around the clock
+        </label>
+      </div>
+
+      {!alwaysOpen && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-2 mb-4">
+          {weekdays.map(({ day, label }) => {
+            const row = rows.find(entry => entry.day === day);
+            return (
+              <div key={day} className="flex items-center gap-3 text-sm">
+                <label className="w-32 inline-flex items-center text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={row.open}
+                    onChange={(e) => updateRow(day, { open: e.target.checked })}
+                    className="mr-2"
+                  />
+                  {label}
+                </label>
+                <input
+                  type="time"
+                  value={row.opensAt}
+                  disabled={!row.open}
+                  onChange={(e) => updateRow(day, { opensAt: e.target.value })}
+                  className="border border-gray-300 rounded-md px-2 py-1 disabled:bg-gray-100"
+                />
+                <span className="text-gray-500">to</span>
+                <input
+                  type="time"
+                  value={row.closesAt}
+                  disabled={!row.open}
+                  onChange={(e) => updateRow(day, { closesAt: e.target.value })}
+                  className="border border-gray-300 rounded-md px-2 py-1 disabled:bg-gray-100"
+                />
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="flex items-center gap-4">
+        <button
+          type="submit"
+          disabled={saving}
+          className="inline-flex items-center justify-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+        >
+          <FiSave className="mr-2 h-4 w-4" />
+          {saving ? 'Saving...' : 'Save hours'}
+        </button>
+        {message && <p className="text-sm text-green-700">{message}</p>}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+    </form>
+  );
+}
@@ -6,10 +6,27 @@ import Link from 'next/link';
 import { usePathname, useRouter } from 'next/navigation';
 import { auth } from '@/lib/firebase';
 import { GiAmbulance } from "react-icons/gi";
-import { FiHome, FiTruck, FiList, FiUser, FiLogOut, FiBell } from "react-icons/fi";
+import { FiHome, FiTruck, FiList, FiUser, FiLogOut, FiFileText, FiDollarSign, FiCreditCard, FiUsers } from "react-icons/fi";
 import { getProviderProfile } from '@/utils/providerService';
 import { useAuth } from '@/lib/auth';
 import { authenticateProvider, setupAutoReauthentication, getSocket, initializeSocket } from '@/utils/socketService';
+import NotificationBell from '@/components/NotificationBell';
+
+// Banner shown while the provider is not (or no longer) verified
+const verificationNotices = {
+  PENDING: {
+    className: 'bg-yellow-50 border-yellow-400 text-yellow-800',
+    message: 'Your account is awaiting verification. Your ambulances cannot go online until an admin has reviewed your application.'
+  },
+  REJECTED: {
+    className: 'bg-red-50 border-red-400 text-red-800',
+    message: 'Your application was rejected.'
+  },
+  SUSPENDED: {
+    className: 'bg-red-50 border-red-400 text-red-800',
+    message: 'Your account has been suspended and your ambulances are offline.'
+  }
+};
 
 const ProviderDashboardLayout = ({ children }) => {
   // Get auth data from useAuth hook
@@ -158,11 +175,31 @@ const ProviderDashboardLayout = ({ children }) => {
       href: '/provider/ambulances', 
       icon: <FiTruck className="h-5 w-5" /> 
     },
+    { 
+      name: 'Crew', 
+      href: '/provider/crew', 
+      icon: <FiUsers className="h-5 w-5" /> 
+    },
     { 
       name: 'Trips', 
       href: '/provider/trips', 
       icon: <FiList className="h-5 w-5" /> 
     },
+    { 
+      name: 'Documents', 
+      href: '/provider/documents', 
+      icon: <FiFileText className="h-5 w-5" /> 
+    },
+    { 
+      name: 'Tariffs', 
+      href: '/provider/tariffs', 
+      icon: <FiDollarSign className="h-5 w-5" /> 
+    },
+    { 
+      name: 'Payments', 
+      href: '/provider/payments', 
+      icon: <FiCreditCard className="h-5 w-5" /> 
+    },
     { 
       name: 'Profile', 
       href: '/provider/profile', 
@@ -286,7 +323,30 @@ const ProviderDashboardLayout = ({ children }) => {
           </div>
         </div>
 
+        {/* Trip offers and other notifications, including those missed while offline */}
+        {provider && (
+          <div className="flex justify-end px-4 pt-4 md:px-6 -mb-4">
+            <NotificationBell recipient="provider" />
+          </div>
+        )}
+
         <main className="flex-1 p-4 md:p-6">
+          {provider && verificationNotices[provider.verificationStatus] && (
+            <div className={`mb-4 border-l-4 p-4 ${verificationNotices[provider.verificationStatus].className}`}>
+              <p className="text-sm">
+                {verificationNotices[provider.verificationStatus].message}
+                {provider.verificationReason && ` Reason: ${provider.verificationReason}`}
+              </p>
+            </div>
+          )}
+          {provider?.complianceStatus === 'EXPIRED' && (
+            <div className="mb-4 border-l-4 p-4 bg-red-50 border-red-400 text-red-800">
+              <p className="text-sm">
+                Some of your documents have expired and your ambulances are hidden from patients.{' '}
+                <Link href="/provider/documents" className="font-medium underline">Upload renewed documents</Link>
+              </p>
+            </div>
+          )}
           {children}
         </main>
       </div>
@@ -5,6 +5,25 @@ import { FiCheckCircle, FiClock, FiPower, FiAlertTriangle } from 'react-icons/fi
 import { updateAmbulanceStatus, forceCompleteTripsAndSetStatus } from '@/utils/ambulanceService';
 import { toast } from 'react-hot-toast';
 
+const formatShiftTime = (value) => new Date(value).toLocaleString([], {
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Describe the shift the ambulance is on, or its next one
+const getRosterNote = (roster) => {
+  if (roster?.current) {
+    return `On shift until ${formatShiftTime(roster.current.endsAt)}`;
+  }
+  
+  if (roster?.next) {
+    return `Off shift, next shift ${formatShiftTime(roster.next.startsAt)}`;
+  }
+  
+  return null;
+};
+
 export default function StatusToggle({ ambulance, onStatusChange }) {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -13,6 +32,9 @@ export default function StatusToggle({ ambulance, onStatusChange }) {
   
   // Determine if this ambulance is currently being updated
   const isUpdating = loading || ambulance.isUpdating;
+  
+  // Rostered ambulances go on and off the road with their shifts
+  const rosterNote = getRosterNote(ambulance.roster);
 
   const handleStatusChange = async (newStatus) => {
     if (ambulance.status === newStatus || isUpdating) return;
@@ -189,6 +211,12 @@ export default function StatusToggle({ ambulance, onStatusChange }) {
           </div>
         </div>
         
+        {rosterNote && (
+          <div className="mt-2 text-xs text-gray-500">
+            {rosterNote}
+          </div>
+        )}
+        
         {error && (
           <div className="mt-2 text-xs text-red-600">
             {error}
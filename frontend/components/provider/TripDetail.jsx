@@ -2,13 +2,40 @@
 
 import React, { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/navigation';
-import { FiArrowLeft, FiMapPin, FiNavigation, FiUser, FiPhone, FiClock, FiAlertCircle, FiCheckCircle, FiX } from 'react-icons/fi';
+import { FiArrowLeft, FiMapPin, FiNavigation, FiUser, FiPhone, FiClock, FiAlertCircle, FiCheckCircle, FiX, FiDollarSign, FiShield, FiActivity } from 'react-icons/fi';
 import { GiAmbulance } from 'react-icons/gi';
 import Link from 'next/link';
-import { getTripById, updateTripStatus } from '@/utils/tripService';
-import { subscribeTripUpdates, updateAmbulanceLocation } from '@/utils/socketService';
+import { getTripById, updateTripStatus, getTripTimeline, getTripTrack } from '@/utils/tripService';
+import { subscribeTripUpdates, subscribeTripPayments, updateAmbulanceLocation } from '@/utils/socketService';
+import { getTripPayments, payForTrip, settlePayment } from '@/utils/paymentService';
+import { recordPreAuthorization } from '@/utils/insuranceService';
+import { updateDestinationRecommendations, setTripDestination } from '@/utils/hospitalService';
+import { recordVitals } from '@/utils/handoverService';
 import { getCurrentLocation } from '@/utils/locationService';
 import ProviderDashboardLayout from '@/components/provider/ProviderDashboardLayout';
+import { ACTOR, getNextTransition, getStatusDetails } from '@shared/tripLifecycle';
+import { HOSPITAL_CAPABILITIES } from '@shared/hospitalCapabilities';
+
+const emptyVitals = {
+  heartRate: '',
+  systolic: '',
+  diastolic: '',
+  respiratoryRate: '',
+  oxygenSaturation: '',
+  temperature: '',
+  gcs: '',
+  notes: ''
+};
+
+const vitalFields = [
+  { name: 'heartRate', label: 'Heart rate (bpm)' },
+  { name: 'systolic', label: 'Systolic (mmHg)' },
+  { name: 'diastolic', label: 'Diastolic (mmHg)' },
+  { name: 'respiratoryRate', label: 'Resp. rate (/min)' },
+  { name: 'oxygenSaturation', label: 'SpO2 (%)' },
+  { name: 'temperature', label: 'Temp (°C)', step: '0.1' },
+  { name: 'gcs', label: 'GCS (3-15)' }
+];
 
 const TripDetail = ({ params }) => {
   const tripId = params.id;
@@ -19,6 +46,22 @@ const TripDetail = ({ params }) => {
   const [currentLocation, setCurrentLocation] = useState(null);
   const [locationTracking, setLocationTracking] = useState(false);
   const [locationError, setLocationError] = useState(null);
+  const [timeline, setTimeline] = useState([]);
+  // Route driven on this trip, as [latitude, longitude] points
+  const [track, setTrack] = useState([]);
+  // Fare and payments, once the trip is completed
+  const [payment, setPayment] = useState(null);
+  const [paymentLoading, setPaymentLoading] = useState(false);
+  const [paymentVersion, setPaymentVersion] = useState(0);
+  // Pre-authorisation reference being entered for the patient's insurer
+  const [preAuthReference, setPreAuthReference] = useState('');
+  const [preAuthSaving, setPreAuthSaving] = useState(false);
+  // Care the patient needs, used to rank the suggested hospitals
+  const [clinicalNeeds, setClinicalNeeds] = useState([]);
+  const [destinationLoading, setDestinationLoading] = useState(false);
+  // Vital signs being entered, sent on to the destination hospital
+  const [vitalsForm, setVitalsForm] = useState(emptyVitals);
+  const [vitalsSaving, setVitalsSaving] = useState(false);
   const mapRef = useRef(null);
   const mapInstanceRef = useRef(null);
   const positionWatchId = useRef(null);
@@ -48,6 +91,118 @@ const TripDetail = ({ params }) => {
     fetchTrip();
   }, [tripId]);
 
+  // Get the trip timeline, again whenever the status, a payment, the insurance, the destination, the handover or the receiving bay changes
+  const tripStatus = trip?.status;
+  const tripInsurance = `${trip?.insurance?.insurer || ''}:${trip?.insurance?.preAuthorization?.reference || ''}`;
+  const tripDestination = trip?.destinationLocation?.address || '';
+  const tripHandover = `${trip?.handover?.firstSentAt || ''}:${trip?.handover?.acknowledgedAt || ''}:${trip?.receivingBay?.readyAt || ''}`;
+  useEffect(() => {
+    if (!tripStatus) return;
+
+    const fetchTimeline = async () => {
+      try {
+        const events = await getTripTimeline(tripId);
+        setTimeline(Array.isArray(events) ? events : []);
+      } catch (error) {
+        // The fixed timestamps below are still shown
+        console.error('Error fetching trip timeline:', error);
+      }
+    };
+
+    fetchTimeline();
+  }, [tripId, tripStatus, tripInsurance, tripDestination, tripHandover, paymentVersion]);
+
+  // Start from the needs saved on the trip
+  const tripClinicalNeeds = (trip?.clinicalNeeds || []).join(',');
+  useEffect(() => {
+    setClinicalNeeds(tripClinicalNeeds ? tripClinicalNeeds.split(',') : []);
+  }, [tripClinicalNeeds]);
+
+  // Get the payments of a completed trip, again whenever one changes
+  const tripCompleted = tripStatus === 'COMPLETED';
+  useEffect(() => {
+    if (!tripCompleted) return;
+
+    const fetchPayments = async () => {
+      try {
+        setPayment(await getTripPayments(tripId, 'provider'));
+      } catch (error) {
+        console.error('Error fetching trip payments:', error);
+      }
+    };
+
+    fetchPayments();
+  }, [tripId, tripCompleted, paymentVersion]);
+
+  useEffect(() => {
+    if (!tripCompleted) return;
+    return subscribeTripPayments(tripId, () => setPaymentVersion(version => version + 1));
+  }, [tripId, tripCompleted]);
+
+  // Get the route driven so far, again whenever the status changes
+  useEffect(() => {
+    if (!tripStatus) return;
+
+    const fetchTrack = async () => {
+      try {
+        const feature = await getTripTrack(tripId);
+        const coordinates = feature?.geometry?.coordinates || [];
+        setTrack(coordinates.map(([lng, lat]) => [lat, lng]));
+      } catch (error) {
+        console.error('Error fetching trip track:', error);
+      }
+    };
+
+    fetchTrack();
+  }, [tripId, tripStatus]);
+
+  // Describe a timeline entry for display
+  const describeEvent = (event) => {
+    const statusLabel = (status) => getStatusDetails(status)?.label || status;
+    const by = event.actor?.role ? ` by ${event.actor.role}` : '';
+
+    switch (event.type) {
+      case 'CREATED':
+        return `Trip requested${by}`;
+      case 'OFFERED':
+        return 'Offered to an ambulance';
+      case 'OFFER_DECLINED':
+        return `Offer declined${by}`;
+      case 'OFFER_EXPIRED':
+        return 'Offer expired without a response';
+      case 'REASSIGNED':
+        return 'Reassigned to another ambulance';
+      case 'STATUS_CHANGED':
+        return `${statusLabel(event.previousValue)} → ${statusLabel(event.newValue)}${by}`;
+      case 'CANCELLED':
+        return `Cancelled${by}`;
+      case 'LOCATION_CHECKPOINT': {
+        const [lng, lat] = event.newValue?.coordinates || [];
+        return lat !== undefined ? `Ambulance at ${lat.toFixed(5)}, ${lng.toFixed(5)}` : 'Location checkpoint';
+      }
+      case 'RATED':
+        return `Rated ${event.newValue}/5${by}`;
+      case 'INSURANCE':
+        return event.actor?.role === 'provider'
+          ? `Pre-authorised, reference ${event.newValue}${event.note ? ` (${event.note})` : ''}`
+          : `${event.note || 'Insurance changed'}${event.newValue ? `: ${event.newValue}` : ''}${by}`;
+      case 'DESTINATION':
+        return `Heading to ${event.newValue}${by}`;
+      case 'HANDOVER':
+        return event.actor?.role === 'hospital'
+          ? `Handover acknowledged by ${event.newValue}${event.note && event.note !== 'Acknowledged' ? `: ${event.note}` : ''}`
+          : `Pre-arrival packet for ${event.newValue}${event.note ? ` (${event.note})` : ''}`;
+      case 'BAY_READY':
+        return `${event.newValue || event.previousValue || 'Bay'}: ${event.note || (event.newValue ? 'Ready' : 'No longer ready')}`;
+      case 'PAYMENT': {
+        const { method, status, amount } = event.newValue || {};
+        return `${method} payment of ${amount} ${(status || '').toLowerCase()}${event.note ? ` (${event.note})` : ''}`;
+      }
+      default:
+        return event.type;
+    }
+  };
+
   // Subscribe to trip updates
   useEffect(() => {
     let unsubscribe;
@@ -113,6 +268,12 @@ const TripDetail = ({ params }) => {
             .addTo(mapInstanceRef.current)
             .bindPopup('Pickup Location');
           
+          // Draw the route driven so far
+          if (track.length > 1) {
+            window.L.polyline(track, { color: '#dc2626', weight: 4, opacity: 0.8 })
+              .addTo(mapInstanceRef.current);
+          }
+          
           // Add current location marker if available
           if (currentLocation) {
             const ambulanceIcon = window.L.divIcon({
@@ -142,7 +303,7 @@ const TripDetail = ({ params }) => {
         mapInstanceRef.current = null;
       }
     };
-  }, [trip, currentLocation]);
+  }, [trip, currentLocation, track]);
 
   // Update ambulance location on map
   const updateLocationOnMap = (location) => {
@@ -200,11 +361,15 @@ const TripDetail = ({ params }) => {
             const location = {
               latitude: position.coords.latitude,
               longitude: position.coords.longitude,
-              accuracy: position.coords.accuracy
+              accuracy: position.coords.accuracy,
+              speed: position.coords.speed,
+              heading: position.coords.heading,
+              timestamp: new Date(position.timestamp).toISOString()
             };
             
             setCurrentLocation(location);
             updateLocationOnMap(location);
+            setTrack(prev => [...prev, [location.latitude, location.longitude]]);
             
             // Update ambulance location in database
             if (trip && trip.ambulanceId && trip.ambulanceId._id) {
@@ -246,6 +411,112 @@ const TripDetail = ({ params }) => {
     }
   };
 
+  // Record the reference the patient's insurer gave for this trip
+  const handlePreAuthorization = async (e) => {
+    e.preventDefault();
+
+    try {
+      setPreAuthSaving(true);
+      const updatedTrip = await recordPreAuthorization(tripId, preAuthReference);
+      setTrip(prev => ({ ...prev, insurance: updatedTrip.insurance }));
+      setPreAuthReference('');
+    } catch (error) {
+      console.error('Error recording pre-authorisation:', error);
+      setError(error.message || 'Failed to record the pre-authorisation');
+    } finally {
+      setPreAuthSaving(false);
+    }
+  };
+
+  const toggleClinicalNeed = (need) => {
+    setClinicalNeeds(prev => (prev.includes(need) ? prev.filter(item => item !== need) : [...prev, need]));
+  };
+
+  // Rank the hospitals again for the needs the crew picked
+  const handleUpdateRecommendations = async () => {
+    try {
+      setDestinationLoading(true);
+      const updatedTrip = await updateDestinationRecommendations(tripId, clinicalNeeds);
+      setTrip(prev => ({
+        ...prev,
+        clinicalNeeds: updatedTrip.clinicalNeeds,
+        destinationRecommendations: updatedTrip.destinationRecommendations
+      }));
+    } catch (error) {
+      console.error('Error updating destination recommendations:', error);
+      setError(error.message || 'Failed to find hospitals for this patient');
+    } finally {
+      setDestinationLoading(false);
+    }
+  };
+
+  const handleChooseDestination = async (hospitalId) => {
+    try {
+      setDestinationLoading(true);
+      const updatedTrip = await setTripDestination(tripId, hospitalId);
+      setTrip(prev => ({
+        ...prev,
+        destinationHospitalId: updatedTrip.destinationHospitalId,
+        destinationLocation: updatedTrip.destinationLocation,
+        eta: updatedTrip.eta
+      }));
+    } catch (error) {
+      console.error('Error setting trip destination:', error);
+      setError(error.message || 'Failed to set the destination');
+    } finally {
+      setDestinationLoading(false);
+    }
+  };
+
+  const handleVitalsChange = (e) => {
+    const { name, value } = e.target;
+    setVitalsForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Record the vitals the crew took; the destination hospital gets them with the handover
+  const handleRecordVitals = async (e) => {
+    e.preventDefault();
+
+    try {
+      setVitalsSaving(true);
+      const updatedTrip = await recordVitals(tripId, vitalsForm);
+      setTrip(prev => ({ ...prev, vitals: updatedTrip.vitals, handover: updatedTrip.handover }));
+      setVitalsForm(emptyVitals);
+    } catch (error) {
+      console.error('Error recording vitals:', error);
+      setError(error.message || 'Failed to record the vitals');
+    } finally {
+      setVitalsSaving(false);
+    }
+  };
+
+  // Record cash the crew collected, or settle what the patient chose to pay
+  const handleCashCollected = async () => {
+    try {
+      setPaymentLoading(true);
+      await payForTrip(tripId, { method: 'CASH' }, crypto.randomUUID(), 'provider');
+      setPaymentVersion(version => version + 1);
+    } catch (error) {
+      console.error('Error recording cash payment:', error);
+      setError(error.message || 'Failed to record the cash payment');
+    } finally {
+      setPaymentLoading(false);
+    }
+  };
+
+  const handleSettlePayment = async (paymentId, status) => {
+    try {
+      setPaymentLoading(true);
+      await settlePayment(paymentId, { status });
+      setPaymentVersion(version => version + 1);
+    } catch (error) {
+      console.error('Error settling payment:', error);
+      setError(error.message || 'Failed to update the payment');
+    } finally {
+      setPaymentLoading(false);
+    }
+  };
+
   // Handle status update
 const handleStatusUpdate = async (newStatus) => {
   if (!trip) return;
@@ -263,7 +534,8 @@ const handleStatusUpdate = async (newStatus) => {
     
     while (!updatedTrip && retryCount < 3) {
       try {
-        updatedTrip = await updateTripStatus(tripId, newStatus);
+        // Hospitals are suggested on pick-up for the needs picked so far
+        updatedTrip = await updateTripStatus(tripId, newStatus, newStatus === 'PICKED_UP' ? { clinicalNeeds } : {});
         console.log('Trip status updated successfully:', updatedTrip);
       } catch (err) {
         console.error(`Error updating status (attempt ${retryCount + 1}):`, err);
@@ -338,22 +610,24 @@ const handleStatusUpdate = async (newStatus) => {
     }
   };
 
+  // Button colours for the next step of the trip lifecycle
+  const actionColors = {
+    ACCEPTED: 'bg-blue-600 hover:bg-blue-700',
+    ARRIVED: 'bg-indigo-600 hover:bg-indigo-700',
+    PICKED_UP: 'bg-purple-600 hover:bg-purple-700',
+    AT_HOSPITAL: 'bg-green-600 hover:bg-green-700',
+    COMPLETED: 'bg-gray-600 hover:bg-gray-700'
+  };
+
   // Get next status action based on current status
   const getNextStatusAction = (currentStatus) => {
-    switch (currentStatus) {
-      case 'REQUESTED':
-        return { label: 'Accept Request', value: 'ACCEPTED', color: 'bg-blue-600 hover:bg-blue-700' };
-      case 'ACCEPTED':
-        return { label: 'Arrived at Patient', value: 'ARRIVED', color: 'bg-indigo-600 hover:bg-indigo-700' };
-      case 'ARRIVED':
-        return { label: 'Patient Picked Up', value: 'PICKED_UP', color: 'bg-purple-600 hover:bg-purple-700' };
-      case 'PICKED_UP':
-        return { label: 'Arrived at Hospital', value: 'AT_HOSPITAL', color: 'bg-green-600 hover:bg-green-700' };
-      case 'AT_HOSPITAL':
-        return { label: 'Complete Trip', value: 'COMPLETED', color: 'bg-gray-600 hover:bg-gray-700' };
-      default:
-        return null;
+    const transition = getNextTransition(currentStatus, ACTOR.PROVIDER);
+
+    if (!transition) {
+      return null;
     }
+
+    return { label: transition.action, value: transition.to, color: actionColors[transition.to] };
   };
 
   if (loading) {
@@ -444,6 +718,49 @@ const handleStatusUpdate = async (newStatus) => {
                     )}
                   </dd>
                 </div>
+                {trip.patientDetails?.dateOfBirth && (
+                  <div>
+                    <dt className="text-sm font-medium text-gray-500">Date of Birth</dt>
+                    <dd className="mt-1 text-sm text-gray-900">{new Date(trip.patientDetails.dateOfBirth).toLocaleDateString()}</dd>
+                  </div>
+                )}
+                {trip.patientDetails?.bloodType && (
+                  <div>
+                    <dt className="text-sm font-medium text-gray-500">Blood Type</dt>
+                    <dd className="mt-1 text-sm text-gray-900">{trip.patientDetails.bloodType}</dd>
+                  </div>
+                )}
+                {trip.patientDetails?.medicalConditions && (
+                  <div>
+                    <dt className="text-sm font-medium text-gray-500">Medical Conditions</dt>
+                    <dd className="mt-1 text-sm text-gray-900">{trip.patientDetails.medicalConditions}</dd>
+                  </div>
+                )}
+                {trip.patientDetails?.allergies && (
+                  <div>
+                    <dt className="text-sm font-medium text-gray-500">Allergies</dt>
+                    <dd className="mt-1 text-sm font-medium text-red-700">{trip.patientDetails.allergies}</dd>
+                  </div>
+                )}
+                {trip.patientDetails?.medications && (
+                  <div>
+                    <dt className="text-sm font-medium text-gray-500">Medications</dt>
+                    <dd className="mt-1 text-sm text-gray-900">{trip.patientDetails.medications}</dd>
+                  </div>
+                )}
+                {trip.patientDetails?.emergencyContacts?.length > 0 && (
+                  <div>
+                    <dt className="text-sm font-medium text-gray-500">Emergency Contacts</dt>
+                    <dd className="mt-1 text-sm text-gray-900 space-y-1">
+                      {trip.patientDetails.emergencyContacts.map((contact, index) => (
+                        <a key={index} href={`tel:${contact.phone}`} className="text-red-600 hover:text-red-800 flex items-center">
+                          <FiPhone className="mr-1" />
+                          {contact.name}{contact.relationship && ` (${contact.relationship})`} - {contact.phone}
+                        </a>
+                      ))}
+                    </dd>
+                  </div>
+                )}
                 <div>
                   <dt className="text-sm font-medium text-gray-500">Emergency Details</dt>
                   <dd className="mt-1 text-sm text-gray-900">{trip.emergencyDetails || 'No additional details provided'}</dd>
@@ -452,6 +769,71 @@ const handleStatusUpdate = async (newStatus) => {
             </div>
           </div>
 
+          {/* Insurance */}
+          {trip.insurance?.insurer && (
+            <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+              <div className="px-4 py-5 sm:px-6 bg-gray-50 border-b">
+                <h3 className="text-lg font-medium text-gray-900 flex items-center">
+                  <FiShield className="mr-2 text-gray-500" />
+                  Insurance
+                </h3>
+              </div>
+              <div className="px-4 py-5 sm:p-6">
+                <dl className="grid grid-cols-1 gap-x-4 gap-y-4">
+                  <div>
+                    <dt className="text-sm font-medium text-gray-500">Insurer</dt>
+                    <dd className="mt-1 text-sm text-gray-900">
+                      {trip.insurance.insurer}{trip.insurance.scheme && ` - ${trip.insurance.scheme}`}
+                    </dd>
+                  </div>
+                  <div>
+                    <dt className="text-sm font-medium text-gray-500">Member Number</dt>
+                    <dd className="mt-1 text-sm text-gray-900">{trip.insurance.memberNumber}</dd>
+                  </div>
+                  {trip.insurance.relationship && trip.insurance.relationship !== 'SELF' && (
+                    <div>
+                      <dt className="text-sm font-medium text-gray-500">Principal Member</dt>
+                      <dd className="mt-1 text-sm text-gray-900">
+                        {trip.insurance.principalName || 'Not provided'} ({trip.insurance.relationship.toLowerCase()})
+                      </dd>
+                    </div>
+                  )}
+                  <div>
+                    <dt className="text-sm font-medium text-gray-500">Pre-authorisation</dt>
+                    <dd className="mt-1 text-sm text-gray-900">
+                      {trip.insurance.preAuthorization?.reference ? (
+                        <span className="flex items-center text-green-700">
+                          <FiCheckCircle className="mr-1" />
+                          {trip.insurance.preAuthorization.reference}
+                        </span>
+                      ) : trip.status === 'CANCELLED' ? (
+                        'Not pre-authorised'
+                      ) : (
+                        <form onSubmit={handlePreAuthorization} className="flex gap-2">
+                          <input
+                            type="text"
+                            value={preAuthReference}
+                            onChange={(e) => setPreAuthReference(e.target.value)}
+                            placeholder="Reference from the insurer"
+                            required
+                            className="flex-1 min-w-0 border border-gray-300 rounded-md px-3 py-1.5 text-sm"
+                          />
+                          <button
+                            type="submit"
+                            disabled={preAuthSaving}
+                            className="px-3 py-1.5 rounded-md text-sm text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                          >
+                            Save
+                          </button>
+                        </form>
+                      )}
+                    </dd>
+                  </div>
+                </dl>
+              </div>
+            </div>
+          )}
+
           {/* Trip Details */}
           <div className="bg-white shadow-sm rounded-lg overflow-hidden">
             <div className="px-4 py-5 sm:px-6 bg-gray-50 border-b">
@@ -461,6 +843,21 @@ const handleStatusUpdate = async (newStatus) => {
               </h3>
             </div>
             <div className="px-4 py-5 sm:p-6">
+              {timeline.length > 0 ? (
+                <ol className="relative border-l border-gray-200 ml-2">
+                  {timeline.map((event) => (
+                    <li key={event._id} className="mb-4 ml-4">
+                      <div className="absolute w-2 h-2 bg-gray-400 rounded-full -left-1 mt-1.5"></div>
+                      <time className="text-xs text-gray-500">{formatDate(event.createdAt)}</time>
+                      <p className="text-sm text-gray-900">{describeEvent(event)}</p>
+                      {event.note && (
+                        <p className="text-xs text-gray-500">{event.note}</p>
+                      )}
+                      <p className="text-xs text-gray-400">via {event.source}</p>
+                    </li>
+                  ))}
+                </ol>
+              ) : (
               <dl className="grid grid-cols-1 gap-x-4 gap-y-4">
                 <div>
                   <dt className="text-sm font-medium text-gray-500">Requested</dt>
@@ -497,6 +894,7 @@ const handleStatusUpdate = async (newStatus) => {
                   </div>
                 )}
               </dl>
+              )}
             </div>
           </div>
 
@@ -659,6 +1057,257 @@ const handleStatusUpdate = async (newStatus) => {
             </div>
           )}
 
+          {/* Destination */}
+          {['ACCEPTED', 'ARRIVED', 'PICKED_UP'].includes(trip.status) && (
+            <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+              <div className="px-4 py-5 sm:px-6 bg-gray-50 border-b">
+                <h3 className="text-lg font-medium text-gray-900 flex items-center">
+                  <FiNavigation className="mr-2 text-gray-500" />
+                  Destination
+                </h3>
+              </div>
+              <div className="px-4 py-5 sm:p-6 space-y-4">
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">The patient needs</p>
+                  <div className="flex flex-wrap gap-2">
+                    {Object.entries(HOSPITAL_CAPABILITIES).map(([need, label]) => (
+                      <label
+                        key={need}
+                        className={`px-3 py-1 rounded-full border text-sm cursor-pointer ${
+                          clinicalNeeds.includes(need) ? 'bg-red-50 border-red-300 text-red-800' : 'border-gray-300 text-gray-700'
+                        }`}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={clinicalNeeds.includes(need)}
+                          onChange={() => toggleClinicalNeed(need)}
+                          className="sr-only"
+                        />
+                        {label}
+                      </label>
+                    ))}
+                  </div>
+                  {trip.status === 'PICKED_UP' ? (
+                    <button
+                      type="button"
+                      disabled={destinationLoading}
+                      onClick={handleUpdateRecommendations}
+                      className="mt-3 px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50 disabled:text-gray-400"
+                    >
+                      {destinationLoading ? 'Finding hospitals...' : 'Update suggestions'}
+                    </button>
+                  ) : (
+                    <p className="mt-2 text-xs text-gray-500">Hospitals that can treat the patient are suggested on pick-up.</p>
+                  )}
+                </div>
+
+                {trip.status === 'PICKED_UP' && trip.handover?.firstSentAt && (
+                  <div className={`rounded-md px-3 py-2 text-sm flex items-start ${
+                    trip.handover.acknowledgedAt ? 'bg-green-50 text-green-800' : trip.handover.lastError ? 'bg-orange-50 text-orange-800' : 'bg-blue-50 text-blue-800'
+                  }`}>
+                    {trip.handover.acknowledgedAt ? <FiCheckCircle className="mr-2 mt-0.5" /> : <FiClock className="mr-2 mt-0.5" />}
+                    <span>
+                      {trip.handover.acknowledgedAt
+                        ? `Hospital acknowledged at ${formatDate(trip.handover.acknowledgedAt)} by ${trip.handover.acknowledgedBy}${trip.handover.acknowledgementNote ? `: ${trip.handover.acknowledgementNote}` : ''}`
+                        : trip.handover.lastError
+                          ? `The hospital didn't get the latest pre-arrival packet: ${trip.handover.lastError}`
+                          : `Pre-arrival packet sent at ${formatDate(trip.handover.lastSentAt)}, waiting for the hospital`}
+                    </span>
+                  </div>
+                )}
+
+                {trip.receivingBay?.readyAt && (
+                  <div className="rounded-md px-3 py-2 text-sm flex items-start bg-green-50 text-green-800">
+                    <FiCheckCircle className="mr-2 mt-0.5" />
+                    <span>{trip.receivingBay.label} is ready for the patient ({trip.receivingBay.readyBy}, {formatDate(trip.receivingBay.readyAt)})</span>
+                  </div>
+                )}
+
+                {trip.destinationRecommendations?.length > 0 && (
+                  <ul className="divide-y border rounded-md">
+                    {trip.destinationRecommendations.map((hospital, index) => {
+                      const chosen = trip.destinationHospitalId === hospital.hospitalId;
+
+                      return (
+                        <li key={hospital.hospitalId} className="px-4 py-3 flex items-start">
+                          <div className="flex-1">
+                            <p className="font-medium text-gray-900">
+                              {hospital.name}
+                              {index === 0 && (
+                                <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">Recommended</span>
+                              )}
+                            </p>
+                            <p className="text-sm text-gray-600">
+                              {hospital.etaMinutes} min - {hospital.distanceKm} km{hospital.address && ` - ${hospital.address}`}
+                            </p>
+                            {hospital.missing?.length > 0 && (
+                              <p className="text-xs text-orange-700 mt-1">
+                                No {hospital.missing.map(need => HOSPITAL_CAPABILITIES[need] || need).join(', ')}
+                              </p>
+                            )}
+                          </div>
+                          {chosen ? (
+                            <span className="text-sm text-green-700 flex items-center">
+                              <FiCheckCircle className="mr-1" />
+                              Destination
+                            </span>
+                          ) : (
+                            <button
+                              type="button"
+                              disabled={destinationLoading}
+                              onClick={() => handleChooseDestination(hospital.hospitalId)}
+                              className="px-3 py-1.5 rounded-md text-sm text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400"
+                            >
+                              Go here
+                            </button>
+                          )}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+
+                {trip.status === 'PICKED_UP' && trip.destinationRecommendations?.length === 0 && (
+                  <p className="text-sm text-gray-500">No hospitals in the directory are close enough to suggest.</p>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Vitals */}
+          {['ARRIVED', 'PICKED_UP', 'AT_HOSPITAL'].includes(trip.status) && (
+            <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+              <div className="px-4 py-5 sm:px-6 bg-gray-50 border-b">
+                <h3 className="text-lg font-medium text-gray-900 flex items-center">
+                  <FiActivity className="mr-2 text-gray-500" />
+                  Vitals
+                </h3>
+              </div>
+              <div className="px-4 py-5 sm:p-6 space-y-4">
+                {trip.vitals?.length > 0 && (() => {
+                  const latest = trip.vitals[trip.vitals.length - 1];
+
+                  return (
+                    <div className="text-sm text-gray-700">
+                      <p className="text-gray-500 mb-1">Latest, at {formatDate(latest.recordedAt)}</p>
+                      <p>
+                        {[
+                          latest.heartRate && `HR ${latest.heartRate}`,
+                          latest.systolic && latest.diastolic && `BP ${latest.systolic}/${latest.diastolic}`,
+                          latest.respiratoryRate && `RR ${latest.respiratoryRate}`,
+                          latest.oxygenSaturation && `SpO2 ${latest.oxygenSaturation}%`,
+                          latest.temperature && `${latest.temperature} °C`,
+                          latest.gcs && `GCS ${latest.gcs}`
+                        ].filter(Boolean).join(' · ')}
+                      </p>
+                      {latest.notes && <p className="text-gray-600 mt-1">{latest.notes}</p>}
+                    </div>
+                  );
+                })()}
+
+                <form onSubmit={handleRecordVitals} className="space-y-3">
+                  <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                    {vitalFields.map(field => (
+                      <div key={field.name}>
+                        <label htmlFor={field.name} className="block text-xs text-gray-500 mb-1">{field.label}</label>
+                        <input
+                          id={field.name}
+                          name={field.name}
+                          type="number"
+                          step={field.step || '1'}
+                          value={vitalsForm[field.name]}
+                          onChange={handleVitalsChange}
+                          className="w-full border border-gray-300 rounded-md px-2 py-1.5 text-sm"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  <input
+                    name="notes"
+                    value={vitalsForm.notes}
+                    onChange={handleVitalsChange}
+                    placeholder="Notes, e.g. bleeding controlled"
+                    aria-label="Vitals notes"
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                  <button
+                    type="submit"
+                    disabled={vitalsSaving}
+                    className="px-4 py-2 rounded-md text-sm text-white bg-red-600 hover:bg-red-700 disabled:bg-gray-400"
+                  >
+                    {vitalsSaving ? 'Saving...' : 'Record vitals'}
+                  </button>
+                </form>
+              </div>
+            </div>
+          )}
+
+          {/* Fare and Payment */}
+          {trip.status === 'COMPLETED' && payment && payment.fare !== undefined && payment.fare !== null && (() => {
+            const latest = payment.payments?.[0];
+            const pendingSettlement = latest && latest.status === 'PENDING' && latest.method !== 'MPESA';
+            const currency = payment.fareDetails?.currency || 'KES';
+
+            return (
+              <div className="bg-white shadow-sm rounded-lg overflow-hidden">
+                <div className="px-4 py-5 sm:px-6 bg-gray-50 border-b">
+                  <h3 className="text-lg font-medium text-gray-900 flex items-center">
+                    <FiDollarSign className="mr-2 text-gray-500" />
+                    Fare and Payment
+                  </h3>
+                </div>
+                <div className="px-4 py-5 sm:p-6 space-y-3">
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-600">
+                      Fare{payment.fareDetails?.distanceKm !== undefined && ` (${payment.fareDetails.distanceKm} km)`}
+                    </span>
+                    <span className="font-medium text-gray-900">{currency} {payment.fare.toLocaleString('en-US')}</span>
+                  </div>
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-600">Payment</span>
+                    <span className={`font-medium ${payment.paymentStatus === 'PAID' ? 'text-green-600' : 'text-yellow-600'}`}>
+                      {payment.paymentStatus === 'PAID'
+                        ? `Paid (${payment.paymentMethod})`
+                        : latest ? `${latest.method} ${latest.status.toLowerCase()}` : 'Not paid yet'}
+                    </span>
+                  </div>
+
+                  {payment.paymentStatus !== 'PAID' && (
+                    pendingSettlement ? (
+                      <div className="flex gap-2">
+                        <button
+                          type="button"
+                          disabled={paymentLoading}
+                          onClick={() => handleSettlePayment(latest._id, 'PAID')}
+                          className="flex-1 py-2 px-4 rounded-md shadow-sm text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                        >
+                          {latest.method === 'CASH' ? 'Cash received' : 'Claim paid'}
+                        </button>
+                        <button
+                          type="button"
+                          disabled={paymentLoading}
+                          onClick={() => handleSettlePayment(latest._id, 'FAILED')}
+                          className="flex-1 py-2 px-4 border border-gray-300 rounded-md shadow-sm text-red-600 bg-white hover:bg-gray-50 disabled:opacity-50"
+                        >
+                          {latest.method === 'CASH' ? 'Not received' : 'Claim rejected'}
+                        </button>
+                      </div>
+                    ) : !(latest && latest.status === 'PENDING') && (
+                      <button
+                        type="button"
+                        disabled={paymentLoading}
+                        onClick={handleCashCollected}
+                        className="w-full py-2 px-4 rounded-md shadow-sm text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                      >
+                        Cash collected
+                      </button>
+                    )
+                  )}
+                </div>
+              </div>
+            );
+          })()}
+
           {/* Rating and Feedback */}
           {trip.status === 'COMPLETED' && trip.rating && (
             <div className="bg-white shadow-sm rounded-lg overflow-hidden">
@@ -12,6 +12,22 @@ import { useRouter } from 'next/navigation';
 import {  getProviderProfile } from '@/utils/providerService';
 
 const AuthContext = createContext();
+
+// Hospital staff accounts carry the ID of their hospital in a custom claim and
+// ambulance crew an isCrew claim
+const getRoleClaims = async (firebaseUser) => {
+  try {
+    const { claims } = await firebaseUser.getIdTokenResult();
+    return {
+      hospitalId: typeof claims.hospitalId === 'string' ? claims.hospitalId : null,
+      isCrew: claims.isCrew === true
+    };
+  } catch (error) {
+    console.error('Error reading role claims:', error);
+    return { hospitalId: null, isCrew: false };
+  }
+};
+
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [userRole, setUserRole] = useState(null);
@@ -52,6 +68,43 @@ const unsubscribeAuth = onAuthStateChanged(auth, async (user) => {
   }
 
   try {
+    const { hospitalId, isCrew } = await getRoleClaims(user);
+
+    if (isCrew) {
+      console.log('User is ambulance crew');
+      setUserRole('crew');
+      localStorage.setItem('userRole', 'crew');
+
+      const userData = {
+        uid: user.uid,
+        email: user.email,
+        displayName: user.displayName,
+        phoneNumber: user.phoneNumber
+      };
+      setUser(userData);
+      localStorage.setItem('user', JSON.stringify(userData));
+      setLoading(false);
+      return;
+    }
+
+    if (hospitalId) {
+      console.log('User works at hospital:', hospitalId);
+      setUserRole('hospital');
+      localStorage.setItem('userRole', 'hospital');
+
+      const userData = {
+        uid: user.uid,
+        email: user.email,
+        displayName: user.displayName,
+        phoneNumber: user.phoneNumber,
+        hospitalId
+      };
+      setUser(userData);
+      localStorage.setItem('user', JSON.stringify(userData));
+      setLoading(false);
+      return;
+    }
+
     const cachedNonProvider = localStorage.getItem('notAProvider');
     const isKnownNonProvider = cachedNonProvider === user.uid;
 
@@ -164,25 +217,24 @@ const unsubscribeAuth = onAuthStateChanged(auth, async (user) => {
     const userCredential = await signInWithEmailAndPassword(auth, email, password);
     const user = userCredential.user;
     
-    // For regular user login, we don't need to check if they are a provider
-    // Just set their role directly as 'patient'
-    setUserRole('patient');
-    localStorage.setItem('userRole', 'patient');
+    // For regular user login, we don't need to check if they are a provider.
+    // Hospital staff and crew sign in here too and are told apart by their claims.
+    const { hospitalId, isCrew } = await getRoleClaims(user);
+    const role = isCrew ? 'crew' : hospitalId ? 'hospital' : 'patient';
+    setUserRole(role);
+    localStorage.setItem('userRole', role);
     
-    setUser({
+    const userData = {
       uid: user.uid,
       email: user.email,
       displayName: user.displayName,
-      phoneNumber: user.phoneNumber
-    });
+      phoneNumber: user.phoneNumber,
+      ...(hospitalId && !isCrew && { hospitalId })
+    };
+    setUser(userData);
     
     // Store user data in localStorage
-    localStorage.setItem('user', JSON.stringify({
-      uid: user.uid,
-      email: user.email,
-      displayName: user.displayName,
-      phoneNumber: user.phoneNumber
-    }));
+    localStorage.setItem('user', JSON.stringify(userData));
     
     return user;
   } catch (error) {
@@ -3,6 +3,8 @@ const nextConfig = {
   // Add experimental flags to optimize network connections
   experimental: {
     optimizePackageImports: ['socket.io-client'],
+    // Allow importing code shared with the backend from ../shared
+    externalDir: true,
   },
   
   // Optimize images if needed
@@ -524,6 +524,73 @@ export const getAmbulanceActiveTrips = async (ambulanceId) => {
   }
 };
 
+/**
+ * Get an ambulance's shifts between two dates
+ * @param {string} ambulanceId - Ambulance ID
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {Promise<Array>} Shifts by start, with their crew
+ */
+export const getAmbulanceShifts = async (ambulanceId, from, to) => {
+  try {
+    const { get } = await import('./api');
+    const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() });
+    return await get(`/ambulances/${ambulanceId}/shifts?${params}`);
+  } catch (error) {
+    console.error(`Error getting shifts for ambulance ${ambulanceId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Add a shift to an ambulance
+ * @param {string} ambulanceId - Ambulance ID
+ * @param {Object} shiftData - { startsAt, endsAt, crewMemberIds, note, repeatDays }
+ * @returns {Promise<Array>} Created shifts
+ */
+export const createAmbulanceShifts = async (ambulanceId, shiftData) => {
+  try {
+    const { post } = await import('./api');
+    return await post(`/ambulances/${ambulanceId}/shifts`, shiftData);
+  } catch (error) {
+    console.error(`Error adding shift to ambulance ${ambulanceId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Change a shift's times, crew or note
+ * @param {string} ambulanceId - Ambulance ID
+ * @param {string} shiftId - Shift ID
+ * @param {Object} shiftData - Fields to change
+ * @returns {Promise<Object>} Updated shift
+ */
+export const updateAmbulanceShift = async (ambulanceId, shiftId, shiftData) => {
+  try {
+    const { put } = await import('./api');
+    return await put(`/ambulances/${ambulanceId}/shifts/${shiftId}`, shiftData);
+  } catch (error) {
+    console.error(`Error updating shift ${shiftId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a shift
+ * @param {string} ambulanceId - Ambulance ID
+ * @param {string} shiftId - Shift ID
+ * @returns {Promise<Object>} Confirmation message
+ */
+export const deleteAmbulanceShift = async (ambulanceId, shiftId) => {
+  try {
+    const { del } = await import('./api');
+    return await del(`/ambulances/${ambulanceId}/shifts/${shiftId}`);
+  } catch (error) {
+    console.error(`Error removing shift ${shiftId}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Force complete all active trips for an ambulance and set its status
  * @param {string} ambulanceId - Ambulance ID
@@ -608,4 +675,22 @@ export const adminResetAmbulanceStatus = async (id, status) => {
     console.error(`Error resetting ambulance ${id} status:`, error);
     throw error;
   }
-};
\ No newline at end of file
+};
+/**
+ * Describe an ambulance's fare estimate from the nearest ambulances list
+ * @param {Object} fareEstimate - ambulance.fareEstimate
+ * @returns {string|null} e.g. "Est. KES 3,400", or the rates when the trip distance is unknown
+ */
+export const formatFareEstimate = (fareEstimate) => {
+  if (!fareEstimate) return null;
+
+  const { currency, amount, baseFee, perKm, night, nightSurchargePercent } = fareEstimate;
+  const format = (value) => Math.round(value).toLocaleString('en-US');
+
+  if (amount !== null && amount !== undefined) {
+    return `Est. ${currency} ${format(amount)}`;
+  }
+
+  const rates = `From ${currency} ${format(baseFee)} + ${format(perKm)}/km`;
+  return night && nightSurchargePercent > 0 ? `${rates} (+${nightSurchargePercent}% at night)` : rates;
+};
@@ -81,6 +81,7 @@ export const apiRequest = async (endpoint, options = {}, requireAuth = true) =>
 
   // Remove any query parameters for mock data matching
   const cleanEndpoint = endpoint.split('?')[0];
+  const isFormData = typeof FormData !== 'undefined' && options.body instanceof FormData;
   
   // Try each API URL with retries
   for (let urlIndex = 0; urlIndex < API_URLS.length; urlIndex++) {
@@ -99,7 +100,8 @@ export const apiRequest = async (endpoint, options = {}, requireAuth = true) =>
         const requestOptions = {
           ...options,
           headers: {
-            'Content-Type': 'application/json',
+            // Let the browser set the multipart boundary for file uploads
+            ...(isFormData ? {} : { 'Content-Type': 'application/json' }),
             'Accept': 'application/json',
             ...options.headers
           },
@@ -254,6 +256,17 @@ export const apiRequest = async (endpoint, options = {}, requireAuth = true) =>
           try {
             const response = await fetch(url, requestOptions);
             
+            // Validation errors (e.g. a rejected upload) and conflicts (e.g. an ambulance
+            // that was just booked) carry a message for the user
+            if (response.status === 400 || response.status === 409) {
+              const body = await response.json().catch(() => ({}));
+              const clientError = new Error(body.message || (response.status === 409
+                ? 'The request conflicts with the current state'
+                : 'The request was rejected by the server'));
+              clientError.status = response.status;
+              throw clientError;
+            }
+            
             if (!response.ok) {
               throw new Error(`HTTP error! Status: ${response.status}`);
             }
@@ -275,6 +288,11 @@ export const apiRequest = async (endpoint, options = {}, requireAuth = true) =>
         console.error(`API request error (${baseUrl}, attempt ${attempt + 1}):`, error);
         lastError = error;
         
+        // Retrying a rejected request or a conflict won't change the outcome
+        if (error.status === 400 || error.status === 409) {
+          throw error;
+        }
+        
         // If it's a network error (failed to fetch), try the next URL immediately
         if (error.message === 'Failed to fetch' || error.name === 'TypeError' || 
             error.name === 'AbortError' || error.message.includes('timeout')) {
@@ -471,6 +489,48 @@ export const patch = (endpoint, data, options = {}, requireAuth = true) => {
   );
 };
 
+/**
+ * Upload a file as multipart/form-data
+ * @param {string} endpoint - API endpoint
+ * @param {FormData} formData - File and fields to send
+ * @param {Object} options - Request options
+ * @returns {Promise<any>} API response
+ */
+export const upload = (endpoint, formData, options = {}, requireAuth = true) => {
+  return apiRequest(
+    endpoint,
+    {
+      ...options,
+      method: 'POST',
+      body: formData,
+      // Uploads take longer than the default request timeout
+      signal: options.signal || AbortSignal.timeout(60000),
+    },
+    requireAuth
+  );
+};
+
+/**
+ * Download a protected file (e.g. an uploaded document)
+ * @param {string} endpoint - API endpoint
+ * @returns {Promise<Blob>} File contents
+ */
+export const download = async (endpoint) => {
+  const token = await getAuthToken();
+  const url = `${API_URLS[0]}${endpoint.startsWith('/') ? endpoint : `/${endpoint}`}`;
+
+  const response = await fetch(url, {
+    headers: { 'Authorization': `Bearer ${token}` },
+    signal: AbortSignal.timeout(60000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! Status: ${response.status}`);
+  }
+
+  return await response.blob();
+};
+
 export const del = (endpoint, options = {}, requireAuth = true) => {
   return apiRequest(
     endpoint,
@@ -0,0 +1,85 @@
+'use client';
+
+import { get, post, put, del } from '@/utils/api';
+
+/**
+ * Get the current provider's crew
+ * @returns {Promise<Array>} Crew members with their ambulances
+ */
+export const getCrew = async () => {
+  try {
+    return await get('/crew');
+  } catch (error) {
+    console.error('Error fetching crew:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add a crew member. A login is created for their email if they have none.
+ * @param {Object} crewData - { name, email, phone, role, certifications, ambulanceIds }
+ * @returns {Promise<Object>} Crew member
+ */
+export const createCrewMember = async (crewData) => {
+  try {
+    return await post('/crew', crewData);
+  } catch (error) {
+    console.error('Error adding crew member:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a crew member
+ * @param {string} id - Crew member ID
+ * @param {Object} crewData - Fields to change
+ * @returns {Promise<Object>} Crew member
+ */
+export const updateCrewMember = async (id, crewData) => {
+  try {
+    return await put(`/crew/${id}`, crewData);
+  } catch (error) {
+    console.error(`Error updating crew member ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a crew member
+ * @param {string} id - Crew member ID
+ * @returns {Promise<Object>} Confirmation message
+ */
+export const deleteCrewMember = async (id) => {
+  try {
+    return await del(`/crew/${id}`);
+  } catch (error) {
+    console.error(`Error removing crew member ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the signed-in crew member with their ambulances
+ * @returns {Promise<Object>} Crew member
+ */
+export const getMyCrewProfile = async () => {
+  try {
+    return await get('/crew/me');
+  } catch (error) {
+    console.error('Error fetching crew profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the trips the signed-in crew member's ambulances are working
+ * @returns {Promise<Array>} Trips, newest first
+ */
+export const getMyCrewTrips = async () => {
+  try {
+    return await get('/crew/me/trips');
+  } catch (error) {
+    console.error('Error fetching crew trips:', error);
+    throw error;
+  }
+};
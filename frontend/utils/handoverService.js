@@ -0,0 +1,47 @@
+'use client';
+
+import { get, post } from '@/utils/api';
+
+/**
+ * Record the patient's vital signs; they are passed on to the destination hospital
+ * @param {string} tripId - Trip ID
+ * @param {Object} vitals - { heartRate, systolic, diastolic, respiratoryRate, oxygenSaturation, temperature, gcs, notes }
+ * @returns {Promise<Object>} Updated trip
+ */
+export const recordVitals = async (tripId, vitals) => {
+  try {
+    return await post(`/handovers/trips/${tripId}/vitals`, vitals);
+  } catch (error) {
+    console.error(`Error recording vitals for trip ${tripId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the pre-arrival packet behind a hospital's handover link
+ * @param {string} token - Handover token from the link
+ * @returns {Promise<Object>} Packet
+ */
+export const getHandover = async (token) => {
+  try {
+    return await get(`/handovers/${token}`, {}, false);
+  } catch (error) {
+    console.error('Error getting handover:', error);
+    throw error;
+  }
+};
+
+/**
+ * Acknowledge a pre-arrival packet on behalf of the receiving hospital
+ * @param {string} token - Handover token from the link
+ * @param {Object} acknowledgement - { name, note }
+ * @returns {Promise<Object>} Packet with the acknowledgement
+ */
+export const acknowledgeHandover = async (token, acknowledgement) => {
+  try {
+    return await post(`/handovers/${token}/acknowledge`, acknowledgement, {}, false);
+  } catch (error) {
+    console.error('Error acknowledging handover:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,61 @@
+'use client';
+
+import { get, put } from '@/utils/api';
+
+/**
+ * Re-rank the hospitals suggested for a trip for the care the patient needs
+ * @param {string} tripId - Trip ID
+ * @param {Array<string>} clinicalNeeds - Keys of HOSPITAL_CAPABILITIES
+ * @returns {Promise<Object>} Updated trip with its destinationRecommendations
+ */
+export const updateDestinationRecommendations = async (tripId, clinicalNeeds) => {
+  try {
+    return await put(`/hospitals/trips/${tripId}/recommendations`, { clinicalNeeds });
+  } catch (error) {
+    console.error(`Error updating destination recommendations for trip ${tripId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Send a trip to a hospital from the directory
+ * @param {string} tripId - Trip ID
+ * @param {string} hospitalId - Hospital ID
+ * @returns {Promise<Object>} Updated trip
+ */
+export const setTripDestination = async (tripId, hospitalId) => {
+  try {
+    return await put(`/hospitals/trips/${tripId}/destination`, { hospitalId });
+  } catch (error) {
+    console.error(`Error setting destination of trip ${tripId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the signed-in staff member's hospital and the trips heading to it
+ * @returns {Promise<Object>} { hospital, trips }
+ */
+export const getInboundTrips = async () => {
+  try {
+    return await get('/hospitals/me/inbound');
+  } catch (error) {
+    console.error('Error fetching inbound trips:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark the bed or bay ready for an inbound trip, or take it back
+ * @param {string} tripId - Trip ID
+ * @param {Object} bay - { label, name, ready }
+ * @returns {Promise<Object>} Updated inbound trip
+ */
+export const setReceivingBay = async (tripId, bay) => {
+  try {
+    return await put(`/hospitals/me/trips/${tripId}/bay`, bay);
+  } catch (error) {
+    console.error(`Error updating the receiving bay of trip ${tripId}:`, error);
+    throw error;
+  }
+};
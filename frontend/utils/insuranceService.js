@@ -0,0 +1,116 @@
+'use client';
+
+import { get, post, put, del, download } from '@/utils/api';
+
+/**
+ * Get the signed-in patient's insurance covers, the default one first
+ * @returns {Promise<Array>} Covers
+ */
+export const getInsuranceCovers = async () => {
+  try {
+    return await get('/insurance/covers');
+  } catch (error) {
+    console.error('Error getting insurance covers:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save an insurance cover to the patient's profile; covers with an _id are updated
+ * @param {Object} cover - { _id, insurer, scheme, memberNumber, principalName, relationship, isDefault }
+ * @returns {Promise<Object>} Saved cover
+ */
+export const saveInsuranceCover = async ({ _id, ...cover }) => {
+  try {
+    return _id
+      ? await put(`/insurance/covers/${_id}`, cover)
+      : await post('/insurance/covers', cover);
+  } catch (error) {
+    console.error('Error saving insurance cover:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete one of the patient's insurance covers
+ * @param {string} coverId - Cover ID
+ * @returns {Promise<Object>} Result message
+ */
+export const deleteInsuranceCover = async (coverId) => {
+  try {
+    return await del(`/insurance/covers/${coverId}`);
+  } catch (error) {
+    console.error('Error deleting insurance cover:', error);
+    throw error;
+  }
+};
+
+/**
+ * Attach one of the patient's covers to their trip
+ * @param {string} tripId - Trip ID
+ * @param {string|null} coverId - Cover ID, null to remove the trip's insurance
+ * @returns {Promise<Object>} Updated trip
+ */
+export const setTripInsuranceCover = async (tripId, coverId) => {
+  try {
+    return await put(`/insurance/trips/${tripId}`, { coverId });
+  } catch (error) {
+    console.error('Error setting trip insurance:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record the insurer's pre-authorisation of a trip (provider)
+ * @param {string} tripId - Trip ID
+ * @param {string} reference - Pre-authorisation reference
+ * @returns {Promise<Object>} Updated trip
+ */
+export const recordPreAuthorization = async (tripId, reference) => {
+  try {
+    return await put(`/insurance/trips/${tripId}/pre-authorization`, { reference });
+  } catch (error) {
+    console.error('Error recording pre-authorisation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the signed-in provider's claimable trips per insurer for a period
+ * @param {Object} period - { from, to } as YYYY-MM-DD, default the current month
+ * @returns {Promise<Object>} { from, to, insurers: [{ insurer, trips, amount, preAuthorized, claimed, paid }] }
+ */
+export const getClaimSummary = async ({ from, to } = {}) => {
+  try {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+
+    return await get(`/insurance/claims?${params.toString()}`);
+  } catch (error) {
+    console.error('Error getting claim summary:', error);
+    throw error;
+  }
+};
+
+/**
+ * Download the provider's claim file of one insurer as CSV
+ * @param {Object} filters - { insurer, from, to }
+ */
+export const downloadClaims = async ({ insurer, from, to }) => {
+  const params = new URLSearchParams({ insurer });
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+
+  const blob = await download(`/insurance/claims/export?${params.toString()}`);
+  const url = URL.createObjectURL(blob);
+  const slug = insurer.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `claims-${slug}-${from || 'month'}-${to || 'today'}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
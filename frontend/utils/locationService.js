@@ -2,6 +2,7 @@
 // returns promise-> resolves with {lat, long} or rejects with error
 
 import { findNearestAmbulances as fetchNearestAmbulances } from './ambulanceService';
+import { get } from './api';
 
 export const getCurrentLocation = () => {
   return new Promise((resolve, reject) => {
@@ -130,7 +131,7 @@ export const getCurrentLocation = () => {
   });
 };
 
-// Get address from coordinates using reverse geocoding
+// Get address from coordinates using the backend's geocoding service (cached server-side)
 const getAddressFromCoordinates = async (location) => {
   try {
     // Only proceed if we have valid coordinates
@@ -138,25 +139,10 @@ const getAddressFromCoordinates = async (location) => {
       throw new Error('Invalid coordinates for address lookup');
     }
     
-    const response = await fetch(
-      `https://nominatim.openstreetmap.org/reverse?format=json&lat=${location.latitude}&lon=${location.longitude}&zoom=18&addressdetails=1`,
-      {
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'MsaadaExpress/1.0'
-        }
-      }
-    );
-    
-    if (!response.ok) {
-      throw new Error(`Failed to get address: ${response.status}`);
-    }
+    const result = await get(`/geocode/reverse?lat=${location.latitude}&lng=${location.longitude}`, {}, false);
     
-    const data = await response.json();
-    
-    // Format the address from the response
-    if (data && data.display_name) {
-      return data.display_name;
+    if (result && result.address) {
+      return result.address;
     } else {
       throw new Error('No address found');
     }
@@ -166,6 +152,28 @@ const getAddressFromCoordinates = async (location) => {
   }
 };
 
+// Search for places and addresses matching a text
+// returns promise -> resolves with [{ address, latitude, longitude, type }]
+export const searchAddress = async (query) => {
+  if (!query || query.trim().length < 2) {
+    return [];
+  }
+  
+  try {
+    const results = await get(`/geocode/search?q=${encodeURIComponent(query.trim())}&limit=5`, {}, false);
+    
+    return (Array.isArray(results) ? results : []).map(result => ({
+      address: result.address,
+      latitude: result.coordinates[1],
+      longitude: result.coordinates[0],
+      type: result.type
+    }));
+  } catch (error) {
+    console.error('Error searching addresses:', error);
+    throw new Error('Address search is unavailable right now. Please try again.');
+  }
+};
+
 // Find nearest ambulances based on coordinates
 export const getNearestAmbulances = async (coordinates) => {
   try {
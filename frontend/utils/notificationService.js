@@ -0,0 +1,59 @@
+'use client';
+
+import { get, put } from '@/utils/api';
+
+// Inbox of the signed-in patient ('user') or of their provider account ('provider')
+const withRecipient = (endpoint, recipient) => (
+  recipient === 'provider'
+    ? `${endpoint}${endpoint.includes('?') ? '&' : '?'}as=provider`
+    : endpoint
+);
+
+/**
+ * Get notifications, newest first
+ * @param {string} recipient - 'user' or 'provider'
+ * @param {Object} options - { unread, page, limit }
+ * @returns {Promise<Object>} { notifications, unreadCount, pagination }
+ */
+export const getNotifications = async (recipient = 'user', { unread = false, page = 1, limit = 20 } = {}) => {
+  try {
+    const params = new URLSearchParams({ page, limit });
+    if (unread) {
+      params.set('unread', 'true');
+    }
+
+    return await get(withRecipient(`/notifications?${params.toString()}`, recipient));
+  } catch (error) {
+    console.error('Error getting notifications:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark a notification read
+ * @param {string} id - Notification ID
+ * @param {string} recipient - 'user' or 'provider'
+ * @returns {Promise<Object>} { notification, unreadCount }
+ */
+export const markNotificationRead = async (id, recipient = 'user') => {
+  try {
+    return await put(withRecipient(`/notifications/${id}/read`, recipient), {});
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark every notification read
+ * @param {string} recipient - 'user' or 'provider'
+ * @returns {Promise<Object>} { updated, unreadCount }
+ */
+export const markAllNotificationsRead = async (recipient = 'user') => {
+  try {
+    return await put(withRecipient('/notifications/read-all', recipient), {});
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,109 @@
+'use client';
+
+import { get, post, put } from '@/utils/api';
+
+// Requests about a trip the signed-in user drives for go ?as=provider
+const withActor = (endpoint, as) => (
+  as ? `${endpoint}${endpoint.includes('?') ? '&' : '?'}as=${as}` : endpoint
+);
+
+/**
+ * Get the fare and payments of a trip
+ * @param {string} tripId - Trip ID
+ * @param {string} as - 'provider' for the trip's provider, otherwise the patient
+ * @returns {Promise<Object>} { paymentStatus, paymentMethod, fare, fareDetails, payments }
+ */
+export const getTripPayments = async (tripId, as = null) => {
+  try {
+    return await get(withActor(`/payments/trips/${tripId}`, as));
+  } catch (error) {
+    console.error('Error getting trip payments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Pay for a trip
+ * @param {string} tripId - Trip ID
+ * @param {Object} details - { method: MPESA | CASH | INSURANCE, phone, insurance: { insurer, memberNumber }, reference }
+ * @param {string} idempotencyKey - Same key for retries of the same payment, so it isn't made twice
+ * @param {string} as - 'provider' to record cash the crew collected
+ * @returns {Promise<Object>} Payment
+ */
+export const payForTrip = async (tripId, details, idempotencyKey, as = null) => {
+  try {
+    return await post(withActor(`/payments/trips/${tripId}`, as), details, {
+      headers: { 'Idempotency-Key': idempotencyKey }
+    });
+  } catch (error) {
+    console.error('Error paying for trip:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a payment, asking M-Pesa for its result if it is still pending
+ * @param {string} paymentId - Payment ID
+ * @param {string} as - 'provider' for the trip's provider, otherwise the patient
+ * @returns {Promise<Object>} Payment
+ */
+export const refreshPayment = async (paymentId, as = null) => {
+  try {
+    return await post(withActor(`/payments/${paymentId}/refresh`, as), {});
+  } catch (error) {
+    console.error('Error refreshing payment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Settle a pending cash or insurance payment
+ * @param {string} paymentId - Payment ID
+ * @param {Object} outcome - { status: PAID | FAILED, reference, reason }
+ * @returns {Promise<Object>} Payment
+ */
+export const settlePayment = async (paymentId, outcome) => {
+  try {
+    return await put(withActor(`/payments/${paymentId}/settle`, 'provider'), outcome);
+  } catch (error) {
+    console.error('Error settling payment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the signed-in provider's payments
+ * @param {Object} options - { status, page, limit }
+ * @returns {Promise<Object>} { payments, pagination }
+ */
+export const getProviderPayments = async ({ status, page = 1, limit = 20 } = {}) => {
+  try {
+    const params = new URLSearchParams({ page, limit });
+    if (status) {
+      params.set('status', status);
+    }
+
+    return await get(`/payments/provider?${params.toString()}`);
+  } catch (error) {
+    console.error('Error getting provider payments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the signed-in provider's payout summary for a period
+ * @param {Object} period - { from, to } as YYYY-MM-DD, default the current month
+ * @returns {Promise<Object>} { from, to, commissionPercent, providers }
+ */
+export const getPayoutSummary = async ({ from, to } = {}) => {
+  try {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+
+    return await get(`/payments/payouts?${params.toString()}`);
+  } catch (error) {
+    console.error('Error getting payout summary:', error);
+    throw error;
+  }
+};
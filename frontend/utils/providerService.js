@@ -1,6 +1,6 @@
 'use client';
 
-import { get, post, put } from './api';
+import { get, post, put, del, upload, download } from './api';
 import { auth } from '@/lib/firebase';
 import { createUserWithEmailAndPassword, signInWithEmailAndPassword } from 'firebase/auth';
 
@@ -228,4 +228,113 @@ export const updateProviderProfile = async (profileData) => {
     console.error('Error updating provider profile:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get the provider's compliance documents
+ * @param {string} ambulanceId - Only documents of this ambulance (optional)
+ * @returns {Promise<Array>} Documents
+ */
+export const getProviderDocuments = async (ambulanceId = null) => {
+  try {
+    const query = ambulanceId ? `?ambulanceId=${ambulanceId}` : '';
+    return await get(`/documents${query}`);
+  } catch (error) {
+    console.error('Error fetching provider documents:', error);
+    throw error;
+  }
+};
+
+/**
+ * Upload a compliance document
+ * @param {File} file - PDF, JPEG or PNG file
+ * @param {Object} details - Document details
+ * @param {string} details.type - BUSINESS_LICENSE, INSURANCE_CERTIFICATE or INSPECTION_CERTIFICATE
+ * @param {string} details.expiresAt - Expiry date (YYYY-MM-DD)
+ * @param {string} details.ambulanceId - Ambulance the document belongs to (optional)
+ * @returns {Promise<Object>} Created document
+ */
+export const uploadProviderDocument = async (file, { type, expiresAt, ambulanceId }) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('type', type);
+  formData.append('expiresAt', expiresAt);
+  if (ambulanceId) {
+    formData.append('ambulanceId', ambulanceId);
+  }
+
+  try {
+    return await upload('/documents', formData);
+  } catch (error) {
+    console.error('Error uploading document:', error);
+    throw error;
+  }
+};
+
+/**
+ * Open a document's file in a new tab
+ * @param {string} documentId - Document ID
+ */
+export const openProviderDocument = async (documentId) => {
+  const blob = await download(`/documents/${documentId}/file`);
+  const url = URL.createObjectURL(blob);
+  window.open(url, '_blank');
+  // Give the new tab time to load the file before releasing it
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+};
+
+/**
+ * Delete a document
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object>} Result message
+ */
+export const deleteProviderDocument = async (documentId) => {
+  try {
+    return await del(`/documents/${documentId}`);
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the current provider's tariffs
+ * @returns {Promise<Object>} { tariffs, defaultTariff }
+ */
+export const getProviderTariffs = async () => {
+  try {
+    return await get('/tariffs');
+  } catch (error) {
+    console.error('Error fetching tariffs:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create or replace the tariff of an ambulance type
+ * @param {string} ambulanceType - Ambulance type, e.g. BASIC
+ * @param {Object} tariff - Rates and equipment surcharges
+ * @returns {Promise<Object>} Saved tariff
+ */
+export const saveProviderTariff = async (ambulanceType, tariff) => {
+  try {
+    return await put(`/tariffs/${encodeURIComponent(ambulanceType)}`, tariff);
+  } catch (error) {
+    console.error('Error saving tariff:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete the tariff of an ambulance type; it goes back to the default tariff
+ * @param {string} ambulanceType - Ambulance type
+ * @returns {Promise<Object>} Result message
+ */
+export const deleteProviderTariff = async (ambulanceType) => {
+  try {
+    return await del(`/tariffs/${encodeURIComponent(ambulanceType)}`);
+  } catch (error) {
+    console.error('Error deleting tariff:', error);
+    throw error;
+  }
+};
@@ -39,6 +39,156 @@ const safeSocketCall = (socketObj, methodName, ...args) => {
   }
 };
 
+// Whether the current connection was opened with a Firebase ID token
+let handshakeAuthenticated = false;
+
+// Set while we reconnect on purpose, so the disconnect isn't taken as a failure
+let reconnectingForAuth = false;
+
+/**
+ * Send the Firebase ID token with the Socket.IO handshake. The server derives
+ * who we are from it; Socket.IO calls this again on every reconnect.
+ * @param {Function} callback Receives the handshake auth payload
+ */
+const sendHandshakeAuth = async (callback) => {
+  let token = null;
+  
+  try {
+    // Import dynamically to avoid circular dependencies
+    const { getAuthToken } = await import('./api');
+    token = await getAuthToken(false);
+  } catch (error) {
+    console.warn('Could not get auth token for socket handshake:', error);
+  }
+  
+  handshakeAuthenticated = !!token;
+  callback(token ? { token } : {});
+};
+
+/**
+ * Reconnect with a token when the socket was opened before the user signed in,
+ * so authenticate events match the identity the server sees
+ * @param {Object} socketInstance Socket instance
+ */
+const ensureHandshakeAuthenticated = (socketInstance) => {
+  if (handshakeAuthenticated || !socketInstance || !socketInstance.connected) {
+    return;
+  }
+  
+  console.log('Socket was opened before sign-in, reconnecting with token');
+  reconnectingForAuth = true;
+  socketInstance.disconnect();
+  socketInstance.connect();
+};
+
+// Delivery metadata of the last sequenced event seen per trip: tripId -> { epoch, seq }.
+// Kept across socket instances so a new connection resumes where the old one stopped.
+const tripPositions = new Map();
+
+// Trips followed on this page, each with the reload handlers of its followers
+const followedTrips = new Map();
+
+/**
+ * Remember the position of a sequenced trip event
+ * @param {Object} meta Delivery metadata { tripId, epoch, seq } sent with the event
+ */
+const recordTripPosition = (meta) => {
+  if (!meta || !meta.tripId || typeof meta.seq !== 'number') {
+    return;
+  }
+  
+  const current = tripPositions.get(meta.tripId);
+  
+  // A new epoch means the server started a new log for the trip
+  if (!current || current.epoch !== meta.epoch || meta.seq > current.seq) {
+    tripPositions.set(meta.tripId, { epoch: meta.epoch, seq: meta.seq });
+  }
+};
+
+/**
+ * Ask the server for a trip's events, resuming after the last one seen
+ * @param {Object} socketInstance Socket instance
+ * @param {String} tripId Trip ID
+ */
+const requestTripSubscription = (socketInstance, tripId) => {
+  const position = tripPositions.get(tripId);
+  
+  safeSocketCall(socketInstance, 'emit', 'subscribeTripUpdates', position
+    ? { tripId, epoch: position.epoch, resumeFrom: position.seq }
+    : { tripId });
+};
+
+/**
+ * Track the delivery positions of trip events on a socket and resubscribe to
+ * followed trips whenever it (re)connects, since rooms don't survive a reconnect
+ * @param {Object} socketInstance Socket instance
+ */
+const attachTripDelivery = (socketInstance) => {
+  socketInstance.onAny((event, payload, meta) => {
+    if (event === 'subscriptionConfirmed') {
+      // The first subscription starts at the current end of the trip's log
+      if (payload && payload.type === 'trip' && payload.success && !tripPositions.has(payload.tripId)) {
+        tripPositions.set(payload.tripId, { epoch: payload.epoch || null, seq: payload.seq || 0 });
+      }
+      return;
+    }
+    
+    if (event === 'tripResync') {
+      // The events we missed are gone: continue from now and reload the trip
+      tripPositions.set(payload.tripId, { epoch: payload.epoch || null, seq: payload.seq });
+      (followedTrips.get(payload.tripId) || new Set()).forEach(reload => reload());
+      return;
+    }
+    
+    recordTripPosition(meta);
+  });
+  
+  socketInstance.on('connect', () => {
+    followedTrips.forEach((followers, tripId) => requestTripSubscription(socketInstance, tripId));
+  });
+};
+
+/**
+ * Follow a trip: join its room now and after every reconnect, getting the
+ * events missed while disconnected
+ * @param {String} tripId Trip ID
+ * @param {Function} onResync Called when missed events can't be replayed and the trip has to be reloaded
+ * @returns {Function} Stops following the trip
+ */
+export const followTrip = (tripId, onResync) => {
+  const socketInstance = initializeSocket();
+  
+  if (!socketInstance || !tripId) {
+    return () => {};
+  }
+  
+  // Wrapped so every follower is a distinct entry
+  const follower = () => {
+    if (typeof onResync === 'function') onResync();
+  };
+  
+  const followers = followedTrips.get(tripId) || new Set();
+  followers.add(follower);
+  followedTrips.set(tripId, followers);
+  
+  // Otherwise the connect handler subscribes
+  if (followers.size === 1 && socketInstance.connected) {
+    requestTripSubscription(socketInstance, tripId);
+  }
+  
+  return () => {
+    followers.delete(follower);
+    
+    if (followers.size === 0 && followedTrips.get(tripId) === followers) {
+      followedTrips.delete(tripId);
+      
+      if (socket && socket.connected) {
+        safeSocketCall(socket, 'emit', 'unsubscribeTripUpdates', { tripId });
+      }
+    }
+  };
+};
+
 /**
  * Initialize a single socket connection that can be reused throughout the app
  * @returns {Object|null} Socket instance or null if socket could not be initialized
@@ -82,6 +232,7 @@ export const initializeSocket = () => {
       // Create socket with more reliable configuration
       socket = io(socketUrl, {
         path: '/socket.io',
+        auth: sendHandshakeAuth,
         transports: ['polling','websocket'], // Try polling first, then upgrade
         reconnectionAttempts: 3, 
         reconnectionDelay: 1000,
@@ -95,10 +246,13 @@ export const initializeSocket = () => {
         randomizationFactor: 0.5  // More aggressive randomization
       });
       
+      attachTripDelivery(socket);
+      
       // Setup event listeners
       socket.on('connect', () => {
         console.log('Socket connected successfully with ID:', socket.id);
         socketFailedButAppCanProceed = false;
+        reconnectingForAuth = false;
         
         // Reset error counters on successful connection
         if (typeof window !== 'undefined') {
@@ -121,6 +275,15 @@ export const initializeSocket = () => {
       socket.on('connect_error', (error) => {
         console.error('Socket connection error:', error.message || 'Unknown connection error');
         
+        // A stale stored token was refused; the next attempt connects without it
+        if (error.message === 'Not authorized, invalid token') {
+          try {
+            localStorage.removeItem('authToken');
+          } catch (e) {
+            // Ignore storage errors
+          }
+        }
+        
         // Immediately mark as fallback mode for xhr poll errors to avoid repeated errors
         if (error.message && error.message.includes('xhr poll error')) {
           console.log('XHR polling error detected, immediately switching to fallback HTTP-only mode');
@@ -168,7 +331,7 @@ export const initializeSocket = () => {
         console.log('Socket disconnected:', reason);
         
         // If we've been manually disconnected, mark as failed
-        if (reason === 'io client disconnect') {
+        if (reason === 'io client disconnect' && !reconnectingForAuth) {
           socketFailedButAppCanProceed = true;
         }
       });
@@ -245,6 +408,7 @@ const tryPollingOnlyConnection = () => {
     // Create new socket with polling only
     const pollingSocket = io(socketUrl, { 
       path: '/socket.io',
+      auth: sendHandshakeAuth,
       transports: ['polling'], // Polling only - no websocket
       reconnectionAttempts: 1,
       timeout: 10000,
@@ -258,6 +422,8 @@ const tryPollingOnlyConnection = () => {
       return;
     }
     
+    attachTripDelivery(pollingSocket);
+    
     pollingSocket.on('connect', () => {
       console.log('Fallback polling socket connected:', pollingSocket.id);
       socket = pollingSocket;    // ← Save it to the main socket variable
@@ -420,6 +586,7 @@ export const authenticateUser = (userId) => {
   }
   
   console.log('Authenticating user socket:', userId);
+  ensureHandshakeAuthenticated(socketInstance);
   
   // Explicitly check if socket is connected before sending authentication
   if (socketInstance && socketInstance.connected) {
@@ -526,6 +693,7 @@ export const authenticateProvider = (providerId) => {
   }
   
   console.log('Authenticating provider socket:', providerId);
+  ensureHandshakeAuthenticated(socketInstance);
   
   // Explicitly check if socket is connected before sending authentication
   if (socketInstance && socketInstance.connected) {
@@ -577,232 +745,56 @@ export const subscribeTripUpdates = (tripId, callback) => {
   // Get socket instance
   const socketInstance = initializeSocket();
   
-  // Check if we're in fallback mode or if socketInstance isn't available
-  if (!socketInstance || socketFailedButAppCanProceed || safeGetItem('socketConnectionFailed') === 'true') {
-    console.log('Socket not available or in fallback mode, using polling fallback for trip updates');
-    
-    // Set up polling as fallback
-    const pollingInterval = setInterval(async () => {
-      try {
-        console.log(`Polling for trip ${tripId} updates...`);
-        
-        // Import API dynamically to avoid circular dependencies
-        const { get } = await import('./api');
-        
-        // Use different endpoints to increase chances of success
-        const timestamp = Date.now();
-        const endpoint = timestamp % 2 === 0 
-          ? `/trips/${tripId}?_t=${timestamp}` 
-          : `/trips/${tripId}/status/refresh`;
-        
-        const tripData = await get(endpoint);
-        
-        if (tripData && tripData._id) {
-          callback(tripData);
-        }
-      } catch (err) {
-        console.warn('Error polling for trip updates:', err);
-      }
-    }, 5000); // Poll every 5 seconds
-    
-    // Return cleanup function that clears the interval
-    return () => {
-      console.log(`Cleaning up trip updates polling for trip: ${tripId}`);
-      clearInterval(pollingInterval);
-    };
+  if (!socketInstance || typeof socketInstance.on !== 'function' || typeof socketInstance.off !== 'function') {
+    console.warn(`Socket not available, no live updates for trip ${tripId}`);
+    return () => {};
   }
   
-  try {
-    // Setup event listeners - ENHANCED WITH MULTIPLE REDUNDANT LISTENERS
-    console.log(`Setting up socket event listeners for trip ${tripId}`);
-    
-    // Array to track all event types we subscribe to
-    const eventTypes = [];
-    
-    // Function to safely add a listener and track it
-    const addListener = (eventName, handler) => {
-      if (!socketInstance || typeof socketInstance.off !== 'function' || typeof socketInstance.on !== 'function') {
-        console.warn(`Cannot add listener for ${eventName}: socket missing methods`);
-        return;
-      }
-      
-      // Remove any existing listeners for this event first to avoid duplicates
-      try {
-        socketInstance.off(eventName);
-      } catch (e) {
-        console.warn(`Error removing existing listener for ${eventName}:`, e);
-      }
-      
-      // Add the new listener
-      try {
-        socketInstance.on(eventName, handler);
-        eventTypes.push(eventName);
-        console.log(`Added listener for event: ${eventName}`);
-      } catch (e) {
-        console.error(`Error adding listener for ${eventName}:`, e);
-      }
-    };
-    
-    // 1. Listen for trip-specific update on primary channel
-    addListener(`tripUpdate:${tripId}`, (data) => {
-      console.log(`Received trip update on primary channel (${tripId}):`, data);
-      callback(data);
-    });
-    
-    // 2. Listen for global trip updates and filter by ID
-    addListener('tripUpdated', (data) => {
-      if (data && data._id === tripId) {
-        console.log(`Received trip update on global channel (${tripId}):`, data);
-        callback(data);
-      }
-    });
-    
-    // 3. Listen for global trip update channel
-    addListener('globalTripUpdate', (data) => {
-      if (data && data._id === tripId) {
-        console.log(`Received trip update on globalTripUpdate channel (${tripId}):`, data);
-        callback(data);
-      }
-    });
-    
-    // 4. Listen for tripStatusChanged events
-    addListener('tripStatusChanged', (data) => {
-      console.log('tripStatusChanged event received:', data);
-      if (data && (data.tripId === tripId || data.trip?._id === tripId)) {
-        console.log(`Received trip status change: ${data.oldStatus} -> ${data.newStatus}`);
-        if (data.trip) {
-          callback(data.trip);
-        } else if (data.tripId === tripId) {
-          // If we don't have the full trip data, force a refresh
-          forceRefreshTripData(tripId, callback);
-        }
+  // Reload the trip when the server no longer has the events we missed
+  const reloadTrip = async () => {
+    try {
+      console.log(`Reloading trip ${tripId} after missing events`);
+      const { get } = await import('./api');
+      const refreshedTrip = await get(`/trips/${tripId}/refresh`);
+      if (refreshedTrip && refreshedTrip._id) {
+        callback(refreshedTrip);
       }
-    });
-    
-    // 5. Listen for tripAccepted specific channel
-    addListener(`tripAccepted:${tripId}`, (data) => {
-      console.log(`Trip accepted notification received (${tripId}):`, data);
+    } catch (error) {
+      console.error('Error reloading trip data:', error);
+    }
+  };
+  
+  // Updates of the user's other trips arrive in the same rooms, so filter by ID
+  const handleTripUpdated = (data) => {
+    if (data && data._id === tripId) {
+      console.log(`Received trip update (${tripId}):`, data);
       callback(data);
-    });
-    
-    // 6. Listen for generic tripAccepted
-    addListener('tripAccepted', (data) => {
-      if (data && (data.tripId === tripId || (data.trip && data.trip._id === tripId))) {
-        console.log(`Trip accepted from generic channel (${tripId}):`, data);
-        const tripData = data.trip || data;
-        callback(tripData);
-      }
-    });
-    
-    // 7. Listen for notifications that might contain trip updates
-    addListener('notification', (data) => {
-      console.log('Notification received:', data);
-      if (data && data.type === 'TRIP_STATUS_UPDATE' && 
-          (data.tripId === tripId || (data.trip && data.trip._id === tripId))) {
-        console.log(`Trip update via notification channel (${tripId}):`, data);
-        if (data.trip) {
-          callback(data.trip);
-        } else if (data.tripId === tripId) {
-          // If we don't have the full trip data, force a refresh
-          forceRefreshTripData(tripId, callback);
-        }
-      }
-    });
-    
-    // Helper function to force refresh trip data when we get events without full trip data
-    const forceRefreshTripData = async (id, cb) => {
-      try {
-        console.log(`Forcing trip data refresh for ${id} after status update event`);
-        const { get } = await import('./api');
-        const refreshedTrip = await get(`/trips/${id}/status/refresh`);
-        if (refreshedTrip && refreshedTrip._id) {
-          console.log('Got refreshed trip data:', refreshedTrip);
-          cb(refreshedTrip);
-        }
-      } catch (error) {
-        console.error('Error refreshing trip data after event:', error);
-      }
-    };
-    
-    // Force subscription by explicitly requesting latest trip data
-    console.log('Sending explicit subscription for trip updates');
-    
-    if (socketInstance && socketInstance.connected) {
-      safeSocketCall(socketInstance, 'emit', 'subscribeTripUpdates', { tripId });
-    } else if (socketInstance) {
-      // Set up connect handler if not connected
-      addListener('connect', () => {
-        safeSocketCall(socketInstance, 'emit', 'subscribeTripUpdates', { tripId });
-      });
     }
+  };
+  
+  const handleStatusChanged = (data) => {
+    if (data && data.tripId === tripId && data.trip) {
+      console.log(`Received trip status change: ${data.oldStatus} -> ${data.newStatus}`);
+      callback(data.trip);
+    }
+  };
+  
+  socketInstance.on('tripUpdated', handleTripUpdated);
+  socketInstance.on('tripStatusChanged', handleStatusChanged);
+  
+  // Join the trip room; after a reconnect this resumes after the last event seen
+  const unfollow = followTrip(tripId, reloadTrip);
+  
+  // Return unsubscribe function
+  return () => {
+    console.log(`Unsubscribing from trip updates for trip: ${tripId}`);
     
-    // Force a refresh immediately to get latest data
-    forceRefreshTripData(tripId, callback);
-    
-    // Set up automatic refresh on socket reconnection
-    addListener('connect', () => {
-      console.log('Socket reconnected, refreshing trip subscription');
-      if (socketInstance) {
-        safeSocketCall(socketInstance, 'emit', 'subscribeTripUpdates', { tripId });
-      }
-      
-      // Also immediately force a refresh to get latest status
-      setTimeout(() => {
-        forceRefreshTripData(tripId, callback);
-      }, 500);
-    });
-    
-    // Return unsubscribe function
-    const unsubscribe = () => {
-      console.log(`Unsubscribing from trip updates for trip: ${tripId}`);
-      
-      if (socketInstance) {
-        // Remove all event listeners
-        eventTypes.forEach(eventName => {
-          if (socketInstance && typeof socketInstance.off === 'function') {
-            try {
-              socketInstance.off(eventName);
-            } catch (e) {
-              console.warn(`Error removing listener for ${eventName}:`, e);
-            }
-          }
-        });
-        
-        // Explicitly unsubscribe from server
-        if (socketInstance && socketInstance.connected) {
-          safeSocketCall(socketInstance, 'emit', 'unsubscribeTripUpdates', { tripId });
-        }
-      }
-      
-      return true;
-    };
-    
-    return unsubscribe;
-  } catch (error) {
-    console.error('Error setting up trip updates subscription:', error);
-    
-    // If socket setup fails, also set up polling as fallback
-    console.log('Socket setup failed, using polling as fallback');
-    
-    const pollingInterval = setInterval(async () => {
-      try {
-        // Import API dynamically to avoid circular dependencies
-        const { get } = await import('./api');
-        const tripData = await get(`/trips/${tripId}`);
-        
-        if (tripData && tripData._id) {
-          callback(tripData);
-        }
-      } catch (err) {
-        console.warn('Error polling for trip updates:', err);
-      }
-    }, 5000); // Poll every 5 seconds
+    socketInstance.off('tripUpdated', handleTripUpdated);
+    socketInstance.off('tripStatusChanged', handleStatusChanged);
+    unfollow();
     
-    // Return cleanup function that clears the interval
-    return () => {
-      clearInterval(pollingInterval);
-    };
-  }
+    return true;
+  };
 };
 
 // For providers to get new trip requests
@@ -838,7 +830,7 @@ export const subscribeNewTrips = (callback) => {
   console.log('Subscribing to new trip requests');
   
   // Track all event types we listen to
-  const eventTypes = ['newTripRequest', 'notification', 'globalTripUpdate'];
+  const eventTypes = ['newTripRequest'];
   
   // Remove existing listeners to avoid duplicates
   eventTypes.forEach(event => {
@@ -857,22 +849,7 @@ export const subscribeNewTrips = (callback) => {
       console.log('New trip request received:', data);
       if (callback) callback(data);
     });
-    
-    // Also listen for notification events that might contain trip requests
-    socketInstance.on('notification', (data) => {
-      if (data && data.type === 'NEW_TRIP_REQUEST' && data.trip) {
-        console.log('New trip request received via notification:', data);
-        if (callback) callback(data.trip);
-      }
-    });
-    
-    // Listen for global trip updates that might be new requests
-    socketInstance.on('globalTripUpdate', (data) => {
-      if (data && data.status === 'REQUESTED') {
-        console.log('New trip request received via global update:', data);
-        if (callback) callback(data);
-      }
-    });
+
   } else {
     console.warn('Socket instance missing event methods, cannot subscribe');
     return () => {};
@@ -1021,7 +998,6 @@ export const subscribeAmbulanceLocation = (ambulanceId, callback) => {
       // First remove any existing listeners to avoid duplicates
       if (socketInstance && typeof socketInstance.off === 'function') {
         try {
-          socketInstance.off(`ambulanceLocationUpdated-${ambulanceId}`);
           socketInstance.off('ambulanceLocationUpdated');
         } catch (e) {
           console.warn('Error removing ambulance location listeners:', e);
@@ -1030,15 +1006,10 @@ export const subscribeAmbulanceLocation = (ambulanceId, callback) => {
       
       // Listen for location updates specific to this ambulance
       if (socketInstance && typeof socketInstance.on === 'function') {
-        socketInstance.on(`ambulanceLocationUpdated-${ambulanceId}`, (data) => {
-          console.log(`Specific ambulance location updated (${ambulanceId}):`, data);
-          if (callback && typeof callback === 'function') callback(data);
-        });
-        
-        // Also listen for general ambulance location updates and filter by ID
+        // Updates of a trip the user follows arrive on the same event, so filter by ID
         socketInstance.on('ambulanceLocationUpdated', (data) => {
           if (data && data.ambulanceId === ambulanceId) {
-            console.log(`Ambulance location updated via general channel (${ambulanceId}):`, data);
+            console.log(`Ambulance location updated (${ambulanceId}):`, data);
             if (callback && typeof callback === 'function') callback(data);
           }
         });
@@ -1053,12 +1024,15 @@ export const subscribeAmbulanceLocation = (ambulanceId, callback) => {
         console.log(`Unsubscribing from location updates for ambulance: ${ambulanceId}`);
         if (socketInstance && typeof socketInstance.off === 'function') {
           try {
-            socketInstance.off(`ambulanceLocationUpdated-${ambulanceId}`);
             socketInstance.off('ambulanceLocationUpdated');
           } catch (e) {
             console.warn('Error removing ambulance location listeners:', e);
           }
         }
+        
+        if (socketInstance && socketInstance.connected) {
+          safeSocketCall(socketInstance, 'emit', 'unsubscribeAmbulanceLocation', ambulanceId);
+        }
       };
       
       // Return the unsubscribe function
@@ -1171,7 +1145,103 @@ export const subscribeAmbulanceStatusUpdates = (callback) => {
   });
 };
 
-// Function to update ambulance location via socket
+// Notifications and unread counts of one inbox: the patient's ('user') or the
+// provider's ('provider'). The server sends the unread count on every
+// (re)connect, so notifications that arrived while offline show up in the count.
+export const subscribeNotifications = (recipient, { onNotification, onUnreadCount } = {}) => {
+  const socketInstance = initializeSocket();
+
+  if (!socketInstance || typeof socketInstance.on !== 'function') {
+    console.warn('No socket available for notifications');
+    return () => {};
+  }
+
+  const handleNotification = (data) => {
+    if (data && data.recipient === recipient && onNotification) {
+      onNotification(data);
+    }
+  };
+
+  const handleUnreadCount = (data) => {
+    if (data && data.recipient === recipient && onUnreadCount) {
+      onUnreadCount(data.count);
+    }
+  };
+
+  socketInstance.on('notification', handleNotification);
+  socketInstance.on('notificationUnreadCount', handleUnreadCount);
+
+  return () => {
+    socketInstance.off('notification', handleNotification);
+    socketInstance.off('notificationUnreadCount', handleUnreadCount);
+  };
+};
+
+// Payments of one trip starting or settling, e.g. the M-Pesa result arriving.
+// They reach the trip's patient and provider without following the trip.
+export const subscribeTripPayments = (tripId, callback) => {
+  const socketInstance = initializeSocket();
+
+  if (!socketInstance || typeof socketInstance.on !== 'function') {
+    console.warn('No socket available for trip payments');
+    return () => {};
+  }
+
+  const handlePaymentUpdated = (data) => {
+    if (data && data.tripId === tripId) {
+      callback(data);
+    }
+  };
+
+  socketInstance.on('tripPaymentUpdated', handlePaymentUpdated);
+
+  return () => {
+    socketInstance.off('tripPaymentUpdated', handlePaymentUpdated);
+  };
+};
+
+// Trips heading to the signed-in staff member's hospital, for its receiving
+// dashboard: follows each trip for its ETA and ambulance positions, and calls
+// onChange when any of them changes otherwise or a trip starts or stops
+// heading to the hospital, so the list can be reloaded.
+export const subscribeInboundTrips = (tripIds, { onEta, onLocation, onChange } = {}) => {
+  const socketInstance = initializeSocket();
+
+  if (!socketInstance || typeof socketInstance.on !== 'function') {
+    console.warn('No socket available for inbound trips');
+    return () => {};
+  }
+
+  const followed = new Set(tripIds);
+  const reload = () => {
+    if (onChange) onChange();
+  };
+  const forFollowedTrip = (handler) => (data) => {
+    if (data && followed.has(data.tripId || data._id) && handler) {
+      handler(data);
+    }
+  };
+
+  const handlers = {
+    tripEtaUpdated: forFollowedTrip(onEta),
+    ambulanceLocationUpdated: forFollowedTrip(onLocation),
+    tripUpdated: forFollowedTrip(reload),
+    tripStatusChanged: forFollowedTrip(reload),
+    tripCancelled: forFollowedTrip(reload),
+    inboundTripsChanged: reload
+  };
+
+  Object.entries(handlers).forEach(([event, handler]) => socketInstance.on(event, handler));
+  const unfollows = [...followed].map(tripId => followTrip(tripId, reload));
+
+  return () => {
+    Object.entries(handlers).forEach(([event, handler]) => socketInstance.off(event, handler));
+    unfollows.forEach(unfollow => unfollow());
+  };
+};
+
+// Function to update ambulance location via socket. The server only accepts
+// fixes from the provider signed in on the socket, or crew assigned to the ambulance.
 export const updateAmbulanceLocation = (ambulanceId, location) => {
   if (!ambulanceId || !location || !location.latitude || !location.longitude) {
     console.error('Invalid ambulance ID or location data');
@@ -1192,7 +1262,14 @@ export const updateAmbulanceLocation = (ambulanceId, location) => {
         location: {
           latitude: location.latitude,
           longitude: location.longitude,
-          timestamp: new Date().toISOString()
+          accuracy: location.accuracy,
+          speed: location.speed,
+          heading: location.heading,
+          timestamp: location.timestamp || new Date().toISOString()
+        }
+      }, (result) => {
+        if (result && result.error) {
+          console.warn(`Location update for ambulance ${ambulanceId} rejected:`, result.error);
         }
       });
       return true;
@@ -2,6 +2,7 @@
 
 import { post, get, put } from '@/utils/api';
 import { isFallbackMode } from './socketService';
+import { TRIP_STATUS, TRIP_STATUSES } from '@shared/tripLifecycle';
 
 /**
  * Get trips filtered by status
@@ -61,10 +62,7 @@ export const getTripById = async (id) => {
 export const createTrip = async (tripData) => {
   try {
     // Validate required fields
-    if (!tripData.ambulanceId) {
-      throw new Error('Ambulance ID is required');
-    }
-    
+    // (ambulanceId is optional - trips without one are dispatched automatically)
     if (!tripData.requestLocation || !tripData.requestLocation.coordinates) {
       throw new Error('Request location coordinates are required');
     }
@@ -141,6 +139,11 @@ export const createTrip = async (tripData) => {
         } catch (postError) {
           console.error(`Error in POST request (attempt ${attempts}):`, postError);
           
+          // The ambulance was reserved by another request in the meantime
+          if (postError.status === 409) {
+            throw postError;
+          }
+          
           // Additional diagnostics for server errors
           if (postError.type === 'server') {
             console.error('Server error details:', postError.data || 'No details available');
@@ -153,6 +156,10 @@ export const createTrip = async (tripData) => {
             if (postError.message && postError.message.includes('Ambulance not found')) {
               throw new Error('The selected ambulance is no longer in service. Please select another ambulance.');
             }
+            
+            if (postError.message && postError.message.includes('No suitable ambulance')) {
+              throw new Error('No suitable ambulance is available near you right now. Please call emergency services.');
+            }
           }
           
           throw postError;
@@ -177,8 +184,8 @@ export const createTrip = async (tripData) => {
         lastError = error;
         console.error(`Error in attempt ${attempts} to create trip:`, error);
         
-        // If we've hit max attempts, rethrow the error
-        if (attempts >= maxAttempts) {
+        // If we've hit max attempts or lost the ambulance to another request, rethrow the error
+        if (attempts >= maxAttempts || error.status === 409) {
           break;
         }
         
@@ -217,7 +224,7 @@ export const createTrip = async (tripData) => {
 export const updateTripStatus = async (id, status, additionalData = {}) => {
   try {
     // Validate status
-    const validStatuses = ['ACCEPTED', 'ARRIVED', 'PICKED_UP', 'AT_HOSPITAL', 'COMPLETED', 'CANCELLED'];
+    const validStatuses = TRIP_STATUSES.filter(value => value !== TRIP_STATUS.REQUESTED);
     const formattedStatus = String(status).toUpperCase().trim();
     
     if (!validStatuses.includes(formattedStatus)) {
@@ -315,6 +322,28 @@ export const cancelTrip = async (id, reason = '', isPatient = true) => {
   }
 };
 
+/**
+ * Decline a trip that is currently offered to the provider.
+ * The trip is then offered to the next nearest suitable ambulance.
+ * @param {string} id - Trip ID
+ * @param {string} reason - Reason for declining (optional)
+ * @returns {Promise<Object>} Result from the server
+ */
+export const declineTrip = async (id, reason = '') => {
+  try {
+    console.log(`Declining trip ${id}${reason ? ` (${reason})` : ''}`);
+    return await put(`/trips/${id}/decline`, { reason });
+  } catch (error) {
+    console.error(`Error declining trip ${id}:`, error);
+
+    if (error.status === 409) {
+      throw new Error('This trip is no longer offered to you.');
+    }
+
+    throw error;
+  }
+};
+
 /**
  * Add rating to a completed trip
  * @param {string} id - Trip ID
@@ -336,6 +365,34 @@ export const addTripRating = async (id, rating, feedback = '') => {
   }
 };
 
+/**
+ * Get the timeline (audit trail) of a trip
+ * @param {string} id - Trip ID
+ * @returns {Promise<Array>} Trip events, oldest first
+ */
+export const getTripTimeline = async (id) => {
+  try {
+    return await get(`/trips/${id}/timeline`);
+  } catch (error) {
+    console.error(`Error getting timeline for trip ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the route the ambulance actually drove on a trip
+ * @param {string} id - Trip ID
+ * @returns {Promise<Object>} GeoJSON Feature with a LineString of [longitude, latitude] points
+ */
+export const getTripTrack = async (id) => {
+  try {
+    return await get(`/trips/${id}/track`);
+  } catch (error) {
+    console.error(`Error getting track for trip ${id}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Get trip history for current user
  * @returns {Promise<Array>} Array of past trips
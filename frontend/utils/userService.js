@@ -0,0 +1,31 @@
+'use client';
+
+import { get, put } from '@/utils/api';
+
+/**
+ * Get the signed-in patient's profile; new patients get one filled in from their account
+ * @returns {Promise<Object>} Profile
+ */
+export const getMyProfile = async () => {
+  try {
+    return await get('/users/me');
+  } catch (error) {
+    console.error('Error getting profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save the signed-in patient's profile
+ * @param {Object} profile - { name, phone, dateOfBirth, gender, bloodType, chronicConditions,
+ *   allergies, medications: [{ name, dosage }], emergencyContacts: [{ name, relationship, phone }] }
+ * @returns {Promise<Object>} Saved profile
+ */
+export const updateMyProfile = async (profile) => {
+  try {
+    return await put('/users/me', profile);
+  } catch (error) {
+    console.error('Error saving profile:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,34 @@
+// shared/hospitalCapabilities.js
+//
+// What a hospital can treat, shared by the backend (require) and the frontend
+// (import from '@shared/hospitalCapabilities'). Crews pick the ones their
+// patient needs and destinations are ranked by how many of them they offer.
+
+const HOSPITAL_CAPABILITIES = Object.freeze({
+  TRAUMA: 'Trauma care',
+  MATERNITY: 'Maternity',
+  CATH_LAB: 'Cardiac cath lab',
+  PAEDIATRICS: 'Paediatrics',
+  ICU: 'ICU'
+});
+
+// Trauma levels, 1 being a major trauma centre
+const TRAUMA_LEVELS = Object.freeze([1, 2, 3, 4]);
+
+/**
+ * Capabilities a hospital offers. Trauma care comes from its trauma level,
+ * the others are listed on the hospital.
+ * @param {Object} hospital - Hospital with traumaLevel and capabilities
+ * @returns {Array<string>} Keys of HOSPITAL_CAPABILITIES
+ */
+const getHospitalCapabilities = (hospital) => {
+  const capabilities = (hospital?.capabilities || []).filter(key => key !== 'TRAUMA');
+
+  return hospital?.traumaLevel ? ['TRAUMA', ...capabilities] : capabilities;
+};
+
+module.exports = {
+  HOSPITAL_CAPABILITIES,
+  TRAUMA_LEVELS,
+  getHospitalCapabilities
+};
@@ -0,0 +1,48 @@
+// shared/insurers.js
+//
+// Health insurers patients commonly hold in Kenya, shared by the backend
+// (require) and the frontend (import from '@shared/insurers'). Patients may
+// name other insurers too; these are offered as suggestions and used to
+// group claims under one spelling.
+
+const INSURERS = Object.freeze([
+  { code: 'SHA', name: 'Social Health Authority (SHA)', aliases: ['SHIF', 'Social Health Insurance Fund'] },
+  { code: 'NHIF', name: 'NHIF', aliases: ['National Hospital Insurance Fund'] },
+  { code: 'AAR', name: 'AAR Insurance', aliases: ['AAR'] },
+  { code: 'JUBILEE', name: 'Jubilee Health Insurance', aliases: ['Jubilee'] },
+  { code: 'BRITAM', name: 'Britam', aliases: [] },
+  { code: 'CIC', name: 'CIC Insurance', aliases: ['CIC'] },
+  { code: 'MADISON', name: 'Madison Insurance', aliases: ['Madison'] },
+  { code: 'APA', name: 'APA Insurance', aliases: ['APA'] },
+  { code: 'OLD_MUTUAL', name: 'Old Mutual', aliases: ['UAP', 'UAP Old Mutual'] },
+  { code: 'GA', name: 'GA Insurance', aliases: ['GA'] },
+  { code: 'FIRST_ASSURANCE', name: 'First Assurance', aliases: [] },
+  { code: 'MINET', name: 'Minet', aliases: [] }
+]);
+
+const simplify = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Spell an insurer the way claims are grouped: the known name when the
+ * value matches a known insurer's code, name or alias, otherwise as typed
+ * @param {string} value - Insurer as entered by the patient
+ * @returns {string} Canonical insurer name, '' when empty
+ */
+const normalizeInsurer = (value) => {
+  const key = simplify(value);
+
+  if (!key) {
+    return '';
+  }
+
+  const known = INSURERS.find(insurer => (
+    [insurer.code, insurer.name, ...insurer.aliases].some(candidate => simplify(candidate) === key)
+  ));
+
+  return known ? known.name : String(value).trim();
+};
+
+module.exports = {
+  INSURERS,
+  normalizeInsurer
+};
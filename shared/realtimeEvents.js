@@ -0,0 +1,254 @@
+// shared/realtimeEvents.js
+//
+// Catalogue of every Socket.IO event, shared by the backend gateway
+// (services/socketService.js) and the frontend client (utils/socketService.js).
+// Each server event names the rooms it may be delivered to and the shape of
+// its payload; the gateway refuses events that aren't listed here. Nothing
+// is broadcast to every socket - trip data only reaches the trip's patient,
+// its provider and sockets allowed to follow the trip.
+// Keep it free of Node/browser specific code so both sides can load it.
+
+// The only room naming scheme. Identity rooms are joined automatically from
+// the handshake token; trip rooms only after the trip access check.
+const ROOMS = Object.freeze({
+  user: (uid) => `user:${uid}`,
+  provider: (providerId) => `provider:${providerId}`,
+  trip: (tripId) => `trip:${tripId}`,
+  ambulance: (ambulanceId) => `ambulance:${ambulanceId}`,
+  // Staff of a hospital, for trips starting or stopping to head there
+  hospital: (hospitalId) => `hospital:${hospitalId}`,
+  // Availability changes of every ambulance, for the public map
+  AMBULANCE_STATUS: 'ambulances'
+});
+
+// Payload field types. A trailing '?' marks an optional field.
+// 'id' is a MongoDB ObjectId or its string, 'date' a Date or ISO string.
+const TRIP_MILESTONE_PAYLOAD = Object.freeze({
+  tripId: 'id',
+  status: 'string',
+  message: 'string',
+  timestamp: 'date'
+});
+
+// Full trip documents are sent as they are; only the fields clients key on are checked
+const TRIP_PAYLOAD = Object.freeze({
+  _id: 'id',
+  status: 'string'
+});
+
+// Events the server sends. `to` lists the kinds of room they go to
+// (keys of ROOMS), or 'socket' for replies to a single connection.
+// `sequenced` events of a trip are numbered per trip: they arrive with a second
+// argument { tripId, epoch, seq } and are replayed to clients that resume a
+// trip subscription (see subscribeTripUpdates). Sequence numbers only compare
+// within the same epoch. Positions and ETAs are not sequenced: they come every
+// few seconds and only the latest matters, so they would push the lifecycle
+// events out of the bounded log.
+const SERVER_EVENTS = Object.freeze({
+  // Connection
+  authenticationConfirmed: {
+    to: ['socket'],
+    payload: { type: 'string', userId: 'string?', providerId: 'id?', message: 'string?' }
+  },
+  authenticationFailed: {
+    to: ['socket'],
+    payload: { type: 'string', message: 'string' }
+  },
+  subscriptionConfirmed: {
+    to: ['socket'],
+    // Trip subscriptions also report the position of the trip's event log
+    payload: { type: 'string', success: 'boolean', tripId: 'id?', ambulanceId: 'id?', epoch: 'string?', seq: 'number?', message: 'string?' }
+  },
+  // The events missed since resumeFrom are gone; reload the trip and continue from seq
+  tripResync: {
+    to: ['socket'],
+    payload: { tripId: 'id', epoch: 'string?', seq: 'number' }
+  },
+  pong: {
+    to: ['socket'],
+    payload: { time: 'date', healthy: 'boolean' }
+  },
+
+  // Trips
+  tripUpdated: {
+    to: ['trip', 'user', 'provider'],
+    sequenced: true,
+    payload: TRIP_PAYLOAD
+  },
+  tripStatusChanged: {
+    to: ['trip', 'user', 'provider'],
+    sequenced: true,
+    payload: { tripId: 'id', oldStatus: 'string', newStatus: 'string', trip: 'object?', timestamp: 'date' }
+  },
+  tripCancelled: {
+    to: ['trip', 'user', 'provider'],
+    sequenced: true,
+    payload: { tripId: 'id', cancelledBy: 'string', timestamp: 'date' }
+  },
+  // A payment of the trip started or settled; paymentStatus is the trip's
+  tripPaymentUpdated: {
+    to: ['trip', 'user', 'provider'],
+    sequenced: true,
+    payload: {
+      tripId: 'id',
+      paymentId: 'id',
+      method: 'string',
+      status: 'string',
+      amount: 'number',
+      currency: 'string',
+      paymentStatus: 'string',
+      receiptNumber: 'string?',
+      failureReason: 'string?',
+      timestamp: 'date'
+    }
+  },
+  tripEtaUpdated: {
+    to: ['trip'],
+    payload: { tripId: 'id', eta: 'number', etaText: 'string', distanceKm: 'number', target: 'string', timestamp: 'date' }
+  },
+  // A trip started ('ADDED') or stopped ('REMOVED') heading to the hospital
+  inboundTripsChanged: {
+    to: ['hospital'],
+    payload: { hospitalId: 'id', tripId: 'id', change: 'string', timestamp: 'date' }
+  },
+
+  // Lifecycle milestones, see the `event` of each transition in tripLifecycle
+  tripAccepted: { to: ['trip'], sequenced: true, payload: TRIP_MILESTONE_PAYLOAD },
+  ambulanceArrived: { to: ['trip'], sequenced: true, payload: TRIP_MILESTONE_PAYLOAD },
+  patientPickedUp: { to: ['trip'], sequenced: true, payload: TRIP_MILESTONE_PAYLOAD },
+  arrivedAtHospital: { to: ['trip'], sequenced: true, payload: TRIP_MILESTONE_PAYLOAD },
+  tripCompleted: { to: ['trip'], sequenced: true, payload: TRIP_MILESTONE_PAYLOAD },
+
+  // Dispatch
+  newTripRequest: {
+    to: ['provider'],
+    payload: TRIP_PAYLOAD
+  },
+  tripOfferWithdrawn: {
+    to: ['provider'],
+    payload: { tripId: 'id', reason: 'string', timestamp: 'date' }
+  },
+
+  // Messages shown to a person. id is the stored notification in the inbox of
+  // the patient ('user') or the provider ('provider') named by recipient.
+  notification: {
+    to: ['user', 'provider'],
+    payload: { id: 'id', recipient: 'string', type: 'string', title: 'string', message: 'string', tripId: 'id?', data: 'object?', timestamp: 'date' }
+  },
+  // Unread notifications in the inbox of the patient ('user') or the provider
+  // ('provider'); sent on connect and whenever the count changes
+  notificationUnreadCount: {
+    to: ['user', 'provider', 'socket'],
+    payload: { recipient: 'string', count: 'number', timestamp: 'date' }
+  },
+
+  // Ambulances. Followers of an ambulance only get its position, trip
+  // followers also the trip it belongs to.
+  ambulanceLocationUpdated: {
+    to: ['trip', 'ambulance'],
+    payload: {
+      ambulanceId: 'id',
+      tripId: 'id?',
+      location: 'object',
+      latitude: 'number',
+      longitude: 'number',
+      heading: 'number?',
+      speed: 'number?',
+      recordedAt: 'date',
+      timestamp: 'date'
+    }
+  },
+  ambulanceStatusUpdated: {
+    to: ['AMBULANCE_STATUS'],
+    payload: { ambulanceId: 'id', status: 'string', timestamp: 'date' }
+  }
+});
+
+// Events clients send, with their payload. `ack` marks events answered
+// through the acknowledgement callback.
+const CLIENT_EVENTS = Object.freeze({
+  authenticateUser: { payload: 'string' }, // Firebase UID, must match the token
+  authenticateProvider: { payload: 'string' }, // Provider ID or Firebase UID, must match the token
+  // epoch and resumeFrom are the delivery metadata of the last event seen, if any
+  subscribeTripUpdates: { payload: { tripId: 'id', epoch: 'string?', resumeFrom: 'number?' } },
+  unsubscribeTripUpdates: { payload: { tripId: 'id' } },
+  subscribeNewTrips: { payload: null },
+  unsubscribeNewTrips: { payload: null },
+  declineTrip: { payload: { tripId: 'id', reason: 'string?' }, ack: { success: 'boolean', tripId: 'id?', message: 'string?' } },
+  subscribeAmbulanceStatus: { payload: null },
+  subscribeAmbulanceLocation: { payload: 'string' }, // Ambulance ID
+  unsubscribeAmbulanceLocation: { payload: 'string' }, // Ambulance ID
+  updateAmbulanceLocation: {
+    payload: { ambulanceId: 'id', location: { latitude: 'number', longitude: 'number', accuracy: 'number?', speed: 'number?', heading: 'number?', timestamp: 'date?' } },
+    ack: { accepted: 'boolean', reason: 'string?', error: 'string?' }
+  },
+  ping: { payload: null, ack: { time: 'date', healthy: 'boolean' } }
+});
+
+const isObjectId = (value) => !!value && typeof value === 'object'
+  && (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID');
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => !!value && typeof value === 'object',
+  array: (value) => Array.isArray(value),
+  id: (value) => typeof value === 'string' || isObjectId(value),
+  date: (value) => typeof value === 'string' || value instanceof Date
+};
+
+/**
+ * Check a payload against a shape from the catalogue
+ * @param {Object|String|null} shape Field types, a single type or null for no payload
+ * @param {*} payload Payload
+ * @param {String} path Field path used in messages
+ * @returns {Array<String>} Problems found, empty when the payload matches
+ */
+const checkShape = (shape, payload, path = 'payload') => {
+  if (shape === null) {
+    return [];
+  }
+
+  if (typeof shape === 'string') {
+    const optional = shape.endsWith('?');
+    const type = optional ? shape.slice(0, -1) : shape;
+
+    if (payload === undefined || payload === null) {
+      return optional ? [] : [`${path} is missing`];
+    }
+
+    return TYPE_CHECKS[type](payload) ? [] : [`${path} should be ${type}`];
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    return [`${path} should be an object`];
+  }
+
+  return Object.entries(shape).flatMap(([field, fieldShape]) => (
+    checkShape(fieldShape, payload[field], `${path}.${field}`)
+  ));
+};
+
+/**
+ * Check the payload of a server event against the catalogue
+ * @param {String} event Event name
+ * @param {*} payload Payload
+ * @returns {Array<String>} Problems found, empty when the event and payload are valid
+ */
+const validateServerEvent = (event, payload) => {
+  const definition = SERVER_EVENTS[event];
+
+  if (!definition) {
+    return [`${event} is not in the event catalogue`];
+  }
+
+  return checkShape(definition.payload, payload);
+};
+
+module.exports = {
+  ROOMS,
+  SERVER_EVENTS,
+  CLIENT_EVENTS,
+  validateServerEvent
+};
@@ -0,0 +1,267 @@
+// shared/tripLifecycle.js
+//
+// Declarative trip lifecycle shared by the backend (require) and the
+// frontend (import from '@shared/tripLifecycle'). Keep it free of
+// Node/browser specific code so both sides can load it.
+
+// Trip statuses in the order a trip normally goes through them
+const TRIP_STATUS = Object.freeze({
+  REQUESTED: 'REQUESTED',
+  ACCEPTED: 'ACCEPTED',
+  ARRIVED: 'ARRIVED',
+  PICKED_UP: 'PICKED_UP',
+  AT_HOSPITAL: 'AT_HOSPITAL',
+  COMPLETED: 'COMPLETED',
+  CANCELLED: 'CANCELLED'
+});
+
+const TRIP_STATUSES = Object.values(TRIP_STATUS);
+
+// Who can move a trip from one status to another. Crew members work the
+// ambulance they are assigned to but leave dispatch and cancellations to the
+// provider account. Hospitals don't move trips; they only show up in the
+// timeline, e.g. acknowledging a handover.
+const ACTOR = Object.freeze({
+  PATIENT: 'patient',
+  PROVIDER: 'provider',
+  CREW: 'crew',
+  ADMIN: 'admin',
+  SYSTEM: 'system',
+  HOSPITAL: 'hospital'
+});
+
+// What happens to the trip's ambulance when a transition is applied
+const AMBULANCE_EFFECT = Object.freeze({
+  RELEASE: 'RELEASE' // The ambulance goes back to AVAILABLE
+});
+
+/**
+ * Per-status details
+ * - label: short name for lists and badges
+ * - title: heading shown to the patient while the trip is in this status
+ * - message: notification text sent when the trip enters this status
+ * - step: progress step of the patient's request modal
+ * - timestampField: trip field stamped when the trip enters this status
+ * - terminal: no further transitions are possible
+ */
+const STATUS_DETAILS = Object.freeze({
+  REQUESTED: {
+    label: 'Requested',
+    title: 'Waiting for Driver Acceptance',
+    message: 'Your request has been sent to the nearest ambulance',
+    step: 'found',
+    timestampField: 'requestTime',
+    terminal: false
+  },
+  ACCEPTED: {
+    label: 'Accepted',
+    title: 'Ambulance on the Way',
+    message: 'Ambulance has accepted your request and is on the way',
+    step: 'accepted',
+    timestampField: 'acceptTime',
+    terminal: false
+  },
+  ARRIVED: {
+    label: 'Arrived',
+    title: 'Ambulance Arrived',
+    message: 'Ambulance has arrived at your location',
+    step: 'arrived',
+    timestampField: 'arrivalTime',
+    terminal: false
+  },
+  PICKED_UP: {
+    label: 'Picked Up',
+    title: 'On the Way to Hospital',
+    message: 'Patient has been picked up',
+    step: 'pickedup',
+    timestampField: 'pickupTime',
+    terminal: false
+  },
+  AT_HOSPITAL: {
+    label: 'At Hospital',
+    title: 'Arrived at Hospital',
+    message: 'Arrived at hospital',
+    step: 'athospital',
+    timestampField: 'hospitalArrivalTime',
+    terminal: false
+  },
+  COMPLETED: {
+    label: 'Completed',
+    title: 'Trip Completed',
+    message: 'Trip has been completed',
+    step: 'completed',
+    timestampField: 'completionTime',
+    terminal: true
+  },
+  CANCELLED: {
+    label: 'Cancelled',
+    title: 'Trip Cancelled',
+    message: 'Trip has been cancelled',
+    step: 'cancelled',
+    timestampField: 'cancellationTime',
+    terminal: true
+  }
+});
+
+const { PATIENT, PROVIDER, CREW, ADMIN, SYSTEM } = ACTOR;
+
+/**
+ * Allowed transitions
+ * - actors: who may apply the transition
+ * - action: label of the button that applies it
+ * - event: socket event emitted to the trip room once it is applied
+ * - ambulance: side effect on the trip's ambulance (see AMBULANCE_EFFECT)
+ */
+const TRANSITIONS = Object.freeze([
+  { from: 'REQUESTED', to: 'ACCEPTED', actors: [PROVIDER], action: 'Accept Trip', event: 'tripAccepted' },
+  { from: 'REQUESTED', to: 'CANCELLED', actors: [PATIENT, PROVIDER, ADMIN, SYSTEM], action: 'Cancel Trip', event: 'tripCancelled', ambulance: AMBULANCE_EFFECT.RELEASE },
+
+  { from: 'ACCEPTED', to: 'ARRIVED', actors: [PROVIDER, CREW], action: 'Arrived at Patient', event: 'ambulanceArrived' },
+  { from: 'ACCEPTED', to: 'CANCELLED', actors: [PATIENT, PROVIDER, ADMIN, SYSTEM], action: 'Cancel Trip', event: 'tripCancelled', ambulance: AMBULANCE_EFFECT.RELEASE },
+
+  { from: 'ARRIVED', to: 'PICKED_UP', actors: [PROVIDER, CREW], action: 'Patient Picked Up', event: 'patientPickedUp' },
+  { from: 'ARRIVED', to: 'CANCELLED', actors: [PATIENT, PROVIDER, ADMIN, SYSTEM], action: 'Cancel Trip', event: 'tripCancelled', ambulance: AMBULANCE_EFFECT.RELEASE },
+
+  // Once the patient is on board only the crew or an admin can end the trip
+  { from: 'PICKED_UP', to: 'AT_HOSPITAL', actors: [PROVIDER, CREW], action: 'Arrived at Hospital', event: 'arrivedAtHospital' },
+  { from: 'PICKED_UP', to: 'COMPLETED', actors: [PROVIDER, CREW, ADMIN, SYSTEM], action: 'Complete Trip', event: 'tripCompleted', ambulance: AMBULANCE_EFFECT.RELEASE },
+  { from: 'PICKED_UP', to: 'CANCELLED', actors: [PROVIDER, ADMIN], action: 'Cancel Trip', event: 'tripCancelled', ambulance: AMBULANCE_EFFECT.RELEASE },
+
+  { from: 'AT_HOSPITAL', to: 'COMPLETED', actors: [PROVIDER, CREW, ADMIN, SYSTEM], action: 'Complete Trip', event: 'tripCompleted', ambulance: AMBULANCE_EFFECT.RELEASE },
+  { from: 'AT_HOSPITAL', to: 'CANCELLED', actors: [PROVIDER, ADMIN], action: 'Cancel Trip', event: 'tripCancelled', ambulance: AMBULANCE_EFFECT.RELEASE }
+]);
+
+const ACTIVE_STATUSES = TRIP_STATUSES.filter(status => !STATUS_DETAILS[status].terminal);
+const TERMINAL_STATUSES = TRIP_STATUSES.filter(status => STATUS_DETAILS[status].terminal);
+
+/**
+ * Check whether a status is terminal (COMPLETED or CANCELLED)
+ * @param {String} status Trip status
+ * @returns {Boolean}
+ */
+const isTerminalStatus = (status) => TERMINAL_STATUSES.includes(status);
+
+/**
+ * Get the details of a status
+ * @param {String} status Trip status
+ * @returns {Object|null} Status details or null for unknown statuses
+ */
+const getStatusDetails = (status) => STATUS_DETAILS[status] || null;
+
+/**
+ * Get the notification text for a status
+ * @param {String} status Trip status
+ * @returns {String} Message
+ */
+const getStatusMessage = (status) => {
+  const details = getStatusDetails(status);
+  return details ? details.message : `Status updated to: ${status}`;
+};
+
+/**
+ * Find the transition between two statuses
+ * @param {String} from Current status
+ * @param {String} to Requested status
+ * @returns {Object|null} Transition or null if the lifecycle doesn't allow it
+ */
+const getTransition = (from, to) => {
+  return TRANSITIONS.find(transition => transition.from === from && transition.to === to) || null;
+};
+
+/**
+ * Check whether an actor may move a trip between two statuses
+ * @param {String} from Current status
+ * @param {String} to Requested status
+ * @param {String} actor One of ACTOR
+ * @returns {Boolean}
+ */
+const canTransition = (from, to, actor) => {
+  const transition = getTransition(from, to);
+  return !!transition && transition.actors.includes(actor);
+};
+
+/**
+ * Get every transition an actor may apply from a status
+ * @param {String} from Current status
+ * @param {String} actor One of ACTOR
+ * @returns {Array<Object>} Transitions
+ */
+const getAvailableTransitions = (from, actor) => {
+  return TRANSITIONS.filter(transition => transition.from === from && transition.actors.includes(actor));
+};
+
+/**
+ * Get the transition that moves the trip forward (anything but a cancellation)
+ * @param {String} from Current status
+ * @param {String} actor One of ACTOR
+ * @returns {Object|null} Transition or null if the actor can't move the trip forward
+ */
+const getNextTransition = (from, actor) => {
+  return getAvailableTransitions(from, actor).find(transition => transition.to !== TRIP_STATUS.CANCELLED) || null;
+};
+
+/**
+ * Validate a transition and apply its status and timestamp changes to a trip.
+ * Persisting the trip and running side effects is up to the caller.
+ * @param {Object} trip Trip (document or plain object)
+ * @param {String} to Requested status
+ * @param {String} actor One of ACTOR
+ * @param {Object} options Options
+ * @param {String} options.reason Cancellation reason (optional)
+ * @param {Date} options.now Time of the change (default: now)
+ * @returns {Object} The applied transition
+ * @throws {Error} With status 400 for unknown statuses, 409 for transitions the
+ * lifecycle doesn't allow and 403 for actors that may not apply it
+ */
+const applyTransition = (trip, to, actor, options = {}) => {
+  const { reason = null, now = new Date() } = options;
+  const from = trip.status;
+
+  if (!STATUS_DETAILS[to]) {
+    const error = new Error(`Invalid status: ${to}. Valid values are: ${TRIP_STATUSES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const transition = getTransition(from, to);
+
+  if (!transition) {
+    const error = new Error(`Invalid status transition from ${from} to ${to}`);
+    error.status = 409;
+    throw error;
+  }
+
+  if (!transition.actors.includes(actor)) {
+    const error = new Error(`A ${actor} cannot move a trip from ${from} to ${to}`);
+    error.status = 403;
+    throw error;
+  }
+
+  trip.status = to;
+  trip[STATUS_DETAILS[to].timestampField] = now;
+
+  if (to === TRIP_STATUS.CANCELLED) {
+    trip.cancellationReason = reason || 'No reason provided';
+  }
+
+  return transition;
+};
+
+module.exports = {
+  TRIP_STATUS,
+  TRIP_STATUSES,
+  ACTIVE_STATUSES,
+  TERMINAL_STATUSES,
+  ACTOR,
+  AMBULANCE_EFFECT,
+  STATUS_DETAILS,
+  TRANSITIONS,
+  isTerminalStatus,
+  getStatusDetails,
+  getStatusMessage,
+  getTransition,
+  canTransition,
+  getAvailableTransitions,
+  getNextTransition,
+  applyTransition
+};